@@ -0,0 +1,31 @@
+/**
+ * Reindex Dishes
+ *
+ * This script rebuilds the dish search index from the database, e.g. after
+ * the schema changed or dishes were written without sending dish events.
+ * Run it with `pnpm --filter @bellyfed/backend reindex:dishes`.
+ *
+ * The in-process index lives inside the backend server, which fills it on
+ * its first search, so this script only applies to Typesense.
+ */
+
+// Load environment variables before the modules that read them
+import 'dotenv/config';
+import { getDishSearchIndex } from '../utils/dish-search-index.js';
+import { syncAllDishes } from '../services/typesense-dish-sync/index.js';
+
+const main = async (): Promise<void> => {
+  if (getDishSearchIndex().name !== 'typesense') {
+    console.error('Dish search uses the in-process index, which the backend builds itself; set DISH_SEARCH_BACKEND=typesense to reindex Typesense');
+    process.exit(1);
+  }
+
+  const { syncedCount } = await syncAllDishes();
+  console.log(`✅ Reindexed ${syncedCount} dishes`);
+  process.exit(0);
+};
+
+main().catch((error) => {
+  console.error('❌ Dish reindex failed:', error);
+  process.exit(1);
+});
@@ -46,6 +46,7 @@ export interface Photo {
   photo_reference: string;
   width: number;
   height: number;
+  html_attributions?: string[];
 }
 
 export interface Period {
@@ -244,7 +245,9 @@ const saveRestaurantToDatabase = async (restaurant: Restaurant, countryCode: str
 };
 
 /**
- * Save restaurant photos to database
+ * Save restaurant photos to database. Only Google photos are replaced:
+ * photos uploaded by the owner or users are kept, and photos already saved
+ * keep their position, cover and hidden state.
  */
 const saveRestaurantPhotos = async (restaurantId: string, photos: Photo[]): Promise<void> => {
   try {
@@ -252,26 +255,51 @@ const saveRestaurantPhotos = async (restaurantId: string, photos: Photo[]): Prom
       return;
     }
 
-    // Delete existing photos
+    // Delete Google photos the place no longer has
     await prisma.restaurantPhoto.deleteMany({
       where: {
         restaurantId,
+        source: 'google',
+        photoReference: { notIn: photos.map((photo) => photo.photo_reference) },
       },
     });
 
-    // Insert new photos
+    const { _max } = await prisma.restaurantPhoto.aggregate({
+      where: { restaurantId },
+      _max: { position: true },
+    });
+    let nextPosition = (_max.position ?? -1) + 1;
+
+    // Update saved photos and add new ones at the end
     for (const photo of photos) {
-      const photoId = uuidv4();
       const photoUrl = `https://maps.googleapis.com/maps/api/place/photo?maxwidth=${photo.width}&photoreference=${photo.photo_reference}&key=${GOOGLE_MAPS_API_KEY}`;
+      // Attributions are shown as text, so Google's links are dropped
+      const attribution =
+        (photo.html_attributions || []).map((html) => html.replace(/<[^>]*>/g, '')).join(', ') || null;
+
+      const existing = await prisma.restaurantPhoto.findFirst({
+        where: { restaurantId, source: 'google', photoReference: photo.photo_reference },
+        select: { id: true },
+      });
+      if (existing) {
+        await prisma.restaurantPhoto.update({
+          where: { id: existing.id },
+          data: { photoUrl, width: photo.width, height: photo.height, attribution },
+        });
+        continue;
+      }
 
       await prisma.restaurantPhoto.create({
         data: {
-          id: photoId,
+          id: uuidv4(),
           restaurantId,
           photoUrl,
           photoReference: photo.photo_reference,
           width: photo.width,
           height: photo.height,
+          source: 'google',
+          attribution,
+          position: nextPosition++,
         },
       });
     }
@@ -1,26 +1,45 @@
 /**
  * Typesense Dish Search Service
- * 
- * This service provides functionality to search for dishes using Typesense.
- * It includes:
- * - Searching dishes with various filters
+ *
+ * This service provides functionality to search for dishes using the dish
+ * search index. It includes:
+ * - Searching dishes with various filters, with facet counts for cuisine,
+ *   country, price range, dietary labels and dish type
  * - Getting dishes by restaurant
  * - Getting dishes by type
  * - Getting dishes by tags
- * 
- * The service uses Typesense for efficient search operations.
+ *
+ * The index is Typesense, or an in-process index when Typesense is not
+ * configured. Only available dishes are returned.
  */
 
 import { TRPCError } from '@trpc/server';
-import { 
-  searchDishes, 
-  getDishById, 
-  getDishesByRestaurantId, 
-  getDishesByType, 
-  getDishesByTags,
-  type SearchParams,
-  type DishDocument
-} from '../../utils/typesense-client.js';
+import {
+  getDishSearchIndex,
+  type DishSearchQuery,
+  type DishSearchResult,
+  type DishSearchSort,
+} from '../../utils/dish-search-index.js';
+import {
+  DISH_FACET_FIELDS,
+  type DietaryValue,
+  type PriceRangeValue,
+  type TypesenseDishDocument,
+} from '../typesense-dish-sync/typesense-dish-schema.js';
+import { ensureDishIndexReady } from '../typesense-dish-sync/index.js';
+
+/**
+ * Run a search against the index, filling it first if needed
+ * @param query The search
+ * @returns The results
+ */
+const runSearch = async (query: DishSearchQuery): Promise<DishSearchResult> => {
+  await ensureDishIndexReady();
+  return getDishSearchIndex().search({
+    ...query,
+    filters: { ...query.filters, isAvailable: true },
+  });
+};
 
 /**
  * Search dishes with various filters
@@ -30,11 +49,16 @@ export const searchDishesWithFilters = async (params: {
   dishType?: string;
   restaurantId?: string;
   tags?: string[];
+  cuisine?: string[];
+  countryCode?: string[];
+  dietary?: DietaryValue[];
+  priceRange?: PriceRangeValue[];
   priceMin?: number;
   priceMax?: number;
+  sortBy?: DishSearchSort;
   perPage?: number;
   page?: number;
-}): Promise<any> => {
+}): Promise<DishSearchResult> => {
   console.log('[searchDishesWithFilters] Starting request:', params);
 
   try {
@@ -43,62 +67,43 @@ export const searchDishesWithFilters = async (params: {
       dishType,
       restaurantId,
       tags,
+      cuisine,
+      countryCode,
+      dietary,
+      priceRange,
       priceMin,
       priceMax,
+      sortBy = 'relevance',
       perPage = 20,
       page = 1,
     } = params;
 
-    // Build filter expression
-    const filterExpressions: string[] = [];
-
-    if (dishType) {
-      filterExpressions.push(`dish_type:=${dishType}`);
-    }
-
-    if (restaurantId) {
-      filterExpressions.push(`restaurant_id:=${restaurantId}`);
-    }
-
-    if (tags && tags.length > 0) {
-      const tagFilter = tags.map((tag) => `tags:=${tag}`).join(' || ');
-      filterExpressions.push(`(${tagFilter})`);
-    }
-
-    if (priceMin !== undefined && priceMax !== undefined) {
-      filterExpressions.push(`price:>=${priceMin} && price:<=${priceMax}`);
-    } else if (priceMin !== undefined) {
-      filterExpressions.push(`price:>=${priceMin}`);
-    } else if (priceMax !== undefined) {
-      filterExpressions.push(`price:<=${priceMax}`);
-    }
-
-    // Only show available dishes by default
-    filterExpressions.push('is_available:=true');
-
-    const filterBy = filterExpressions.join(' && ');
-
-    // Build search parameters
-    const searchParams: SearchParams = {
-      q: q || '',
-      query_by: 'name,description,tags',
-      filter_by: filterBy,
-      sort_by: q ? '_text_match:desc,average_rank:desc' : 'average_rank:desc',
-      per_page: perPage,
-      page,
-    };
-
-    console.log('[searchDishesWithFilters] Search parameters:', searchParams);
-
     // Perform search
-    const results = await searchDishes(searchParams);
+    const results = await runSearch({
+      q,
+      filters: {
+        dishType,
+        restaurantId,
+        tags,
+        cuisine,
+        countryCode: countryCode?.map((code) => code.toUpperCase()),
+        dietary,
+        priceRange,
+        priceMin,
+        priceMax,
+      },
+      facetBy: DISH_FACET_FIELDS,
+      sortBy,
+      perPage,
+      page,
+    });
 
     console.log(`[searchDishesWithFilters] Found ${results.found} dishes`);
 
     return results;
   } catch (error) {
     console.error('[searchDishesWithFilters] Error searching dishes:', error);
-    
+
     throw new TRPCError({
       code: 'INTERNAL_SERVER_ERROR',
       message: error instanceof Error ? error.message : 'Error searching dishes',
@@ -109,7 +114,7 @@ export const searchDishesWithFilters = async (params: {
 /**
  * Get dish by ID
  */
-export const getDish = async (id: string): Promise<DishDocument> => {
+export const getDish = async (id: string): Promise<TypesenseDishDocument> => {
   console.log('[getDish] Starting request:', { id });
 
   try {
@@ -120,21 +125,26 @@ export const getDish = async (id: string): Promise<DishDocument> => {
       });
     }
 
-    const dish = await getDishById(id);
+    await ensureDishIndexReady();
+    const dish = await getDishSearchIndex().retrieve(id);
 
     console.log('[getDish] Found dish:', dish.name);
 
     return dish;
   } catch (error) {
     console.error('[getDish] Error getting dish:', error);
-    
+
+    if (error instanceof TRPCError) {
+      throw error;
+    }
+
     if (error instanceof Error && error.message.includes('Could not find')) {
       throw new TRPCError({
         code: 'NOT_FOUND',
         message: `Dish with ID ${id} not found`,
       });
     }
-    
+
     throw new TRPCError({
       code: 'INTERNAL_SERVER_ERROR',
       message: error instanceof Error ? error.message : 'Error getting dish',
@@ -149,7 +159,7 @@ export const getDishesByRestaurant = async (params: {
   restaurantId: string;
   limit?: number;
   page?: number;
-}): Promise<any> => {
+}): Promise<DishSearchResult> => {
   console.log('[getDishesByRestaurant] Starting request:', params);
 
   try {
@@ -162,14 +172,23 @@ export const getDishesByRestaurant = async (params: {
       });
     }
 
-    const results = await getDishesByRestaurantId(restaurantId, limit, page);
+    const results = await runSearch({
+      filters: { restaurantId },
+      sortBy: 'rank',
+      perPage: limit,
+      page,
+    });
 
     console.log(`[getDishesByRestaurant] Found ${results.found} dishes for restaurant ${restaurantId}`);
 
     return results;
   } catch (error) {
     console.error('[getDishesByRestaurant] Error getting dishes by restaurant:', error);
-    
+
+    if (error instanceof TRPCError) {
+      throw error;
+    }
+
     throw new TRPCError({
       code: 'INTERNAL_SERVER_ERROR',
       message: error instanceof Error ? error.message : 'Error getting dishes by restaurant',
@@ -184,7 +203,7 @@ export const getDishesByDishType = async (params: {
   dishType: string;
   limit?: number;
   page?: number;
-}): Promise<any> => {
+}): Promise<DishSearchResult> => {
   console.log('[getDishesByDishType] Starting request:', params);
 
   try {
@@ -197,14 +216,23 @@ export const getDishesByDishType = async (params: {
       });
     }
 
-    const results = await getDishesByType(dishType, limit, page);
+    const results = await runSearch({
+      filters: { dishType },
+      sortBy: 'rank',
+      perPage: limit,
+      page,
+    });
 
     console.log(`[getDishesByDishType] Found ${results.found} dishes of type ${dishType}`);
 
     return results;
   } catch (error) {
     console.error('[getDishesByDishType] Error getting dishes by type:', error);
-    
+
+    if (error instanceof TRPCError) {
+      throw error;
+    }
+
     throw new TRPCError({
       code: 'INTERNAL_SERVER_ERROR',
       message: error instanceof Error ? error.message : 'Error getting dishes by type',
@@ -219,7 +247,7 @@ export const getDishesByTagList = async (params: {
   tags: string[];
   limit?: number;
   page?: number;
-}): Promise<any> => {
+}): Promise<DishSearchResult> => {
   console.log('[getDishesByTagList] Starting request:', params);
 
   try {
@@ -232,14 +260,23 @@ export const getDishesByTagList = async (params: {
       });
     }
 
-    const results = await getDishesByTags(tags, limit, page);
+    const results = await runSearch({
+      filters: { tags },
+      sortBy: 'rank',
+      perPage: limit,
+      page,
+    });
 
     console.log(`[getDishesByTagList] Found ${results.found} dishes with tags ${tags.join(', ')}`);
 
     return results;
   } catch (error) {
     console.error('[getDishesByTagList] Error getting dishes by tags:', error);
-    
+
+    if (error instanceof TRPCError) {
+      throw error;
+    }
+
     throw new TRPCError({
       code: 'INTERNAL_SERVER_ERROR',
       message: error instanceof Error ? error.message : 'Error getting dishes by tags',
@@ -14,6 +14,10 @@ import {
   getDishesByDishType,
   getDishesByTagList,
 } from './index.js';
+import {
+  DIETARY_VALUES,
+  PRICE_RANGE_VALUES,
+} from '../typesense-dish-sync/typesense-dish-schema.js';
 
 export const typesenseDishSearchRouter = router({
   // Search dishes with filters
@@ -24,8 +28,13 @@ export const typesenseDishSearchRouter = router({
         dishType: z.string().optional(),
         restaurantId: z.string().optional(),
         tags: z.array(z.string()).optional(),
+        cuisine: z.array(z.string()).optional(),
+        countryCode: z.array(z.string().length(2)).optional(),
+        dietary: z.array(z.enum(DIETARY_VALUES)).optional(),
+        priceRange: z.array(z.enum(PRICE_RANGE_VALUES)).optional(),
         priceMin: z.number().optional(),
         priceMax: z.number().optional(),
+        sortBy: z.enum(['relevance', 'rank', 'price_asc', 'price_desc', 'newest']).optional(),
         perPage: z.number().min(1).max(100).optional(),
         page: z.number().min(1).optional(),
       })
@@ -36,8 +45,13 @@ export const typesenseDishSearchRouter = router({
         dishType: input.dishType,
         restaurantId: input.restaurantId,
         tags: input.tags,
+        cuisine: input.cuisine,
+        countryCode: input.countryCode,
+        dietary: input.dietary,
+        priceRange: input.priceRange,
         priceMin: input.priceMin,
         priceMax: input.priceMax,
+        sortBy: input.sortBy,
         perPage: input.perPage,
         page: input.page,
       });
@@ -116,6 +130,7 @@ export const typesenseDishSearchRouter = router({
     .query(async ({ input }) => {
       return searchDishesWithFilters({
         q: '*',
+        sortBy: 'rank',
         perPage: input.limit,
         page: input.page,
       });
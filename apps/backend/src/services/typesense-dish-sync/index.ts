@@ -1,24 +1,23 @@
 /**
  * Typesense Dish Sync Service
  *
- * This service syncs dish data from the database to Typesense.
+ * This service syncs dish data from the database to the dish search index.
  * It provides functionality to:
- * - Ensure the dishes collection exists in Typesense
- * - Sync all dishes from the database to Typesense
- * - Sync a specific dish to Typesense
- * - Delete a dish from Typesense
+ * - Ensure the dishes collection exists
+ * - Reindex all dishes from the database
+ * - Sync a specific dish, or a restaurant's dishes, after they change
+ * - Delete a dish from the index
+ * - Apply the dish events the web app sends to the dish sync queue
  *
- * The service uses Prisma ORM for database operations and Typesense for search.
+ * Dishes of deleted restaurants are left out of the index. The service uses
+ * Prisma ORM for database operations and the configured search index
+ * backend, Typesense or in-process, for search.
  */
 
 import { PrismaClient } from '@prisma/client';
 import { TRPCError } from '@trpc/server';
+import { getDishSearchIndex, type DishWriteResult } from '../../utils/dish-search-index.js';
 import {
-  getTypesenseClient,
-  type DishDocument
-} from '../../utils/typesense-client.js';
-import {
-  TYPESENSE_DISH_SCHEMA,
   formatDishForTypesense,
   type DishData,
   type TypesenseDishDocument
@@ -27,25 +26,17 @@ import {
 // Initialize Prisma client
 const prisma = new PrismaClient();
 
+// Full reindex filling an in-process index, shared by concurrent callers
+let indexWarmup: Promise<void> | null = null;
+
 /**
- * Ensure the dishes collection exists in Typesense
+ * Ensure the dishes collection exists in the search index
  */
 export const ensureCollection = async (): Promise<void> => {
   console.log('[ensureCollection] Ensuring dishes collection exists');
 
   try {
-    const client = await getTypesenseClient();
-
-    // Check if collection exists
-    try {
-      await client.collections('dishes').retrieve();
-      console.log('[ensureCollection] Dishes collection already exists');
-    } catch (error: unknown) {
-      // Collection doesn't exist, create it
-      console.log('[ensureCollection] Creating dishes collection');
-      await client.collections().create(TYPESENSE_DISH_SCHEMA);
-      console.log('[ensureCollection] Dishes collection created successfully');
-    }
+    await getDishSearchIndex().ensureCollection();
   } catch (error) {
     console.error('[ensureCollection] Error ensuring collection exists:', error);
     throw new TRPCError({
@@ -57,36 +48,47 @@ export const ensureCollection = async (): Promise<void> => {
 
 /**
  * Get dishes with rankings from the database
+ * @param filter Optionally limit to one dish or one restaurant's dishes
  */
-export const getDishesWithRankings = async (): Promise<DishData[]> => {
+export const getDishesWithRankings = async (
+  filter: { dishId?: string; restaurantId?: string } = {}
+): Promise<DishData[]> => {
+  const dishId = filter.dishId ?? null;
+  const restaurantId = filter.restaurantId ?? null;
+
   console.log('[getDishesWithRankings] Getting dishes with rankings from database');
 
   try {
-    // Get dishes with their average rankings using Prisma
     const dishes = await prisma.$queryRaw<DishData[]>`
       SELECT
-        d.id as dish_id,
-        d.restaurant_id,
-        d.name,
-        d.description,
-        d.price,
-        d.dish_type,
-        d.tags,
-        d.is_seasonal,
-        d.is_available,
-        d.created_at,
-        r.name as restaurant_name,
-        COALESCE(AVG(dr.rating), 0) as average_rank,
-        COUNT(dr.id) as ranking_count
+        d."id" AS "dishId",
+        d."restaurantId",
+        d."name",
+        d."description",
+        d."price",
+        d."dishType",
+        d."tags",
+        d."imageUrl",
+        d."isSeasonal",
+        d."isAvailable",
+        d."createdAt",
+        d."updatedAt",
+        r."name" AS "restaurantName",
+        r."cuisine",
+        r."countryCode",
+        COALESCE(AVG(dr."rating"), 0)::float AS "averageRank",
+        COUNT(dr."id")::int AS "rankingCount"
       FROM
         "Dish" d
       JOIN
-        "Restaurant" r ON d.restaurant_id = r.id
+        "Restaurant" r ON r."id" = d."restaurantId" AND r."deletedAt" IS NULL
       LEFT JOIN
-        "DishRanking" dr ON d.id = dr.dish_id
+        "DishRanking" dr ON dr."dishId" = d."id" AND dr."status" = 'active'
+      WHERE
+        (${dishId}::text IS NULL OR d."id" = ${dishId})
+        AND (${restaurantId}::text IS NULL OR d."restaurantId" = ${restaurantId})
       GROUP BY
-        d.id, d.restaurant_id, d.name, d.description, d.price,
-        d.dish_type, d.tags, d.is_seasonal, d.is_available, d.created_at, r.name
+        d."id", r."id"
     `;
 
     console.log(`[getDishesWithRankings] Retrieved ${dishes.length} dishes from database`);
@@ -101,116 +103,96 @@ export const getDishesWithRankings = async (): Promise<DishData[]> => {
 };
 
 /**
- * Sync all dishes from the database to Typesense
+ * Reindex all dishes from the database. The new index replaces the old one
+ * at once, which also drops dishes deleted since the last reindex.
  */
-export const syncAllDishes = async (): Promise<{ syncedCount: number }> => {
-  console.log('[syncAllDishes] Starting dish sync to Typesense');
+export const syncAllDishes = async (): Promise<{ syncedCount: number; backend: string }> => {
+  console.log('[syncAllDishes] Starting full dish reindex');
 
   try {
-    // Get Typesense client
-    const client = await getTypesenseClient();
-
-    // Ensure collection exists
-    await ensureCollection();
+    const index = getDishSearchIndex();
 
     // Get dishes from database
     const dishes = await getDishesWithRankings();
 
-    // Format dishes for Typesense
-    const typesenseDishes = dishes.map(formatDishForTypesense);
-
-    // Batch size for import
-    const BATCH_SIZE = 100;
+    // Format dishes for the index
+    const documents = dishes.map(formatDishForTypesense);
 
-    // Import dishes in batches
-    for (let i = 0; i < typesenseDishes.length; i += BATCH_SIZE) {
-      const batch = typesenseDishes.slice(i, i + BATCH_SIZE);
-      console.log(`[syncAllDishes] Importing batch ${i / BATCH_SIZE + 1} (${batch.length} dishes)`);
-
-      await client.collections('dishes').documents().import(batch, { action: 'upsert' });
-    }
+    await index.replaceAll(documents);
 
-    console.log(`[syncAllDishes] Successfully synced ${typesenseDishes.length} dishes to Typesense`);
+    console.log(`[syncAllDishes] Successfully reindexed ${documents.length} dishes in ${index.name}`);
 
     return {
-      syncedCount: typesenseDishes.length,
+      syncedCount: documents.length,
+      backend: index.name,
     };
   } catch (error) {
-    console.error('[syncAllDishes] Error syncing dishes to Typesense:', error);
+    console.error('[syncAllDishes] Error reindexing dishes:', error);
+
+    if (error instanceof TRPCError) {
+      throw error;
+    }
+
     throw new TRPCError({
       code: 'INTERNAL_SERVER_ERROR',
-      message: error instanceof Error ? error.message : 'Error syncing dishes to Typesense',
+      message: error instanceof Error ? error.message : 'Error reindexing dishes',
     });
   }
 };
 
 /**
- * Sync a specific dish to Typesense
+ * Fill the search index if it starts empty, as the in-process index does
+ * after a restart. Searches call this before querying.
+ */
+export const ensureDishIndexReady = async (): Promise<void> => {
+  if (!getDishSearchIndex().needsFullSync()) {
+    return;
+  }
+
+  if (!indexWarmup) {
+    indexWarmup = syncAllDishes()
+      .then(() => undefined)
+      .finally(() => {
+        indexWarmup = null;
+      });
+  }
+  await indexWarmup;
+};
+
+/**
+ * Sync a specific dish to the search index. A dish that no longer exists,
+ * or whose restaurant was deleted, is removed from the index.
  */
 export const syncDish = async (dishId: string): Promise<TypesenseDishDocument> => {
-  console.log(`[syncDish] Syncing dish ${dishId} to Typesense`);
+  console.log(`[syncDish] Syncing dish ${dishId} to the search index`);
 
   try {
-    // Get Typesense client
-    const client = await getTypesenseClient();
-
-    // Ensure collection exists
-    await ensureCollection();
+    const index = getDishSearchIndex();
 
     // Get dish from database
-    const dishData = await prisma.$queryRaw<DishData[]>`
-      SELECT
-        d.id as dish_id,
-        d.restaurant_id,
-        d.name,
-        d.description,
-        d.price,
-        d.dish_type,
-        d.tags,
-        d.is_seasonal,
-        d.is_available,
-        d.created_at,
-        r.name as restaurant_name,
-        COALESCE(AVG(dr.rating), 0) as average_rank,
-        COUNT(dr.id) as ranking_count
-      FROM
-        "Dish" d
-      JOIN
-        "Restaurant" r ON d.restaurant_id = r.id
-      LEFT JOIN
-        "DishRanking" dr ON d.id = dr.dish_id
-      WHERE
-        d.id = ${dishId}
-      GROUP BY
-        d.id, d.restaurant_id, d.name, d.description, d.price,
-        d.dish_type, d.tags, d.is_seasonal, d.is_available, d.created_at, r.name
-    `;
-
-    if (!dishData || dishData.length === 0) {
-      throw new TRPCError({
-        code: 'NOT_FOUND',
-        message: `Dish with ID ${dishId} not found`,
-      });
-    }
+    const dishData = await getDishesWithRankings({ dishId });
 
-    // Format dish for Typesense
     const dishToFormat = dishData[0];
     if (!dishToFormat) {
+      await index.delete(dishId);
       throw new TRPCError({
         code: 'NOT_FOUND',
         message: `Dish with ID ${dishId} not found`,
       });
     }
-    const typesenseDish = formatDishForTypesense(dishToFormat);
+    const document = formatDishForTypesense(dishToFormat);
 
-    // Upsert dish in Typesense
-    await client.collections('dishes').documents().upsert(typesenseDish);
+    // Upsert dish in the index
+    const [result] = await index.upsert([document]);
+    if (!result?.success) {
+      throw new Error(result?.error || `Error indexing dish ${dishId}`);
+    }
 
-    console.log(`[syncDish] Successfully synced dish ${dishId} to Typesense`);
+    console.log(`[syncDish] Successfully synced dish ${dishId} to the search index`);
 
-    return typesenseDish;
+    return document;
   } catch (error) {
-    console.error(`[syncDish] Error syncing dish ${dishId} to Typesense:`, error);
+    console.error(`[syncDish] Error syncing dish ${dishId} to the search index:`, error);
 
     if (error instanceof TRPCError) {
       throw error;
@@ -218,43 +200,157 @@ export const syncDish = async (dishId: string): Promise<TypesenseDishDocument> =
 
     throw new TRPCError({
       code: 'INTERNAL_SERVER_ERROR',
-      message: error instanceof Error ? error.message : `Error syncing dish ${dishId} to Typesense`,
+      message: error instanceof Error ? error.message : `Error syncing dish ${dishId} to the search index`,
     });
   }
 };
 
 /**
- * Delete a dish from Typesense
+ * Delete a dish from the search index. Deleting a dish that is not indexed
+ * succeeds.
  */
 export const deleteDish = async (dishId: string): Promise<{ success: boolean }> => {
-  console.log(`[deleteDish] Deleting dish ${dishId} from Typesense`);
+  console.log(`[deleteDish] Deleting dish ${dishId} from the search index`);
 
   try {
-    // Get Typesense client
-    const client = await getTypesenseClient();
+    await getDishSearchIndex().delete(dishId);
 
-    // Delete dish from Typesense
-    await client.collections('dishes').documents(dishId).delete();
-
-    console.log(`[deleteDish] Successfully deleted dish ${dishId} from Typesense`);
+    console.log(`[deleteDish] Successfully deleted dish ${dishId} from the search index`);
 
     return {
       success: true,
     };
   } catch (error) {
-    console.error(`[deleteDish] Error deleting dish ${dishId} from Typesense:`, error);
-
-    // If the error is that the document was not found, consider it a success
-    if (error instanceof Error && error.message.includes('Could not find')) {
-      console.log(`[deleteDish] Dish ${dishId} not found in Typesense, considering deletion successful`);
-      return {
-        success: true,
-      };
+    console.error(`[deleteDish] Error deleting dish ${dishId} from the search index:`, error);
+
+    throw new TRPCError({
+      code: 'INTERNAL_SERVER_ERROR',
+      message: error instanceof Error ? error.message : `Error deleting dish ${dishId} from the search index`,
+    });
+  }
+};
+
+/**
+ * Sync all dishes of a restaurant, removing indexed dishes it no longer
+ * has. A deleted restaurant loses all its dishes from the index.
+ */
+export const syncDishesByRestaurantId = async (
+  restaurantId: string
+): Promise<{
+  restaurantId: string;
+  totalDishes: number;
+  syncedDishes: number;
+  failedDishes: number;
+  removedDishes: number;
+  results: DishWriteResult[];
+}> => {
+  console.log(`[syncDishesByRestaurantId] Syncing dishes of restaurant ${restaurantId}`);
+
+  try {
+    const index = getDishSearchIndex();
+
+    const dishes = await getDishesWithRankings({ restaurantId });
+    const results = await index.upsert(dishes.map(formatDishForTypesense));
+    const removedDishes = await index.deleteRestaurantDishes(
+      restaurantId,
+      dishes.map((dish) => dish.dishId)
+    );
+
+    console.log(
+      `[syncDishesByRestaurantId] Synced ${dishes.length} and removed ${removedDishes} dishes of restaurant ${restaurantId}`
+    );
+
+    return {
+      restaurantId,
+      totalDishes: dishes.length,
+      syncedDishes: results.filter((result) => result.success).length,
+      failedDishes: results.filter((result) => !result.success).length,
+      removedDishes,
+      results,
+    };
+  } catch (error) {
+    console.error(`[syncDishesByRestaurantId] Error syncing dishes of restaurant ${restaurantId}:`, error);
+
+    if (error instanceof TRPCError) {
+      throw error;
     }
 
     throw new TRPCError({
       code: 'INTERNAL_SERVER_ERROR',
-      message: error instanceof Error ? error.message : `Error deleting dish ${dishId} from Typesense`,
+      message: error instanceof Error ? error.message : `Error syncing dishes of restaurant ${restaurantId}`,
     });
   }
 };
+
+/**
+ * Apply a dish change to the search index
+ */
+export const handleDishEvent = async (
+  eventType: 'created' | 'updated' | 'deleted',
+  dishId: string
+): Promise<{ success: boolean }> => {
+  if (eventType === 'deleted') {
+    return deleteDish(dishId);
+  }
+
+  try {
+    await syncDish(dishId);
+  } catch (error) {
+    // The dish was deleted after the event was sent, and syncDish removed it
+    if (error instanceof TRPCError && error.code === 'NOT_FOUND') {
+      return { success: true };
+    }
+    throw error;
+  }
+  return { success: true };
+};
+
+/**
+ * Dish event types sent by the web app, and the change each one applies
+ */
+const DISH_EVENT_CHANGES = {
+  DishCreated: 'created',
+  DishUpdated: 'updated',
+  DishDeleted: 'deleted',
+} as const;
+
+// A message from the dish sync queue, as delivered to Lambda
+export interface DishSyncRecord {
+  messageId: string;
+  body: string;
+}
+
+export interface DishSyncEvent {
+  Records: DishSyncRecord[];
+}
+
+/**
+ * Apply a batch of dish events from the dish sync queue. Each message body
+ * holds an eventType and a detail with the dishId. Failed messages are
+ * reported so the queue redelivers only those.
+ */
+export const processBatch = async (
+  event: DishSyncEvent
+): Promise<{ batchItemFailures: { itemIdentifier: string }[] }> => {
+  console.log(`[processBatch] Applying ${event.Records.length} dish events`);
+
+  const batchItemFailures: { itemIdentifier: string }[] = [];
+
+  for (const record of event.Records) {
+    try {
+      const message = JSON.parse(record.body);
+      const change = DISH_EVENT_CHANGES[message.eventType as keyof typeof DISH_EVENT_CHANGES];
+      const dishId = message.detail?.dishId;
+      if (!change || typeof dishId !== 'string') {
+        throw new Error(`Unsupported dish event: ${message.eventType}`);
+      }
+
+      await handleDishEvent(change, dishId);
+    } catch (error) {
+      console.error(`[processBatch] Error applying dish event ${record.messageId}:`, error);
+      batchItemFailures.push({ itemIdentifier: record.messageId });
+    }
+  }
+
+  return { batchItemFailures };
+};
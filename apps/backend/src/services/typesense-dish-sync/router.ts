@@ -12,6 +12,9 @@ import {
   syncAllDishes,
   syncDish,
   deleteDish,
+  syncDishesByRestaurantId,
+  handleDishEvent,
+  processBatch,
 } from './index.js';
 
 export const typesenseDishSyncRouter = router({
@@ -24,7 +27,7 @@ export const typesenseDishSyncRouter = router({
       };
     }),
 
-  // Sync all dishes from the database to Typesense
+  // Reindex all dishes from the database
   syncAllDishes: protectedProcedure
     .mutation(async () => {
       return syncAllDishes();
@@ -59,41 +62,8 @@ export const typesenseDishSyncRouter = router({
         restaurantId: z.string(),
       })
     )
-    .mutation(async ({ input, ctx }) => {
-      // Get all dishes for the restaurant
-      const dishes = await ctx.prisma.dish.findMany({
-        where: {
-          restaurantId: input.restaurantId,
-        },
-      });
-
-      // Sync each dish
-      const results = await Promise.all(
-        dishes.map(async (dish: any) => {
-          try {
-            const result = await syncDish(dish.id);
-            return {
-              dishId: dish.id,
-              success: true,
-              data: result,
-            };
-          } catch (error) {
-            return {
-              dishId: dish.id,
-              success: false,
-              error: error instanceof Error ? error.message : 'Unknown error',
-            };
-          }
-        })
-      );
-
-      return {
-        restaurantId: input.restaurantId,
-        totalDishes: dishes.length,
-        syncedDishes: results.filter((r: any) => r.success).length,
-        failedDishes: results.filter((r: any) => !r.success).length,
-        results,
-      };
+    .mutation(async ({ input }) => {
+      return syncDishesByRestaurantId(input.restaurantId);
     }),
 
   // Handle dish event (create, update, delete)
@@ -105,13 +75,22 @@ export const typesenseDishSyncRouter = router({
       })
     )
     .mutation(async ({ input }) => {
-      const { eventType, dishId } = input;
+      return handleDishEvent(input.eventType, input.dishId);
+    }),
 
-      if (eventType === 'deleted') {
-        return deleteDish(dishId);
-      } else {
-        // For created or updated events, sync the dish
-        return syncDish(dishId);
-      }
+  // Apply a batch of dish events from the dish sync queue
+  processBatch: publicProcedure
+    .input(
+      z.object({
+        Records: z.array(
+          z.object({
+            messageId: z.string(),
+            body: z.string(),
+          }).passthrough()
+        ),
+      })
+    )
+    .mutation(async ({ input }) => {
+      return processBatch(input);
     }),
 });
@@ -5,27 +5,102 @@
  * and provides utility functions for formatting dish data.
  */
 
+/**
+ * Name searches use for the dishes collection. In Typesense it is an alias
+ * pointing at the collection built by the latest full reindex.
+ */
+export const DISH_COLLECTION_NAME = 'dishes';
+
+/**
+ * Dietary labels a dish can be filtered and faceted by, keyed by the
+ * normalised tags that imply them. A vegan dish is vegetarian too.
+ */
+export const DIETARY_TAGS: Record<string, string[]> = {
+  vegetarian: ['vegetarian'],
+  veg: ['vegetarian'],
+  vegan: ['vegan', 'vegetarian'],
+  'plant-based': ['vegan', 'vegetarian'],
+  halal: ['halal'],
+  kosher: ['kosher'],
+  'gluten-free': ['gluten-free'],
+  'dairy-free': ['dairy-free'],
+  'nut-free': ['nut-free'],
+  pescatarian: ['pescatarian'],
+};
+
+/**
+ * Dietary labels, in display order
+ */
+export const DIETARY_VALUES = [
+  'vegetarian',
+  'vegan',
+  'halal',
+  'kosher',
+  'gluten-free',
+  'dairy-free',
+  'nut-free',
+  'pescatarian',
+] as const;
+
+/**
+ * Price buckets used for the price facet. Prices are in the restaurant's
+ * local currency, so the buckets are coarse.
+ */
+export const PRICE_RANGES = [
+  { value: 'under-10', min: 0, max: 10 },
+  { value: '10-20', min: 10, max: 20 },
+  { value: '20-50', min: 20, max: 50 },
+  { value: '50-plus', min: 50, max: Infinity },
+] as const;
+
+export const PRICE_RANGE_VALUES = ['under-10', '10-20', '20-50', '50-plus'] as const;
+
+export type DietaryValue = (typeof DIETARY_VALUES)[number];
+export type PriceRangeValue = (typeof PRICE_RANGE_VALUES)[number];
+
+/**
+ * Fields every search returns facet counts for
+ */
+export const DISH_FACET_FIELDS = [
+  'cuisine',
+  'country_code',
+  'price_range',
+  'dietary',
+  'dish_type',
+] as const;
+
+export type DishFacetField = (typeof DISH_FACET_FIELDS)[number];
+
+/**
+ * Fields the search text is matched against, most important first
+ */
+export const DISH_QUERY_FIELDS = ['name', 'tags', 'cuisine', 'restaurant_name', 'description'] as const;
+
 /**
  * Typesense dish schema
  */
 export const TYPESENSE_DISH_SCHEMA = {
-  name: 'dishes',
+  name: DISH_COLLECTION_NAME,
   fields: [
     { name: 'id', type: 'string' as const },
     { name: 'name', type: 'string' as const },
     { name: 'description', type: 'string' as const, optional: true },
-    { name: 'dish_type', type: 'string' as const },
+    { name: 'dish_type', type: 'string' as const, facet: true, optional: true },
     { name: 'restaurant_id', type: 'string' as const },
     { name: 'restaurant_name', type: 'string' as const },
-    { name: 'price', type: 'float' as const },
-    { name: 'tags', type: 'string[]' as const, optional: true },
-    { name: 'image_url', type: 'string' as const, optional: true },
+    { name: 'cuisine', type: 'string' as const, facet: true, optional: true },
+    { name: 'country_code', type: 'string' as const, facet: true },
+    { name: 'price', type: 'float' as const, optional: true },
+    { name: 'price_range', type: 'string' as const, facet: true, optional: true },
+    { name: 'tags', type: 'string[]' as const, facet: true, optional: true },
+    { name: 'dietary', type: 'string[]' as const, facet: true, optional: true },
+    { name: 'image_url', type: 'string' as const, optional: true, index: false },
     { name: 'average_rank', type: 'float' as const },
     { name: 'ranking_count', type: 'int32' as const },
     { name: 'is_available', type: 'bool' as const },
     { name: 'is_seasonal', type: 'bool' as const, optional: true },
-    { name: 'created_at', type: 'string' as const },
-    { name: 'updated_at', type: 'string' as const, optional: true },
+    { name: 'created_at', type: 'int64' as const },
+    { name: 'updated_at', type: 'int64' as const },
   ],
   default_sorting_field: 'average_rank',
 };
@@ -34,21 +109,23 @@ export const TYPESENSE_DISH_SCHEMA = {
  * Dish data interface from database
  */
 export interface DishData {
-  dish_id: string;
-  restaurant_id: string;
+  dishId: string;
+  restaurantId: string;
   name: string;
-  description?: string;
-  price: number;
-  dish_type: string;
-  tags?: string[];
-  is_seasonal?: boolean;
-  is_available: boolean;
-  created_at: string;
-  restaurant_name: string;
-  average_rank: number;
-  ranking_count: number;
-  image_url?: string;
-  updated_at?: string;
+  description: string | null;
+  price: number | null;
+  dishType: string | null;
+  tags: string[] | null;
+  imageUrl: string | null;
+  isSeasonal: boolean;
+  isAvailable: boolean;
+  createdAt: Date | string;
+  updatedAt: Date | string;
+  restaurantName: string;
+  cuisine: string | null;
+  countryCode: string;
+  averageRank: number;
+  rankingCount: number;
 }
 
 /**
@@ -58,41 +135,82 @@ export interface TypesenseDishDocument {
   id: string;
   name: string;
   description?: string;
-  dish_type: string;
+  dish_type?: string;
   restaurant_id: string;
   restaurant_name: string;
-  price: number;
-  tags?: string[];
+  cuisine?: string;
+  country_code: string;
+  price?: number;
+  price_range?: PriceRangeValue;
+  tags: string[];
+  dietary: DietaryValue[];
   image_url?: string;
   average_rank: number;
   ranking_count: number;
   is_available: boolean;
-  is_seasonal?: boolean;
-  created_at: string;
-  updated_at?: string;
+  is_seasonal: boolean;
+  created_at: number;
+  updated_at: number;
 }
 
 /**
- * Format dish data for Typesense
+ * Normalise a tag for comparison, e.g. "Gluten Free" to "gluten-free"
+ * @param tag The tag
+ * @returns The normalised tag
+ */
+export function normalizeTag(tag: string): string {
+  return tag.trim().toLowerCase().replace(/[\s_]+/g, '-');
+}
+
+/**
+ * Work out the dietary labels implied by a dish's tags
+ * @param tags The dish's tags
+ * @returns The dietary labels, in display order
+ */
+export function getDietaryLabels(tags: string[]): DietaryValue[] {
+  const labels = new Set(tags.flatMap((tag) => DIETARY_TAGS[normalizeTag(tag)] || []));
+  return DIETARY_VALUES.filter((value) => labels.has(value));
+}
+
+/**
+ * Get the price bucket a price falls in
+ * @param price The price, if known
+ * @returns The bucket, or undefined without a price
+ */
+export function getPriceRange(price: number | null | undefined): PriceRangeValue | undefined {
+  if (price === null || price === undefined || price < 0) {
+    return undefined;
+  }
+  return PRICE_RANGES.find((range) => price >= range.min && price < range.max)?.value;
+}
+
+/**
+ * Format dish data for Typesense. Optional fields without a value are left
+ * out, as Typesense rejects nulls.
  * @param dish Dish data from database
  * @returns Formatted dish data for Typesense
  */
 export function formatDishForTypesense(dish: DishData): TypesenseDishDocument {
+  const tags = dish.tags || [];
+
   return {
-    id: dish.dish_id,
+    id: dish.dishId,
     name: dish.name,
-    description: dish.description || '',
-    dish_type: dish.dish_type,
-    restaurant_id: dish.restaurant_id,
-    restaurant_name: dish.restaurant_name || '',
-    price: dish.price || 0,
-    tags: dish.tags || [],
-    image_url: dish.image_url || '',
-    average_rank: dish.average_rank || 0,
-    ranking_count: dish.ranking_count || 0,
-    is_available: dish.is_available || false,
-    is_seasonal: dish.is_seasonal || false,
-    created_at: dish.created_at,
-    updated_at: dish.updated_at,
+    ...(dish.description ? { description: dish.description } : {}),
+    ...(dish.dishType ? { dish_type: dish.dishType } : {}),
+    restaurant_id: dish.restaurantId,
+    restaurant_name: dish.restaurantName || '',
+    ...(dish.cuisine ? { cuisine: dish.cuisine } : {}),
+    country_code: dish.countryCode,
+    ...(dish.price !== null ? { price: dish.price, price_range: getPriceRange(dish.price) } : {}),
+    tags,
+    dietary: getDietaryLabels(tags),
+    ...(dish.imageUrl ? { image_url: dish.imageUrl } : {}),
+    average_rank: Number(dish.averageRank) || 0,
+    ranking_count: Number(dish.rankingCount) || 0,
+    is_available: dish.isAvailable,
+    is_seasonal: dish.isSeasonal,
+    created_at: new Date(dish.createdAt).getTime(),
+    updated_at: new Date(dish.updatedAt).getTime(),
   };
 }
@@ -0,0 +1,146 @@
+/**
+ * Dish Search Index
+ *
+ * This utility defines the search index the dish search and sync services
+ * use, and picks its backend. Typesense is used when it is configured; the
+ * in-process index lets the services run without a Typesense server, e.g.
+ * in local development. Set DISH_SEARCH_BACKEND to "typesense" or "memory"
+ * to choose explicitly.
+ */
+
+import type {
+  DietaryValue,
+  DishFacetField,
+  PriceRangeValue,
+  TypesenseDishDocument,
+} from '../services/typesense-dish-sync/typesense-dish-schema.js';
+import { InMemoryDishSearchIndex } from './memory-dish-index.js';
+import { TypesenseDishSearchIndex } from './typesense-dish-index.js';
+
+/**
+ * Filters a dish search can apply. Values within a list match any of them,
+ * except dietary labels, which a dish must all have.
+ */
+export interface DishSearchFilters {
+  restaurantId?: string;
+  dishType?: string;
+  tags?: string[];
+  cuisine?: string[];
+  countryCode?: string[];
+  dietary?: DietaryValue[];
+  priceRange?: PriceRangeValue[];
+  priceMin?: number;
+  priceMax?: number;
+  isAvailable?: boolean;
+}
+
+export type DishSearchSort = 'relevance' | 'rank' | 'price_asc' | 'price_desc' | 'newest';
+
+/**
+ * A dish search. Empty text or "*" matches every dish.
+ */
+export interface DishSearchQuery {
+  q?: string;
+  filters?: DishSearchFilters;
+  facetBy?: readonly DishFacetField[];
+  sortBy?: DishSearchSort;
+  page?: number;
+  perPage?: number;
+}
+
+/**
+ * Facet counts in the shape Typesense returns them
+ */
+export interface DishFacetCount {
+  field_name: DishFacetField;
+  counts: Array<{ value: string; count: number; highlighted: string }>;
+}
+
+/**
+ * Search results in the shape Typesense returns them
+ */
+export interface DishSearchResult {
+  found: number;
+  out_of: number;
+  page: number;
+  hits: Array<{ document: TypesenseDishDocument; text_match: number }>;
+  facet_counts: DishFacetCount[];
+  request_params: { q: string; per_page: number };
+  search_time_ms: number;
+}
+
+/**
+ * Outcome of writing one document
+ */
+export interface DishWriteResult {
+  id: string;
+  success: boolean;
+  error?: string;
+}
+
+/**
+ * A dish search backend
+ */
+export interface DishSearchIndex {
+  /** Backend name, for logs and responses */
+  readonly name: 'typesense' | 'memory';
+
+  /** Whether the index is empty until a full reindex fills it, as after a restart */
+  needsFullSync(): boolean;
+
+  /** Create the dishes collection if it does not exist */
+  ensureCollection(): Promise<void>;
+
+  /** Search the dishes */
+  search(query: DishSearchQuery): Promise<DishSearchResult>;
+
+  /** Get a dish; throws "Could not find a document with id: <id>" when missing */
+  retrieve(id: string): Promise<TypesenseDishDocument>;
+
+  /** Insert or replace dishes */
+  upsert(documents: TypesenseDishDocument[]): Promise<DishWriteResult[]>;
+
+  /** Remove a dish; removing a missing dish is not an error */
+  delete(id: string): Promise<void>;
+
+  /** Remove a restaurant's dishes other than the ones given */
+  deleteRestaurantDishes(restaurantId: string, keepIds: string[]): Promise<number>;
+
+  /** Replace every dish at once, so searches never see a half-built index */
+  replaceAll(documents: TypesenseDishDocument[]): Promise<void>;
+}
+
+// Cache for the index so every service shares one backend
+let dishSearchIndexCache: DishSearchIndex | null = null;
+
+/**
+ * Get the configured dish search backend
+ * @returns DishSearchIndex instance
+ */
+export function getDishSearchIndex(): DishSearchIndex {
+  if (dishSearchIndexCache) {
+    return dishSearchIndexCache;
+  }
+
+  const backend =
+    process.env.DISH_SEARCH_BACKEND ||
+    (process.env.TYPESENSE_HOST || process.env.NODE_ENV === 'production' ? 'typesense' : 'memory');
+
+  if (backend !== 'typesense' && backend !== 'memory') {
+    throw new Error(`Unknown dish search backend: ${backend}`);
+  }
+
+  dishSearchIndexCache =
+    backend === 'typesense' ? new TypesenseDishSearchIndex() : new InMemoryDishSearchIndex();
+  console.log(`[getDishSearchIndex] Using ${backend} dish search backend`);
+
+  return dishSearchIndexCache;
+}
+
+/**
+ * Reset the dish search index cache
+ * Useful for testing or when configuration changes
+ */
+export function resetDishSearchIndexCache(): void {
+  dishSearchIndexCache = null;
+}
@@ -0,0 +1,317 @@
+/**
+ * In-Memory Dish Search Index
+ *
+ * This utility implements the dish search index inside the backend process,
+ * for running without a Typesense server. It follows Typesense's behaviour
+ * closely enough for development: every search word must match a word in
+ * the dish, the last word may be a prefix, and words of 4 or more letters
+ * may have a typo (2 from 7 letters). The index lives in memory, so it is
+ * empty after a restart until a full reindex fills it.
+ */
+
+import {
+  DISH_QUERY_FIELDS,
+  type DishFacetField,
+  type TypesenseDishDocument,
+} from '../services/typesense-dish-sync/typesense-dish-schema.js';
+import type {
+  DishFacetCount,
+  DishSearchFilters,
+  DishSearchIndex,
+  DishSearchQuery,
+  DishSearchResult,
+  DishWriteResult,
+} from './dish-search-index.js';
+
+// How much a match in each of DISH_QUERY_FIELDS counts
+const FIELD_WEIGHTS: Record<(typeof DISH_QUERY_FIELDS)[number], number> = {
+  name: 5,
+  tags: 3,
+  cuisine: 2,
+  restaurant_name: 1,
+  description: 1,
+};
+
+// Shortest words allowed one and two typos, as in Typesense
+const MIN_LENGTH_ONE_TYPO = 4;
+const MIN_LENGTH_TWO_TYPOS = 7;
+
+// Most values returned per facet
+const MAX_FACET_VALUES = 20;
+
+interface IndexedDish {
+  document: TypesenseDishDocument;
+  words: Array<{ field: (typeof DISH_QUERY_FIELDS)[number]; word: string }>;
+}
+
+/**
+ * Split text into lowercase words without accents
+ * @param text The text
+ * @returns The words
+ */
+const tokenize = (text: string): string[] =>
+  text
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .match(/[\p{L}\p{N}]+/gu) || [];
+
+/**
+ * Count the edits between two words, giving up above a limit
+ * @param a The first word
+ * @param b The second word
+ * @param limit The most edits of interest
+ * @returns The edits, with swapped neighbours counting as one, or limit + 1
+ */
+function editDistance(a: string, b: string, limit: number): number {
+  if (Math.abs(a.length - b.length) > limit) {
+    return limit + 1;
+  }
+
+  let previousRow: number[] = [];
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const beforeRow = previousRow;
+    previousRow = row;
+    row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let distance = Math.min(previousRow[j]! + 1, row[j - 1]! + 1, previousRow[j - 1]! + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distance = Math.min(distance, beforeRow[j - 2]! + 1);
+      }
+      row[j] = distance;
+      rowMin = Math.min(rowMin, distance);
+    }
+    if (rowMin > limit) {
+      return limit + 1;
+    }
+  }
+  return row[b.length]!;
+}
+
+/**
+ * Score how well a search word matches a dish word
+ * @param searchWord The search word
+ * @param word The dish word
+ * @param allowPrefix Whether the search word may be the start of the dish word
+ * @returns 3 for the same word, 2 for a prefix, less for typos, 0 for no match
+ */
+function scoreWord(searchWord: string, word: string, allowPrefix: boolean): number {
+  if (searchWord === word) {
+    return 3;
+  }
+  if (allowPrefix && word.startsWith(searchWord)) {
+    return 2;
+  }
+
+  const allowedTypos =
+    searchWord.length >= MIN_LENGTH_TWO_TYPOS ? 2 : searchWord.length >= MIN_LENGTH_ONE_TYPO ? 1 : 0;
+  if (allowedTypos === 0) {
+    return 0;
+  }
+  // A prefix with a typo may be a letter shorter or longer than the search word
+  const candidates = allowPrefix
+    ? [word, ...[-1, 0, 1].map((extra) => word.slice(0, searchWord.length + extra))]
+    : [word];
+  const typos = Math.min(...candidates.map((candidate) => editDistance(searchWord, candidate, allowedTypos)));
+  return typos <= allowedTypos ? 1.5 - typos * 0.5 : 0;
+}
+
+/**
+ * Check whether a dish passes search filters
+ * @param document The dish
+ * @param filters The filters
+ * @returns Whether it passes
+ */
+function matchesFilters(document: TypesenseDishDocument, filters: DishSearchFilters): boolean {
+  const anyOf = (values: string[] | undefined, value: string | undefined) =>
+    !values || values.length === 0 || (value !== undefined && values.includes(value));
+
+  return (
+    (!filters.restaurantId || document.restaurant_id === filters.restaurantId) &&
+    (!filters.dishType || document.dish_type === filters.dishType) &&
+    (!filters.tags || filters.tags.length === 0 || filters.tags.some((tag) => document.tags.includes(tag))) &&
+    anyOf(filters.cuisine, document.cuisine) &&
+    anyOf(filters.countryCode, document.country_code) &&
+    anyOf(filters.priceRange, document.price_range) &&
+    (filters.dietary || []).every((label) => document.dietary.includes(label)) &&
+    (filters.priceMin === undefined || (document.price !== undefined && document.price >= filters.priceMin)) &&
+    (filters.priceMax === undefined || (document.price !== undefined && document.price <= filters.priceMax)) &&
+    (filters.isAvailable === undefined || document.is_available === filters.isAvailable)
+  );
+}
+
+/**
+ * Count the values of facet fields across dishes
+ * @param documents The dishes
+ * @param fields The facet fields
+ * @returns The counts, most common first
+ */
+function countFacets(documents: TypesenseDishDocument[], fields: readonly DishFacetField[]): DishFacetCount[] {
+  return fields.map((field) => {
+    const counts = new Map<string, number>();
+    for (const document of documents) {
+      const value = document[field];
+      for (const item of Array.isArray(value) ? value : value === undefined ? [] : [value]) {
+        counts.set(item, (counts.get(item) || 0) + 1);
+      }
+    }
+
+    return {
+      field_name: field,
+      counts: [...counts]
+        .sort(([valueA, countA], [valueB, countB]) => countB - countA || valueA.localeCompare(valueB))
+        .slice(0, MAX_FACET_VALUES)
+        .map(([value, count]) => ({ value, count, highlighted: value })),
+    };
+  });
+}
+
+export class InMemoryDishSearchIndex implements DishSearchIndex {
+  readonly name = 'memory' as const;
+
+  private dishes = new Map<string, IndexedDish>();
+
+  private loaded = false;
+
+  needsFullSync(): boolean {
+    return !this.loaded;
+  }
+
+  async ensureCollection(): Promise<void> {
+    // Nothing to create
+  }
+
+  /**
+   * Split a dish's searchable fields into words
+   * @param document The dish
+   * @returns The dish with its words
+   */
+  private indexDish(document: TypesenseDishDocument): IndexedDish {
+    const words = DISH_QUERY_FIELDS.flatMap((field) => {
+      const value = document[field];
+      const text = Array.isArray(value) ? value.join(' ') : value || '';
+      return tokenize(text).map((word) => ({ field, word }));
+    });
+    return { document, words };
+  }
+
+  /**
+   * Score a dish against search words
+   * @param dish The dish
+   * @param searchWords The search words
+   * @returns The score, or 0 when a word does not match
+   */
+  private scoreDish(dish: IndexedDish, searchWords: string[]): number {
+    let total = 0;
+    for (const [position, searchWord] of searchWords.entries()) {
+      const allowPrefix = position === searchWords.length - 1;
+      let best = 0;
+      for (const { field, word } of dish.words) {
+        best = Math.max(best, scoreWord(searchWord, word, allowPrefix) * FIELD_WEIGHTS[field]);
+      }
+      if (best === 0) {
+        return 0;
+      }
+      total += best;
+    }
+    return total;
+  }
+
+  async search(query: DishSearchQuery): Promise<DishSearchResult> {
+    const startedAt = Date.now();
+    const text = query.q?.trim() || '*';
+    const searchWords = text === '*' ? [] : tokenize(text);
+    const filters = query.filters || {};
+    const page = query.page || 1;
+    const perPage = query.perPage || 20;
+
+    const matches: Array<{ document: TypesenseDishDocument; text_match: number }> = [];
+    for (const dish of this.dishes.values()) {
+      if (!matchesFilters(dish.document, filters)) {
+        continue;
+      }
+      const score = searchWords.length > 0 ? this.scoreDish(dish, searchWords) : 0;
+      if (searchWords.length === 0 || score > 0) {
+        matches.push({ document: dish.document, text_match: Math.round(score * 1000) });
+      }
+    }
+
+    const byRank = (a: TypesenseDishDocument, b: TypesenseDishDocument) =>
+      b.average_rank - a.average_rank || b.ranking_count - a.ranking_count;
+    const byPrice = (a: TypesenseDishDocument, b: TypesenseDishDocument, direction: number) =>
+      a.price === undefined ? (b.price === undefined ? 0 : 1) : b.price === undefined ? -1 : (a.price - b.price) * direction;
+
+    matches.sort((a, b) => {
+      let order: number;
+      switch (query.sortBy) {
+        case 'price_asc':
+          order = byPrice(a.document, b.document, 1) || byRank(a.document, b.document);
+          break;
+        case 'price_desc':
+          order = byPrice(a.document, b.document, -1) || byRank(a.document, b.document);
+          break;
+        case 'newest':
+          order = b.document.created_at - a.document.created_at;
+          break;
+        case 'rank':
+          order = byRank(a.document, b.document);
+          break;
+        default:
+          order = b.text_match - a.text_match || byRank(a.document, b.document);
+      }
+      return order || a.document.id.localeCompare(b.document.id);
+    });
+
+    return {
+      found: matches.length,
+      out_of: this.dishes.size,
+      page,
+      hits: matches.slice((page - 1) * perPage, page * perPage),
+      facet_counts: countFacets(
+        matches.map((match) => match.document),
+        query.facetBy || []
+      ),
+      request_params: { q: text, per_page: perPage },
+      search_time_ms: Date.now() - startedAt,
+    };
+  }
+
+  async retrieve(id: string): Promise<TypesenseDishDocument> {
+    const dish = this.dishes.get(id);
+    if (!dish) {
+      throw new Error(`Could not find a document with id: ${id}`);
+    }
+    return dish.document;
+  }
+
+  async upsert(documents: TypesenseDishDocument[]): Promise<DishWriteResult[]> {
+    for (const document of documents) {
+      this.dishes.set(document.id, this.indexDish(document));
+    }
+    return documents.map((document) => ({ id: document.id, success: true }));
+  }
+
+  async delete(id: string): Promise<void> {
+    this.dishes.delete(id);
+  }
+
+  async deleteRestaurantDishes(restaurantId: string, keepIds: string[]): Promise<number> {
+    const keep = new Set(keepIds);
+    let deleted = 0;
+    for (const [id, dish] of this.dishes) {
+      if (dish.document.restaurant_id === restaurantId && !keep.has(id)) {
+        this.dishes.delete(id);
+        deleted++;
+      }
+    }
+    return deleted;
+  }
+
+  async replaceAll(documents: TypesenseDishDocument[]): Promise<void> {
+    this.dishes = new Map(documents.map((document) => [document.id, this.indexDish(document)]));
+    this.loaded = true;
+  }
+}
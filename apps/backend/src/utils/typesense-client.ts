@@ -118,130 +118,3 @@ export async function getTypesenseClient(connectionTimeoutSeconds = 5): Promise<
 export function resetTypesenseClientCache(): void {
   typesenseClientCache = null;
 }
-
-/**
- * Dish document interface
- */
-export interface DishDocument {
-  id: string;
-  name: string;
-  description?: string;
-  price: number;
-  dish_type: string;
-  restaurant_id: string;
-  restaurant_name: string;
-  tags?: string[];
-  image_url?: string;
-  average_rank: number;
-  is_available: boolean;
-  created_at: string;
-  updated_at: string;
-}
-
-/**
- * Search parameters interface
- */
-export interface SearchParams {
-  q?: string;
-  query_by?: string;
-  filter_by?: string;
-  sort_by?: string;
-  per_page?: number;
-  page?: number;
-}
-
-/**
- * Search dishes in Typesense
- * @param params Search parameters
- * @returns Search results
- */
-export async function searchDishes(params: SearchParams): Promise<any> {
-  const client = await getTypesenseClient();
-  return client.collections('dishes').documents().search(params);
-}
-
-/**
- * Get dish by ID from Typesense
- * @param id Dish ID
- * @returns Dish document
- */
-export async function getDishById(id: string): Promise<DishDocument> {
-  const client = await getTypesenseClient();
-  const result = await client.collections('dishes').documents(id).retrieve();
-  return result as DishDocument;
-}
-
-/**
- * Get dishes by restaurant ID from Typesense
- * @param restaurantId Restaurant ID
- * @param limit Number of dishes to return
- * @param page Page number
- * @returns Search results
- */
-export async function getDishesByRestaurantId(
-  restaurantId: string,
-  limit = 20,
-  page = 1
-): Promise<any> {
-  const searchParams: SearchParams = {
-    q: '*',
-    filter_by: `restaurant_id:=${restaurantId} && is_available:=true`,
-    sort_by: 'average_rank:desc',
-    per_page: limit,
-    page,
-  };
-
-  return searchDishes(searchParams);
-}
-
-/**
- * Get dishes by dish type from Typesense
- * @param dishType Dish type
- * @param limit Number of dishes to return
- * @param page Page number
- * @returns Search results
- */
-export async function getDishesByType(
-  dishType: string,
-  limit = 20,
-  page = 1
-): Promise<any> {
-  const searchParams: SearchParams = {
-    q: '*',
-    filter_by: `dish_type:=${dishType} && is_available:=true`,
-    sort_by: 'average_rank:desc',
-    per_page: limit,
-    page,
-  };
-
-  return searchDishes(searchParams);
-}
-
-/**
- * Get dishes by tags from Typesense
- * @param tags Array of tags
- * @param limit Number of dishes to return
- * @param page Page number
- * @returns Search results
- */
-export async function getDishesByTags(
-  tags: string[],
-  limit = 20,
-  page = 1
-): Promise<any> {
-  if (!tags.length) {
-    throw new Error('At least one tag is required');
-  }
-
-  const tagFilter = tags.map((tag) => `tags:=${tag}`).join(' || ');
-
-  const searchParams: SearchParams = {
-    q: '*',
-    filter_by: `(${tagFilter}) && is_available:=true`,
-    sort_by: 'average_rank:desc',
-    per_page: limit,
-    page,
-  };
-
-  return searchDishes(searchParams);
-}
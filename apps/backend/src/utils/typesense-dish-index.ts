@@ -0,0 +1,291 @@
+/**
+ * Typesense Dish Search Index
+ *
+ * This utility implements the dish search index on a Typesense server.
+ * Searches go through the "dishes" alias; a full reindex builds a new
+ * collection and then points the alias at it, so searches keep working
+ * while it runs and the schema can change between reindexes.
+ */
+
+import Typesense from 'typesense';
+import { getTypesenseClient } from './typesense-client.js';
+import {
+  DISH_COLLECTION_NAME,
+  DISH_QUERY_FIELDS,
+  TYPESENSE_DISH_SCHEMA,
+  type TypesenseDishDocument,
+} from '../services/typesense-dish-sync/typesense-dish-schema.js';
+import type {
+  DishSearchFilters,
+  DishSearchIndex,
+  DishSearchQuery,
+  DishSearchResult,
+  DishSearchSort,
+  DishWriteResult,
+} from './dish-search-index.js';
+
+// Batch size for imports
+const IMPORT_BATCH_SIZE = 100;
+
+// Weights of DISH_QUERY_FIELDS, in the same order
+const QUERY_FIELD_WEIGHTS = '5,3,2,1,1';
+
+/**
+ * Check whether an error is Typesense's 404
+ * @param error The error
+ * @returns Whether the object was not found
+ */
+const isNotFound = (error: unknown): boolean => error instanceof Typesense.Errors.ObjectNotFound;
+
+/**
+ * Quote a value for filter_by. Backticks cannot be escaped, so they are dropped.
+ * @param value The value
+ * @returns The quoted value
+ */
+const quote = (value: string): string => `\`${value.replace(/`/g, '')}\``;
+
+/**
+ * Build a filter_by expression from search filters
+ * @param filters The filters
+ * @returns The expression, empty without filters
+ */
+export function buildFilterBy(filters: DishSearchFilters): string {
+  const expressions: string[] = [];
+  const anyOf = (field: string, values?: string[]) => {
+    if (values && values.length > 0) {
+      expressions.push(`${field}:=[${values.map(quote).join(',')}]`);
+    }
+  };
+
+  if (filters.restaurantId) {
+    expressions.push(`restaurant_id:=${quote(filters.restaurantId)}`);
+  }
+  if (filters.dishType) {
+    expressions.push(`dish_type:=${quote(filters.dishType)}`);
+  }
+  anyOf('tags', filters.tags);
+  anyOf('cuisine', filters.cuisine);
+  anyOf('country_code', filters.countryCode);
+  anyOf('price_range', filters.priceRange);
+  for (const label of filters.dietary || []) {
+    expressions.push(`dietary:=${quote(label)}`);
+  }
+  if (filters.priceMin !== undefined) {
+    expressions.push(`price:>=${filters.priceMin}`);
+  }
+  if (filters.priceMax !== undefined) {
+    expressions.push(`price:<=${filters.priceMax}`);
+  }
+  if (filters.isAvailable !== undefined) {
+    expressions.push(`is_available:=${filters.isAvailable}`);
+  }
+
+  return expressions.join(' && ');
+}
+
+/**
+ * Build a sort_by expression
+ * @param sortBy The sort order
+ * @param hasText Whether the search has text to rank by
+ * @returns The expression
+ */
+function buildSortBy(sortBy: DishSearchSort, hasText: boolean): string {
+  switch (sortBy) {
+    case 'price_asc':
+      return 'price:asc,average_rank:desc';
+    case 'price_desc':
+      return 'price:desc,average_rank:desc';
+    case 'newest':
+      return 'created_at:desc';
+    case 'rank':
+      return 'average_rank:desc,ranking_count:desc';
+    default:
+      return hasText ? '_text_match:desc,average_rank:desc' : 'average_rank:desc,ranking_count:desc';
+  }
+}
+
+export class TypesenseDishSearchIndex implements DishSearchIndex {
+  readonly name = 'typesense' as const;
+
+  needsFullSync(): boolean {
+    return false;
+  }
+
+  /**
+   * Get the collection the alias points at
+   * @returns The collection name, or null without an alias
+   */
+  private async getAliasTarget(): Promise<string | null> {
+    const client = await getTypesenseClient();
+    try {
+      const alias = await client.aliases(DISH_COLLECTION_NAME).retrieve();
+      return alias.collection_name;
+    } catch (error) {
+      if (isNotFound(error)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Create a new, empty dishes collection
+   * @returns The collection name
+   */
+  private async createCollection(): Promise<string> {
+    const client = await getTypesenseClient();
+    const collectionName = `${DISH_COLLECTION_NAME}_${Date.now()}`;
+    await client.collections().create({ ...TYPESENSE_DISH_SCHEMA, name: collectionName });
+    return collectionName;
+  }
+
+  /**
+   * Point the alias at a collection and drop the collection it pointed at
+   * @param collectionName The new collection
+   */
+  private async switchAlias(collectionName: string): Promise<void> {
+    const client = await getTypesenseClient();
+    const previous = await this.getAliasTarget();
+
+    if (!previous) {
+      // A collection with the alias's name, from before aliases were used,
+      // would be searched instead of the alias
+      try {
+        await client.collections(DISH_COLLECTION_NAME).delete();
+        console.log('[TypesenseDishSearchIndex] Dropped the unaliased dishes collection');
+      } catch (error) {
+        if (!isNotFound(error)) {
+          throw error;
+        }
+      }
+    }
+
+    await client.aliases().upsert(DISH_COLLECTION_NAME, { collection_name: collectionName });
+
+    if (previous && previous !== collectionName) {
+      await client.collections(previous).delete();
+    }
+  }
+
+  async ensureCollection(): Promise<void> {
+    if (await this.getAliasTarget()) {
+      return;
+    }
+
+    console.log('[TypesenseDishSearchIndex] Creating dishes collection; run a full reindex to fill it');
+    await this.switchAlias(await this.createCollection());
+  }
+
+  async search(query: DishSearchQuery): Promise<DishSearchResult> {
+    const client = await getTypesenseClient();
+    const text = query.q?.trim() || '*';
+    const filterBy = buildFilterBy(query.filters || {});
+
+    const result = await client
+      .collections<TypesenseDishDocument>(DISH_COLLECTION_NAME)
+      .documents()
+      .search({
+        q: text,
+        query_by: DISH_QUERY_FIELDS.join(','),
+        query_by_weights: QUERY_FIELD_WEIGHTS,
+        ...(filterBy ? { filter_by: filterBy } : {}),
+        ...(query.facetBy?.length ? { facet_by: query.facetBy.join(','), max_facet_values: 20 } : {}),
+        sort_by: buildSortBy(query.sortBy || 'relevance', text !== '*'),
+        per_page: query.perPage || 20,
+        page: query.page || 1,
+      });
+
+    return result as unknown as DishSearchResult;
+  }
+
+  async retrieve(id: string): Promise<TypesenseDishDocument> {
+    const client = await getTypesenseClient();
+    const document = await client.collections(DISH_COLLECTION_NAME).documents(id).retrieve();
+    return document as TypesenseDishDocument;
+  }
+
+  /**
+   * Import documents into a collection in batches
+   * @param collectionName The collection or alias
+   * @param documents The documents
+   * @returns The outcome for each document
+   */
+  private async importDocuments(
+    collectionName: string,
+    documents: TypesenseDishDocument[]
+  ): Promise<DishWriteResult[]> {
+    const client = await getTypesenseClient();
+    const results: DishWriteResult[] = [];
+
+    for (let i = 0; i < documents.length; i += IMPORT_BATCH_SIZE) {
+      const batch = documents.slice(i, i + IMPORT_BATCH_SIZE);
+      let responses;
+      try {
+        responses = await client
+          .collections(collectionName)
+          .documents()
+          .import(batch, { action: 'upsert' });
+      } catch (error) {
+        // Failed documents are reported in the error alongside the rest
+        if (error instanceof Typesense.Errors.ImportError) {
+          responses = error.importResults;
+        } else {
+          throw error;
+        }
+      }
+
+      responses.forEach((response, index) => {
+        results.push({
+          id: batch[index]!.id,
+          success: response.success,
+          ...(response.success ? {} : { error: response.error }),
+        });
+      });
+    }
+
+    return results;
+  }
+
+  async upsert(documents: TypesenseDishDocument[]): Promise<DishWriteResult[]> {
+    return this.importDocuments(DISH_COLLECTION_NAME, documents);
+  }
+
+  async delete(id: string): Promise<void> {
+    const client = await getTypesenseClient();
+    try {
+      await client.collections(DISH_COLLECTION_NAME).documents(id).delete();
+    } catch (error) {
+      if (!isNotFound(error)) {
+        throw error;
+      }
+    }
+  }
+
+  async deleteRestaurantDishes(restaurantId: string, keepIds: string[]): Promise<number> {
+    const client = await getTypesenseClient();
+    const keep = keepIds.length > 0 ? ` && id:!=[${keepIds.map(quote).join(',')}]` : '';
+    const result = await client
+      .collections(DISH_COLLECTION_NAME)
+      .documents()
+      .delete({ filter_by: `restaurant_id:=${quote(restaurantId)}${keep}` });
+    return result.num_deleted;
+  }
+
+  async replaceAll(documents: TypesenseDishDocument[]): Promise<void> {
+    const client = await getTypesenseClient();
+    const collectionName = await this.createCollection();
+
+    try {
+      const failed = (await this.importDocuments(collectionName, documents)).filter(
+        (result) => !result.success
+      );
+      if (failed.length > 0) {
+        throw new Error(`Failed to index ${failed.length} dishes, e.g. ${failed[0]!.id}: ${failed[0]!.error}`);
+      }
+      await this.switchAlias(collectionName);
+    } catch (error) {
+      await client.collections(collectionName).delete().catch(() => undefined);
+      throw error;
+    }
+  }
+}
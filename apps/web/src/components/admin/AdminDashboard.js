@@ -9,6 +9,9 @@
  * - Quick action buttons
  * - Recent activity feed
  * - System status indicators
+ * - Flagged vote review
+ * - Restaurant ownership claim review
+ * - Ranking algorithm settings
  * - Navigation shortcuts
  */
 
@@ -18,12 +21,18 @@ import { Card, Badge, Button, LoadingSpinner } from '@bellyfed/ui';
 import { useAnalyticsContext } from '../analytics/AnalyticsProvider.js';
 import { useCountry } from '../../hooks/useCountry.js';
 import { analyticsService } from '../../services/analyticsService.js';
+import VoteReviewQueue from './VoteReviewQueue.js';
+import ClaimReviewQueue from './ClaimReviewQueue.js';
+import RankingAlgorithmSettings from './RankingAlgorithmSettings.js';
 
 const AdminDashboard = ({
   showMetrics = true,
   showQuickActions = true,
   showRecentActivity = true,
   showSystemStatus = true,
+  showVoteReview = true,
+  showClaimReview = true,
+  showRankingSettings = true,
   className = ''
 }) => {
   // State
@@ -307,6 +316,15 @@ const AdminDashboard = ({
         </Card>
       )}
 
+      {/* Flagged Votes */}
+      {showVoteReview && <VoteReviewQueue />}
+
+      {/* Restaurant Claims */}
+      {showClaimReview && <ClaimReviewQueue />}
+
+      {/* Ranking Algorithm */}
+      {showRankingSettings && <RankingAlgorithmSettings />}
+
       {/* System Status */}
       {showSystemStatus && systemStatus && Object.keys(systemStatus).length > 0 && (
         <Card className="p-6">
@@ -0,0 +1,233 @@
+/**
+ * Claim Review Queue Component
+ *
+ * Lists restaurant ownership claims waiting for review and lets admins
+ * approve or reject them. Approving a claim makes the claimant the
+ * restaurant's owner.
+ *
+ * Features:
+ * - Claimant and how they verified
+ * - The restaurant's listed website and phone
+ * - Claim documents
+ * - Approve / reject actions with a note
+ * - Pagination
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { Card, Badge, Button, LoadingSpinner } from '@bellyfed/ui';
+
+// Human-readable descriptions of verification methods
+const METHOD_LABELS = {
+  email: 'Email code',
+  phone: 'Phone callback code',
+  documents: 'Documents'
+};
+
+const ClaimReviewQueue = ({
+  pageSize = 10,
+  className = ''
+}) => {
+  // State
+  const [claims, setClaims] = useState([]);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [reviewingId, setReviewingId] = useState(null);
+  const [notes, setNotes] = useState({});
+
+  // Fetch claims waiting for review
+  const fetchClaims = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await fetch(
+        `/api/admin/restaurant-claims?status=pending_review&page=${page}&limit=${pageSize}`,
+        { credentials: 'include' }
+      );
+      const result = await response.json();
+
+      if (!response.ok) {
+        throw new Error(result.message || 'Failed to load restaurant claims');
+      }
+
+      setClaims(result.data);
+      setTotalPages(result.pagination.totalPages);
+    } catch (err) {
+      console.error('Error fetching restaurant claims:', err);
+      setError(err.message || 'Failed to load restaurant claims');
+    } finally {
+      setLoading(false);
+    }
+  }, [page, pageSize]);
+
+  // Approve or reject a claim
+  const handleReview = async (claimId, decision) => {
+    setReviewingId(claimId);
+
+    try {
+      const response = await fetch(`/api/admin/restaurant-claims/${claimId}`, {
+        method: 'PUT',
+        credentials: 'include',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ decision, note: notes[claimId] || null })
+      });
+      const result = await response.json();
+
+      if (!response.ok) {
+        throw new Error(result.message || 'Failed to review claim');
+      }
+
+      // Approving rejects other claims to the restaurant, so reload
+      if (decision === 'approve') {
+        await fetchClaims();
+      } else {
+        setClaims((current) => current.filter((claim) => claim.id !== claimId));
+      }
+    } catch (err) {
+      console.error('Error reviewing restaurant claim:', err);
+      setError(err.message || 'Failed to review claim');
+    } finally {
+      setReviewingId(null);
+    }
+  };
+
+  // Describe how the claimant proved control
+  const describeVerification = (claim) => {
+    if (claim.method === 'email') {
+      return `Code sent to ${claim.contactEmail}`;
+    }
+    if (claim.method === 'phone') {
+      return `Code read out in a call to ${claim.contactPhone}`;
+    }
+    return `${claim.documentUrls.length} document${claim.documentUrls.length === 1 ? '' : 's'}`;
+  };
+
+  // Load data when the page changes
+  useEffect(() => {
+    fetchClaims();
+  }, [fetchClaims]);
+
+  return (
+    <Card className={`p-6 ${className}`}>
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold text-gray-900">Restaurant Claims</h2>
+        <Button onClick={fetchClaims} variant="outline" size="sm">
+          Refresh
+        </Button>
+      </div>
+
+      {error && (
+        <p className="text-sm text-red-600 mb-4">{error}</p>
+      )}
+
+      {loading ? (
+        <div className="flex items-center justify-center py-8">
+          <LoadingSpinner size="lg" />
+        </div>
+      ) : claims.length === 0 ? (
+        <p className="text-sm text-gray-600">No restaurant claims are waiting for review.</p>
+      ) : (
+        <div className="space-y-3">
+          {claims.map((claim) => (
+            <div key={claim.id} className="flex items-start justify-between gap-4 p-3 bg-gray-50 rounded-lg">
+              <div className="flex-1">
+                <div className="flex items-center gap-2">
+                  <p className="text-sm font-medium text-gray-900">
+                    {claim.restaurantName}
+                  </p>
+                  <Badge variant={claim.verifiedAt ? 'success' : 'secondary'} className="text-xs">
+                    {METHOD_LABELS[claim.method] || claim.method}
+                  </Badge>
+                  {claim.restaurantOwnerId && (
+                    <Badge variant="destructive" className="text-xs">
+                      Already owned
+                    </Badge>
+                  )}
+                </div>
+                <p className="text-xs text-gray-600">
+                  {claim.userName || claim.userEmail} · {describeVerification(claim)}
+                  {claim.verifiedAt ? ' · verified' : ''}
+                </p>
+                <p className="text-xs text-gray-500">
+                  Listed: {[claim.restaurantWebsite, claim.restaurantPhone].filter(Boolean).join(' · ') || 'no website or phone'}
+                </p>
+                {claim.message && (
+                  <p className="text-xs text-gray-700 mt-1">&ldquo;{claim.message}&rdquo;</p>
+                )}
+                {claim.documentUrls.length > 0 && (
+                  <div className="flex flex-wrap gap-2 mt-2">
+                    {claim.documentUrls.map((url, index) => (
+                      <a
+                        key={url}
+                        href={url}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="text-xs text-blue-600 hover:underline"
+                      >
+                        Document {index + 1}
+                      </a>
+                    ))}
+                  </div>
+                )}
+                <input
+                  type="text"
+                  value={notes[claim.id] || ''}
+                  onChange={(e) => setNotes((current) => ({ ...current, [claim.id]: e.target.value }))}
+                  placeholder="Note to the claimant (optional)"
+                  className="mt-2 w-full px-2 py-1 text-xs border border-gray-300 rounded"
+                />
+              </div>
+
+              <div className="flex gap-2">
+                <Button
+                  onClick={() => handleReview(claim.id, 'approve')}
+                  disabled={reviewingId === claim.id || Boolean(claim.restaurantOwnerId)}
+                  variant="outline"
+                  size="sm"
+                >
+                  Approve
+                </Button>
+                <Button
+                  onClick={() => handleReview(claim.id, 'reject')}
+                  disabled={reviewingId === claim.id}
+                  variant="destructive"
+                  size="sm"
+                >
+                  Reject
+                </Button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {totalPages > 1 && (
+        <div className="flex items-center justify-center gap-2 mt-4">
+          <Button
+            onClick={() => setPage(page - 1)}
+            disabled={page === 1}
+            variant="outline"
+            size="sm"
+          >
+            Previous
+          </Button>
+          <span className="text-sm text-gray-600">
+            Page {page} of {totalPages}
+          </span>
+          <Button
+            onClick={() => setPage(page + 1)}
+            disabled={page >= totalPages}
+            variant="outline"
+            size="sm"
+          >
+            Next
+          </Button>
+        </div>
+      )}
+    </Card>
+  );
+};
+
+export default ClaimReviewQueue;
@@ -0,0 +1,376 @@
+/**
+ * Ranking Algorithm Settings Component
+ *
+ * Lets admins tune the leaderboard algorithm parameters of a country,
+ * preview the effect on a dish leaderboard and publish or roll back
+ * versions.
+ *
+ * Features:
+ * - Editable exponent, prior weight and interaction weights
+ * - Preview of position changes for a dish before publishing
+ * - Version history with rollback
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { Card, Badge, Button, LoadingSpinner } from '@bellyfed/ui';
+import { useCountry } from '../../hooks/useCountry.js';
+
+// Ranking categories that carry an interaction weight, with labels
+const WEIGHT_LABELS = {
+  TOP: 'Top',
+  VISITED: 'Visited',
+  SECOND_CHANCE: 'Second chance',
+  DISSATISFIED: 'Dissatisfied',
+  PLAN_TO_VISIT: 'Plan to visit'
+};
+
+const INPUT_CLASS = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-orange-500';
+
+// Convert API parameters into form values
+const toForm = (params) => ({
+  exponent: String(params.exponent),
+  priorWeight: String(params.priorWeight),
+  interactionWeights: Object.fromEntries(
+    Object.keys(WEIGHT_LABELS).map((category) => [
+      category,
+      String(params.interactionWeights[category] ?? 0)
+    ])
+  )
+});
+
+// Convert form values into API parameters
+const toParams = (form) => ({
+  exponent: Number(form.exponent),
+  priorWeight: Number(form.priorWeight),
+  interactionWeights: Object.fromEntries(
+    Object.entries(form.interactionWeights).map(([category, value]) => [category, Number(value)])
+  )
+});
+
+const RankingAlgorithmSettings = ({
+  className = ''
+}) => {
+  // Context
+  const { country } = useCountry();
+
+  // State
+  const [countryCode, setCountryCode] = useState(country.toUpperCase());
+  const [form, setForm] = useState(null);
+  const [versions, setVersions] = useState([]);
+  const [activeVersion, setActiveVersion] = useState(null);
+  const [note, setNote] = useState('');
+  const [dishSlug, setDishSlug] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  // Follow the country selected in the app
+  useEffect(() => {
+    setCountryCode(country.toUpperCase());
+  }, [country]);
+
+  // Fetch the active parameters and version history
+  const fetchConfig = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await fetch(
+        `/api/admin/ranking-config?countryCode=${encodeURIComponent(countryCode)}`,
+        { credentials: 'include' }
+      );
+      const result = await response.json();
+
+      if (!response.ok) {
+        throw new Error(result.message || 'Failed to load ranking settings');
+      }
+
+      setForm(toForm(result.data.params));
+      setVersions(result.data.versions);
+      setActiveVersion(result.data.activeVersion);
+      setPreview(null);
+    } catch (err) {
+      console.error('Error fetching ranking config:', err);
+      setError(err.message || 'Failed to load ranking settings');
+    } finally {
+      setLoading(false);
+    }
+  }, [countryCode]);
+
+  // Send a request and report its outcome
+  const submit = async (url, body, fallbackError) => {
+    setSaving(true);
+    setError(null);
+    setMessage(null);
+
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        credentials: 'include',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      const result = await response.json();
+
+      if (!response.ok) {
+        throw new Error(result.message || fallbackError);
+      }
+
+      return result;
+    } catch (err) {
+      console.error(`${fallbackError}:`, err);
+      setError(err.message || fallbackError);
+      return null;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Preview the proposed parameters on a dish leaderboard
+  const handlePreview = async () => {
+    const result = await submit(
+      '/api/admin/ranking-config/preview',
+      { countryCode, dishSlug: dishSlug.trim(), ...toParams(form) },
+      'Failed to preview ranking settings'
+    );
+    if (result) {
+      setPreview(result.data);
+    }
+  };
+
+  // Publish the proposed parameters as a new version
+  const handlePublish = async () => {
+    const result = await submit(
+      '/api/admin/ranking-config',
+      { countryCode, note: note.trim() || undefined, ...toParams(form) },
+      'Failed to publish ranking settings'
+    );
+    if (result) {
+      setNote('');
+      setMessage(result.message);
+      fetchConfig();
+    }
+  };
+
+  // Restore an earlier version
+  const handleRollback = async (version) => {
+    const result = await submit(
+      '/api/admin/ranking-config/rollback',
+      { countryCode, version },
+      'Failed to roll back ranking settings'
+    );
+    if (result) {
+      setMessage(result.message);
+      fetchConfig();
+    }
+  };
+
+  // Update a weight in the form
+  const setWeight = (category, value) => {
+    setForm((current) => ({
+      ...current,
+      interactionWeights: { ...current.interactionWeights, [category]: value }
+    }));
+    setPreview(null);
+  };
+
+  // Update a top-level parameter in the form
+  const setField = (field, value) => {
+    setForm((current) => ({ ...current, [field]: value }));
+    setPreview(null);
+  };
+
+  // Load data when the country changes
+  useEffect(() => {
+    if (/^[A-Z]{2}$/.test(countryCode)) {
+      fetchConfig();
+    }
+  }, [countryCode, fetchConfig]);
+
+  return (
+    <Card className={`p-6 ${className}`}>
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold text-gray-900">Ranking Algorithm</h2>
+        <div className="flex items-center gap-2">
+          <label htmlFor="ranking-country" className="text-sm text-gray-600">Country</label>
+          <input
+            id="ranking-country"
+            value={countryCode}
+            onChange={(e) => setCountryCode(e.target.value.toUpperCase().slice(0, 2))}
+            className="w-16 px-2 py-1 border border-gray-300 rounded-lg text-center uppercase"
+          />
+          {activeVersion ? (
+            <Badge variant="secondary">Version {activeVersion}</Badge>
+          ) : (
+            <Badge variant="outline">Defaults</Badge>
+          )}
+        </div>
+      </div>
+
+      {error && (
+        <p className="text-sm text-red-600 mb-4">{error}</p>
+      )}
+      {message && (
+        <p className="text-sm text-green-600 mb-4">{message}</p>
+      )}
+
+      {loading || !form ? (
+        <div className="flex items-center justify-center py-8">
+          <LoadingSpinner size="lg" />
+        </div>
+      ) : (
+        <div className="space-y-6">
+          {/* Parameters */}
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label htmlFor="ranking-exponent" className="block text-sm font-medium text-gray-700 mb-1">
+                Position exponent
+              </label>
+              <input
+                id="ranking-exponent"
+                type="number"
+                step="0.1"
+                value={form.exponent}
+                onChange={(e) => setField('exponent', e.target.value)}
+                className={INPUT_CLASS}
+              />
+            </div>
+            <div>
+              <label htmlFor="ranking-prior" className="block text-sm font-medium text-gray-700 mb-1">
+                Prior weight
+              </label>
+              <input
+                id="ranking-prior"
+                type="number"
+                step="1"
+                value={form.priorWeight}
+                onChange={(e) => setField('priorWeight', e.target.value)}
+                className={INPUT_CLASS}
+              />
+            </div>
+          </div>
+
+          <div>
+            <h3 className="text-sm font-medium text-gray-700 mb-2">Interaction weights</h3>
+            <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+              {Object.entries(WEIGHT_LABELS).map(([category, label]) => (
+                <div key={category}>
+                  <label htmlFor={`ranking-weight-${category}`} className="block text-xs text-gray-600 mb-1">
+                    {label}
+                  </label>
+                  <input
+                    id={`ranking-weight-${category}`}
+                    type="number"
+                    step="0.1"
+                    value={form.interactionWeights[category]}
+                    onChange={(e) => setWeight(category, e.target.value)}
+                    className={INPUT_CLASS}
+                  />
+                </div>
+              ))}
+            </div>
+          </div>
+
+          {/* Preview */}
+          <div>
+            <h3 className="text-sm font-medium text-gray-700 mb-2">Preview</h3>
+            <div className="flex gap-2">
+              <input
+                value={dishSlug}
+                onChange={(e) => setDishSlug(e.target.value)}
+                placeholder="Dish slug, e.g. nasi-lemak"
+                className={INPUT_CLASS}
+              />
+              <Button
+                onClick={handlePreview}
+                disabled={saving || !dishSlug.trim()}
+                variant="outline"
+              >
+                Preview
+              </Button>
+            </div>
+
+            {preview && (
+              <div className="mt-3">
+                <p className="text-xs text-gray-600 mb-2">
+                  {preview.changedCount} of {preview.entries.length} entries would move
+                </p>
+                <div className="space-y-1">
+                  {preview.entries.map((entry) => (
+                    <div key={entry.dishId} className="flex items-center justify-between p-2 bg-gray-50 rounded-lg text-sm">
+                      <span className="text-gray-900">
+                        #{entry.proposedPosition} {entry.restaurantName}
+                        <span className="text-xs text-gray-500 ml-1">{entry.countryCode}</span>
+                      </span>
+                      <span className="flex items-center gap-2">
+                        <span className="text-xs text-gray-500">was #{entry.currentPosition}</span>
+                        {entry.positionChange !== 0 && (
+                          <Badge variant={entry.positionChange > 0 ? 'success' : 'destructive'} className="text-xs">
+                            {entry.positionChange > 0 ? `+${entry.positionChange}` : entry.positionChange}
+                          </Badge>
+                        )}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+          </div>
+
+          {/* Publish */}
+          <div className="flex gap-2">
+            <input
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+              placeholder="What changed and why"
+              maxLength={500}
+              className={INPUT_CLASS}
+            />
+            <Button onClick={handlePublish} disabled={saving}>
+              Publish
+            </Button>
+          </div>
+
+          {/* Version history */}
+          {versions.length > 0 && (
+            <div>
+              <h3 className="text-sm font-medium text-gray-700 mb-2">History</h3>
+              <div className="space-y-2">
+                {versions.map((version) => (
+                  <div key={version.id} className="flex items-center justify-between gap-4 p-3 bg-gray-50 rounded-lg">
+                    <div className="flex-1">
+                      <p className="text-sm font-medium text-gray-900">
+                        Version {version.version}
+                        {version.isActive && (
+                          <Badge variant="secondary" className="text-xs ml-2">Active</Badge>
+                        )}
+                      </p>
+                      <p className="text-xs text-gray-600">
+                        Exponent {version.exponent} · prior {version.priorWeight} · {new Date(version.createdAt).toLocaleString()}
+                        {version.note && ` · ${version.note}`}
+                      </p>
+                    </div>
+                    {!version.isActive && (
+                      <Button
+                        onClick={() => handleRollback(version.version)}
+                        disabled={saving}
+                        variant="outline"
+                        size="sm"
+                      >
+                        Roll back
+                      </Button>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </Card>
+  );
+};
+
+export default RankingAlgorithmSettings;
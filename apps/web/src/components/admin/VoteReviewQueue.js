@@ -0,0 +1,203 @@
+/**
+ * Vote Review Queue Component
+ *
+ * Lists dish votes and rankings quarantined as suspected manipulation
+ * and lets admins approve or reject them.
+ *
+ * Features:
+ * - Flag score and reasons per vote
+ * - Voter account age
+ * - Approve / reject actions
+ * - Pagination
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { Card, Badge, Button, LoadingSpinner } from '@bellyfed/ui';
+
+// Human-readable labels for flag reasons
+const REASON_LABELS = {
+  OWNER_SELF_VOTE: 'Owner voting for own restaurant',
+  OWNER_LINKED_ACCOUNT: 'Shares a fingerprint with the owner',
+  SHARED_FINGERPRINT: 'Many accounts on one fingerprint',
+  NEW_ACCOUNT_BURST: 'Burst of votes from new accounts',
+  NEW_ACCOUNT: 'New account'
+};
+
+const VoteReviewQueue = ({
+  pageSize = 10,
+  className = ''
+}) => {
+  // State
+  const [flags, setFlags] = useState([]);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [reviewingId, setReviewingId] = useState(null);
+
+  // Fetch pending flags
+  const fetchFlags = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await fetch(
+        `/api/admin/vote-flags?status=pending&page=${page}&limit=${pageSize}`,
+        { credentials: 'include' }
+      );
+      const result = await response.json();
+
+      if (!response.ok) {
+        throw new Error(result.message || 'Failed to load flagged votes');
+      }
+
+      setFlags(result.data);
+      setTotalPages(result.pagination.totalPages);
+    } catch (err) {
+      console.error('Error fetching vote flags:', err);
+      setError(err.message || 'Failed to load flagged votes');
+    } finally {
+      setLoading(false);
+    }
+  }, [page, pageSize]);
+
+  // Approve or reject a flag
+  const handleReview = async (flagId, decision) => {
+    setReviewingId(flagId);
+
+    try {
+      const response = await fetch(`/api/admin/vote-flags/${flagId}`, {
+        method: 'PUT',
+        credentials: 'include',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ decision })
+      });
+      const result = await response.json();
+
+      if (!response.ok) {
+        throw new Error(result.message || 'Failed to review vote');
+      }
+
+      setFlags((current) => current.filter((flag) => flag.id !== flagId));
+    } catch (err) {
+      console.error('Error reviewing vote flag:', err);
+      setError(err.message || 'Failed to review vote');
+    } finally {
+      setReviewingId(null);
+    }
+  };
+
+  // Describe what was voted
+  const describeVote = (flag) => {
+    if (flag.subjectType === 'ranking') {
+      return `Ranked ${flag.rating}/10`;
+    }
+    return flag.voteType === 'rating' ? `Rated ${flag.rating}/5` : `Voted ${flag.voteType}`;
+  };
+
+  // Get account age in days
+  const getAccountAge = (createdAt) => {
+    const days = Math.floor((Date.now() - new Date(createdAt).getTime()) / (24 * 60 * 60 * 1000));
+    return days === 1 ? '1 day' : `${days} days`;
+  };
+
+  // Load data when the page changes
+  useEffect(() => {
+    fetchFlags();
+  }, [fetchFlags]);
+
+  return (
+    <Card className={`p-6 ${className}`}>
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold text-gray-900">Flagged Votes</h2>
+        <Button onClick={fetchFlags} variant="outline" size="sm">
+          Refresh
+        </Button>
+      </div>
+
+      {error && (
+        <p className="text-sm text-red-600 mb-4">{error}</p>
+      )}
+
+      {loading ? (
+        <div className="flex items-center justify-center py-8">
+          <LoadingSpinner size="lg" />
+        </div>
+      ) : flags.length === 0 ? (
+        <p className="text-sm text-gray-600">No votes are waiting for review.</p>
+      ) : (
+        <div className="space-y-3">
+          {flags.map((flag) => (
+            <div key={flag.id} className="flex items-start justify-between gap-4 p-3 bg-gray-50 rounded-lg">
+              <div className="flex-1">
+                <div className="flex items-center gap-2">
+                  <p className="text-sm font-medium text-gray-900">
+                    {flag.userName || flag.userEmail}
+                  </p>
+                  <Badge variant={flag.score >= 100 ? 'destructive' : 'warning'} className="text-xs">
+                    Score {flag.score}
+                  </Badge>
+                </div>
+                <p className="text-xs text-gray-600">
+                  {describeVote(flag)} · {flag.dishName} at {flag.restaurantName} · account {getAccountAge(flag.accountCreatedAt)} old
+                </p>
+                <div className="flex flex-wrap gap-1 mt-2">
+                  {flag.reasons.map((reason) => (
+                    <Badge key={reason} variant="secondary" className="text-xs">
+                      {REASON_LABELS[reason] || reason}
+                    </Badge>
+                  ))}
+                </div>
+              </div>
+
+              <div className="flex gap-2">
+                <Button
+                  onClick={() => handleReview(flag.id, 'approve')}
+                  disabled={reviewingId === flag.id}
+                  variant="outline"
+                  size="sm"
+                >
+                  Approve
+                </Button>
+                <Button
+                  onClick={() => handleReview(flag.id, 'reject')}
+                  disabled={reviewingId === flag.id}
+                  variant="destructive"
+                  size="sm"
+                >
+                  Reject
+                </Button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {totalPages > 1 && (
+        <div className="flex items-center justify-center gap-2 mt-4">
+          <Button
+            onClick={() => setPage(page - 1)}
+            disabled={page === 1}
+            variant="outline"
+            size="sm"
+          >
+            Previous
+          </Button>
+          <span className="text-sm text-gray-600">
+            Page {page} of {totalPages}
+          </span>
+          <Button
+            onClick={() => setPage(page + 1)}
+            disabled={page >= totalPages}
+            variant="outline"
+            size="sm"
+          >
+            Next
+          </Button>
+        </div>
+      )}
+    </Card>
+  );
+};
+
+export default VoteReviewQueue;
@@ -8,3 +8,6 @@
 
 export { default as AdminGuard, withAdminGuard, useAdminPermissions } from './AdminGuard.js';
 export { default as AdminDashboard } from './AdminDashboard.js';
+export { default as VoteReviewQueue } from './VoteReviewQueue.js';
+export { default as ClaimReviewQueue } from './ClaimReviewQueue.js';
+export { default as RankingAlgorithmSettings } from './RankingAlgorithmSettings.js';
@@ -9,7 +9,7 @@
  * - Party size configuration
  * - Special requests and dietary restrictions
  * - Real-time availability checking
- * - Confirmation and reminder system
+ * - Confirmation with a calendar file, and reminders before the booking
  * - Integration with restaurant booking systems
  * - Guest information collection
  */
@@ -18,7 +18,7 @@ import React, { useState, useEffect } from 'react';
 import { Card, Button, LoadingSpinner } from '@bellyfed/ui';
 import { useAnalyticsContext } from '../analytics/AnalyticsProvider.js';
 import { useAuth } from '../../hooks/useAuth.js';
-import { analyticsService } from '../../services/analyticsService.js';
+import { describeUnavailability } from '../../utils/bookingSlots.js';
 
 const ReservationForm = ({
   restaurantId,
@@ -26,8 +26,6 @@ const ReservationForm = ({
   minPartySize = 1,
   maxPartySize = 12,
   advanceBookingDays = 30,
-  timeSlotInterval = 30, // minutes
-  operatingHours = { open: '11:00', close: '22:00' },
   onReservationComplete,
   className = ''
 }) => {
@@ -45,16 +43,26 @@ const ReservationForm = ({
     seatingPreference: ''
   });
   const [availableSlots, setAvailableSlots] = useState([]);
+  const [unavailableMessage, setUnavailableMessage] = useState(null);
+  const [policy, setPolicy] = useState(null);
   const [loading, setLoading] = useState(false);
   const [checkingAvailability, setCheckingAvailability] = useState(false);
   const [errors, setErrors] = useState({});
   const [submitted, setSubmitted] = useState(false);
-  const [reservationId, setReservationId] = useState(null);
+  const [reservation, setReservation] = useState(null);
 
   // Context
   const { trackUserEngagement } = useAnalyticsContext();
   const { user, isAuthenticated } = useAuth();
 
+  const bookingsUrl = `/api/restaurants/${encodeURIComponent(restaurantId)}/bookings`;
+
+  // The restaurant's own booking policy wins over the defaults
+  const partySizes = {
+    min: policy?.minPartySize ?? minPartySize,
+    max: policy?.maxPartySize ?? maxPartySize
+  };
+
   // Dietary restrictions options
   const dietaryOptions = [
     'Vegetarian', 'Vegan', 'Gluten-Free', 'Dairy-Free', 'Nut Allergy',
@@ -78,36 +86,19 @@ const ReservationForm = ({
     const dates = [];
     const today = new Date();
     
-    for (let i = 1; i <= advanceBookingDays; i++) {
+    for (let i = 0; i <= (policy?.advanceBookingDays ?? advanceBookingDays); i++) {
       const date = new Date(today);
       date.setDate(today.getDate() + i);
-      dates.push(date.toISOString().split('T')[0]);
+      dates.push([
+        date.getFullYear(),
+        String(date.getMonth() + 1).padStart(2, '0'),
+        String(date.getDate()).padStart(2, '0')
+      ].join('-'));
     }
     
     return dates;
   };
 
-  // Generate time slots
-  const generateTimeSlots = () => {
-    const slots = [];
-    const [openHour, openMinute] = operatingHours.open.split(':').map(Number);
-    const [closeHour, closeMinute] = operatingHours.close.split(':').map(Number);
-    
-    let currentTime = new Date();
-    currentTime.setHours(openHour, openMinute, 0, 0);
-    
-    const endTime = new Date();
-    endTime.setHours(closeHour, closeMinute, 0, 0);
-    
-    while (currentTime < endTime) {
-      const timeString = currentTime.toTimeString().slice(0, 5);
-      slots.push(timeString);
-      currentTime.setMinutes(currentTime.getMinutes() + timeSlotInterval);
-    }
-    
-    return slots;
-  };
-
   // Check availability for selected date and party size
   const checkAvailability = async (date, partySize) => {
     if (!date || !partySize) return;
@@ -115,18 +106,23 @@ const ReservationForm = ({
     setCheckingAvailability(true);
 
     try {
-      const availability = await analyticsService.checkReservationAvailability({
-        restaurantId,
-        date,
-        partySize
-      });
+      const params = new URLSearchParams({ date, partySize: String(partySize) });
+      const response = await fetch(`${bookingsUrl}/availability?${params}`);
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.message || 'Failed to check availability');
+      }
 
-      const allSlots = generateTimeSlots();
-      const availableSlots = allSlots.filter(slot => 
-        availability.availableSlots?.includes(slot)
-      );
+      const availableSlots = result.data.slots
+        .filter(slot => slot.available)
+        .map(slot => slot.time);
 
       setAvailableSlots(availableSlots);
+      setUnavailableMessage(describeUnavailability(result.data));
+      setPolicy(result.data.policy);
+
+      // A time that can no longer be booked is unselected
+      setFormData(prev => (availableSlots.includes(prev.time) ? prev : { ...prev, time: '' }));
 
       trackUserEngagement('reservation', 'availability_check', 'success', {
         restaurantId,
@@ -137,6 +133,7 @@ const ReservationForm = ({
     } catch (err) {
       console.error('Error checking availability:', err);
       setAvailableSlots([]);
+      setUnavailableMessage(null);
     } finally {
       setCheckingAvailability(false);
     }
@@ -198,8 +195,8 @@ const ReservationForm = ({
       newErrors.guestPhone = 'Phone number is required';
     }
 
-    if (formData.partySize < minPartySize || formData.partySize > maxPartySize) {
-      newErrors.partySize = `Party size must be between ${minPartySize} and ${maxPartySize}`;
+    if (formData.partySize < partySizes.min || formData.partySize > partySizes.max) {
+      newErrors.partySize = `Party size must be between ${partySizes.min} and ${partySizes.max}`;
     }
 
     setErrors(newErrors);
@@ -214,19 +211,43 @@ const ReservationForm = ({
       return;
     }
 
+    if (!isAuthenticated) {
+      setErrors({ submit: 'Please sign in to make a reservation' });
+      return;
+    }
+
     setLoading(true);
 
     try {
-      const reservationData = {
-        ...formData,
-        restaurantId,
-        userId: user?.id,
-        timestamp: new Date().toISOString()
-      };
+      const response = await fetch(bookingsUrl, {
+        method: 'POST',
+        credentials: 'include',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          date: formData.date,
+          time: formData.time,
+          partySize: formData.partySize,
+          guestName: formData.guestName,
+          guestEmail: formData.guestEmail,
+          guestPhone: formData.guestPhone,
+          specialRequests: formData.specialRequests || null,
+          dietaryRequirements: formData.dietaryRestrictions,
+          occasion: formData.occasion || null,
+          seatingPreference: formData.seatingPreference && formData.seatingPreference !== 'No Preference'
+            ? formData.seatingPreference
+            : null
+        })
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        // The time may have just been taken
+        if (response.status === 409) {
+          checkAvailability(formData.date, formData.partySize);
+        }
+        throw new Error(result.message || 'Failed to create reservation');
+      }
 
-      const result = await analyticsService.createReservation(reservationData);
-      
-      setReservationId(result.reservationId);
+      setReservation(result.data);
       setSubmitted(true);
 
       // Track reservation creation
@@ -240,7 +261,7 @@ const ReservationForm = ({
       });
 
       if (onReservationComplete) {
-        onReservationComplete(result);
+        onReservationComplete(result.data);
       }
     } catch (err) {
       console.error('Error creating reservation:', err);
@@ -271,17 +292,21 @@ const ReservationForm = ({
       <Card className={`p-8 text-center ${className}`}>
         <div className="text-green-600 mb-4">
           <div className="text-6xl mb-4">🎉</div>
-          <h2 className="text-2xl font-semibold mb-2">Reservation Confirmed!</h2>
+          <h2 className="text-2xl font-semibold mb-2">
+            {reservation?.status === 'pending' ? 'Reservation Requested!' : 'Reservation Confirmed!'}
+          </h2>
           <p className="text-gray-600 mb-4">
-            Your table at {restaurantName} has been reserved.
+            {reservation?.status === 'pending'
+              ? `${restaurantName} will confirm your table shortly.`
+              : `Your table at ${restaurantName} has been reserved.`}
           </p>
-          {reservationId && (
+          {reservation && (
             <div className="bg-gray-50 p-4 rounded-lg mb-4">
               <p className="text-sm text-gray-700">
-                <strong>Reservation ID:</strong> {reservationId}
+                <strong>Reservation ID:</strong> {reservation.id}
               </p>
               <p className="text-sm text-gray-700">
-                <strong>Date & Time:</strong> {new Date(formData.date).toLocaleDateString()} at {formData.time}
+                <strong>Date & Time:</strong> {new Date(`${reservation.date}T00:00:00`).toLocaleDateString()} at {reservation.time}
               </p>
               <p className="text-sm text-gray-700">
                 <strong>Party Size:</strong> {formData.partySize} guest{formData.partySize !== 1 ? 's' : ''}
@@ -291,10 +316,19 @@ const ReservationForm = ({
           <p className="text-sm text-gray-500 mb-4">
             A confirmation email has been sent to {formData.guestEmail}
           </p>
+          {reservation && (
+            <a
+              href={`${bookingsUrl}/${encodeURIComponent(reservation.id)}/calendar`}
+              className="inline-block text-sm font-medium text-orange-600 hover:text-orange-700 mb-4"
+            >
+              Add to calendar
+            </a>
+          )}
         </div>
         <Button
           onClick={() => {
             setSubmitted(false);
+            setReservation(null);
             setFormData({
               date: '',
               time: '',
@@ -307,7 +341,6 @@ const ReservationForm = ({
               occasion: '',
               seatingPreference: ''
             });
-            setReservationId(null);
           }}
           variant="outline"
         >
@@ -344,7 +377,7 @@ const ReservationForm = ({
               <option value="">Select a date</option>
               {getAvailableDates().map(date => (
                 <option key={date} value={date}>
-                  {new Date(date).toLocaleDateString('en-US', {
+                  {new Date(`${date}T00:00:00`).toLocaleDateString('en-US', {
                     weekday: 'long',
                     month: 'long',
                     day: 'numeric'
@@ -366,8 +399,8 @@ const ReservationForm = ({
               onChange={(e) => handleInputChange('partySize', parseInt(e.target.value))}
               className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-orange-500"
             >
-              {Array.from({ length: maxPartySize - minPartySize + 1 }, (_, i) => {
-                const size = minPartySize + i;
+              {Array.from({ length: partySizes.max - partySizes.min + 1 }, (_, i) => {
+                const size = partySizes.min + i;
                 return (
                   <option key={size} value={size}>
                     {size} guest{size !== 1 ? 's' : ''}
@@ -412,7 +445,7 @@ const ReservationForm = ({
             </div>
           ) : formData.date ? (
             <p className="text-sm text-gray-500 py-2">
-              No available time slots for the selected date and party size.
+              {unavailableMessage || 'No available time slots for the selected date and party size.'}
             </p>
           ) : (
             <p className="text-sm text-gray-500 py-2">
@@ -1,7 +1,15 @@
 import React, { useState, useEffect } from 'react';
 import Image from 'next/image';
-import { Star } from 'lucide-react';
+import { Star, ArrowUp, ArrowDown } from 'lucide-react';
 import { AvatarWithInitials } from '@bellyfed/ui';
+import { RankingTrend } from '../../types/ranking.js';
+
+// Leaderboard movement over a trend window, as returned by the rankings API
+export interface RankingMovement {
+  previousPosition?: number | null;
+  change: number | null;
+  direction: string | null;
+}
 
 // Types for the ranking data
 interface BaseItem {
@@ -9,6 +17,7 @@ interface BaseItem {
   name: string;
   imageUrl?: string; // Optional for reviewer if using Avatar with fallback
   avatarUrl?: string; // For reviewer
+  trends?: Record<string, RankingMovement>; // Keyed by trend window, e.g. "7d"
 }
 
 interface Dish extends BaseItem {
@@ -34,8 +43,30 @@ interface RankingItemProps {
   item: RankingItemData;
   type: 'dish' | 'reviewer' | 'restaurant';
   isAnimating?: boolean;
+  trendWindow?: string;
 }
 
+/**
+ * TrendBadge shows how many places an item climbed or fell
+ */
+export const TrendBadge: React.FC<{ trend?: RankingMovement }> = ({ trend }) => {
+  if (!trend || !trend.change) {
+    return null;
+  }
+
+  const isUp = trend.direction === RankingTrend.UP;
+
+  return (
+    <span
+      className={`flex items-center text-xs font-medium ${isUp ? 'text-green-600' : 'text-red-600'}`}
+      aria-label={`${isUp ? 'Up' : 'Down'} ${Math.abs(trend.change)} places`}
+    >
+      {isUp ? <ArrowUp className="w-3 h-3" /> : <ArrowDown className="w-3 h-3" />}
+      {Math.abs(trend.change)}
+    </span>
+  );
+};
+
 /**
  * AnimatedRankingItem component displays a single item in the ranking list
  * with animation capabilities for position changes
@@ -45,15 +76,22 @@ const AnimatedRankingItem: React.FC<RankingItemProps> = ({
   item,
   type,
   isAnimating = false,
+  trendWindow = '7d',
 }) => {
   // State to track animation
   const [animationClass, setAnimationClass] = useState('');
+  const trend = item.trends?.[trendWindow];
 
   // Apply animation when isAnimating changes
   useEffect(() => {
     if (isAnimating) {
-      // Randomly choose between different animations
-      const animationType = Math.floor(Math.random() * 3); // 0, 1, or 2
+      // Follow the item's trend when known, otherwise pick an animation at random
+      const animationType =
+        trend?.direction === RankingTrend.UP
+          ? 0
+          : trend?.direction === RankingTrend.DOWN
+            ? 1
+            : Math.floor(Math.random() * 3); // 0, 1, or 2
 
       switch (animationType) {
         case 0:
@@ -76,7 +114,7 @@ const AnimatedRankingItem: React.FC<RankingItemProps> = ({
 
       return () => clearTimeout(timer);
     }
-  }, [isAnimating]);
+  }, [isAnimating, trend?.direction]);
 
   // Get the appropriate background hover color based on type
   const getHoverBgColor = () => {
@@ -139,10 +177,13 @@ const AnimatedRankingItem: React.FC<RankingItemProps> = ({
       className={`py-3 flex items-center justify-between px-2 rounded-lg transition-all duration-300 group cursor-pointer ${getHoverBgColor()} ${animationClass}`}
     >
       <div className="flex items-center">
-        <div
-          className={`${getRankingBgColor()} ${getRankingColor()} font-heading font-bold w-6 h-6 flex items-center justify-center rounded-full text-center group-hover:scale-110 transition-transform shadow-sm`}
-        >
-          {index + 1}
+        <div className="flex flex-col items-center">
+          <div
+            className={`${getRankingBgColor()} ${getRankingColor()} font-heading font-bold w-6 h-6 flex items-center justify-center rounded-full text-center group-hover:scale-110 transition-transform shadow-sm`}
+          >
+            {index + 1}
+          </div>
+          <TrendBadge trend={trend} />
         </div>
 
         {type === 'reviewer' ? (
@@ -6,6 +6,8 @@ import { Award, Star, ChevronRight, ChevronLeft } from 'lucide-react';
 const Image = ImageModule.default;
 import { Card, Button, AvatarWithInitials } from '@bellyfed/ui';
 import dynamic from 'next/dynamic';
+import { TrendBadge, RankingMovement } from './AnimatedRankingItem';
+import TrendWindowPicker from '../rankings/TrendWindowPicker.js';
 
 // Create a client-only version of the component to prevent hydration errors
 const ClientOnlyRankingBoard = dynamic(
@@ -23,7 +25,7 @@ interface Dish {
   rating: number;
   restaurant: string;
   votes: number;
-  trend?: string;
+  trends?: Record<string, RankingMovement>; // From the rankings API, keyed by trend window
 }
 
 interface Reviewer {
@@ -68,6 +70,9 @@ const RankingBoardContent: React.FC<RankingBoardProps> = ({
   // State for the current page of each category
   const [currentPage, setCurrentPage] = useState(0);
 
+  // Window over which dish movement is shown
+  const [trendWindow, setTrendWindow] = useState('7d');
+
   // Items per page
   const itemsPerPage = 5;
 
@@ -186,6 +191,11 @@ const RankingBoardContent: React.FC<RankingBoardProps> = ({
           {/* Dishes Tab */}
           {activeTab === 'dishes' && (
             <div className="space-y-3 animate-smooth-fade">
+              <TrendWindowPicker
+                value={trendWindow}
+                onChange={setTrendWindow}
+                className="justify-end"
+              />
               {getCurrentItems().map((item, index) => {
                 const dish = item as Dish; // Type assertion
                 return (
@@ -196,6 +206,7 @@ const RankingBoardContent: React.FC<RankingBoardProps> = ({
                   >
                     <div className="w-8 font-heading font-bold text-lg text-primary-600 dark:text-primary-500">
                       #{currentPage * itemsPerPage + index + 1}
+                      <TrendBadge trend={dish.trends?.[trendWindow]} />
                     </div>
                     <div className="w-14 h-14 rounded-md overflow-hidden mr-3 shadow-sm">
                       <Image
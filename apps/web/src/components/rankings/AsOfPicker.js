@@ -0,0 +1,54 @@
+/**
+ * AsOfPicker Component
+ *
+ * A date input for viewing a leaderboard as it stood on a past day.
+ * An empty value means today's leaderboard.
+ *
+ * Features:
+ * - Date input limited to past days
+ * - Button to return to today
+ */
+
+import React from 'react';
+import { History } from 'lucide-react';
+
+/**
+ * AsOfPicker component
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.value - Selected day as YYYY-MM-DD, or '' for today
+ * @param {Function} props.onChange - Called with the new day, or '' for today
+ * @param {string} props.className - Additional CSS classes
+ * @returns {JSX.Element} - Rendered component
+ */
+const AsOfPicker = ({ value = '', onChange, className = '' }) => {
+  const today = new Date().toISOString().slice(0, 10);
+
+  return (
+    <div className={`flex items-center space-x-2 ${className}`}>
+      <History className="w-4 h-4 text-orange-600 dark:text-orange-400" />
+      <label htmlFor="leaderboard-as-of" className="text-sm font-medium text-orange-900 dark:text-orange-100">
+        As of
+      </label>
+      <input
+        id="leaderboard-as-of"
+        type="date"
+        value={value}
+        max={today}
+        onChange={(e) => onChange(e.target.value)}
+        className="px-3 py-1 rounded border border-orange-200 bg-white text-orange-700 text-sm dark:bg-orange-700 dark:border-orange-600 dark:text-orange-300"
+      />
+      {value && (
+        <button
+          type="button"
+          onClick={() => onChange('')}
+          className="text-sm text-orange-600 hover:text-orange-800 dark:text-orange-400 dark:hover:text-orange-200"
+        >
+          Today
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default AsOfPicker;
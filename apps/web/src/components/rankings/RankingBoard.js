@@ -6,8 +6,9 @@
  * 
  * Features:
  * - Multi-category rankings (dishes, restaurants, users)
+ * - Dish leaderboard from the global or local rankings API
  * - Time-based filtering
- * - Trend indicators
+ * - Trend indicators over a selectable window
  * - Interactive leaderboards
  * - Real-time updates
  * - Export functionality
@@ -19,6 +20,8 @@ import { Card, Badge, Button, LoadingSpinner } from '@bellyfed/ui';
 import { useAnalyticsContext } from '../analytics/AnalyticsProvider.js';
 import { useCountry } from '../../hooks/useCountry.js';
 import { analyticsService } from '../../services/analyticsService.js';
+import { RankingTrend } from '../../types/ranking.js';
+import TrendWindowPicker from './TrendWindowPicker.js';
 
 const RankingBoard = ({
   categories = ['dishes', 'restaurants', 'users'],
@@ -26,6 +29,8 @@ const RankingBoard = ({
   showTrends = true,
   showViewAll = true,
   itemsPerCategory = 10,
+  dishSlug = null,
+  location = null,
   autoRefresh = false,
   refreshInterval = 300000, // 5 minutes
   className = ''
@@ -35,6 +40,7 @@ const RankingBoard = ({
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [timeframe, setTimeframe] = useState('week');
+  const [trendWindow, setTrendWindow] = useState('7d');
   const [activeCategory, setActiveCategory] = useState(categories[0]);
 
   // Context
@@ -79,20 +85,58 @@ const RankingBoard = ({
     }
   };
 
+  // Fetch the dish leaderboard, local to the location when one is given
+  const fetchDishLeaderboard = async () => {
+    const params = new URLSearchParams({ limit: String(itemsPerCategory) });
+    if (location) {
+      params.set('latitude', String(location.latitude));
+      params.set('longitude', String(location.longitude));
+      params.set('radius', String(location.radius || 10));
+    }
+
+    const scope = location ? 'local' : 'global';
+    const response = await fetch(`/api/rankings/${scope}/${dishSlug}?${params}`);
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(result.message || 'Failed to load rankings');
+    }
+
+    return result.data.rankings.map((entry) => ({
+      id: entry.dishId,
+      name: entry.restaurantName,
+      subtitle: entry.dishName,
+      imageUrl: entry.imageUrl,
+      score: entry.averageRating,
+      metric: `${entry.rankingCount} rankings`,
+      trends: entry.trends
+    }));
+  };
+
   // Fetch ranking data
   const fetchRankingData = async () => {
     setLoading(true);
     setError(null);
 
     try {
-      const data = await analyticsService.getRankingBoard({
-        categories,
-        timeframe,
-        limit: itemsPerCategory,
-        includeTrends: showTrends
-      });
-
-      setRankingData(data);
+      // With a dish slug the dish category comes from its leaderboard
+      const fromLeaderboard = dishSlug && categories.includes('dishes');
+      const boardCategories = fromLeaderboard
+        ? categories.filter((category) => category !== 'dishes')
+        : categories;
+
+      const [data, dishes] = await Promise.all([
+        boardCategories.length > 0
+          ? analyticsService.getRankingBoard({
+            categories: boardCategories,
+            timeframe,
+            limit: itemsPerCategory,
+            includeTrends: showTrends
+          })
+          : {},
+        fromLeaderboard ? fetchDishLeaderboard() : null
+      ]);
+
+      setRankingData(dishes ? { ...data, dishes } : data);
       
       // Track ranking board view
       trackUserEngagement('rankings', 'board', 'view', {
@@ -134,7 +178,7 @@ const RankingBoard = ({
     const { change, direction } = trend;
     if (!change) return null;
 
-    const isPositive = direction === 'up';
+    const isPositive = direction === RankingTrend.UP || direction === 'up';
     const color = isPositive ? 'text-green-600' : 'text-red-600';
     const icon = isPositive ? '↗' : '↘';
     
@@ -150,7 +194,7 @@ const RankingBoard = ({
   const renderRankingItem = (item, index, category) => {
     const config = categoryConfigs[category];
     const rank = index + 1;
-    const trend = item.trend;
+    const trend = item.trends?.[trendWindow] || item.trend;
 
     return (
       <div key={item.id} className="flex items-center gap-3 p-3 hover:bg-gray-50 rounded-lg transition-colors">
@@ -253,7 +297,7 @@ const RankingBoard = ({
   // Load data on mount and when dependencies change
   useEffect(() => {
     fetchRankingData();
-  }, [timeframe]);
+  }, [timeframe, dishSlug]);
 
   // Auto refresh
   useEffect(() => {
@@ -304,29 +348,35 @@ const RankingBoard = ({
           </p>
         </div>
 
-        {showTimeFilter && (
-          <div className="flex gap-3">
-            <select
-              value={timeframe}
-              onChange={(e) => setTimeframe(e.target.value)}
-              className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-orange-500"
-            >
-              {timeframes.map(tf => (
-                <option key={tf.id} value={tf.id}>
-                  {tf.label}
-                </option>
-              ))}
-            </select>
-
-            <Button
-              onClick={fetchRankingData}
-              variant="outline"
-              size="sm"
-            >
-              Refresh
-            </Button>
-          </div>
-        )}
+        <div className="flex flex-wrap items-center gap-3">
+          {showTrends && (
+            <TrendWindowPicker value={trendWindow} onChange={setTrendWindow} />
+          )}
+
+          {showTimeFilter && (
+            <div className="flex gap-3">
+              <select
+                value={timeframe}
+                onChange={(e) => setTimeframe(e.target.value)}
+                className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-orange-500"
+              >
+                {timeframes.map(tf => (
+                  <option key={tf.id} value={tf.id}>
+                    {tf.label}
+                  </option>
+                ))}
+              </select>
+
+              <Button
+                onClick={fetchRankingData}
+                variant="outline"
+                size="sm"
+              >
+                Refresh
+              </Button>
+            </div>
+          )}
+        </div>
       </div>
 
       {/* Category Tabs (Mobile) */}
@@ -6,6 +6,7 @@
  * 
  * Features:
  * - Multi-entity comparison
+ * - Taste compatibility between two users
  * - Visual comparison charts
  * - Detailed metrics breakdown
  * - Export comparison data
@@ -31,6 +32,7 @@ const RankingComparison = ({
 }) => {
   // State
   const [comparisonData, setComparisonData] = useState([]);
+  const [tasteMatch, setTasteMatch] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [selectedMetric, setSelectedMetric] = useState('overall');
@@ -81,14 +83,28 @@ const RankingComparison = ({
     setError(null);
 
     try {
-      const data = await analyticsService.getRankingComparison({
-        entityType,
-        entityIds: entityIds.slice(0, maxEntities),
-        metrics: comparisonMetrics,
-        includeCharts: showCharts
-      });
+      if (entityType === 'user') {
+        // Users are compared pairwise on their dish rankings
+        const [userId, otherUserId] = entityIds;
+        const params = new URLSearchParams({ userId, otherUserId });
+        const response = await fetch(`/api/rankings/compatibility?${params}`);
+        const result = await response.json();
+
+        if (!response.ok) {
+          throw new Error(result.message || 'Failed to compare users');
+        }
+
+        setTasteMatch(result.data);
+      } else {
+        const data = await analyticsService.getRankingComparison({
+          entityType,
+          entityIds: entityIds.slice(0, maxEntities),
+          metrics: comparisonMetrics,
+          includeCharts: showCharts
+        });
 
-      setComparisonData(data);
+        setComparisonData(data);
+      }
       
       // Track comparison view
       trackUserEngagement('rankings', 'comparison', 'view', {
@@ -218,6 +234,100 @@ const RankingComparison = ({
     );
   }
 
+  if (entityType === 'user' && tasteMatch) {
+    const renderDishList = (dishes, emptyText) => (
+      dishes.length > 0 ? (
+        <ul className="space-y-2">
+          {dishes.map((dish) => (
+            <li key={dish.dishId} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
+              <div>
+                <p className="font-medium text-gray-900">{dish.dishName}</p>
+                <p className="text-sm text-gray-600">{dish.restaurantName}</p>
+              </div>
+              <div className="text-right text-sm text-gray-700">
+                <p>{dish.rating}/10 vs {dish.otherRating}/10</p>
+                <Badge variant="outline" className="text-xs">
+                  {dish.agreement}% agreement
+                </Badge>
+              </div>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-sm text-gray-500">{emptyText}</p>
+      )
+    );
+
+    const renderFavorites = (restaurants, emptyText) => (
+      restaurants.length > 0 ? (
+        <ul className="space-y-2">
+          {restaurants.map((restaurant) => (
+            <li key={restaurant.restaurantId} className="p-3 bg-gray-50 rounded-lg">
+              <Link href={`/${country}/restaurants/${restaurant.restaurantId}`}>
+                <p className="font-medium text-gray-900 hover:text-orange-600 cursor-pointer">
+                  {restaurant.restaurantName}
+                </p>
+              </Link>
+              <p className="text-sm text-gray-600">
+                {restaurant.dishes.map((dish) => dish.dishName).join(', ')}
+              </p>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-sm text-gray-500">{emptyText}</p>
+      )
+    );
+
+    return (
+      <div className={`space-y-6 ${className}`}>
+        {/* Header */}
+        <Card className="p-6 text-center">
+          <h2 className="text-2xl font-bold text-gray-900">
+            🍽️ Taste Compatibility
+          </h2>
+          {tasteMatch.compatibility !== null ? (
+            <>
+              <p className="text-5xl font-bold text-orange-600 mt-4">
+                {tasteMatch.compatibility}%
+              </p>
+              <p className="text-gray-600 mt-2">
+                {tasteMatch.userName} and {tasteMatch.otherUserName} have ranked {tasteMatch.sharedDishCount} of the same {tasteMatch.sharedDishCount === 1 ? 'dish' : 'dishes'}
+              </p>
+            </>
+          ) : (
+            <p className="text-gray-600 mt-2">
+              {tasteMatch.userName} and {tasteMatch.otherUserName} haven&apos;t ranked any of the same dishes yet.
+            </p>
+          )}
+        </Card>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          <Card className="p-6">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">👍 Most Agreed On</h3>
+            {renderDishList(tasteMatch.agreements, 'No shared dishes yet.')}
+          </Card>
+          <Card className="p-6">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">👎 Most Disagreed On</h3>
+            {renderDishList(tasteMatch.disagreements, 'No big disagreements.')}
+          </Card>
+          <Card className="p-6">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">
+              ❤️ {tasteMatch.userName} loves, {tasteMatch.otherUserName} hasn&apos;t tried
+            </h3>
+            {renderFavorites(tasteMatch.userFavoritesNotTriedByOther, 'Nothing to recommend yet.')}
+          </Card>
+          <Card className="p-6">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">
+              ❤️ {tasteMatch.otherUserName} loves, {tasteMatch.userName} hasn&apos;t tried
+            </h3>
+            {renderFavorites(tasteMatch.otherFavoritesNotTriedByUser, 'Nothing to recommend yet.')}
+          </Card>
+        </div>
+      </div>
+    );
+  }
+
   if (comparisonData.length === 0) {
     return (
       <Card className={`p-8 text-center ${className}`}>
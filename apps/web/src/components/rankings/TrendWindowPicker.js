@@ -0,0 +1,47 @@
+/**
+ * TrendWindowPicker Component
+ *
+ * A select for the window over which leaderboard movement is shown,
+ * e.g. places climbed over the last 7 days.
+ *
+ * Features:
+ * - One option per trend window the rankings API reports
+ */
+
+import React from 'react';
+import { TrendingUp } from 'lucide-react';
+import { RANKING_TREND_WINDOWS } from '../../types/ranking.js';
+
+/**
+ * TrendWindowPicker component
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.value - Selected window, e.g. "7d"
+ * @param {Function} props.onChange - Called with the new window
+ * @param {string} props.className - Additional CSS classes
+ * @returns {JSX.Element} - Rendered component
+ */
+const TrendWindowPicker = ({ value, onChange, className = '' }) => {
+  return (
+    <div className={`flex items-center space-x-2 ${className}`}>
+      <TrendingUp className="w-4 h-4 text-orange-600 dark:text-orange-400" />
+      <label htmlFor="leaderboard-trend-window" className="text-sm font-medium text-orange-900 dark:text-orange-100">
+        Movement over
+      </label>
+      <select
+        id="leaderboard-trend-window"
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        className="px-3 py-1 rounded border border-orange-200 bg-white text-orange-700 text-sm dark:bg-orange-700 dark:border-orange-600 dark:text-orange-300"
+      >
+        {RANKING_TREND_WINDOWS.map((days) => (
+          <option key={days} value={`${days}d`}>
+            {days} days
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+};
+
+export default TrendWindowPicker;
@@ -10,3 +10,5 @@ export { default as RankingCard } from './RankingCard.js';
 export { default as RankingDialog } from './RankingDialog.js';
 export { default as RankingBoard } from './RankingBoard.js';
 export { default as RankingComparison } from './RankingComparison.js';
+export { default as AsOfPicker } from './AsOfPicker.js';
+export { default as TrendWindowPicker } from './TrendWindowPicker.js';
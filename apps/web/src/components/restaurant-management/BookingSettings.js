@@ -0,0 +1,392 @@
+/**
+ * Booking Settings Component
+ *
+ * Lets restaurant owners decide how their restaurant takes table bookings.
+ *
+ * Features:
+ * - Turning online bookings on and off
+ * - Capacity counted by tables or by covers
+ * - Slot interval, turn time, party sizes, notice and how far ahead
+ * - Confirming bookings automatically or by hand
+ * - Tables with the party sizes they seat
+ * - Blackout days when bookings aren't taken
+ *
+ * Next.js 15 Compatible:
+ * - Default export only
+ * - JavaScript (.js) file
+ * - No React import needed
+ */
+
+import { useState, useEffect, useCallback } from 'react'
+import { Plus, Trash2, Eye, EyeOff, CalendarX, Table2, X } from 'lucide-react'
+
+// Numeric settings with their labels and units
+const NUMBER_FIELDS = [
+  { name: 'slotInterval', label: 'Slot every', unit: 'minutes' },
+  { name: 'turnTime', label: 'Table kept for', unit: 'minutes' },
+  { name: 'minPartySize', label: 'Smallest party', unit: 'guests' },
+  { name: 'maxPartySize', label: 'Largest party', unit: 'guests' },
+  { name: 'advanceBookingDays', label: 'Book up to', unit: 'days ahead' },
+  { name: 'minNoticeMinutes', label: 'Notice needed', unit: 'minutes' },
+  { name: 'holdMinutes', label: 'Hold a time for', unit: 'minutes' }
+]
+
+const inputClassName = 'px-3 py-2 border border-orange-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-orange-500 dark:bg-orange-800 dark:border-orange-700 dark:text-orange-100'
+
+/**
+ * Send a request to the booking settings API
+ * @param {string} url The endpoint
+ * @param {string} method The HTTP method
+ * @param {object} [body] The JSON body
+ * @returns {Promise<object>} The response body
+ */
+const bookingsRequest = async (url, method, body) => {
+  const response = await fetch(url, {
+    method,
+    credentials: 'include',
+    headers: { 'Content-Type': 'application/json' },
+    body: body ? JSON.stringify(body) : undefined
+  })
+  const result = await response.json()
+  if (!response.ok) {
+    throw new Error(result.message || 'Booking settings request failed')
+  }
+  return result
+}
+
+const emptyTable = { name: '', minCapacity: '1', maxCapacity: '4' }
+
+export default function BookingSettings({ restaurantId, onClose }) {
+  const [data, setData] = useState(null)
+  const [form, setForm] = useState(null)
+  const [table, setTable] = useState(emptyTable)
+  const [blackout, setBlackout] = useState({ date: '', reason: '' })
+  const [error, setError] = useState(null)
+  const [notice, setNotice] = useState(null)
+
+  const bookingsUrl = `/api/restaurants/${encodeURIComponent(restaurantId)}/bookings`
+
+  const fetchSettings = useCallback(async () => {
+    try {
+      const result = await bookingsRequest(`${bookingsUrl}/settings`, 'GET')
+      setData(result.data)
+      setForm({
+        ...result.data.settings,
+        maxCovers: result.data.settings.maxCovers ?? '',
+        ...Object.fromEntries(NUMBER_FIELDS.map(({ name }) => [name, String(result.data.settings[name])]))
+      })
+    } catch (err) {
+      console.error('Error fetching booking settings:', err)
+      setError(err.message || 'Failed to load booking settings')
+    }
+  }, [bookingsUrl])
+
+  useEffect(() => {
+    if (restaurantId) {
+      fetchSettings()
+    }
+  }, [restaurantId, fetchSettings])
+
+  // Run a change, show its message and reload the settings
+  const runChange = async (change, failureMessage) => {
+    try {
+      setError(null)
+      setNotice(null)
+      const result = await change()
+      setNotice(result?.message || null)
+      return true
+    } catch (err) {
+      console.error(failureMessage, err)
+      setError(err.message || failureMessage)
+      return false
+    } finally {
+      await fetchSettings()
+    }
+  }
+
+  const saveSettings = (changes) => runChange(
+    () => bookingsRequest(`${bookingsUrl}/settings`, 'PUT', changes),
+    'Failed to save booking settings'
+  )
+
+  const handleSaveSettings = (e) => {
+    e.preventDefault()
+
+    return saveSettings({
+      acceptsBookings: form.acceptsBookings,
+      capacityMode: form.capacityMode,
+      maxCovers: form.maxCovers === '' ? null : Number(form.maxCovers),
+      autoConfirm: form.autoConfirm,
+      ...Object.fromEntries(NUMBER_FIELDS.map(({ name }) => [name, Number(form[name])]))
+    })
+  }
+
+  const handleAddTable = async (e) => {
+    e.preventDefault()
+
+    const added = await runChange(
+      () => bookingsRequest(`${bookingsUrl}/tables`, 'POST', {
+        name: table.name,
+        minCapacity: Number(table.minCapacity),
+        maxCapacity: Number(table.maxCapacity)
+      }),
+      'Failed to add table'
+    )
+    if (added) {
+      setTable(emptyTable)
+    }
+  }
+
+  const handleToggleTable = (bookingTable) => runChange(
+    () => bookingsRequest(`${bookingsUrl}/tables/${encodeURIComponent(bookingTable.id)}`, 'PATCH', { isActive: !bookingTable.isActive }),
+    'Failed to update table'
+  )
+
+  const handleDeleteTable = (bookingTable) => {
+    if (!confirm(`Delete table "${bookingTable.name}"?`)) return
+
+    return runChange(
+      () => bookingsRequest(`${bookingsUrl}/tables/${encodeURIComponent(bookingTable.id)}`, 'DELETE'),
+      'Failed to delete table'
+    )
+  }
+
+  // Blackouts are saved as a whole list
+  const handleAddBlackout = async (e) => {
+    e.preventDefault()
+
+    const blackouts = [
+      ...data.blackouts.filter(day => day.date !== blackout.date),
+      { date: blackout.date, reason: blackout.reason || null }
+    ]
+    if (await saveSettings({ blackouts })) {
+      setBlackout({ date: '', reason: '' })
+    }
+  }
+
+  const handleRemoveBlackout = (date) => saveSettings({
+    blackouts: data.blackouts.filter(day => day.date !== date)
+  })
+
+  if (!data || !form) {
+    return (
+      <div className="bg-white dark:bg-orange-900 rounded-lg shadow-sm border border-orange-200 dark:border-orange-800 p-6">
+        {error ? (
+          <p className="text-sm text-red-600">{error}</p>
+        ) : (
+          <div className="animate-pulse h-6 bg-orange-200 dark:bg-orange-700 rounded w-1/3"></div>
+        )}
+      </div>
+    )
+  }
+
+  const { timezone } = data.restaurant
+
+  return (
+    <div className="bg-white dark:bg-orange-900 rounded-lg shadow-sm border border-orange-200 dark:border-orange-800 p-6 space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="text-2xl font-bold text-orange-900 dark:text-orange-100">Booking Settings</h2>
+          <p className="text-orange-600 dark:text-orange-400 mt-1">
+            How guests book tables online. Times are in {timezone}.
+          </p>
+        </div>
+        {onClose && (
+          <button type="button" onClick={onClose} aria-label="Close">
+            <X className="w-5 h-5 text-orange-500" />
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 rounded-lg p-4 text-sm dark:bg-red-900 dark:border-red-800 dark:text-red-200">
+          {error}
+        </div>
+      )}
+      {notice && <p className="text-sm text-green-700 dark:text-green-300">{notice}</p>}
+
+      {/* Settings */}
+      <form onSubmit={handleSaveSettings} className="space-y-4">
+        <div className="flex flex-wrap gap-6 text-sm text-orange-700 dark:text-orange-300">
+          <label className="flex items-center space-x-2">
+            <input
+              type="checkbox"
+              checked={form.acceptsBookings}
+              onChange={(e) => setForm(prev => ({ ...prev, acceptsBookings: e.target.checked }))}
+              className="w-4 h-4 text-orange-600 border-gray-300 rounded focus:ring-orange-500"
+            />
+            <span>Take online bookings</span>
+          </label>
+          <label className="flex items-center space-x-2">
+            <input
+              type="checkbox"
+              checked={form.autoConfirm}
+              onChange={(e) => setForm(prev => ({ ...prev, autoConfirm: e.target.checked }))}
+              className="w-4 h-4 text-orange-600 border-gray-300 rounded focus:ring-orange-500"
+            />
+            <span>Confirm bookings automatically</span>
+          </label>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-3 text-sm text-orange-700 dark:text-orange-300">
+          <span>Count capacity by</span>
+          <select
+            value={form.capacityMode}
+            onChange={(e) => setForm(prev => ({ ...prev, capacityMode: e.target.value }))}
+            className={inputClassName}
+          >
+            <option value="tables">Tables</option>
+            <option value="covers">Covers</option>
+          </select>
+          {form.capacityMode === 'covers' && (
+            <>
+              <input
+                type="number"
+                min="1"
+                value={form.maxCovers}
+                onChange={(e) => setForm(prev => ({ ...prev, maxCovers: e.target.value }))}
+                placeholder="Covers at once"
+                required
+                className={`${inputClassName} w-36`}
+              />
+              <span>guests seated at once</span>
+            </>
+          )}
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+          {NUMBER_FIELDS.map(({ name, label, unit }) => (
+            <label key={name} className="flex items-center gap-2 text-sm text-orange-700 dark:text-orange-300">
+              <span className="w-32">{label}</span>
+              <input
+                type="number"
+                min="0"
+                value={form[name]}
+                onChange={(e) => setForm(prev => ({ ...prev, [name]: e.target.value }))}
+                required
+                className={`${inputClassName} w-24`}
+              />
+              <span>{unit}</span>
+            </label>
+          ))}
+        </div>
+
+        <button
+          type="submit"
+          className="px-4 py-2 bg-orange-500 hover:bg-orange-600 text-white font-medium rounded-lg transition-colors"
+        >
+          Save Settings
+        </button>
+      </form>
+
+      {/* Tables */}
+      <div className="space-y-3">
+        <h3 className="flex items-center text-lg font-semibold text-orange-900 dark:text-orange-100">
+          <Table2 className="w-5 h-5 mr-2" />
+          Tables
+        </h3>
+        {form.capacityMode === 'covers' && (
+          <p className="text-xs text-orange-500">Tables are given to bookings only when capacity is counted by tables.</p>
+        )}
+        <ul className="space-y-2">
+          {data.tables.map(bookingTable => (
+            <li key={bookingTable.id} className="flex items-center justify-between gap-3 text-sm">
+              <span className={bookingTable.isActive ? 'text-orange-900 dark:text-orange-100' : 'text-gray-400 line-through'}>
+                {bookingTable.name} · {bookingTable.minCapacity}–{bookingTable.maxCapacity} guests
+              </span>
+              <div className="flex items-center gap-2">
+                <button
+                  type="button"
+                  onClick={() => handleToggleTable(bookingTable)}
+                  aria-label={bookingTable.isActive ? 'Stop booking table' : 'Start booking table'}
+                >
+                  {bookingTable.isActive
+                    ? <Eye className="w-4 h-4 text-orange-600" />
+                    : <EyeOff className="w-4 h-4 text-gray-400" />}
+                </button>
+                <button type="button" onClick={() => handleDeleteTable(bookingTable)} aria-label="Delete table">
+                  <Trash2 className="w-4 h-4 text-red-600" />
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+        <form onSubmit={handleAddTable} className="flex flex-wrap items-center gap-3 text-sm text-orange-700 dark:text-orange-300">
+          <input
+            type="text"
+            value={table.name}
+            onChange={(e) => setTable(prev => ({ ...prev, name: e.target.value }))}
+            placeholder="Table name, e.g. T1"
+            maxLength={50}
+            required
+            className={inputClassName}
+          />
+          <span>seats</span>
+          <input
+            type="number"
+            min="1"
+            value={table.minCapacity}
+            onChange={(e) => setTable(prev => ({ ...prev, minCapacity: e.target.value }))}
+            required
+            className={`${inputClassName} w-20`}
+          />
+          <span>to</span>
+          <input
+            type="number"
+            min="1"
+            value={table.maxCapacity}
+            onChange={(e) => setTable(prev => ({ ...prev, maxCapacity: e.target.value }))}
+            required
+            className={`${inputClassName} w-20`}
+          />
+          <button type="submit" className="flex items-center text-orange-600 hover:text-orange-800 dark:text-orange-400">
+            <Plus className="w-4 h-4 mr-1" />
+            Add table
+          </button>
+        </form>
+      </div>
+
+      {/* Blackouts */}
+      <div className="space-y-3">
+        <h3 className="flex items-center text-lg font-semibold text-orange-900 dark:text-orange-100">
+          <CalendarX className="w-5 h-5 mr-2" />
+          Blackout Days
+        </h3>
+        <ul className="space-y-2">
+          {data.blackouts.map(day => (
+            <li key={day.date} className="flex items-center justify-between gap-3 text-sm text-orange-900 dark:text-orange-100">
+              <span>
+                {day.date}
+                {day.reason && <span className="text-orange-600 dark:text-orange-400"> · {day.reason}</span>}
+              </span>
+              <button type="button" onClick={() => handleRemoveBlackout(day.date)} aria-label="Remove blackout day">
+                <Trash2 className="w-4 h-4 text-red-600" />
+              </button>
+            </li>
+          ))}
+        </ul>
+        <form onSubmit={handleAddBlackout} className="flex flex-wrap items-center gap-3 text-sm">
+          <input
+            type="date"
+            value={blackout.date}
+            onChange={(e) => setBlackout(prev => ({ ...prev, date: e.target.value }))}
+            required
+            className={inputClassName}
+          />
+          <input
+            type="text"
+            value={blackout.reason}
+            onChange={(e) => setBlackout(prev => ({ ...prev, reason: e.target.value }))}
+            placeholder="Reason (optional)"
+            maxLength={200}
+            className={inputClassName}
+          />
+          <button type="submit" className="flex items-center text-orange-600 hover:text-orange-800 dark:text-orange-400">
+            <Plus className="w-4 h-4 mr-1" />
+            Add blackout day
+          </button>
+        </form>
+      </div>
+    </div>
+  )
+}
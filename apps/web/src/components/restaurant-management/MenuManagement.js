@@ -1,24 +1,26 @@
 /**
  * Menu Management Component
- * 
+ *
  * Comprehensive menu management system for restaurant owners.
  * Allows CRUD operations on menu items, categories, and pricing.
- * 
+ *
  * Features:
  * - Menu item creation, editing, and deletion
- * - Category management
+ * - Category management and ordering
+ * - Drag and drop reordering of items
  * - Availability controls
- * - Pricing management
+ * - Pricing in the restaurant's currency
  * - Bulk operations
+ * - CSV export, and import with a preview of the changes
  * - Search and filtering
- * 
+ *
  * Next.js 15 Compatible:
  * - Default export only
  * - JavaScript (.js) file
  * - No React import needed
  */
 
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useCallback } from 'react'
 import Link from 'next/link'
 import {
   Plus,
@@ -29,118 +31,114 @@ import {
   EyeOff,
   Tag,
   Clock,
-  Star
+  ChevronUp,
+  ChevronDown,
+  GripVertical,
+  Download,
+  Upload
 } from 'lucide-react'
 
+// Dietary options
+const dietaryOptions = [
+  { id: 'vegetarian', label: 'Vegetarian', icon: '🥬' },
+  { id: 'vegan', label: 'Vegan', icon: '🌱' },
+  { id: 'gluten_free', label: 'Gluten Free', icon: '🌾' },
+  { id: 'dairy_free', label: 'Dairy Free', icon: '🥛' },
+  { id: 'nut_free', label: 'Nut Free', icon: '🥜' },
+  { id: 'halal', label: 'Halal', icon: '☪️' },
+  { id: 'kosher', label: 'Kosher', icon: '✡️' }
+]
+
+/**
+ * Send a request to the menu API
+ * @param {string} url The endpoint
+ * @param {string} method The HTTP method
+ * @param {object} [body] The JSON body
+ * @returns {Promise<object>} The response body
+ */
+const menuRequest = async (url, method, body) => {
+  const response = await fetch(url, {
+    method,
+    credentials: 'include',
+    headers: { 'Content-Type': 'application/json' },
+    body: body ? JSON.stringify(body) : undefined
+  })
+  const result = await response.json()
+  if (!response.ok) {
+    const error = new Error(result.message || 'Menu request failed')
+    error.details = result
+    throw error
+  }
+  return result
+}
+
+/**
+ * Format a price in the menu's currency
+ * @param {number} price The price
+ * @param {string} currency The ISO 4217 currency code
+ * @returns {string} The formatted price, e.g. MYR 12.50
+ */
+const formatPrice = (price, currency) => `${currency} ${price.toFixed(2)}`
+
 export default function MenuManagement({ restaurantId, country = 'my' }) {
-  const [menuData, setMenuData] = useState({ categories: [], items: [] })
+  const [menuData, setMenuData] = useState({ restaurant: null, categories: [], items: [] })
   const [isLoading, setIsLoading] = useState(true)
+  const [error, setError] = useState(null)
   const [searchTerm, setSearchTerm] = useState('')
   const [selectedCategory, setSelectedCategory] = useState('all')
   const [selectedItems, setSelectedItems] = useState(new Set())
-  const [editingItem, setEditingItem] = useState(null)
-
-  // Form state for adding/editing items
-  const [formData, setFormData] = useState({
-    name: '',
-    description: '',
-    price: '',
-    category: '',
-    isAvailable: true,
-    isSpecial: false,
-    preparationTime: '',
-    allergens: [],
-    dietaryInfo: []
-  })
+  const [newCategoryName, setNewCategoryName] = useState('')
+  const [draggedItemId, setDraggedItemId] = useState(null)
+  const [importFile, setImportFile] = useState(null)
+  const [importPreview, setImportPreview] = useState(null)
+  const [removeMissing, setRemoveMissing] = useState(false)
+  const [isImporting, setIsImporting] = useState(false)
 
-  // Dietary options
-  const dietaryOptions = [
-    { id: 'vegetarian', label: 'Vegetarian', icon: '🥬' },
-    { id: 'vegan', label: 'Vegan', icon: '🌱' },
-    { id: 'gluten_free', label: 'Gluten Free', icon: '🌾' },
-    { id: 'dairy_free', label: 'Dairy Free', icon: '🥛' },
-    { id: 'nut_free', label: 'Nut Free', icon: '🥜' },
-    { id: 'halal', label: 'Halal', icon: '☪️' },
-    { id: 'kosher', label: 'Kosher', icon: '✡️' }
-  ]
+  const menuUrl = `/api/restaurants/${encodeURIComponent(restaurantId)}/menu`
 
-  useEffect(() => {
-    const fetchMenuData = async () => {
-      try {
-        setIsLoading(true)
-        // TODO: Replace with actual API call
-        const mockData = {
-          categories: [
-            { id: 1, name: 'Appetizers', itemCount: 8 },
-            { id: 2, name: 'Main Courses', itemCount: 15 },
-            { id: 3, name: 'Desserts', itemCount: 6 },
-            { id: 4, name: 'Beverages', itemCount: 12 }
-          ],
-          items: [
-            {
-              id: 1,
-              name: 'Truffle Pasta',
-              description: 'Fresh pasta with truffle oil and parmesan',
-              price: 28.99,
-              category: 'Main Courses',
-              isAvailable: true,
-              isSpecial: true,
-              preparationTime: '15 mins',
-              dietaryInfo: ['vegetarian'],
-              allergens: ['dairy', 'gluten'],
-              orders: 45,
-              rating: 4.8
-            },
-            {
-              id: 2,
-              name: 'Grilled Salmon',
-              description: 'Atlantic salmon with seasonal vegetables',
-              price: 32.99,
-              category: 'Main Courses',
-              isAvailable: true,
-              isSpecial: false,
-              preparationTime: '20 mins',
-              dietaryInfo: ['gluten_free'],
-              allergens: ['fish'],
-              orders: 38,
-              rating: 4.6
-            },
-            {
-              id: 3,
-              name: 'Caesar Salad',
-              description: 'Classic caesar with house-made croutons',
-              price: 16.99,
-              category: 'Appetizers',
-              isAvailable: false,
-              isSpecial: false,
-              preparationTime: '10 mins',
-              dietaryInfo: [],
-              allergens: ['dairy', 'eggs'],
-              orders: 22,
-              rating: 4.3
-            }
-          ]
-        }
-        
-        setTimeout(() => {
-          setMenuData(mockData)
-          setIsLoading(false)
-        }, 1000)
-      } catch (error) {
-        console.error('Error fetching menu data:', error)
-        setIsLoading(false)
+  const fetchMenuData = useCallback(async () => {
+    try {
+      setError(null)
+      const response = await fetch(menuUrl, { credentials: 'include' })
+      const result = await response.json()
+      if (!response.ok) {
+        throw new Error(result.message || 'Failed to load menu')
       }
+      setMenuData(result.data)
+    } catch (err) {
+      console.error('Error fetching menu data:', err)
+      setError(err.message || 'Failed to load menu')
+    } finally {
+      setIsLoading(false)
     }
+  }, [menuUrl])
 
+  useEffect(() => {
     if (restaurantId) {
+      setIsLoading(true)
       fetchMenuData()
     }
-  }, [restaurantId])
+  }, [restaurantId, fetchMenuData])
+
+  // Run a change, then reload the menu; failures are shown above the menu
+  const runChange = async (change, failureMessage) => {
+    try {
+      setError(null)
+      await change()
+    } catch (err) {
+      console.error(failureMessage, err)
+      setError(err.message || failureMessage)
+    } finally {
+      await fetchMenuData()
+    }
+  }
 
   const filteredItems = menuData.items.filter(item => {
-    const matchesSearch = item.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
-                         item.description.toLowerCase().includes(searchTerm.toLowerCase())
-    const matchesCategory = selectedCategory === 'all' || item.category === selectedCategory
+    const term = searchTerm.toLowerCase()
+    const matchesSearch = item.name.toLowerCase().includes(term) ||
+                         (item.description || '').toLowerCase().includes(term)
+    const matchesCategory = selectedCategory === 'all' ||
+      (selectedCategory === 'none' ? !item.categoryId : item.categoryId === selectedCategory)
     return matchesSearch && matchesCategory
   })
 
@@ -156,63 +154,116 @@ export default function MenuManagement({ restaurantId, country = 'my' }) {
     })
   }
 
-
-
   const handleDeleteItem = async (itemId) => {
     if (!confirm('Are you sure you want to delete this menu item?')) return
 
-    try {
-      console.log('Deleting item:', itemId)
-      // TODO: Implement actual deletion
-      // fetchMenuData() // Refresh data
-    } catch (err) {
-      console.error('Error deleting menu item:', err)
-      alert('Failed to delete menu item. Please try again.')
-    }
+    await runChange(
+      () => menuRequest(`${menuUrl}/items/${encodeURIComponent(itemId)}`, 'DELETE'),
+      'Failed to delete menu item'
+    )
+  }
+
+  const handleToggleAvailability = async (item) => {
+    await runChange(
+      () => menuRequest(`${menuUrl}/items/${encodeURIComponent(item.id)}`, 'PATCH', { isAvailable: !item.isAvailable }),
+      'Failed to update menu item'
+    )
   }
 
   const handleBulkAction = async (action) => {
     if (selectedItems.size === 0) return
 
-    try {
-      const itemIds = Array.from(selectedItems)
-      
-      switch (action) {
-        case 'delete':
-          if (!confirm(`Are you sure you want to delete ${itemIds.length} items?`)) return
-          console.log('Bulk deleting items:', itemIds)
-          break
-        case 'disable':
-          console.log('Bulk disabling items:', itemIds)
-          break
-        case 'enable':
-          console.log('Bulk enabling items:', itemIds)
-          break
-      }
+    const itemIds = Array.from(selectedItems)
+    if (action === 'delete' && !confirm(`Are you sure you want to delete ${itemIds.length} items?`)) return
 
+    await runChange(async () => {
+      await menuRequest(`${menuUrl}/items/bulk`, 'POST', { action, itemIds })
       setSelectedItems(new Set())
-      // fetchMenuData() // Refresh data
-    } catch (err) {
-      console.error('Error performing bulk action:', err)
-      alert('Failed to perform bulk action. Please try again.')
-    }
+    }, 'Failed to perform bulk action')
   }
 
-  const startEditItem = (item) => {
-    setFormData({
-      name: item.name,
-      description: item.description || '',
-      price: item.price?.toString() || '',
-      category: item.category || '',
-      isAvailable: item.isAvailable !== false,
-      isSpecial: item.isSpecial || false,
-      preparationTime: item.preparationTime || '',
-      allergens: item.allergens || [],
-      dietaryInfo: item.dietaryInfo || []
-    })
-    setEditingItem(item)
-    // TODO: Navigate to edit page or show edit modal
-    console.log('Edit item:', item.id)
+  const handleAddCategory = async (e) => {
+    e.preventDefault()
+    if (!newCategoryName.trim()) return
+
+    await runChange(async () => {
+      await menuRequest(`${menuUrl}/categories`, 'POST', { name: newCategoryName.trim() })
+      setNewCategoryName('')
+    }, 'Failed to add category')
+  }
+
+  const handleRenameCategory = async (category) => {
+    const name = prompt('Category name', category.name)
+    if (!name || name.trim() === category.name) return
+
+    await runChange(
+      () => menuRequest(`${menuUrl}/categories/${encodeURIComponent(category.id)}`, 'PATCH', { name: name.trim() }),
+      'Failed to rename category'
+    )
+  }
+
+  const handleDeleteCategory = async (category) => {
+    if (!confirm(`Delete the "${category.name}" category? Its items stay on the menu without a category.`)) return
+
+    await runChange(async () => {
+      await menuRequest(`${menuUrl}/categories/${encodeURIComponent(category.id)}`, 'DELETE')
+      setSelectedCategory('all')
+    }, 'Failed to delete category')
+  }
+
+  const handleMoveCategory = async (index, offset) => {
+    const categoryIds = menuData.categories.map(category => category.id)
+    const [moved] = categoryIds.splice(index, 1)
+    categoryIds.splice(index + offset, 0, moved)
+
+    await runChange(
+      () => menuRequest(`${menuUrl}/categories/order`, 'PUT', { categoryIds }),
+      'Failed to reorder categories'
+    )
+  }
+
+  // Dropping an item on another puts it before that item, in that item's category
+  const handleDropItem = async (target) => {
+    const dragged = menuData.items.find(item => item.id === draggedItemId)
+    setDraggedItemId(null)
+    if (!dragged || dragged.id === target.id) return
+
+    const itemIds = menuData.items.map(item => item.id).filter(id => id !== dragged.id)
+    itemIds.splice(itemIds.indexOf(target.id), 0, dragged.id)
+
+    await runChange(async () => {
+      if (dragged.categoryId !== target.categoryId) {
+        await menuRequest(`${menuUrl}/items/${encodeURIComponent(dragged.id)}`, 'PATCH', { categoryId: target.categoryId })
+      }
+      await menuRequest(`${menuUrl}/items/order`, 'PUT', { itemIds })
+    }, 'Failed to reorder menu items')
+  }
+
+  // Preview an import, or apply it once the preview has been checked
+  const handleImport = async (apply) => {
+    if (!importFile) return
+
+    try {
+      setIsImporting(true)
+      setError(null)
+      const content = await importFile.text()
+      const result = await menuRequest(`${menuUrl}/import`, 'POST', { format: 'csv', content, apply, removeMissing })
+      if (apply) {
+        setImportFile(null)
+        setImportPreview(null)
+        await fetchMenuData()
+      } else {
+        setImportPreview(result.data)
+      }
+    } catch (err) {
+      console.error('Error importing menu:', err)
+      setError(err.message || 'Failed to import menu')
+      if (err.details?.errors) {
+        setImportPreview(prev => prev && { ...prev, errors: err.details.errors })
+      }
+    } finally {
+      setIsImporting(false)
+    }
   }
 
   if (isLoading) {
@@ -233,6 +284,9 @@ export default function MenuManagement({ restaurantId, country = 'my' }) {
     )
   }
 
+  const currency = menuData.restaurant?.currency || ''
+  const addItemHref = `/${country}/restaurant/menu/add?restaurantId=${encodeURIComponent(restaurantId)}`
+
   return (
     <div className="space-y-6">
       {/* Header */}
@@ -267,9 +321,17 @@ export default function MenuManagement({ restaurantId, country = 'my' }) {
               </button>
             </div>
           )}
-          
+
+          <a
+            href={`${menuUrl}?format=csv`}
+            className="flex items-center px-4 py-2 bg-orange-100 hover:bg-orange-200 text-orange-700 font-medium rounded-lg transition-colors dark:bg-orange-800 dark:hover:bg-orange-700 dark:text-orange-300"
+          >
+            <Download className="w-4 h-4 mr-2" />
+            Export CSV
+          </a>
+
           <Link
-            href={`/${country}/restaurant/menu/add`}
+            href={addItemHref}
             className="flex items-center px-4 py-2 bg-orange-500 hover:bg-orange-600 text-white font-medium rounded-lg transition-colors"
           >
             <Plus className="w-4 h-4 mr-2" />
@@ -278,6 +340,163 @@ export default function MenuManagement({ restaurantId, country = 'my' }) {
         </div>
       </div>
 
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 rounded-lg p-4 text-sm dark:bg-red-900 dark:border-red-800 dark:text-red-200">
+          {error}
+        </div>
+      )}
+
+      {/* Categories */}
+      <div className="bg-white dark:bg-orange-900 rounded-lg shadow-sm border border-orange-200 dark:border-orange-800 p-6">
+        <h3 className="text-lg font-semibold text-orange-900 dark:text-orange-100 mb-4">Categories</h3>
+        <ul className="space-y-2 mb-4">
+          {menuData.categories.map((category, index) => (
+            <li key={category.id} className="flex items-center justify-between">
+              <span className="text-orange-800 dark:text-orange-200">
+                {category.name} <span className="text-xs text-orange-500">({category.itemCount})</span>
+              </span>
+              <div className="flex items-center space-x-1">
+                <button
+                  onClick={() => handleMoveCategory(index, -1)}
+                  disabled={index === 0}
+                  className="p-1 text-orange-600 disabled:text-orange-200"
+                  aria-label={`Move ${category.name} up`}
+                >
+                  <ChevronUp className="w-4 h-4" />
+                </button>
+                <button
+                  onClick={() => handleMoveCategory(index, 1)}
+                  disabled={index === menuData.categories.length - 1}
+                  className="p-1 text-orange-600 disabled:text-orange-200"
+                  aria-label={`Move ${category.name} down`}
+                >
+                  <ChevronDown className="w-4 h-4" />
+                </button>
+                <button
+                  onClick={() => handleRenameCategory(category)}
+                  className="p-1 text-orange-600"
+                  aria-label={`Rename ${category.name}`}
+                >
+                  <Edit className="w-4 h-4" />
+                </button>
+                <button
+                  onClick={() => handleDeleteCategory(category)}
+                  className="p-1 text-red-600"
+                  aria-label={`Delete ${category.name}`}
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+        <form onSubmit={handleAddCategory} className="flex gap-2">
+          <input
+            type="text"
+            value={newCategoryName}
+            onChange={(e) => setNewCategoryName(e.target.value)}
+            placeholder="New category, e.g. Noodles"
+            maxLength={100}
+            className="flex-1 px-3 py-2 border border-orange-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-orange-500 dark:bg-orange-800 dark:border-orange-700 dark:text-orange-100"
+          />
+          <button
+            type="submit"
+            className="px-4 py-2 bg-orange-500 hover:bg-orange-600 text-white font-medium rounded-lg transition-colors"
+          >
+            Add Category
+          </button>
+        </form>
+      </div>
+
+      {/* Import */}
+      <div className="bg-white dark:bg-orange-900 rounded-lg shadow-sm border border-orange-200 dark:border-orange-800 p-6">
+        <h3 className="text-lg font-semibold text-orange-900 dark:text-orange-100 mb-2">Import from CSV</h3>
+        <p className="text-sm text-orange-600 dark:text-orange-400 mb-4">
+          Use the columns of the exported CSV. Items are matched by name; you can check the changes before they are made.
+        </p>
+        <div className="flex flex-wrap items-center gap-3">
+          <input
+            type="file"
+            accept=".csv,text/csv"
+            onChange={(e) => {
+              setImportFile(e.target.files[0] || null)
+              setImportPreview(null)
+            }}
+            className="text-sm"
+          />
+          <label className="flex items-center space-x-2 text-sm text-orange-700 dark:text-orange-300">
+            <input
+              type="checkbox"
+              checked={removeMissing}
+              onChange={(e) => {
+                setRemoveMissing(e.target.checked)
+                setImportPreview(null)
+              }}
+              className="w-4 h-4 text-orange-600 border-gray-300 rounded focus:ring-orange-500"
+            />
+            <span>Remove items not in the file</span>
+          </label>
+          <button
+            onClick={() => handleImport(false)}
+            disabled={!importFile || isImporting}
+            className="flex items-center px-4 py-2 bg-orange-100 hover:bg-orange-200 disabled:opacity-50 text-orange-700 font-medium rounded-lg transition-colors dark:bg-orange-800 dark:text-orange-300"
+          >
+            <Upload className="w-4 h-4 mr-2" />
+            Preview Changes
+          </button>
+        </div>
+
+        {importPreview && (
+          <div className="mt-4 space-y-3 text-sm">
+            <p className="text-orange-800 dark:text-orange-200">
+              {importPreview.created.length} new, {importPreview.updated.length} changed, {importPreview.unchanged} unchanged
+              {importPreview.removed.length > 0 && `, ${importPreview.removed.length} removed`}
+              {importPreview.newCategories.length > 0 && ` · new categories: ${importPreview.newCategories.join(', ')}`}
+            </p>
+            {importPreview.errors.length > 0 ? (
+              <ul className="text-red-700 dark:text-red-300 space-y-1">
+                {importPreview.errors.map((rowError, index) => (
+                  <li key={index}>
+                    Row {rowError.row}{rowError.field ? ` (${rowError.field})` : ''}: {rowError.message}
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <>
+                <ul className="space-y-1 text-orange-700 dark:text-orange-300">
+                  {importPreview.created.map((item) => (
+                    <li key={`new-${item.row}`}>
+                      <span className="text-green-700 dark:text-green-300">+</span> {item.name} · {formatPrice(item.price, currency)}
+                      {item.category && ` · ${item.category}`}
+                    </li>
+                  ))}
+                  {importPreview.updated.map((item) => (
+                    <li key={item.id}>
+                      <span className="text-yellow-700 dark:text-yellow-300">~</span> {item.name}:{' '}
+                      {Object.entries(item.changes)
+                        .map(([field, { from, to }]) => `${field} ${JSON.stringify(from)} → ${JSON.stringify(to)}`)
+                        .join('; ')}
+                    </li>
+                  ))}
+                  {importPreview.removed.map((item) => (
+                    <li key={item.id}>
+                      <span className="text-red-700 dark:text-red-300">−</span> {item.name}
+                    </li>
+                  ))}
+                </ul>
+                <button
+                  onClick={() => handleImport(true)}
+                  disabled={isImporting}
+                  className="px-4 py-2 bg-orange-500 hover:bg-orange-600 disabled:bg-orange-300 text-white font-medium rounded-lg transition-colors"
+                >
+                  Apply Import
+                </button>
+              </>
+            )}
+          </div>
+        )}
+      </div>
+
       {/* Search and Filters */}
       <div className="bg-white dark:bg-orange-900 rounded-lg shadow-sm border border-orange-200 dark:border-orange-800 p-6">
         <div className="flex flex-col md:flex-row gap-4">
@@ -293,7 +512,7 @@ export default function MenuManagement({ restaurantId, country = 'my' }) {
               />
             </div>
           </div>
-          
+
           <div className="flex gap-3">
             <select
               value={selectedCategory}
@@ -302,10 +521,11 @@ export default function MenuManagement({ restaurantId, country = 'my' }) {
             >
               <option value="all">All Categories</option>
               {menuData.categories.map(category => (
-                <option key={category.id} value={category.name}>
+                <option key={category.id} value={category.id}>
                   {category.name} ({category.itemCount})
                 </option>
               ))}
+              <option value="none">Uncategorised</option>
             </select>
           </div>
         </div>
@@ -315,9 +535,19 @@ export default function MenuManagement({ restaurantId, country = 'my' }) {
       {filteredItems.length > 0 ? (
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
           {filteredItems.map((item) => (
-            <div key={item.id} className="bg-white dark:bg-orange-900 rounded-lg shadow-sm border border-orange-200 dark:border-orange-800 p-6">
+            <div
+              key={item.id}
+              draggable
+              onDragStart={() => setDraggedItemId(item.id)}
+              onDragOver={(e) => e.preventDefault()}
+              onDrop={() => handleDropItem(item)}
+              className={`bg-white dark:bg-orange-900 rounded-lg shadow-sm border border-orange-200 dark:border-orange-800 p-6 ${
+                draggedItemId === item.id ? 'opacity-50' : ''
+              }`}
+            >
               <div className="flex items-start justify-between mb-4">
                 <div className="flex items-start space-x-3">
+                  <GripVertical className="w-4 h-4 text-orange-300 mt-1 cursor-move" />
                   <input
                     type="checkbox"
                     checked={selectedItems.has(item.id)}
@@ -342,40 +572,42 @@ export default function MenuManagement({ restaurantId, country = 'my' }) {
                   </div>
                 </div>
 
-                <div className="flex items-center space-x-1">
+                <button
+                  onClick={() => handleToggleAvailability(item)}
+                  className="flex items-center space-x-1"
+                  aria-label={item.isAvailable ? 'Mark unavailable' : 'Mark available'}
+                >
                   {item.isAvailable ? (
                     <Eye className="w-4 h-4 text-green-500" />
                   ) : (
                     <EyeOff className="w-4 h-4 text-red-500" />
                   )}
-                </div>
+                </button>
               </div>
 
               <div className="space-y-3">
+                {item.imageUrl && (
+                  // eslint-disable-next-line @next/next/no-img-element
+                  <img src={item.imageUrl} alt={item.name} className="w-full h-32 object-cover rounded-lg" />
+                )}
+
                 <div className="flex items-center justify-between">
                   <span className="text-2xl font-bold text-orange-600 dark:text-orange-400">
-                    ${item.price.toFixed(2)}
-                  </span>
-                  <span className="px-2 py-1 bg-orange-100 text-orange-800 text-xs font-medium rounded-full dark:bg-orange-800 dark:text-orange-200">
-                    {item.category}
+                    {formatPrice(item.price, item.currency)}
                   </span>
+                  {item.category && (
+                    <span className="px-2 py-1 bg-orange-100 text-orange-800 text-xs font-medium rounded-full dark:bg-orange-800 dark:text-orange-200">
+                      {item.category}
+                    </span>
+                  )}
                 </div>
 
-                <div className="flex items-center justify-between text-sm text-orange-600 dark:text-orange-400">
-                  <div className="flex items-center space-x-4">
-                    <div className="flex items-center">
-                      <Clock className="w-4 h-4 mr-1" />
-                      {item.preparationTime}
-                    </div>
-                    <div className="flex items-center">
-                      <Star className="w-4 h-4 mr-1 fill-current" />
-                      {item.rating}
-                    </div>
+                {item.preparationTime && (
+                  <div className="flex items-center text-sm text-orange-600 dark:text-orange-400">
+                    <Clock className="w-4 h-4 mr-1" />
+                    {item.preparationTime}
                   </div>
-                  <div className="text-xs">
-                    {item.orders} orders
-                  </div>
-                </div>
+                )}
 
                 {item.dietaryInfo && item.dietaryInfo.length > 0 && (
                   <div className="flex flex-wrap gap-1">
@@ -392,13 +624,13 @@ export default function MenuManagement({ restaurantId, country = 'my' }) {
 
                 <div className="flex items-center justify-between pt-3 border-t border-orange-200 dark:border-orange-700">
                   <div className="flex space-x-2">
-                    <button
-                      onClick={() => startEditItem(item)}
+                    <Link
+                      href={`${addItemHref}&itemId=${encodeURIComponent(item.id)}`}
                       className="flex items-center px-3 py-1 text-sm bg-orange-100 hover:bg-orange-200 text-orange-700 rounded transition-colors dark:bg-orange-800 dark:hover:bg-orange-700 dark:text-orange-300"
                     >
                       <Edit className="w-3 h-3 mr-1" />
                       Edit
-                    </button>
+                    </Link>
                     <button
                       onClick={() => handleDeleteItem(item.id)}
                       className="flex items-center px-3 py-1 text-sm bg-red-100 hover:bg-red-200 text-red-700 rounded transition-colors dark:bg-red-900 dark:hover:bg-red-800 dark:text-red-300"
@@ -435,7 +667,7 @@ export default function MenuManagement({ restaurantId, country = 'my' }) {
             }
           </p>
           <Link
-            href={`/${country}/restaurant/menu/add`}
+            href={addItemHref}
             className="inline-flex items-center px-4 py-2 bg-orange-500 hover:bg-orange-600 text-white font-medium rounded-lg transition-colors"
           >
             <Plus className="w-4 h-4 mr-2" />
@@ -15,7 +15,27 @@
 import React, { useState, useEffect } from 'react';
 import { Card, Badge, Button, LoadingSpinner } from '@bellyfed/ui';
 import { useAnalyticsContext } from '../analytics/AnalyticsProvider.js';
-import { analyticsService } from '../../services/analyticsService.js';
+
+/**
+ * Send a request to a restaurant's menu API
+ * @param {string} restaurantId - The restaurant ID
+ * @param {string} path - The path below the menu endpoint
+ * @param {Object} [options] - The method and JSON body
+ * @returns {Promise<Object>} The response data
+ */
+const menuRequest = async (restaurantId, path, { method = 'GET', body } = {}) => {
+  const response = await fetch(`/api/restaurants/${encodeURIComponent(restaurantId)}/menu${path}`, {
+    method,
+    credentials: 'include',
+    headers: { 'Content-Type': 'application/json' },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const result = await response.json();
+  if (!response.ok) {
+    throw new Error(result.message || 'Menu request failed');
+  }
+  return result.data;
+};
 
 const MenuManager = ({
   restaurantId,
@@ -40,7 +60,7 @@ const MenuManager = ({
     name: '',
     description: '',
     price: '',
-    category: '',
+    categoryId: '',
     isAvailable: true,
     isSpecial: false,
     allergens: [],
@@ -71,11 +91,7 @@ const MenuManager = ({
     setError(null);
 
     try {
-      const data = await analyticsService.getRestaurantMenu({
-        restaurantId,
-        includeCategories: showCategories,
-        includeAvailability: true
-      });
+      const data = await menuRequest(restaurantId, '');
 
       setMenuData(data);
       
@@ -109,14 +125,19 @@ const MenuManager = ({
   const handleSubmit = async (e) => {
     e.preventDefault();
     
+    const item = {
+      ...formData,
+      description: formData.description || null,
+      categoryId: formData.categoryId || null,
+      price: parseFloat(formData.price)
+    };
+
     try {
       if (editingItem) {
         // Update existing item
-        await analyticsService.updateMenuItem({
-          restaurantId,
-          itemId: editingItem.id,
-          ...formData,
-          price: parseFloat(formData.price)
+        await menuRequest(restaurantId, `/items/${encodeURIComponent(editingItem.id)}`, {
+          method: 'PATCH',
+          body: item
         });
         
         trackUserEngagement('restaurant', restaurantId, 'menu_item_update', {
@@ -125,15 +146,11 @@ const MenuManager = ({
         });
       } else {
         // Create new item
-        await analyticsService.createMenuItem({
-          restaurantId,
-          ...formData,
-          price: parseFloat(formData.price)
-        });
+        await menuRequest(restaurantId, '/items', { method: 'POST', body: item });
         
         trackUserEngagement('restaurant', restaurantId, 'menu_item_create', {
           itemName: formData.name,
-          category: formData.category
+          categoryId: item.categoryId
         });
       }
 
@@ -142,7 +159,7 @@ const MenuManager = ({
         name: '',
         description: '',
         price: '',
-        category: '',
+        categoryId: '',
         isAvailable: true,
         isSpecial: false,
         allergens: [],
@@ -153,7 +170,7 @@ const MenuManager = ({
       fetchMenuData();
     } catch (err) {
       console.error('Error saving menu item:', err);
-      alert('Failed to save menu item. Please try again.');
+      alert(`${err.message || 'Failed to save menu item'}. Please try again.`);
     }
   };
 
@@ -162,7 +179,7 @@ const MenuManager = ({
     if (!confirm('Are you sure you want to delete this menu item?')) return;
 
     try {
-      await analyticsService.deleteMenuItem({ restaurantId, itemId });
+      await menuRequest(restaurantId, `/items/${encodeURIComponent(itemId)}`, { method: 'DELETE' });
       
       trackUserEngagement('restaurant', restaurantId, 'menu_item_delete', {
         itemId
@@ -182,26 +199,8 @@ const MenuManager = ({
     try {
       const itemIds = Array.from(selectedItems);
       
-      switch (action) {
-        case 'delete':
-          if (!confirm(`Are you sure you want to delete ${itemIds.length} items?`)) return;
-          await analyticsService.bulkDeleteMenuItems({ restaurantId, itemIds });
-          break;
-        case 'disable':
-          await analyticsService.bulkUpdateMenuItems({ 
-            restaurantId, 
-            itemIds, 
-            updates: { isAvailable: false } 
-          });
-          break;
-        case 'enable':
-          await analyticsService.bulkUpdateMenuItems({ 
-            restaurantId, 
-            itemIds, 
-            updates: { isAvailable: true } 
-          });
-          break;
-      }
+      if (action === 'delete' && !confirm(`Are you sure you want to delete ${itemIds.length} items?`)) return;
+      await menuRequest(restaurantId, '/items/bulk', { method: 'POST', body: { action, itemIds } });
 
       trackUserEngagement('restaurant', restaurantId, 'menu_bulk_action', {
         action,
@@ -222,7 +221,7 @@ const MenuManager = ({
       name: item.name,
       description: item.description || '',
       price: item.price?.toString() || '',
-      category: item.category || '',
+      categoryId: item.categoryId || '',
       isAvailable: item.isAvailable !== false,
       isSpecial: item.isSpecial || false,
       allergens: item.allergens || [],
@@ -312,7 +311,7 @@ const MenuManager = ({
                 name: '',
                 description: '',
                 price: '',
-                category: '',
+                categoryId: '',
                 isAvailable: true,
                 isSpecial: false,
                 allergens: [],
@@ -375,23 +374,25 @@ const MenuManager = ({
             </div>
 
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">
-                  Category
-                </label>
-                <select
-                  value={formData.category}
-                  onChange={(e) => setFormData(prev => ({ ...prev, category: e.target.value }))}
-                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-orange-500"
-                >
-                  <option value="">Select Category</option>
-                  {menuData.categories?.map(category => (
-                    <option key={category.id} value={category.name}>
-                      {category.name}
-                    </option>
-                  ))}
-                </select>
-              </div>
+              {showCategories && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Category
+                  </label>
+                  <select
+                    value={formData.categoryId}
+                    onChange={(e) => setFormData(prev => ({ ...prev, categoryId: e.target.value }))}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-orange-500"
+                  >
+                    <option value="">No Category</option>
+                    {menuData.categories?.map(category => (
+                      <option key={category.id} value={category.id}>
+                        {category.name}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              )}
 
               <div className="flex items-center gap-4">
                 <label className="flex items-center gap-2">
@@ -469,7 +470,7 @@ const MenuManager = ({
                       
                       <div className="flex items-center gap-4 mt-2">
                         <span className="text-lg font-bold text-orange-600">
-                          ${item.price?.toFixed(2)}
+                          {item.currency} {item.price?.toFixed(2)}
                         </span>
                         
                         {item.category && (
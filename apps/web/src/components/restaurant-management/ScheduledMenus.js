@@ -0,0 +1,616 @@
+/**
+ * Scheduled Menus Component
+ *
+ * Lets restaurant owners run named menus, such as breakfast, lunch, dinner
+ * or a Ramadan buffet, built from the items of their menu.
+ *
+ * Features:
+ * - Weekly serving windows, e.g. weekdays 11:00-15:00
+ * - Start and end dates for seasonal menus
+ * - Versions with their own prices, published now or in advance
+ * - Version history with rollback and cancelling of scheduled versions
+ *
+ * Next.js 15 Compatible:
+ * - Default export only
+ * - JavaScript (.js) file
+ * - No React import needed
+ */
+
+import { useState, useEffect, useCallback } from 'react'
+import {
+  Plus,
+  Edit,
+  Trash2,
+  Eye,
+  EyeOff,
+  Calendar,
+  Clock,
+  History,
+  RotateCcw,
+  X
+} from 'lucide-react'
+import { formatMenuSchedules } from '../../utils/menuSchedule.js'
+
+// Days in the order they are offered, Monday first
+const DAYS = [
+  { dayOfWeek: 1, label: 'Mon' },
+  { dayOfWeek: 2, label: 'Tue' },
+  { dayOfWeek: 3, label: 'Wed' },
+  { dayOfWeek: 4, label: 'Thu' },
+  { dayOfWeek: 5, label: 'Fri' },
+  { dayOfWeek: 6, label: 'Sat' },
+  { dayOfWeek: 0, label: 'Sun' }
+]
+
+// Badge styles of version statuses
+const STATUS_STYLES = {
+  live: 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200',
+  scheduled: 'bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200',
+  past: 'bg-gray-100 text-gray-700 dark:bg-gray-800 dark:text-gray-300'
+}
+
+const inputClassName = 'px-3 py-2 border border-orange-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-orange-500 dark:bg-orange-800 dark:border-orange-700 dark:text-orange-100'
+
+/**
+ * Send a request to the named menus API
+ * @param {string} url The endpoint
+ * @param {string} method The HTTP method
+ * @param {object} [body] The JSON body
+ * @returns {Promise<object>} The response body
+ */
+const menusRequest = async (url, method, body) => {
+  const response = await fetch(url, {
+    method,
+    credentials: 'include',
+    headers: { 'Content-Type': 'application/json' },
+    body: body ? JSON.stringify(body) : undefined
+  })
+  const result = await response.json()
+  if (!response.ok) {
+    throw new Error(result.message || 'Menu request failed')
+  }
+  return result
+}
+
+/**
+ * Group a menu's windows by their times, for editing
+ * @param {Array} schedules The windows as { dayOfWeek, startTime, endTime }
+ * @returns {Array} The windows as { days, startTime, endTime }
+ */
+const toWindowGroups = (schedules) => {
+  const groups = new Map()
+  for (const { dayOfWeek, startTime, endTime } of schedules) {
+    const key = `${startTime}-${endTime}`
+    const group = groups.get(key) || { days: [], startTime, endTime }
+    group.days.push(dayOfWeek)
+    groups.set(key, group)
+  }
+  return [...groups.values()]
+}
+
+/**
+ * Format a moment in the restaurant's timezone
+ * @param {string} value The moment as an ISO 8601 string
+ * @param {string} timezone The restaurant's timezone
+ * @returns {string} The formatted date and time
+ */
+const formatMoment = (value, timezone) =>
+  new Intl.DateTimeFormat(undefined, { timeZone: timezone, dateStyle: 'medium', timeStyle: 'short' }).format(new Date(value))
+
+const emptyEditor = { menuId: null, name: '', description: '', startDate: '', endDate: '', windows: [] }
+
+export default function ScheduledMenus({ restaurantId }) {
+  const [data, setData] = useState(null)
+  const [items, setItems] = useState([])
+  const [error, setError] = useState(null)
+  const [notice, setNotice] = useState(null)
+  const [editor, setEditor] = useState(null)
+  const [publisher, setPublisher] = useState(null)
+  const [historyMenuId, setHistoryMenuId] = useState(null)
+
+  const menusUrl = `/api/restaurants/${encodeURIComponent(restaurantId)}/menus`
+
+  const fetchMenus = useCallback(async () => {
+    try {
+      const [menus, menu] = await Promise.all([
+        menusRequest(menusUrl, 'GET'),
+        menusRequest(`/api/restaurants/${encodeURIComponent(restaurantId)}/menu`, 'GET')
+      ])
+      setData(menus.data)
+      setItems(menu.data.items)
+    } catch (err) {
+      console.error('Error fetching named menus:', err)
+      setError(err.message || 'Failed to load menus')
+    }
+  }, [menusUrl, restaurantId])
+
+  useEffect(() => {
+    if (restaurantId) {
+      fetchMenus()
+    }
+  }, [restaurantId, fetchMenus])
+
+  // Run a change, show its message and reload the menus
+  const runChange = async (change, failureMessage) => {
+    try {
+      setError(null)
+      setNotice(null)
+      const result = await change()
+      setNotice(result?.message || null)
+      return true
+    } catch (err) {
+      console.error(failureMessage, err)
+      setError(err.message || failureMessage)
+      return false
+    } finally {
+      await fetchMenus()
+    }
+  }
+
+  const handleSaveMenu = async (e) => {
+    e.preventDefault()
+
+    const body = {
+      name: editor.name,
+      description: editor.description || null,
+      startDate: editor.startDate || null,
+      endDate: editor.endDate || null,
+      schedules: editor.windows.flatMap(({ days, startTime, endTime }) =>
+        days.map(dayOfWeek => ({ dayOfWeek, startTime, endTime }))
+      )
+    }
+    const saved = await runChange(
+      () => editor.menuId
+        ? menusRequest(`${menusUrl}/${encodeURIComponent(editor.menuId)}`, 'PATCH', body)
+        : menusRequest(menusUrl, 'POST', body),
+      'Failed to save menu'
+    )
+    if (saved) {
+      setEditor(null)
+    }
+  }
+
+  const handleToggleMenu = (menu) => runChange(
+    () => menusRequest(`${menusUrl}/${encodeURIComponent(menu.id)}`, 'PATCH', { isEnabled: !menu.isEnabled }),
+    'Failed to update menu'
+  )
+
+  const handleDeleteMenu = (menu) => {
+    if (!confirm(`Delete the "${menu.name}" menu and its history? The items stay on your menu.`)) return
+
+    return runChange(
+      () => menusRequest(`${menusUrl}/${encodeURIComponent(menu.id)}`, 'DELETE'),
+      'Failed to delete menu'
+    )
+  }
+
+  // Start a new version from the latest one, or from nothing
+  const startPublishing = (menu) => {
+    const latest = menu.versions[0]
+    const selected = {}
+    for (const item of latest?.items || []) {
+      if (items.some(menuItem => menuItem.id === item.itemId)) {
+        selected[item.itemId] = item.price.toFixed(2)
+      }
+    }
+    setPublisher({ menuId: menu.id, selected, publishAt: '', note: '' })
+  }
+
+  const handlePublish = async (e) => {
+    e.preventDefault()
+
+    // Items keep the menu's order; a price equal to the item's own is not an override
+    const versionItems = items
+      .filter(item => publisher.selected[item.id] !== undefined)
+      .map(item => {
+        const price = Number(publisher.selected[item.id])
+        return { itemId: item.id, price: price === item.price ? undefined : price }
+      })
+    const published = await runChange(
+      () => menusRequest(`${menusUrl}/${encodeURIComponent(publisher.menuId)}/versions`, 'POST', {
+        items: versionItems,
+        note: publisher.note || null,
+        publishAt: publisher.publishAt ? new Date(publisher.publishAt).toISOString() : null
+      }),
+      'Failed to publish menu'
+    )
+    if (published) {
+      setPublisher(null)
+    }
+  }
+
+  const handleRollback = (menu, version) => {
+    if (!confirm(`Publish version ${version.version} of "${menu.name}" again now?`)) return
+
+    return runChange(
+      () => menusRequest(`${menusUrl}/${encodeURIComponent(menu.id)}/versions/${encodeURIComponent(version.id)}/rollback`, 'POST', {}),
+      'Failed to roll back menu'
+    )
+  }
+
+  const handleCancelVersion = (menu, version) => runChange(
+    () => menusRequest(`${menusUrl}/${encodeURIComponent(menu.id)}/versions/${encodeURIComponent(version.id)}`, 'DELETE'),
+    'Failed to cancel version'
+  )
+
+  const updateWindow = (index, changes) => {
+    setEditor(prev => ({
+      ...prev,
+      windows: prev.windows.map((window, i) => (i === index ? { ...window, ...changes } : window))
+    }))
+  }
+
+  if (!data) {
+    return (
+      <div className="bg-white dark:bg-orange-900 rounded-lg shadow-sm border border-orange-200 dark:border-orange-800 p-6">
+        {error ? (
+          <p className="text-sm text-red-600">{error}</p>
+        ) : (
+          <div className="animate-pulse h-6 bg-orange-200 dark:bg-orange-700 rounded w-1/3"></div>
+        )}
+      </div>
+    )
+  }
+
+  const { timezone } = data.restaurant
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="text-2xl font-bold text-orange-900 dark:text-orange-100">Scheduled Menus</h2>
+          <p className="text-orange-600 dark:text-orange-400 mt-1">
+            Menus for set times of day or seasons. Times are in {timezone}.
+          </p>
+        </div>
+        <button
+          onClick={() => setEditor(emptyEditor)}
+          className="flex items-center px-4 py-2 bg-orange-500 hover:bg-orange-600 text-white font-medium rounded-lg transition-colors"
+        >
+          <Plus className="w-4 h-4 mr-2" />
+          New Menu
+        </button>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 rounded-lg p-4 text-sm dark:bg-red-900 dark:border-red-800 dark:text-red-200">
+          {error}
+        </div>
+      )}
+      {notice && <p className="text-sm text-green-700 dark:text-green-300">{notice}</p>}
+
+      {/* Menu editor */}
+      {editor && (
+        <form
+          onSubmit={handleSaveMenu}
+          className="bg-white dark:bg-orange-900 rounded-lg shadow-sm border border-orange-200 dark:border-orange-800 p-6 space-y-4"
+        >
+          <div className="flex items-center justify-between">
+            <h3 className="text-lg font-semibold text-orange-900 dark:text-orange-100">
+              {editor.menuId ? 'Edit Menu' : 'New Menu'}
+            </h3>
+            <button type="button" onClick={() => setEditor(null)} aria-label="Close">
+              <X className="w-5 h-5 text-orange-500" />
+            </button>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <input
+              type="text"
+              value={editor.name}
+              onChange={(e) => setEditor(prev => ({ ...prev, name: e.target.value }))}
+              placeholder="Name, e.g. Lunch"
+              maxLength={100}
+              required
+              className={inputClassName}
+            />
+            <input
+              type="text"
+              value={editor.description}
+              onChange={(e) => setEditor(prev => ({ ...prev, description: e.target.value }))}
+              placeholder="Description (optional)"
+              maxLength={1000}
+              className={inputClassName}
+            />
+          </div>
+
+          <div className="flex flex-wrap items-center gap-3 text-sm text-orange-700 dark:text-orange-300">
+            <Calendar className="w-4 h-4" />
+            <span>From</span>
+            <input
+              type="date"
+              value={editor.startDate}
+              onChange={(e) => setEditor(prev => ({ ...prev, startDate: e.target.value }))}
+              className={inputClassName}
+            />
+            <span>until</span>
+            <input
+              type="date"
+              value={editor.endDate}
+              onChange={(e) => setEditor(prev => ({ ...prev, endDate: e.target.value }))}
+              className={inputClassName}
+            />
+            <span className="text-xs text-orange-500">Leave empty for a menu that runs all year</span>
+          </div>
+
+          <div className="space-y-3">
+            {editor.windows.map((window, index) => (
+              <div key={index} className="flex flex-wrap items-center gap-3">
+                {DAYS.map(({ dayOfWeek, label }) => (
+                  <label key={dayOfWeek} className="flex items-center space-x-1 text-sm text-orange-700 dark:text-orange-300">
+                    <input
+                      type="checkbox"
+                      checked={window.days.includes(dayOfWeek)}
+                      onChange={() => updateWindow(index, {
+                        days: window.days.includes(dayOfWeek)
+                          ? window.days.filter(day => day !== dayOfWeek)
+                          : [...window.days, dayOfWeek]
+                      })}
+                      className="w-4 h-4 text-orange-600 border-gray-300 rounded focus:ring-orange-500"
+                    />
+                    <span>{label}</span>
+                  </label>
+                ))}
+                <input
+                  type="time"
+                  value={window.startTime}
+                  onChange={(e) => updateWindow(index, { startTime: e.target.value })}
+                  required
+                  className={inputClassName}
+                />
+                <span className="text-orange-600">to</span>
+                <input
+                  type="time"
+                  value={window.endTime}
+                  onChange={(e) => updateWindow(index, { endTime: e.target.value })}
+                  required
+                  className={inputClassName}
+                />
+                <button
+                  type="button"
+                  onClick={() => setEditor(prev => ({ ...prev, windows: prev.windows.filter((_, i) => i !== index) }))}
+                  aria-label="Remove serving time"
+                >
+                  <Trash2 className="w-4 h-4 text-red-600" />
+                </button>
+              </div>
+            ))}
+            <button
+              type="button"
+              onClick={() => setEditor(prev => ({
+                ...prev,
+                windows: [...prev.windows, { days: [1, 2, 3, 4, 5], startTime: '11:00', endTime: '15:00' }]
+              }))}
+              className="flex items-center text-sm text-orange-600 hover:text-orange-800 dark:text-orange-400"
+            >
+              <Clock className="w-4 h-4 mr-1" />
+              Add serving time
+            </button>
+            {editor.windows.length === 0 && (
+              <p className="text-xs text-orange-500">Without serving times the menu is served all day.</p>
+            )}
+          </div>
+
+          <button
+            type="submit"
+            className="px-4 py-2 bg-orange-500 hover:bg-orange-600 text-white font-medium rounded-lg transition-colors"
+          >
+            Save Menu
+          </button>
+        </form>
+      )}
+
+      {/* Version publisher */}
+      {publisher && (
+        <form
+          onSubmit={handlePublish}
+          className="bg-white dark:bg-orange-900 rounded-lg shadow-sm border border-orange-200 dark:border-orange-800 p-6 space-y-4"
+        >
+          <div className="flex items-center justify-between">
+            <h3 className="text-lg font-semibold text-orange-900 dark:text-orange-100">
+              Publish {data.menus.find(menu => menu.id === publisher.menuId)?.name}
+            </h3>
+            <button type="button" onClick={() => setPublisher(null)} aria-label="Close">
+              <X className="w-5 h-5 text-orange-500" />
+            </button>
+          </div>
+
+          <ul className="space-y-2 max-h-96 overflow-y-auto">
+            {items.map(item => (
+              <li key={item.id} className="flex items-center justify-between gap-3">
+                <label className="flex items-center space-x-2 text-sm text-orange-800 dark:text-orange-200">
+                  <input
+                    type="checkbox"
+                    checked={publisher.selected[item.id] !== undefined}
+                    onChange={() => setPublisher(prev => {
+                      const selected = { ...prev.selected }
+                      if (selected[item.id] !== undefined) {
+                        delete selected[item.id]
+                      } else {
+                        selected[item.id] = item.price.toFixed(2)
+                      }
+                      return { ...prev, selected }
+                    })}
+                    className="w-4 h-4 text-orange-600 border-gray-300 rounded focus:ring-orange-500"
+                  />
+                  <span>{item.name}</span>
+                  {item.category && <span className="text-xs text-orange-500">{item.category}</span>}
+                </label>
+                {publisher.selected[item.id] !== undefined && (
+                  <div className="flex items-center gap-1 text-sm text-orange-600">
+                    <span>{item.currency}</span>
+                    <input
+                      type="number"
+                      step="0.01"
+                      min="0"
+                      value={publisher.selected[item.id]}
+                      onChange={(e) => setPublisher(prev => ({
+                        ...prev,
+                        selected: { ...prev.selected, [item.id]: e.target.value }
+                      }))}
+                      required
+                      className={`w-28 ${inputClassName}`}
+                    />
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <label className="text-sm text-orange-700 dark:text-orange-300">
+              Publish at (your local time; empty for now)
+              <input
+                type="datetime-local"
+                value={publisher.publishAt}
+                onChange={(e) => setPublisher(prev => ({ ...prev, publishAt: e.target.value }))}
+                className={`block w-full mt-1 ${inputClassName}`}
+              />
+            </label>
+            <label className="text-sm text-orange-700 dark:text-orange-300">
+              Note
+              <input
+                type="text"
+                value={publisher.note}
+                onChange={(e) => setPublisher(prev => ({ ...prev, note: e.target.value }))}
+                placeholder="e.g. New prices from March"
+                maxLength={500}
+                className={`block w-full mt-1 ${inputClassName}`}
+              />
+            </label>
+          </div>
+
+          <button
+            type="submit"
+            disabled={Object.keys(publisher.selected).length === 0}
+            className="px-4 py-2 bg-orange-500 hover:bg-orange-600 disabled:bg-orange-300 text-white font-medium rounded-lg transition-colors"
+          >
+            {publisher.publishAt ? 'Schedule Version' : 'Publish Now'}
+          </button>
+        </form>
+      )}
+
+      {/* Menus */}
+      {data.menus.length > 0 ? (
+        <div className="space-y-4">
+          {data.menus.map(menu => {
+            const live = menu.versions.find(version => version.status === 'live')
+            const scheduled = menu.versions.filter(version => version.status === 'scheduled')
+
+            return (
+              <div
+                key={menu.id}
+                className="bg-white dark:bg-orange-900 rounded-lg shadow-sm border border-orange-200 dark:border-orange-800 p-6"
+              >
+                <div className="flex items-start justify-between">
+                  <div>
+                    <h3 className="text-lg font-semibold text-orange-900 dark:text-orange-100">
+                      {menu.name}
+                      {!menu.isEnabled && (
+                        <span className="ml-2 px-2 py-1 bg-red-100 text-red-800 text-xs font-medium rounded-full dark:bg-red-900 dark:text-red-200">
+                          Off
+                        </span>
+                      )}
+                    </h3>
+                    {menu.description && (
+                      <p className="text-sm text-orange-600 dark:text-orange-400">{menu.description}</p>
+                    )}
+                    <p className="text-sm text-orange-700 dark:text-orange-300 mt-1">
+                      {formatMenuSchedules(menu.schedules)}
+                      {(menu.startDate || menu.endDate) && ` · ${menu.startDate || '…'} to ${menu.endDate || '…'}`}
+                    </p>
+                    <p className="text-xs text-orange-500 mt-1">
+                      {live
+                        ? `Version ${live.version} live since ${formatMoment(live.publishAt, timezone)}, ${live.items.length} items`
+                        : 'Not published yet'}
+                      {scheduled.map(version => ` · version ${version.version} from ${formatMoment(version.publishAt, timezone)}`)}
+                    </p>
+                  </div>
+
+                  <div className="flex items-center space-x-2">
+                    <button
+                      onClick={() => handleToggleMenu(menu)}
+                      aria-label={menu.isEnabled ? 'Stop serving' : 'Serve again'}
+                    >
+                      {menu.isEnabled ? <Eye className="w-4 h-4 text-green-500" /> : <EyeOff className="w-4 h-4 text-red-500" />}
+                    </button>
+                    <button
+                      onClick={() => setEditor({
+                        menuId: menu.id,
+                        name: menu.name,
+                        description: menu.description || '',
+                        startDate: menu.startDate || '',
+                        endDate: menu.endDate || '',
+                        windows: toWindowGroups(menu.schedules)
+                      })}
+                      aria-label={`Edit ${menu.name}`}
+                    >
+                      <Edit className="w-4 h-4 text-orange-600" />
+                    </button>
+                    <button
+                      onClick={() => setHistoryMenuId(historyMenuId === menu.id ? null : menu.id)}
+                      aria-label={`History of ${menu.name}`}
+                    >
+                      <History className="w-4 h-4 text-orange-600" />
+                    </button>
+                    <button onClick={() => handleDeleteMenu(menu)} aria-label={`Delete ${menu.name}`}>
+                      <Trash2 className="w-4 h-4 text-red-600" />
+                    </button>
+                    <button
+                      onClick={() => startPublishing(menu)}
+                      className="px-3 py-1 text-sm bg-orange-100 hover:bg-orange-200 text-orange-700 rounded transition-colors dark:bg-orange-800 dark:text-orange-300"
+                    >
+                      New Version
+                    </button>
+                  </div>
+                </div>
+
+                {historyMenuId === menu.id && (
+                  <ul className="mt-4 border-t border-orange-200 dark:border-orange-700 pt-4 space-y-2">
+                    {menu.versions.length === 0 && (
+                      <li className="text-sm text-orange-600">No versions yet.</li>
+                    )}
+                    {menu.versions.map(version => (
+                      <li key={version.id} className="flex items-center justify-between text-sm">
+                        <div className="text-orange-800 dark:text-orange-200">
+                          <span className={`mr-2 px-2 py-0.5 text-xs rounded-full ${STATUS_STYLES[version.status]}`}>
+                            {version.status}
+                          </span>
+                          Version {version.version} · {formatMoment(version.publishAt, timezone)} · {version.items.length} items
+                          {version.note && ` · ${version.note}`}
+                        </div>
+                        {version.status === 'scheduled' ? (
+                          <button
+                            onClick={() => handleCancelVersion(menu, version)}
+                            className="flex items-center text-red-600 hover:text-red-800"
+                          >
+                            <X className="w-4 h-4 mr-1" />
+                            Cancel
+                          </button>
+                        ) : version.status === 'past' && (
+                          <button
+                            onClick={() => handleRollback(menu, version)}
+                            className="flex items-center text-orange-600 hover:text-orange-800"
+                          >
+                            <RotateCcw className="w-4 h-4 mr-1" />
+                            Roll back
+                          </button>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            )
+          })}
+        </div>
+      ) : (
+        <div className="bg-white dark:bg-orange-900 rounded-lg shadow-sm border border-orange-200 dark:border-orange-800 p-8 text-center">
+          <p className="text-orange-600 dark:text-orange-400">
+            Without scheduled menus your whole menu is shown at all times.
+          </p>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -9,15 +9,49 @@
  * - Party size selection
  * - Special requests input
  * - Availability checking
+ * - Holding the chosen time until the booking is confirmed
  * - Booking confirmation
  * - Integration with restaurant booking systems
  */
 
-import React, { useState, useEffect } from 'react'
+import React, { useState, useEffect, useCallback } from 'react'
 import { Card, Button, LoadingSpinner } from '../ui/index.js'
 import { useAnalyticsContext } from '../analytics/AnalyticsProvider.js'
 import { useAuth } from '../../hooks/useAuth.js'
 import CustomDatePicker from '../CustomDatePicker.js'
+import { describeUnavailability } from '../../utils/bookingSlots.js'
+
+/**
+ * Send a request to the restaurant bookings API
+ * @param {string} url The endpoint
+ * @param {string} method The HTTP method
+ * @param {object} [body] The JSON body
+ * @returns {Promise<object>} The response body
+ */
+const bookingsRequest = async (url, method, body) => {
+  const response = await fetch(url, {
+    method,
+    credentials: 'include',
+    headers: { 'Content-Type': 'application/json' },
+    body: body ? JSON.stringify(body) : undefined
+  })
+  const result = await response.json()
+  if (!response.ok) {
+    throw new Error(result.message || 'Booking request failed')
+  }
+  return result
+}
+
+/**
+ * Format a picked day as a date
+ * @param {Date} date The day, at any time
+ * @returns {string} The date as YYYY-MM-DD
+ */
+const toDateString = (date) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0')
+].join('-')
 
 const BookTableDialog = ({
   restaurant,
@@ -39,6 +73,9 @@ const BookTableDialog = ({
     }
   })
   const [availableSlots, setAvailableSlots] = useState([])
+  const [unavailableMessage, setUnavailableMessage] = useState(null)
+  const [maxPartySize, setMaxPartySize] = useState(12)
+  const [hold, setHold] = useState(null)
   const [loading, setLoading] = useState(false)
   const [submitting, setSubmitting] = useState(false)
   const [error, setError] = useState('')
@@ -48,15 +85,10 @@ const BookTableDialog = ({
   const { trackUserEngagement } = useAnalyticsContext()
   const { user, isAuthenticated } = useAuth()
 
-  // Available party sizes
-  const partySizes = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12]
+  const bookingsUrl = `/api/restaurants/${encodeURIComponent(restaurant?.id)}/bookings`
 
-  // Load available time slots when date changes
-  useEffect(() => {
-    if (bookingData.date) {
-      loadAvailableSlots(bookingData.date)
-    }
-  }, [bookingData.date])
+  // Available party sizes
+  const partySizes = Array.from({ length: maxPartySize }, (_, i) => i + 1)
 
   // Pre-fill user info if authenticated
   useEffect(() => {
@@ -73,26 +105,37 @@ const BookTableDialog = ({
   }, [isAuthenticated, user])
 
   // Load available time slots
-  const loadAvailableSlots = async (date) => {
+  const loadAvailableSlots = useCallback(async (date, partySize) => {
     setLoading(true)
     try {
-      // Mock available slots (in real app, would fetch from API)
-      const mockSlots = [
-        '11:00', '11:30', '12:00', '12:30', '13:00', '13:30',
-        '18:00', '18:30', '19:00', '19:30', '20:00', '20:30', '21:00'
-      ]
-
-      // Simulate some slots being unavailable
-      const availableSlots = mockSlots.filter(() => Math.random() > 0.3)
-      
+      const params = new URLSearchParams({ date: toDateString(date), partySize: String(partySize) })
+      const { data } = await bookingsRequest(`${bookingsUrl}/availability?${params}`, 'GET')
+
+      const availableSlots = data.slots
+        .filter(slot => slot.available)
+        .map(slot => slot.time)
+
       setAvailableSlots(availableSlots)
+      setUnavailableMessage(describeUnavailability(data))
+      setMaxPartySize(data.policy.maxPartySize)
+
+      // A time that can no longer be booked is unselected
+      setBookingData(prev => (availableSlots.includes(prev.time) ? prev : { ...prev, time: '' }))
     } catch (err) {
       console.error('Error loading available slots:', err)
-      setError('Failed to load available time slots')
+      setError(err.message || 'Failed to load available time slots')
     } finally {
       setLoading(false)
     }
-  }
+  }, [bookingsUrl])
+
+  // Load available time slots when date or party size changes
+  useEffect(() => {
+    if (bookingData.date) {
+      loadAvailableSlots(bookingData.date, bookingData.partySize)
+    }
+  }, [bookingData.date, bookingData.partySize, loadAvailableSlots])
+
 
   // Handle input changes
   const handleInputChange = (field, value) => {
@@ -114,13 +157,41 @@ const BookTableDialog = ({
     setError('')
   }
 
+  // Hold the chosen time while the guest enters their details
+  const holdSlot = async () => {
+    setSubmitting(true)
+    try {
+      const { data } = await bookingsRequest(`${bookingsUrl}/holds`, 'POST', {
+        date: toDateString(bookingData.date),
+        time: bookingData.time,
+        partySize: bookingData.partySize
+      })
+      setHold(data)
+      return true
+    } catch (err) {
+      console.error('Error holding time:', err)
+      setError(err.message || 'Failed to hold this time')
+      loadAvailableSlots(bookingData.date, bookingData.partySize)
+      return false
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
   // Handle next step
-  const handleNextStep = () => {
+  const handleNextStep = async () => {
     if (step === 1) {
       if (!bookingData.date || !bookingData.time) {
         setError('Please select date and time')
         return
       }
+      if (!isAuthenticated) {
+        setError('Please sign in to book a table')
+        return
+      }
+      if (!(await holdSlot())) {
+        return
+      }
     } else if (step === 2) {
       if (!bookingData.customerInfo.name || !bookingData.customerInfo.email || !bookingData.customerInfo.phone) {
         setError('Please fill in all required fields')
@@ -144,24 +215,29 @@ const BookTableDialog = ({
     setError('')
 
     try {
-      // Mock booking submission (in real app, would call API)
-      await new Promise(resolve => setTimeout(resolve, 2000))
+      const { data } = await bookingsRequest(bookingsUrl, 'POST', {
+        holdId: hold.id,
+        guestName: bookingData.customerInfo.name,
+        guestEmail: bookingData.customerInfo.email,
+        guestPhone: bookingData.customerInfo.phone,
+        specialRequests: bookingData.specialRequests || null
+      })
+      setHold(null)
 
       // Track booking
       trackUserEngagement('restaurant', restaurant.id, 'book_table', {
-        date: bookingData.date.toISOString(),
-        time: bookingData.time,
-        partySize: bookingData.partySize,
+        date: data.date,
+        time: data.time,
+        partySize: data.partySize,
         userId: user?.id
       })
 
       // Call completion callback
       if (onBookingComplete) {
         onBookingComplete({
-          ...bookingData,
+          ...data,
           restaurant,
-          bookingId: `BK${Date.now()}`,
-          status: 'confirmed'
+          bookingId: data.id
         })
       }
 
@@ -169,7 +245,7 @@ const BookTableDialog = ({
       onClose()
     } catch (err) {
       console.error('Error submitting booking:', err)
-      setError('Failed to submit booking. Please try again.')
+      setError(err.message || 'Failed to submit booking. Please try again.')
     } finally {
       setSubmitting(false)
     }
@@ -178,6 +254,12 @@ const BookTableDialog = ({
   // Handle dialog close
   const handleClose = () => {
     if (!submitting) {
+      // Release the held time for others
+      if (hold) {
+        bookingsRequest(`${bookingsUrl}/${encodeURIComponent(hold.id)}`, 'PATCH', { status: 'cancelled' })
+          .catch(err => console.error('Error releasing hold:', err))
+        setHold(null)
+      }
       setStep(1)
       setBookingData({
         date: null,
@@ -327,7 +409,7 @@ const BookTableDialog = ({
                       </div>
                     ) : (
                       <p className="text-gray-600 text-sm">
-                        No available time slots for this date. Please select another date.
+                        {unavailableMessage || 'No available time slots for this date'}. Please select another date.
                       </p>
                     )}
                   </div>
@@ -444,12 +526,15 @@ const BookTableDialog = ({
                   )}
                 </div>
 
-                <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
-                  <p className="text-blue-800 text-sm">
-                    <strong>Please note:</strong> Your booking is subject to availability confirmation. 
-                    You will receive a confirmation email within 24 hours.
-                  </p>
-                </div>
+                {hold && (
+                  <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
+                    <p className="text-blue-800 text-sm">
+                      <strong>Please note:</strong> We&apos;re holding this time for you until{' '}
+                      {new Date(hold.holdExpiresAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}.
+                      Confirm your booking before then to keep it.
+                    </p>
+                  </div>
+                )}
               </div>
             )}
           </div>
@@ -487,7 +572,7 @@ const BookTableDialog = ({
               {step < 3 ? (
                 <Button
                   onClick={handleNextStep}
-                  disabled={loading}
+                  disabled={loading || submitting}
                 >
                   Next
                 </Button>
@@ -7,6 +7,7 @@
  * Features:
  * - Responsive grid layout
  * - Image categories (food, interior, exterior, etc.)
+ * - Photos from the restaurant photos API, optionally of one dish
  * - Lightbox modal with navigation
  * - Image zoom and pan
  * - Social sharing
@@ -20,6 +21,7 @@ import { useAuth } from '../../hooks/useAuth.js'
 
 const ImageGallery = ({
   restaurantId,
+  dishId,
   images = [],
   showCategories = true,
   showUpload = false,
@@ -59,81 +61,35 @@ const ImageGallery = ({
       try {
         setLoading(true)
 
-        // Mock image data (in real app, would fetch from API)
-        const mockImages = [
-          {
-            id: 'img_1',
-            url: '/images/gallery/nasi-lemak-1.jpg',
-            thumbnail: '/images/gallery/thumbs/nasi-lemak-1.jpg',
-            category: 'food',
-            caption: 'Signature Nasi Lemak',
-            uploadedBy: 'Restaurant',
-            uploadDate: '2024-01-15T10:30:00Z',
-            likes: 45,
-            tags: ['nasi-lemak', 'signature', 'malaysian']
-          },
-          {
-            id: 'img_2',
-            url: '/images/gallery/restaurant-interior-1.jpg',
-            thumbnail: '/images/gallery/thumbs/restaurant-interior-1.jpg',
-            category: 'interior',
-            caption: 'Cozy dining area',
-            uploadedBy: 'Restaurant',
-            uploadDate: '2024-01-14T15:20:00Z',
-            likes: 32,
-            tags: ['interior', 'dining', 'ambiance']
-          },
-          {
-            id: 'img_3',
-            url: '/images/gallery/char-kway-teow-1.jpg',
-            thumbnail: '/images/gallery/thumbs/char-kway-teow-1.jpg',
-            category: 'food',
-            caption: 'Fresh Char Kway Teow',
-            uploadedBy: 'Customer',
-            uploadDate: '2024-01-13T19:45:00Z',
-            likes: 67,
-            tags: ['char-kway-teow', 'noodles', 'wok-hei']
-          },
-          {
-            id: 'img_4',
-            url: '/images/gallery/restaurant-exterior-1.jpg',
-            thumbnail: '/images/gallery/thumbs/restaurant-exterior-1.jpg',
-            category: 'exterior',
-            caption: 'Street view of restaurant',
-            uploadedBy: 'Restaurant',
-            uploadDate: '2024-01-12T14:30:00Z',
-            likes: 28,
-            tags: ['exterior', 'street', 'signage']
-          },
-          {
-            id: 'img_5',
-            url: '/images/gallery/menu-board-1.jpg',
-            thumbnail: '/images/gallery/thumbs/menu-board-1.jpg',
-            category: 'menu',
-            caption: 'Daily specials menu',
-            uploadedBy: 'Restaurant',
-            uploadDate: '2024-01-11T11:15:00Z',
-            likes: 19,
-            tags: ['menu', 'specials', 'prices']
-          },
-          {
-            id: 'img_6',
-            url: '/images/gallery/rendang-1.jpg',
-            thumbnail: '/images/gallery/thumbs/rendang-1.jpg',
-            category: 'food',
-            caption: 'Traditional Beef Rendang',
-            uploadedBy: 'Customer',
-            uploadDate: '2024-01-10T18:00:00Z',
-            likes: 89,
-            tags: ['rendang', 'beef', 'traditional']
-          }
-        ]
-
-        setGalleryImages(mockImages.slice(0, maxImages))
+        // The photos API returns at most 50 photos a page
+        const params = new URLSearchParams({ limit: String(Math.min(maxImages, 50)) })
+        if (dishId) {
+          params.set('dishId', dishId)
+        }
+        const response = await fetch(`/api/restaurants/${restaurantId}/photos?${params}`)
+        if (!response.ok) {
+          throw new Error(`HTTP error! status: ${response.status}`)
+        }
+        const { data } = await response.json()
+
+        const loadedImages = data.photos.map((photo) => ({
+          id: photo.id,
+          url: photo.photoUrl,
+          thumbnail: photo.photoUrl,
+          category: photo.dishId ? 'food' : null,
+          caption: photo.caption || photo.dishName || '',
+          attribution: photo.attribution,
+          uploadDate: photo.createdAt,
+          isCover: photo.isCover,
+          likes: 0,
+          tags: photo.dishName ? [photo.dishName] : []
+        }))
+
+        setGalleryImages(loadedImages)
 
         // Track gallery view
         trackUserEngagement('restaurant', restaurantId, 'gallery_view', {
-          imageCount: mockImages.length
+          imageCount: data.total
         })
       } catch (err) {
         console.error('Error loading images:', err)
@@ -143,7 +99,7 @@ const ImageGallery = ({
     }
 
     loadImages()
-  }, [images, restaurantId, maxImages, trackUserEngagement])
+  }, [images, restaurantId, dishId, maxImages, trackUserEngagement])
 
   // Filter images by category
   const filteredImages = activeCategory === 'all' 
@@ -409,7 +365,7 @@ const ImageGallery = ({
                   </h3>
                   
                   <div className="flex items-center gap-4 text-sm text-gray-600 mb-3">
-                    <span>Uploaded by {selectedImage.uploadedBy}</span>
+                    <span>{selectedImage.attribution || `Uploaded by ${selectedImage.uploadedBy}`}</span>
                     <span>•</span>
                     <span>{formatDate(selectedImage.uploadDate)}</span>
                   </div>
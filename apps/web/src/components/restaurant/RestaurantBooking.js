@@ -9,6 +9,7 @@
  * - Party size configuration
  * - Special requests and dietary requirements
  * - Real-time availability checking
+ * - Holding the chosen time while details are entered
  * - Booking confirmation and management
  */
 
@@ -16,7 +17,28 @@ import React, { useState, useEffect } from 'react';
 import { Card, Badge, Button, LoadingSpinner } from '@bellyfed/ui';
 import { useAnalyticsContext } from '../analytics/AnalyticsProvider.js';
 import { useAuth } from '../../hooks/useAuth.js';
-import { analyticsService } from '../../services/analyticsService.js';
+import { describeUnavailability } from '../../utils/bookingSlots.js';
+
+/**
+ * Send a request to the restaurant bookings API
+ * @param {string} url The endpoint
+ * @param {string} method The HTTP method
+ * @param {object} [body] The JSON body
+ * @returns {Promise<object>} The response body
+ */
+const bookingsRequest = async (url, method, body) => {
+  const response = await fetch(url, {
+    method,
+    credentials: 'include',
+    headers: { 'Content-Type': 'application/json' },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const result = await response.json();
+  if (!response.ok) {
+    throw new Error(result.message || 'Booking request failed');
+  }
+  return result;
+};
 
 const RestaurantBooking = ({
   restaurantId,
@@ -41,6 +63,10 @@ const RestaurantBooking = ({
     }
   });
   const [availability, setAvailability] = useState([]);
+  const [unavailableMessage, setUnavailableMessage] = useState(null);
+  const [policy, setPolicy] = useState(null);
+  const [hold, setHold] = useState(null);
+  const [booking, setBooking] = useState(null);
   const [loading, setLoading] = useState(false);
   const [submitting, setSubmitting] = useState(false);
   const [error, setError] = useState(null);
@@ -50,6 +76,9 @@ const RestaurantBooking = ({
   const { trackUserEngagement } = useAnalyticsContext();
   const { user, isAuthenticated } = useAuth();
 
+  const bookingsUrl = `/api/restaurants/${encodeURIComponent(restaurantId)}/bookings`;
+  const partySizeLimit = policy?.maxPartySize ?? maxPartySize;
+
   // Dietary requirements options
   const dietaryOptions = [
     { id: 'vegetarian', label: 'Vegetarian', icon: '🥬' },
@@ -66,11 +95,15 @@ const RestaurantBooking = ({
     const dates = [];
     const today = new Date();
     
-    for (let i = 1; i <= advanceBookingDays; i++) {
+    for (let i = 0; i <= (policy?.advanceBookingDays ?? advanceBookingDays); i++) {
       const date = new Date(today);
       date.setDate(today.getDate() + i);
       dates.push({
-        value: date.toISOString().split('T')[0],
+        value: [
+          date.getFullYear(),
+          String(date.getMonth() + 1).padStart(2, '0'),
+          String(date.getDate()).padStart(2, '0')
+        ].join('-'),
         label: date.toLocaleDateString('en-US', { 
           weekday: 'short', 
           month: 'short', 
@@ -91,13 +124,17 @@ const RestaurantBooking = ({
     setError(null);
 
     try {
-      const data = await analyticsService.getRestaurantAvailability({
-        restaurantId,
-        date: selectedDate,
-        partySize: bookingData.partySize
-      });
+      const params = new URLSearchParams({ date: selectedDate, partySize: String(bookingData.partySize) });
+      const { data } = await bookingsRequest(`${bookingsUrl}/availability?${params}`, 'GET');
 
-      setAvailability(data.timeSlots || []);
+      setAvailability(data.slots);
+      setUnavailableMessage(describeUnavailability(data));
+      setPolicy(data.policy);
+
+      // A time that can no longer be booked is unselected
+      if (!data.slots.some(slot => slot.time === bookingData.time && slot.available)) {
+        setBookingData(prev => ({ ...prev, time: '' }));
+      }
       
       // Track availability check
       trackUserEngagement('restaurant', restaurantId, 'availability_check', {
@@ -112,6 +149,34 @@ const RestaurantBooking = ({
     }
   };
 
+  // Hold the chosen time while the guest enters their details
+  const handleHoldSlot = async () => {
+    if (!isAuthenticated) {
+      setError('Please sign in to make a reservation');
+      return;
+    }
+
+    setSubmitting(true);
+    setError(null);
+
+    try {
+      const { data } = await bookingsRequest(`${bookingsUrl}/holds`, 'POST', {
+        date: bookingData.date,
+        time: bookingData.time,
+        partySize: bookingData.partySize
+      });
+
+      setHold(data);
+      setStep(2);
+    } catch (err) {
+      console.error('Error holding time:', err);
+      setError(err.message || 'Failed to hold this time');
+      fetchAvailability(bookingData.date);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
   // Handle booking submission
   const handleSubmitBooking = async () => {
     if (!isAuthenticated) {
@@ -123,25 +188,25 @@ const RestaurantBooking = ({
     setError(null);
 
     try {
-      const booking = await analyticsService.createRestaurantBooking({
-        restaurantId,
-        userId: user.id,
-        ...bookingData,
-        contactInfo: {
-          ...bookingData.contactInfo,
-          name: bookingData.contactInfo.name || user.name,
-          email: bookingData.contactInfo.email || user.email
-        }
+      const { data } = await bookingsRequest(bookingsUrl, 'POST', {
+        holdId: hold.id,
+        guestName: bookingData.contactInfo.name || user.name,
+        guestEmail: bookingData.contactInfo.email || user.email,
+        guestPhone: bookingData.contactInfo.phone || null,
+        specialRequests: bookingData.specialRequests || null,
+        dietaryRequirements: bookingData.dietaryRequirements
       });
 
       // Track booking creation
       trackUserEngagement('restaurant', restaurantId, 'booking_created', {
-        bookingId: booking.id,
+        bookingId: data.id,
         date: bookingData.date,
         time: bookingData.time,
         partySize: bookingData.partySize
       });
 
+      setBooking(data);
+      setHold(null);
       setStep(3);
     } catch (err) {
       console.error('Error creating booking:', err);
@@ -237,7 +302,7 @@ const RestaurantBooking = ({
               }))}
               className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-orange-500"
             >
-              {Array.from({ length: maxPartySize }, (_, i) => i + 1).map(size => (
+              {Array.from({ length: partySizeLimit }, (_, i) => i + 1).map(size => (
                 <option key={size} value={size}>
                   {size} {size === 1 ? 'person' : 'people'}
                 </option>
@@ -306,7 +371,7 @@ const RestaurantBooking = ({
                 </div>
               ) : (
                 <div className="text-center py-8 text-gray-500">
-                  <p>No availability for this date</p>
+                  <p>{unavailableMessage || 'No availability for this date'}</p>
                   <p className="text-sm">Please select a different date</p>
                 </div>
               )}
@@ -316,10 +381,10 @@ const RestaurantBooking = ({
           {/* Next Button */}
           <div className="flex justify-end">
             <Button
-              onClick={() => setStep(2)}
-              disabled={!bookingData.date || !bookingData.time}
+              onClick={handleHoldSlot}
+              disabled={submitting || !bookingData.date || !bookingData.time}
             >
-              Next: Details
+              {submitting ? 'Holding Time...' : 'Next: Details'}
             </Button>
           </div>
         </div>
@@ -328,6 +393,13 @@ const RestaurantBooking = ({
       {/* Step 2: Details */}
       {step === 2 && (
         <div className="space-y-6">
+          {hold && (
+            <p className="text-sm text-orange-700 bg-orange-50 rounded-lg p-3">
+              We&apos;re holding {bookingData.time} for you until{' '}
+              {new Date(hold.holdExpiresAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}.
+            </p>
+          )}
+
           {/* Contact Information */}
           <div>
             <h3 className="text-lg font-medium text-gray-900 mb-4">Contact Information</h3>
@@ -446,10 +518,12 @@ const RestaurantBooking = ({
           <div className="text-6xl">✅</div>
           <div>
             <h3 className="text-xl font-semibold text-gray-900 mb-2">
-              Booking Confirmed!
+              {booking?.status === 'pending' ? 'Booking Requested!' : 'Booking Confirmed!'}
             </h3>
             <p className="text-gray-600">
-              Your reservation has been successfully created.
+              {booking?.status === 'pending'
+                ? 'The restaurant will confirm your reservation shortly.'
+                : 'Your reservation has been successfully created.'}
             </p>
           </div>
 
@@ -463,7 +537,7 @@ const RestaurantBooking = ({
               <div className="flex justify-between">
                 <span className="text-gray-600">Date:</span>
                 <span className="font-medium">
-                  {new Date(bookingData.date).toLocaleDateString('en-US', {
+                  {new Date(`${bookingData.date}T00:00:00`).toLocaleDateString('en-US', {
                     weekday: 'long',
                     year: 'numeric',
                     month: 'long',
@@ -475,6 +549,12 @@ const RestaurantBooking = ({
                 <span className="text-gray-600">Time:</span>
                 <span className="font-medium">{bookingData.time}</span>
               </div>
+              {booking?.tableName && (
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Table:</span>
+                  <span className="font-medium">{booking.tableName}</span>
+                </div>
+              )}
               <div className="flex justify-between">
                 <span className="text-gray-600">Party Size:</span>
                 <span className="font-medium">
@@ -488,9 +568,19 @@ const RestaurantBooking = ({
             A confirmation email has been sent to {bookingData.contactInfo.email}
           </p>
 
+          {booking && (
+            <a
+              href={`${bookingsUrl}/${encodeURIComponent(booking.id)}/calendar`}
+              className="inline-block text-sm font-medium text-orange-600 hover:text-orange-700"
+            >
+              Add to calendar
+            </a>
+          )}
+
           <Button
             onClick={() => {
               setStep(1);
+              setBooking(null);
               setBookingData({
                 date: '',
                 time: '',
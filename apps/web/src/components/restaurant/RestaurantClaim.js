@@ -0,0 +1,353 @@
+/**
+ * Restaurant Claim Component
+ *
+ * Lets a signed in user claim a restaurant as its owner and follow the
+ * claim until an admin reviews it.
+ *
+ * Features:
+ * - Verification by a code emailed to an address at the restaurant's website domain
+ * - Verification by a code read out in a call to the listed phone number
+ * - Verification by uploaded documents
+ * - Code entry and resending
+ * - Claim status and withdrawal
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import Link from 'next/link.js';
+import { Card, Badge, Button, LoadingSpinner } from '@bellyfed/ui';
+import { useCountry } from '../../hooks/useCountry.js';
+
+// Human-readable claim statuses
+const STATUS_LABELS = {
+  pending_verification: 'Waiting for your code',
+  pending_review: 'Waiting for review',
+  approved: 'Approved',
+  rejected: 'Rejected',
+  cancelled: 'Withdrawn'
+};
+
+/**
+ * Upload a claim document to storage
+ * @param {File} file - The document
+ * @returns {Promise<string>} The document's URL
+ */
+const uploadDocument = async (file) => {
+  const response = await fetch('/api/upload/claim-document', {
+    method: 'POST',
+    credentials: 'include',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ contentType: file.type })
+  });
+  const body = await response.json();
+  if (!response.ok) {
+    throw new Error(body.error || 'Failed to upload document');
+  }
+
+  const upload = await fetch(body.data.uploadUrl, {
+    method: 'PUT',
+    headers: { 'Content-Type': file.type },
+    body: file
+  });
+  if (!upload.ok) {
+    throw new Error('Failed to upload document');
+  }
+  return body.data.documentUrl;
+};
+
+const RestaurantClaim = ({
+  restaurantId,
+  className = ''
+}) => {
+  // State
+  const [status, setStatus] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [method, setMethod] = useState('email');
+  const [email, setEmail] = useState('');
+  const [code, setCode] = useState('');
+  const [files, setFiles] = useState([]);
+  const [message, setMessage] = useState('');
+
+  // Context
+  const { country } = useCountry();
+
+  const claimUrl = `/api/restaurants/${encodeURIComponent(restaurantId)}/claim`;
+
+  // Fetch the claim status
+  const fetchStatus = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await fetch(claimUrl, { credentials: 'include' });
+      const body = await response.json();
+      if (!response.ok) {
+        throw new Error(body.message || 'Failed to load claim');
+      }
+
+      setStatus(body.data);
+      // Offer the first way the restaurant can be verified
+      const { emailDomain, phone } = body.data.verification;
+      setMethod(emailDomain ? 'email' : phone ? 'phone' : 'documents');
+    } catch (err) {
+      console.error('Error fetching claim:', err);
+      setError(err.message || 'Failed to load claim');
+    } finally {
+      setLoading(false);
+    }
+  }, [claimUrl]);
+
+  // Send a request to the claim API and show the updated claim
+  const submit = async (httpMethod, payload) => {
+    setSubmitting(true);
+    setError(null);
+    setNotice(null);
+
+    try {
+      const response = await fetch(claimUrl, {
+        method: httpMethod,
+        credentials: 'include',
+        headers: { 'Content-Type': 'application/json' },
+        body: payload ? JSON.stringify(payload) : undefined
+      });
+      const body = await response.json();
+      if (!response.ok) {
+        throw new Error(body.message || 'Failed to update claim');
+      }
+
+      setStatus((current) => ({ ...current, claim: body.data }));
+      setNotice(body.message);
+      setCode('');
+    } catch (err) {
+      console.error('Error updating claim:', err);
+      setError(err.message || 'Failed to update claim');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  // Upload the chosen documents and send them with the claim
+  const submitDocuments = async (httpMethod) => {
+    setSubmitting(true);
+    setError(null);
+
+    let documentUrls;
+    try {
+      documentUrls = await Promise.all(files.map(uploadDocument));
+    } catch (err) {
+      console.error('Error uploading claim documents:', err);
+      setError(err.message || 'Failed to upload documents');
+      setSubmitting(false);
+      return;
+    }
+
+    setFiles([]);
+    await submit(httpMethod, httpMethod === 'POST'
+      ? { method: 'documents', documentUrls, message: message || null }
+      : { documentUrls, message: message || null });
+  };
+
+  // Start a claim
+  const handleRequest = async (e) => {
+    e.preventDefault();
+
+    if (method === 'documents') {
+      await submitDocuments('POST');
+      return;
+    }
+    await submit('POST', { method, email: method === 'email' ? email : undefined, message: message || null });
+  };
+
+  // Load the claim when the restaurant changes
+  useEffect(() => {
+    if (restaurantId) {
+      fetchStatus();
+    }
+  }, [restaurantId, fetchStatus]);
+
+  if (loading) {
+    return (
+      <Card className={`p-6 ${className}`}>
+        <div className="flex items-center justify-center py-8">
+          <LoadingSpinner size="lg" />
+        </div>
+      </Card>
+    );
+  }
+
+  if (!status) {
+    return (
+      <Card className={`p-6 ${className}`}>
+        <p className="text-sm text-red-600">{error || 'Failed to load claim'}</p>
+      </Card>
+    );
+  }
+
+  const { restaurant, verification, claim } = status;
+  const isOpen = claim && ['pending_verification', 'pending_review'].includes(claim.status);
+
+  const documentPicker = (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-1">
+        Business registration, licence or utility bill in the restaurant&apos;s name
+      </label>
+      <input
+        type="file"
+        accept="application/pdf,image/jpeg,image/png"
+        multiple
+        onChange={(e) => setFiles(Array.from(e.target.files).slice(0, 5))}
+        className="text-sm"
+      />
+    </div>
+  );
+
+  return (
+    <Card className={`p-6 ${className}`}>
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold text-gray-900">Claim {restaurant.name}</h2>
+        {claim && (
+          <Badge variant={claim.status === 'approved' ? 'success' : claim.status === 'rejected' ? 'destructive' : 'secondary'}>
+            {STATUS_LABELS[claim.status]}
+          </Badge>
+        )}
+      </div>
+
+      {error && <p className="text-sm text-red-600 mb-4">{error}</p>}
+      {notice && <p className="text-sm text-green-700 mb-4">{notice}</p>}
+
+      {restaurant.isOwner ? (
+        <div className="space-y-3">
+          <p className="text-sm text-gray-700">You manage this restaurant.</p>
+          <Link href={`/${country}/restaurant/dashboard`} className="text-sm text-orange-600 hover:underline">
+            Go to your restaurant dashboard
+          </Link>
+        </div>
+      ) : restaurant.isClaimed ? (
+        <p className="text-sm text-gray-700">
+          This restaurant has already been claimed by its owner.
+        </p>
+      ) : claim?.status === 'pending_verification' ? (
+        <div className="space-y-4">
+          <p className="text-sm text-gray-700">
+            {claim.method === 'email'
+              ? `Enter the 6-digit code we emailed to ${claim.contactEmail}.`
+              : `Enter the 6-digit code read out in our call to ${claim.contactPhone}.`}
+          </p>
+          <form
+            onSubmit={(e) => {
+              e.preventDefault();
+              submit('PUT', { code });
+            }}
+            className="flex gap-2"
+          >
+            <input
+              type="text"
+              inputMode="numeric"
+              maxLength={6}
+              value={code}
+              onChange={(e) => setCode(e.target.value.replace(/\D/g, ''))}
+              placeholder="123456"
+              className="w-32 px-3 py-2 border border-gray-300 rounded-md tracking-widest"
+            />
+            <Button type="submit" disabled={submitting || code.length !== 6}>
+              Verify
+            </Button>
+          </form>
+          <div className="flex flex-wrap gap-2">
+            <Button
+              variant="outline"
+              size="sm"
+              disabled={submitting}
+              onClick={() => submit('POST', { method: claim.method, email: claim.contactEmail || undefined })}
+            >
+              Send a new code
+            </Button>
+            <Button variant="outline" size="sm" disabled={submitting} onClick={() => submit('DELETE')}>
+              Withdraw claim
+            </Button>
+          </div>
+          <div className="border-t pt-4 space-y-2">
+            <p className="text-sm text-gray-700">Can&apos;t get the code? Send documents for an admin to check instead.</p>
+            {documentPicker}
+            <Button
+              variant="outline"
+              size="sm"
+              disabled={submitting || files.length === 0}
+              onClick={() => submitDocuments('PUT')}
+            >
+              Send documents
+            </Button>
+          </div>
+        </div>
+      ) : isOpen ? (
+        <div className="space-y-3">
+          <p className="text-sm text-gray-700">
+            Your claim is waiting for an admin to review it. We&apos;ll let you know the outcome.
+          </p>
+          <Button variant="outline" size="sm" disabled={submitting} onClick={() => submit('DELETE')}>
+            Withdraw claim
+          </Button>
+        </div>
+      ) : (
+        <form onSubmit={handleRequest} className="space-y-4">
+          {claim?.status === 'rejected' && claim.reviewNote && (
+            <p className="text-sm text-gray-700">Your last claim was rejected: {claim.reviewNote}</p>
+          )}
+
+          <fieldset className="space-y-2">
+            <legend className="text-sm font-medium text-gray-700 mb-1">How can we check you run this restaurant?</legend>
+            {verification.emailDomain && (
+              <label className="flex items-center gap-2 text-sm">
+                <input type="radio" checked={method === 'email'} onChange={() => setMethod('email')} />
+                Email a code to my address at {verification.emailDomain}
+              </label>
+            )}
+            {verification.phone && (
+              <label className="flex items-center gap-2 text-sm">
+                <input type="radio" checked={method === 'phone'} onChange={() => setMethod('phone')} />
+                Call {verification.phone} with a code
+              </label>
+            )}
+            <label className="flex items-center gap-2 text-sm">
+              <input type="radio" checked={method === 'documents'} onChange={() => setMethod('documents')} />
+              Upload documents for review
+            </label>
+          </fieldset>
+
+          {method === 'email' && (
+            <input
+              type="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              placeholder={`you@${verification.emailDomain}`}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md"
+              required
+            />
+          )}
+
+          {method === 'documents' && documentPicker}
+
+          <textarea
+            value={message}
+            onChange={(e) => setMessage(e.target.value)}
+            placeholder="Anything the reviewer should know (optional)"
+            maxLength={1000}
+            rows={3}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+          />
+
+          <Button
+            type="submit"
+            disabled={submitting || (method === 'documents' && files.length === 0)}
+          >
+            {method === 'documents' ? 'Submit claim' : 'Send code'}
+          </Button>
+        </form>
+      )}
+    </Card>
+  );
+};
+
+export default RestaurantClaim;
@@ -1,15 +1,15 @@
 /**
  * Restaurant Comparison Component
  * 
- * Allows users to compare multiple restaurants side-by-side.
- * Shows detailed metrics, ratings, and features comparison.
+ * Allows users to compare 2 to 4 restaurants side-by-side.
+ * Shows review ratings, dish leaderboard positions, price range and hours.
  * 
  * Features:
  * - Side-by-side restaurant comparison
  * - Multiple comparison criteria
  * - Visual comparison charts
- * - Export comparison data
- * - Share comparison results
+ * - Export comparison data as CSV or a printable summary
+ * - Share comparison results by a short link
  */
 
 import React, { useState, useEffect } from 'react';
@@ -17,19 +17,20 @@ import Link from 'next/link.js';
 import { Card, Badge, Button, LoadingSpinner } from '@bellyfed/ui';
 import { useAnalyticsContext } from '../analytics/AnalyticsProvider.js';
 import { useCountry } from '../../hooks/useCountry.js';
-import { analyticsService } from '../../services/analyticsService.js';
 
 const RestaurantComparison = ({
   restaurantIds = [],
-  comparisonCriteria = ['rating', 'price', 'service', 'ambiance'],
+  comparisonId = null,
+  comparisonCriteria = ['rating', 'price', 'bestPosition', 'weeklyHours'],
   showPhotos = true,
-  showReviews = true,
-  showMenuHighlights = true,
-  maxRestaurants = 3,
+  showLeaderboards = true,
+  showHours = true,
+  maxRestaurants = 4,
   className = ''
 }) => {
   // State
   const [comparisonData, setComparisonData] = useState([]);
+  const [savedComparisonId, setSavedComparisonId] = useState(comparisonId);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [selectedCriterion, setSelectedCriterion] = useState('rating');
@@ -41,70 +42,70 @@ const RestaurantComparison = ({
   // Comparison criteria configurations
   const criteriaConfigs = {
     rating: {
-      label: 'Overall Rating',
+      label: 'Average Rating',
       icon: '⭐',
       format: (value) => value?.toFixed(1) || 'N/A',
       color: 'text-yellow-600'
     },
+    reviewCount: {
+      label: 'Reviews',
+      icon: '📝',
+      format: (value) => value ?? 'N/A',
+      color: 'text-blue-600'
+    },
     price: {
       label: 'Price Range',
       icon: '💰',
-      format: (value) => value || 'N/A',
-      color: 'text-green-600'
+      format: (value) => (value ? '$'.repeat(value) : 'N/A'),
+      color: 'text-green-600',
+      lowerIsBetter: true
     },
-    service: {
-      label: 'Service Quality',
-      icon: '👨‍💼',
-      format: (value) => value?.toFixed(1) || 'N/A',
-      color: 'text-blue-600'
+    bestPosition: {
+      label: 'Best Leaderboard Position',
+      icon: '🏆',
+      format: (value) => (value ? `#${value}` : 'N/A'),
+      color: 'text-orange-600',
+      lowerIsBetter: true
     },
-    ambiance: {
-      label: 'Ambiance',
-      icon: '🏮',
-      format: (value) => value?.toFixed(1) || 'N/A',
-      color: 'text-purple-600'
-    },
-    food_quality: {
-      label: 'Food Quality',
+    rankedDishes: {
+      label: 'Ranked Dishes',
       icon: '🍽️',
-      format: (value) => value?.toFixed(1) || 'N/A',
-      color: 'text-orange-600'
-    },
-    location: {
-      label: 'Location Score',
-      icon: '📍',
-      format: (value) => value?.toFixed(1) || 'N/A',
-      color: 'text-red-600'
+      format: (value) => value ?? 'N/A',
+      color: 'text-purple-600'
     },
-    popularity: {
-      label: 'Popularity',
-      icon: '🔥',
-      format: (value) => value?.toFixed(1) || 'N/A',
+    weeklyHours: {
+      label: 'Hours Open per Week',
+      icon: '🕒',
+      format: (value) => (value ? `${value}h` : 'N/A'),
       color: 'text-pink-600'
     }
   };
 
-  // Fetch comparison data
+  // Fetch comparison data, from the saved comparison or the restaurant IDs
   const fetchComparisonData = async () => {
-    if (restaurantIds.length === 0) return;
+    if (!comparisonId && restaurantIds.length === 0) return;
 
     setLoading(true);
     setError(null);
 
     try {
-      const data = await analyticsService.getRestaurantComparison({
-        restaurantIds: restaurantIds.slice(0, maxRestaurants),
-        criteria: comparisonCriteria,
-        includePhotos: showPhotos,
-        includeReviews: showReviews,
-        includeMenuHighlights: showMenuHighlights
-      });
+      const ids = restaurantIds.slice(0, maxRestaurants);
+      const response = await fetch(
+        comparisonId
+          ? `/api/restaurants/compare/${encodeURIComponent(comparisonId)}`
+          : `/api/restaurants/compare?ids=${ids.map(encodeURIComponent).join(',')}`
+      );
+      const body = await response.json();
+      if (!response.ok) {
+        throw new Error(body.message || `HTTP error! status: ${response.status}`);
+      }
 
-      setComparisonData(data);
+      setComparisonData(body.data.restaurants);
       
       // Track comparison view
       trackUserEngagement('restaurant', 'comparison', 'view', {
-        restaurantIds: restaurantIds.slice(0, maxRestaurants),
+        restaurantIds: body.data.restaurants.map(r => r.id),
+        comparisonId,
         criteria: comparisonCriteria
       });
     } catch (err) {
@@ -115,6 +116,25 @@ const RestaurantComparison = ({
     }
   };
 
+  // Save the comparison for sharing, once
+  const getSavedComparisonId = async () => {
+    if (savedComparisonId) return savedComparisonId;
+
+    const response = await fetch('/api/restaurants/compare', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify({ restaurantIds: comparisonData.map(r => r.id) })
+    });
+    const body = await response.json();
+    if (!response.ok) {
+      throw new Error(body.message || `HTTP error! status: ${response.status}`);
+    }
+
+    setSavedComparisonId(body.data.id);
+    return body.data.id;
+  };
+
   // Handle restaurant click
   const handleRestaurantClick = (restaurant) => {
     trackUserEngagement('restaurant', restaurant.id, 'click_from_comparison', {
@@ -132,8 +152,8 @@ const RestaurantComparison = ({
 
     if (values.length === 0) return null;
 
-    // For price, lower is better; for others, higher is better
-    return criterion === 'price' ? Math.min(...values) : Math.max(...values);
+    // For price and leaderboard position, lower is better; for others, higher is better
+    return criteriaConfigs[criterion]?.lowerIsBetter ? Math.min(...values) : Math.max(...values);
   };
 
   // Check if value is best for criterion
@@ -144,37 +164,25 @@ const RestaurantComparison = ({
   };
 
   // Handle export
-  const handleExport = async () => {
+  const handleExport = async (format) => {
     try {
-      const exportData = comparisonData.map(restaurant => ({
-        name: restaurant.name,
-        cuisine: restaurant.cuisine,
-        location: restaurant.location,
-        ...restaurant.metrics
-      }));
-
-      const csv = [
-        ['Name', 'Cuisine', 'Location', ...comparisonCriteria.map(c => criteriaConfigs[c]?.label || c)],
-        ...exportData.map(row => [
-          row.name,
-          row.cuisine,
-          row.location,
-          ...comparisonCriteria.map(c => row[c] || 'N/A')
-        ])
-      ].map(row => row.join(',')).join('\n');
-
-      const blob = new Blob([csv], { type: 'text/csv' });
-      const url = window.URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = `restaurant-comparison-${Date.now()}.csv`;
-      document.body.appendChild(a);
-      a.click();
-      document.body.removeChild(a);
-      window.URL.revokeObjectURL(url);
+      const id = await getSavedComparisonId();
+      const url = `/api/restaurants/compare/${encodeURIComponent(id)}?format=${format}&country=${country}`;
+
+      if (format === 'html') {
+        window.open(url, '_blank', 'noopener');
+      } else {
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `bellyfed-comparison-${id}.csv`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+      }
 
       trackUserEngagement('restaurant', 'comparison', 'export', {
-        restaurantCount: comparisonData.length
+        restaurantCount: comparisonData.length,
+        format
       });
     } catch (err) {
       console.error('Error exporting comparison:', err);
@@ -184,12 +192,13 @@ const RestaurantComparison = ({
   // Handle share
   const handleShare = async () => {
     try {
-      const shareUrl = `${window.location.origin}/${country}/restaurants/compare?ids=${restaurantIds.join(',')}`;
+      const id = await getSavedComparisonId();
+      const shareUrl = `${window.location.origin}/${country}/restaurants/compare/${encodeURIComponent(id)}`;
       
       if (navigator.share) {
         await navigator.share({
           title: 'Restaurant Comparison',
-          text: 'Compare restaurants on Bellyfed',
+          text: `Compare ${comparisonData.map(r => r.name).join(' vs ')} on Bellyfed`,
           url: shareUrl
         });
       } else {
@@ -199,6 +208,7 @@ const RestaurantComparison = ({
 
       trackUserEngagement('restaurant', 'comparison', 'share', {
         restaurantCount: comparisonData.length,
+        comparisonId: id,
         shareMethod: navigator.share ? 'native' : 'clipboard'
       });
     } catch (err) {
@@ -206,10 +216,11 @@ const RestaurantComparison = ({
     }
   };
 
-  // Load data on mount
+  // Load data on mount, and again when the compared restaurants change
+  const restaurantKey = restaurantIds.join(',');
   useEffect(() => {
     fetchComparisonData();
-  }, [restaurantIds]);
+  }, [comparisonId, restaurantKey]);
 
   if (loading) {
     return (
@@ -267,11 +278,18 @@ const RestaurantComparison = ({
 
         <div className="flex gap-3">
           <Button
-            onClick={handleExport}
+            onClick={() => handleExport('csv')}
+            variant="outline"
+            size="sm"
+          >
+            Export CSV
+          </Button>
+          <Button
+            onClick={() => handleExport('html')}
             variant="outline"
             size="sm"
           >
-            Export Data
+            Print Summary
           </Button>
           <Button
             onClick={handleShare}
@@ -311,7 +329,7 @@ const RestaurantComparison = ({
       </Card>
 
       {/* Comparison Grid */}
-      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
         {comparisonData.map((restaurant) => (
           <Card key={restaurant.id} className="p-6">
             {/* Restaurant Header */}
@@ -332,7 +350,7 @@ const RestaurantComparison = ({
                     {restaurant.name}
                   </h3>
                   <p className="text-sm text-gray-600">{restaurant.cuisine}</p>
-                  <p className="text-xs text-gray-500">{restaurant.location}</p>
+                  <p className="text-xs text-gray-500">{restaurant.address}</p>
                 </div>
               </Link>
             </div>
@@ -361,31 +379,43 @@ const RestaurantComparison = ({
               })}
             </div>
 
-            {/* Menu Highlights */}
-            {showMenuHighlights && restaurant.menuHighlights && restaurant.menuHighlights.length > 0 && (
+            {/* Leaderboard Positions */}
+            {showLeaderboards && restaurant.leaderboard.length > 0 && (
               <div className="mt-4 pt-4 border-t border-gray-100">
-                <h4 className="text-sm font-medium text-gray-900 mb-2">Popular Dishes</h4>
+                <h4 className="text-sm font-medium text-gray-900 mb-2">Leaderboard Positions</h4>
                 <div className="space-y-1">
-                  {restaurant.menuHighlights.slice(0, 3).map((dish, index) => (
-                    <div key={index} className="flex items-center justify-between text-xs">
-                      <span className="text-gray-700">{dish.name}</span>
-                      <span className="text-gray-500">${dish.price}</span>
+                  {restaurant.leaderboard.slice(0, 5).map((entry) => (
+                    <div key={entry.dishId} className="flex items-center justify-between text-xs">
+                      <Link href={`/${country}/rankings/global/${encodeURIComponent(entry.dishSlug)}`}>
+                        <span className="text-gray-700 hover:text-orange-600">{entry.dishName}</span>
+                      </Link>
+                      <span className="text-gray-500">#{entry.position}</span>
                     </div>
                   ))}
                 </div>
               </div>
             )}
 
-            {/* Recent Review */}
-            {showReviews && restaurant.recentReview && (
+            {/* Opening Hours */}
+            {showHours && (
               <div className="mt-4 pt-4 border-t border-gray-100">
-                <h4 className="text-sm font-medium text-gray-900 mb-2">Recent Review</h4>
-                <p className="text-xs text-gray-600 italic line-clamp-2">
-                  "{restaurant.recentReview.content}"
-                </p>
-                <p className="text-xs text-gray-500 mt-1">
-                  - {restaurant.recentReview.author}
-                </p>
+                <div className="flex items-center justify-between mb-2">
+                  <h4 className="text-sm font-medium text-gray-900">Opening Hours</h4>
+                  {restaurant.hours.length > 0 && (
+                    <Badge variant={restaurant.openingStatus.isOpen ? 'success' : 'secondary'}>
+                      {restaurant.openingStatus.isOpen ? 'Open now' : 'Closed'}
+                    </Badge>
+                  )}
+                </div>
+                {restaurant.openingHours ? (
+                  <ul className="space-y-0.5 text-xs text-gray-600">
+                    {restaurant.openingHours.split('; ').map((day) => (
+                      <li key={day}>{day}</li>
+                    ))}
+                  </ul>
+                ) : (
+                  <p className="text-xs text-gray-500">Hours not listed</p>
+                )}
               </div>
             )}
 
@@ -17,11 +17,14 @@
 import React, { useState, useEffect } from 'react'
 import { Card, Button, Badge, LoadingSpinner } from '../ui/index.js'
 import { useAnalyticsContext } from '../analytics/AnalyticsProvider.js'
+import { formatMenuSchedules } from '../../utils/menuSchedule.js'
+
+// Stable default, so loading offers does not rerun on every render
+const NO_OFFERS = []
 
 const RestaurantOffers = ({
   restaurantId,
-  offers = [],
-  showExpired = false,
+  offers = NO_OFFERS,
   showTerms = true,
   showShare = true,
   maxOffers = 10,
@@ -49,125 +52,15 @@ const RestaurantOffers = ({
         setLoading(true)
         setError(null)
 
-        // Mock offers data (in real app, would fetch from API)
-        const mockOffers = [
-          {
-            id: 'offer_1',
-            title: '20% Off First Order',
-            description: 'Get 20% discount on your first order when you sign up for our newsletter',
-            type: 'discount',
-            discountType: 'percentage',
-            discountValue: 20,
-            code: 'FIRST20',
-            validFrom: '2024-01-01T00:00:00Z',
-            validUntil: '2024-12-31T23:59:59Z',
-            minOrderValue: 25.00,
-            maxDiscount: 15.00,
-            usageLimit: 1,
-            isActive: true,
-            image: '/images/offers/first-order-discount.jpg',
-            terms: [
-              'Valid for new customers only',
-              'Minimum order value of RM25',
-              'Cannot be combined with other offers',
-              'Valid for dine-in and takeaway only'
-            ]
-          },
-          {
-            id: 'offer_2',
-            title: 'Happy Hour Special',
-            description: 'Buy 1 Get 1 Free on selected beverages from 3PM to 6PM daily',
-            type: 'bogo',
-            validFrom: '2024-01-01T00:00:00Z',
-            validUntil: '2024-12-31T23:59:59Z',
-            timeRestriction: {
-              days: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'],
-              startTime: '15:00',
-              endTime: '18:00'
-            },
-            isActive: true,
-            image: '/images/offers/happy-hour.jpg',
-            terms: [
-              'Valid Monday to Friday only',
-              'Available from 3PM to 6PM',
-              'Selected beverages only',
-              'Dine-in only'
-            ]
-          },
-          {
-            id: 'offer_3',
-            title: 'Weekend Family Deal',
-            description: 'Family set meal for 4 people at special price - includes 4 main dishes, 4 drinks, and dessert',
-            type: 'set_meal',
-            originalPrice: 120.00,
-            offerPrice: 89.00,
-            validFrom: '2024-01-01T00:00:00Z',
-            validUntil: '2024-12-31T23:59:59Z',
-            timeRestriction: {
-              days: ['saturday', 'sunday'],
-              startTime: '12:00',
-              endTime: '22:00'
-            },
-            isActive: true,
-            image: '/images/offers/family-deal.jpg',
-            terms: [
-              'Available weekends only',
-              'For 4 people',
-              'Advance booking required',
-              'Subject to availability'
-            ]
-          },
-          {
-            id: 'offer_4',
-            title: 'Student Discount',
-            description: '15% off for students with valid student ID',
-            type: 'discount',
-            discountType: 'percentage',
-            discountValue: 15,
-            validFrom: '2024-01-01T00:00:00Z',
-            validUntil: '2024-12-31T23:59:59Z',
-            requirements: ['Valid student ID required'],
-            isActive: true,
-            image: '/images/offers/student-discount.jpg',
-            terms: [
-              'Valid student ID must be presented',
-              'Cannot be combined with other offers',
-              'Valid for dine-in only'
-            ]
-          },
-          {
-            id: 'offer_5',
-            title: 'Birthday Special',
-            description: 'Free dessert on your birthday month',
-            type: 'free_item',
-            validFrom: '2024-01-01T00:00:00Z',
-            validUntil: '2024-12-31T23:59:59Z',
-            requirements: ['Valid ID showing birth month'],
-            isActive: false, // Expired offer
-            image: '/images/offers/birthday-special.jpg',
-            terms: [
-              'Valid throughout birthday month',
-              'ID verification required',
-              'One per customer per year',
-              'Minimum order of RM30'
-            ]
-          }
-        ]
-
-        // Filter offers based on showExpired
-        let filteredOffers = showExpired 
-          ? mockOffers 
-          : mockOffers.filter(offer => offer.isActive)
-
-        // Limit offers
-        filteredOffers = filteredOffers.slice(0, maxOffers)
-
-        setActiveOffers(filteredOffers)
-
-        // Track offers view
-        trackUserEngagement('restaurant', restaurantId, 'offers_view', {
-          offerCount: filteredOffers.length
-        })
+        const response = await fetch(`/api/restaurants/${encodeURIComponent(restaurantId)}/offers`)
+        const result = await response.json()
+        if (!response.ok) {
+          throw new Error(result.message || 'Failed to load offers')
+        }
+
+        // Expired and fully redeemed offers are left out by the API, which
+        // also counts the offers shown as views
+        setActiveOffers(result.data.offers.slice(0, maxOffers))
       } catch (err) {
         console.error('Error loading offers:', err)
         setError(err.message || 'Failed to load offers')
@@ -177,41 +70,19 @@ const RestaurantOffers = ({
     }
 
     loadOffers()
-  }, [offers, restaurantId, showExpired, maxOffers, trackUserEngagement])
+  }, [offers, restaurantId, maxOffers])
 
-  // Check if offer is currently valid
-  const isOfferValid = (offer) => {
-    const now = new Date()
-    const validFrom = new Date(offer.validFrom)
-    const validUntil = new Date(offer.validUntil)
-    
-    if (now < validFrom || now > validUntil) {
-      return false
-    }
+  // Check if offer can be redeemed now, within its weekly windows
+  const isOfferValid = (offer) => offer.isAvailableNow
 
-    // Check time restrictions
-    if (offer.timeRestriction) {
-      const currentDay = now.toLocaleDateString('en-US', { weekday: 'long' }).toLowerCase()
-      const currentTime = now.toTimeString().slice(0, 5) // HH:MM format
-      
-      if (offer.timeRestriction.days && !offer.timeRestriction.days.includes(currentDay)) {
-        return false
-      }
-      
-      if (offer.timeRestriction.startTime && offer.timeRestriction.endTime) {
-        if (currentTime < offer.timeRestriction.startTime || currentTime > offer.timeRestriction.endTime) {
-          return false
-        }
-      }
-    }
-
-    return offer.isActive
-  }
+  // Format a moment for display
+  const formatMoment = (value) =>
+    new Date(value).toLocaleString(undefined, { weekday: 'short', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' })
 
   // Get offer badge
   const getOfferBadge = (offer) => {
     if (!isOfferValid(offer)) {
-      return <Badge variant="error" size="sm">Expired</Badge>
+      return <Badge variant="default" size="sm">Later</Badge>
     }
 
     switch (offer.type) {
@@ -234,11 +105,13 @@ const RestaurantOffers = ({
       case 'discount':
         return offer.discountType === 'percentage' 
           ? `${offer.discountValue}% OFF`
-          : `RM${offer.discountValue} OFF`
+          : `${offer.currency} ${offer.discountValue.toFixed(2)} OFF`
       case 'bogo':
         return 'BUY 1 GET 1 FREE'
       case 'set_meal':
-        return `RM${offer.offerPrice} (was RM${offer.originalPrice})`
+        return offer.originalPrice
+          ? `${offer.currency} ${offer.offerPrice.toFixed(2)} (was ${offer.currency} ${offer.originalPrice.toFixed(2)})`
+          : `${offer.currency} ${offer.offerPrice.toFixed(2)}`
       case 'free_item':
         return 'FREE ITEM'
       default:
@@ -298,28 +171,6 @@ const RestaurantOffers = ({
     })
   }
 
-  // Format time restriction
-  const formatTimeRestriction = (timeRestriction) => {
-    if (!timeRestriction) return null
-
-    const parts = []
-    
-    if (timeRestriction.days) {
-      const dayNames = {
-        monday: 'Mon', tuesday: 'Tue', wednesday: 'Wed',
-        thursday: 'Thu', friday: 'Fri', saturday: 'Sat', sunday: 'Sun'
-      }
-      const formattedDays = timeRestriction.days.map(day => dayNames[day]).join(', ')
-      parts.push(formattedDays)
-    }
-    
-    if (timeRestriction.startTime && timeRestriction.endTime) {
-      parts.push(`${timeRestriction.startTime} - ${timeRestriction.endTime}`)
-    }
-    
-    return parts.join(' • ')
-  }
-
   if (loading) {
     return (
       <div className={`flex items-center justify-center p-8 ${className}`}>
@@ -378,10 +229,10 @@ const RestaurantOffers = ({
           <Card key={offer.id} className="overflow-hidden">
             <div className="flex">
               {/* Offer Image */}
-              {offer.image && (
+              {offer.imageUrl && (
                 <div className="w-32 h-32 bg-gray-200 flex-shrink-0">
                   <img
-                    src={offer.image}
+                    src={offer.imageUrl}
                     alt={offer.title}
                     className="w-full h-full object-cover"
                     onError={(e) => {
@@ -411,10 +262,20 @@ const RestaurantOffers = ({
                       {getDiscountText(offer)}
                     </div>
 
-                    {/* Time Restriction */}
-                    {offer.timeRestriction && (
+                    {/* Weekly windows and minimum order */}
+                    {offer.schedules.length > 0 && (
+                      <p className="text-sm text-gray-500 mb-1">
+                        📅 {formatMenuSchedules(offer.schedules)}
+                      </p>
+                    )}
+                    {offer.minOrderValue && (
+                      <p className="text-sm text-gray-500 mb-1">
+                        Minimum order {offer.currency} {offer.minOrderValue.toFixed(2)}
+                      </p>
+                    )}
+                    {offer.validUntil && (
                       <p className="text-sm text-gray-500 mb-3">
-                        📅 {formatTimeRestriction(offer.timeRestriction)}
+                        Ends {formatMoment(offer.validUntil)}
                       </p>
                     )}
 
@@ -438,7 +299,7 @@ const RestaurantOffers = ({
 
                     {/* Action Buttons */}
                     <div className="flex items-center gap-3">
-                      {showTerms && offer.terms && (
+                      {showTerms && offer.terms.length > 0 && (
                         <Button
                           variant="outline"
                           size="sm"
@@ -465,13 +326,15 @@ const RestaurantOffers = ({
                     {isOfferValid(offer) ? (
                       <span className="text-green-600">✓ Valid Now</span>
                     ) : (
-                      <span className="text-red-600">✗ Expired</span>
+                      <span className="text-gray-600">
+                        {offer.nextAvailableAt ? `From ${formatMoment(offer.nextAvailableAt)}` : 'Not available now'}
+                      </span>
                     )}
                   </div>
                 </div>
 
                 {/* Terms and Conditions */}
-                {expandedOffer === offer.id && offer.terms && (
+                {expandedOffer === offer.id && offer.terms.length > 0 && (
                   <div className="mt-4 pt-4 border-t border-gray-200">
                     <h4 className="font-medium text-gray-900 mb-2">
                       Terms & Conditions:
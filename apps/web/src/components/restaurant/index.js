@@ -9,3 +9,4 @@
 export { default as ReviewCard } from './ReviewCard.js';
 export { default as RestaurantComparison } from './RestaurantComparison.js';
 export { default as RestaurantBooking } from './RestaurantBooking.js';
+export { default as RestaurantClaim } from './RestaurantClaim.js';
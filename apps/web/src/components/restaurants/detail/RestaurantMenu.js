@@ -1,8 +1,34 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import Image from 'next/image';
-import { Search, Filter, ChevronDown, ChevronUp } from 'lucide-react';
+import { Search, Filter, ChevronDown, ChevronUp, Clock } from 'lucide-react';
+import { formatMenuSchedules } from '../../../utils/menuSchedule.js';
+
+/**
+ * Format a moment as a time of day in the restaurant's timezone
+ * @param {string} value - The moment as an ISO 8601 string
+ * @param {string} timezone - The restaurant's timezone
+ * @returns {string} The time, e.g. 15:00
+ */
+const formatTime = (value, timezone) =>
+  new Intl.DateTimeFormat(undefined, { timeZone: timezone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' })
+    .format(new Date(value));
+
+/**
+ * Convert an item of the menu being served to the shape shown here
+ * @param {Object} item - The item from the current menu API
+ * @returns {Object} The item to show
+ */
+const toDisplayItem = (item) => ({
+  ...item,
+  price: `${item.currency} ${Number(item.price).toFixed(2)}`,
+  category: item.category || 'other',
+  isVegetarian: (item.dietaryInfo || []).includes('vegetarian'),
+  isPopular: item.isSpecial
+});
+
 /**
- * Restaurant menu component for displaying restaurant menu items
+ * Restaurant menu component for displaying restaurant menu items. Shows
+ * the menu the restaurant serves now, falling back to the menu passed in.
  *
  * @param {Object} props - Component props
  * @param {Object} props.restaurant - Restaurant data
@@ -12,8 +38,46 @@ export default function RestaurantMenu({ restaurant }) {
   const [searchQuery, setSearchQuery] = useState('');
   const [activeCategory, setActiveCategory] = useState('all');
   const [expandedItems, setExpandedItems] = useState({});
+  const [served, setServed] = useState(null);
+
+  useEffect(() => {
+    if (!restaurant?.id) return;
+
+    fetch(`/api/restaurants/${encodeURIComponent(restaurant.id)}/menu/current`)
+      .then(response => (response.ok ? response.json() : null))
+      .then(result => setServed(result?.data || null))
+      .catch(error => console.error('Error fetching current menu:', error));
+  }, [restaurant?.id]);
+
+  // The served menu wins once loaded; a restaurant with named menus but
+  // nothing served right now shows none
+  const menu = served?.menu
+    ? { ...served.menu, items: served.menu.items.map(toDisplayItem) }
+    : served?.menus.length > 0 ? null : restaurant?.menu;
+
+  if (served && !menu && served.menus.length > 0) {
+    return (
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow-md p-6">
+        <h2 className="text-xl font-semibold text-gray-900 dark:text-white mb-4">
+          Menu
+        </h2>
+        <p className="text-gray-600 dark:text-gray-400">
+          No menu is being served right now.
+          {served.nextMenu && ` ${served.nextMenu.name} starts at ${formatTime(served.nextMenu.startsAt, served.timezone)}.`}
+        </p>
+        <ul className="mt-4 space-y-1 text-sm text-gray-600 dark:text-gray-400">
+          {served.menus.map(other => (
+            <li key={other.id}>
+              <span className="font-medium text-gray-700 dark:text-gray-300">{other.name}</span>
+              {' · '}{formatMenuSchedules(other.schedules)}
+            </li>
+          ))}
+        </ul>
+      </div>
+    );
+  }
 
-  if (!restaurant || !restaurant.menu) {
+  if (!menu) {
     return (
       <div className="bg-white dark:bg-gray-800 rounded-lg shadow-md p-6">
         <h2 className="text-xl font-semibold text-gray-900 dark:text-white mb-4">
@@ -27,10 +91,10 @@ export default function RestaurantMenu({ restaurant }) {
   }
 
   // Get all categories from menu items
-  const categories = ['all', ...new Set(restaurant.menu.items.map(item => item.category))];
+  const categories = ['all', ...new Set(menu.items.map(item => item.category))];
 
   // Filter menu items based on search query and active category
-  const filteredItems = restaurant.menu.items.filter(item => {
+  const filteredItems = menu.items.filter(item => {
     const matchesSearch = item.name.toLowerCase().includes(searchQuery.toLowerCase()) ||
                          (item.description && item.description.toLowerCase().includes(searchQuery.toLowerCase()));
     const matchesCategory = activeCategory === 'all' || item.category === activeCategory;
@@ -49,9 +113,31 @@ export default function RestaurantMenu({ restaurant }) {
   return (
     <div className="bg-white dark:bg-gray-800 rounded-lg shadow-md p-6">
       <h2 className="text-xl font-semibold text-gray-900 dark:text-white mb-4">
-        Menu
+        {menu.name || 'Menu'}
       </h2>
 
+      {/* Named menu being served */}
+      {served?.menu?.name && (
+        <div className="mb-6 text-sm text-gray-600 dark:text-gray-400">
+          <p className="flex items-center">
+            <Clock className="h-4 w-4 mr-1" />
+            {served.menu.endsAt
+              ? `Served until ${formatTime(served.menu.endsAt, served.timezone)}`
+              : 'Served now'}
+            {served.menu.description && ` · ${served.menu.description}`}
+          </p>
+          {served.menus.length > 1 && (
+            <p className="mt-1">
+              Other menus:{' '}
+              {served.menus
+                .filter(other => other.id !== served.menu.id)
+                .map(other => `${other.name} (${formatMenuSchedules(other.schedules)})`)
+                .join(', ')}
+            </p>
+          )}
+        </div>
+      )}
+
       {/* Search and Filter */}
       <div className="flex flex-col md:flex-row gap-4 mb-6">
         <div className="relative flex-grow">
@@ -116,6 +202,11 @@ export default function RestaurantMenu({ restaurant }) {
                         Popular
                       </span>
                     )}
+                    {item.isAvailable === false && (
+                      <span className="ml-2 px-2 py-0.5 bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 text-xs rounded-full">
+                        Unavailable
+                      </span>
+                    )}
                     {item.isVegetarian && (
                       <span className="ml-2 px-2 py-0.5 bg-green-100 dark:bg-green-900/30 text-green-800 dark:text-green-300 text-xs rounded-full">
                         Vegetarian
@@ -192,10 +283,10 @@ export default function RestaurantMenu({ restaurant }) {
       )}
 
       {/* Menu Notes */}
-      {restaurant.menu.notes && (
+      {menu.notes && (
         <div className="mt-6 p-4 bg-gray-50 dark:bg-gray-750 rounded-md text-sm text-gray-600 dark:text-gray-400">
           <p className="font-medium text-gray-700 dark:text-gray-300 mb-1">Note:</p>
-          <p>{restaurant.menu.notes}</p>
+          <p>{menu.notes}</p>
         </div>
       )}
     </div>
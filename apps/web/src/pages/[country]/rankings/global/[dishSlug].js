@@ -13,10 +13,25 @@ import {
   Heart,
   Share2
 } from 'lucide-react'
+import AsOfPicker from '../../../../components/rankings/AsOfPicker.js'
+import TrendWindowPicker from '../../../../components/rankings/TrendWindowPicker.js'
+
+/**
+ * Describe an entry's movement over a trend window as a change label
+ * @param {Object} trends Entry movement by window, from the API
+ * @param {string} trendWindow Trend window, e.g. "7d"
+ * @returns {string} e.g. "+2", "-1", "0" or "New"
+ */
+const getChangeLabel = (trends, trendWindow) => {
+  const change = trends?.[trendWindow]?.change
+  if (change === null || change === undefined) return 'New'
+  return change > 0 ? `+${change}` : String(change)
+}
 
 export default function GlobalDishRankingPage() {
   const router = useRouter()
-  const { country, dishSlug } = router.query
+  const { country, dishSlug, asOf = '' } = router.query
+  const [trendWindow, setTrendWindow] = useState('7d')
   const [rankings, setRankings] = useState([])
   const [dishInfo, setDishInfo] = useState(null)
   const [filters, setFilters] = useState({
@@ -25,99 +40,65 @@ export default function GlobalDishRankingPage() {
     sortBy: 'rank'
   })
   const [isLoading, setIsLoading] = useState(true)
+  const [error, setError] = useState(null)
 
-  // Mock data for global dish rankings
+  // Load the leaderboard, as of a past day when one is selected
   useEffect(() => {
-    if (dishSlug) {
-      const mockDishInfo = {
-        name: dishSlug.replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase()),
-        description: 'A beloved dish enjoyed worldwide with countless variations and interpretations',
-        totalRankings: 1247,
-        averageRating: 4.6,
-        globalRank: 15
-      }
+    if (!dishSlug) return
+
+    const fetchRankings = async () => {
+      setIsLoading(true)
+      setError(null)
 
-      const mockRankings = [
-        {
-          id: 1,
-          restaurant: 'The Golden Spoon',
-          location: 'San Francisco, CA',
-          country: 'USA',
-          rating: 4.9,
-          votes: 1247,
-          rank: 1,
-          change: '+2',
-          price: 28,
-          description: 'Handmade pasta with black truffle and parmesan cheese',
-          image: '/images/truffle-pasta-1.jpg',
-          verified: true
-        },
-        {
-          id: 2,
-          restaurant: 'Nonna\'s Kitchen',
-          location: 'Rome, Italy',
-          country: 'Italy',
-          rating: 4.8,
-          votes: 1156,
-          rank: 2,
-          change: '-1',
-          price: 22,
-          description: 'Traditional Roman-style preparation with authentic ingredients',
-          image: '/images/truffle-pasta-2.jpg',
-          verified: true
-        },
-        {
-          id: 3,
-          restaurant: 'Le Petit Bistro',
-          location: 'Paris, France',
-          country: 'France',
-          rating: 4.8,
-          votes: 1089,
-          rank: 3,
-          change: '+1',
-          price: 35,
-          description: 'French interpretation with seasonal truffle varieties',
-          image: '/images/truffle-pasta-3.jpg',
-          verified: false
-        },
-        {
-          id: 4,
-          restaurant: 'Casa Italiana',
-          location: 'New York, NY',
-          country: 'USA',
-          rating: 4.7,
-          votes: 987,
-          rank: 4,
-          change: '0',
-          price: 32,
-          description: 'Modern take on classic Italian flavors',
-          image: '/images/truffle-pasta-4.jpg',
-          verified: true
-        },
-        {
-          id: 5,
-          restaurant: 'Truffle House',
-          location: 'London, UK',
-          country: 'UK',
-          rating: 4.7,
-          votes: 876,
-          rank: 5,
-          change: '+3',
-          price: 38,
-          description: 'Premium British truffle with house-made pasta',
-          image: '/images/truffle-pasta-5.jpg',
-          verified: true
+      try {
+        const params = new URLSearchParams({ includeReviews: 'true' })
+        if (asOf) params.set('asOf', asOf)
+
+        const response = await fetch(`/api/rankings/global/${dishSlug}?${params}`)
+        const result = await response.json()
+        if (!response.ok) {
+          throw new Error(result.message || 'Failed to load rankings')
         }
-      ]
 
-      // Simulate API call
-      setTimeout(() => {
-        setDishInfo(mockDishInfo)
-        setRankings(mockRankings)
+        const { data } = result
+        setDishInfo({
+          name: data.dishName,
+          description: asOf
+            ? `How ${data.dishName} ranked on ${asOf}`
+            : `The best ${data.dishName} as ranked by the community`,
+          totalRestaurants: data.total,
+          averageRating: data.averageRating.toFixed(1)
+        })
+        setRankings(data.rankings.map((entry) => ({
+          id: entry.restaurantId,
+          restaurant: entry.restaurantName,
+          location: entry.restaurantAddress,
+          country: entry.countryCode,
+          rating: entry.averageRating.toFixed(1),
+          rankingCount: entry.rankingCount,
+          rank: entry.position,
+          trends: entry.trends,
+          price: entry.dishPrice,
+          description: entry.reviews?.[0]?.review || ''
+        })))
+      } catch (err) {
+        console.error('Error fetching global rankings:', err)
+        setError(err.message || 'Failed to load rankings')
+      } finally {
         setIsLoading(false)
-      }, 1000)
+      }
     }
-  }, [dishSlug])
+
+    fetchRankings()
+  }, [dishSlug, asOf])
+
+  // Keep the selected day in the URL so the view can be shared
+  const handleAsOfChange = (value) => {
+    const query = { ...router.query }
+    delete query.asOf
+    if (value) query.asOf = value
+    router.push({ pathname: router.pathname, query })
+  }
 
   const getRankChangeIcon = (change) => {
     if (change.startsWith('+')) {
@@ -134,6 +115,12 @@ export default function GlobalDishRankingPage() {
     return 'text-gray-500'
   }
 
+  // Movement over the selected window
+  const shownRankings = rankings.map((ranking) => ({
+    ...ranking,
+    change: getChangeLabel(ranking.trends, trendWindow)
+  }))
+
   if (isLoading) {
     return (
       <div className="min-h-screen bg-orange-50 dark:bg-orange-950 flex items-center justify-center">
@@ -181,15 +168,15 @@ export default function GlobalDishRankingPage() {
             <div className="flex justify-center space-x-8 text-center">
               <div>
                 <div className="text-2xl font-bold text-orange-600 dark:text-orange-400">
-                  #{dishInfo?.globalRank}
+                  {dishInfo?.totalRestaurants?.toLocaleString()}
                 </div>
-                <div className="text-sm text-orange-700 dark:text-orange-300">Global Rank</div>
+                <div className="text-sm text-orange-700 dark:text-orange-300">Restaurants Ranked</div>
               </div>
               <div>
                 <div className="text-2xl font-bold text-orange-600 dark:text-orange-400">
-                  {dishInfo?.totalRankings?.toLocaleString()}
+                  {asOf || 'Today'}
                 </div>
-                <div className="text-sm text-orange-700 dark:text-orange-300">Total Rankings</div>
+                <div className="text-sm text-orange-700 dark:text-orange-300">As Of</div>
               </div>
               <div>
                 <div className="flex items-center justify-center">
@@ -253,6 +240,10 @@ export default function GlobalDishRankingPage() {
               </select>
             </div>
 
+            <AsOfPicker value={asOf} onChange={handleAsOfChange} />
+
+            <TrendWindowPicker value={trendWindow} onChange={setTrendWindow} />
+
             <div className="flex items-center space-x-2">
               <button className="flex items-center px-3 py-1 bg-orange-500 hover:bg-orange-600 text-white rounded text-sm transition-colors">
                 <Heart className="w-4 h-4 mr-1" />
@@ -269,8 +260,17 @@ export default function GlobalDishRankingPage() {
 
       {/* Rankings List */}
       <div className="max-w-6xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {error && (
+          <p className="text-center text-red-600 dark:text-red-400 mb-4">{error}</p>
+        )}
+        {!error && rankings.length === 0 && (
+          <p className="text-center text-orange-700 dark:text-orange-300">
+            {asOf ? `No rankings existed for this dish on ${asOf}.` : 'No rankings for this dish yet.'}
+          </p>
+        )}
+
         <div className="space-y-4">
-          {rankings.map((ranking) => (
+          {shownRankings.map((ranking) => (
             <div
               key={ranking.id}
               className="bg-white dark:bg-orange-900 rounded-lg shadow-sm border border-orange-200 dark:border-orange-800 p-6 hover:shadow-md transition-shadow"
@@ -306,15 +306,10 @@ export default function GlobalDishRankingPage() {
                         <h3 className="text-lg font-semibold text-orange-900 dark:text-orange-100">
                           {ranking.restaurant}
                         </h3>
-                        {ranking.verified && (
-                          <div className="w-5 h-5 bg-orange-500 rounded-full flex items-center justify-center">
-                            <span className="text-white text-xs">✓</span>
-                          </div>
-                        )}
                       </div>
                       <div className="flex items-center text-orange-600 dark:text-orange-400 text-sm mb-2">
                         <MapPin className="w-4 h-4 mr-1" />
-                        {ranking.location}, {ranking.country}
+                        {ranking.location}{ranking.country && `, ${ranking.country}`}
                       </div>
                       <p className="text-orange-700 dark:text-orange-300 text-sm">
                         {ranking.description}
@@ -329,11 +324,13 @@ export default function GlobalDishRankingPage() {
                         </span>
                       </div>
                       <p className="text-sm text-orange-600 dark:text-orange-400 mb-2">
-                        {ranking.votes.toLocaleString()} votes
-                      </p>
-                      <p className="text-lg font-bold text-orange-600 dark:text-orange-400">
-                        ${ranking.price}
+                        {ranking.rankingCount.toLocaleString()} rankings
                       </p>
+                      {ranking.price != null && (
+                        <p className="text-lg font-bold text-orange-600 dark:text-orange-400">
+                          ${ranking.price}
+                        </p>
+                      )}
                     </div>
                   </div>
                 </div>
@@ -11,16 +11,33 @@ import {
   Filter,
   Search,
   Heart,
-  Share2,
-  Clock
+  Share2
 } from 'lucide-react'
+import AsOfPicker from '../../../../components/rankings/AsOfPicker.js'
+import TrendWindowPicker from '../../../../components/rankings/TrendWindowPicker.js'
+
+// Search radius in km when the URL does not set one
+const DEFAULT_RADIUS_KM = 10
+
+/**
+ * Describe an entry's movement over a trend window as a change label
+ * @param {Object} trends Entry movement by window, from the API
+ * @param {string} trendWindow Trend window, e.g. "7d"
+ * @returns {string} e.g. "+2", "-1", "0" or "New"
+ */
+const getChangeLabel = (trends, trendWindow) => {
+  const change = trends?.[trendWindow]?.change
+  if (change === null || change === undefined) return 'New'
+  return change > 0 ? `+${change}` : String(change)
+}
 
 export default function LocalDishRankingPage() {
   const router = useRouter()
-  const { country, dishSlug } = router.query
+  const { country, dishSlug, lat, lng, radius = DEFAULT_RADIUS_KM, asOf = '' } = router.query
+  const [trendWindow, setTrendWindow] = useState('7d')
   const [rankings, setRankings] = useState([])
   const [dishInfo, setDishInfo] = useState(null)
-  const [locationInfo, setLocationInfo] = useState(null)
+  const [location, setLocation] = useState(null)
   const [filters, setFilters] = useState({
     neighborhood: '',
     priceRange: '',
@@ -28,116 +45,97 @@ export default function LocalDishRankingPage() {
     sortBy: 'rank'
   })
   const [isLoading, setIsLoading] = useState(true)
+  const [error, setError] = useState(null)
 
-  // Mock data for local dish rankings
+  // Use the location from the URL, or ask the browser for it
   useEffect(() => {
-    if (dishSlug && country) {
-      const mockDishInfo = {
-        name: dishSlug.replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase()),
-        description: `The best ${dishSlug.replace(/-/g, ' ')} in ${country}`,
-        localRankings: 156,
-        averageRating: 4.4,
-        localRank: 3
-      }
+    if (!router.isReady) return
+
+    if (lat && lng) {
+      setLocation({ latitude: Number(lat), longitude: Number(lng) })
+      return
+    }
 
-      const mockLocationInfo = {
-        city: country === 'usa' ? 'San Francisco' : 'Local Area',
-        region: country === 'usa' ? 'California' : country.toUpperCase(),
-        userLocation: 'Downtown'
+    if (!navigator.geolocation) {
+      setError('Your browser cannot share its location')
+      setIsLoading(false)
+      return
+    }
+
+    navigator.geolocation.getCurrentPosition(
+      (position) => setLocation({
+        latitude: position.coords.latitude,
+        longitude: position.coords.longitude
+      }),
+      () => {
+        setError('Allow location access to see rankings near you')
+        setIsLoading(false)
       }
+    )
+  }, [router.isReady, lat, lng])
+
+  // Load the leaderboard, as of a past day when one is selected
+  useEffect(() => {
+    if (!dishSlug || !location) return
 
-      const mockRankings = [
-        {
-          id: 1,
-          restaurant: 'Local Favorite',
-          location: 'Downtown',
-          address: '123 Main St',
-          rating: 4.8,
-          votes: 234,
-          rank: 1,
-          change: '+1',
-          price: 18,
-          distance: '0.3 miles',
-          description: 'Neighborhood gem with authentic local flavors',
-          image: '/images/local-dish-1.jpg',
-          isOpen: true,
-          openUntil: '10:00 PM'
-        },
-        {
-          id: 2,
-          restaurant: 'Corner Bistro',
-          location: 'Mission District',
-          address: '456 Valencia St',
-          rating: 4.7,
-          votes: 189,
-          rank: 2,
-          change: '0',
-          price: 22,
-          distance: '0.8 miles',
-          description: 'Cozy spot known for traditional preparation',
-          image: '/images/local-dish-2.jpg',
-          isOpen: true,
-          openUntil: '9:30 PM'
-        },
-        {
-          id: 3,
-          restaurant: 'The Local Kitchen',
-          location: 'Castro',
-          address: '789 Castro St',
-          rating: 4.6,
-          votes: 167,
-          rank: 3,
-          change: '+2',
-          price: 25,
-          distance: '1.2 miles',
-          description: 'Farm-to-table approach with local ingredients',
-          image: '/images/local-dish-3.jpg',
-          isOpen: false,
-          openUntil: 'Closed'
-        },
-        {
-          id: 4,
-          restaurant: 'Neighborhood Eats',
-          location: 'Haight',
-          address: '321 Haight St',
-          rating: 4.5,
-          votes: 145,
-          rank: 4,
-          change: '-1',
-          price: 20,
-          distance: '1.5 miles',
-          description: 'Local institution serving the community for 20+ years',
-          image: '/images/local-dish-4.jpg',
-          isOpen: true,
-          openUntil: '11:00 PM'
-        },
-        {
-          id: 5,
-          restaurant: 'City Bites',
-          location: 'SOMA',
-          address: '654 Folsom St',
-          rating: 4.4,
-          votes: 123,
-          rank: 5,
-          change: '+3',
-          price: 28,
-          distance: '2.1 miles',
-          description: 'Modern interpretation of classic local dish',
-          image: '/images/local-dish-5.jpg',
-          isOpen: true,
-          openUntil: '10:30 PM'
+    const fetchRankings = async () => {
+      setIsLoading(true)
+      setError(null)
+
+      try {
+        const params = new URLSearchParams({
+          latitude: String(location.latitude),
+          longitude: String(location.longitude),
+          radius: String(radius),
+          includeReviews: 'true'
+        })
+        if (asOf) params.set('asOf', asOf)
+
+        const response = await fetch(`/api/rankings/local/${dishSlug}?${params}`)
+        const result = await response.json()
+        if (!response.ok) {
+          throw new Error(result.message || 'Failed to load rankings')
         }
-      ]
 
-      // Simulate API call
-      setTimeout(() => {
-        setDishInfo(mockDishInfo)
-        setLocationInfo(mockLocationInfo)
-        setRankings(mockRankings)
+        const { data } = result
+        setDishInfo({
+          name: data.dishName,
+          description: asOf
+            ? `How ${data.dishName} ranked within ${radius} km of you on ${asOf}`
+            : `The best ${data.dishName} within ${radius} km of you`,
+          totalRestaurants: data.total,
+          averageRating: data.averageRating.toFixed(1)
+        })
+        setRankings(data.rankings.map((entry) => ({
+          id: entry.restaurantId,
+          restaurant: entry.restaurantName,
+          address: entry.restaurantAddress,
+          rating: entry.averageRating.toFixed(1),
+          rankingCount: entry.rankingCount,
+          rank: entry.localPosition,
+          trends: entry.trends,
+          price: entry.dishPrice,
+          distance: `${entry.distanceKm.toFixed(1)} km`,
+          description: entry.reviews?.[0]?.review || ''
+        })))
+      } catch (err) {
+        console.error('Error fetching local rankings:', err)
+        setError(err.message || 'Failed to load rankings')
+      } finally {
         setIsLoading(false)
-      }, 1000)
+      }
     }
-  }, [dishSlug, country])
+
+    fetchRankings()
+  }, [dishSlug, location, radius, asOf])
+
+  // Keep the selected day in the URL so the view can be shared
+  const handleAsOfChange = (value) => {
+    const query = { ...router.query }
+    delete query.asOf
+    if (value) query.asOf = value
+    router.push({ pathname: router.pathname, query })
+  }
 
   const getRankChangeIcon = (change) => {
     if (change.startsWith('+')) {
@@ -154,6 +152,12 @@ export default function LocalDishRankingPage() {
     return 'text-gray-500'
   }
 
+  // Movement over the selected window
+  const shownRankings = rankings.map((ranking) => ({
+    ...ranking,
+    change: getChangeLabel(ranking.trends, trendWindow)
+  }))
+
   if (isLoading) {
     return (
       <div className="min-h-screen bg-orange-50 dark:bg-orange-950 flex items-center justify-center">
@@ -190,26 +194,26 @@ export default function LocalDishRankingPage() {
               <Navigation className="w-10 h-10 text-orange-500 mr-3" />
               <Trophy className="w-10 h-10 text-orange-500 mr-3" />
               <h1 className="text-3xl font-bold text-orange-900 dark:text-orange-100">
-                Best {dishInfo?.name} in {locationInfo?.city}
+                Best {dishInfo?.name} Near You
               </h1>
             </div>
             <p className="text-orange-700 dark:text-orange-300 text-lg mb-6">
-              {dishInfo?.description} • Rankings based on your location in {locationInfo?.userLocation}
+              {dishInfo?.description}
             </p>
 
             {/* Stats */}
             <div className="flex justify-center space-x-8 text-center">
               <div>
                 <div className="text-2xl font-bold text-orange-600 dark:text-orange-400">
-                  #{dishInfo?.localRank}
+                  {dishInfo?.totalRestaurants}
                 </div>
-                <div className="text-sm text-orange-700 dark:text-orange-300">Local Rank</div>
+                <div className="text-sm text-orange-700 dark:text-orange-300">Restaurants Nearby</div>
               </div>
               <div>
                 <div className="text-2xl font-bold text-orange-600 dark:text-orange-400">
-                  {dishInfo?.localRankings}
+                  {asOf || 'Today'}
                 </div>
-                <div className="text-sm text-orange-700 dark:text-orange-300">Local Rankings</div>
+                <div className="text-sm text-orange-700 dark:text-orange-300">As Of</div>
               </div>
               <div>
                 <div className="flex items-center justify-center">
@@ -285,6 +289,10 @@ export default function LocalDishRankingPage() {
               </select>
             </div>
 
+            <AsOfPicker value={asOf} onChange={handleAsOfChange} />
+
+            <TrendWindowPicker value={trendWindow} onChange={setTrendWindow} />
+
             <div className="flex items-center space-x-2">
               <button className="flex items-center px-3 py-1 bg-orange-500 hover:bg-orange-600 text-white rounded text-sm transition-colors">
                 <Heart className="w-4 h-4 mr-1" />
@@ -301,8 +309,17 @@ export default function LocalDishRankingPage() {
 
       {/* Rankings List */}
       <div className="max-w-6xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {error && (
+          <p className="text-center text-red-600 dark:text-red-400 mb-4">{error}</p>
+        )}
+        {!error && rankings.length === 0 && (
+          <p className="text-center text-orange-700 dark:text-orange-300">
+            {asOf ? `No nearby rankings existed for this dish on ${asOf}.` : 'No nearby rankings for this dish yet.'}
+          </p>
+        )}
+
         <div className="space-y-4">
-          {rankings.map((ranking) => (
+          {shownRankings.map((ranking) => (
             <div
               key={ranking.id}
               className="bg-white dark:bg-orange-900 rounded-lg shadow-sm border border-orange-200 dark:border-orange-800 p-6 hover:shadow-md transition-shadow"
@@ -338,28 +355,14 @@ export default function LocalDishRankingPage() {
                         <h3 className="text-lg font-semibold text-orange-900 dark:text-orange-100">
                           {ranking.restaurant}
                         </h3>
-                        <div className={`px-2 py-1 rounded-full text-xs font-medium ${
-                          ranking.isOpen 
-                            ? 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200'
-                            : 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200'
-                        }`}>
-                          {ranking.isOpen ? 'Open' : 'Closed'}
-                        </div>
                       </div>
                       <div className="flex items-center text-orange-600 dark:text-orange-400 text-sm mb-1">
                         <MapPin className="w-4 h-4 mr-1" />
-                        {ranking.address} • {ranking.location}
+                        {ranking.address}
                       </div>
                       <div className="flex items-center text-orange-600 dark:text-orange-400 text-sm mb-2">
                         <Navigation className="w-4 h-4 mr-1" />
                         {ranking.distance} away
-                        {ranking.isOpen && (
-                          <>
-                            <span className="mx-2">•</span>
-                            <Clock className="w-4 h-4 mr-1" />
-                            Open until {ranking.openUntil}
-                          </>
-                        )}
                       </div>
                       <p className="text-orange-700 dark:text-orange-300 text-sm">
                         {ranking.description}
@@ -374,11 +377,13 @@ export default function LocalDishRankingPage() {
                         </span>
                       </div>
                       <p className="text-sm text-orange-600 dark:text-orange-400 mb-2">
-                        {ranking.votes} votes
-                      </p>
-                      <p className="text-lg font-bold text-orange-600 dark:text-orange-400">
-                        ${ranking.price}
+                        {ranking.rankingCount} rankings
                       </p>
+                      {ranking.price != null && (
+                        <p className="text-lg font-bold text-orange-600 dark:text-orange-400">
+                          ${ranking.price}
+                        </p>
+                      )}
                     </div>
                   </div>
                 </div>
@@ -428,7 +433,7 @@ export default function LocalDishRankingPage() {
         {/* Related Local Rankings */}
         <div className="mt-8 bg-white dark:bg-orange-900 rounded-lg shadow-sm border border-orange-200 dark:border-orange-800 p-6">
           <h3 className="text-lg font-semibold text-orange-900 dark:text-orange-100 mb-4">
-            Other Popular Dishes in {locationInfo?.city}
+            Other Popular Dishes Near You
           </h3>
           <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
             <Link
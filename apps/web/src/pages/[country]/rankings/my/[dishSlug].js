@@ -10,11 +10,12 @@ import {
   Trash2,
   Save,
   X,
-  DragHandleDots2Icon,
+  GripVertical,
   ArrowUp,
   ArrowDown,
   User
 } from 'lucide-react'
+import toast from 'react-hot-toast'
 import { useAuth } from '../../../../contexts/AuthContext.js'
 
 export default function MyDishRankingPage() {
@@ -24,119 +25,101 @@ export default function MyDishRankingPage() {
   const [myRanking, setMyRanking] = useState([])
   const [dishInfo, setDishInfo] = useState(null)
   const [isEditing, setIsEditing] = useState(false)
+  const [savedRanking, setSavedRanking] = useState([])
   const [isSaving, setIsSaving] = useState(false)
   const [draggedItem, setDraggedItem] = useState(null)
   const [isLoading, setIsLoading] = useState(true)
 
-  // Mock data for user's personal ranking
+  // Load the user's saved ranking for this dish
   useEffect(() => {
     if (dishSlug && isAuthenticated) {
       const dishName = dishSlug.replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase())
-      
-      const mockDishInfo = {
-        name: dishName,
-        description: `Your personal ranking of ${dishName.toLowerCase()} in ${country}`,
-        totalRanked: 5,
-        lastUpdated: '2024-01-15'
-      }
 
-      const mockRanking = [
-        {
-          id: 1,
-          restaurant: 'The Golden Spoon',
-          location: 'Downtown',
-          rating: 5,
-          price: 28,
-          notes: 'Absolutely perfect! The truffle flavor is incredible and the pasta is cooked to perfection.',
-          visitDate: '2024-01-10',
-          rank: 1,
-          image: '/images/truffle-pasta-1.jpg'
-        },
-        {
-          id: 2,
-          restaurant: 'Casa Italiana',
-          location: 'Little Italy',
-          rating: 4,
-          price: 22,
-          notes: 'Great traditional preparation. Authentic flavors but could use a bit more truffle.',
-          visitDate: '2024-01-05',
-          rank: 2,
-          image: '/images/truffle-pasta-2.jpg'
-        },
-        {
-          id: 3,
-          restaurant: 'Modern Bistro',
-          location: 'Arts District',
-          rating: 4,
-          price: 24,
-          notes: 'Interesting fusion take. Creative presentation but not as traditional as I prefer.',
-          visitDate: '2023-12-20',
-          rank: 3,
-          image: '/images/truffle-pasta-3.jpg'
-        },
-        {
-          id: 4,
-          restaurant: 'Nonna\'s Kitchen',
-          location: 'Suburbs',
-          rating: 3,
-          price: 18,
-          notes: 'Good value for money. Decent taste but nothing special.',
-          visitDate: '2023-12-15',
-          rank: 4,
-          image: '/images/truffle-pasta-4.jpg'
-        },
-        {
-          id: 5,
-          restaurant: 'Fancy Place',
-          location: 'Uptown',
-          rating: 2,
-          price: 35,
-          notes: 'Overpriced and underwhelming. Too much focus on presentation, not enough on taste.',
-          visitDate: '2023-12-10',
-          rank: 5,
-          image: '/images/truffle-pasta-5.jpg'
+      const loadRanking = async () => {
+        try {
+          const response = await fetch(`/api/rankings/my/${dishSlug}?limit=100`, {
+            credentials: 'include'
+          })
+          const result = response.ok ? await response.json() : null
+          const rankings = result?.data?.rankings || []
+
+          const topRankings = rankings
+            .filter(ranking => ranking.rankPosition !== null)
+            .map(ranking => ({
+              id: ranking.id,
+              restaurant: ranking.restaurantName,
+              location: ranking.restaurantAddress,
+              rating: ranking.rating,
+              price: ranking.dishPrice,
+              notes: ranking.notes,
+              visitDate: ranking.createdAt,
+              rank: ranking.rankPosition,
+              image: ranking.photoUrls?.[0] || null
+            }))
+
+          const lastUpdated = rankings.reduce(
+            (latest, ranking) => (!latest || ranking.updatedAt > latest ? ranking.updatedAt : latest),
+            null
+          )
+
+          setDishInfo({
+            name: rankings[0]?.dishName || dishName,
+            description: `Your personal ranking of ${dishName.toLowerCase()} in ${country}`,
+            totalRanked: topRankings.length,
+            lastUpdated
+          })
+          setMyRanking(topRankings)
+          setSavedRanking(topRankings)
+        } catch (error) {
+          console.error('Failed to load ranking:', error)
+        } finally {
+          setIsLoading(false)
         }
-      ]
-
-      // Simulate API call
-      setTimeout(() => {
-        setDishInfo(mockDishInfo)
-        setMyRanking(mockRanking)
-        setIsLoading(false)
-      }, 1000)
+      }
+
+      loadRanking()
     } else if (!isAuthenticated) {
       setIsLoading(false)
     }
   }, [dishSlug, country, isAuthenticated])
 
-  const handleMoveUp = (index) => {
-    if (index > 0) {
-      const newRanking = [...myRanking]
-      const temp = newRanking[index]
-      newRanking[index] = newRanking[index - 1]
-      newRanking[index - 1] = temp
-      
-      // Update ranks
-      newRanking[index].rank = index + 1
-      newRanking[index - 1].rank = index
-      
-      setMyRanking(newRanking)
+  // Move an item to a new index and renumber the ranks
+  const moveItem = (fromIndex, toIndex) => {
+    if (fromIndex === toIndex || toIndex < 0 || toIndex >= myRanking.length) {
+      return
     }
+
+    const newRanking = [...myRanking]
+    const [moved] = newRanking.splice(fromIndex, 1)
+    newRanking.splice(toIndex, 0, moved)
+    setMyRanking(newRanking.map((item, index) => ({ ...item, rank: index + 1 })))
+  }
+
+  const handleMoveUp = (index) => {
+    moveItem(index, index - 1)
   }
 
   const handleMoveDown = (index) => {
-    if (index < myRanking.length - 1) {
-      const newRanking = [...myRanking]
-      const temp = newRanking[index]
-      newRanking[index] = newRanking[index + 1]
-      newRanking[index + 1] = temp
-      
-      // Update ranks
-      newRanking[index].rank = index + 1
-      newRanking[index + 1].rank = index + 2
-      
-      setMyRanking(newRanking)
+    moveItem(index, index + 1)
+  }
+
+  const handleDragStart = (event, index) => {
+    setDraggedItem(index)
+    event.dataTransfer.effectAllowed = 'move'
+  }
+
+  const handleDragOver = (event, index) => {
+    event.preventDefault()
+    if (draggedItem === null || draggedItem === index) {
+      return
     }
+
+    moveItem(draggedItem, index)
+    setDraggedItem(index)
+  }
+
+  const handleDragEnd = () => {
+    setDraggedItem(null)
   }
 
   const handleRemoveItem = (id) => {
@@ -148,19 +131,46 @@ export default function MyDishRankingPage() {
     }
   }
 
+  const handleEdit = () => {
+    setSavedRanking(myRanking)
+    setIsEditing(true)
+  }
+
+  // The new order is shown straight away; if the server refuses it we
+  // fall back to the last saved order
   const handleSave = async () => {
+    const previousRanking = savedRanking
+    const previousInfo = dishInfo
+
     setIsSaving(true)
+    setIsEditing(false)
+    setDishInfo(prev => ({
+      ...prev,
+      totalRanked: myRanking.length,
+      lastUpdated: new Date().toISOString()
+    }))
+
     try {
-      // TODO: Replace with actual API call
-      await new Promise(resolve => setTimeout(resolve, 1000))
-      setIsEditing(false)
-      // Update last updated date
-      setDishInfo(prev => ({
-        ...prev,
-        lastUpdated: new Date().toISOString().split('T')[0]
-      }))
+      const response = await fetch(`/api/rankings/my/${dishSlug}/reorder`, {
+        method: 'PUT',
+        credentials: 'include',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          rankings: myRanking.map(item => ({ id: item.id, rankPosition: item.rank }))
+        })
+      })
+      const result = await response.json().catch(() => null)
+
+      if (!response.ok) {
+        throw new Error(result?.message || 'Failed to save ranking')
+      }
+
+      setSavedRanking(myRanking)
     } catch (error) {
       console.error('Failed to save ranking:', error)
+      setMyRanking(previousRanking)
+      setDishInfo(previousInfo)
+      toast.error(`${error.message}. Your previous order has been restored.`)
     } finally {
       setIsSaving(false)
     }
@@ -168,7 +178,7 @@ export default function MyDishRankingPage() {
 
   const handleCancel = () => {
     setIsEditing(false)
-    // TODO: Revert changes if needed
+    setMyRanking(savedRanking)
   }
 
   if (!isAuthenticated) {
@@ -265,7 +275,8 @@ export default function MyDishRankingPage() {
               {!isEditing ? (
                 <>
                   <button
-                    onClick={() => setIsEditing(true)}
+                    onClick={handleEdit}
+                    disabled={isSaving}
                     className="flex items-center px-4 py-2 bg-orange-500 hover:bg-orange-600 text-white font-medium rounded-lg transition-colors"
                   >
                     <Edit3 className="w-4 h-4 mr-2" />
@@ -311,9 +322,18 @@ export default function MyDishRankingPage() {
             {myRanking.map((item, index) => (
               <div
                 key={item.id}
-                className="bg-white dark:bg-orange-900 rounded-lg shadow-sm border border-orange-200 dark:border-orange-800 p-6"
+                draggable={isEditing}
+                onDragStart={(event) => handleDragStart(event, index)}
+                onDragOver={(event) => handleDragOver(event, index)}
+                onDragEnd={handleDragEnd}
+                className={`bg-white dark:bg-orange-900 rounded-lg shadow-sm border border-orange-200 dark:border-orange-800 p-6 ${
+                  isEditing ? 'cursor-move' : ''
+                } ${draggedItem === index ? 'opacity-50' : ''}`}
               >
                 <div className="flex items-center space-x-6">
+                  {isEditing && (
+                    <GripVertical className="w-5 h-5 flex-shrink-0 text-orange-400" />
+                  )}
                   {/* Rank */}
                   <div className="flex-shrink-0 text-center">
                     <div className={`w-16 h-16 rounded-full flex items-center justify-center ${
@@ -355,12 +375,14 @@ export default function MyDishRankingPage() {
                           <div className="flex items-center">
                             <Star className="w-4 h-4 text-orange-500 fill-current mr-1" />
                             <span className="font-medium text-orange-900 dark:text-orange-100">
-                              {item.rating}/5
+                              {item.rating}/10
                             </span>
                           </div>
-                          <span className="text-orange-600 dark:text-orange-400">
-                            ${item.price}
-                          </span>
+                          {item.price != null && (
+                            <span className="text-orange-600 dark:text-orange-400">
+                              ${item.price}
+                            </span>
+                          )}
                           <span className="text-orange-500 dark:text-orange-400">
                             Visited {new Date(item.visitDate).toLocaleDateString()}
                           </span>
@@ -6,11 +6,11 @@
  * 
  * Features:
  * - Booking list with filtering and search
- * - Booking status management
+ * - Booking lifecycle: confirm, seat, mark no-shows and cancel
  * - Customer communication
- * - Calendar view integration
+ * - Booking settings, tables and blackout days
  * - Booking analytics
- * - Export capabilities
+ * - CSV export
  * 
  * Next.js 15 Compatible:
  * - Uses getStaticPaths and getStaticProps
@@ -33,136 +33,124 @@ import {
   AlertCircle,
   Search,
   Download,
-  Plus
+  UserCheck,
+  UserX,
+  Settings
 } from 'lucide-react'
 import { useAuth } from '../../../contexts/AuthContext.js'
+import BookingSettings from '../../../components/restaurant-management/BookingSettings.js'
+
+// Labels of booking statuses
+const STATUS_LABELS = {
+  pending: 'Pending',
+  confirmed: 'Confirmed',
+  seated: 'Seated',
+  no_show: 'No-show',
+  cancelled: 'Cancelled'
+}
 
 export default function RestaurantBookingsPage({ country }) {
+  const router = useRouter()
   const { isAuthenticated } = useAuth()
+  const [ownership, setOwnership] = useState(null)
   const [bookingsData, setBookingsData] = useState(null)
   const [isLoading, setIsLoading] = useState(true)
   const [searchTerm, setSearchTerm] = useState('')
   const [statusFilter, setStatusFilter] = useState('all')
   const [dateFilter, setDateFilter] = useState('today')
+  const [showSettings, setShowSettings] = useState(false)
+
+  // The managed restaurant: the one in the URL, or else the user's first
+  const restaurant = ownership?.restaurants.find((owned) => owned.id === router.query.restaurantId) ||
+    ownership?.restaurants[0] ||
+    null
+  const restaurantId = restaurant?.id
+  const bookingsUrl = restaurantId ? `/api/restaurants/${encodeURIComponent(restaurantId)}/bookings` : null
+
+  useEffect(() => {
+    const fetchOwnership = async () => {
+      try {
+        const response = await fetch('/api/user/restaurants', { credentials: 'include' })
+        const body = await response.json()
+        if (!response.ok) {
+          throw new Error(body.message || 'Failed to load your restaurants')
+        }
+        setOwnership(body.data)
+      } catch (error) {
+        console.error('Error fetching owned restaurants:', error)
+        setIsLoading(false)
+      }
+    }
+
+    if (isAuthenticated) {
+      fetchOwnership()
+    } else {
+      setIsLoading(false)
+    }
+  }, [isAuthenticated])
 
   useEffect(() => {
     const fetchBookingsData = async () => {
       try {
         setIsLoading(true)
-        // TODO: Replace with actual API call
-        const mockData = {
-          summary: {
-            totalBookings: 45,
-            confirmedBookings: 32,
-            pendingBookings: 8,
-            cancelledBookings: 5,
-            totalGuests: 156,
-            avgPartySize: 3.5
-          },
-          bookings: [
-            {
-              id: 1,
-              customerName: 'Sarah Chen',
-              email: 'sarah.chen@email.com',
-              phone: '+1 (555) 123-4567',
-              date: '2024-01-15',
-              time: '19:30',
-              guests: 2,
-              status: 'confirmed',
-              specialRequests: 'Window table preferred',
-              createdAt: '2024-01-10T10:30:00Z'
-            },
-            {
-              id: 2,
-              customerName: 'Mike Rodriguez',
-              email: 'mike.r@email.com',
-              phone: '+1 (555) 234-5678',
-              date: '2024-01-15',
-              time: '20:00',
-              guests: 4,
-              status: 'pending',
-              specialRequests: 'Birthday celebration - need high chair',
-              createdAt: '2024-01-12T14:15:00Z'
-            },
-            {
-              id: 3,
-              customerName: 'Emily Johnson',
-              email: 'emily.johnson@email.com',
-              phone: '+1 (555) 345-6789',
-              date: '2024-01-15',
-              time: '20:30',
-              guests: 6,
-              status: 'confirmed',
-              specialRequests: 'Vegetarian options needed',
-              createdAt: '2024-01-11T16:45:00Z'
-            },
-            {
-              id: 4,
-              customerName: 'David Kim',
-              email: 'david.kim@email.com',
-              phone: '+1 (555) 456-7890',
-              date: '2024-01-14',
-              time: '18:00',
-              guests: 3,
-              status: 'cancelled',
-              specialRequests: '',
-              createdAt: '2024-01-08T09:20:00Z'
-            },
-            {
-              id: 5,
-              customerName: 'Lisa Wang',
-              email: 'lisa.wang@email.com',
-              phone: '+1 (555) 567-8901',
-              date: '2024-01-16',
-              time: '19:00',
-              guests: 2,
-              status: 'pending',
-              specialRequests: 'Anniversary dinner',
-              createdAt: '2024-01-13T11:30:00Z'
-            }
-          ]
+        const response = await fetch(`${bookingsUrl}?range=${dateFilter}`, { credentials: 'include' })
+        const body = await response.json()
+        if (!response.ok) {
+          throw new Error(body.message || 'Failed to load bookings')
         }
-        
-        setTimeout(() => {
-          setBookingsData(mockData)
-          setIsLoading(false)
-        }, 1000)
+        setBookingsData(body.data)
       } catch (error) {
         console.error('Error fetching bookings data:', error)
+        setBookingsData(null)
+      } finally {
         setIsLoading(false)
       }
     }
 
-    if (isAuthenticated) {
+    if (bookingsUrl) {
       fetchBookingsData()
-    } else {
+    } else if (ownership) {
       setIsLoading(false)
     }
-  }, [isAuthenticated, dateFilter])
+  }, [bookingsUrl, ownership, dateFilter])
 
   const filteredBookings = bookingsData?.bookings.filter(booking => {
-    const matchesSearch = booking.customerName.toLowerCase().includes(searchTerm.toLowerCase()) ||
-                         booking.email.toLowerCase().includes(searchTerm.toLowerCase()) ||
-                         booking.phone.includes(searchTerm)
+    const matchesSearch = booking.guestName.toLowerCase().includes(searchTerm.toLowerCase()) ||
+                         (booking.guestEmail || '').toLowerCase().includes(searchTerm.toLowerCase()) ||
+                         (booking.guestPhone || '').includes(searchTerm)
     const matchesStatus = statusFilter === 'all' || booking.status === statusFilter
     return matchesSearch && matchesStatus
   }) || []
 
   const handleStatusChange = async (bookingId, newStatus) => {
+    let reason = null
+    if (newStatus === 'cancelled') {
+      reason = prompt('Reason for cancelling (optional)')
+      if (reason === null) return
+    }
+
     try {
-      // TODO: Implement actual API call
-      console.log('Updating booking status:', bookingId, newStatus)
-      
+      const response = await fetch(`${bookingsUrl}/${encodeURIComponent(bookingId)}`, {
+        method: 'PATCH',
+        credentials: 'include',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ status: newStatus, reason: reason || null })
+      })
+      const body = await response.json()
+      if (!response.ok) {
+        throw new Error(body.message || 'Failed to update booking status')
+      }
+
       // Update local state
       setBookingsData(prev => ({
         ...prev,
         bookings: prev.bookings.map(booking =>
-          booking.id === bookingId ? { ...booking, status: newStatus } : booking
+          booking.id === bookingId ? body.data : booking
         )
       }))
     } catch (error) {
       console.error('Error updating booking status:', error)
-      alert('Failed to update booking status. Please try again.')
+      alert(error.message || 'Failed to update booking status. Please try again.')
     }
   }
 
@@ -172,6 +160,10 @@ export default function RestaurantBookingsPage({ country }) {
         return 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200'
       case 'pending':
         return 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-200'
+      case 'seated':
+        return 'bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200'
+      case 'no_show':
+        return 'bg-purple-100 text-purple-800 dark:bg-purple-900 dark:text-purple-200'
       case 'cancelled':
         return 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200'
       default:
@@ -185,6 +177,10 @@ export default function RestaurantBookingsPage({ country }) {
         return <Check className="w-4 h-4" />
       case 'pending':
         return <Clock className="w-4 h-4" />
+      case 'seated':
+        return <UserCheck className="w-4 h-4" />
+      case 'no_show':
+        return <UserX className="w-4 h-4" />
       case 'cancelled':
         return <X className="w-4 h-4" />
       default:
@@ -225,6 +221,28 @@ export default function RestaurantBookingsPage({ country }) {
     )
   }
 
+  if (!restaurant) {
+    return (
+      <div className="min-h-screen bg-orange-50 dark:bg-orange-950 flex items-center justify-center">
+        <div className="text-center max-w-md">
+          <Calendar className="w-16 h-16 text-orange-300 mx-auto mb-4" />
+          <h3 className="text-xl font-semibold text-orange-900 dark:text-orange-100 mb-2">
+            No Restaurant Yet
+          </h3>
+          <p className="text-orange-600 dark:text-orange-400 mb-4">
+            Claim your restaurant on Bellyfed to manage its bookings.
+          </p>
+          <Link
+            href={`/${country}/restaurant/dashboard`}
+            className="inline-flex items-center px-4 py-2 bg-orange-500 hover:bg-orange-600 text-white font-medium rounded-lg transition-colors"
+          >
+            Back to Dashboard
+          </Link>
+        </div>
+      </div>
+    )
+  }
+
   if (!bookingsData) {
     return (
       <div className="min-h-screen bg-orange-50 dark:bg-orange-950 flex items-center justify-center">
@@ -244,7 +262,7 @@ export default function RestaurantBookingsPage({ country }) {
           <div className="flex items-center justify-between">
             <div className="flex items-center space-x-4">
               <Link
-                href={`/${country}/restaurant/dashboard`}
+                href={`/${country}/restaurant/dashboard?restaurantId=${encodeURIComponent(restaurantId)}`}
                 className="flex items-center text-orange-600 hover:text-orange-800 dark:text-orange-400 dark:hover:text-orange-200"
               >
                 <ArrowLeft className="w-5 h-5 mr-2" />
@@ -256,20 +274,26 @@ export default function RestaurantBookingsPage({ country }) {
                   Booking Management
                 </h1>
                 <p className="text-orange-600 dark:text-orange-400 mt-1">
-                  Manage customer reservations and bookings
+                  Manage the reservations of {restaurant.name}
                 </p>
               </div>
             </div>
             
             <div className="flex items-center space-x-3">
-              <button className="flex items-center px-4 py-2 bg-orange-100 hover:bg-orange-200 text-orange-700 font-medium rounded-lg transition-colors dark:bg-orange-800 dark:hover:bg-orange-700 dark:text-orange-300">
+              <a
+                href={`${bookingsUrl}?range=${dateFilter}&format=csv`}
+                className="flex items-center px-4 py-2 bg-orange-100 hover:bg-orange-200 text-orange-700 font-medium rounded-lg transition-colors dark:bg-orange-800 dark:hover:bg-orange-700 dark:text-orange-300"
+              >
                 <Download className="w-4 h-4 mr-2" />
                 Export
-              </button>
+              </a>
               
-              <button className="flex items-center px-4 py-2 bg-orange-500 hover:bg-orange-600 text-white font-medium rounded-lg transition-colors">
-                <Plus className="w-4 h-4 mr-2" />
-                Add Booking
+              <button
+                onClick={() => setShowSettings(prev => !prev)}
+                className="flex items-center px-4 py-2 bg-orange-500 hover:bg-orange-600 text-white font-medium rounded-lg transition-colors"
+              >
+                <Settings className="w-4 h-4 mr-2" />
+                Booking Settings
               </button>
             </div>
           </div>
@@ -278,6 +302,12 @@ export default function RestaurantBookingsPage({ country }) {
 
       {/* Content */}
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {showSettings && (
+          <div className="mb-8">
+            <BookingSettings restaurantId={restaurantId} onClose={() => setShowSettings(false)} />
+          </div>
+        )}
+
         {/* Summary Cards */}
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-8">
           <div className="bg-white dark:bg-orange-900 rounded-lg shadow-sm border border-orange-200 dark:border-orange-800 p-6">
@@ -352,9 +382,9 @@ export default function RestaurantBookingsPage({ country }) {
                 className="px-3 py-2 border border-orange-200 rounded-lg bg-white text-orange-700 dark:bg-orange-800 dark:border-orange-700 dark:text-orange-300"
               >
                 <option value="all">All Status</option>
-                <option value="confirmed">Confirmed</option>
-                <option value="pending">Pending</option>
-                <option value="cancelled">Cancelled</option>
+                {Object.entries(STATUS_LABELS).map(([status, label]) => (
+                  <option key={status} value={status}>{label}</option>
+                ))}
               </select>
 
               <select
@@ -364,8 +394,8 @@ export default function RestaurantBookingsPage({ country }) {
               >
                 <option value="today">Today</option>
                 <option value="tomorrow">Tomorrow</option>
-                <option value="week">This Week</option>
-                <option value="month">This Month</option>
+                <option value="week">Next 7 Days</option>
+                <option value="month">Next 30 Days</option>
               </select>
             </div>
           </div>
@@ -380,37 +410,54 @@ export default function RestaurantBookingsPage({ country }) {
                   <div className="flex-1">
                     <div className="flex items-center space-x-4 mb-3">
                       <h3 className="text-lg font-semibold text-orange-900 dark:text-orange-100">
-                        {booking.customerName}
+                        {booking.guestName}
                       </h3>
                       <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${getStatusColor(booking.status)}`}>
                         {getStatusIcon(booking.status)}
-                        <span className="ml-1 capitalize">{booking.status}</span>
+                        <span className="ml-1">{STATUS_LABELS[booking.status]}</span>
                       </span>
                     </div>
 
                     <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 mb-4">
                       <div className="flex items-center text-orange-600 dark:text-orange-400">
                         <Calendar className="w-4 h-4 mr-2" />
-                        <span className="text-sm">{new Date(booking.date).toLocaleDateString()}</span>
+                        <span className="text-sm">{new Date(`${booking.date}T00:00:00`).toLocaleDateString()}</span>
                       </div>
                       <div className="flex items-center text-orange-600 dark:text-orange-400">
                         <Clock className="w-4 h-4 mr-2" />
-                        <span className="text-sm">{booking.time}</span>
+                        <span className="text-sm">
+                          {booking.time}
+                          {booking.tableName && ` · ${booking.tableName}`}
+                        </span>
                       </div>
                       <div className="flex items-center text-orange-600 dark:text-orange-400">
                         <Users className="w-4 h-4 mr-2" />
-                        <span className="text-sm">{booking.guests} guests</span>
+                        <span className="text-sm">{booking.partySize} guests</span>
                       </div>
                       <div className="flex items-center text-orange-600 dark:text-orange-400">
                         <Phone className="w-4 h-4 mr-2" />
-                        <span className="text-sm">{booking.phone}</span>
+                        <span className="text-sm">{booking.guestPhone || '—'}</span>
                       </div>
                     </div>
 
-                    <div className="flex items-center text-orange-600 dark:text-orange-400 mb-3">
-                      <Mail className="w-4 h-4 mr-2" />
-                      <span className="text-sm">{booking.email}</span>
-                    </div>
+                    {booking.guestEmail && (
+                      <div className="flex items-center text-orange-600 dark:text-orange-400 mb-3">
+                        <Mail className="w-4 h-4 mr-2" />
+                        <span className="text-sm">{booking.guestEmail}</span>
+                      </div>
+                    )}
+
+                    {(booking.occasion || booking.seatingPreference || booking.dietaryRequirements.length > 0) && (
+                      <p className="text-sm text-orange-600 dark:text-orange-400 mb-3">
+                        {[booking.occasion, booking.seatingPreference, ...booking.dietaryRequirements].filter(Boolean).join(' · ')}
+                      </p>
+                    )}
+
+                    {booking.status === 'cancelled' && booking.cancellationReason && (
+                      <p className="text-sm text-red-600 dark:text-red-400 mb-3">
+                        Cancelled by {booking.cancelledBy}: {booking.cancellationReason}
+                      </p>
+                    )}
 
                     {booking.specialRequests && (
                       <div className="bg-orange-50 dark:bg-orange-800 rounded-lg p-3 mb-4">
@@ -442,30 +489,52 @@ export default function RestaurantBookingsPage({ country }) {
                     )}
 
                     {booking.status === 'confirmed' && (
-                      <button
-                        onClick={() => handleStatusChange(booking.id, 'cancelled')}
-                        className="flex items-center px-3 py-1 text-sm bg-red-100 hover:bg-red-200 text-red-700 rounded transition-colors dark:bg-red-900 dark:hover:bg-red-800 dark:text-red-300"
+                      <>
+                        <button
+                          onClick={() => handleStatusChange(booking.id, 'seated')}
+                          className="flex items-center px-3 py-1 text-sm bg-blue-100 hover:bg-blue-200 text-blue-700 rounded transition-colors dark:bg-blue-900 dark:hover:bg-blue-800 dark:text-blue-300"
+                        >
+                          <UserCheck className="w-3 h-3 mr-1" />
+                          Seat
+                        </button>
+                        {new Date(booking.startsAt) <= new Date() && (
+                          <button
+                            onClick={() => handleStatusChange(booking.id, 'no_show')}
+                            className="flex items-center px-3 py-1 text-sm bg-purple-100 hover:bg-purple-200 text-purple-700 rounded transition-colors dark:bg-purple-900 dark:hover:bg-purple-800 dark:text-purple-300"
+                          >
+                            <UserX className="w-3 h-3 mr-1" />
+                            No-show
+                          </button>
+                        )}
+                        <button
+                          onClick={() => handleStatusChange(booking.id, 'cancelled')}
+                          className="flex items-center px-3 py-1 text-sm bg-red-100 hover:bg-red-200 text-red-700 rounded transition-colors dark:bg-red-900 dark:hover:bg-red-800 dark:text-red-300"
+                        >
+                          <X className="w-3 h-3 mr-1" />
+                          Cancel
+                        </button>
+                      </>
+                    )}
+
+                    {booking.guestPhone && (
+                      <a
+                        href={`tel:${booking.guestPhone}`}
+                        className="flex items-center px-3 py-1 text-sm bg-orange-100 hover:bg-orange-200 text-orange-700 rounded transition-colors dark:bg-orange-800 dark:hover:bg-orange-700 dark:text-orange-300"
                       >
-                        <X className="w-3 h-3 mr-1" />
-                        Cancel
-                      </button>
+                        <Phone className="w-3 h-3 mr-1" />
+                        Call
+                      </a>
                     )}
 
-                    <a
-                      href={`tel:${booking.phone}`}
-                      className="flex items-center px-3 py-1 text-sm bg-orange-100 hover:bg-orange-200 text-orange-700 rounded transition-colors dark:bg-orange-800 dark:hover:bg-orange-700 dark:text-orange-300"
-                    >
-                      <Phone className="w-3 h-3 mr-1" />
-                      Call
-                    </a>
-
-                    <a
-                      href={`mailto:${booking.email}`}
-                      className="flex items-center px-3 py-1 text-sm bg-orange-100 hover:bg-orange-200 text-orange-700 rounded transition-colors dark:bg-orange-800 dark:hover:bg-orange-700 dark:text-orange-300"
-                    >
-                      <Mail className="w-3 h-3 mr-1" />
-                      Email
-                    </a>
+                    {booking.guestEmail && (
+                      <a
+                        href={`mailto:${booking.guestEmail}`}
+                        className="flex items-center px-3 py-1 text-sm bg-orange-100 hover:bg-orange-200 text-orange-700 rounded transition-colors dark:bg-orange-800 dark:hover:bg-orange-700 dark:text-orange-300"
+                      >
+                        <Mail className="w-3 h-3 mr-1" />
+                        Email
+                      </a>
+                    )}
                   </div>
                 </div>
               </div>
@@ -35,13 +35,39 @@ import {
 import { useAuth } from '../../../contexts/AuthContext.js'
 
 export default function RestaurantDashboard({ country }) {
+  const router = useRouter()
   const { isAuthenticated } = useAuth()
+  const [ownership, setOwnership] = useState(null)
   const [dashboardData, setDashboardData] = useState(null)
   const [isLoading, setIsLoading] = useState(true)
   const [timeRange, setTimeRange] = useState('7d')
 
-  // Mock restaurant ID - in real app, this would come from user's restaurant ownership
-  const restaurantId = '1'
+  // The managed restaurant: the one in the URL, or else the user's first
+  const restaurant = ownership?.restaurants.find((owned) => owned.id === router.query.restaurantId) ||
+    ownership?.restaurants[0] ||
+    null
+  const restaurantId = restaurant?.id
+  const restaurantName = restaurant?.name
+
+  useEffect(() => {
+    const fetchOwnership = async () => {
+      try {
+        const response = await fetch('/api/user/restaurants', { credentials: 'include' })
+        const body = await response.json()
+        if (!response.ok) {
+          throw new Error(body.message || 'Failed to load your restaurants')
+        }
+        setOwnership(body.data)
+      } catch (error) {
+        console.error('Error fetching owned restaurants:', error)
+        setIsLoading(false)
+      }
+    }
+
+    if (isAuthenticated) {
+      fetchOwnership()
+    }
+  }, [isAuthenticated])
 
   useEffect(() => {
     const fetchDashboardData = async () => {
@@ -51,7 +77,7 @@ export default function RestaurantDashboard({ country }) {
         const mockData = {
           restaurant: {
             id: restaurantId,
-            name: 'The Golden Spoon',
+            name: restaurantName,
             status: 'active',
             verified: true
           },
@@ -95,12 +121,12 @@ export default function RestaurantDashboard({ country }) {
       }
     }
 
-    if (isAuthenticated) {
+    if (isAuthenticated && restaurantId) {
       fetchDashboardData()
-    } else {
+    } else if (!isAuthenticated || ownership) {
       setIsLoading(false)
     }
-  }, [isAuthenticated, timeRange])
+  }, [isAuthenticated, ownership, restaurantId, restaurantName, timeRange])
 
   const formatCurrency = (amount) => {
     return new Intl.NumberFormat('en-US', {
@@ -154,6 +180,32 @@ export default function RestaurantDashboard({ country }) {
     )
   }
 
+  if (ownership && !restaurant) {
+    return (
+      <div className="min-h-screen bg-orange-50 dark:bg-orange-950 flex items-center justify-center">
+        <div className="text-center max-w-md">
+          <BarChart3 className="w-16 h-16 text-orange-300 mx-auto mb-4" />
+          <h3 className="text-xl font-semibold text-orange-900 dark:text-orange-100 mb-2">
+            No Restaurant Yet
+          </h3>
+          <p className="text-orange-600 dark:text-orange-400 mb-4">
+            {ownership.claims.length > 0
+              ? `Your claim to ${ownership.claims.map((claim) => claim.restaurantName).join(', ')} is in progress. You can manage it here once it is approved.`
+              : 'Find your restaurant on Bellyfed and claim it to manage its listing.'}
+          </p>
+          <Link
+            href={ownership.claims.length > 0
+              ? `/${country}/restaurants/${ownership.claims[0].restaurantId}/claim`
+              : `/${country}/restaurants`}
+            className="inline-flex items-center px-4 py-2 bg-orange-500 hover:bg-orange-600 text-white font-medium rounded-lg transition-colors"
+          >
+            {ownership.claims.length > 0 ? 'View Claim' : 'Find Your Restaurant'}
+          </Link>
+        </div>
+      </div>
+    )
+  }
+
   if (!dashboardData) {
     return (
       <div className="min-h-screen bg-orange-50 dark:bg-orange-950 flex items-center justify-center">
@@ -267,7 +319,7 @@ export default function RestaurantDashboard({ country }) {
           </h3>
           <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
             <Link
-              href={`/${country}/restaurant/menu/add`}
+              href={`/${country}/restaurant/menu/add?restaurantId=${encodeURIComponent(restaurantId)}`}
               className="flex items-center justify-center p-4 bg-orange-50 hover:bg-orange-100 dark:bg-orange-800 dark:hover:bg-orange-700 rounded-lg transition-colors"
             >
               <Plus className="w-5 h-5 text-orange-600 dark:text-orange-400 mr-2" />
@@ -372,7 +424,7 @@ export default function RestaurantDashboard({ country }) {
               Popular Dishes
             </h3>
             <Link
-              href={`/${country}/restaurant/menu`}
+              href={`/${country}/restaurant/menu?restaurantId=${encodeURIComponent(restaurantId)}`}
               className="text-orange-600 hover:text-orange-800 dark:text-orange-400 dark:hover:text-orange-200 text-sm font-medium"
             >
               Manage menu →
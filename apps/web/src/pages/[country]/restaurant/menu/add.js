@@ -1,11 +1,12 @@
 /**
  * Add Menu Item Page
  * 
- * Form page for restaurant owners to add new menu items.
+ * Form page for restaurant owners to add new menu items, or to edit one
+ * when an itemId is given in the URL.
  * Provides comprehensive form with validation and image upload.
  * 
  * Features:
- * - Menu item creation form
+ * - Menu item creation and editing form
  * - Image upload and preview
  * - Category selection
  * - Dietary information and allergens
@@ -18,25 +19,70 @@
  * - JavaScript (.js) file
  */
 
-import { useState } from 'react'
+import { useState, useEffect } from 'react'
 import { useRouter } from 'next/router'
 import Link from 'next/link'
 import Image from 'next/image'
 import { ArrowLeft, Save, Upload, X } from 'lucide-react'
 import { useAuth } from '../../../../contexts/AuthContext.js'
 
+/**
+ * Upload an image and add it to the restaurant's photos as the dish's photo
+ * @param {string} restaurantId The restaurant ID
+ * @param {string} dishId The dish the menu item is linked to
+ * @param {File} file The image
+ * @returns {Promise<void>}
+ */
+const uploadDishPhoto = async (restaurantId, dishId, file) => {
+  const response = await fetch('/api/upload/ranking-photo', {
+    method: 'POST',
+    credentials: 'include',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ contentType: file.type })
+  })
+  const body = await response.json()
+  if (!response.ok) {
+    throw new Error(body.message || 'Failed to upload image')
+  }
+
+  const upload = await fetch(body.data.uploadUrl, {
+    method: 'PUT',
+    headers: { 'Content-Type': file.type },
+    body: file
+  })
+  if (!upload.ok) {
+    throw new Error('Failed to upload image')
+  }
+
+  const photo = await fetch(`/api/restaurants/${encodeURIComponent(restaurantId)}/photos`, {
+    method: 'POST',
+    credentials: 'include',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ photoUrl: body.data.photoUrl, dishId })
+  })
+  if (!photo.ok) {
+    throw new Error('Failed to save image')
+  }
+}
+
 export default function AddMenuItemPage({ country }) {
   const router = useRouter()
   const { isAuthenticated } = useAuth()
   const [isLoading, setIsLoading] = useState(false)
   const [imagePreview, setImagePreview] = useState(null)
+  const [menu, setMenu] = useState(null)
+  const [loadError, setLoadError] = useState(null)
+
+  const { restaurantId, itemId } = router.query
+  const menuUrl = `/api/restaurants/${encodeURIComponent(restaurantId)}/menu`
+  const menuPageHref = `/${country}/restaurant/menu?restaurantId=${encodeURIComponent(restaurantId)}`
 
   // Form state
   const [formData, setFormData] = useState({
     name: '',
     description: '',
     price: '',
-    category: '',
+    categoryId: '',
     preparationTime: '',
     isAvailable: true,
     isSpecial: false,
@@ -45,17 +91,48 @@ export default function AddMenuItemPage({ country }) {
     image: null
   })
 
-  // Options
-  const categories = [
-    'Appetizers',
-    'Main Courses',
-    'Desserts',
-    'Beverages',
-    'Salads',
-    'Soups',
-    'Sides'
-  ]
+  // Load the categories and currency, and the item being edited
+  useEffect(() => {
+    const fetchMenu = async () => {
+      try {
+        const response = await fetch(menuUrl, { credentials: 'include' })
+        const body = await response.json()
+        if (!response.ok) {
+          throw new Error(body.message || 'Failed to load menu')
+        }
+        setMenu(body.data)
+
+        if (itemId) {
+          const item = body.data.items.find(menuItem => menuItem.id === itemId)
+          if (!item) {
+            throw new Error('Menu item not found')
+          }
+          setFormData(prev => ({
+            ...prev,
+            name: item.name,
+            description: item.description || '',
+            price: item.price.toFixed(2),
+            categoryId: item.categoryId || '',
+            preparationTime: item.preparationTime || '',
+            isAvailable: item.isAvailable,
+            isSpecial: item.isSpecial,
+            allergens: item.allergens,
+            dietaryInfo: item.dietaryInfo
+          }))
+          setImagePreview(item.imageUrl)
+        }
+      } catch (error) {
+        console.error('Error fetching menu:', error)
+        setLoadError(error.message || 'Failed to load menu')
+      }
+    }
+
+    if (isAuthenticated && restaurantId) {
+      fetchMenu()
+    }
+  }, [isAuthenticated, restaurantId, itemId, menuUrl])
 
+  // Options
   const dietaryOptions = [
     { id: 'vegetarian', label: 'Vegetarian', icon: '🥬' },
     { id: 'vegan', label: 'Vegan', icon: '🌱' },
@@ -107,25 +184,44 @@ export default function AddMenuItemPage({ country }) {
   const handleSubmit = async (e) => {
     e.preventDefault()
     
-    if (!formData.name || !formData.price || !formData.category) {
+    if (!formData.name || !formData.price) {
       alert('Please fill in all required fields.')
       return
     }
 
     try {
       setIsLoading(true)
-      
-      // TODO: Implement actual API call
-      console.log('Creating menu item:', formData)
-      
-      // Simulate API call
-      await new Promise(resolve => setTimeout(resolve, 2000))
-      
+
+      const response = await fetch(itemId ? `${menuUrl}/items/${encodeURIComponent(itemId)}` : `${menuUrl}/items`, {
+        method: itemId ? 'PATCH' : 'POST',
+        credentials: 'include',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          name: formData.name,
+          description: formData.description || null,
+          price: Number(formData.price),
+          categoryId: formData.categoryId || null,
+          preparationTime: formData.preparationTime || null,
+          isAvailable: formData.isAvailable,
+          isSpecial: formData.isSpecial,
+          allergens: formData.allergens,
+          dietaryInfo: formData.dietaryInfo
+        })
+      })
+      const body = await response.json()
+      if (!response.ok) {
+        throw new Error(body.message || 'Failed to save menu item')
+      }
+
+      if (formData.image) {
+        await uploadDishPhoto(restaurantId, body.data.dishId, formData.image)
+      }
+
       // Redirect to menu management
-      router.push(`/${country}/restaurant/menu`)
+      router.push(menuPageHref)
     } catch (error) {
-      console.error('Error creating menu item:', error)
-      alert('Failed to create menu item. Please try again.')
+      console.error('Error saving menu item:', error)
+      alert(`${error.message || 'Failed to save menu item'}. Please try again.`)
     } finally {
       setIsLoading(false)
     }
@@ -152,6 +248,35 @@ export default function AddMenuItemPage({ country }) {
     )
   }
 
+  if (router.isReady && !restaurantId) {
+    router.replace(`/${country}/restaurant/menu`)
+    return null
+  }
+
+  if (loadError) {
+    return (
+      <div className="min-h-screen bg-orange-50 dark:bg-orange-950 flex items-center justify-center">
+        <div className="text-center">
+          <p className="text-orange-600 dark:text-orange-400 mb-4">{loadError}</p>
+          <Link
+            href={menuPageHref}
+            className="inline-flex items-center px-4 py-2 bg-orange-500 hover:bg-orange-600 text-white font-medium rounded-lg transition-colors"
+          >
+            Back to Menu
+          </Link>
+        </div>
+      </div>
+    )
+  }
+
+  if (!menu) {
+    return (
+      <div className="min-h-screen bg-orange-50 dark:bg-orange-950 flex items-center justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-orange-500"></div>
+      </div>
+    )
+  }
+
   return (
     <div className="min-h-screen bg-orange-50 dark:bg-orange-950">
       {/* Header */}
@@ -160,7 +285,7 @@ export default function AddMenuItemPage({ country }) {
           <div className="flex items-center justify-between">
             <div className="flex items-center space-x-4">
               <Link
-                href={`/${country}/restaurant/menu`}
+                href={menuPageHref}
                 className="flex items-center text-orange-600 hover:text-orange-800 dark:text-orange-400 dark:hover:text-orange-200"
               >
                 <ArrowLeft className="w-5 h-5 mr-2" />
@@ -169,10 +294,10 @@ export default function AddMenuItemPage({ country }) {
               <div className="h-6 w-px bg-orange-200 dark:bg-orange-700"></div>
               <div>
                 <h1 className="text-3xl font-bold text-orange-900 dark:text-orange-100">
-                  Add Menu Item
+                  {itemId ? 'Edit Menu Item' : 'Add Menu Item'}
                 </h1>
                 <p className="text-orange-600 dark:text-orange-400 mt-1">
-                  Create a new item for your restaurant menu
+                  {itemId ? `Update an item on the menu of ${menu.restaurant.name}` : `Create a new item for the menu of ${menu.restaurant.name}`}
                 </p>
               </div>
             </div>
@@ -210,7 +335,7 @@ export default function AddMenuItemPage({ country }) {
                   Price *
                 </label>
                 <div className="relative">
-                  <span className="absolute left-3 top-1/2 transform -translate-y-1/2 text-orange-500">$</span>
+                  <span className="absolute left-3 top-1/2 transform -translate-y-1/2 text-orange-500">{menu.restaurant.currency}</span>
                   <input
                     type="number"
                     name="price"
@@ -218,7 +343,7 @@ export default function AddMenuItemPage({ country }) {
                     onChange={handleInputChange}
                     step="0.01"
                     min="0"
-                    className="w-full pl-8 pr-3 py-2 border border-orange-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-orange-500 dark:bg-orange-800 dark:border-orange-700 dark:text-orange-100"
+                    className="w-full pl-14 pr-3 py-2 border border-orange-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-orange-500 dark:bg-orange-800 dark:border-orange-700 dark:text-orange-100"
                     placeholder="0.00"
                     required
                   />
@@ -243,19 +368,18 @@ export default function AddMenuItemPage({ country }) {
             <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mt-6">
               <div>
                 <label className="block text-sm font-medium text-orange-700 dark:text-orange-300 mb-2">
-                  Category *
+                  Category
                 </label>
                 <select
-                  name="category"
-                  value={formData.category}
+                  name="categoryId"
+                  value={formData.categoryId}
                   onChange={handleInputChange}
                   className="w-full px-3 py-2 border border-orange-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-orange-500 dark:bg-orange-800 dark:border-orange-700 dark:text-orange-100"
-                  required
                 >
-                  <option value="">Select Category</option>
-                  {categories.map(category => (
-                    <option key={category} value={category}>
-                      {category}
+                  <option value="">No Category</option>
+                  {menu.categories.map(category => (
+                    <option key={category.id} value={category.id}>
+                      {category.name}
                     </option>
                   ))}
                 </select>
@@ -290,6 +414,7 @@ export default function AddMenuItemPage({ country }) {
                   alt="Preview"
                   width={192}
                   height={192}
+                  unoptimized
                   className="w-48 h-48 object-cover rounded-lg"
                 />
                 <button
@@ -422,7 +547,7 @@ export default function AddMenuItemPage({ country }) {
           {/* Form Actions */}
           <div className="flex items-center justify-end space-x-4">
             <Link
-              href={`/${country}/restaurant/menu`}
+              href={menuPageHref}
               className="px-6 py-2 border border-orange-300 text-orange-700 font-medium rounded-lg hover:bg-orange-50 transition-colors dark:border-orange-600 dark:text-orange-300 dark:hover:bg-orange-800"
             >
               Cancel
@@ -435,12 +560,12 @@ export default function AddMenuItemPage({ country }) {
               {isLoading ? (
                 <>
                   <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2"></div>
-                  Creating...
+                  {itemId ? 'Saving...' : 'Creating...'}
                 </>
               ) : (
                 <>
                   <Save className="w-4 h-4 mr-2" />
-                  Create Menu Item
+                  {itemId ? 'Save Changes' : 'Create Menu Item'}
                 </>
               )}
             </button>
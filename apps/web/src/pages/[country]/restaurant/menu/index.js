@@ -10,6 +10,7 @@
  * - Search and filtering capabilities
  * - Bulk operations
  * - Category management
+ * - CSV import and export
  * - Quick actions
  * 
  * Next.js 15 Compatible:
@@ -24,17 +25,38 @@ import Link from 'next/link'
 import { ArrowLeft, Plus, BarChart3 } from 'lucide-react'
 import { useAuth } from '../../../../contexts/AuthContext.js'
 import MenuManagement from '../../../../components/restaurant-management/MenuManagement.js'
+import ScheduledMenus from '../../../../components/restaurant-management/ScheduledMenus.js'
 
 export default function RestaurantMenuPage({ country }) {
+  const router = useRouter()
   const { isAuthenticated } = useAuth()
+  const [ownership, setOwnership] = useState(null)
   const [isLoading, setIsLoading] = useState(true)
 
-  // Mock restaurant ID - in real app, this would come from user's restaurant ownership
-  const restaurantId = '1'
+  // The managed restaurant: the one in the URL, or else the user's first
+  const restaurant = ownership?.restaurants.find((owned) => owned.id === router.query.restaurantId) ||
+    ownership?.restaurants[0] ||
+    null
+  const restaurantId = restaurant?.id
 
   useEffect(() => {
+    const fetchOwnership = async () => {
+      try {
+        const response = await fetch('/api/user/restaurants', { credentials: 'include' })
+        const body = await response.json()
+        if (!response.ok) {
+          throw new Error(body.message || 'Failed to load your restaurants')
+        }
+        setOwnership(body.data)
+      } catch (error) {
+        console.error('Error fetching owned restaurants:', error)
+      } finally {
+        setIsLoading(false)
+      }
+    }
+
     if (isAuthenticated) {
-      setIsLoading(false)
+      fetchOwnership()
     } else {
       setIsLoading(false)
     }
@@ -73,6 +95,28 @@ export default function RestaurantMenuPage({ country }) {
     )
   }
 
+  if (!restaurant) {
+    return (
+      <div className="min-h-screen bg-orange-50 dark:bg-orange-950 flex items-center justify-center">
+        <div className="text-center max-w-md">
+          <BarChart3 className="w-16 h-16 text-orange-300 mx-auto mb-4" />
+          <h3 className="text-xl font-semibold text-orange-900 dark:text-orange-100 mb-2">
+            No Restaurant Yet
+          </h3>
+          <p className="text-orange-600 dark:text-orange-400 mb-4">
+            Claim your restaurant on Bellyfed to manage its menu.
+          </p>
+          <Link
+            href={`/${country}/restaurant/dashboard`}
+            className="inline-flex items-center px-4 py-2 bg-orange-500 hover:bg-orange-600 text-white font-medium rounded-lg transition-colors"
+          >
+            Back to Dashboard
+          </Link>
+        </div>
+      </div>
+    )
+  }
+
   return (
     <div className="min-h-screen bg-orange-50 dark:bg-orange-950">
       {/* Header */}
@@ -81,7 +125,7 @@ export default function RestaurantMenuPage({ country }) {
           <div className="flex items-center justify-between">
             <div className="flex items-center space-x-4">
               <Link
-                href={`/${country}/restaurant/dashboard`}
+                href={`/${country}/restaurant/dashboard?restaurantId=${encodeURIComponent(restaurantId)}`}
                 className="flex items-center text-orange-600 hover:text-orange-800 dark:text-orange-400 dark:hover:text-orange-200"
               >
                 <ArrowLeft className="w-5 h-5 mr-2" />
@@ -93,7 +137,7 @@ export default function RestaurantMenuPage({ country }) {
                   Menu Management
                 </h1>
                 <p className="text-orange-600 dark:text-orange-400 mt-1">
-                  Manage your restaurant&apos;s menu items and categories
+                  Manage the menu items and categories of {restaurant.name}
                 </p>
               </div>
             </div>
@@ -108,7 +152,7 @@ export default function RestaurantMenuPage({ country }) {
               </Link>
               
               <Link
-                href={`/${country}/restaurant/menu/add`}
+                href={`/${country}/restaurant/menu/add?restaurantId=${encodeURIComponent(restaurantId)}`}
                 className="flex items-center px-4 py-2 bg-orange-500 hover:bg-orange-600 text-white font-medium rounded-lg transition-colors"
               >
                 <Plus className="w-4 h-4 mr-2" />
@@ -122,6 +166,9 @@ export default function RestaurantMenuPage({ country }) {
       {/* Content */}
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
         <MenuManagement restaurantId={restaurantId} country={country} />
+        <div className="mt-10">
+          <ScheduledMenus restaurantId={restaurantId} />
+        </div>
       </div>
     </div>
   )
@@ -1,5 +1,6 @@
 import React, { useCallback } from 'react';
 import { useRouter } from 'next/router';
+import Link from 'next/link';
 import { useQuery } from '@tanstack/react-query';
 import { Loader2 } from 'lucide-react';
 import Layout from '../../../components/layout/Layout.js';
@@ -134,6 +135,17 @@ export default function RestaurantDetailPage() {
               currentRestaurantId={restaurant.id}
               getCountryLink={getCountryLink}
             />
+
+            {/* Ownership Claim */}
+            <p className="mt-6 text-sm text-gray-600 dark:text-gray-400">
+              Own this restaurant?{' '}
+              <Link
+                href={getCountryLink(`/restaurants/${id}/claim`)}
+                className="text-orange-600 hover:underline"
+              >
+                Claim it
+              </Link>
+            </p>
           </div>
         </div>
       </div>
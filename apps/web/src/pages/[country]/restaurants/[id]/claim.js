@@ -0,0 +1,41 @@
+import React from 'react';
+import { useRouter } from 'next/router';
+import Layout from '../../../../components/layout/Layout.js';
+import RestaurantClaim from '../../../../components/restaurant/RestaurantClaim.js';
+import { useAuth } from '../../../../contexts/AuthContext.js';
+
+/**
+ * ClaimRestaurantPage component for claiming a restaurant as its owner
+ *
+ * @returns {JSX.Element} - Rendered component
+ */
+export default function ClaimRestaurantPage() {
+  const router = useRouter();
+  const { id } = router.query;
+  const { isAuthenticated } = useAuth();
+
+  return (
+    <Layout
+      title="Claim Your Restaurant"
+      description="Verify that you run this restaurant to manage its Bellyfed listing"
+    >
+      <div className="container mx-auto max-w-2xl px-4 py-8">
+        {!isAuthenticated ? (
+          <div className="text-center">
+            <p className="text-gray-700 dark:text-gray-300 mb-4">
+              Sign in to claim this restaurant.
+            </p>
+            <button
+              onClick={() => router.push(`/signin?redirect=${encodeURIComponent(router.asPath)}`)}
+              className="px-4 py-2 bg-orange-500 text-white rounded-md hover:bg-orange-600 transition-colors"
+            >
+              Sign In
+            </button>
+          </div>
+        ) : (
+          typeof id === 'string' && <RestaurantClaim restaurantId={id} />
+        )}
+      </div>
+    </Layout>
+  );
+}
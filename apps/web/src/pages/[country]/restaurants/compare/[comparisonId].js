@@ -0,0 +1,28 @@
+import React from 'react';
+import { useRouter } from 'next/router';
+import Layout from '../../../../components/layout/Layout.js';
+import RestaurantComparison from '../../../../components/restaurant/RestaurantComparison.js';
+
+/**
+ * SavedComparisonPage component for showing a shared restaurant comparison
+ * by its short ID
+ *
+ * @returns {JSX.Element} - Rendered component
+ */
+export default function SavedComparisonPage() {
+  const router = useRouter();
+  const { comparisonId } = router.query;
+
+  return (
+    <Layout
+      title="Restaurant Comparison"
+      description="A restaurant comparison shared on Bellyfed"
+    >
+      <div className="container mx-auto px-4 py-8">
+        {typeof comparisonId === 'string' && (
+          <RestaurantComparison comparisonId={comparisonId} />
+        )}
+      </div>
+    </Layout>
+  );
+}
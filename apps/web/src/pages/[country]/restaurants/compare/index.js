@@ -0,0 +1,29 @@
+import React from 'react';
+import { useRouter } from 'next/router';
+import Layout from '../../../../components/layout/Layout.js';
+import RestaurantComparison from '../../../../components/restaurant/RestaurantComparison.js';
+
+/**
+ * RestaurantComparePage component for comparing the restaurants listed in
+ * the URL, e.g. /my/restaurants/compare?ids=a,b,c
+ *
+ * @returns {JSX.Element} - Rendered component
+ */
+export default function RestaurantComparePage() {
+  const router = useRouter();
+  const { ids } = router.query;
+  const restaurantIds = typeof ids === 'string' ? ids.split(',').filter(Boolean) : [];
+
+  return (
+    <Layout
+      title="Compare Restaurants"
+      description="Compare restaurants side by side on ratings, leaderboard positions, price and hours"
+    >
+      <div className="container mx-auto px-4 py-8">
+        {router.isReady && (
+          <RestaurantComparison restaurantIds={restaurantIds} />
+        )}
+      </div>
+    </Layout>
+  );
+}
@@ -0,0 +1,66 @@
+/**
+ * API Route: Send Booking Reminders (Admin)
+ *
+ * This API route sends the booking reminders that are due, 24 hours and 2
+ * hours before confirmed bookings, through the notification system. A
+ * scheduler calls it every few minutes as an admin; reminders that can't
+ * be sent are tried again on the next call.
+ */
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import { bookingNotificationService } from '../../../../services/bookingNotificationService.js';
+import { getServerSession } from 'next-auth/next';
+
+/**
+ * Handler for admin send booking reminders API endpoint
+ *
+ * @param {NextApiRequest} req - The request object
+ * @param {NextApiResponse} res - The response object
+ */
+export default async function handler(req, res) {
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      error: 'Method not allowed',
+      message: 'Only POST requests are supported'
+    });
+  }
+
+  try {
+    // Get user session for authentication
+    const session = await getServerSession(req, res);
+
+    if (!session || !session.user) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Authentication required'
+      });
+    }
+
+    // Check if user has admin privileges
+    if (!session.user.isAdmin) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Admin privileges required to send booking reminders'
+      });
+    }
+
+    const results = await bookingNotificationService.sendDueReminders();
+
+    // Return success response
+    res.status(200).json({
+      success: true,
+      data: results,
+      message: `Sent ${results.sent} booking reminders`
+    });
+
+  } catch (error) {
+    console.error('Error sending booking reminders:', error);
+
+    // Handle general errors
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to send booking reminders'
+    });
+  }
+}
@@ -0,0 +1,130 @@
+/**
+ * API Route: Admin Ranking Config
+ *
+ * This API route lets administrators view and publish the leaderboard
+ * algorithm parameters of a country. Publishing creates a new version and
+ * rebuilds the leaderboards that include the country's restaurants.
+ */
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import {
+  rankingConfigService,
+  validateAlgorithmParams
+} from '../../../../services/rankingConfigService.js';
+import { rankingService } from '../../../../services/rankingService.js';
+import { getServerSession } from 'next-auth/next';
+
+/**
+ * Handler for admin ranking config API endpoint
+ *
+ * @param {NextApiRequest} req - The request object
+ * @param {NextApiResponse} res - The response object
+ */
+export default async function handler(req, res) {
+  // Only allow GET and POST requests
+  if (!['GET', 'POST'].includes(req.method)) {
+    return res.status(405).json({
+      error: 'Method not allowed',
+      message: 'Only GET and POST requests are supported'
+    });
+  }
+
+  try {
+    // Get user session for authentication
+    const session = await getServerSession(req, res);
+
+    if (!session || !session.user) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Authentication required'
+      });
+    }
+
+    // Check if user has admin privileges
+    if (!session.user.isAdmin) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Admin privileges required to manage ranking settings'
+      });
+    }
+
+    const { countryCode } = req.method === 'GET' ? req.query : req.body;
+
+    // Validate country code
+    if (!countryCode || typeof countryCode !== 'string' || !/^[A-Za-z]{2}$/.test(countryCode)) {
+      return res.status(400).json({
+        error: 'Invalid country code',
+        message: 'Country code is required and must be a two-letter code'
+      });
+    }
+
+    const country = countryCode.toUpperCase();
+
+    if (req.method === 'GET') {
+      const versions = await rankingConfigService.listConfigVersions(country);
+      const active = versions.find((version) => version.isActive) || null;
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          countryCode: country,
+          activeVersion: active ? active.version : null,
+          params: active
+            ? {
+                exponent: active.exponent,
+                interactionWeights: active.interactionWeights,
+                priorWeight: active.priorWeight
+              }
+            : rankingService.getAlgorithmParams(country),
+          versions
+        }
+      });
+    }
+
+    const { exponent, interactionWeights, priorWeight, note } = req.body;
+
+    // Validate parameters
+    const invalid = validateAlgorithmParams({ exponent, interactionWeights, priorWeight });
+    if (invalid) {
+      return res.status(400).json({
+        error: invalid.error,
+        message: invalid.message
+      });
+    }
+
+    // Validate note
+    if (note && (typeof note !== 'string' || note.length > 500)) {
+      return res.status(400).json({
+        error: 'Invalid note',
+        message: 'Note must be a string with maximum 500 characters'
+      });
+    }
+
+    // Publish the new version
+    const config = await rankingConfigService.publishConfig(
+      country,
+      { exponent, interactionWeights, priorWeight },
+      { createdBy: session.user.id, note: note || null }
+    );
+
+    // Rebuild the leaderboards scored with the old parameters
+    const rebuiltLeaderboards = await rankingService.rebuildCountryLeaderboards(country);
+
+    // Return success response
+    res.status(201).json({
+      success: true,
+      data: config,
+      rebuiltLeaderboards,
+      message: `Ranking settings published as version ${config.version}`
+    });
+
+  } catch (error) {
+    console.error('Error managing ranking config:', error);
+
+    // Handle general errors
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to manage ranking settings'
+    });
+  }
+}
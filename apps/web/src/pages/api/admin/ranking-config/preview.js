@@ -0,0 +1,105 @@
+/**
+ * API Route: Preview Ranking Config
+ *
+ * This API route recomputes a dish leaderboard with proposed algorithm
+ * parameters for a country and returns how each entry would move, without
+ * publishing anything.
+ */
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import { validateAlgorithmParams } from '../../../../services/rankingConfigService.js';
+import { rankingService } from '../../../../services/rankingService.js';
+import { getServerSession } from 'next-auth/next';
+
+/**
+ * Handler for ranking config preview API endpoint
+ *
+ * @param {NextApiRequest} req - The request object
+ * @param {NextApiResponse} res - The response object
+ */
+export default async function handler(req, res) {
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      error: 'Method not allowed',
+      message: 'Only POST requests are supported'
+    });
+  }
+
+  try {
+    // Get user session for authentication
+    const session = await getServerSession(req, res);
+
+    if (!session || !session.user) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Authentication required'
+      });
+    }
+
+    // Check if user has admin privileges
+    if (!session.user.isAdmin) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Admin privileges required to manage ranking settings'
+      });
+    }
+
+    const { countryCode, dishSlug, exponent, interactionWeights, priorWeight } = req.body;
+
+    // Validate country code
+    if (!countryCode || typeof countryCode !== 'string' || !/^[A-Za-z]{2}$/.test(countryCode)) {
+      return res.status(400).json({
+        error: 'Invalid country code',
+        message: 'Country code is required and must be a two-letter code'
+      });
+    }
+
+    // Validate dish slug
+    if (!dishSlug || typeof dishSlug !== 'string') {
+      return res.status(400).json({
+        error: 'Invalid dish slug',
+        message: 'Dish slug is required and must be a string'
+      });
+    }
+
+    // Validate parameters
+    const invalid = validateAlgorithmParams({ exponent, interactionWeights, priorWeight });
+    if (invalid) {
+      return res.status(400).json({
+        error: invalid.error,
+        message: invalid.message
+      });
+    }
+
+    // Compare the current and proposed leaderboards
+    const preview = await rankingService.previewAlgorithmParams(
+      countryCode.toUpperCase(),
+      dishSlug,
+      { exponent, interactionWeights, priorWeight }
+    );
+
+    // Return success response
+    res.status(200).json({
+      success: true,
+      data: preview
+    });
+
+  } catch (error) {
+    console.error('Error previewing ranking config:', error);
+
+    // Handle specific error types
+    if (error.message === 'Dish not found') {
+      return res.status(404).json({
+        error: 'Dish not found',
+        message: 'The specified dish does not exist'
+      });
+    }
+
+    // Handle general errors
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to preview ranking settings'
+    });
+  }
+}
@@ -0,0 +1,106 @@
+/**
+ * API Route: Roll Back Ranking Config
+ *
+ * This API route restores an earlier version of a country's leaderboard
+ * algorithm parameters. The restored parameters are published as a new
+ * version and the country's leaderboards are rebuilt.
+ */
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import { rankingConfigService } from '../../../../services/rankingConfigService.js';
+import { rankingService } from '../../../../services/rankingService.js';
+import { getServerSession } from 'next-auth/next';
+
+/**
+ * Handler for ranking config rollback API endpoint
+ *
+ * @param {NextApiRequest} req - The request object
+ * @param {NextApiResponse} res - The response object
+ */
+export default async function handler(req, res) {
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      error: 'Method not allowed',
+      message: 'Only POST requests are supported'
+    });
+  }
+
+  try {
+    // Get user session for authentication
+    const session = await getServerSession(req, res);
+
+    if (!session || !session.user) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Authentication required'
+      });
+    }
+
+    // Check if user has admin privileges
+    if (!session.user.isAdmin) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Admin privileges required to manage ranking settings'
+      });
+    }
+
+    const { countryCode, version } = req.body;
+
+    // Validate country code
+    if (!countryCode || typeof countryCode !== 'string' || !/^[A-Za-z]{2}$/.test(countryCode)) {
+      return res.status(400).json({
+        error: 'Invalid country code',
+        message: 'Country code is required and must be a two-letter code'
+      });
+    }
+
+    // Validate version
+    if (!Number.isInteger(version) || version < 1) {
+      return res.status(400).json({
+        error: 'Invalid version',
+        message: 'Version must be a positive integer'
+      });
+    }
+
+    const country = countryCode.toUpperCase();
+
+    // Restore the version
+    const config = await rankingConfigService.rollbackConfig(country, version, session.user.id);
+
+    // Rebuild the leaderboards scored with the replaced parameters
+    const rebuiltLeaderboards = await rankingService.rebuildCountryLeaderboards(country);
+
+    // Return success response
+    res.status(201).json({
+      success: true,
+      data: config,
+      rebuiltLeaderboards,
+      message: `Rolled back to version ${version}`
+    });
+
+  } catch (error) {
+    console.error('Error rolling back ranking config:', error);
+
+    // Handle specific error types
+    if (error.message === 'Config version not found') {
+      return res.status(404).json({
+        error: 'Config version not found',
+        message: 'The specified version does not exist'
+      });
+    }
+
+    if (error.message === 'Config version already active') {
+      return res.status(409).json({
+        error: 'Config version already active',
+        message: 'The specified version is already active'
+      });
+    }
+
+    // Handle general errors
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to roll back ranking settings'
+    });
+  }
+}
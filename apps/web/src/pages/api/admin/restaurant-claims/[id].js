@@ -0,0 +1,132 @@
+/**
+ * API Route: Review Restaurant Claim
+ * 
+ * This API route lets administrators approve or reject a restaurant
+ * ownership claim that was verified or has documents. Approving makes the
+ * claimant the restaurant's owner and rejects other open claims to it.
+ */
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import {
+  restaurantOwnershipService,
+  MAX_CLAIM_NOTE_LENGTH
+} from '../../../../services/restaurantOwnershipService.js';
+import { getServerSession } from 'next-auth/next';
+
+/**
+ * Handler for restaurant claim review API endpoint
+ * 
+ * @param {NextApiRequest} req - The request object
+ * @param {NextApiResponse} res - The response object
+ */
+export default async function handler(req, res) {
+  // Only allow PUT requests
+  if (req.method !== 'PUT') {
+    return res.status(405).json({ 
+      error: 'Method not allowed',
+      message: 'Only PUT requests are supported'
+    });
+  }
+
+  try {
+    // Get user session for authentication
+    const session = await getServerSession(req, res);
+    
+    if (!session || !session.user) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Authentication required'
+      });
+    }
+
+    // Check if user has admin privileges
+    if (!session.user.isAdmin) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Admin privileges required to review restaurant claims'
+      });
+    }
+
+    const { id } = req.query;
+    const { decision, note } = req.body || {};
+
+    // Validate claim ID
+    if (!id || typeof id !== 'string') {
+      return res.status(400).json({
+        error: 'Invalid claim ID',
+        message: 'Claim ID is required and must be a string'
+      });
+    }
+
+    // Validate decision
+    if (!['approve', 'reject'].includes(decision)) {
+      return res.status(400).json({
+        error: 'Invalid decision',
+        message: 'Decision must be either "approve" or "reject"'
+      });
+    }
+
+    // Validate note
+    if (note !== undefined && note !== null && (typeof note !== 'string' || note.length > MAX_CLAIM_NOTE_LENGTH)) {
+      return res.status(400).json({
+        error: 'Invalid note',
+        message: `Note must be a string of at most ${MAX_CLAIM_NOTE_LENGTH} characters`
+      });
+    }
+
+    // Apply the decision
+    const claim = await restaurantOwnershipService.reviewClaim(
+      id,
+      session.user.id,
+      decision,
+      note?.trim() || null
+    );
+
+    // Return success response
+    res.status(200).json({
+      success: true,
+      data: claim,
+      message: decision === 'approve' ? 'Claim approved' : 'Claim rejected'
+    });
+
+  } catch (error) {
+    console.error('Error reviewing restaurant claim:', error);
+    
+    // Handle specific error types
+    if (error.message === 'Claim not found' || error.message === 'Restaurant not found') {
+      return res.status(404).json({
+        error: error.message,
+        message: error.message === 'Claim not found'
+          ? 'The specified claim does not exist'
+          : 'The claimed restaurant no longer exists'
+      });
+    }
+
+    if (error.message === 'Claim already reviewed') {
+      return res.status(409).json({
+        error: 'Claim already reviewed',
+        message: 'This claim has already been reviewed or was withdrawn'
+      });
+    }
+
+    if (error.message === 'Claim not verified') {
+      return res.status(409).json({
+        error: 'Claim not verified',
+        message: 'The claimant has not verified this claim yet'
+      });
+    }
+
+    if (error.message === 'Restaurant already has an owner') {
+      return res.status(409).json({
+        error: 'Restaurant already has an owner',
+        message: 'Another user already owns this restaurant'
+      });
+    }
+
+    // Handle general errors
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to review restaurant claim'
+    });
+  }
+}
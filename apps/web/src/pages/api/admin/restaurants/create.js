@@ -6,7 +6,8 @@
  */
 
 import { NextApiRequest, NextApiResponse } from 'next';
-import { restaurantService } from '../../../../services/restaurantService.js';
+import { restaurantRepository } from '../../../../services/restaurantRepository.js';
+import { isValidTimezone } from '../../../../utils/openingHours.js';
 import { getServerSession } from 'next-auth/next';
 
 /**
@@ -56,6 +57,8 @@ export default async function handler(req, res) {
       priceLevel,
       description,
       hours,
+      specialHours,
+      timezone,
       photos
     } = req.body;
 
@@ -145,6 +148,20 @@ export default async function handler(req, res) {
       });
     }
 
+    if (specialHours && !Array.isArray(specialHours)) {
+      return res.status(400).json({
+        error: 'Invalid special hours',
+        message: 'Special hours must be an array'
+      });
+    }
+
+    if (timezone && !isValidTimezone(timezone)) {
+      return res.status(400).json({
+        error: 'Invalid timezone',
+        message: 'Timezone must be an IANA timezone such as Asia/Kuala_Lumpur'
+      });
+    }
+
     if (photos && (!Array.isArray(photos) || photos.length > 20)) {
       return res.status(400).json({
         error: 'Invalid photos',
@@ -153,7 +170,7 @@ export default async function handler(req, res) {
     }
 
     // Create the restaurant
-    const restaurant = await restaurantService.createRestaurant({
+    const restaurant = await restaurantRepository.createRestaurant({
       name: name.trim(),
       address: address.trim(),
       latitude,
@@ -166,6 +183,8 @@ export default async function handler(req, res) {
       priceLevel: priceLevel || null,
       description: description?.trim() || null,
       hours: hours || null,
+      specialHours: specialHours || [],
+      timezone: timezone || null,
       photos: photos || [],
       createdBy: session.user.id
     });
@@ -202,6 +221,27 @@ export default async function handler(req, res) {
       });
     }
 
+    if (error.message === 'Invalid hours') {
+      return res.status(400).json({
+        error: 'Invalid hours',
+        message: 'Hours must be periods with dayOfWeek 0-6 and openTime/closeTime as HH:MM'
+      });
+    }
+
+    if (error.message === 'Invalid special hours') {
+      return res.status(400).json({
+        error: 'Invalid special hours',
+        message: 'Special hours need a YYYY-MM-DD date and either isClosed or openTime/closeTime as HH:MM'
+      });
+    }
+
+    if (error.message === 'Invalid photos') {
+      return res.status(400).json({
+        error: 'Invalid photos',
+        message: 'Each photo must be a URL or an object with a photoUrl'
+      });
+    }
+
     // Handle general errors
     res.status(500).json({
       error: 'Internal server error',
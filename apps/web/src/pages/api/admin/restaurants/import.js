@@ -0,0 +1,128 @@
+/**
+ * API Route: Import Restaurants (Admin)
+ *
+ * This API route lets administrators import places from Google Places,
+ * Yelp or Foursquare. Each place is linked to the restaurant it matches
+ * confidently or becomes a new restaurant; possible duplicates of new
+ * restaurants are queued for review under merge-candidates.
+ */
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import {
+  restaurantDedupeService,
+  RESTAURANT_SOURCES
+} from '../../../../services/restaurantDedupeService.js';
+import { getServerSession } from 'next-auth/next';
+
+/**
+ * Most places imported per request
+ */
+const MAX_PLACES = 100;
+
+/**
+ * Errors that fail one place without failing the import
+ */
+const PLACE_ERRORS = ['Invalid place', 'Country code is required', 'Restaurant already exists'];
+
+/**
+ * Handler for admin import restaurants API endpoint
+ *
+ * @param {NextApiRequest} req - The request object
+ * @param {NextApiResponse} res - The response object
+ */
+export default async function handler(req, res) {
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      error: 'Method not allowed',
+      message: 'Only POST requests are supported'
+    });
+  }
+
+  try {
+    // Get user session for authentication
+    const session = await getServerSession(req, res);
+
+    if (!session || !session.user) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Authentication required'
+      });
+    }
+
+    // Check if user has admin privileges
+    if (!session.user.isAdmin) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Admin privileges required to import restaurants'
+      });
+    }
+
+    const { source, countryCode, places } = req.body;
+
+    // Validate source
+    if (!RESTAURANT_SOURCES.includes(source)) {
+      return res.status(400).json({
+        error: 'Invalid source',
+        message: `Source must be one of: ${RESTAURANT_SOURCES.join(', ')}`
+      });
+    }
+
+    // Validate places
+    if (!Array.isArray(places) || places.length === 0 || places.length > MAX_PLACES) {
+      return res.status(400).json({
+        error: 'Invalid places',
+        message: `Places must be an array of 1 to ${MAX_PLACES} places`
+      });
+    }
+
+    // Validate country code, used for places whose source has none
+    if (countryCode !== undefined && (typeof countryCode !== 'string' || !/^[A-Za-z]{2}$/.test(countryCode))) {
+      return res.status(400).json({
+        error: 'Invalid country code',
+        message: 'Country code must be a two-letter code'
+      });
+    }
+
+    // Import one place at a time, so later places match earlier ones
+    const results = [];
+    for (const [index, place] of places.entries()) {
+      try {
+        const result = await restaurantDedupeService.importPlace(source, place, {
+          countryCode,
+          createdBy: session.user.id
+        });
+        results.push({ index, ...result });
+      } catch (error) {
+        if (!PLACE_ERRORS.includes(error.message)) {
+          throw error;
+        }
+        results.push({ index, action: 'failed', error: error.message });
+      }
+    }
+
+    const count = (action) => results.filter((result) => result.action === action).length;
+
+    // Return success response
+    res.status(200).json({
+      success: true,
+      data: results,
+      summary: {
+        linked: count('linked'),
+        matched: count('matched'),
+        created: count('created'),
+        failed: count('failed'),
+        queued: results.reduce((total, result) => total + (result.queued || 0), 0)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error importing restaurants:', error);
+
+    // Handle general errors
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to import restaurants'
+    });
+  }
+}
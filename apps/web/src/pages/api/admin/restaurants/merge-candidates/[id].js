@@ -0,0 +1,128 @@
+/**
+ * API Route: Review Restaurant Merge Candidate
+ *
+ * This API route lets administrators merge or dismiss a pair of possibly
+ * duplicate restaurants. Merging moves the duplicate's dishes, rankings,
+ * votes, reviews and photos onto the surviving restaurant and soft deletes
+ * the duplicate; a dismissed pair is not queued again.
+ */
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import { restaurantDedupeService } from '../../../../../services/restaurantDedupeService.js';
+import { getServerSession } from 'next-auth/next';
+
+/**
+ * Handler for merge candidate review API endpoint
+ *
+ * @param {NextApiRequest} req - The request object
+ * @param {NextApiResponse} res - The response object
+ */
+export default async function handler(req, res) {
+  // Only allow PUT requests
+  if (req.method !== 'PUT') {
+    return res.status(405).json({
+      error: 'Method not allowed',
+      message: 'Only PUT requests are supported'
+    });
+  }
+
+  try {
+    // Get user session for authentication
+    const session = await getServerSession(req, res);
+
+    if (!session || !session.user) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Authentication required'
+      });
+    }
+
+    // Check if user has admin privileges
+    if (!session.user.isAdmin) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Admin privileges required to review duplicate restaurants'
+      });
+    }
+
+    const { id } = req.query;
+    const { decision, survivorId } = req.body;
+
+    // Validate candidate ID
+    if (!id || typeof id !== 'string') {
+      return res.status(400).json({
+        error: 'Invalid candidate ID',
+        message: 'Candidate ID is required and must be a string'
+      });
+    }
+
+    // Validate decision
+    if (!['merge', 'dismiss'].includes(decision)) {
+      return res.status(400).json({
+        error: 'Invalid decision',
+        message: 'Decision must be either "merge" or "dismiss"'
+      });
+    }
+
+    // Validate survivor, which defaults to the claimed or older restaurant
+    if (survivorId !== undefined && typeof survivorId !== 'string') {
+      return res.status(400).json({
+        error: 'Invalid survivor',
+        message: 'Survivor ID must be a string'
+      });
+    }
+
+    // Apply the decision
+    const candidate = await restaurantDedupeService.resolveCandidate(
+      id,
+      session.user.id,
+      decision,
+      survivorId || null
+    );
+
+    // Return success response
+    res.status(200).json({
+      success: true,
+      data: candidate,
+      message: decision === 'merge' ? 'Restaurants merged' : 'Merge candidate dismissed'
+    });
+
+  } catch (error) {
+    console.error('Error reviewing restaurant merge candidate:', error);
+
+    // Handle specific error types
+    if (error.message === 'Merge candidate not found') {
+      return res.status(404).json({
+        error: 'Merge candidate not found',
+        message: 'The specified merge candidate does not exist'
+      });
+    }
+
+    if (error.message === 'Merge candidate already resolved') {
+      return res.status(409).json({
+        error: 'Merge candidate already resolved',
+        message: 'This merge candidate has already been reviewed'
+      });
+    }
+
+    if (error.message === 'Invalid survivor') {
+      return res.status(400).json({
+        error: 'Invalid survivor',
+        message: 'The survivor must be one of the two restaurants'
+      });
+    }
+
+    if (error.message === 'Restaurant not found') {
+      return res.status(409).json({
+        error: 'Restaurant not found',
+        message: 'One of the restaurants has been deleted'
+      });
+    }
+
+    // Handle general errors
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to review merge candidate'
+    });
+  }
+}
@@ -0,0 +1,150 @@
+/**
+ * API Route: Admin Restaurant Merge Candidates
+ *
+ * This API route lists pairs of restaurants that may be duplicates, for
+ * admin review (GET), and scans for new pairs (POST). A scan merges
+ * confident duplicates straight away and queues the ambiguous ones.
+ */
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import {
+  restaurantDedupeService,
+  MergeCandidateStatus
+} from '../../../../../services/restaurantDedupeService.js';
+import { getServerSession } from 'next-auth/next';
+
+/**
+ * List merge candidates
+ *
+ * @param {NextApiRequest} req - The request object
+ * @param {NextApiResponse} res - The response object
+ */
+const listCandidates = async (req, res) => {
+  const {
+    status = MergeCandidateStatus.PENDING,
+    page = 1,
+    limit = 20
+  } = req.query;
+
+  // Validate status
+  const validStatuses = Object.values(MergeCandidateStatus);
+  if (!validStatuses.includes(status)) {
+    return res.status(400).json({
+      error: 'Invalid status',
+      message: `Status must be one of: ${validStatuses.join(', ')}`
+    });
+  }
+
+  // Validate pagination parameters
+  const pageNum = parseInt(page, 10);
+  const limitNum = parseInt(limit, 10);
+
+  if (isNaN(pageNum) || pageNum < 1) {
+    return res.status(400).json({
+      error: 'Invalid page parameter',
+      message: 'Page must be a positive integer'
+    });
+  }
+
+  if (isNaN(limitNum) || limitNum < 1 || limitNum > 100) {
+    return res.status(400).json({
+      error: 'Invalid limit parameter',
+      message: 'Limit must be between 1 and 100'
+    });
+  }
+
+  const result = await restaurantDedupeService.listCandidates({
+    status,
+    page: pageNum,
+    limit: limitNum
+  });
+
+  res.status(200).json({
+    success: true,
+    data: result.candidates,
+    pagination: {
+      page: pageNum,
+      limit: limitNum,
+      total: result.total,
+      totalPages: Math.ceil(result.total / limitNum)
+    }
+  });
+};
+
+/**
+ * Scan for duplicate restaurants
+ *
+ * @param {NextApiRequest} req - The request object
+ * @param {NextApiResponse} res - The response object
+ */
+const scanForDuplicates = async (req, res) => {
+  const { countryCode } = req.body || {};
+
+  // Validate country code
+  if (countryCode !== undefined && (typeof countryCode !== 'string' || !/^[A-Za-z]{2}$/.test(countryCode))) {
+    return res.status(400).json({
+      error: 'Invalid country code',
+      message: 'Country code must be a two-letter code'
+    });
+  }
+
+  const result = await restaurantDedupeService.scanForDuplicates({
+    countryCode: countryCode ? countryCode.toUpperCase() : null
+  });
+
+  res.status(200).json({
+    success: true,
+    data: result,
+    message: `Compared ${result.compared} pairs: ${result.merged} merged, ${result.queued} queued for review`
+  });
+};
+
+/**
+ * Handler for admin merge candidates API endpoint
+ *
+ * @param {NextApiRequest} req - The request object
+ * @param {NextApiResponse} res - The response object
+ */
+export default async function handler(req, res) {
+  // Only allow GET and POST requests
+  if (!['GET', 'POST'].includes(req.method)) {
+    return res.status(405).json({
+      error: 'Method not allowed',
+      message: 'Only GET and POST requests are supported'
+    });
+  }
+
+  try {
+    // Get user session for authentication
+    const session = await getServerSession(req, res);
+
+    if (!session || !session.user) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Authentication required'
+      });
+    }
+
+    // Check if user has admin privileges
+    if (!session.user.isAdmin) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Admin privileges required to review duplicate restaurants'
+      });
+    }
+
+    if (req.method === 'POST') {
+      return await scanForDuplicates(req, res);
+    }
+    return await listCandidates(req, res);
+
+  } catch (error) {
+    console.error('Error handling restaurant merge candidates:', error);
+
+    // Handle general errors
+    res.status(500).json({
+      error: 'Internal server error',
+      message: req.method === 'POST' ? 'Failed to scan for duplicate restaurants' : 'Failed to fetch merge candidates'
+    });
+  }
+}
@@ -0,0 +1,65 @@
+/**
+ * API Route: Rebuild Restaurant Search Index (Admin)
+ *
+ * This API route lets administrators rebuild the search document of every
+ * restaurant, e.g. after restaurants or dishes were imported outside the
+ * app. Documents of restaurants changed through the API stay current.
+ */
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import { restaurantSearchService } from '../../../../services/restaurantSearchService.js';
+import { getServerSession } from 'next-auth/next';
+
+/**
+ * Handler for admin rebuild search index API endpoint
+ *
+ * @param {NextApiRequest} req - The request object
+ * @param {NextApiResponse} res - The response object
+ */
+export default async function handler(req, res) {
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      error: 'Method not allowed',
+      message: 'Only POST requests are supported'
+    });
+  }
+
+  try {
+    // Get user session for authentication
+    const session = await getServerSession(req, res);
+
+    if (!session || !session.user) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Authentication required'
+      });
+    }
+
+    // Check if user has admin privileges
+    if (!session.user.isAdmin) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Admin privileges required to rebuild the search index'
+      });
+    }
+
+    const indexed = await restaurantSearchService.rebuildSearchIndex();
+
+    // Return success response
+    res.status(200).json({
+      success: true,
+      indexed,
+      message: `Search index rebuilt for ${indexed} restaurants`
+    });
+
+  } catch (error) {
+    console.error('Error rebuilding restaurant search index:', error);
+
+    // Handle general errors
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to rebuild the search index'
+    });
+  }
+}
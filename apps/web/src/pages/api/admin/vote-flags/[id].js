@@ -0,0 +1,109 @@
+/**
+ * API Route: Review Vote Flag
+ * 
+ * This API route lets administrators approve or reject a quarantined dish
+ * vote or ranking. Approved ones count again towards vote stats and
+ * leaderboards; rejected ones stay excluded.
+ */
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import { voteIntegrityService } from '../../../../services/voteIntegrityService.js';
+import { postgresService } from '../../../../services/postgresService.js';
+import { rankingService } from '../../../../services/rankingService.js';
+import { getServerSession } from 'next-auth/next';
+
+/**
+ * Handler for vote flag review API endpoint
+ * 
+ * @param {NextApiRequest} req - The request object
+ * @param {NextApiResponse} res - The response object
+ */
+export default async function handler(req, res) {
+  // Only allow PUT requests
+  if (req.method !== 'PUT') {
+    return res.status(405).json({ 
+      error: 'Method not allowed',
+      message: 'Only PUT requests are supported'
+    });
+  }
+
+  try {
+    // Get user session for authentication
+    const session = await getServerSession(req, res);
+    
+    if (!session || !session.user) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Authentication required'
+      });
+    }
+
+    // Check if user has admin privileges
+    if (!session.user.isAdmin) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Admin privileges required to review votes'
+      });
+    }
+
+    const { id } = req.query;
+    const { decision } = req.body;
+
+    // Validate flag ID
+    if (!id || typeof id !== 'string') {
+      return res.status(400).json({
+        error: 'Invalid flag ID',
+        message: 'Flag ID is required and must be a string'
+      });
+    }
+
+    // Validate decision
+    if (!['approve', 'reject'].includes(decision)) {
+      return res.status(400).json({
+        error: 'Invalid decision',
+        message: 'Decision must be either "approve" or "reject"'
+      });
+    }
+
+    // Apply the decision
+    const flag = await voteIntegrityService.resolveFlag(id, session.user.id, decision);
+
+    // Bring the affected stats back in line
+    if (flag.subjectType === 'vote') {
+      await postgresService.recountDishVotes(flag.dishId);
+    } else {
+      await rankingService.refreshDishLeaderboard(flag.dishSlug);
+    }
+
+    // Return success response
+    res.status(200).json({
+      success: true,
+      data: flag,
+      message: decision === 'approve' ? 'Vote approved' : 'Vote rejected'
+    });
+
+  } catch (error) {
+    console.error('Error reviewing vote flag:', error);
+    
+    // Handle specific error types
+    if (error.message === 'Flag not found') {
+      return res.status(404).json({
+        error: 'Flag not found',
+        message: 'The specified flag does not exist'
+      });
+    }
+
+    if (error.message === 'Flag already reviewed') {
+      return res.status(409).json({
+        error: 'Flag already reviewed',
+        message: 'This flag has already been reviewed'
+      });
+    }
+
+    // Handle general errors
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to review vote flag'
+    });
+  }
+}
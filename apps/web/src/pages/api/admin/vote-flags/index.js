@@ -0,0 +1,107 @@
+/**
+ * API Route: Admin Vote Flags
+ * 
+ * This API route lists dish votes and rankings that were quarantined as
+ * suspected manipulation, for admin review.
+ */
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import { voteIntegrityService } from '../../../../services/voteIntegrityService.js';
+import { getServerSession } from 'next-auth/next';
+
+/**
+ * Handler for admin vote flags API endpoint
+ * 
+ * @param {NextApiRequest} req - The request object
+ * @param {NextApiResponse} res - The response object
+ */
+export default async function handler(req, res) {
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({ 
+      error: 'Method not allowed',
+      message: 'Only GET requests are supported'
+    });
+  }
+
+  try {
+    // Get user session for authentication
+    const session = await getServerSession(req, res);
+    
+    if (!session || !session.user) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Authentication required'
+      });
+    }
+
+    // Check if user has admin privileges
+    if (!session.user.isAdmin) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Admin privileges required to review votes'
+      });
+    }
+
+    const { 
+      status = 'pending',
+      page = 1, 
+      limit = 20
+    } = req.query;
+
+    // Validate status
+    const validStatuses = ['pending', 'approved', 'rejected'];
+    if (!validStatuses.includes(status)) {
+      return res.status(400).json({
+        error: 'Invalid status',
+        message: `Status must be one of: ${validStatuses.join(', ')}`
+      });
+    }
+
+    // Validate pagination parameters
+    const pageNum = parseInt(page, 10);
+    const limitNum = parseInt(limit, 10);
+
+    if (isNaN(pageNum) || pageNum < 1) {
+      return res.status(400).json({
+        error: 'Invalid page parameter',
+        message: 'Page must be a positive integer'
+      });
+    }
+
+    if (isNaN(limitNum) || limitNum < 1 || limitNum > 100) {
+      return res.status(400).json({
+        error: 'Invalid limit parameter',
+        message: 'Limit must be between 1 and 100'
+      });
+    }
+
+    // Get flagged votes and rankings
+    const result = await voteIntegrityService.listFlags({
+      status,
+      page: pageNum,
+      limit: limitNum
+    });
+
+    // Return success response
+    res.status(200).json({
+      success: true,
+      data: result.flags,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total: result.total,
+        totalPages: Math.ceil(result.total / limitNum)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching vote flags:', error);
+
+    // Handle general errors
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to fetch vote flags'
+    });
+  }
+}
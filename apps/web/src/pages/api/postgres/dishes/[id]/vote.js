@@ -8,6 +8,7 @@
 import { NextApiRequest, NextApiResponse } from 'next';
 import { postgresService } from '../../../../../services/postgresService.js';
 import { getServerSession } from 'next-auth/next';
+import { getRequestFingerprint } from '../../../../../utils/requestFingerprint.js';
 
 /**
  * Handler for dish voting API endpoint
@@ -66,10 +67,10 @@ async function handleVoteOnDish(req, res) {
 
     // Validate rating if vote type is rating
     if (voteType === 'rating') {
-      if (typeof rating !== 'number' || rating < 1 || rating > 5) {
+      if (typeof rating !== 'number' || !Number.isInteger(rating) || rating < 1 || rating > 5) {
         return res.status(400).json({
           error: 'Invalid rating',
-          message: 'Rating must be a number between 1 and 5'
+          message: 'Rating must be a whole number between 1 and 5'
         });
       }
     }
@@ -79,7 +80,8 @@ async function handleVoteOnDish(req, res) {
       dishId: id,
       userId: session.user.id,
       voteType,
-      rating: voteType === 'rating' ? rating : null
+      rating: voteType === 'rating' ? rating : null,
+      fingerprint: getRequestFingerprint(req)
     });
 
     // Return success response
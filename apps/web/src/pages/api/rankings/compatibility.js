@@ -0,0 +1,71 @@
+/**
+ * API Route: Taste Compatibility
+ * 
+ * This API route compares two users' dish rankings. It returns a
+ * compatibility percentage, the dishes they agree and disagree on most,
+ * and restaurants one of them loves that the other hasn't tried.
+ */
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import { rankingService } from '../../../services/rankingService.js';
+
+/**
+ * Handler for taste compatibility API endpoint
+ * 
+ * @param {NextApiRequest} req - The request object
+ * @param {NextApiResponse} res - The response object
+ */
+export default async function handler(req, res) {
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({ 
+      error: 'Method not allowed',
+      message: 'Only GET requests are supported'
+    });
+  }
+
+  try {
+    const { userId, otherUserId } = req.query;
+
+    // Validate user IDs
+    if (!userId || typeof userId !== 'string' || !otherUserId || typeof otherUserId !== 'string') {
+      return res.status(400).json({
+        error: 'Invalid user ID',
+        message: 'Both userId and otherUserId are required and must be strings'
+      });
+    }
+
+    if (userId === otherUserId) {
+      return res.status(400).json({
+        error: 'Invalid user ID',
+        message: 'Cannot compare a user with themselves'
+      });
+    }
+
+    // Compare the two users' rankings
+    const comparison = await rankingService.getTasteCompatibility(userId, otherUserId);
+
+    // Return success response
+    res.status(200).json({
+      success: true,
+      data: comparison
+    });
+
+  } catch (error) {
+    console.error('Error comparing taste profiles:', error);
+    
+    // Handle specific error types
+    if (error.message === 'User not found') {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'One or both of the specified users do not exist'
+      });
+    }
+
+    // Handle general errors
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to compare taste profiles'
+    });
+  }
+}
@@ -6,6 +6,8 @@
  */
 
 import { rankingService } from '../../../services/rankingService.js';
+import { getRequestFingerprint } from '../../../utils/requestFingerprint.js';
+import { validateRankingFields } from '../../../utils/rankingValidation.js';
 
 /**
  * Handler for create ranking API endpoint
@@ -42,7 +44,8 @@ export default async function handler(req, res) {
       review,
       photoUrls,
       tasteStatus,
-      notes
+      notes,
+      category
     } = req.body;
 
     // Validate required fields
@@ -60,39 +63,12 @@ export default async function handler(req, res) {
       });
     }
 
-    if (typeof rating !== 'number' || rating < 1 || rating > 10) {
+    // Validate rating and optional fields
+    const invalid = validateRankingFields({ rating, review, photoUrls, tasteStatus, notes, category });
+    if (invalid) {
       return res.status(400).json({
-        error: 'Invalid rating',
-        message: 'Rating must be a number between 1 and 10'
-      });
-    }
-
-    // Validate optional fields
-    if (review && (typeof review !== 'string' || review.length > 1000)) {
-      return res.status(400).json({
-        error: 'Invalid review',
-        message: 'Review must be a string with maximum 1000 characters'
-      });
-    }
-
-    if (photoUrls && (!Array.isArray(photoUrls) || photoUrls.length > 10)) {
-      return res.status(400).json({
-        error: 'Invalid photo URLs',
-        message: 'Photo URLs must be an array with maximum 10 items'
-      });
-    }
-
-    if (tasteStatus && !['loved', 'liked', 'neutral', 'disliked'].includes(tasteStatus)) {
-      return res.status(400).json({
-        error: 'Invalid taste status',
-        message: 'Taste status must be one of: loved, liked, neutral, disliked'
-      });
-    }
-
-    if (notes && (typeof notes !== 'string' || notes.length > 500)) {
-      return res.status(400).json({
-        error: 'Invalid notes',
-        message: 'Notes must be a string with maximum 500 characters'
+        error: invalid.error,
+        message: invalid.message
       });
     }
 
@@ -105,7 +81,9 @@ export default async function handler(req, res) {
       review: review || null,
       photoUrls: photoUrls || [],
       tasteStatus: tasteStatus || 'neutral',
-      notes: notes || null
+      notes: notes || null,
+      category: category || 'TOP',
+      fingerprint: getRequestFingerprint(req)
     });
 
     // Return success response
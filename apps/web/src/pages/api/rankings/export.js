@@ -0,0 +1,82 @@
+/**
+ * API Route: Export Rankings
+ * 
+ * This API route downloads every ranking the authenticated user has made,
+ * as CSV or JSON. The file can be edited and sent back to
+ * /api/rankings/import.
+ */
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import { rankingService, RANKING_EXPORT_COLUMNS } from '../../../services/rankingService.js';
+import { getServerSession } from 'next-auth/next';
+import { toCsv } from '../../../utils/csv.js';
+
+/**
+ * Handler for export rankings API endpoint
+ * 
+ * @param {NextApiRequest} req - The request object
+ * @param {NextApiResponse} res - The response object
+ */
+export default async function handler(req, res) {
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({ 
+      error: 'Method not allowed',
+      message: 'Only GET requests are supported'
+    });
+  }
+
+  try {
+    // Get user session for authentication
+    const session = await getServerSession(req, res);
+    
+    if (!session || !session.user) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Authentication required to export your rankings'
+      });
+    }
+
+    const { format = 'csv' } = req.query;
+
+    // Validate format
+    if (!['csv', 'json'].includes(format)) {
+      return res.status(400).json({
+        error: 'Invalid format',
+        message: 'Format must be either "csv" or "json"'
+      });
+    }
+
+    const rankings = await rankingService.exportUserRankings(session.user.id);
+    const filename = `bellyfed-rankings-${new Date().toISOString().split('T')[0]}.${format}`;
+
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    if (format === 'json') {
+      return res.status(200).json({ rankings });
+    }
+
+    // Photo URLs share one CSV column, separated by "|"
+    const csv = toCsv(
+      RANKING_EXPORT_COLUMNS,
+      rankings.map(ranking => ({
+        ...ranking,
+        photoUrls: ranking.photoUrls.join('|'),
+        createdAt: new Date(ranking.createdAt).toISOString(),
+        updatedAt: new Date(ranking.updatedAt).toISOString()
+      }))
+    );
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.status(200).send(csv);
+
+  } catch (error) {
+    console.error('Error exporting rankings:', error);
+
+    // Handle general errors
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to export rankings'
+    });
+  }
+}
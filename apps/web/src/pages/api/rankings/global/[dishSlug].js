@@ -2,11 +2,14 @@
  * API Route: Get Global Dish Rankings
  * 
  * This API route retrieves global rankings for a specific dish.
- * It supports pagination and various sorting options.
+ * It supports pagination and various sorting options. Entries come from the
+ * precomputed leaderboard and are ordered by smoothed score by default.
+ * With an asOf date the leaderboard is rebuilt as it stood at that moment.
  */
 
 import { NextApiRequest, NextApiResponse } from 'next';
 import { rankingService } from '../../../../services/rankingService.js';
+import { parsePointInTime } from '../../../../utils/date.js';
 
 /**
  * Handler for global dish rankings API endpoint
@@ -28,11 +31,12 @@ export default async function handler(req, res) {
     const { 
       page = 1, 
       limit = 20,
-      sortBy = 'rating',
+      sortBy = 'score',
       sortOrder = 'desc',
       minRating,
       includeReviews = true,
-      includePhotos = false
+      includePhotos = false,
+      asOf
     } = req.query;
 
     // Validate dish slug
@@ -62,7 +66,7 @@ export default async function handler(req, res) {
     }
 
     // Validate sort parameters
-    const validSortFields = ['rating', 'createdAt', 'updatedAt', 'restaurantName'];
+    const validSortFields = ['score', 'rating', 'createdAt', 'updatedAt', 'restaurantName'];
     if (!validSortFields.includes(sortBy)) {
       return res.status(400).json({
         error: 'Invalid sort field',
@@ -89,6 +93,24 @@ export default async function handler(req, res) {
       }
     }
 
+    // Validate point in time if provided
+    let asOfDate = null;
+    if (asOf) {
+      asOfDate = parsePointInTime(asOf);
+      if (!asOfDate) {
+        return res.status(400).json({
+          error: 'Invalid asOf parameter',
+          message: 'asOf must be a date (YYYY-MM-DD) or an ISO 8601 date-time'
+        });
+      }
+      if (asOfDate > new Date()) {
+        return res.status(400).json({
+          error: 'Invalid asOf parameter',
+          message: 'asOf cannot be in the future'
+        });
+      }
+    }
+
     // Get global dish rankings
     const rankings = await rankingService.getGlobalDishRankings(dishSlug, {
       page: pageNum,
@@ -97,7 +119,8 @@ export default async function handler(req, res) {
       sortOrder,
       minRating: minRatingNum,
       includeReviews: includeReviews === 'true',
-      includePhotos: includePhotos === 'true'
+      includePhotos: includePhotos === 'true',
+      asOf: asOfDate
     });
 
     // Return success response
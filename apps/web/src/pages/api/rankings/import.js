@@ -0,0 +1,127 @@
+/**
+ * API Route: Import Rankings
+ * 
+ * This API route imports rankings for the authenticated user from CSV or
+ * JSON in the format produced by /api/rankings/export. Every row is
+ * validated first; if any row is invalid nothing is imported and the
+ * row-level errors are returned.
+ */
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import { rankingService } from '../../../services/rankingService.js';
+import { getServerSession } from 'next-auth/next';
+import { parseCsv } from '../../../utils/csv.js';
+import { getRequestFingerprint } from '../../../utils/requestFingerprint.js';
+
+export const config = {
+  api: {
+    bodyParser: {
+      sizeLimit: '2mb'
+    }
+  }
+};
+
+/**
+ * Handler for import rankings API endpoint
+ * 
+ * @param {NextApiRequest} req - The request object
+ * @param {NextApiResponse} res - The response object
+ */
+export default async function handler(req, res) {
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({ 
+      error: 'Method not allowed',
+      message: 'Only POST requests are supported'
+    });
+  }
+
+  try {
+    // Get user session for authentication
+    const session = await getServerSession(req, res);
+    
+    if (!session || !session.user) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Authentication required to import rankings'
+      });
+    }
+
+    const { format, content, rankings } = req.body;
+
+    // Read the rows from the uploaded file
+    let rows;
+    if (format === 'csv') {
+      if (typeof content !== 'string') {
+        return res.status(400).json({
+          error: 'Invalid content',
+          message: 'CSV imports must send the file as a "content" string'
+        });
+      }
+
+      try {
+        rows = parseCsv(content);
+      } catch (parseError) {
+        return res.status(400).json({
+          error: 'Invalid CSV',
+          message: parseError.message
+        });
+      }
+    } else if (format === 'json') {
+      if (!Array.isArray(rankings)) {
+        return res.status(400).json({
+          error: 'Invalid rankings',
+          message: 'JSON imports must send a "rankings" array'
+        });
+      }
+      rows = rankings;
+    } else {
+      return res.status(400).json({
+        error: 'Invalid format',
+        message: 'Format must be either "csv" or "json"'
+      });
+    }
+
+    // Import all rows or none
+    const result = await rankingService.importUserRankings(session.user.id, rows, {
+      fingerprint: getRequestFingerprint(req)
+    });
+
+    if (result.errors.length > 0) {
+      return res.status(422).json({
+        error: 'Invalid rankings',
+        message: `${result.errors.length} row(s) failed validation; nothing was imported`,
+        errors: result.errors
+      });
+    }
+
+    // Return success response
+    res.status(200).json({
+      success: true,
+      data: {
+        created: result.created,
+        updated: result.updated
+      },
+      message: 'Rankings imported successfully'
+    });
+
+  } catch (error) {
+    console.error('Error importing rankings:', error);
+    
+    // Handle specific error types
+    if (error.message === 'No rankings to import' || error.message === 'Too many rankings to import') {
+      return res.status(400).json({
+        error: 'Invalid rankings',
+        message: error.message === 'No rankings to import'
+          ? 'The file does not contain any rankings'
+          : 'A file can contain at most 1000 rankings'
+      });
+    }
+
+    // Handle general errors
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to import rankings'
+    });
+  }
+}
@@ -2,11 +2,13 @@
  * API Route: Get Local Dish Rankings
  * 
  * This API route retrieves local rankings for a specific dish within a geographic area.
- * It supports location-based filtering and pagination.
+ * It supports location-based filtering and pagination. With an asOf date
+ * the leaderboard is rebuilt as it stood at that moment.
  */
 
 import { NextApiRequest, NextApiResponse } from 'next';
 import { rankingService } from '../../../../services/rankingService.js';
+import { parsePointInTime } from '../../../../utils/date.js';
 
 /**
  * Handler for local dish rankings API endpoint
@@ -31,11 +33,12 @@ export default async function handler(req, res) {
       latitude,
       longitude,
       radius = 10,
-      sortBy = 'rating',
+      sortBy = 'score',
       sortOrder = 'desc',
       minRating,
       includeReviews = true,
-      includePhotos = false
+      includePhotos = false,
+      asOf
     } = req.query;
 
     // Validate dish slug
@@ -90,6 +93,22 @@ export default async function handler(req, res) {
       });
     }
 
+    // Validate sort parameters
+    const validSortFields = ['score', 'rating', 'distance', 'createdAt', 'updatedAt', 'restaurantName'];
+    if (!validSortFields.includes(sortBy)) {
+      return res.status(400).json({
+        error: 'Invalid sort field',
+        message: `Sort field must be one of: ${validSortFields.join(', ')}`
+      });
+    }
+
+    if (!['asc', 'desc'].includes(sortOrder)) {
+      return res.status(400).json({
+        error: 'Invalid sort order',
+        message: 'Sort order must be either "asc" or "desc"'
+      });
+    }
+
     // Validate minimum rating if provided
     let minRatingNum = null;
     if (minRating) {
@@ -102,6 +121,24 @@ export default async function handler(req, res) {
       }
     }
 
+    // Validate point in time if provided
+    let asOfDate = null;
+    if (asOf) {
+      asOfDate = parsePointInTime(asOf);
+      if (!asOfDate) {
+        return res.status(400).json({
+          error: 'Invalid asOf parameter',
+          message: 'asOf must be a date (YYYY-MM-DD) or an ISO 8601 date-time'
+        });
+      }
+      if (asOfDate > new Date()) {
+        return res.status(400).json({
+          error: 'Invalid asOf parameter',
+          message: 'asOf cannot be in the future'
+        });
+      }
+    }
+
     // Get local dish rankings
     const rankings = await rankingService.getLocalDishRankings(dishSlug, {
       page: pageNum,
@@ -111,7 +148,8 @@ export default async function handler(req, res) {
       sortOrder,
       minRating: minRatingNum,
       includeReviews: includeReviews === 'true',
-      includePhotos: includePhotos === 'true'
+      includePhotos: includePhotos === 'true',
+      asOf: asOfDate
     });
 
     // Return success response
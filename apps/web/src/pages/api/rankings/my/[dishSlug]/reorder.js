@@ -0,0 +1,126 @@
+/**
+ * API Route: Reorder User's Dish Rankings
+ * 
+ * This API route rewrites the authenticated user's TOP positions for a dish.
+ * All positions are replaced in a single transaction; rankings left out of
+ * the new order drop out of the top list.
+ */
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import { rankingService } from '../../../../../services/rankingService.js';
+import { getServerSession } from 'next-auth/next';
+
+/**
+ * Handler for reorder rankings API endpoint
+ * 
+ * @param {NextApiRequest} req - The request object
+ * @param {NextApiResponse} res - The response object
+ */
+export default async function handler(req, res) {
+  // Only allow PUT requests
+  if (req.method !== 'PUT') {
+    return res.status(405).json({ 
+      error: 'Method not allowed',
+      message: 'Only PUT requests are supported'
+    });
+  }
+
+  try {
+    // Get user session for authentication
+    const session = await getServerSession(req, res);
+    
+    if (!session || !session.user) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Authentication required to reorder rankings'
+      });
+    }
+
+    const { dishSlug } = req.query;
+    const { rankings } = req.body;
+
+    // Validate dish slug
+    if (!dishSlug || typeof dishSlug !== 'string') {
+      return res.status(400).json({
+        error: 'Invalid dish slug',
+        message: 'Dish slug is required and must be a string'
+      });
+    }
+
+    // Validate the new order
+    if (!Array.isArray(rankings) || rankings.length > 5) {
+      return res.status(400).json({
+        error: 'Invalid rankings',
+        message: 'Rankings must be an array with maximum 5 items'
+      });
+    }
+
+    for (const ranking of rankings) {
+      if (!ranking || typeof ranking.id !== 'string') {
+        return res.status(400).json({
+          error: 'Invalid ranking ID',
+          message: 'Each ranking must have a string ID'
+        });
+      }
+
+      if (!Number.isInteger(ranking.rankPosition) || ranking.rankPosition < 1 || ranking.rankPosition > 5) {
+        return res.status(400).json({
+          error: 'Invalid rank position',
+          message: 'Rank position must be an integer between 1 and 5'
+        });
+      }
+    }
+
+    if (new Set(rankings.map(ranking => ranking.rankPosition)).size !== rankings.length) {
+      return res.status(400).json({
+        error: 'Duplicate rank position',
+        message: 'Each rank position can only be used once'
+      });
+    }
+
+    if (new Set(rankings.map(ranking => ranking.id)).size !== rankings.length) {
+      return res.status(400).json({
+        error: 'Duplicate ranking',
+        message: 'Each ranking can only appear once'
+      });
+    }
+
+    // Rewrite the positions
+    const updated = await rankingService.reorderDishRankings(
+      session.user.id,
+      dishSlug,
+      rankings.map(({ id, rankPosition }) => ({ id, rankPosition }))
+    );
+
+    // Return success response
+    res.status(200).json({
+      success: true,
+      data: { rankings: updated },
+      message: 'Rankings reordered successfully'
+    });
+
+  } catch (error) {
+    console.error('Error reordering rankings:', error);
+    
+    // Handle specific error types
+    if (error.message === 'Ranking not found') {
+      return res.status(404).json({
+        error: 'Ranking not found',
+        message: 'One or more rankings do not belong to you for this dish'
+      });
+    }
+
+    if (error.message === 'Duplicate rank position' || error.message === 'Invalid rank position') {
+      return res.status(400).json({
+        error: error.message,
+        message: 'Rank positions must be unique integers between 1 and 5'
+      });
+    }
+
+    // Handle general errors
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to reorder rankings'
+    });
+  }
+}
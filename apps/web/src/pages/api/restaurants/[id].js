@@ -6,14 +6,55 @@
  * 
  * Features:
  * - Get restaurant details by ID
- * - Update restaurant information
- * - Delete restaurant (admin only)
+ * - Update restaurant information, conditionally on If-Match or a body version
+ *   (its owner and admins only)
+ * - Soft delete restaurant (admin only)
  * - Error handling and validation
  * - Authentication checks
  */
 
-import { restaurantService } from '../../../services/restaurantService.js'
+import { restaurantRepository } from '../../../services/restaurantRepository.js'
+import { restaurantOwnershipService } from '../../../services/restaurantOwnershipService.js'
 import { withApiAuthRequired } from '../../../utils/auth.js'
+import { isValidTimezone } from '../../../utils/openingHours.js'
+
+/**
+ * Check the values of an update, returning an error body for the first invalid one
+ */
+const validateUpdateValues = (updateData) => {
+  const { name, address, website, priceRange, location, timezone } = updateData
+  
+  if (name !== undefined && (typeof name !== 'string' || name.trim().length < 1)) {
+    return { error: 'Invalid name', message: 'Name must be a non-empty string' }
+  }
+  
+  if (address !== undefined && (typeof address !== 'string' || address.trim().length < 1)) {
+    return { error: 'Invalid address', message: 'Address must be a non-empty string' }
+  }
+  
+  if (website && (typeof website !== 'string' || !website.match(/^https?:\/\/.+/))) {
+    return { error: 'Invalid website', message: 'Website must be a valid HTTP/HTTPS URL' }
+  }
+  
+  if (priceRange !== undefined && priceRange !== null &&
+      (!Number.isInteger(priceRange) || priceRange < 1 || priceRange > 4)) {
+    return { error: 'Invalid price range', message: 'Price range must be an integer between 1 and 4' }
+  }
+  
+  if (location !== undefined && (
+    !location ||
+    typeof location.latitude !== 'number' || location.latitude < -90 || location.latitude > 90 ||
+    typeof location.longitude !== 'number' || location.longitude < -180 || location.longitude > 180
+  )) {
+    return { error: 'Invalid location', message: 'Location must have a latitude between -90 and 90 and a longitude between -180 and 180' }
+  }
+  
+  if (timezone && !isValidTimezone(timezone)) {
+    return { error: 'Invalid timezone', message: 'Timezone must be an IANA timezone such as Asia/Kuala_Lumpur' }
+  }
+  
+  return null
+}
 
 /**
  * Get restaurant by ID
@@ -28,7 +69,7 @@ const getRestaurant = async (req, res) => {
       })
     }
     
-    const restaurant = await restaurantService.getRestaurantById(id)
+    const restaurant = await restaurantRepository.getRestaurantById(id)
     
     if (!restaurant) {
       return res.status(404).json({
@@ -36,6 +77,9 @@ const getRestaurant = async (req, res) => {
       })
     }
     
+    // Clients send the version back in If-Match to update conditionally
+    res.setHeader('ETag', `"${restaurant.version}"`)
+    
     return res.status(200).json({
       data: restaurant,
       success: true
@@ -56,7 +100,7 @@ const getRestaurant = async (req, res) => {
 const updateRestaurant = async (req, res) => {
   try {
     const { id } = req.query
-    const updateData = req.body
+    const { version, ...updateData } = req.body || {}
     
     if (!id) {
       return res.status(400).json({
@@ -73,7 +117,7 @@ const updateRestaurant = async (req, res) => {
     // Validate required fields if provided
     const validFields = [
       'name', 'description', 'address', 'phone', 'email', 'website',
-      'cuisine', 'priceRange', 'hours', 'location', 'images'
+      'cuisine', 'priceRange', 'hours', 'specialHours', 'timezone', 'location', 'images'
     ]
     
     const invalidFields = Object.keys(updateData).filter(
@@ -87,16 +131,33 @@ const updateRestaurant = async (req, res) => {
       })
     }
     
-    // Check if restaurant exists
-    const existingRestaurant = await restaurantService.getRestaurantById(id)
-    if (!existingRestaurant) {
-      return res.status(404).json({
-        error: 'Restaurant not found'
+    const invalidValue = validateUpdateValues(updateData)
+    if (invalidValue) {
+      return res.status(400).json(invalidValue)
+    }
+    
+    // The expected version comes from If-Match or the body; without one the update is unconditional
+    const ifMatch = req.headers['if-match']
+    const expectedVersion = ifMatch !== undefined
+      ? Number(String(ifMatch).replace(/^W\//, '').replace(/"/g, ''))
+      : version
+    
+    if (expectedVersion !== undefined && (!Number.isInteger(expectedVersion) || expectedVersion < 1)) {
+      return res.status(400).json({
+        error: 'Invalid version',
+        message: 'Version must be a positive integer'
       })
     }
     
+    // Only the restaurant's owner and admins can update it
+    await restaurantOwnershipService.assertCanManageRestaurant(id, req.user)
+    
     // Update restaurant
-    const updatedRestaurant = await restaurantService.updateRestaurant(id, updateData)
+    const updatedRestaurant = await restaurantRepository.updateRestaurant(id, updateData, {
+      expectedVersion
+    })
+    
+    res.setHeader('ETag', `"${updatedRestaurant.version}"`)
     
     return res.status(200).json({
       data: updatedRestaurant,
@@ -106,6 +167,33 @@ const updateRestaurant = async (req, res) => {
     
   } catch (error) {
     console.error('Error updating restaurant:', error)
+    
+    if (error.message === 'Restaurant not found') {
+      return res.status(404).json({
+        error: 'Restaurant not found'
+      })
+    }
+    
+    if (error.message === 'Not authorized') {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Only the restaurant\'s owner can update it'
+      })
+    }
+    
+    if (error.message === 'Restaurant version conflict') {
+      return res.status(409).json({
+        error: 'Restaurant version conflict',
+        message: 'The restaurant was changed by someone else; reload it and try again'
+      })
+    }
+    
+    if (['Invalid hours', 'Invalid special hours', 'Invalid photos'].includes(error.message)) {
+      return res.status(400).json({
+        error: error.message
+      })
+    }
+    
     return res.status(500).json({
       error: 'Failed to update restaurant',
       message: error.message
@@ -127,7 +215,7 @@ const deleteRestaurant = async (req, res) => {
     }
     
     // Check if restaurant exists
-    const existingRestaurant = await restaurantService.getRestaurantById(id)
+    const existingRestaurant = await restaurantRepository.getRestaurantById(id)
     if (!existingRestaurant) {
       return res.status(404).json({
         error: 'Restaurant not found'
@@ -135,7 +223,7 @@ const deleteRestaurant = async (req, res) => {
     }
     
     // Delete restaurant
-    await restaurantService.deleteRestaurant(id)
+    await restaurantRepository.deleteRestaurant(id)
     
     return res.status(200).json({
       success: true,
@@ -158,7 +246,8 @@ const handler = async (req, res) => {
   // Set CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*')
   res.setHeader('Access-Control-Allow-Methods', 'GET, PUT, DELETE, OPTIONS')
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization')
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, If-Match')
+  res.setHeader('Access-Control-Expose-Headers', 'ETag')
   
   // Handle preflight requests
   if (req.method === 'OPTIONS') {
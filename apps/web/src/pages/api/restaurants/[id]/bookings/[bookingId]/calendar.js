@@ -0,0 +1,73 @@
+/**
+ * API Route: Booking Calendar
+ *
+ * This API route downloads a booking as an iCalendar (.ics) file, for the
+ * guest who made it or the restaurant, in the restaurant's timezone and at
+ * its address. The event keeps its UID as the booking changes, so adding
+ * it again updates the event already in the calendar.
+ */
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import { getServerSession } from 'next-auth/next';
+import { bookingService } from '../../../../../../services/bookingService.js';
+
+/**
+ * Handler for booking calendar API endpoint
+ *
+ * @param {NextApiRequest} req - The request object
+ * @param {NextApiResponse} res - The response object
+ */
+export default async function handler(req, res) {
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      error: 'Method not allowed',
+      message: 'Only GET requests are supported'
+    });
+  }
+
+  try {
+    // Get user session for authentication
+    const session = await getServerSession(req, res);
+
+    if (!session || !session.user) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Authentication required to see bookings'
+      });
+    }
+
+    const { id, bookingId } = req.query;
+
+    // Validate IDs
+    if (!id || typeof id !== 'string' || !bookingId || typeof bookingId !== 'string') {
+      return res.status(400).json({
+        error: 'Invalid booking ID',
+        message: 'Restaurant ID and booking ID are required and must be strings'
+      });
+    }
+
+    const calendar = await bookingService.getBookingCalendar(id, bookingId, session.user);
+
+    res.setHeader('Content-Disposition', `attachment; filename="${calendar.filename}"`);
+    res.setHeader('Content-Type', calendar.contentType);
+    res.status(200).send(calendar.content);
+
+  } catch (error) {
+    console.error('Error getting booking calendar:', error);
+
+    // Handle specific error types
+    if (['Restaurant not found', 'Booking not found'].includes(error.message)) {
+      return res.status(404).json({
+        error: error.message,
+        message: 'The specified restaurant or booking does not exist'
+      });
+    }
+
+    // Handle general errors
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to get booking calendar'
+    });
+  }
+}
@@ -0,0 +1,125 @@
+/**
+ * API Route: Booking
+ *
+ * This API route returns a booking to the guest who made it or to the
+ * restaurant, and moves it through its lifecycle. The restaurant's owner,
+ * or an admin, confirms pending bookings, seats guests, marks no-shows
+ * once a booking has started and cancels bookings; guests can cancel
+ * their own bookings and holds before they start.
+ */
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import { getServerSession } from 'next-auth/next';
+import { bookingService } from '../../../../../../services/bookingService.js';
+import { validateStatusChange } from '../../../../../../utils/bookingValidation.js';
+
+/**
+ * Responses to status changes that cannot be made, by service error
+ */
+const STATUS_ERRORS = {
+  'Invalid status change': [409, 'The booking cannot move to this status from its current one'],
+  'Booking already started': [409, 'The booking has started; contact the restaurant to change it'],
+  'Booking not started': [409, 'A booking can only be marked as a no-show once it has started']
+};
+
+/**
+ * Handler for booking API endpoint
+ *
+ * @param {NextApiRequest} req - The request object
+ * @param {NextApiResponse} res - The response object
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'PATCH') {
+    return res.status(405).json({
+      error: 'Method not allowed',
+      message: 'Only GET and PATCH requests are supported'
+    });
+  }
+
+  try {
+    // Get user session for authentication
+    const session = await getServerSession(req, res);
+
+    if (!session || !session.user) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Authentication required to see bookings'
+      });
+    }
+
+    const { id, bookingId } = req.query;
+
+    // Validate IDs
+    if (!id || typeof id !== 'string' || !bookingId || typeof bookingId !== 'string') {
+      return res.status(400).json({
+        error: 'Invalid booking ID',
+        message: 'Restaurant ID and booking ID are required and must be strings'
+      });
+    }
+
+    if (req.method === 'GET') {
+      const booking = await bookingService.getBooking(id, bookingId, session.user);
+
+      return res.status(200).json({
+        success: true,
+        data: booking
+      });
+    }
+
+    const { status, reason } = req.body || {};
+
+    // Validate the change
+    const invalid = validateStatusChange({ status, reason });
+    if (invalid) {
+      return res.status(400).json({
+        error: invalid.error,
+        message: invalid.message
+      });
+    }
+
+    // Update the booking
+    const booking = await bookingService.updateBookingStatus(id, bookingId, session.user, {
+      status,
+      reason: reason?.trim() || null
+    });
+
+    // Return success response
+    res.status(200).json({
+      success: true,
+      data: booking,
+      message: 'Booking updated successfully'
+    });
+
+  } catch (error) {
+    console.error('Error managing booking:', error);
+
+    // Handle specific error types
+    if (['Restaurant not found', 'Booking not found'].includes(error.message)) {
+      return res.status(404).json({
+        error: error.message,
+        message: 'The specified restaurant or booking does not exist'
+      });
+    }
+
+    if (error.message === 'Not authorized') {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Guests can only cancel their bookings'
+      });
+    }
+
+    if (STATUS_ERRORS[error.message]) {
+      const [status, message] = STATUS_ERRORS[error.message];
+      return res.status(status).json({
+        error: error.message,
+        message
+      });
+    }
+
+    // Handle general errors
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to manage booking'
+    });
+  }
+}
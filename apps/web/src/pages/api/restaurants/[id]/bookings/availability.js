@@ -0,0 +1,77 @@
+/**
+ * API Route: Booking Availability
+ *
+ * This API route lists the times a party can book a table at a restaurant
+ * on a day, worked out from its opening hours, tables or covers, turn
+ * time, blackout days and the bookings and holds it already has. Times in
+ * the past or inside the restaurant's notice period are left out; full
+ * ones are returned with available=false. A day without any times says
+ * why, e.g. closed or blacked out.
+ */
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import { bookingService } from '../../../../../services/bookingService.js';
+import { validateSlotRequest } from '../../../../../utils/bookingValidation.js';
+
+/**
+ * Handler for booking availability API endpoint
+ *
+ * @param {NextApiRequest} req - The request object
+ * @param {NextApiResponse} res - The response object
+ */
+export default async function handler(req, res) {
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      error: 'Method not allowed',
+      message: 'Only GET requests are supported'
+    });
+  }
+
+  try {
+    const { id, date, partySize = '2' } = req.query;
+
+    // Validate restaurant ID
+    if (!id || typeof id !== 'string') {
+      return res.status(400).json({
+        error: 'Invalid restaurant ID',
+        message: 'Restaurant ID is required and must be a string'
+      });
+    }
+
+    // Validate the day and party
+    const request = { date, partySize: Number(partySize) };
+    const invalid = validateSlotRequest(request, { requireTime: false });
+    if (invalid) {
+      return res.status(400).json({
+        error: invalid.error,
+        message: invalid.message
+      });
+    }
+
+    const availability = await bookingService.getAvailability(id, request);
+
+    // Return success response
+    res.status(200).json({
+      success: true,
+      data: availability
+    });
+
+  } catch (error) {
+    console.error('Error fetching booking availability:', error);
+
+    // Handle specific error types
+    if (error.message === 'Restaurant not found') {
+      return res.status(404).json({
+        error: 'Restaurant not found',
+        message: 'The specified restaurant does not exist'
+      });
+    }
+
+    // Handle general errors
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to fetch booking availability'
+    });
+  }
+}
@@ -0,0 +1,107 @@
+/**
+ * API Route: Booking Holds
+ *
+ * This API route holds a bookable time for a signed-in guest while they
+ * enter their details. The hold takes a table, or covers, for a few
+ * minutes, so nobody else can book it meanwhile; the guest completes it by
+ * posting the holdId to the bookings endpoint. A guest's earlier hold at
+ * the restaurant is released.
+ */
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import { getServerSession } from 'next-auth/next';
+import { bookingService } from '../../../../../services/bookingService.js';
+import { validateSlotRequest } from '../../../../../utils/bookingValidation.js';
+
+/**
+ * Responses to slots that cannot be held, by service error
+ */
+const SLOT_ERRORS = {
+  'Bookings not accepted': [409, 'This restaurant does not take online bookings'],
+  'Party size not accepted': [409, 'This restaurant does not take online bookings for this party size'],
+  'Slot not available': [409, 'This time cannot be booked; choose one from the availability'],
+  'Slot fully booked': [409, 'This time has just been booked; choose another one']
+};
+
+/**
+ * Handler for booking holds API endpoint
+ *
+ * @param {NextApiRequest} req - The request object
+ * @param {NextApiResponse} res - The response object
+ */
+export default async function handler(req, res) {
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      error: 'Method not allowed',
+      message: 'Only POST requests are supported'
+    });
+  }
+
+  try {
+    // Get user session for authentication
+    const session = await getServerSession(req, res);
+
+    if (!session || !session.user) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Authentication required to book a table'
+      });
+    }
+
+    const { id } = req.query;
+    const { date, time, partySize } = req.body || {};
+
+    // Validate restaurant ID
+    if (!id || typeof id !== 'string') {
+      return res.status(400).json({
+        error: 'Invalid restaurant ID',
+        message: 'Restaurant ID is required and must be a string'
+      });
+    }
+
+    // Validate the slot
+    const invalid = validateSlotRequest({ date, time, partySize });
+    if (invalid) {
+      return res.status(400).json({
+        error: invalid.error,
+        message: invalid.message
+      });
+    }
+
+    // Hold the slot
+    const hold = await bookingService.holdSlot(id, session.user, { date, time, partySize });
+
+    // Return success response
+    res.status(201).json({
+      success: true,
+      data: hold,
+      message: 'Time held; complete the booking before the hold expires'
+    });
+
+  } catch (error) {
+    console.error('Error holding booking slot:', error);
+
+    // Handle specific error types
+    if (error.message === 'Restaurant not found') {
+      return res.status(404).json({
+        error: 'Restaurant not found',
+        message: 'The specified restaurant does not exist'
+      });
+    }
+
+    if (SLOT_ERRORS[error.message]) {
+      const [status, message] = SLOT_ERRORS[error.message];
+      return res.status(status).json({
+        error: error.message,
+        message
+      });
+    }
+
+    // Handle general errors
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to hold booking slot'
+    });
+  }
+}
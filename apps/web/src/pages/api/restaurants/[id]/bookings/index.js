@@ -0,0 +1,281 @@
+/**
+ * API Route: Restaurant Bookings
+ *
+ * This API route lets a restaurant's owner, or an admin, list its bookings
+ * for today, tomorrow, the next 7 days or the next 30 days, with a summary,
+ * optionally only those in one status; with format=csv they are returned
+ * as a CSV file. Signed-in guests book a table by completing a hold with
+ * its holdId, or by giving a date, time and party size to book in one go,
+ * along with their details. Bookings are confirmed straight away unless
+ * the restaurant confirms them itself.
+ */
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import { getServerSession } from 'next-auth/next';
+import { bookingService } from '../../../../../services/bookingService.js';
+import {
+  BOOKING_STATUSES,
+  validateSlotRequest,
+  validateGuestFields,
+  normalizeGuestFields
+} from '../../../../../utils/bookingValidation.js';
+import { toCsv } from '../../../../../utils/csv.js';
+
+/**
+ * Date ranges bookings can be listed for
+ */
+const BOOKING_RANGES = ['today', 'tomorrow', 'week', 'month'];
+
+/**
+ * Formats bookings can be returned in
+ */
+const BOOKING_FORMATS = ['json', 'csv'];
+
+/**
+ * Columns of the CSV export, in order
+ */
+const BOOKING_EXPORT_COLUMNS = [
+  'date',
+  'time',
+  'partySize',
+  'status',
+  'tableName',
+  'guestName',
+  'guestEmail',
+  'guestPhone',
+  'occasion',
+  'seatingPreference',
+  'dietaryRequirements',
+  'specialRequests',
+  'createdAt'
+];
+
+/**
+ * Responses to bookings that cannot be made, by service error
+ */
+const BOOKING_ERRORS = {
+  'Hold not found': [404, 'The hold has been released; choose a time again'],
+  'Bookings not accepted': [409, 'This restaurant does not take online bookings'],
+  'Party size not accepted': [409, 'This restaurant does not take online bookings for this party size'],
+  'Slot not available': [409, 'This time cannot be booked; choose one from the availability'],
+  'Slot fully booked': [409, 'This time has just been booked; choose another one']
+};
+
+/**
+ * Handler for restaurant bookings API endpoint
+ *
+ * @param {NextApiRequest} req - The request object
+ * @param {NextApiResponse} res - The response object
+ */
+export default async function handler(req, res) {
+  // Handle different HTTP methods
+  switch (req.method) {
+    case 'GET':
+      return handleGetBookings(req, res);
+    case 'POST':
+      return handleCreateBooking(req, res);
+    default:
+      return res.status(405).json({
+        error: 'Method not allowed',
+        message: 'Only GET and POST requests are supported'
+      });
+  }
+}
+
+/**
+ * Handle GET request to list the restaurant's bookings
+ */
+async function handleGetBookings(req, res) {
+  try {
+    // Get user session for authentication
+    const session = await getServerSession(req, res);
+
+    if (!session || !session.user) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Authentication required to see bookings'
+      });
+    }
+
+    const { id, range = 'today', status, format = 'json' } = req.query;
+
+    // Validate restaurant ID
+    if (!id || typeof id !== 'string') {
+      return res.status(400).json({
+        error: 'Invalid restaurant ID',
+        message: 'Restaurant ID is required and must be a string'
+      });
+    }
+
+    // Validate filters
+    if (!BOOKING_RANGES.includes(range)) {
+      return res.status(400).json({
+        error: 'Invalid range',
+        message: `Range must be one of: ${BOOKING_RANGES.join(', ')}`
+      });
+    }
+
+    if (status !== undefined && (!BOOKING_STATUSES.includes(status) || status === 'held')) {
+      return res.status(400).json({
+        error: 'Invalid status',
+        message: `Status must be one of: ${BOOKING_STATUSES.filter(value => value !== 'held').join(', ')}`
+      });
+    }
+
+    if (!BOOKING_FORMATS.includes(format)) {
+      return res.status(400).json({
+        error: 'Invalid format',
+        message: `Format must be one of: ${BOOKING_FORMATS.join(', ')}`
+      });
+    }
+
+    const bookings = await bookingService.listBookings(id, session.user, { range, status });
+
+    if (format === 'csv') {
+      const rows = bookings.bookings.map(booking => ({
+        ...booking,
+        dietaryRequirements: booking.dietaryRequirements.join('; '),
+        createdAt: booking.createdAt.toISOString()
+      }));
+      res.setHeader('Content-Disposition', `attachment; filename="bellyfed-bookings-${bookings.range.from}-${bookings.range.to}.csv"`);
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      return res.status(200).send(toCsv(BOOKING_EXPORT_COLUMNS, rows));
+    }
+
+    // Return success response
+    res.status(200).json({
+      success: true,
+      data: bookings
+    });
+
+  } catch (error) {
+    console.error('Error fetching restaurant bookings:', error);
+
+    // Handle specific error types
+    if (error.message === 'Restaurant not found') {
+      return res.status(404).json({
+        error: 'Restaurant not found',
+        message: 'The specified restaurant does not exist'
+      });
+    }
+
+    if (error.message === 'Not authorized') {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Only the restaurant owner can see its bookings'
+      });
+    }
+
+    // Handle general errors
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to fetch restaurant bookings'
+    });
+  }
+}
+
+/**
+ * Handle POST request to book a table
+ */
+async function handleCreateBooking(req, res) {
+  try {
+    // Get user session for authentication
+    const session = await getServerSession(req, res);
+
+    if (!session || !session.user) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Authentication required to book a table'
+      });
+    }
+
+    const { id } = req.query;
+    const {
+      holdId,
+      date,
+      time,
+      partySize,
+      guestName,
+      guestEmail,
+      guestPhone,
+      specialRequests,
+      dietaryRequirements,
+      occasion,
+      seatingPreference
+    } = req.body || {};
+
+    // Validate restaurant ID
+    if (!id || typeof id !== 'string') {
+      return res.status(400).json({
+        error: 'Invalid restaurant ID',
+        message: 'Restaurant ID is required and must be a string'
+      });
+    }
+
+    // Validate the hold, or else the slot
+    if (holdId !== undefined) {
+      if (typeof holdId !== 'string' || !holdId) {
+        return res.status(400).json({
+          error: 'Invalid holdId',
+          message: 'holdId must be a string'
+        });
+      }
+    } else {
+      const invalid = validateSlotRequest({ date, time, partySize });
+      if (invalid) {
+        return res.status(400).json({
+          error: invalid.error,
+          message: invalid.message
+        });
+      }
+    }
+
+    // Validate the guest's details
+    const guest = { guestName, guestEmail, guestPhone, specialRequests, dietaryRequirements, occasion, seatingPreference };
+    const invalid = validateGuestFields(guest);
+    if (invalid) {
+      return res.status(400).json({
+        error: invalid.error,
+        message: invalid.message
+      });
+    }
+
+    // Book the table
+    const booking = await bookingService.createBooking(id, session.user, {
+      ...(holdId !== undefined ? { holdId } : { date, time, partySize }),
+      ...normalizeGuestFields(guest)
+    });
+
+    // Return success response
+    res.status(201).json({
+      success: true,
+      data: booking,
+      message: booking.status === 'confirmed' ? 'Booking confirmed' : 'Booking requested; the restaurant will confirm it'
+    });
+
+  } catch (error) {
+    console.error('Error creating booking:', error);
+
+    // Handle specific error types
+    if (error.message === 'Restaurant not found') {
+      return res.status(404).json({
+        error: 'Restaurant not found',
+        message: 'The specified restaurant does not exist'
+      });
+    }
+
+    if (BOOKING_ERRORS[error.message]) {
+      const [status, message] = BOOKING_ERRORS[error.message];
+      return res.status(status).json({
+        error: error.message,
+        message
+      });
+    }
+
+    // Handle general errors
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to create booking'
+    });
+  }
+}
@@ -0,0 +1,147 @@
+/**
+ * API Route: Booking Settings
+ *
+ * This API route lets a restaurant's owner, or an admin, see and change
+ * how it takes table bookings: whether it takes them, whether capacity is
+ * counted by table or by covers, slot interval, turn time, party sizes,
+ * how far ahead and at what notice, how long holds last and whether
+ * bookings are confirmed automatically. Given blackouts replace all of its
+ * blackout days. Tables are managed under tables/.
+ */
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import { getServerSession } from 'next-auth/next';
+import { bookingService } from '../../../../../services/bookingService.js';
+import { validateBookingSettings } from '../../../../../utils/bookingValidation.js';
+
+/**
+ * Handler for booking settings API endpoint
+ *
+ * @param {NextApiRequest} req - The request object
+ * @param {NextApiResponse} res - The response object
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'PUT') {
+    return res.status(405).json({
+      error: 'Method not allowed',
+      message: 'Only GET and PUT requests are supported'
+    });
+  }
+
+  try {
+    // Get user session for authentication
+    const session = await getServerSession(req, res);
+
+    if (!session || !session.user) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Authentication required to manage booking settings'
+      });
+    }
+
+    const { id } = req.query;
+
+    // Validate restaurant ID
+    if (!id || typeof id !== 'string') {
+      return res.status(400).json({
+        error: 'Invalid restaurant ID',
+        message: 'Restaurant ID is required and must be a string'
+      });
+    }
+
+    if (req.method === 'GET') {
+      const settings = await bookingService.getSettings(id, session.user);
+
+      return res.status(200).json({
+        success: true,
+        data: settings
+      });
+    }
+
+    const {
+      acceptsBookings,
+      capacityMode,
+      maxCovers,
+      slotInterval,
+      turnTime,
+      minPartySize,
+      maxPartySize,
+      advanceBookingDays,
+      minNoticeMinutes,
+      holdMinutes,
+      autoConfirm,
+      blackouts
+    } = req.body || {};
+    const changes = {
+      acceptsBookings,
+      capacityMode,
+      maxCovers,
+      slotInterval,
+      turnTime,
+      minPartySize,
+      maxPartySize,
+      advanceBookingDays,
+      minNoticeMinutes,
+      holdMinutes,
+      autoConfirm,
+      blackouts
+    };
+
+    // Validate the settings
+    const invalid = validateBookingSettings(changes);
+    if (invalid) {
+      return res.status(400).json({
+        error: invalid.error,
+        message: invalid.message
+      });
+    }
+
+    // Update the settings
+    const settings = await bookingService.updateSettings(id, session.user, changes);
+
+    // Return success response
+    res.status(200).json({
+      success: true,
+      data: settings,
+      message: 'Booking settings updated successfully'
+    });
+
+  } catch (error) {
+    console.error('Error managing booking settings:', error);
+
+    // Handle specific error types
+    if (error.message === 'Restaurant not found') {
+      return res.status(404).json({
+        error: 'Restaurant not found',
+        message: 'The specified restaurant does not exist'
+      });
+    }
+
+    if (error.message === 'Not authorized') {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Only the restaurant owner can manage its booking settings'
+      });
+    }
+
+    if (error.message === 'Party size range invalid') {
+      return res.status(400).json({
+        error: 'Invalid maxPartySize',
+        message: 'maxPartySize must be at least minPartySize'
+      });
+    }
+
+    if (error.message === 'Covers mode needs maxCovers') {
+      return res.status(400).json({
+        error: 'Invalid maxCovers',
+        message: 'Counting capacity by covers needs maxCovers'
+      });
+    }
+
+    // Handle general errors
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to manage booking settings'
+    });
+  }
+}
@@ -0,0 +1,126 @@
+/**
+ * API Route: Booking Table
+ *
+ * This API route lets a restaurant's owner, or an admin, change a table or
+ * delete it. Bookings already given a table keep it when it changes; a
+ * table with upcoming bookings can't be deleted, but can be deactivated
+ * to stop new bookings.
+ */
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import { getServerSession } from 'next-auth/next';
+import { bookingService } from '../../../../../../services/bookingService.js';
+import { validateTableFields } from '../../../../../../utils/bookingValidation.js';
+
+/**
+ * Handler for booking table API endpoint
+ *
+ * @param {NextApiRequest} req - The request object
+ * @param {NextApiResponse} res - The response object
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'PATCH' && req.method !== 'DELETE') {
+    return res.status(405).json({
+      error: 'Method not allowed',
+      message: 'Only PATCH and DELETE requests are supported'
+    });
+  }
+
+  try {
+    // Get user session for authentication
+    const session = await getServerSession(req, res);
+
+    if (!session || !session.user) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Authentication required to manage tables'
+      });
+    }
+
+    const { id, tableId } = req.query;
+
+    // Validate IDs
+    if (!id || typeof id !== 'string' || !tableId || typeof tableId !== 'string') {
+      return res.status(400).json({
+        error: 'Invalid table ID',
+        message: 'Restaurant ID and table ID are required and must be strings'
+      });
+    }
+
+    if (req.method === 'DELETE') {
+      await bookingService.deleteTable(id, tableId, session.user);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Table deleted successfully'
+      });
+    }
+
+    const { name, minCapacity, maxCapacity, isActive } = req.body || {};
+    const changes = { name, minCapacity, maxCapacity, isActive };
+
+    // Validate the changes
+    const invalid = validateTableFields(changes, { partial: true });
+    if (invalid) {
+      return res.status(400).json({
+        error: invalid.error,
+        message: invalid.message
+      });
+    }
+
+    // Update the table
+    const table = await bookingService.updateTable(id, tableId, session.user, changes);
+
+    // Return success response
+    res.status(200).json({
+      success: true,
+      data: table,
+      message: 'Table updated successfully'
+    });
+
+  } catch (error) {
+    console.error('Error managing booking table:', error);
+
+    // Handle specific error types
+    if (['Restaurant not found', 'Table not found'].includes(error.message)) {
+      return res.status(404).json({
+        error: error.message,
+        message: 'The specified restaurant or table does not exist'
+      });
+    }
+
+    if (error.message === 'Not authorized') {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Only the restaurant owner can manage its tables'
+      });
+    }
+
+    if (error.message === 'Table capacity invalid') {
+      return res.status(400).json({
+        error: 'Invalid maxCapacity',
+        message: 'maxCapacity must be at least minCapacity'
+      });
+    }
+
+    if (error.message === 'Table name already exists') {
+      return res.status(409).json({
+        error: 'Table name already exists',
+        message: 'The restaurant already has a table with this name'
+      });
+    }
+
+    if (error.message === 'Table has upcoming bookings') {
+      return res.status(409).json({
+        error: 'Table has upcoming bookings',
+        message: 'The table has upcoming bookings; deactivate it instead'
+      });
+    }
+
+    // Handle general errors
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to manage table'
+    });
+  }
+}
@@ -0,0 +1,101 @@
+/**
+ * API Route: Booking Tables
+ *
+ * This API route lets a restaurant's owner, or an admin, add a table that
+ * bookings can be given, with the party sizes it seats. Tables are listed
+ * with the booking settings.
+ */
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import { getServerSession } from 'next-auth/next';
+import { bookingService } from '../../../../../../services/bookingService.js';
+import { validateTableFields } from '../../../../../../utils/bookingValidation.js';
+
+/**
+ * Handler for booking tables API endpoint
+ *
+ * @param {NextApiRequest} req - The request object
+ * @param {NextApiResponse} res - The response object
+ */
+export default async function handler(req, res) {
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      error: 'Method not allowed',
+      message: 'Only POST requests are supported'
+    });
+  }
+
+  try {
+    // Get user session for authentication
+    const session = await getServerSession(req, res);
+
+    if (!session || !session.user) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Authentication required to manage tables'
+      });
+    }
+
+    const { id } = req.query;
+    const { name, minCapacity, maxCapacity, isActive } = req.body || {};
+
+    // Validate restaurant ID
+    if (!id || typeof id !== 'string') {
+      return res.status(400).json({
+        error: 'Invalid restaurant ID',
+        message: 'Restaurant ID is required and must be a string'
+      });
+    }
+
+    // Validate the table
+    const invalid = validateTableFields({ name, minCapacity, maxCapacity, isActive });
+    if (invalid) {
+      return res.status(400).json({
+        error: invalid.error,
+        message: invalid.message
+      });
+    }
+
+    // Add the table
+    const table = await bookingService.createTable(id, session.user, { name, minCapacity, maxCapacity, isActive });
+
+    // Return success response
+    res.status(201).json({
+      success: true,
+      data: table,
+      message: 'Table added successfully'
+    });
+
+  } catch (error) {
+    console.error('Error adding booking table:', error);
+
+    // Handle specific error types
+    if (error.message === 'Restaurant not found') {
+      return res.status(404).json({
+        error: 'Restaurant not found',
+        message: 'The specified restaurant does not exist'
+      });
+    }
+
+    if (error.message === 'Not authorized') {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Only the restaurant owner can manage its tables'
+      });
+    }
+
+    if (error.message === 'Table name already exists') {
+      return res.status(409).json({
+        error: 'Table name already exists',
+        message: 'The restaurant already has a table with this name'
+      });
+    }
+
+    // Handle general errors
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to add table'
+    });
+  }
+}
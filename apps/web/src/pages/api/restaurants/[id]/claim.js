@@ -0,0 +1,261 @@
+/**
+ * API Route: Restaurant Ownership Claim
+ *
+ * This API route lets the signed in user claim a restaurant as its owner.
+ * GET shows how the restaurant can be verified and the user's latest claim.
+ * POST starts a claim: email and phone claims are sent a code, which is
+ * then entered with PUT; document claims, or documents added with PUT,
+ * go straight to admin review (see /api/admin/restaurant-claims). DELETE
+ * withdraws the user's open claim.
+ */
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import { getServerSession } from 'next-auth/next';
+import {
+  restaurantOwnershipService,
+  ClaimMethod,
+  CLAIM_METHODS,
+  MAX_CLAIM_DOCUMENTS,
+  MAX_CLAIM_NOTE_LENGTH
+} from '../../../../services/restaurantOwnershipService.js';
+
+/**
+ * Check the document URLs of a claim
+ * @param {any} documentUrls - The URLs
+ * @returns {boolean} Whether they are 1 to MAX_CLAIM_DOCUMENTS http(s) URLs
+ */
+const isValidDocumentList = (documentUrls) =>
+  Array.isArray(documentUrls) &&
+  documentUrls.length >= 1 &&
+  documentUrls.length <= MAX_CLAIM_DOCUMENTS &&
+  documentUrls.every((url) => {
+    try {
+      return typeof url === 'string' && ['https:', 'http:'].includes(new URL(url).protocol);
+    } catch {
+      return false;
+    }
+  });
+
+/**
+ * Check the claimant's note to the reviewing admin
+ * @param {any} message - The note
+ * @returns {boolean} Whether it is missing or a short enough string
+ */
+const isValidMessage = (message) =>
+  message === undefined ||
+  message === null ||
+  (typeof message === 'string' && message.length <= MAX_CLAIM_NOTE_LENGTH);
+
+/**
+ * Errors from the ownership service, as HTTP responses
+ */
+const CLAIM_ERRORS = {
+  'Restaurant not found': [404, 'The specified restaurant does not exist'],
+  'Claim not found': [404, 'You have no open claim to this restaurant'],
+  'Already the owner': [409, 'You already own this restaurant'],
+  'Restaurant already has an owner': [409, 'This restaurant has already been claimed'],
+  'Claim already submitted': [409, 'Your claim is already waiting for review'],
+  'Code recently sent': [429, 'A code was sent recently; wait a minute before asking for another'],
+  'Email verification unavailable': [422, 'This restaurant has no website whose domain can receive a code'],
+  'Email not at restaurant domain': [422, 'The email address must be at the domain of the restaurant\'s website'],
+  'Phone verification unavailable': [422, 'This restaurant has no listed phone number to call'],
+  'Invalid code': [400, 'The code is incorrect'],
+  'Code expired': [410, 'The code has expired; ask for a new one'],
+  'Too many attempts': [429, 'Too many incorrect codes; ask for a new one'],
+  'Too many documents': [400, `A claim can have at most ${MAX_CLAIM_DOCUMENTS} documents`],
+  'Verification code not sent': [503, 'The verification code could not be sent; try again later']
+};
+
+/**
+ * Handler for restaurant claim API endpoint
+ *
+ * @param {NextApiRequest} req - The request object
+ * @param {NextApiResponse} res - The response object
+ */
+export default async function handler(req, res) {
+  if (!['GET', 'POST', 'PUT', 'DELETE'].includes(req.method)) {
+    return res.status(405).json({
+      error: 'Method not allowed',
+      message: 'Only GET, POST, PUT and DELETE requests are supported'
+    });
+  }
+
+  try {
+    // Get user session for authentication
+    const session = await getServerSession(req, res);
+
+    if (!session || !session.user) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Authentication required to claim a restaurant'
+      });
+    }
+
+    const { id } = req.query;
+
+    // Validate restaurant ID
+    if (!id || typeof id !== 'string') {
+      return res.status(400).json({
+        error: 'Invalid restaurant ID',
+        message: 'Restaurant ID is required and must be a string'
+      });
+    }
+
+    switch (req.method) {
+      case 'GET':
+        return await handleGetClaim(req, res, id, session.user.id);
+      case 'POST':
+        return await handleRequestClaim(req, res, id, session.user.id);
+      case 'PUT':
+        return await handleUpdateClaim(req, res, id, session.user.id);
+      default:
+        return await handleCancelClaim(req, res, id, session.user.id);
+    }
+
+  } catch (error) {
+    console.error('Error handling restaurant claim:', error);
+
+    // Handle specific error types
+    const known = CLAIM_ERRORS[error.message];
+    if (known) {
+      return res.status(known[0]).json({
+        error: error.message,
+        message: known[1]
+      });
+    }
+
+    // Handle general errors
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to process restaurant claim'
+    });
+  }
+}
+
+/**
+ * Handle GET request for the verification methods and the user's claim
+ */
+async function handleGetClaim(req, res, restaurantId, userId) {
+  const status = await restaurantOwnershipService.getClaimStatus(restaurantId, userId);
+
+  res.status(200).json({
+    success: true,
+    data: status
+  });
+}
+
+/**
+ * Handle POST request to start a claim, or send a new code
+ */
+async function handleRequestClaim(req, res, restaurantId, userId) {
+  const { method, email, documentUrls, message } = req.body || {};
+
+  // Validate method
+  if (!CLAIM_METHODS.includes(method)) {
+    return res.status(400).json({
+      error: 'Invalid method',
+      message: `Method must be one of: ${CLAIM_METHODS.join(', ')}`
+    });
+  }
+
+  if (method === ClaimMethod.EMAIL && (typeof email !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim()))) {
+    return res.status(400).json({
+      error: 'Invalid email',
+      message: 'A valid email address is required for email verification'
+    });
+  }
+
+  if (method === ClaimMethod.DOCUMENTS && !isValidDocumentList(documentUrls)) {
+    return res.status(400).json({
+      error: 'Invalid documents',
+      message: `Between 1 and ${MAX_CLAIM_DOCUMENTS} uploaded document URLs are required`
+    });
+  }
+
+  if (!isValidMessage(message)) {
+    return res.status(400).json({
+      error: 'Invalid message',
+      message: `Message must be a string of at most ${MAX_CLAIM_NOTE_LENGTH} characters`
+    });
+  }
+
+  const claim = await restaurantOwnershipService.requestClaim(restaurantId, userId, {
+    method,
+    email,
+    documentUrls: method === ClaimMethod.DOCUMENTS ? documentUrls : [],
+    message: message?.trim() || null
+  });
+
+  // Return success response
+  res.status(201).json({
+    success: true,
+    data: claim,
+    message: method === ClaimMethod.DOCUMENTS
+      ? 'Claim submitted for review'
+      : 'Verification code sent'
+  });
+}
+
+/**
+ * Handle PUT request to enter the code, or add documents
+ */
+async function handleUpdateClaim(req, res, restaurantId, userId) {
+  const { code, documentUrls, message } = req.body || {};
+
+  if (code !== undefined) {
+    // Validate code
+    if (typeof code !== 'string' || !/^\d{6}$/.test(code.trim())) {
+      return res.status(400).json({
+        error: 'Invalid code',
+        message: 'The code must be 6 digits'
+      });
+    }
+
+    const claim = await restaurantOwnershipService.verifyClaimCode(restaurantId, userId, code.trim());
+
+    return res.status(200).json({
+      success: true,
+      data: claim,
+      message: 'Claim verified and submitted for review'
+    });
+  }
+
+  // Validate documents
+  if (!isValidDocumentList(documentUrls)) {
+    return res.status(400).json({
+      error: 'Invalid request',
+      message: `Either a code or between 1 and ${MAX_CLAIM_DOCUMENTS} uploaded document URLs are required`
+    });
+  }
+
+  if (!isValidMessage(message)) {
+    return res.status(400).json({
+      error: 'Invalid message',
+      message: `Message must be a string of at most ${MAX_CLAIM_NOTE_LENGTH} characters`
+    });
+  }
+
+  const claim = await restaurantOwnershipService.submitClaimDocuments(restaurantId, userId, {
+    documentUrls,
+    message: message?.trim() || null
+  });
+
+  res.status(200).json({
+    success: true,
+    data: claim,
+    message: 'Documents submitted for review'
+  });
+}
+
+/**
+ * Handle DELETE request to withdraw the user's open claim
+ */
+async function handleCancelClaim(req, res, restaurantId, userId) {
+  const claim = await restaurantOwnershipService.cancelClaim(restaurantId, userId);
+
+  res.status(200).json({
+    success: true,
+    data: claim,
+    message: 'Claim withdrawn'
+  });
+}
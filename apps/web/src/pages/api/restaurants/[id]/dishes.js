@@ -6,7 +6,7 @@
  */
 
 import { NextApiRequest, NextApiResponse } from 'next';
-import { restaurantService } from '../../../../services/restaurantService.js';
+import { restaurantRepository } from '../../../../services/restaurantRepository.js';
 
 /**
  * Handler for restaurant dishes API endpoint
@@ -29,7 +29,7 @@ export default async function handler(req, res) {
       page = 1, 
       limit = 20, 
       dishType, 
-      isAvailable = true,
+      isAvailable = 'true',
       sortBy = 'name',
       sortOrder = 'asc'
     } = req.query;
@@ -61,7 +61,7 @@ export default async function handler(req, res) {
     }
 
     // Get restaurant dishes
-    const dishes = await restaurantService.getRestaurantDishes(id, {
+    const dishes = await restaurantRepository.getRestaurantDishes(id, {
       page: pageNum,
       limit: limitNum,
       dishType: dishType || undefined,
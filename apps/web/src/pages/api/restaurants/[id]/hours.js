@@ -6,7 +6,7 @@
  */
 
 import { NextApiRequest, NextApiResponse } from 'next';
-import { restaurantService } from '../../../../services/restaurantService.js';
+import { restaurantRepository } from '../../../../services/restaurantRepository.js';
 
 /**
  * Handler for restaurant hours API endpoint
@@ -25,7 +25,7 @@ export default async function handler(req, res) {
 
   try {
     const { id } = req.query;
-    const { includeSpecialHours = true } = req.query;
+    const { includeSpecialHours = 'true' } = req.query;
 
     // Validate restaurant ID
     if (!id || typeof id !== 'string') {
@@ -36,7 +36,7 @@ export default async function handler(req, res) {
     }
 
     // Get restaurant hours
-    const hours = await restaurantService.getRestaurantHours(id, {
+    const hours = await restaurantRepository.getRestaurantHours(id, {
       includeSpecialHours: includeSpecialHours === 'true'
     });
 
@@ -0,0 +1,72 @@
+/**
+ * API Route: Restaurant Menu Feed
+ *
+ * This API route serves a restaurant's menu as an RSS 2.0 feed, or as
+ * Atom with format=atom, with the most recently changed dishes first.
+ * Conditional requests get a 304 when the feed is unchanged.
+ */
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import { feedService } from '../../../../services/feedService.js';
+import { FEED_FORMATS, getSiteUrl, sendFeed } from '../../../../utils/feed.js';
+
+/**
+ * Handler for restaurant menu feed API endpoint
+ *
+ * @param {NextApiRequest} req - The request object
+ * @param {NextApiResponse} res - The response object
+ */
+export default async function handler(req, res) {
+  // Only allow GET and HEAD requests
+  if (!['GET', 'HEAD'].includes(req.method)) {
+    return res.status(405).json({
+      error: 'Method not allowed',
+      message: 'Only GET requests are supported'
+    });
+  }
+
+  try {
+    const { id, format = 'rss' } = req.query;
+
+    // Validate restaurant ID
+    if (!id || typeof id !== 'string') {
+      return res.status(400).json({
+        error: 'Invalid restaurant ID',
+        message: 'Restaurant ID is required and must be a string'
+      });
+    }
+
+    // Validate format
+    if (!FEED_FORMATS.includes(format)) {
+      return res.status(400).json({
+        error: 'Invalid format',
+        message: `Format must be one of: ${FEED_FORMATS.join(', ')}`
+      });
+    }
+
+    const siteUrl = getSiteUrl(req);
+    const feed = await feedService.getMenuFeed(id, {
+      siteUrl,
+      selfUrl: `${siteUrl}${req.url}`
+    });
+
+    sendFeed(req, res, feed, format);
+
+  } catch (error) {
+    console.error('Error building restaurant menu feed:', error);
+
+    // Handle specific error types
+    if (error.message === 'Restaurant not found') {
+      return res.status(404).json({
+        error: 'Restaurant not found',
+        message: 'The specified restaurant does not exist'
+      });
+    }
+
+    // Handle general errors
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to build the menu feed'
+    });
+  }
+}
@@ -0,0 +1,120 @@
+/**
+ * API Route: Restaurant Menu Category
+ *
+ * This API route lets a restaurant's owner, or an admin, rename a menu
+ * category, change its description or delete it. The items of a deleted
+ * category stay on the menu outside any category.
+ */
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import { getServerSession } from 'next-auth/next';
+import { menuService } from '../../../../../../services/menuService.js';
+import { validateMenuCategoryFields } from '../../../../../../utils/menuValidation.js';
+
+/**
+ * Handler for menu category API endpoint
+ *
+ * @param {NextApiRequest} req - The request object
+ * @param {NextApiResponse} res - The response object
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'PATCH' && req.method !== 'DELETE') {
+    return res.status(405).json({
+      error: 'Method not allowed',
+      message: 'Only PATCH and DELETE requests are supported'
+    });
+  }
+
+  try {
+    // Get user session for authentication
+    const session = await getServerSession(req, res);
+
+    if (!session || !session.user) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Authentication required to manage the menu'
+      });
+    }
+
+    const { id, categoryId } = req.query;
+
+    // Validate IDs
+    if (!id || typeof id !== 'string' || !categoryId || typeof categoryId !== 'string') {
+      return res.status(400).json({
+        error: 'Invalid category ID',
+        message: 'Restaurant ID and category ID are required and must be strings'
+      });
+    }
+
+    if (req.method === 'DELETE') {
+      await menuService.deleteCategory(id, categoryId, session.user);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Category deleted successfully'
+      });
+    }
+
+    const { name, description } = req.body || {};
+
+    if (name === undefined && description === undefined) {
+      return res.status(400).json({
+        error: 'No changes',
+        message: 'Provide at least one of name and description'
+      });
+    }
+
+    // Validate category fields
+    const invalid = validateMenuCategoryFields({ name, description }, { partial: true });
+    if (invalid) {
+      return res.status(400).json({
+        error: invalid.error,
+        message: invalid.message
+      });
+    }
+
+    // Update the category
+    const category = await menuService.updateCategory(id, categoryId, session.user, {
+      name: name?.trim(),
+      description: description === undefined ? undefined : description?.trim() || null
+    });
+
+    // Return success response
+    res.status(200).json({
+      success: true,
+      data: category,
+      message: 'Category updated successfully'
+    });
+
+  } catch (error) {
+    console.error('Error managing menu category:', error);
+
+    // Handle specific error types
+    if (error.message === 'Restaurant not found' || error.message === 'Category not found') {
+      return res.status(404).json({
+        error: error.message,
+        message: 'The specified restaurant or menu category does not exist'
+      });
+    }
+
+    if (error.message === 'Not authorized') {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Only the restaurant owner can manage its menu'
+      });
+    }
+
+    if (error.message === 'Category already exists') {
+      return res.status(409).json({
+        error: 'Category already exists',
+        message: 'The menu already has a category with this name'
+      });
+    }
+
+    // Handle general errors
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to update menu category'
+    });
+  }
+}
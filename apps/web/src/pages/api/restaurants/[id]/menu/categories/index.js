@@ -0,0 +1,103 @@
+/**
+ * API Route: Restaurant Menu Categories
+ *
+ * This API route lets a restaurant's owner, or an admin, add a category at
+ * the end of its menu. Category names are unique within a menu.
+ */
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import { getServerSession } from 'next-auth/next';
+import { menuService } from '../../../../../../services/menuService.js';
+import { validateMenuCategoryFields } from '../../../../../../utils/menuValidation.js';
+
+/**
+ * Handler for menu categories API endpoint
+ *
+ * @param {NextApiRequest} req - The request object
+ * @param {NextApiResponse} res - The response object
+ */
+export default async function handler(req, res) {
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      error: 'Method not allowed',
+      message: 'Only POST requests are supported'
+    });
+  }
+
+  try {
+    // Get user session for authentication
+    const session = await getServerSession(req, res);
+
+    if (!session || !session.user) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Authentication required to manage the menu'
+      });
+    }
+
+    const { id } = req.query;
+    const { name, description } = req.body || {};
+
+    // Validate restaurant ID
+    if (!id || typeof id !== 'string') {
+      return res.status(400).json({
+        error: 'Invalid restaurant ID',
+        message: 'Restaurant ID is required and must be a string'
+      });
+    }
+
+    // Validate category fields
+    const invalid = validateMenuCategoryFields({ name, description });
+    if (invalid) {
+      return res.status(400).json({
+        error: invalid.error,
+        message: invalid.message
+      });
+    }
+
+    // Add the category
+    const category = await menuService.createCategory(id, session.user, {
+      name: name.trim(),
+      description: description?.trim() || null
+    });
+
+    // Return success response
+    res.status(201).json({
+      success: true,
+      data: category,
+      message: 'Category created successfully'
+    });
+
+  } catch (error) {
+    console.error('Error creating menu category:', error);
+
+    // Handle specific error types
+    if (error.message === 'Restaurant not found') {
+      return res.status(404).json({
+        error: 'Restaurant not found',
+        message: 'The specified restaurant does not exist'
+      });
+    }
+
+    if (error.message === 'Not authorized') {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Only the restaurant owner can manage its menu'
+      });
+    }
+
+    if (error.message === 'Category already exists') {
+      return res.status(409).json({
+        error: 'Category already exists',
+        message: 'The menu already has a category with this name'
+      });
+    }
+
+    // Handle general errors
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to create menu category'
+    });
+  }
+}
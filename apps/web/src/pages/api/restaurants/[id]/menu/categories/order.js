@@ -0,0 +1,109 @@
+/**
+ * API Route: Reorder Restaurant Menu Categories
+ *
+ * This API route lets a restaurant's owner, or an admin, reorder the
+ * categories of its menu. The listed categories come first in the given
+ * order and the rest follow in their current order.
+ */
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import { getServerSession } from 'next-auth/next';
+import { menuService } from '../../../../../../services/menuService.js';
+
+/**
+ * Most categories in one reorder
+ */
+const MAX_REORDER_IDS = 500;
+
+/**
+ * Handler for reorder menu categories API endpoint
+ *
+ * @param {NextApiRequest} req - The request object
+ * @param {NextApiResponse} res - The response object
+ */
+export default async function handler(req, res) {
+  // Only allow PUT requests
+  if (req.method !== 'PUT') {
+    return res.status(405).json({
+      error: 'Method not allowed',
+      message: 'Only PUT requests are supported'
+    });
+  }
+
+  try {
+    // Get user session for authentication
+    const session = await getServerSession(req, res);
+
+    if (!session || !session.user) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Authentication required to manage the menu'
+      });
+    }
+
+    const { id } = req.query;
+    const { categoryIds } = req.body || {};
+
+    // Validate restaurant ID
+    if (!id || typeof id !== 'string') {
+      return res.status(400).json({
+        error: 'Invalid restaurant ID',
+        message: 'Restaurant ID is required and must be a string'
+      });
+    }
+
+    // Validate the new order
+    if (
+      !Array.isArray(categoryIds) ||
+      categoryIds.length === 0 ||
+      categoryIds.length > MAX_REORDER_IDS ||
+      categoryIds.some(value => typeof value !== 'string' || !value)
+    ) {
+      return res.status(400).json({
+        error: 'Invalid category IDs',
+        message: `Category IDs must be an array of 1 to ${MAX_REORDER_IDS} strings`
+      });
+    }
+
+    if (new Set(categoryIds).size !== categoryIds.length) {
+      return res.status(400).json({
+        error: 'Duplicate category',
+        message: 'Each category can only appear once'
+      });
+    }
+
+    // Reorder the menu
+    const categories = await menuService.reorderCategories(id, categoryIds, session.user);
+
+    // Return success response
+    res.status(200).json({
+      success: true,
+      data: { categories },
+      message: 'Categories reordered successfully'
+    });
+
+  } catch (error) {
+    console.error('Error reordering menu categories:', error);
+
+    // Handle specific error types
+    if (error.message === 'Restaurant not found' || error.message === 'Category not found') {
+      return res.status(404).json({
+        error: error.message,
+        message: 'The restaurant does not exist or a category is not on its menu'
+      });
+    }
+
+    if (error.message === 'Not authorized') {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Only the restaurant owner can manage its menu'
+      });
+    }
+
+    // Handle general errors
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to reorder menu categories'
+    });
+  }
+}
@@ -0,0 +1,74 @@
+/**
+ * API Route: Current Restaurant Menu
+ *
+ * This API route returns the menu a restaurant is serving now, worked out
+ * in the restaurant's timezone from its named menus' schedules and dates,
+ * together with the other menus served now, the next one to start and the
+ * schedules of all of them. A restaurant without named menus shows all of
+ * its menu items. Pass at as an ISO 8601 date and time to see the menu
+ * served at another moment.
+ */
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import { scheduledMenuService } from '../../../../../services/scheduledMenuService.js';
+
+/**
+ * Handler for current restaurant menu API endpoint
+ *
+ * @param {NextApiRequest} req - The request object
+ * @param {NextApiResponse} res - The response object
+ */
+export default async function handler(req, res) {
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      error: 'Method not allowed',
+      message: 'Only GET requests are supported'
+    });
+  }
+
+  try {
+    const { id, at } = req.query;
+
+    // Validate restaurant ID
+    if (!id || typeof id !== 'string') {
+      return res.status(400).json({
+        error: 'Invalid restaurant ID',
+        message: 'Restaurant ID is required and must be a string'
+      });
+    }
+
+    // Validate the moment
+    if (at !== undefined && (typeof at !== 'string' || Number.isNaN(Date.parse(at)))) {
+      return res.status(400).json({
+        error: 'Invalid at parameter',
+        message: 'at must be an ISO 8601 date and time'
+      });
+    }
+
+    const menu = await scheduledMenuService.getServedMenu(id, at ? new Date(at) : new Date());
+
+    // Return success response
+    res.status(200).json({
+      success: true,
+      data: menu
+    });
+
+  } catch (error) {
+    console.error('Error fetching current restaurant menu:', error);
+
+    // Handle specific error types
+    if (error.message === 'Restaurant not found') {
+      return res.status(404).json({
+        error: 'Restaurant not found',
+        message: 'The specified restaurant does not exist'
+      });
+    }
+
+    // Handle general errors
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to fetch current menu'
+    });
+  }
+}
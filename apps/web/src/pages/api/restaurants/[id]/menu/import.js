@@ -0,0 +1,155 @@
+/**
+ * API Route: Import Restaurant Menu
+ *
+ * This API route lets a restaurant's owner, or an admin, import its menu
+ * from CSV or JSON in the format produced by /api/restaurants/[id]/menu
+ * with format=csv. Rows are matched to menu items by name. By default the
+ * changes the file would make are only previewed; with apply they are
+ * written. Every row is validated first; if any row is invalid nothing is
+ * imported and the row-level errors are returned.
+ */
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import { getServerSession } from 'next-auth/next';
+import { menuService, MAX_MENU_IMPORT_ROWS } from '../../../../../services/menuService.js';
+import { parseCsv } from '../../../../../utils/csv.js';
+
+export const config = {
+  api: {
+    bodyParser: {
+      sizeLimit: '2mb'
+    }
+  }
+};
+
+/**
+ * Handler for import menu API endpoint
+ *
+ * @param {NextApiRequest} req - The request object
+ * @param {NextApiResponse} res - The response object
+ */
+export default async function handler(req, res) {
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      error: 'Method not allowed',
+      message: 'Only POST requests are supported'
+    });
+  }
+
+  try {
+    // Get user session for authentication
+    const session = await getServerSession(req, res);
+
+    if (!session || !session.user) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Authentication required to import a menu'
+      });
+    }
+
+    const { id } = req.query;
+    const { format, content, items, apply = false, removeMissing = false } = req.body || {};
+
+    // Validate restaurant ID
+    if (!id || typeof id !== 'string') {
+      return res.status(400).json({
+        error: 'Invalid restaurant ID',
+        message: 'Restaurant ID is required and must be a string'
+      });
+    }
+
+    for (const [name, value] of Object.entries({ apply, removeMissing })) {
+      if (typeof value !== 'boolean') {
+        return res.status(400).json({
+          error: `Invalid ${name}`,
+          message: `${name} must be a boolean`
+        });
+      }
+    }
+
+    // Read the rows from the uploaded file
+    let rows;
+    if (format === 'csv') {
+      if (typeof content !== 'string') {
+        return res.status(400).json({
+          error: 'Invalid content',
+          message: 'CSV imports must send the file as a "content" string'
+        });
+      }
+
+      try {
+        rows = parseCsv(content);
+      } catch (parseError) {
+        return res.status(400).json({
+          error: 'Invalid CSV',
+          message: parseError.message
+        });
+      }
+    } else if (format === 'json') {
+      if (!Array.isArray(items)) {
+        return res.status(400).json({
+          error: 'Invalid items',
+          message: 'JSON imports must send an "items" array'
+        });
+      }
+      rows = items;
+    } else {
+      return res.status(400).json({
+        error: 'Invalid format',
+        message: 'Format must be either "csv" or "json"'
+      });
+    }
+
+    // Preview the changes, or import all rows or none
+    const result = await menuService.importMenu(id, session.user, rows, { apply, removeMissing });
+
+    if (apply && result.errors.length > 0) {
+      return res.status(422).json({
+        error: 'Invalid menu items',
+        message: `${result.errors.length} row(s) failed validation; nothing was imported`,
+        errors: result.errors
+      });
+    }
+
+    // Return success response
+    res.status(200).json({
+      success: true,
+      data: result,
+      message: apply ? 'Menu imported successfully' : 'Menu import previewed; nothing was changed'
+    });
+
+  } catch (error) {
+    console.error('Error importing menu:', error);
+
+    // Handle specific error types
+    if (error.message === 'No menu items to import' || error.message === 'Too many menu items to import') {
+      return res.status(400).json({
+        error: 'Invalid menu items',
+        message: error.message === 'No menu items to import'
+          ? 'The file does not contain any menu items'
+          : `A file can contain at most ${MAX_MENU_IMPORT_ROWS} menu items`
+      });
+    }
+
+    if (error.message === 'Restaurant not found') {
+      return res.status(404).json({
+        error: 'Restaurant not found',
+        message: 'The specified restaurant does not exist'
+      });
+    }
+
+    if (error.message === 'Not authorized') {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Only the restaurant owner can manage its menu'
+      });
+    }
+
+    // Handle general errors
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to import menu'
+    });
+  }
+}
@@ -0,0 +1,84 @@
+/**
+ * API Route: Restaurant Menu
+ *
+ * This API route returns a restaurant's menu: its categories and items in
+ * the owner's order, with prices in the restaurant's currency. With
+ * format=csv the items are returned as a CSV file that can be edited and
+ * imported again (see /api/restaurants/[id]/menu/import).
+ */
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import { menuService, MENU_EXPORT_COLUMNS } from '../../../../../services/menuService.js';
+import { toCsv } from '../../../../../utils/csv.js';
+
+/**
+ * Formats a menu can be returned in
+ */
+const MENU_FORMATS = ['json', 'csv'];
+
+/**
+ * Handler for restaurant menu API endpoint
+ *
+ * @param {NextApiRequest} req - The request object
+ * @param {NextApiResponse} res - The response object
+ */
+export default async function handler(req, res) {
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      error: 'Method not allowed',
+      message: 'Only GET requests are supported'
+    });
+  }
+
+  try {
+    const { id, format = 'json' } = req.query;
+
+    // Validate restaurant ID
+    if (!id || typeof id !== 'string') {
+      return res.status(400).json({
+        error: 'Invalid restaurant ID',
+        message: 'Restaurant ID is required and must be a string'
+      });
+    }
+
+    // Validate format
+    if (!MENU_FORMATS.includes(format)) {
+      return res.status(400).json({
+        error: 'Invalid format',
+        message: `Format must be one of: ${MENU_FORMATS.join(', ')}`
+      });
+    }
+
+    const menu = await menuService.getMenu(id);
+
+    if (format === 'csv') {
+      res.setHeader('Content-Disposition', `attachment; filename="bellyfed-menu-${menu.restaurant.id}.csv"`);
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      return res.status(200).send(toCsv(MENU_EXPORT_COLUMNS, menuService.toExportRows(menu.items)));
+    }
+
+    // Return success response
+    res.status(200).json({
+      success: true,
+      data: menu
+    });
+
+  } catch (error) {
+    console.error('Error fetching restaurant menu:', error);
+
+    // Handle specific error types
+    if (error.message === 'Restaurant not found') {
+      return res.status(404).json({
+        error: 'Restaurant not found',
+        message: 'The specified restaurant does not exist'
+      });
+    }
+
+    // Handle general errors
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to fetch restaurant menu'
+    });
+  }
+}
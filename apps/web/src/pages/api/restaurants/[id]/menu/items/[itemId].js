@@ -0,0 +1,139 @@
+/**
+ * API Route: Restaurant Menu Item
+ *
+ * This API route lets a restaurant's owner, or an admin, update a menu item
+ * or take it off the menu. The item's dish follows its name, description,
+ * price and availability; a dish taken off the menu keeps its rankings and
+ * is marked unavailable.
+ */
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import { getServerSession } from 'next-auth/next';
+import { menuService } from '../../../../../../services/menuService.js';
+import { validateMenuItemFields, normalizeMenuItemFields } from '../../../../../../utils/menuValidation.js';
+
+/**
+ * Handler for menu item API endpoint
+ *
+ * @param {NextApiRequest} req - The request object
+ * @param {NextApiResponse} res - The response object
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'PATCH' && req.method !== 'DELETE') {
+    return res.status(405).json({
+      error: 'Method not allowed',
+      message: 'Only PATCH and DELETE requests are supported'
+    });
+  }
+
+  try {
+    // Get user session for authentication
+    const session = await getServerSession(req, res);
+
+    if (!session || !session.user) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Authentication required to manage the menu'
+      });
+    }
+
+    const { id, itemId } = req.query;
+
+    // Validate IDs
+    if (!id || typeof id !== 'string' || !itemId || typeof itemId !== 'string') {
+      return res.status(400).json({
+        error: 'Invalid menu item ID',
+        message: 'Restaurant ID and menu item ID are required and must be strings'
+      });
+    }
+
+    if (req.method === 'DELETE') {
+      await menuService.deleteItem(id, itemId, session.user);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Menu item deleted successfully'
+      });
+    }
+
+    const {
+      name,
+      description,
+      price,
+      categoryId,
+      isAvailable,
+      isSpecial,
+      dietaryInfo,
+      allergens,
+      preparationTime
+    } = req.body || {};
+    const fields = { name, description, price, isAvailable, isSpecial, dietaryInfo, allergens, preparationTime };
+
+    if ([...Object.values(fields), categoryId].every(value => value === undefined)) {
+      return res.status(400).json({
+        error: 'No changes',
+        message: 'Provide at least one menu item field to change'
+      });
+    }
+
+    // Validate the changed fields
+    const invalid = validateMenuItemFields(fields, { partial: true });
+    if (invalid) {
+      return res.status(400).json({
+        error: invalid.error,
+        message: invalid.message
+      });
+    }
+
+    if (categoryId !== undefined && categoryId !== null && (typeof categoryId !== 'string' || !categoryId)) {
+      return res.status(400).json({
+        error: 'Invalid categoryId',
+        message: 'categoryId must be a string, or null to move the item out of its category'
+      });
+    }
+
+    // Update the item
+    const item = await menuService.updateItem(id, itemId, session.user, {
+      ...normalizeMenuItemFields(fields),
+      categoryId
+    });
+
+    // Return success response
+    res.status(200).json({
+      success: true,
+      data: item,
+      message: 'Menu item updated successfully'
+    });
+
+  } catch (error) {
+    console.error('Error managing menu item:', error);
+
+    // Handle specific error types
+    if (['Restaurant not found', 'Menu item not found', 'Category not found'].includes(error.message)) {
+      return res.status(404).json({
+        error: error.message,
+        message: 'The specified restaurant, menu item or category does not exist'
+      });
+    }
+
+    if (error.message === 'Not authorized') {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Only the restaurant owner can manage its menu'
+      });
+    }
+
+    if (error.message === 'Menu item already exists') {
+      return res.status(409).json({
+        error: 'Menu item already exists',
+        message: 'The menu already has an item with this name'
+      });
+    }
+
+    // Handle general errors
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to update menu item'
+    });
+  }
+}
@@ -0,0 +1,109 @@
+/**
+ * API Route: Bulk Update Restaurant Menu Items
+ *
+ * This API route lets a restaurant's owner, or an admin, make several menu
+ * items available or unavailable at once, or take them off the menu.
+ */
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import { getServerSession } from 'next-auth/next';
+import { menuService, MENU_BULK_ACTIONS } from '../../../../../../services/menuService.js';
+
+/**
+ * Most items in one bulk update
+ */
+const MAX_BULK_ITEMS = 500;
+
+/**
+ * Handler for bulk menu items API endpoint
+ *
+ * @param {NextApiRequest} req - The request object
+ * @param {NextApiResponse} res - The response object
+ */
+export default async function handler(req, res) {
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      error: 'Method not allowed',
+      message: 'Only POST requests are supported'
+    });
+  }
+
+  try {
+    // Get user session for authentication
+    const session = await getServerSession(req, res);
+
+    if (!session || !session.user) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Authentication required to manage the menu'
+      });
+    }
+
+    const { id } = req.query;
+    const { action, itemIds } = req.body || {};
+
+    // Validate restaurant ID
+    if (!id || typeof id !== 'string') {
+      return res.status(400).json({
+        error: 'Invalid restaurant ID',
+        message: 'Restaurant ID is required and must be a string'
+      });
+    }
+
+    // Validate action
+    if (!MENU_BULK_ACTIONS.includes(action)) {
+      return res.status(400).json({
+        error: 'Invalid action',
+        message: `Action must be one of: ${MENU_BULK_ACTIONS.join(', ')}`
+      });
+    }
+
+    // Validate item IDs
+    if (
+      !Array.isArray(itemIds) ||
+      itemIds.length === 0 ||
+      itemIds.length > MAX_BULK_ITEMS ||
+      itemIds.some(itemId => typeof itemId !== 'string' || !itemId)
+    ) {
+      return res.status(400).json({
+        error: 'Invalid item IDs',
+        message: `Item IDs must be an array of 1 to ${MAX_BULK_ITEMS} strings`
+      });
+    }
+
+    // Update the items
+    const count = await menuService.bulkUpdateItems(id, itemIds, action, session.user);
+
+    // Return success response
+    res.status(200).json({
+      success: true,
+      data: { action, count },
+      message: `${count} menu item(s) updated successfully`
+    });
+
+  } catch (error) {
+    console.error('Error bulk updating menu items:', error);
+
+    // Handle specific error types
+    if (error.message === 'Restaurant not found' || error.message === 'Menu item not found') {
+      return res.status(404).json({
+        error: error.message,
+        message: 'The restaurant does not exist or an item is not on its menu'
+      });
+    }
+
+    if (error.message === 'Not authorized') {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Only the restaurant owner can manage its menu'
+      });
+    }
+
+    // Handle general errors
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to update menu items'
+    });
+  }
+}
@@ -0,0 +1,133 @@
+/**
+ * API Route: Restaurant Menu Items
+ *
+ * This API route lets a restaurant's owner, or an admin, add an item to its
+ * menu. Each item is backed by one of the restaurant's dishes, which
+ * rankings attach to: the given dishId, else the restaurant's dish of the
+ * same name, else a new dish under dishSlug or the slug dishes of that name
+ * use elsewhere. Dish photos are added through /api/restaurants/[id]/photos
+ * with the item's dishId.
+ */
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import { getServerSession } from 'next-auth/next';
+import { menuService } from '../../../../../../services/menuService.js';
+import { validateMenuItemFields, normalizeMenuItemFields } from '../../../../../../utils/menuValidation.js';
+
+/**
+ * Handler for menu items API endpoint
+ *
+ * @param {NextApiRequest} req - The request object
+ * @param {NextApiResponse} res - The response object
+ */
+export default async function handler(req, res) {
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      error: 'Method not allowed',
+      message: 'Only POST requests are supported'
+    });
+  }
+
+  try {
+    // Get user session for authentication
+    const session = await getServerSession(req, res);
+
+    if (!session || !session.user) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Authentication required to manage the menu'
+      });
+    }
+
+    const { id } = req.query;
+    const {
+      name,
+      description,
+      price,
+      categoryId,
+      isAvailable,
+      isSpecial,
+      dietaryInfo,
+      allergens,
+      preparationTime,
+      dishId,
+      dishSlug
+    } = req.body || {};
+
+    // Validate restaurant ID
+    if (!id || typeof id !== 'string') {
+      return res.status(400).json({
+        error: 'Invalid restaurant ID',
+        message: 'Restaurant ID is required and must be a string'
+      });
+    }
+
+    // Validate item fields
+    const fields = { name, description, price, isAvailable, isSpecial, dietaryInfo, allergens, preparationTime, dishSlug };
+    const invalid = validateMenuItemFields(fields);
+    if (invalid) {
+      return res.status(400).json({
+        error: invalid.error,
+        message: invalid.message
+      });
+    }
+
+    for (const [field, value] of Object.entries({ categoryId, dishId })) {
+      if (value !== undefined && value !== null && (typeof value !== 'string' || !value)) {
+        return res.status(400).json({
+          error: `Invalid ${field}`,
+          message: `${field} must be a string`
+        });
+      }
+    }
+
+    // Add the item
+    const item = await menuService.createItem(id, session.user, {
+      ...normalizeMenuItemFields(fields),
+      categoryId: categoryId || null,
+      dishId: dishId || null,
+      dishSlug: dishSlug || null
+    });
+
+    // Return success response
+    res.status(201).json({
+      success: true,
+      data: item,
+      message: 'Menu item created successfully'
+    });
+
+  } catch (error) {
+    console.error('Error creating menu item:', error);
+
+    // Handle specific error types
+    if (['Restaurant not found', 'Category not found', 'Dish not found'].includes(error.message)) {
+      return res.status(404).json({
+        error: error.message,
+        message: 'The specified restaurant, menu category or dish does not exist'
+      });
+    }
+
+    if (error.message === 'Not authorized') {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Only the restaurant owner can manage its menu'
+      });
+    }
+
+    if (error.message === 'Menu item already exists' || error.message === 'Dish already on menu') {
+      return res.status(409).json({
+        error: error.message,
+        message: error.message === 'Dish already on menu'
+          ? 'Another menu item already uses this dish'
+          : 'The menu already has an item with this name'
+      });
+    }
+
+    // Handle general errors
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to create menu item'
+    });
+  }
+}
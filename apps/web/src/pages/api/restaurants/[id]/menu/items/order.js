@@ -0,0 +1,110 @@
+/**
+ * API Route: Reorder Restaurant Menu Items
+ *
+ * This API route lets a restaurant's owner, or an admin, reorder its menu
+ * items. The listed items come first in the given order and the rest
+ * follow in their current order; the menu shows items within their
+ * categories, so moving an item to another category is an item update.
+ */
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import { getServerSession } from 'next-auth/next';
+import { menuService } from '../../../../../../services/menuService.js';
+
+/**
+ * Most items in one reorder
+ */
+const MAX_REORDER_IDS = 500;
+
+/**
+ * Handler for reorder menu items API endpoint
+ *
+ * @param {NextApiRequest} req - The request object
+ * @param {NextApiResponse} res - The response object
+ */
+export default async function handler(req, res) {
+  // Only allow PUT requests
+  if (req.method !== 'PUT') {
+    return res.status(405).json({
+      error: 'Method not allowed',
+      message: 'Only PUT requests are supported'
+    });
+  }
+
+  try {
+    // Get user session for authentication
+    const session = await getServerSession(req, res);
+
+    if (!session || !session.user) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Authentication required to manage the menu'
+      });
+    }
+
+    const { id } = req.query;
+    const { itemIds } = req.body || {};
+
+    // Validate restaurant ID
+    if (!id || typeof id !== 'string') {
+      return res.status(400).json({
+        error: 'Invalid restaurant ID',
+        message: 'Restaurant ID is required and must be a string'
+      });
+    }
+
+    // Validate the new order
+    if (
+      !Array.isArray(itemIds) ||
+      itemIds.length === 0 ||
+      itemIds.length > MAX_REORDER_IDS ||
+      itemIds.some(value => typeof value !== 'string' || !value)
+    ) {
+      return res.status(400).json({
+        error: 'Invalid item IDs',
+        message: `Item IDs must be an array of 1 to ${MAX_REORDER_IDS} strings`
+      });
+    }
+
+    if (new Set(itemIds).size !== itemIds.length) {
+      return res.status(400).json({
+        error: 'Duplicate item',
+        message: 'Each item can only appear once'
+      });
+    }
+
+    // Reorder the menu
+    const items = await menuService.reorderItems(id, itemIds, session.user);
+
+    // Return success response
+    res.status(200).json({
+      success: true,
+      data: { items },
+      message: 'Items reordered successfully'
+    });
+
+  } catch (error) {
+    console.error('Error reordering menu items:', error);
+
+    // Handle specific error types
+    if (error.message === 'Restaurant not found' || error.message === 'Menu item not found') {
+      return res.status(404).json({
+        error: error.message,
+        message: 'The restaurant does not exist or a item is not on its menu'
+      });
+    }
+
+    if (error.message === 'Not authorized') {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Only the restaurant owner can manage its menu'
+      });
+    }
+
+    // Handle general errors
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to reorder menu items'
+    });
+  }
+}
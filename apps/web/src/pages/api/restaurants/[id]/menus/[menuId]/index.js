@@ -0,0 +1,130 @@
+/**
+ * API Route: Restaurant Named Menu
+ *
+ * This API route lets a restaurant's owner, or an admin, change a named
+ * menu's name, description, dates, schedules or whether it is served, or
+ * delete it with its version history. Given schedules replace all of the
+ * menu's weekly windows; an empty list serves it all day.
+ */
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import { getServerSession } from 'next-auth/next';
+import { scheduledMenuService } from '../../../../../../services/scheduledMenuService.js';
+import { validateScheduledMenuFields } from '../../../../../../utils/menuValidation.js';
+
+/**
+ * Handler for named menu API endpoint
+ *
+ * @param {NextApiRequest} req - The request object
+ * @param {NextApiResponse} res - The response object
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'PATCH' && req.method !== 'DELETE') {
+    return res.status(405).json({
+      error: 'Method not allowed',
+      message: 'Only PATCH and DELETE requests are supported'
+    });
+  }
+
+  try {
+    // Get user session for authentication
+    const session = await getServerSession(req, res);
+
+    if (!session || !session.user) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Authentication required to manage menus'
+      });
+    }
+
+    const { id, menuId } = req.query;
+
+    // Validate IDs
+    if (!id || typeof id !== 'string' || !menuId || typeof menuId !== 'string') {
+      return res.status(400).json({
+        error: 'Invalid menu ID',
+        message: 'Restaurant ID and menu ID are required and must be strings'
+      });
+    }
+
+    if (req.method === 'DELETE') {
+      await scheduledMenuService.deleteMenu(id, menuId, session.user);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Menu deleted successfully'
+      });
+    }
+
+    const { name, description, startDate, endDate, isEnabled, schedules } = req.body || {};
+    const fields = { name, description, startDate, endDate, isEnabled, schedules };
+
+    if (Object.values(fields).every(value => value === undefined)) {
+      return res.status(400).json({
+        error: 'No changes',
+        message: 'Provide at least one of name, description, startDate, endDate, isEnabled and schedules'
+      });
+    }
+
+    // Validate the changed fields
+    const invalid = validateScheduledMenuFields(fields, { partial: true });
+    if (invalid) {
+      return res.status(400).json({
+        error: invalid.error,
+        message: invalid.message
+      });
+    }
+
+    // Update the menu
+    const menu = await scheduledMenuService.updateMenu(id, menuId, session.user, {
+      ...fields,
+      name: name?.trim(),
+      description: description === undefined ? undefined : description?.trim() || null
+    });
+
+    // Return success response
+    res.status(200).json({
+      success: true,
+      data: menu,
+      message: 'Menu updated successfully'
+    });
+
+  } catch (error) {
+    console.error('Error managing named menu:', error);
+
+    // Handle specific error types
+    if (['Restaurant not found', 'Menu not found'].includes(error.message)) {
+      return res.status(404).json({
+        error: error.message,
+        message: 'The specified restaurant or menu does not exist'
+      });
+    }
+
+    if (error.message === 'Not authorized') {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Only the restaurant owner can manage its menus'
+      });
+    }
+
+    if (error.message === 'Menu already exists') {
+      return res.status(409).json({
+        error: 'Menu already exists',
+        message: 'The restaurant already has a menu with this name'
+      });
+    }
+
+    if (error.message === 'Menu ends before it starts') {
+      return res.status(400).json({
+        error: 'Invalid endDate',
+        message: 'endDate must not be before startDate'
+      });
+    }
+
+    // Handle general errors
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to update menu'
+    });
+  }
+}
@@ -0,0 +1,90 @@
+/**
+ * API Route: Cancel Menu Version
+ *
+ * This API route lets a restaurant's owner, or an admin, cancel a version
+ * of a named menu that was published in advance and has not gone live yet.
+ * Versions that have been live stay in the history; roll back to replace
+ * them (see /api/restaurants/[id]/menus/[menuId]/versions/[versionId]/rollback).
+ */
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import { getServerSession } from 'next-auth/next';
+import { scheduledMenuService } from '../../../../../../../../services/scheduledMenuService.js';
+
+/**
+ * Handler for menu version API endpoint
+ *
+ * @param {NextApiRequest} req - The request object
+ * @param {NextApiResponse} res - The response object
+ */
+export default async function handler(req, res) {
+  // Only allow DELETE requests
+  if (req.method !== 'DELETE') {
+    return res.status(405).json({
+      error: 'Method not allowed',
+      message: 'Only DELETE requests are supported'
+    });
+  }
+
+  try {
+    // Get user session for authentication
+    const session = await getServerSession(req, res);
+
+    if (!session || !session.user) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Authentication required to manage menus'
+      });
+    }
+
+    const { id, menuId, versionId } = req.query;
+
+    // Validate IDs
+    if ([id, menuId, versionId].some(value => !value || typeof value !== 'string')) {
+      return res.status(400).json({
+        error: 'Invalid menu version ID',
+        message: 'Restaurant ID, menu ID and version ID are required and must be strings'
+      });
+    }
+
+    const menu = await scheduledMenuService.cancelVersion(id, menuId, versionId, session.user);
+
+    // Return success response
+    res.status(200).json({
+      success: true,
+      data: menu,
+      message: 'Menu version cancelled successfully'
+    });
+
+  } catch (error) {
+    console.error('Error cancelling menu version:', error);
+
+    // Handle specific error types
+    if (['Restaurant not found', 'Menu not found', 'Menu version not found'].includes(error.message)) {
+      return res.status(404).json({
+        error: error.message,
+        message: 'The specified restaurant, menu or version does not exist'
+      });
+    }
+
+    if (error.message === 'Not authorized') {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Only the restaurant owner can manage its menus'
+      });
+    }
+
+    if (error.message === 'Menu version already published') {
+      return res.status(409).json({
+        error: 'Menu version already published',
+        message: 'Only versions that have not gone live yet can be cancelled'
+      });
+    }
+
+    // Handle general errors
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to cancel menu version'
+    });
+  }
+}
@@ -0,0 +1,93 @@
+/**
+ * API Route: Roll Back Menu Version
+ *
+ * This API route lets a restaurant's owner, or an admin, roll a named menu
+ * back to an earlier version. A copy of that version is published as the
+ * newest one, now or at publishAt, so the history is kept.
+ */
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import { getServerSession } from 'next-auth/next';
+import { scheduledMenuService } from '../../../../../../../../services/scheduledMenuService.js';
+
+/**
+ * Handler for menu rollback API endpoint
+ *
+ * @param {NextApiRequest} req - The request object
+ * @param {NextApiResponse} res - The response object
+ */
+export default async function handler(req, res) {
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      error: 'Method not allowed',
+      message: 'Only POST requests are supported'
+    });
+  }
+
+  try {
+    // Get user session for authentication
+    const session = await getServerSession(req, res);
+
+    if (!session || !session.user) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Authentication required to manage menus'
+      });
+    }
+
+    const { id, menuId, versionId } = req.query;
+    const { publishAt } = req.body || {};
+
+    // Validate IDs
+    if ([id, menuId, versionId].some(value => !value || typeof value !== 'string')) {
+      return res.status(400).json({
+        error: 'Invalid menu version ID',
+        message: 'Restaurant ID, menu ID and version ID are required and must be strings'
+      });
+    }
+
+    // Validate the publishing time
+    if (publishAt !== undefined && publishAt !== null && (typeof publishAt !== 'string' || Number.isNaN(Date.parse(publishAt)))) {
+      return res.status(400).json({
+        error: 'Invalid publishAt',
+        message: 'publishAt must be an ISO 8601 date and time'
+      });
+    }
+
+    const menu = await scheduledMenuService.rollbackVersion(id, menuId, versionId, session.user, {
+      publishAt: publishAt || null
+    });
+
+    // Return success response
+    res.status(201).json({
+      success: true,
+      data: menu,
+      message: 'Menu rolled back successfully'
+    });
+
+  } catch (error) {
+    console.error('Error rolling back menu:', error);
+
+    // Handle specific error types
+    if (['Restaurant not found', 'Menu not found', 'Menu version not found'].includes(error.message)) {
+      return res.status(404).json({
+        error: error.message,
+        message: 'The specified restaurant, menu or version does not exist'
+      });
+    }
+
+    if (error.message === 'Not authorized') {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Only the restaurant owner can manage its menus'
+      });
+    }
+
+    // Handle general errors
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to roll back menu'
+    });
+  }
+}
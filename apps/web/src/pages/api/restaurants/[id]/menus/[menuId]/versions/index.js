@@ -0,0 +1,102 @@
+/**
+ * API Route: Publish Menu Version
+ *
+ * This API route lets a restaurant's owner, or an admin, publish a new
+ * version of a named menu: the menu items it lists, in order, each with an
+ * optional price for this menu. The items are copied into the version, so
+ * later edits to them do not change it. With publishAt in the future the
+ * version replaces the current one at that time.
+ */
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import { getServerSession } from 'next-auth/next';
+import { scheduledMenuService } from '../../../../../../../services/scheduledMenuService.js';
+import { validateMenuVersionFields } from '../../../../../../../utils/menuValidation.js';
+
+/**
+ * Handler for menu versions API endpoint
+ *
+ * @param {NextApiRequest} req - The request object
+ * @param {NextApiResponse} res - The response object
+ */
+export default async function handler(req, res) {
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      error: 'Method not allowed',
+      message: 'Only POST requests are supported'
+    });
+  }
+
+  try {
+    // Get user session for authentication
+    const session = await getServerSession(req, res);
+
+    if (!session || !session.user) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Authentication required to publish menus'
+      });
+    }
+
+    const { id, menuId } = req.query;
+    const { items, note, publishAt } = req.body || {};
+
+    // Validate IDs
+    if (!id || typeof id !== 'string' || !menuId || typeof menuId !== 'string') {
+      return res.status(400).json({
+        error: 'Invalid menu ID',
+        message: 'Restaurant ID and menu ID are required and must be strings'
+      });
+    }
+
+    // Validate the version
+    const invalid = validateMenuVersionFields({ items, note, publishAt });
+    if (invalid) {
+      return res.status(400).json({
+        error: invalid.error,
+        message: invalid.message
+      });
+    }
+
+    // Publish the version
+    const menu = await scheduledMenuService.publishVersion(id, menuId, session.user, {
+      items: items.map(({ itemId, price }) => ({ itemId, price })),
+      note: note?.trim() || null,
+      publishAt: publishAt || null
+    });
+
+    // Return success response
+    res.status(201).json({
+      success: true,
+      data: menu,
+      message: publishAt && new Date(publishAt) > new Date()
+        ? 'Menu version scheduled successfully'
+        : 'Menu version published successfully'
+    });
+
+  } catch (error) {
+    console.error('Error publishing menu version:', error);
+
+    // Handle specific error types
+    if (['Restaurant not found', 'Menu not found', 'Menu item not found'].includes(error.message)) {
+      return res.status(404).json({
+        error: error.message,
+        message: 'The specified restaurant, menu or menu item does not exist'
+      });
+    }
+
+    if (error.message === 'Not authorized') {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Only the restaurant owner can manage its menus'
+      });
+    }
+
+    // Handle general errors
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to publish menu version'
+    });
+  }
+}
@@ -0,0 +1,117 @@
+/**
+ * API Route: Restaurant Named Menus
+ *
+ * This API route lets a restaurant's owner, or an admin, list the
+ * restaurant's named menus, such as lunch, dinner or a Ramadan buffet, with
+ * their schedules and version history, and add new ones. A new menu shows
+ * nothing until a version is published (see
+ * /api/restaurants/[id]/menus/[menuId]/versions).
+ */
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import { getServerSession } from 'next-auth/next';
+import { scheduledMenuService } from '../../../../../services/scheduledMenuService.js';
+import { validateScheduledMenuFields } from '../../../../../utils/menuValidation.js';
+
+/**
+ * Handler for named menus API endpoint
+ *
+ * @param {NextApiRequest} req - The request object
+ * @param {NextApiResponse} res - The response object
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({
+      error: 'Method not allowed',
+      message: 'Only GET and POST requests are supported'
+    });
+  }
+
+  try {
+    // Get user session for authentication
+    const session = await getServerSession(req, res);
+
+    if (!session || !session.user) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Authentication required to manage menus'
+      });
+    }
+
+    const { id } = req.query;
+
+    // Validate restaurant ID
+    if (!id || typeof id !== 'string') {
+      return res.status(400).json({
+        error: 'Invalid restaurant ID',
+        message: 'Restaurant ID is required and must be a string'
+      });
+    }
+
+    if (req.method === 'GET') {
+      const menus = await scheduledMenuService.listMenus(id, session.user);
+
+      return res.status(200).json({
+        success: true,
+        data: menus
+      });
+    }
+
+    const { name, description, startDate, endDate, isEnabled, schedules } = req.body || {};
+    const fields = { name, description, startDate, endDate, isEnabled, schedules };
+
+    // Validate the menu
+    const invalid = validateScheduledMenuFields(fields);
+    if (invalid) {
+      return res.status(400).json({
+        error: invalid.error,
+        message: invalid.message
+      });
+    }
+
+    // Create the menu
+    const menu = await scheduledMenuService.createMenu(id, session.user, {
+      ...fields,
+      name: name.trim(),
+      description: description?.trim() || null
+    });
+
+    // Return success response
+    res.status(201).json({
+      success: true,
+      data: menu,
+      message: 'Menu created successfully'
+    });
+
+  } catch (error) {
+    console.error('Error managing named menus:', error);
+
+    // Handle specific error types
+    if (error.message === 'Restaurant not found') {
+      return res.status(404).json({
+        error: 'Restaurant not found',
+        message: 'The specified restaurant does not exist'
+      });
+    }
+
+    if (error.message === 'Not authorized') {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Only the restaurant owner can manage its menus'
+      });
+    }
+
+    if (error.message === 'Menu already exists') {
+      return res.status(409).json({
+        error: 'Menu already exists',
+        message: 'The restaurant already has a menu with this name'
+      });
+    }
+
+    // Handle general errors
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to manage menus'
+    });
+  }
+}
@@ -0,0 +1,147 @@
+/**
+ * API Route: Offer Coupon Codes
+ *
+ * This API route lets a restaurant's owner, or an admin, list an offer's
+ * coupon codes, with whether each single-use code has been redeemed, and
+ * generate more single-use codes to hand out. With format=csv the codes
+ * are returned as a CSV file, e.g. for printing vouchers.
+ */
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import { getServerSession } from 'next-auth/next';
+import { offerService } from '../../../../../../services/offerService.js';
+import { OFFER_LIMITS } from '../../../../../../utils/offerValidation.js';
+import { toCsv } from '../../../../../../utils/csv.js';
+
+/**
+ * Formats codes can be returned in
+ */
+const CODE_FORMATS = ['json', 'csv'];
+
+/**
+ * Columns of the CSV export, in order
+ */
+const CODE_EXPORT_COLUMNS = ['code', 'redeemedAt', 'createdAt'];
+
+/**
+ * Handler for offer codes API endpoint
+ *
+ * @param {NextApiRequest} req - The request object
+ * @param {NextApiResponse} res - The response object
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({
+      error: 'Method not allowed',
+      message: 'Only GET and POST requests are supported'
+    });
+  }
+
+  try {
+    // Get user session for authentication
+    const session = await getServerSession(req, res);
+
+    if (!session || !session.user) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Authentication required to manage coupon codes'
+      });
+    }
+
+    const { id, offerId, format = 'json' } = req.query;
+
+    // Validate IDs
+    if (!id || typeof id !== 'string' || !offerId || typeof offerId !== 'string') {
+      return res.status(400).json({
+        error: 'Invalid offer ID',
+        message: 'Restaurant ID and offer ID are required and must be strings'
+      });
+    }
+
+    if (req.method === 'GET') {
+      // Validate format
+      if (!CODE_FORMATS.includes(format)) {
+        return res.status(400).json({
+          error: 'Invalid format',
+          message: `Format must be one of: ${CODE_FORMATS.join(', ')}`
+        });
+      }
+
+      const codes = await offerService.listCodes(id, offerId, session.user);
+
+      if (format === 'csv') {
+        const rows = codes.map(code => ({
+          code: code.code,
+          redeemedAt: code.redeemedAt?.toISOString(),
+          createdAt: code.createdAt.toISOString()
+        }));
+        res.setHeader('Content-Disposition', `attachment; filename="bellyfed-offer-codes-${offerId}.csv"`);
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        return res.status(200).send(toCsv(CODE_EXPORT_COLUMNS, rows));
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: codes
+      });
+    }
+
+    const { count } = req.body || {};
+
+    // Validate count
+    if (!Number.isInteger(count) || count < 1 || count > OFFER_LIMITS.maxCodesPerRequest) {
+      return res.status(400).json({
+        error: 'Invalid count',
+        message: `Count must be a whole number from 1 to ${OFFER_LIMITS.maxCodesPerRequest}`
+      });
+    }
+
+    // Generate the codes
+    const codes = await offerService.generateCodes(id, offerId, session.user, count);
+
+    // Return success response
+    res.status(201).json({
+      success: true,
+      data: codes,
+      message: `${codes.length} codes generated`
+    });
+
+  } catch (error) {
+    console.error('Error managing offer codes:', error);
+
+    // Handle specific error types
+    if (['Restaurant not found', 'Offer not found'].includes(error.message)) {
+      return res.status(404).json({
+        error: error.message,
+        message: 'The specified restaurant or offer does not exist'
+      });
+    }
+
+    if (error.message === 'Not authorized') {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Only the restaurant owner can manage its coupon codes'
+      });
+    }
+
+    if (error.message === 'Offer has no unique codes') {
+      return res.status(409).json({
+        error: 'Offer has no unique codes',
+        message: 'Codes can only be generated for offers with single-use codes'
+      });
+    }
+
+    if (error.message === 'Too many codes') {
+      return res.status(409).json({
+        error: 'Too many codes',
+        message: `An offer can have at most ${OFFER_LIMITS.maxCodesPerOffer} codes`
+      });
+    }
+
+    // Handle general errors
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to manage coupon codes'
+    });
+  }
+}
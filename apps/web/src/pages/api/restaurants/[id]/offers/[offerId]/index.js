@@ -0,0 +1,183 @@
+/**
+ * API Route: Restaurant Offer
+ *
+ * This API route lets a restaurant's owner, or an admin, change an offer,
+ * pause it with isActive=false, or delete it with its codes and
+ * redemptions. The kind of offer and how it is redeemed cannot be changed.
+ * Given schedules replace all of the offer's weekly windows; an empty list
+ * makes it redeemable at any time.
+ */
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import { getServerSession } from 'next-auth/next';
+import { offerService } from '../../../../../../services/offerService.js';
+import { validateOfferFields, normalizeOfferFields } from '../../../../../../utils/offerValidation.js';
+
+/**
+ * Handler for restaurant offer API endpoint
+ *
+ * @param {NextApiRequest} req - The request object
+ * @param {NextApiResponse} res - The response object
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'PATCH' && req.method !== 'DELETE') {
+    return res.status(405).json({
+      error: 'Method not allowed',
+      message: 'Only PATCH and DELETE requests are supported'
+    });
+  }
+
+  try {
+    // Get user session for authentication
+    const session = await getServerSession(req, res);
+
+    if (!session || !session.user) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Authentication required to manage offers'
+      });
+    }
+
+    const { id, offerId } = req.query;
+
+    // Validate IDs
+    if (!id || typeof id !== 'string' || !offerId || typeof offerId !== 'string') {
+      return res.status(400).json({
+        error: 'Invalid offer ID',
+        message: 'Restaurant ID and offer ID are required and must be strings'
+      });
+    }
+
+    if (req.method === 'DELETE') {
+      await offerService.deleteOffer(id, offerId, session.user);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Offer deleted successfully'
+      });
+    }
+
+    const {
+      title,
+      description,
+      type,
+      discountType,
+      discountValue,
+      originalPrice,
+      offerPrice,
+      minOrderValue,
+      maxDiscount,
+      terms,
+      imageUrl,
+      codeType,
+      code,
+      codeCount,
+      validFrom,
+      validUntil,
+      maxRedemptions,
+      maxRedemptionsPerUser,
+      isActive,
+      schedules
+    } = req.body || {};
+    const fields = {
+      title,
+      description,
+      type,
+      discountType,
+      discountValue,
+      originalPrice,
+      offerPrice,
+      minOrderValue,
+      maxDiscount,
+      terms,
+      imageUrl,
+      codeType,
+      code,
+      codeCount,
+      validFrom,
+      validUntil,
+      maxRedemptions,
+      maxRedemptionsPerUser,
+      isActive,
+      schedules
+    };
+
+    if (Object.values(fields).every(value => value === undefined)) {
+      return res.status(400).json({
+        error: 'No changes',
+        message: 'Provide at least one field of the offer to change'
+      });
+    }
+
+    // Validate the changed fields
+    const invalid = validateOfferFields(fields, { partial: true });
+    if (invalid) {
+      return res.status(400).json({
+        error: invalid.error,
+        message: invalid.message
+      });
+    }
+
+    // Update the offer
+    const offer = await offerService.updateOffer(id, offerId, session.user, normalizeOfferFields(fields));
+
+    // Return success response
+    res.status(200).json({
+      success: true,
+      data: offer,
+      message: 'Offer updated successfully'
+    });
+
+  } catch (error) {
+    console.error('Error managing restaurant offer:', error);
+
+    // Handle specific error types
+    if (['Restaurant not found', 'Offer not found'].includes(error.message)) {
+      return res.status(404).json({
+        error: error.message,
+        message: 'The specified restaurant or offer does not exist'
+      });
+    }
+
+    if (error.message === 'Not authorized') {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Only the restaurant owner can manage its offers'
+      });
+    }
+
+    if (error.message === 'Coupon code already exists') {
+      return res.status(409).json({
+        error: 'Coupon code already exists',
+        message: 'Another offer of this restaurant already uses this code'
+      });
+    }
+
+    if (error.message === 'Offer ends before it starts') {
+      return res.status(400).json({
+        error: 'Invalid validUntil',
+        message: 'validUntil must be after validFrom'
+      });
+    }
+
+    if (error.message === 'Discount over 100 percent') {
+      return res.status(400).json({
+        error: 'Invalid discountValue',
+        message: 'Percentage discounts must be at most 100'
+      });
+    }
+
+    if (error.message === 'Offer has no shared code') {
+      return res.status(400).json({
+        error: 'Invalid code',
+        message: 'Only offers with a shared code have a code to change'
+      });
+    }
+
+    // Handle general errors
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to update offer'
+    });
+  }
+}
@@ -0,0 +1,226 @@
+/**
+ * API Route: Restaurant Offers
+ *
+ * This API route lists the offers a restaurant runs now, such as discounts,
+ * happy hours and set meals, and lets its owner, or an admin, create new
+ * ones. Expired, fully redeemed and not yet started offers are left out
+ * unless the owner asks for all of them with includeInactive=true, which
+ * also returns each offer's state, views and redemptions. Each offer
+ * listed to customers counts as a view in the restaurant's analytics.
+ */
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import { getServerSession } from 'next-auth/next';
+import { offerService } from '../../../../../services/offerService.js';
+import { validateOfferFields, normalizeOfferFields } from '../../../../../utils/offerValidation.js';
+
+/**
+ * Handler for restaurant offers API endpoint
+ *
+ * @param {NextApiRequest} req - The request object
+ * @param {NextApiResponse} res - The response object
+ */
+export default async function handler(req, res) {
+  // Handle different HTTP methods
+  switch (req.method) {
+    case 'GET':
+      return handleGetOffers(req, res);
+    case 'POST':
+      return handleCreateOffer(req, res);
+    default:
+      return res.status(405).json({
+        error: 'Method not allowed',
+        message: 'Only GET and POST requests are supported'
+      });
+  }
+}
+
+/**
+ * Handle GET request to list the restaurant's offers
+ */
+async function handleGetOffers(req, res) {
+  try {
+    const { id, includeInactive = 'false' } = req.query;
+
+    // Validate restaurant ID
+    if (!id || typeof id !== 'string') {
+      return res.status(400).json({
+        error: 'Invalid restaurant ID',
+        message: 'Restaurant ID is required and must be a string'
+      });
+    }
+
+    // All offers are only shown to the owner and admins
+    if (includeInactive === 'true') {
+      const session = await getServerSession(req, res);
+
+      if (!session || !session.user) {
+        return res.status(401).json({
+          error: 'Unauthorized',
+          message: 'Authentication required to see all offers'
+        });
+      }
+
+      const offers = await offerService.listOffers(id, session.user);
+
+      return res.status(200).json({
+        success: true,
+        data: offers
+      });
+    }
+
+    const offers = await offerService.getActiveOffers(id);
+
+    // Return success response
+    res.status(200).json({
+      success: true,
+      data: offers
+    });
+
+  } catch (error) {
+    console.error('Error fetching restaurant offers:', error);
+
+    // Handle specific error types
+    if (error.message === 'Restaurant not found') {
+      return res.status(404).json({
+        error: 'Restaurant not found',
+        message: 'The specified restaurant does not exist'
+      });
+    }
+
+    if (error.message === 'Not authorized') {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Only the restaurant owner can see all of its offers'
+      });
+    }
+
+    // Handle general errors
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to fetch restaurant offers'
+    });
+  }
+}
+
+/**
+ * Handle POST request to create an offer
+ */
+async function handleCreateOffer(req, res) {
+  try {
+    // Get user session for authentication
+    const session = await getServerSession(req, res);
+
+    if (!session || !session.user) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Authentication required to create offers'
+      });
+    }
+
+    const { id } = req.query;
+
+    // Validate restaurant ID
+    if (!id || typeof id !== 'string') {
+      return res.status(400).json({
+        error: 'Invalid restaurant ID',
+        message: 'Restaurant ID is required and must be a string'
+      });
+    }
+
+    const {
+      title,
+      description,
+      type,
+      discountType,
+      discountValue,
+      originalPrice,
+      offerPrice,
+      minOrderValue,
+      maxDiscount,
+      terms,
+      imageUrl,
+      codeType,
+      code,
+      codeCount,
+      validFrom,
+      validUntil,
+      maxRedemptions,
+      maxRedemptionsPerUser,
+      isActive,
+      schedules
+    } = req.body || {};
+    const fields = {
+      title,
+      description,
+      type,
+      discountType,
+      discountValue,
+      originalPrice,
+      offerPrice,
+      minOrderValue,
+      maxDiscount,
+      terms,
+      imageUrl,
+      codeType,
+      code,
+      codeCount,
+      validFrom,
+      validUntil,
+      maxRedemptions,
+      maxRedemptionsPerUser,
+      isActive,
+      schedules
+    };
+
+    // Validate the offer
+    const invalid = validateOfferFields(fields);
+    if (invalid) {
+      return res.status(400).json({
+        error: invalid.error,
+        message: invalid.message
+      });
+    }
+
+    // Create the offer
+    const offer = await offerService.createOffer(id, session.user, normalizeOfferFields(fields));
+
+    // Return success response
+    res.status(201).json({
+      success: true,
+      data: offer,
+      message: 'Offer created successfully'
+    });
+
+  } catch (error) {
+    console.error('Error creating restaurant offer:', error);
+
+    // Handle specific error types
+    if (error.message === 'Restaurant not found') {
+      return res.status(404).json({
+        error: 'Restaurant not found',
+        message: 'The specified restaurant does not exist'
+      });
+    }
+
+    if (error.message === 'Not authorized') {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Only the restaurant owner can create offers'
+      });
+    }
+
+    if (error.message === 'Coupon code already exists') {
+      return res.status(409).json({
+        error: 'Coupon code already exists',
+        message: 'Another offer of this restaurant already uses this code'
+      });
+    }
+
+    // Handle general errors
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to create offer'
+    });
+  }
+}
@@ -0,0 +1,130 @@
+/**
+ * API Route: Redeem Offer
+ *
+ * This API route lets a restaurant's staff, its owner or an admin, check
+ * and redeem an offer for a customer. Offers with codes are redeemed by
+ * code, others by offerId. The offer must be running and within its
+ * weekly windows, and its global and per-customer caps and minimum order
+ * are checked; a single-use code is burnt. With validateOnly=true the
+ * checks are made and the discount returned without redeeming.
+ */
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import { getServerSession } from 'next-auth/next';
+import { offerService } from '../../../../../services/offerService.js';
+import { validateRedemptionFields, normalizeOfferCode } from '../../../../../utils/offerValidation.js';
+
+/**
+ * Responses to offers that cannot be redeemed, by service error
+ */
+const REDEMPTION_ERRORS = {
+  'Coupon not found': [404, 'No offer of this restaurant has this code'],
+  'Offer not found': [404, 'The specified offer does not exist'],
+  'Coupon code required': [400, 'This offer is redeemed with a coupon code'],
+  'Customer required': [400, 'This offer is limited per customer, so the customer\'s userId is required'],
+  'Order value required': [400, 'This offer has a minimum order, so the orderValue is required'],
+  'Offer not active': [409, 'The offer has been paused by the restaurant'],
+  'Offer not started': [409, 'The offer has not started yet'],
+  'Offer expired': [409, 'The offer has ended'],
+  'Offer fully redeemed': [409, 'The offer has been redeemed as often as it can be'],
+  'Coupon already redeemed': [409, 'This single-use code has already been used'],
+  'Offer not available now': [409, 'The offer cannot be redeemed at this time of the week'],
+  'Customer redemption limit reached': [409, 'The customer has already redeemed this offer as often as they can'],
+  'Minimum order not met': [409, 'The order is below the offer\'s minimum order value']
+};
+
+/**
+ * Handler for offer redemption API endpoint
+ *
+ * @param {NextApiRequest} req - The request object
+ * @param {NextApiResponse} res - The response object
+ */
+export default async function handler(req, res) {
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      error: 'Method not allowed',
+      message: 'Only POST requests are supported'
+    });
+  }
+
+  try {
+    // Get user session for authentication
+    const session = await getServerSession(req, res);
+
+    if (!session || !session.user) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Authentication required to redeem offers'
+      });
+    }
+
+    const { id } = req.query;
+    const { code, offerId, userId, orderValue, validateOnly } = req.body || {};
+
+    // Validate restaurant ID
+    if (!id || typeof id !== 'string') {
+      return res.status(400).json({
+        error: 'Invalid restaurant ID',
+        message: 'Restaurant ID is required and must be a string'
+      });
+    }
+
+    // Validate the redemption
+    const invalid = validateRedemptionFields({ code, offerId, userId, orderValue, validateOnly });
+    if (invalid) {
+      return res.status(400).json({
+        error: invalid.error,
+        message: invalid.message
+      });
+    }
+
+    // Check and redeem the offer
+    const result = await offerService.redeemOffer(id, session.user, {
+      code: code === undefined ? undefined : normalizeOfferCode(code),
+      offerId,
+      userId,
+      orderValue,
+      validateOnly
+    });
+
+    // Return success response
+    res.status(validateOnly ? 200 : 201).json({
+      success: true,
+      data: result,
+      message: validateOnly ? 'Offer can be redeemed' : 'Offer redeemed successfully'
+    });
+
+  } catch (error) {
+    console.error('Error redeeming offer:', error);
+
+    // Handle specific error types
+    if (error.message === 'Restaurant not found') {
+      return res.status(404).json({
+        error: 'Restaurant not found',
+        message: 'The specified restaurant does not exist'
+      });
+    }
+
+    if (error.message === 'Not authorized') {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Only the restaurant\'s staff can redeem its offers'
+      });
+    }
+
+    if (REDEMPTION_ERRORS[error.message]) {
+      const [status, message] = REDEMPTION_ERRORS[error.message];
+      return res.status(status).json({
+        error: error.message,
+        message
+      });
+    }
+
+    // Handle general errors
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to redeem offer'
+    });
+  }
+}
@@ -1,35 +1,54 @@
 /**
- * API Route: Get Restaurant Photos
- * 
- * This API route retrieves all photos for a specific restaurant.
- * It supports pagination and filtering by photo type.
+ * API Route: Restaurant Photos
+ *
+ * This API route lists a restaurant's photo gallery, cover first, and adds
+ * uploaded photos to it. Galleries are paginated and can be filtered by
+ * dish or by source. Photos are uploaded to storage first (see
+ * /api/upload/ranking-photo) and then added here by URL.
  */
 
 import { NextApiRequest, NextApiResponse } from 'next';
-import { restaurantService } from '../../../../services/restaurantService.js';
+import { getServerSession } from 'next-auth/next';
+import {
+  restaurantPhotoService,
+  PHOTO_SOURCES,
+  MAX_CAPTION_LENGTH
+} from '../../../../services/restaurantPhotoService.js';
 
 /**
  * Handler for restaurant photos API endpoint
- * 
+ *
  * @param {NextApiRequest} req - The request object
  * @param {NextApiResponse} res - The response object
  */
 export default async function handler(req, res) {
-  // Only allow GET requests
-  if (req.method !== 'GET') {
-    return res.status(405).json({ 
-      error: 'Method not allowed',
-      message: 'Only GET requests are supported'
-    });
+  // Handle different HTTP methods
+  switch (req.method) {
+    case 'GET':
+      return handleGetPhotos(req, res);
+    case 'POST':
+      return handleAddPhoto(req, res);
+    default:
+      return res.status(405).json({
+        error: 'Method not allowed',
+        message: 'Only GET and POST requests are supported'
+      });
   }
+}
 
+/**
+ * Handle GET request to list a page of the gallery
+ */
+async function handleGetPhotos(req, res) {
   try {
     const { id } = req.query;
-    const { 
-      page = 1, 
-      limit = 20, 
-      photoType,
-      includeMetadata = true
+    const {
+      page = 1,
+      limit = 20,
+      dishId,
+      source,
+      includeHidden = 'false',
+      includeMetadata = 'true'
     } = req.query;
 
     // Validate restaurant ID
@@ -58,13 +77,36 @@ export default async function handler(req, res) {
       });
     }
 
+    if (dishId !== undefined && (typeof dishId !== 'string' || !dishId)) {
+      return res.status(400).json({
+        error: 'Invalid dish ID',
+        message: 'Dish ID must be a string'
+      });
+    }
+
+    if (source !== undefined && !PHOTO_SOURCES.includes(source)) {
+      return res.status(400).json({
+        error: 'Invalid source',
+        message: `Source must be one of: ${PHOTO_SOURCES.join(', ')}`
+      });
+    }
+
+    // Hidden photos are only shown to the owner and admins
+    const session = includeHidden === 'true' ? await getServerSession(req, res) : null;
+
     // Get restaurant photos
-    const photos = await restaurantService.getRestaurantPhotos(id, {
-      page: pageNum,
-      limit: limitNum,
-      photoType: photoType || undefined,
-      includeMetadata: includeMetadata === 'true'
-    });
+    const photos = await restaurantPhotoService.getRestaurantPhotos(
+      id,
+      {
+        page: pageNum,
+        limit: limitNum,
+        dishId,
+        source,
+        includeHidden: includeHidden === 'true',
+        includeMetadata: includeMetadata === 'true'
+      },
+      session?.user || null
+    );
 
     // Return success response
     res.status(200).json({
@@ -73,14 +115,14 @@ export default async function handler(req, res) {
       pagination: {
         page: pageNum,
         limit: limitNum,
-        total: photos.total || 0,
-        totalPages: Math.ceil((photos.total || 0) / limitNum)
+        total: photos.total,
+        totalPages: Math.ceil(photos.total / limitNum)
       }
     });
 
   } catch (error) {
     console.error('Error fetching restaurant photos:', error);
-    
+
     // Handle specific error types
     if (error.message === 'Restaurant not found') {
       return res.status(404).json({
@@ -96,3 +138,116 @@ export default async function handler(req, res) {
     });
   }
 }
+
+/**
+ * Handle POST request to add an uploaded photo
+ */
+async function handleAddPhoto(req, res) {
+  try {
+    // Get user session for authentication
+    const session = await getServerSession(req, res);
+
+    if (!session || !session.user) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Authentication required to add photos'
+      });
+    }
+
+    const { id } = req.query;
+    const { photoUrl, width, height, caption, dishId } = req.body || {};
+
+    // Validate restaurant ID
+    if (!id || typeof id !== 'string') {
+      return res.status(400).json({
+        error: 'Invalid restaurant ID',
+        message: 'Restaurant ID is required and must be a string'
+      });
+    }
+
+    // Validate photo URL
+    let url;
+    try {
+      url = new URL(photoUrl);
+    } catch {
+      url = null;
+    }
+    if (!url || !['https:', 'http:'].includes(url.protocol)) {
+      return res.status(400).json({
+        error: 'Invalid photo URL',
+        message: 'Photo URL is required and must be an http(s) URL'
+      });
+    }
+
+    // Validate dimensions
+    for (const [name, value] of Object.entries({ width, height })) {
+      if (value !== undefined && (!Number.isInteger(value) || value < 0)) {
+        return res.status(400).json({
+          error: `Invalid ${name}`,
+          message: `${name.charAt(0).toUpperCase() + name.slice(1)} must be a non-negative integer`
+        });
+      }
+    }
+
+    // Validate caption
+    if (caption !== undefined && caption !== null && (typeof caption !== 'string' || caption.length > MAX_CAPTION_LENGTH)) {
+      return res.status(400).json({
+        error: 'Invalid caption',
+        message: `Caption must be a string of at most ${MAX_CAPTION_LENGTH} characters`
+      });
+    }
+
+    if (dishId !== undefined && dishId !== null && (typeof dishId !== 'string' || !dishId)) {
+      return res.status(400).json({
+        error: 'Invalid dish ID',
+        message: 'Dish ID must be a string'
+      });
+    }
+
+    // Add the photo
+    const photo = await restaurantPhotoService.addPhoto(
+      id,
+      {
+        photoUrl: url.toString(),
+        width,
+        height,
+        caption: caption?.trim(),
+        dishId
+      },
+      session.user
+    );
+
+    // Return success response
+    res.status(201).json({
+      success: true,
+      data: photo,
+      message: 'Photo added successfully'
+    });
+
+  } catch (error) {
+    console.error('Error adding restaurant photo:', error);
+
+    // Handle specific error types
+    if (error.message === 'Restaurant not found' || error.message === 'Dish not found') {
+      return res.status(404).json({
+        error: error.message,
+        message: error.message === 'Dish not found'
+          ? 'The specified dish is not on this restaurant\'s menu'
+          : 'The specified restaurant does not exist'
+      });
+    }
+
+    if (error.message === 'User not found') {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Your account could not be found'
+      });
+    }
+
+    // Handle general errors
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to add restaurant photo'
+    });
+  }
+}
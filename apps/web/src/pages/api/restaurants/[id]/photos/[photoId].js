@@ -0,0 +1,144 @@
+/**
+ * API Route: Restaurant Photo
+ *
+ * This API route updates and deletes a photo in a restaurant's gallery.
+ * The restaurant's owner and admins can choose the cover photo, hide or
+ * show photos and change any photo; uploaders can change the caption and
+ * dish of their own photos and delete them.
+ */
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import { getServerSession } from 'next-auth/next';
+import {
+  restaurantPhotoService,
+  MAX_CAPTION_LENGTH
+} from '../../../../../services/restaurantPhotoService.js';
+
+/**
+ * Handler for restaurant photo API endpoint
+ *
+ * @param {NextApiRequest} req - The request object
+ * @param {NextApiResponse} res - The response object
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'PATCH' && req.method !== 'DELETE') {
+    return res.status(405).json({
+      error: 'Method not allowed',
+      message: 'Only PATCH and DELETE requests are supported'
+    });
+  }
+
+  try {
+    // Get user session for authentication
+    const session = await getServerSession(req, res);
+
+    if (!session || !session.user) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Authentication required to manage photos'
+      });
+    }
+
+    const { id, photoId } = req.query;
+
+    // Validate IDs
+    if (!id || typeof id !== 'string' || !photoId || typeof photoId !== 'string') {
+      return res.status(400).json({
+        error: 'Invalid photo ID',
+        message: 'Restaurant ID and photo ID are required and must be strings'
+      });
+    }
+
+    if (req.method === 'DELETE') {
+      await restaurantPhotoService.deletePhoto(id, photoId, session.user);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Photo deleted successfully'
+      });
+    }
+
+    const { caption, dishId, isCover, isHidden } = req.body || {};
+
+    if (caption !== undefined && caption !== null && (typeof caption !== 'string' || caption.length > MAX_CAPTION_LENGTH)) {
+      return res.status(400).json({
+        error: 'Invalid caption',
+        message: `Caption must be a string of at most ${MAX_CAPTION_LENGTH} characters`
+      });
+    }
+
+    if (dishId !== undefined && dishId !== null && (typeof dishId !== 'string' || !dishId)) {
+      return res.status(400).json({
+        error: 'Invalid dish ID',
+        message: 'Dish ID must be a string, or null to clear it'
+      });
+    }
+
+    for (const [name, value] of Object.entries({ isCover, isHidden })) {
+      if (value !== undefined && typeof value !== 'boolean') {
+        return res.status(400).json({
+          error: `Invalid ${name}`,
+          message: `${name} must be a boolean`
+        });
+      }
+    }
+
+    if ([caption, dishId, isCover, isHidden].every(value => value === undefined)) {
+      return res.status(400).json({
+        error: 'No changes',
+        message: 'Provide at least one of caption, dishId, isCover and isHidden'
+      });
+    }
+
+    // Update the photo
+    const photo = await restaurantPhotoService.updatePhoto(
+      id,
+      photoId,
+      {
+        caption: typeof caption === 'string' ? caption.trim() : caption,
+        dishId,
+        isCover,
+        isHidden
+      },
+      session.user
+    );
+
+    // Return success response
+    res.status(200).json({
+      success: true,
+      data: photo,
+      message: 'Photo updated successfully'
+    });
+
+  } catch (error) {
+    console.error('Error managing restaurant photo:', error);
+
+    // Handle specific error types
+    if (['Restaurant not found', 'Photo not found', 'Dish not found'].includes(error.message)) {
+      return res.status(404).json({
+        error: error.message,
+        message: 'The specified restaurant, photo or dish does not exist'
+      });
+    }
+
+    if (error.message === 'Not authorized') {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Only the restaurant owner or the photo\'s uploader can make this change'
+      });
+    }
+
+    if (error.message === 'Photo is hidden') {
+      return res.status(409).json({
+        error: 'Photo is hidden',
+        message: 'A hidden photo cannot be the cover photo'
+      });
+    }
+
+    // Handle general errors
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to update restaurant photo'
+    });
+  }
+}
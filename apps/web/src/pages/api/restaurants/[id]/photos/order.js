@@ -0,0 +1,109 @@
+/**
+ * API Route: Reorder Restaurant Photos
+ *
+ * This API route lets a restaurant's owner, or an admin, reorder its photo
+ * gallery. The listed photos come first in the given order and the rest
+ * follow in their current order; the cover photo is always shown first.
+ */
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import { getServerSession } from 'next-auth/next';
+import { restaurantPhotoService } from '../../../../../services/restaurantPhotoService.js';
+
+/**
+ * Most photos in one reorder
+ */
+const MAX_REORDER_PHOTOS = 500;
+
+/**
+ * Handler for reorder restaurant photos API endpoint
+ *
+ * @param {NextApiRequest} req - The request object
+ * @param {NextApiResponse} res - The response object
+ */
+export default async function handler(req, res) {
+  // Only allow PUT requests
+  if (req.method !== 'PUT') {
+    return res.status(405).json({
+      error: 'Method not allowed',
+      message: 'Only PUT requests are supported'
+    });
+  }
+
+  try {
+    // Get user session for authentication
+    const session = await getServerSession(req, res);
+
+    if (!session || !session.user) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Authentication required to reorder photos'
+      });
+    }
+
+    const { id } = req.query;
+    const { photoIds } = req.body || {};
+
+    // Validate restaurant ID
+    if (!id || typeof id !== 'string') {
+      return res.status(400).json({
+        error: 'Invalid restaurant ID',
+        message: 'Restaurant ID is required and must be a string'
+      });
+    }
+
+    // Validate the new order
+    if (
+      !Array.isArray(photoIds) ||
+      photoIds.length === 0 ||
+      photoIds.length > MAX_REORDER_PHOTOS ||
+      photoIds.some(photoId => typeof photoId !== 'string' || !photoId)
+    ) {
+      return res.status(400).json({
+        error: 'Invalid photo IDs',
+        message: `Photo IDs must be an array of 1 to ${MAX_REORDER_PHOTOS} strings`
+      });
+    }
+
+    if (new Set(photoIds).size !== photoIds.length) {
+      return res.status(400).json({
+        error: 'Duplicate photo',
+        message: 'Each photo can only appear once'
+      });
+    }
+
+    // Reorder the gallery
+    const photos = await restaurantPhotoService.reorderPhotos(id, photoIds, session.user);
+
+    // Return success response
+    res.status(200).json({
+      success: true,
+      data: { photos },
+      message: 'Photos reordered successfully'
+    });
+
+  } catch (error) {
+    console.error('Error reordering restaurant photos:', error);
+
+    // Handle specific error types
+    if (error.message === 'Restaurant not found' || error.message === 'Photo not found') {
+      return res.status(404).json({
+        error: error.message,
+        message: 'The restaurant does not exist or a photo is not in its gallery'
+      });
+    }
+
+    if (error.message === 'Not authorized') {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Only the restaurant owner can reorder its photos'
+      });
+    }
+
+    // Handle general errors
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to reorder restaurant photos'
+    });
+  }
+}
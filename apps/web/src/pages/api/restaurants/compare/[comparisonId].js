@@ -0,0 +1,108 @@
+/**
+ * API Route: Saved Restaurant Comparison
+ *
+ * This API route returns a saved comparison by its short ID, with current
+ * data for its restaurants, as JSON, as CSV with format=csv or as a
+ * printable page with format=html.
+ */
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import {
+  restaurantComparisonService,
+  COMPARISON_EXPORT_COLUMNS
+} from '../../../../services/restaurantComparisonService.js';
+import { isValidCountryCode, getDefaultCountryCode } from '../../../../utils/country.js';
+import { toCsv } from '../../../../utils/csv.js';
+import { getSiteUrl } from '../../../../utils/feed.js';
+import { renderComparisonSummary } from '../../../../utils/comparisonSummary.js';
+
+/**
+ * Formats a comparison can be returned in
+ */
+const COMPARISON_FORMATS = ['json', 'csv', 'html'];
+
+/**
+ * Handler for saved comparison API endpoint
+ *
+ * @param {NextApiRequest} req - The request object
+ * @param {NextApiResponse} res - The response object
+ */
+export default async function handler(req, res) {
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      error: 'Method not allowed',
+      message: 'Only GET requests are supported'
+    });
+  }
+
+  try {
+    const { comparisonId, format = 'json', country } = req.query;
+
+    // Validate comparison ID
+    if (!comparisonId || typeof comparisonId !== 'string') {
+      return res.status(400).json({
+        error: 'Invalid comparison ID',
+        message: 'Comparison ID is required and must be a string'
+      });
+    }
+
+    // Validate format
+    if (!COMPARISON_FORMATS.includes(format)) {
+      return res.status(400).json({
+        error: 'Invalid format',
+        message: `Format must be one of: ${COMPARISON_FORMATS.join(', ')}`
+      });
+    }
+
+    if (country !== undefined && !isValidCountryCode(typeof country === 'string' ? country.toLowerCase() : null)) {
+      return res.status(400).json({
+        error: 'Invalid country',
+        message: 'Country must be a supported country code'
+      });
+    }
+
+    const comparison = await restaurantComparisonService.getComparison(comparisonId);
+
+    if (format === 'csv') {
+      res.setHeader('Content-Disposition', `attachment; filename="bellyfed-comparison-${comparison.id}.csv"`);
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      return res.status(200).send(
+        toCsv(COMPARISON_EXPORT_COLUMNS, restaurantComparisonService.toExportRows(comparison.restaurants))
+      );
+    }
+
+    if (format === 'html') {
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      return res.status(200).send(
+        renderComparisonSummary(comparison, {
+          siteUrl: getSiteUrl(req),
+          country: (country || comparison.restaurants[0]?.countryCode || getDefaultCountryCode()).toLowerCase()
+        })
+      );
+    }
+
+    // Return success response
+    res.status(200).json({
+      success: true,
+      data: comparison
+    });
+
+  } catch (error) {
+    console.error('Error fetching comparison:', error);
+
+    // Handle specific error types
+    if (error.message === 'Comparison not found') {
+      return res.status(404).json({
+        error: 'Comparison not found',
+        message: 'The specified comparison does not exist'
+      });
+    }
+
+    // Handle general errors
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to fetch comparison'
+    });
+  }
+}
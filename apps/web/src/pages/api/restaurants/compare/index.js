@@ -0,0 +1,197 @@
+/**
+ * API Route: Compare Restaurants
+ *
+ * This API route compares 2 to 4 restaurants given in the URL, e.g.
+ * ?ids=a,b,c, as JSON, as CSV with format=csv or as a printable page with
+ * format=html. POSTing the restaurant IDs saves the comparison and returns
+ * its short ID for sharing (see /api/restaurants/compare/[comparisonId]).
+ */
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import { getServerSession } from 'next-auth/next';
+import {
+  restaurantComparisonService,
+  COMPARISON_EXPORT_COLUMNS,
+  MIN_COMPARED_RESTAURANTS,
+  MAX_COMPARED_RESTAURANTS
+} from '../../../../services/restaurantComparisonService.js';
+import { isValidCountryCode } from '../../../../utils/country.js';
+import { toCsv } from '../../../../utils/csv.js';
+import { getSiteUrl } from '../../../../utils/feed.js';
+import { renderComparisonSummary } from '../../../../utils/comparisonSummary.js';
+
+/**
+ * Formats a comparison can be returned in
+ */
+const COMPARISON_FORMATS = ['json', 'csv', 'html'];
+
+/**
+ * Check the restaurant IDs of a comparison
+ * @param {any} restaurantIds - The IDs
+ * @returns {string|null} What is wrong with them, or null if they are valid
+ */
+const validateRestaurantIds = (restaurantIds) => {
+  if (
+    !Array.isArray(restaurantIds) ||
+    restaurantIds.length < MIN_COMPARED_RESTAURANTS ||
+    restaurantIds.length > MAX_COMPARED_RESTAURANTS ||
+    restaurantIds.some(id => typeof id !== 'string' || !id)
+  ) {
+    return `Between ${MIN_COMPARED_RESTAURANTS} and ${MAX_COMPARED_RESTAURANTS} restaurant IDs are required`;
+  }
+  if (new Set(restaurantIds).size !== restaurantIds.length) {
+    return 'Each restaurant can only be compared once';
+  }
+  return null;
+};
+
+/**
+ * Handler for compare restaurants API endpoint
+ *
+ * @param {NextApiRequest} req - The request object
+ * @param {NextApiResponse} res - The response object
+ */
+export default async function handler(req, res) {
+  // Handle different HTTP methods
+  switch (req.method) {
+    case 'GET':
+      return handleCompare(req, res);
+    case 'POST':
+      return handleSaveComparison(req, res);
+    default:
+      return res.status(405).json({
+        error: 'Method not allowed',
+        message: 'Only GET and POST requests are supported'
+      });
+  }
+}
+
+/**
+ * Handle GET request to compare the restaurants in the URL
+ */
+async function handleCompare(req, res) {
+  try {
+    const { ids, format = 'json', country } = req.query;
+    const restaurantIds = typeof ids === 'string' ? ids.split(',').map(id => id.trim()) : null;
+
+    // Validate restaurant IDs
+    const invalid = validateRestaurantIds(restaurantIds);
+    if (invalid) {
+      return res.status(400).json({
+        error: 'Invalid restaurant IDs',
+        message: invalid
+      });
+    }
+
+    // Validate format
+    if (!COMPARISON_FORMATS.includes(format)) {
+      return res.status(400).json({
+        error: 'Invalid format',
+        message: `Format must be one of: ${COMPARISON_FORMATS.join(', ')}`
+      });
+    }
+
+    if (country !== undefined && !isValidCountryCode(typeof country === 'string' ? country.toLowerCase() : null)) {
+      return res.status(400).json({
+        error: 'Invalid country',
+        message: 'Country must be a supported country code'
+      });
+    }
+
+    const restaurants = await restaurantComparisonService.compareRestaurants(restaurantIds);
+
+    if (format === 'csv') {
+      res.setHeader('Content-Disposition', 'attachment; filename="bellyfed-comparison.csv"');
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      return res.status(200).send(
+        toCsv(COMPARISON_EXPORT_COLUMNS, restaurantComparisonService.toExportRows(restaurants))
+      );
+    }
+
+    if (format === 'html') {
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      return res.status(200).send(
+        renderComparisonSummary(
+          { restaurants },
+          {
+            siteUrl: getSiteUrl(req),
+            country: (country || restaurants[0].countryCode).toLowerCase()
+          }
+        )
+      );
+    }
+
+    // Return success response
+    res.status(200).json({
+      success: true,
+      data: { restaurantIds, restaurants }
+    });
+
+  } catch (error) {
+    console.error('Error comparing restaurants:', error);
+
+    // Handle specific error types
+    if (error.message === 'Restaurant not found') {
+      return res.status(404).json({
+        error: 'Restaurant not found',
+        message: 'One or more of the restaurants do not exist'
+      });
+    }
+
+    // Handle general errors
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to compare restaurants'
+    });
+  }
+}
+
+/**
+ * Handle POST request to save a comparison for sharing
+ */
+async function handleSaveComparison(req, res) {
+  try {
+    const { restaurantIds } = req.body || {};
+
+    // Validate restaurant IDs
+    const invalid = validateRestaurantIds(restaurantIds);
+    if (invalid) {
+      return res.status(400).json({
+        error: 'Invalid restaurant IDs',
+        message: invalid
+      });
+    }
+
+    // Signing in is optional; signed in users are recorded as the creator
+    const session = await getServerSession(req, res);
+
+    const comparison = await restaurantComparisonService.saveComparison(
+      restaurantIds,
+      session?.user?.id || null
+    );
+
+    // Return success response
+    res.status(201).json({
+      success: true,
+      data: comparison,
+      message: 'Comparison saved successfully'
+    });
+
+  } catch (error) {
+    console.error('Error saving comparison:', error);
+
+    // Handle specific error types
+    if (error.message === 'Restaurant not found') {
+      return res.status(404).json({
+        error: 'Restaurant not found',
+        message: 'One or more of the restaurants do not exist'
+      });
+    }
+
+    // Handle general errors
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to save comparison'
+    });
+  }
+}
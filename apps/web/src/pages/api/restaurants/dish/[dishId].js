@@ -6,7 +6,7 @@
  */
 
 import { NextApiRequest, NextApiResponse } from 'next';
-import { restaurantService } from '../../../../services/restaurantService.js';
+import { restaurantRepository } from '../../../../services/restaurantRepository.js';
 
 /**
  * Handler for restaurants serving dish API endpoint
@@ -87,7 +87,7 @@ export default async function handler(req, res) {
     }
 
     // Get restaurants serving the dish
-    const restaurants = await restaurantService.getRestaurantsServingDish(dishId, {
+    const restaurants = await restaurantRepository.getRestaurantsServingDish(dishId, {
       page: pageNum,
       limit: limitNum,
       location,
@@ -0,0 +1,65 @@
+/**
+ * API Route: New Restaurants Feed
+ *
+ * This API route serves the restaurants newly added in a country as an
+ * RSS 2.0 feed, or as Atom with format=atom, for feed readers and
+ * aggregators. Conditional requests get a 304 when the feed is unchanged.
+ */
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import { feedService } from '../../../services/feedService.js';
+import { isValidCountryCode, getDefaultCountryCode } from '../../../utils/country.js';
+import { FEED_FORMATS, getSiteUrl, sendFeed } from '../../../utils/feed.js';
+
+/**
+ * Handler for new restaurants feed API endpoint
+ *
+ * @param {NextApiRequest} req - The request object
+ * @param {NextApiResponse} res - The response object
+ */
+export default async function handler(req, res) {
+  // Only allow GET and HEAD requests
+  if (!['GET', 'HEAD'].includes(req.method)) {
+    return res.status(405).json({
+      error: 'Method not allowed',
+      message: 'Only GET requests are supported'
+    });
+  }
+
+  try {
+    const { country = getDefaultCountryCode(), format = 'rss' } = req.query;
+
+    // Validate country
+    if (!isValidCountryCode(typeof country === 'string' ? country.toLowerCase() : null)) {
+      return res.status(400).json({
+        error: 'Invalid country',
+        message: 'Country must be a supported country code'
+      });
+    }
+
+    // Validate format
+    if (!FEED_FORMATS.includes(format)) {
+      return res.status(400).json({
+        error: 'Invalid format',
+        message: `Format must be one of: ${FEED_FORMATS.join(', ')}`
+      });
+    }
+
+    const siteUrl = getSiteUrl(req);
+    const feed = await feedService.getNewRestaurantsFeed(country, {
+      siteUrl,
+      selfUrl: `${siteUrl}${req.url}`
+    });
+
+    sendFeed(req, res, feed, format);
+
+  } catch (error) {
+    console.error('Error building new restaurants feed:', error);
+
+    // Handle general errors
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to build the restaurants feed'
+    });
+  }
+}
@@ -12,7 +12,7 @@
  * - Caching support
  */
 
-import { restaurantService } from '../../../services/restaurantService.js'
+import { restaurantRepository } from '../../../services/restaurantRepository.js'
 
 /**
  * Default pagination settings
@@ -152,7 +152,7 @@ const getRestaurantsList = async (req, res) => {
     const filters = buildFilters(params)
 
     // Get restaurants with filters and pagination
-    const result = await restaurantService.getRestaurants({
+    const result = await restaurantRepository.getRestaurants({
       filters,
       pagination: {
         limit: params.limit,
@@ -5,14 +5,16 @@
  * Supports text search, location-based search, and complex filtering.
  * 
  * Features:
- * - Full-text search across restaurant data
+ * - Full-text search across restaurant names, cuisines, addresses and dishes, tolerating typos
+ * - Relevance ranking blending text match, distance and rating
  * - Location-based search with radius
  * - Multiple filter combinations
+ * - Open-now filtering in each restaurant's timezone
  * - Autocomplete suggestions
  * - Search analytics tracking
  */
 
-import { restaurantService } from '../../../services/restaurantService.js'
+import { restaurantRepository } from '../../../services/restaurantRepository.js'
 import { analyticsService } from '../../../services/analyticsService.js'
 
 /**
@@ -38,7 +40,8 @@ const parseSearchParams = (query) => {
     longitude = '',
     radius = '10',
     sortBy = 'relevance',
-    includeClosedRestaurants = 'false',
+    includeClosedRestaurants = 'true',
+    openNow = 'false',
     autocomplete = 'false'
   } = query
 
@@ -71,7 +74,8 @@ const parseSearchParams = (query) => {
     longitude: lng,
     radius: radiusNum,
     sortBy,
-    includeClosedRestaurants: includeClosedRestaurants === 'true',
+    includeClosedRestaurants: includeClosedRestaurants !== 'false',
+    openNow: openNow === 'true',
     autocomplete: autocomplete === 'true'
   }
 }
@@ -80,8 +84,11 @@ const parseSearchParams = (query) => {
  * Build search filters
  */
 const buildSearchFilters = (params) => {
-  const filters = {
-    includeClosedRestaurants: params.includeClosedRestaurants
+  const filters = {}
+
+  // Excluding closed restaurants means keeping only those open right now
+  if (params.openNow || !params.includeClosedRestaurants) {
+    filters.openNow = true
   }
 
   if (params.cuisine) {
@@ -129,7 +136,7 @@ const getAutocompleteSuggestions = async (params) => {
       }
     }
 
-    const suggestions = await restaurantService.getAutocompleteSuggestions({
+    const suggestions = await restaurantRepository.getAutocompleteSuggestions({
       query: params.query,
       limit: Math.min(10, params.limit),
       filters: buildSearchFilters(params)
@@ -152,7 +159,7 @@ const searchRestaurants = async (params) => {
   try {
     const filters = buildSearchFilters(params)
 
-    const result = await restaurantService.searchRestaurants({
+    const result = await restaurantRepository.searchRestaurants({
       query: params.query,
       filters,
       pagination: {
@@ -258,6 +265,7 @@ const handleSearch = async (req, res) => {
         minRating: params.minRating,
         maxRating: params.maxRating,
         priceRange: params.priceRange,
+        openNow: params.openNow || !params.includeClosedRestaurants,
         sortBy: params.sortBy,
         radius: params.radius
       },
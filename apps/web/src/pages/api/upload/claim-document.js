@@ -0,0 +1,82 @@
+import { withApiAuthRequired } from '@bellyfed/utils';
+import { S3Client, PutObjectCommand } from '@aws-sdk/client-s3';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+import crypto from 'crypto';
+
+/**
+ * Document types accepted as proof of owning a restaurant
+ */
+const DOCUMENT_TYPES = {
+  'application/pdf': 'pdf',
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+};
+
+/**
+ * Generate a pre-signed URL for uploading a restaurant claim document to S3
+ * (see /api/restaurants/[id]/claim)
+ *
+ * @param {import('next').NextApiRequest} req - The request object
+ * @param {import('next').NextApiResponse} res - The response object
+ */
+async function handler(req, res) {
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { contentType } = req.body;
+
+    // Validate content type
+    if (!contentType) {
+      return res.status(400).json({ error: 'Content type is required' });
+    }
+
+    // Only allow PDFs and photos of documents
+    if (!DOCUMENT_TYPES[contentType]) {
+      return res.status(400).json({ error: 'Only PDF, JPEG and PNG documents are allowed' });
+    }
+
+    // Generate a unique filename
+    const fileId = crypto.randomUUID();
+    const key = `claim-documents/${fileId}.${DOCUMENT_TYPES[contentType]}`;
+
+    // Create S3 client
+    const s3Client = new S3Client({
+      region: process.env.AWS_REGION || 'ap-southeast-1',
+      credentials: {
+        accessKeyId: process.env.AWS_ACCESS_KEY_ID || '',
+        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY || '',
+      },
+    });
+
+    // Create the command to put an object in S3
+    const command = new PutObjectCommand({
+      Bucket: process.env.AWS_S3_BUCKET || 'bellyfed-uploads',
+      Key: key,
+      ContentType: contentType,
+    });
+
+    // Generate a pre-signed URL for uploading
+    const uploadUrl = await getSignedUrl(s3Client, command, { expiresIn: 3600 });
+
+    // Generate the URL for the uploaded document
+    const documentUrl = `https://${process.env.AWS_S3_BUCKET}.s3.${
+      process.env.AWS_REGION || 'ap-southeast-1'
+    }.amazonaws.com/${key}`;
+
+    // Return the upload URL and document URL
+    return res.status(200).json({
+      data: {
+        uploadUrl,
+        documentUrl,
+      },
+    });
+  } catch (error) {
+    console.error('Error generating pre-signed URL:', error);
+    return res.status(500).json({ error: 'Failed to generate upload URL' });
+  }
+}
+
+export default withApiAuthRequired(handler);
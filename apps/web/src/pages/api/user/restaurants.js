@@ -0,0 +1,55 @@
+/**
+ * API Route: My Restaurants
+ *
+ * This API route lists the restaurants the signed in user owns, for the
+ * restaurant management pages, and their open claims to others.
+ */
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import { getServerSession } from 'next-auth/next';
+import { restaurantOwnershipService } from '../../../services/restaurantOwnershipService.js';
+
+/**
+ * Handler for owned restaurants API endpoint
+ *
+ * @param {NextApiRequest} req - The request object
+ * @param {NextApiResponse} res - The response object
+ */
+export default async function handler(req, res) {
+  // Only allow GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      error: 'Method not allowed',
+      message: 'Only GET requests are supported'
+    });
+  }
+
+  try {
+    // Get user session for authentication
+    const session = await getServerSession(req, res);
+
+    if (!session || !session.user) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Authentication required'
+      });
+    }
+
+    const result = await restaurantOwnershipService.getOwnedRestaurants(session.user.id);
+
+    // Return success response
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Error fetching owned restaurants:', error);
+
+    // Handle general errors
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to fetch owned restaurants'
+    });
+  }
+}
@@ -26,6 +26,7 @@ export default function UserProfilePage() {
   const [isLoading, setIsLoading] = useState(true)
   const [isFollowing, setIsFollowing] = useState(false)
   const [isFollowLoading, setIsFollowLoading] = useState(false)
+  const [tasteMatch, setTasteMatch] = useState(null)
 
   // Mock user profile data
   useEffect(() => {
@@ -90,6 +91,27 @@ export default function UserProfilePage() {
     }
   }, [userId])
 
+  // Compare the signed-in user's rankings with this user's
+  useEffect(() => {
+    if (!userId || !currentUser || currentUser.id === userId) {
+      setTasteMatch(null)
+      return
+    }
+
+    const loadTasteMatch = async () => {
+      try {
+        const params = new URLSearchParams({ userId: currentUser.id, otherUserId: userId })
+        const response = await fetch(`/api/rankings/compatibility?${params}`)
+        const result = response.ok ? await response.json() : null
+        setTasteMatch(result?.data || null)
+      } catch (error) {
+        console.error('Failed to load taste compatibility:', error)
+      }
+    }
+
+    loadTasteMatch()
+  }, [userId, currentUser])
+
   const handleFollow = async () => {
     setIsFollowLoading(true)
     try {
@@ -238,6 +260,20 @@ export default function UserProfilePage() {
                 </p>
               )}
 
+              {/* Taste Compatibility */}
+              {tasteMatch?.compatibility != null && (
+                <div className="flex items-center mt-4 text-sm text-orange-800 dark:text-orange-200">
+                  <Heart className="w-4 h-4 mr-2 text-orange-500" />
+                  <span>
+                    You and {profile.firstName} are{' '}
+                    <span className="font-semibold">{tasteMatch.compatibility}% taste-compatible</span>
+                  </span>
+                  <span className="ml-2 text-orange-500 dark:text-orange-400">
+                    ({tasteMatch.sharedDishCount} {tasteMatch.sharedDishCount === 1 ? 'dish' : 'dishes'} in common)
+                  </span>
+                </div>
+              )}
+
               {/* Stats */}
               <div className="flex items-center space-x-6 mt-4">
                 <div className="text-center">
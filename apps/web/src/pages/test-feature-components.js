@@ -620,10 +620,10 @@ const ClientOnlyTestFeatureComponents = () => {
         <h3 className="text-lg font-semibold mb-4">Restaurant Comparison</h3>
         <RestaurantComparison
           restaurantIds={['rest-1', 'rest-2', 'rest-3']}
-          comparisonCriteria={['rating', 'price', 'service', 'ambiance']}
+          comparisonCriteria={['rating', 'price', 'bestPosition', 'weeklyHours']}
           showPhotos={true}
-          showReviews={true}
-          showMenuHighlights={true}
+          showLeaderboards={true}
+          showHours={true}
         />
       </Card>
 
@@ -1551,8 +1551,6 @@ const ClientOnlyTestFeatureComponents = () => {
           minPartySize={1}
           maxPartySize={12}
           advanceBookingDays={30}
-          timeSlotInterval={30}
-          operatingHours={{ open: '11:00', close: '22:00' }}
           onReservationComplete={(result) => console.log('Reservation:', result)}
         />
       </Card>
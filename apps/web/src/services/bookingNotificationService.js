@@ -0,0 +1,356 @@
+/**
+ * Booking Notification Service
+ * This service tells guests about their table bookings. Each booking has
+ * an iCalendar event, in the restaurant's timezone and at its address,
+ * that guests can download; the same event is attached to the booking
+ * events sent when a booking is made, confirmed or cancelled, keeping its
+ * UID and raising its SEQUENCE so calendar apps update the event they
+ * have. Confirmed bookings get reminder jobs 24 hours and 2 hours before
+ * they start, which sendDueReminders sends as booking events; consumers of
+ * booking events deliver them. Each reminder is claimed before it is sent
+ * and settled after, so no row stays locked while an event goes out.
+ */
+
+import { query } from '../utils/postgres.js';
+import { getRestaurantTimezone } from '../utils/openingHours.js';
+import { buildCalendar } from '../utils/icalendar.js';
+import { BookingEventType, bookingEvent } from '../utils/events.js';
+
+/**
+ * Reminders of a confirmed booking, by how long before it starts they go out
+ */
+export const BOOKING_REMINDERS = [
+  { kind: '24h', minutesBefore: 24 * 60 },
+  { kind: '2h', minutesBefore: 2 * 60 },
+];
+
+/**
+ * States of a reminder job
+ */
+export const ReminderStatus = {
+  SCHEDULED: 'scheduled',
+  SENDING: 'sending',
+  SENT: 'sent',
+  CANCELLED: 'cancelled',
+  FAILED: 'failed',
+};
+
+// Failed sends of a reminder before it is given up
+const MAX_REMINDER_ATTEMPTS = 5;
+
+// How long a run has to send a reminder it claimed before another run may
+// claim it again, e.g. after the first one crashed
+const SENDING_TIMEOUT_MS = 10 * 60 * 1000;
+
+// Domain of calendar event UIDs
+const CALENDAR_DOMAIN = 'bellyfed.com';
+
+// Address calendar events are organized from, on behalf of the restaurant
+const ORGANIZER_EMAIL = 'bookings@bellyfed.com';
+
+/**
+ * Calendar event status of each booking status
+ */
+const CALENDAR_STATUSES = {
+  pending: 'TENTATIVE',
+  confirmed: 'CONFIRMED',
+  seated: 'CONFIRMED',
+  no_show: 'CONFIRMED',
+  cancelled: 'CANCELLED',
+};
+
+/**
+ * Columns of a booking with what its calendar event and notifications
+ * need of its restaurant. Bookings are aliased as b, tables as t and
+ * restaurants as r.
+ */
+const DETAILS_COLUMNS = `
+  b."id", b."restaurantId", b."userId", b."status", b."partySize", to_char(b."date", 'YYYY-MM-DD') AS "date",
+  b."time", b."startsAt", b."endsAt", b."guestName", b."guestEmail", b."guestPhone", b."specialRequests",
+  b."cancellationReason", b."calendarSequence", b."updatedAt", t."name" AS "tableName",
+  r."name" AS "restaurantName", r."address", r."latitude", r."longitude", r."phone" AS "restaurantPhone",
+  r."countryCode", r."timezone"
+`;
+
+/**
+ * Fetch a booking with its restaurant's details
+ * @param {Object} client - The database client
+ * @param {string} bookingId - The booking ID
+ * @returns {Promise<Object>} The booking
+ */
+async function fetchBookingDetails(client, bookingId) {
+  const result = await client.query(
+    `SELECT ${DETAILS_COLUMNS}
+     FROM "Booking" b
+     JOIN "Restaurant" r ON r."id" = b."restaurantId"
+     LEFT JOIN "BookingTable" t ON t."id" = b."tableId"
+     WHERE b."id" = $1`,
+    [bookingId]
+  );
+  if (result.rows.length === 0) {
+    throw new Error('Booking not found');
+  }
+  return result.rows[0];
+}
+
+/**
+ * Write a booking's calendar file
+ * @param {Object} booking - The booking with its restaurant's details
+ * @param {string} method - PUBLISH to download, REQUEST or CANCEL to send
+ * @param {Date} now - The moment of writing
+ * @returns {Object} The file as { filename, contentType, content }
+ */
+function toCalendarFile(booking, method, now) {
+  const description = [
+    `Table for ${booking.partySize} booked by ${booking.guestName}`,
+    booking.tableName && `Table: ${booking.tableName}`,
+    booking.specialRequests && `Special requests: ${booking.specialRequests}`,
+    booking.restaurantPhone && `Restaurant phone: ${booking.restaurantPhone}`,
+    booking.cancellationReason && `Cancelled: ${booking.cancellationReason}`,
+  ].filter(Boolean);
+
+  const content = buildCalendar(
+    {
+      uid: `booking-${booking.id}@${CALENDAR_DOMAIN}`,
+      sequence: booking.calendarSequence,
+      status: CALENDAR_STATUSES[booking.status],
+      start: new Date(booking.startsAt),
+      end: new Date(booking.endsAt),
+      timezone: getRestaurantTimezone(booking),
+      summary: `Table for ${booking.partySize} at ${booking.restaurantName}`,
+      description: description.join('\n'),
+      location: booking.address,
+      geo: { latitude: booking.latitude, longitude: booking.longitude },
+      organizer: { name: booking.restaurantName, email: ORGANIZER_EMAIL },
+      attendee: { name: booking.guestName, email: booking.guestEmail },
+      lastModified: new Date(booking.updatedAt),
+    },
+    { method, stamp: now }
+  );
+
+  return {
+    filename: `bellyfed-booking-${booking.date}.ics`,
+    contentType: `text/calendar; charset=utf-8; method=${method}`,
+    content,
+  };
+}
+
+/**
+ * Build the detail of a booking event
+ * @param {Object} booking - The booking with its restaurant's details
+ * @param {string} eventType - The BookingEventType
+ * @param {Date} now - The moment of sending
+ * @returns {Object} The event detail, with the calendar file attached
+ */
+function toEventDetail(booking, eventType, now) {
+  return {
+    bookingId: booking.id,
+    restaurantId: booking.restaurantId,
+    restaurantName: booking.restaurantName,
+    address: booking.address,
+    timezone: getRestaurantTimezone(booking),
+    userId: booking.userId,
+    status: booking.status,
+    date: booking.date,
+    time: booking.time,
+    partySize: booking.partySize,
+    startsAt: new Date(booking.startsAt).toISOString(),
+    endsAt: new Date(booking.endsAt).toISOString(),
+    tableName: booking.tableName,
+    guestName: booking.guestName,
+    guestEmail: booking.guestEmail,
+    guestPhone: booking.guestPhone,
+    cancellationReason: booking.cancellationReason,
+    calendar: toCalendarFile(booking, eventType === BookingEventType.CANCELLED ? 'CANCEL' : 'REQUEST', now),
+  };
+}
+
+/**
+ * Check whether a due reminder should still go out: its booking is still
+ * confirmed and hasn't started, and a later reminder isn't due as well
+ * @param {Object} booking - The booking
+ * @param {string} kind - The reminder's kind
+ * @param {Date} now - The moment of sending
+ * @returns {boolean} Whether to send the reminder
+ */
+function isReminderWanted(booking, kind, now) {
+  const startsAt = new Date(booking.startsAt).getTime();
+  const { minutesBefore } = BOOKING_REMINDERS.find((reminder) => reminder.kind === kind);
+  const superseded = BOOKING_REMINDERS.some(
+    (reminder) => reminder.minutesBefore < minutesBefore && startsAt - reminder.minutesBefore * 60 * 1000 <= now.getTime()
+  );
+  return booking.status === 'confirmed' && startsAt > now.getTime() && !superseded;
+}
+
+/**
+ * Claim the next due reminder for sending, counting the attempt. Runs as
+ * a statement of its own, so the claim is committed before the reminder
+ * goes out and other runs move on to other reminders.
+ * @param {Date} now - The moment of sending
+ * @param {Array<string>} tried - IDs of reminders this run already tried
+ * @returns {Promise<Object|null>} The reminder, or null when none is due
+ */
+async function claimDueReminder(now, tried) {
+  const result = await query(
+    `UPDATE "BookingReminder"
+     SET "status" = $1, "attempts" = "attempts" + 1, "updatedAt" = $2
+     WHERE "id" = (
+       SELECT "id"
+       FROM "BookingReminder"
+       WHERE (("status" = $3 AND "sendAt" <= $2) OR ("status" = $1 AND "updatedAt" <= $4))
+         AND NOT ("id" = ANY($5::text[]))
+       ORDER BY "sendAt"
+       LIMIT 1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING "id", "bookingId", "kind", "attempts"`,
+    [ReminderStatus.SENDING, now, ReminderStatus.SCHEDULED, new Date(now.getTime() - SENDING_TIMEOUT_MS), tried]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Record how a claimed reminder went
+ * @param {string} reminderId - The reminder ID
+ * @param {Object} outcome - The new status, and sentAt or lastError
+ * @param {Date} now - The moment of sending
+ * @returns {Promise<void>}
+ */
+async function settleReminder(reminderId, { status, sentAt = null, lastError = null }, now) {
+  await query(
+    `UPDATE "BookingReminder" SET "status" = $2, "sentAt" = $3, "lastError" = $4, "updatedAt" = $5
+     WHERE "id" = $1`,
+    [reminderId, status, sentAt, lastError, now]
+  );
+}
+
+class BookingNotificationService {
+  /**
+   * Get a booking's calendar file to download
+   * @param {string} bookingId - The booking ID
+   * @param {Date} [now] - The moment of writing
+   * @returns {Promise<Object>} The file as { filename, contentType, content }
+   */
+  async getCalendar(bookingId, now = new Date()) {
+    const booking = await fetchBookingDetails({ query }, bookingId);
+    return toCalendarFile(booking, 'PUBLISH', now);
+  }
+
+  /**
+   * Tell the guest about their booking with a booking event. The booking
+   * stands if telling them fails.
+   * @param {string} eventType - The BookingEventType
+   * @param {string} bookingId - The booking ID
+   * @param {Date} [now] - The moment of sending
+   * @returns {Promise<boolean>} Whether the event was sent
+   */
+  async notify(eventType, bookingId, now = new Date()) {
+    try {
+      const booking = await fetchBookingDetails({ query }, bookingId);
+      await bookingEvent(eventType, toEventDetail(booking, eventType, now));
+      return true;
+    } catch (error) {
+      console.error('Error sending booking event:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Schedule the reminders of a confirmed booking, in the transaction
+   * confirming it. Reminders whose time has passed are left out.
+   * @param {Object} client - The database client
+   * @param {Object} booking - The booking, with id and startsAt
+   * @param {Date} [now] - The moment of confirming
+   * @returns {Promise<void>}
+   */
+  async scheduleReminders(client, { id, startsAt }, now = new Date()) {
+    for (const { kind, minutesBefore } of BOOKING_REMINDERS) {
+      const sendAt = new Date(new Date(startsAt).getTime() - minutesBefore * 60 * 1000);
+      if (sendAt <= now) {
+        continue;
+      }
+
+      await client.query(
+        `INSERT INTO "BookingReminder" ("id", "bookingId", "kind", "sendAt", "status", "createdAt", "updatedAt")
+         VALUES (gen_random_uuid(), $1, $2, $3, $4, $5, $5)
+         ON CONFLICT ("bookingId", "kind") DO UPDATE
+         SET "sendAt" = EXCLUDED."sendAt", "status" = EXCLUDED."status", "attempts" = 0, "sentAt" = NULL,
+             "lastError" = NULL, "updatedAt" = EXCLUDED."updatedAt"`,
+        [id, kind, sendAt, ReminderStatus.SCHEDULED, now]
+      );
+    }
+  }
+
+  /**
+   * Cancel a booking's reminders that haven't gone out, in the transaction
+   * ending it
+   * @param {Object} client - The database client
+   * @param {string} bookingId - The booking ID
+   * @param {Date} [now] - The moment of ending
+   * @returns {Promise<void>}
+   */
+  async cancelReminders(client, bookingId, now = new Date()) {
+    await client.query(
+      `UPDATE "BookingReminder" SET "status" = $2, "updatedAt" = $3
+       WHERE "bookingId" = $1 AND "status" = $4`,
+      [bookingId, ReminderStatus.CANCELLED, now, ReminderStatus.SCHEDULED]
+    );
+  }
+
+  /**
+   * Send the reminders that are due, oldest first, one at a time.
+   * Reminders of bookings that are no longer confirmed, have started, or
+   * have a later reminder due too are skipped; a reminder that can't be
+   * sent is tried again on the next run, up to 5 times. Reminders claimed
+   * by another run are left to it, unless it has held them too long.
+   * @param {Object} [options] - Options
+   * @param {number} [options.limit] - The most reminders to send
+   * @param {Date} [now] - The moment of sending
+   * @returns {Promise<Object>} How many reminders were sent, skipped and failed
+   */
+  async sendDueReminders({ limit = 100 } = {}, now = new Date()) {
+    const counts = { sent: 0, skipped: 0, failed: 0 };
+    const tried = [];
+    while (tried.length < limit) {
+      const reminder = await claimDueReminder(now, tried);
+      if (!reminder) {
+        break;
+      }
+      tried.push(reminder.id);
+
+      const booking = await fetchBookingDetails({ query }, reminder.bookingId);
+      if (!isReminderWanted(booking, reminder.kind, now)) {
+        await settleReminder(reminder.id, { status: ReminderStatus.CANCELLED }, now);
+        counts.skipped++;
+        continue;
+      }
+
+      try {
+        await bookingEvent(BookingEventType.REMINDER_DUE, {
+          ...toEventDetail(booking, BookingEventType.REMINDER_DUE, now),
+          reminder: reminder.kind,
+        });
+      } catch (error) {
+        console.error('Error sending booking reminder:', error);
+        await settleReminder(
+          reminder.id,
+          {
+            status: reminder.attempts >= MAX_REMINDER_ATTEMPTS ? ReminderStatus.FAILED : ReminderStatus.SCHEDULED,
+            lastError: error.message,
+          },
+          now
+        );
+        counts.failed++;
+        continue;
+      }
+
+      await settleReminder(reminder.id, { status: ReminderStatus.SENT, sentAt: now }, now);
+      counts.sent++;
+    }
+
+    return counts;
+  }
+}
+
+// Export a singleton instance
+export const bookingNotificationService = new BookingNotificationService();
@@ -0,0 +1,832 @@
+/**
+ * Booking Service
+ * This service takes table bookings for restaurants. Bookable times come
+ * from the restaurant's opening hours and its booking settings: slot
+ * interval, turn time, party sizes, how far ahead and at what notice it
+ * takes bookings, and blackout days. Capacity is counted by table or by
+ * covers. A guest first holds a slot, which keeps its table for a few
+ * minutes while they enter their details; holds and bookings lock the
+ * restaurant's settings row, so two guests can't take the last table.
+ * Bookings then go through pending, confirmed, seated, no-show or
+ * cancelled, managed by the restaurant. The guest is told of each booking,
+ * confirmation and cancellation with its calendar event, and reminded of
+ * confirmed bookings; see bookingNotificationService.
+ */
+
+import { query, transaction } from '../utils/postgres.js';
+import { addDays, getLocalTime, getRestaurantTimezone } from '../utils/openingHours.js';
+import { fitParty, getBookingSlots } from '../utils/bookingSlots.js';
+import { canManageRestaurant, restaurantOwnershipService } from './restaurantOwnershipService.js';
+import { bookingNotificationService } from './bookingNotificationService.js';
+import { BookingEventType } from '../utils/events.js';
+
+/**
+ * States of a booking
+ */
+export const BookingStatus = {
+  HELD: 'held',
+  PENDING: 'pending',
+  CONFIRMED: 'confirmed',
+  SEATED: 'seated',
+  NO_SHOW: 'no_show',
+  CANCELLED: 'cancelled',
+};
+
+/**
+ * Status changes the restaurant can make. Holds only become bookings when
+ * the guest completes them.
+ */
+const STATUS_TRANSITIONS = {
+  [BookingStatus.HELD]: [BookingStatus.CANCELLED],
+  [BookingStatus.PENDING]: [BookingStatus.CONFIRMED, BookingStatus.CANCELLED],
+  [BookingStatus.CONFIRMED]: [BookingStatus.SEATED, BookingStatus.NO_SHOW, BookingStatus.CANCELLED],
+  [BookingStatus.SEATED]: [],
+  [BookingStatus.NO_SHOW]: [],
+  [BookingStatus.CANCELLED]: [],
+};
+
+/**
+ * Events the guest is sent when a booking moves to a status. Holds are
+ * cancelled without telling anyone.
+ */
+const STATUS_EVENTS = {
+  [BookingStatus.CONFIRMED]: BookingEventType.UPDATED,
+  [BookingStatus.CANCELLED]: BookingEventType.CANCELLED,
+};
+
+/**
+ * Why a day has no bookable slots
+ */
+export const UnavailableReason = {
+  NOT_ACCEPTING: 'not_accepting',
+  PARTY_SIZE: 'party_size',
+  PAST: 'past',
+  TOO_FAR_AHEAD: 'too_far_ahead',
+  BLACKOUT: 'blackout',
+  CLOSED: 'closed',
+};
+
+/**
+ * Settings of restaurants that haven't set up bookings, which don't take any
+ */
+const DEFAULT_SETTINGS = {
+  acceptsBookings: false,
+  capacityMode: 'tables',
+  maxCovers: null,
+  slotInterval: 30,
+  turnTime: 90,
+  minPartySize: 1,
+  maxPartySize: 12,
+  advanceBookingDays: 30,
+  minNoticeMinutes: 60,
+  holdMinutes: 10,
+  autoConfirm: true,
+};
+
+// Settings fields an owner can change, in update order
+const SETTINGS_FIELDS = Object.keys(DEFAULT_SETTINGS);
+
+/**
+ * Date ranges the restaurant's bookings can be listed for, as days from today
+ */
+const LIST_RANGES = {
+  today: [0, 0],
+  tomorrow: [1, 1],
+  week: [0, 6],
+  month: [0, 29],
+};
+
+/**
+ * Booking columns returned to callers, with the table's name. Bookings are
+ * aliased as b.
+ */
+const BOOKING_COLUMNS = `
+  b."id", b."restaurantId", b."userId", b."tableId", t."name" AS "tableName", b."status", b."partySize",
+  to_char(b."date", 'YYYY-MM-DD') AS "date", b."time", b."startsAt", b."endsAt",
+  b."guestName", b."guestEmail", b."guestPhone", b."specialRequests", b."dietaryRequirements",
+  b."occasion", b."seatingPreference", b."holdExpiresAt", b."confirmedAt", b."seatedAt", b."noShowAt",
+  b."cancelledAt", b."cancelledBy", b."cancellationReason", b."createdAt", b."updatedAt"
+`;
+
+/**
+ * Condition for bookings that take up capacity at a moment, given as $2:
+ * live bookings and holds that haven't lapsed. Bookings are aliased as b.
+ */
+const HOLDS_CAPACITY = `(
+  b."status" IN ('pending', 'confirmed', 'seated')
+  OR (b."status" = 'held' AND b."holdExpiresAt" > $2)
+)`;
+
+/**
+ * Fetch a restaurant that has not been deleted, with what's needed to
+ * tell its managers apart from its guests
+ * @param {Object} client - The database client
+ * @param {string} restaurantId - The restaurant ID
+ * @returns {Promise<Object>} The restaurant
+ */
+async function fetchRestaurant(client, restaurantId) {
+  const result = await client.query(
+    `SELECT r."id", r."name", r."address", r."countryCode", r."timezone", r."ownerId", u."cognitoId" AS "ownerCognitoId"
+     FROM "Restaurant" r
+     LEFT JOIN "User" u ON u."id" = r."ownerId"
+     WHERE r."id" = $1 AND r."deletedAt" IS NULL`,
+    [restaurantId]
+  );
+  if (result.rows.length === 0) {
+    throw new Error('Restaurant not found');
+  }
+  return result.rows[0];
+}
+
+/**
+ * Fetch a restaurant's booking settings
+ * @param {Object} client - The database client
+ * @param {string} restaurantId - The restaurant ID
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.lock] - Lock the settings row, to serialize holds and bookings
+ * @returns {Promise<Object>} The settings, or the defaults with a null
+ *   updatedAt if bookings were never set up
+ */
+async function fetchSettings(client, restaurantId, { lock = false } = {}) {
+  const result = await client.query(
+    `SELECT ${SETTINGS_FIELDS.map((field) => `"${field}"`).join(', ')}, "updatedAt"
+     FROM "BookingSettings"
+     WHERE "restaurantId" = $1
+     ${lock ? 'FOR UPDATE' : ''}`,
+    [restaurantId]
+  );
+  return result.rows[0] || { ...DEFAULT_SETTINGS, updatedAt: null };
+}
+
+/**
+ * Fetch one of a restaurant's bookings
+ * @param {Object} client - The database client
+ * @param {string} restaurantId - The restaurant ID
+ * @param {string} bookingId - The booking ID
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.lock] - Lock the booking row
+ * @returns {Promise<Object>} The booking
+ */
+async function fetchBooking(client, restaurantId, bookingId, { lock = false } = {}) {
+  const result = await client.query(
+    `SELECT ${BOOKING_COLUMNS}
+     FROM "Booking" b
+     LEFT JOIN "BookingTable" t ON t."id" = b."tableId"
+     WHERE b."id" = $1 AND b."restaurantId" = $2
+     ${lock ? 'FOR UPDATE OF b' : ''}`,
+    [bookingId, restaurantId]
+  );
+  if (result.rows.length === 0) {
+    throw new Error('Booking not found');
+  }
+  return result.rows[0];
+}
+
+/**
+ * Work out the bookable slots of a day, with whether a party fits in each
+ * @param {Object} client - The database client
+ * @param {Object} restaurant - The restaurant
+ * @param {Object} settings - Its booking settings
+ * @param {string} date - The local date as YYYY-MM-DD
+ * @param {number} partySize - The party size
+ * @param {Date} now - The moment of booking
+ * @returns {Promise<Object>} The slots as { time, startsAt, endsAt, available, tableId },
+ *   or why there are none, with the blackout reason if any
+ */
+async function getDaySlots(client, restaurant, settings, date, partySize, now) {
+  const timezone = getRestaurantTimezone(restaurant);
+  const today = getLocalTime(now, timezone).date;
+  const unavailable = (reason, blackoutReason = null) => ({ slots: [], unavailableReason: reason, blackoutReason });
+
+  if (!settings.acceptsBookings) {
+    return unavailable(UnavailableReason.NOT_ACCEPTING);
+  }
+  if (partySize < settings.minPartySize || partySize > settings.maxPartySize) {
+    return unavailable(UnavailableReason.PARTY_SIZE);
+  }
+  if (date < today) {
+    return unavailable(UnavailableReason.PAST);
+  }
+  if (date > addDays(today, settings.advanceBookingDays)) {
+    return unavailable(UnavailableReason.TOO_FAR_AHEAD);
+  }
+
+  const [blackoutResult, hoursResult, specialResult] = await Promise.all([
+    client.query('SELECT "reason" FROM "BookingBlackout" WHERE "restaurantId" = $1 AND "date" = $2', [
+      restaurant.id,
+      date,
+    ]),
+    client.query('SELECT "dayOfWeek", "openTime", "closeTime" FROM "RestaurantHour" WHERE "restaurantId" = $1', [
+      restaurant.id,
+    ]),
+    client.query(
+      `SELECT to_char("date", 'YYYY-MM-DD') AS "date", "openTime", "closeTime", "isClosed"
+       FROM "RestaurantSpecialHour" WHERE "restaurantId" = $1 AND "date" = $2`,
+      [restaurant.id, date]
+    ),
+  ]);
+  if (blackoutResult.rows.length > 0) {
+    return unavailable(UnavailableReason.BLACKOUT, blackoutResult.rows[0].reason);
+  }
+
+  // Slots inside the notice period are left out
+  const earliest = new Date(now.getTime() + settings.minNoticeMinutes * 60 * 1000);
+  const slots = getBookingSlots(
+    { hours: hoursResult.rows, specialHours: specialResult.rows, timezone },
+    date,
+    settings
+  ).filter((slot) => slot.startsAt >= earliest);
+  if (slots.length === 0) {
+    return unavailable(UnavailableReason.CLOSED);
+  }
+
+  const [tablesResult, bookingsResult] = await Promise.all([
+    client.query(
+      `SELECT "id", "minCapacity", "maxCapacity" FROM "BookingTable"
+       WHERE "restaurantId" = $1 AND "isActive"`,
+      [restaurant.id]
+    ),
+    client.query(
+      `SELECT b."id", b."tableId", b."partySize", b."startsAt", b."endsAt"
+       FROM "Booking" b
+       WHERE b."restaurantId" = $1 AND ${HOLDS_CAPACITY}
+         AND b."startsAt" < $3 AND b."endsAt" > $4`,
+      [restaurant.id, now, slots[slots.length - 1].endsAt, slots[0].startsAt]
+    ),
+  ]);
+  const capacity = {
+    capacityMode: settings.capacityMode,
+    maxCovers: settings.maxCovers,
+    tables: tablesResult.rows,
+    bookings: bookingsResult.rows,
+  };
+
+  return {
+    slots: slots.map((slot) => {
+      const { fits, tableId } = fitParty(slot, partySize, capacity);
+      return { ...slot, available: fits, tableId };
+    }),
+    unavailableReason: null,
+    blackoutReason: null,
+  };
+}
+
+/**
+ * Take capacity for a party in a slot. The caller holds the lock on the
+ * restaurant's settings row.
+ * @param {Object} client - The database client
+ * @param {Object} restaurant - The restaurant
+ * @param {Object} settings - Its booking settings, locked
+ * @param {Object} slot - The requested { date, time, partySize }
+ * @param {Date} now - The moment of booking
+ * @returns {Promise<Object>} The slot's { startsAt, endsAt } and the table given, if any
+ */
+async function reserveSlot(client, restaurant, settings, { date, time, partySize }, now) {
+  if (!settings.acceptsBookings) {
+    throw new Error('Bookings not accepted');
+  }
+  if (partySize < settings.minPartySize || partySize > settings.maxPartySize) {
+    throw new Error('Party size not accepted');
+  }
+
+  const { slots } = await getDaySlots(client, restaurant, settings, date, partySize, now);
+  const slot = slots.find((candidate) => candidate.time === time);
+  if (!slot) {
+    throw new Error('Slot not available');
+  }
+  if (!slot.available) {
+    throw new Error('Slot fully booked');
+  }
+  return slot;
+}
+
+class BookingService {
+  /**
+   * Get the times a party can book on a day, for guests
+   * @param {string} restaurantId - The restaurant ID
+   * @param {Object} request - The validated { date, partySize }
+   * @param {Date} [now] - The moment of booking
+   * @returns {Promise<Object>} The restaurant with its timezone, its booking
+   *   policy, and the slots as { time, startsAt, endsAt, available }, or why
+   *   there are none
+   */
+  async getAvailability(restaurantId, { date, partySize }, now = new Date()) {
+    const restaurant = await fetchRestaurant({ query }, restaurantId);
+    const settings = await fetchSettings({ query }, restaurantId);
+    const { slots, unavailableReason, blackoutReason } = await getDaySlots(
+      { query },
+      restaurant,
+      settings,
+      date,
+      partySize,
+      now
+    );
+
+    return {
+      restaurant: { id: restaurant.id, name: restaurant.name, timezone: getRestaurantTimezone(restaurant) },
+      policy: {
+        acceptsBookings: settings.acceptsBookings,
+        minPartySize: settings.minPartySize,
+        maxPartySize: settings.maxPartySize,
+        advanceBookingDays: settings.advanceBookingDays,
+        slotInterval: settings.slotInterval,
+        turnTime: settings.turnTime,
+        holdMinutes: settings.holdMinutes,
+      },
+      date,
+      partySize,
+      slots: slots.map(({ time, startsAt, endsAt, available }) => ({ time, startsAt, endsAt, available })),
+      unavailableReason,
+      blackoutReason,
+    };
+  }
+
+  /**
+   * Hold a slot for a guest while they enter their details. The hold takes
+   * the capacity of a booking until it lapses; a guest's earlier hold at
+   * the restaurant is released.
+   * @param {string} restaurantId - The restaurant ID
+   * @param {Object} user - The session user
+   * @param {Object} slot - The validated { date, time, partySize }
+   * @param {Date} [now] - The moment of holding
+   * @returns {Promise<Object>} The hold, a booking with status held
+   */
+  async holdSlot(restaurantId, user, { date, time, partySize }, now = new Date()) {
+    return transaction(async (client) => {
+      const restaurant = await fetchRestaurant(client, restaurantId);
+      const settings = await fetchSettings(client, restaurantId, { lock: true });
+
+      // Lapsed holds and the guest's own hold no longer count
+      await client.query(
+        `DELETE FROM "Booking"
+         WHERE "restaurantId" = $1 AND "status" = 'held' AND ("holdExpiresAt" <= $2 OR "userId" = $3)`,
+        [restaurantId, now, user.id]
+      );
+
+      const slot = await reserveSlot(client, restaurant, settings, { date, time, partySize }, now);
+      const result = await client.query(
+        `INSERT INTO "Booking" (
+           "id", "restaurantId", "userId", "tableId", "status", "partySize", "date", "time", "startsAt", "endsAt",
+           "dietaryRequirements", "holdExpiresAt", "createdAt", "updatedAt"
+         )
+         VALUES (gen_random_uuid(), $1, $2, $3, $4, $5, $6, $7, $8, $9, '{}', $10, $11, $11)
+         RETURNING "id"`,
+        [
+          restaurantId,
+          user.id,
+          slot.tableId,
+          BookingStatus.HELD,
+          partySize,
+          date,
+          time,
+          slot.startsAt,
+          slot.endsAt,
+          new Date(now.getTime() + settings.holdMinutes * 60 * 1000),
+          now,
+        ]
+      );
+
+      return fetchBooking(client, restaurantId, result.rows[0].id);
+    });
+  }
+
+  /**
+   * Book a table, completing the guest's hold or, without one, taking the
+   * slot directly. The booking is confirmed straight away if the
+   * restaurant confirms automatically, and pending otherwise. A lapsed
+   * hold is completed if its slot is still free. Confirmed bookings get
+   * their reminders, and the guest is sent the booking.
+   * @param {string} restaurantId - The restaurant ID
+   * @param {Object} user - The session user
+   * @param {Object} booking - The validated holdId, or { date, time, partySize },
+   *   and the normalized guest details
+   * @param {Date} [now] - The moment of booking
+   * @returns {Promise<Object>} The booking
+   */
+  async createBooking(restaurantId, user, { holdId, date, time, partySize, ...guest }, now = new Date()) {
+    const booking = await transaction(async (client) => {
+      const restaurant = await fetchRestaurant(client, restaurantId);
+      const settings = await fetchSettings(client, restaurantId, { lock: true });
+      const status = settings.autoConfirm ? BookingStatus.CONFIRMED : BookingStatus.PENDING;
+
+      let bookingId = holdId;
+      if (holdId) {
+        const hold = await client.query(
+          `SELECT "id", to_char("date", 'YYYY-MM-DD') AS "date", "time", "partySize", "holdExpiresAt"
+           FROM "Booking"
+           WHERE "id" = $1 AND "restaurantId" = $2 AND "userId" = $3 AND "status" = 'held'
+           FOR UPDATE`,
+          [holdId, restaurantId, user.id]
+        );
+        if (hold.rows.length === 0) {
+          throw new Error('Hold not found');
+        }
+
+        if (new Date(hold.rows[0].holdExpiresAt) <= now) {
+          const slot = await reserveSlot(client, restaurant, settings, hold.rows[0], now);
+          await client.query('UPDATE "Booking" SET "tableId" = $2 WHERE "id" = $1', [holdId, slot.tableId]);
+        }
+      } else {
+        const slot = await reserveSlot(client, restaurant, settings, { date, time, partySize }, now);
+        const result = await client.query(
+          `INSERT INTO "Booking" (
+             "id", "restaurantId", "userId", "tableId", "status", "partySize", "date", "time", "startsAt", "endsAt",
+             "dietaryRequirements", "createdAt", "updatedAt"
+           )
+           VALUES (gen_random_uuid(), $1, $2, $3, $4, $5, $6, $7, $8, $9, '{}', $10, $10)
+           RETURNING "id"`,
+          [restaurantId, user.id, slot.tableId, BookingStatus.HELD, partySize, date, time, slot.startsAt, slot.endsAt, now]
+        );
+        bookingId = result.rows[0].id;
+      }
+
+      await client.query(
+        `UPDATE "Booking"
+         SET "status" = $2, "guestName" = $3, "guestEmail" = $4, "guestPhone" = $5, "specialRequests" = $6,
+             "dietaryRequirements" = $7, "occasion" = $8, "seatingPreference" = $9, "holdExpiresAt" = NULL,
+             "confirmedAt" = $10, "updatedAt" = $11
+         WHERE "id" = $1`,
+        [
+          bookingId,
+          status,
+          guest.guestName,
+          guest.guestEmail,
+          guest.guestPhone,
+          guest.specialRequests,
+          guest.dietaryRequirements,
+          guest.occasion,
+          guest.seatingPreference,
+          status === BookingStatus.CONFIRMED ? now : null,
+          now,
+        ]
+      );
+
+      const booking = await fetchBooking(client, restaurantId, bookingId);
+      if (booking.status === BookingStatus.CONFIRMED) {
+        await bookingNotificationService.scheduleReminders(client, booking, now);
+      }
+      return booking;
+    });
+
+    await bookingNotificationService.notify(BookingEventType.CREATED, booking.id, now);
+    return booking;
+  }
+
+  /**
+   * Get a booking, for the guest who made it or the restaurant
+   * @param {string} restaurantId - The restaurant ID
+   * @param {string} bookingId - The booking ID
+   * @param {Object} user - The session user
+   * @returns {Promise<Object>} The booking
+   */
+  async getBooking(restaurantId, bookingId, user) {
+    const restaurant = await fetchRestaurant({ query }, restaurantId);
+    const booking = await fetchBooking({ query }, restaurantId, bookingId);
+    if (booking.userId !== user.id && !canManageRestaurant(restaurant, user)) {
+      throw new Error('Booking not found');
+    }
+    return booking;
+  }
+
+  /**
+   * List a restaurant's bookings for its owner, with a summary. Holds
+   * aren't bookings yet and are left out.
+   * @param {string} restaurantId - The restaurant ID
+   * @param {Object} user - The session user
+   * @param {Object} [filters] - Filters
+   * @param {string} [filters.range] - today, tomorrow, week (7 days) or month (30 days),
+   *   from today in the restaurant's timezone
+   * @param {string} [filters.status] - Only bookings in this status
+   * @param {Date} [now] - The moment of listing
+   * @returns {Promise<Object>} The restaurant with its timezone, the dates
+   *   listed, the summary over all statuses and the bookings by start
+   */
+  async listBookings(restaurantId, user, { range = 'today', status } = {}, now = new Date()) {
+    const restaurant = await restaurantOwnershipService.assertCanManageRestaurant(restaurantId, user);
+    const timezone = getRestaurantTimezone(restaurant);
+    const today = getLocalTime(now, timezone).date;
+    const [fromDays, toDays] = LIST_RANGES[range];
+    const from = addDays(today, fromDays);
+    const to = addDays(today, toDays);
+
+    const result = await query(
+      `SELECT ${BOOKING_COLUMNS}
+       FROM "Booking" b
+       LEFT JOIN "BookingTable" t ON t."id" = b."tableId"
+       WHERE b."restaurantId" = $1 AND b."date" BETWEEN $2 AND $3 AND b."status" <> 'held'
+       ORDER BY b."startsAt", b."createdAt"`,
+      [restaurantId, from, to]
+    );
+    const bookings = result.rows;
+    const count = (value) => bookings.filter((booking) => booking.status === value).length;
+    const attending = bookings.filter(
+      (booking) => ![BookingStatus.CANCELLED, BookingStatus.NO_SHOW].includes(booking.status)
+    );
+    const totalGuests = attending.reduce((sum, booking) => sum + booking.partySize, 0);
+
+    return {
+      restaurant: { id: restaurant.id, name: restaurant.name, timezone },
+      range: { name: range, from, to },
+      summary: {
+        totalBookings: bookings.length,
+        pendingBookings: count(BookingStatus.PENDING),
+        confirmedBookings: count(BookingStatus.CONFIRMED),
+        seatedBookings: count(BookingStatus.SEATED),
+        noShowBookings: count(BookingStatus.NO_SHOW),
+        cancelledBookings: count(BookingStatus.CANCELLED),
+        totalGuests,
+        avgPartySize: attending.length === 0 ? 0 : Math.round((totalGuests / attending.length) * 10) / 10,
+      },
+      bookings: status ? bookings.filter((booking) => booking.status === status) : bookings,
+    };
+  }
+
+  /**
+   * Move a booking through its lifecycle. The restaurant confirms, seats,
+   * marks no-shows and cancels; the guest can only cancel, and only before
+   * the booking starts. A no-show can only be marked once it has started.
+   * Confirming schedules the booking's reminders and any other change
+   * cancels them; the guest is sent confirmations and cancellations, as a
+   * new version of the booking's calendar event.
+   * @param {string} restaurantId - The restaurant ID
+   * @param {string} bookingId - The booking ID
+   * @param {Object} user - The session user
+   * @param {Object} change - The validated { status, reason }
+   * @param {Date} [now] - The moment of the change
+   * @returns {Promise<Object>} The booking
+   */
+  async updateBookingStatus(restaurantId, bookingId, user, { status, reason = null }, now = new Date()) {
+    let eventType = null;
+    const booking = await transaction(async (client) => {
+      const restaurant = await fetchRestaurant(client, restaurantId);
+      const booking = await fetchBooking(client, restaurantId, bookingId, { lock: true });
+      const isManager = canManageRestaurant(restaurant, user);
+      if (!isManager && booking.userId !== user.id) {
+        throw new Error('Booking not found');
+      }
+      if (!isManager && status !== BookingStatus.CANCELLED) {
+        throw new Error('Not authorized');
+      }
+
+      if (!STATUS_TRANSITIONS[booking.status].includes(status)) {
+        throw new Error('Invalid status change');
+      }
+      if (!isManager && new Date(booking.startsAt) <= now) {
+        throw new Error('Booking already started');
+      }
+      if (status === BookingStatus.NO_SHOW && new Date(booking.startsAt) > now) {
+        throw new Error('Booking not started');
+      }
+
+      const timestamps = {
+        [BookingStatus.CONFIRMED]: '"confirmedAt"',
+        [BookingStatus.SEATED]: '"seatedAt"',
+        [BookingStatus.NO_SHOW]: '"noShowAt"',
+        [BookingStatus.CANCELLED]: '"cancelledAt"',
+      };
+      eventType = booking.status === BookingStatus.HELD ? null : STATUS_EVENTS[status] || null;
+      await client.query(
+        `UPDATE "Booking"
+         SET "status" = $2, ${timestamps[status]} = $3, "updatedAt" = $3,
+             "cancelledBy" = CASE WHEN $2 = 'cancelled' THEN $4 ELSE "cancelledBy" END,
+             "cancellationReason" = CASE WHEN $2 = 'cancelled' THEN $5 ELSE "cancellationReason" END,
+             "calendarSequence" = "calendarSequence" + $6,
+             "holdExpiresAt" = NULL
+         WHERE "id" = $1`,
+        [bookingId, status, now, isManager ? 'restaurant' : 'guest', reason, eventType ? 1 : 0]
+      );
+
+      const updated = await fetchBooking(client, restaurantId, bookingId);
+      if (status === BookingStatus.CONFIRMED) {
+        await bookingNotificationService.scheduleReminders(client, updated, now);
+      } else {
+        await bookingNotificationService.cancelReminders(client, bookingId, now);
+      }
+      return updated;
+    });
+
+    if (eventType) {
+      await bookingNotificationService.notify(eventType, bookingId, now);
+    }
+    return booking;
+  }
+
+  /**
+   * Get a booking's calendar file, for the guest who made it or the
+   * restaurant. Holds, and holds given up, were never bookings and have none.
+   * @param {string} restaurantId - The restaurant ID
+   * @param {string} bookingId - The booking ID
+   * @param {Object} user - The session user
+   * @returns {Promise<Object>} The file as { filename, contentType, content }
+   */
+  async getBookingCalendar(restaurantId, bookingId, user) {
+    const booking = await this.getBooking(restaurantId, bookingId, user);
+    if (booking.status === BookingStatus.HELD || !booking.guestName) {
+      throw new Error('Booking not found');
+    }
+    return bookingNotificationService.getCalendar(bookingId);
+  }
+
+  /**
+   * Get a restaurant's booking settings, tables and upcoming blackout days
+   * for its owner
+   * @param {string} restaurantId - The restaurant ID
+   * @param {Object} user - The session user
+   * @returns {Promise<Object>} The restaurant, settings, tables and blackouts
+   */
+  async getSettings(restaurantId, user) {
+    const restaurant = await restaurantOwnershipService.assertCanManageRestaurant(restaurantId, user);
+    const timezone = getRestaurantTimezone(restaurant);
+
+    const [settings, tablesResult, blackoutsResult] = await Promise.all([
+      fetchSettings({ query }, restaurantId),
+      query(
+        `SELECT "id", "name", "minCapacity", "maxCapacity", "isActive", "createdAt", "updatedAt"
+         FROM "BookingTable" WHERE "restaurantId" = $1
+         ORDER BY "maxCapacity", "name"`,
+        [restaurantId]
+      ),
+      query(
+        `SELECT to_char("date", 'YYYY-MM-DD') AS "date", "reason"
+         FROM "BookingBlackout" WHERE "restaurantId" = $1 AND "date" >= $2
+         ORDER BY "date"`,
+        [restaurantId, getLocalTime(new Date(), timezone).date]
+      ),
+    ]);
+
+    return {
+      restaurant: { id: restaurant.id, name: restaurant.name, timezone },
+      settings,
+      tables: tablesResult.rows,
+      blackouts: blackoutsResult.rows,
+    };
+  }
+
+  /**
+   * Change a restaurant's booking settings. Given blackouts replace all of
+   * its blackout days.
+   * @param {string} restaurantId - The restaurant ID
+   * @param {Object} user - The session user
+   * @param {Object} changes - The validated changes
+   * @returns {Promise<Object>} The restaurant, settings, tables and blackouts
+   */
+  async updateSettings(restaurantId, user, changes) {
+    await transaction(async (client) => {
+      await restaurantOwnershipService.assertCanManageRestaurant(restaurantId, user, client, { lock: true });
+      const current = await fetchSettings(client, restaurantId, { lock: true });
+
+      // Setting bookings up turns them on unless the owner says otherwise
+      const merged = current.updatedAt ? { ...current } : { ...current, acceptsBookings: true };
+      for (const field of SETTINGS_FIELDS) {
+        if (changes[field] !== undefined) {
+          merged[field] = changes[field];
+        }
+      }
+      if (merged.minPartySize > merged.maxPartySize) {
+        throw new Error('Party size range invalid');
+      }
+      if (merged.capacityMode === 'covers' && merged.maxCovers === null) {
+        throw new Error('Covers mode needs maxCovers');
+      }
+
+      const values = SETTINGS_FIELDS.map((field) => merged[field]);
+      await client.query(
+        `INSERT INTO "BookingSettings" ("restaurantId", ${SETTINGS_FIELDS.map((field) => `"${field}"`).join(', ')}, "createdAt", "updatedAt")
+         VALUES ($1, ${SETTINGS_FIELDS.map((_, index) => `$${index + 2}`).join(', ')}, NOW(), NOW())
+         ON CONFLICT ("restaurantId") DO UPDATE SET
+           ${SETTINGS_FIELDS.map((field) => `"${field}" = EXCLUDED."${field}"`).join(', ')}, "updatedAt" = NOW()`,
+        [restaurantId, ...values]
+      );
+
+      if (changes.blackouts !== undefined) {
+        await client.query('DELETE FROM "BookingBlackout" WHERE "restaurantId" = $1', [restaurantId]);
+        if (changes.blackouts.length > 0) {
+          await client.query(
+            `INSERT INTO "BookingBlackout" ("id", "restaurantId", "date", "reason", "createdAt")
+             SELECT gen_random_uuid(), $1, d."date", d."reason", NOW()
+             FROM unnest($2::date[], $3::text[]) AS d("date", "reason")`,
+            [
+              restaurantId,
+              changes.blackouts.map((blackout) => blackout.date),
+              changes.blackouts.map((blackout) => blackout.reason?.trim() || null),
+            ]
+          );
+        }
+      }
+    });
+
+    return this.getSettings(restaurantId, user);
+  }
+
+  /**
+   * Add a table
+   * @param {string} restaurantId - The restaurant ID
+   * @param {Object} user - The session user
+   * @param {Object} fields - The validated { name, minCapacity, maxCapacity, isActive }
+   * @returns {Promise<Object>} The table
+   */
+  async createTable(restaurantId, user, { name, minCapacity = 1, maxCapacity, isActive = true }) {
+    return transaction(async (client) => {
+      await restaurantOwnershipService.assertCanManageRestaurant(restaurantId, user, client, { lock: true });
+
+      const result = await client.query(
+        `INSERT INTO "BookingTable" ("id", "restaurantId", "name", "minCapacity", "maxCapacity", "isActive", "createdAt", "updatedAt")
+         VALUES (gen_random_uuid(), $1, $2, $3, $4, $5, NOW(), NOW())
+         ON CONFLICT ("restaurantId", "name") DO NOTHING
+         RETURNING "id", "name", "minCapacity", "maxCapacity", "isActive", "createdAt", "updatedAt"`,
+        [restaurantId, name.trim(), minCapacity, maxCapacity, isActive]
+      );
+      if (result.rows.length === 0) {
+        throw new Error('Table name already exists');
+      }
+      return result.rows[0];
+    });
+  }
+
+  /**
+   * Change a table. Bookings already given the table keep it.
+   * @param {string} restaurantId - The restaurant ID
+   * @param {string} tableId - The table ID
+   * @param {Object} user - The session user
+   * @param {Object} changes - The validated changes
+   * @returns {Promise<Object>} The table
+   */
+  async updateTable(restaurantId, tableId, user, changes) {
+    return transaction(async (client) => {
+      await restaurantOwnershipService.assertCanManageRestaurant(restaurantId, user, client, { lock: true });
+      const current = await client.query(
+        'SELECT * FROM "BookingTable" WHERE "id" = $1 AND "restaurantId" = $2 FOR UPDATE',
+        [tableId, restaurantId]
+      );
+      if (current.rows.length === 0) {
+        throw new Error('Table not found');
+      }
+
+      const merged = { ...current.rows[0] };
+      for (const field of ['name', 'minCapacity', 'maxCapacity', 'isActive']) {
+        if (changes[field] !== undefined) {
+          merged[field] = field === 'name' ? changes.name.trim() : changes[field];
+        }
+      }
+      if (merged.minCapacity > merged.maxCapacity) {
+        throw new Error('Table capacity invalid');
+      }
+
+      const taken = await client.query(
+        'SELECT 1 FROM "BookingTable" WHERE "restaurantId" = $1 AND "name" = $2 AND "id" <> $3',
+        [restaurantId, merged.name, tableId]
+      );
+      if (taken.rows.length > 0) {
+        throw new Error('Table name already exists');
+      }
+
+      const result = await client.query(
+        `UPDATE "BookingTable"
+         SET "name" = $2, "minCapacity" = $3, "maxCapacity" = $4, "isActive" = $5, "updatedAt" = NOW()
+         WHERE "id" = $1
+         RETURNING "id", "name", "minCapacity", "maxCapacity", "isActive", "createdAt", "updatedAt"`,
+        [tableId, merged.name, merged.minCapacity, merged.maxCapacity, merged.isActive]
+      );
+      return result.rows[0];
+    });
+  }
+
+  /**
+   * Delete a table that has no upcoming bookings. Deactivating a table
+   * stops new bookings while keeping existing ones.
+   * @param {string} restaurantId - The restaurant ID
+   * @param {string} tableId - The table ID
+   * @param {Object} user - The session user
+   * @returns {Promise<void>}
+   */
+  async deleteTable(restaurantId, tableId, user) {
+    await transaction(async (client) => {
+      await restaurantOwnershipService.assertCanManageRestaurant(restaurantId, user, client, { lock: true });
+      // Holds and bookings lock the settings row, so none can take the table meanwhile
+      await fetchSettings(client, restaurantId, { lock: true });
+
+      const table = await client.query('SELECT 1 FROM "BookingTable" WHERE "id" = $1 AND "restaurantId" = $2', [
+        tableId,
+        restaurantId,
+      ]);
+      if (table.rows.length === 0) {
+        throw new Error('Table not found');
+      }
+
+      const upcoming = await client.query(
+        `SELECT 1 FROM "Booking" b
+         WHERE b."tableId" = $1 AND ${HOLDS_CAPACITY} AND b."endsAt" > $2
+         LIMIT 1`,
+        [tableId, new Date()]
+      );
+      if (upcoming.rows.length > 0) {
+        throw new Error('Table has upcoming bookings');
+      }
+
+      await client.query('DELETE FROM "BookingTable" WHERE "id" = $1', [tableId]);
+    });
+  }
+}
+
+// Export a singleton instance
+export const bookingService = new BookingService();
@@ -0,0 +1,219 @@
+/**
+ * Feed Service
+ * This service gathers the entries of the public XML feeds: restaurants
+ * newly added in a country, a restaurant's menu, and position changes on
+ * a dish leaderboard. Feeds are returned as plain objects for
+ * utils/feed.js to render as RSS or Atom.
+ */
+
+import { query } from '../utils/postgres.js';
+import { getCountryCurrency, getCountryName } from '../utils/country.js';
+
+/**
+ * Most entries in a feed
+ */
+const MAX_FEED_ITEMS = 50;
+
+/**
+ * Days of leaderboard changes in a ranking changes feed
+ */
+const RANKING_CHANGE_DAYS = 30;
+
+/**
+ * Format a dish price in the restaurant's currency
+ * @param {number|null} price - The price
+ * @param {string} countryCode - The restaurant's country
+ * @returns {string|null} The formatted price
+ */
+const formatPrice = (price, countryCode) => {
+  if (price === null || price === undefined) {
+    return null;
+  }
+  const currency = getCountryCurrency(countryCode.toLowerCase());
+  return `${currency ? `${currency} ` : ''}${Number(price).toFixed(2)}`;
+};
+
+/**
+ * Describe a leaderboard position change
+ * @param {Object} change - The snapshot row with its previous position
+ * @returns {string} The change, e.g. "up to #1 from #3"
+ */
+const describeMovement = ({ position, previousPosition }) => {
+  if (previousPosition === null) {
+    return `entered the leaderboard at #${position}`;
+  }
+  return position < previousPosition
+    ? `moved up to #${position} from #${previousPosition}`
+    : `moved down to #${position} from #${previousPosition}`;
+};
+
+class FeedService {
+  /**
+   * Get the feed of restaurants newly added in a country
+   * @param {string} countryCode - The country code, e.g. 'my'
+   * @param {Object} options - Feed options
+   * @param {string} options.siteUrl - The site's base URL, for links
+   * @param {string} options.selfUrl - The feed's own URL
+   * @returns {Promise<Object>} The feed
+   */
+  async getNewRestaurantsFeed(countryCode, { siteUrl, selfUrl }) {
+    const country = countryCode.toLowerCase();
+
+    const [restaurantsResult, updatedResult] = await Promise.all([
+      query(
+        `SELECT "id", "name", "description", "address", "cuisine", "createdAt", "updatedAt"
+         FROM "Restaurant"
+         WHERE "countryCode" = $1 AND "deletedAt" IS NULL
+         ORDER BY "createdAt" DESC, "id"
+         LIMIT $2`,
+        [country.toUpperCase(), MAX_FEED_ITEMS]
+      ),
+      // Deleted restaurants count, as deleting one changes the feed
+      query('SELECT MAX("updatedAt") AS "updatedAt" FROM "Restaurant" WHERE "countryCode" = $1', [
+        country.toUpperCase(),
+      ]),
+    ]);
+
+    const countryName = getCountryName(country) || country.toUpperCase();
+    return {
+      title: `New restaurants in ${countryName} | Bellyfed`,
+      description: `Restaurants recently added to Bellyfed in ${countryName}`,
+      link: `${siteUrl}/${country}/restaurants`,
+      selfUrl,
+      updated: updatedResult.rows[0].updatedAt || new Date(0),
+      items: restaurantsResult.rows.map((restaurant) => ({
+        id: `${siteUrl}/${country}/restaurants/${restaurant.id}`,
+        title: restaurant.name,
+        link: `${siteUrl}/${country}/restaurants/${restaurant.id}`,
+        summary: [restaurant.cuisine, restaurant.address, restaurant.description]
+          .filter(Boolean)
+          .join(' · '),
+        published: restaurant.createdAt,
+        updated: restaurant.updatedAt,
+        categories: restaurant.cuisine ? [restaurant.cuisine] : [],
+      })),
+    };
+  }
+
+  /**
+   * Get the feed of a restaurant's menu, most recently changed dishes first
+   * @param {string} restaurantId - The restaurant ID
+   * @param {Object} options - Feed options
+   * @param {string} options.siteUrl - The site's base URL, for links
+   * @param {string} options.selfUrl - The feed's own URL
+   * @returns {Promise<Object>} The feed
+   */
+  async getMenuFeed(restaurantId, { siteUrl, selfUrl }) {
+    const restaurantResult = await query(
+      `SELECT "id", "name", "countryCode", "updatedAt"
+       FROM "Restaurant"
+       WHERE "id" = $1 AND "deletedAt" IS NULL`,
+      [restaurantId]
+    );
+    const restaurant = restaurantResult.rows[0];
+    if (!restaurant) {
+      throw new Error('Restaurant not found');
+    }
+
+    const dishesResult = await query(
+      `SELECT "id", "name", "description", "price", "dishType", "tags", "isAvailable",
+              "createdAt", "updatedAt"
+       FROM "Dish"
+       WHERE "restaurantId" = $1
+       ORDER BY "updatedAt" DESC, "id"
+       LIMIT $2`,
+      [restaurantId, MAX_FEED_ITEMS]
+    );
+
+    const country = restaurant.countryCode.toLowerCase();
+    const restaurantUrl = `${siteUrl}/${country}/restaurants/${restaurant.id}`;
+    const updated = dishesResult.rows.reduce(
+      (latest, dish) => (dish.updatedAt > latest ? dish.updatedAt : latest),
+      restaurant.updatedAt
+    );
+
+    return {
+      title: `${restaurant.name} menu | Bellyfed`,
+      description: `Dishes on the menu at ${restaurant.name}`,
+      link: restaurantUrl,
+      selfUrl,
+      updated,
+      items: dishesResult.rows.map((dish) => ({
+        id: `${siteUrl}/${country}/dishes/${dish.id}`,
+        title: [dish.name, formatPrice(dish.price, restaurant.countryCode)].filter(Boolean).join(' - '),
+        link: `${siteUrl}/${country}/dishes/${dish.id}`,
+        summary: [dish.description, dish.isAvailable ? null : 'Currently unavailable']
+          .filter(Boolean)
+          .join(' · '),
+        published: dish.createdAt,
+        updated: dish.updatedAt,
+        categories: [dish.dishType, ...(dish.tags || [])].filter(Boolean),
+      })),
+    };
+  }
+
+  /**
+   * Get the feed of position changes on a dish leaderboard over the last
+   * month, from its daily snapshots
+   * @param {string} dishSlug - The dish slug
+   * @param {Object} options - Feed options
+   * @param {string} options.country - The country whose pages entries link to
+   * @param {string} options.siteUrl - The site's base URL, for links
+   * @param {string} options.selfUrl - The feed's own URL
+   * @returns {Promise<Object>} The feed
+   */
+  async getRankingChangesFeed(dishSlug, { country, siteUrl, selfUrl }) {
+    const dishResult = await query('SELECT 1 FROM "Dish" WHERE "slug" = $1 LIMIT 1', [dishSlug]);
+    if (dishResult.rowCount === 0) {
+      throw new Error('Dish not found');
+    }
+
+    const [changesResult, updatedResult] = await Promise.all([
+      query(
+        `SELECT c.*, d."name" AS "dishName", rest."name" AS "restaurantName"
+         FROM (
+           SELECT s."dishId", s."restaurantId", s."position", s."snapshotDate", s."recordedAt",
+                  to_char(s."snapshotDate", 'YYYY-MM-DD') AS "snapshotDay",
+                  LAG(s."position") OVER (PARTITION BY s."dishId" ORDER BY s."snapshotDate") AS "previousPosition"
+           FROM "DishLeaderboardSnapshot" s
+           WHERE s."dishSlug" = $1
+         ) c
+         JOIN "Dish" d ON d."id" = c."dishId"
+         JOIN "Restaurant" rest ON rest."id" = c."restaurantId" AND rest."deletedAt" IS NULL
+         WHERE c."previousPosition" IS DISTINCT FROM c."position"
+           AND c."snapshotDate" > CURRENT_DATE - $2::int
+         ORDER BY c."snapshotDate" DESC, c."position", c."dishId"
+         LIMIT $3`,
+        [dishSlug, RANKING_CHANGE_DAYS, MAX_FEED_ITEMS]
+      ),
+      query('SELECT MAX("recordedAt") AS "updatedAt" FROM "DishLeaderboardSnapshot" WHERE "dishSlug" = $1', [
+        dishSlug,
+      ]),
+    ]);
+
+    const dishTitle = dishSlug
+      .split('-')
+      .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+      .join(' ');
+    const leaderboardUrl = `${siteUrl}/${country}/rankings/global/${encodeURIComponent(dishSlug)}`;
+    return {
+      title: `${dishTitle} leaderboard changes | Bellyfed`,
+      description: `Restaurants moving up and down the ${dishTitle} leaderboard`,
+      link: leaderboardUrl,
+      selfUrl,
+      updated: updatedResult.rows[0].updatedAt || new Date(0),
+      items: changesResult.rows.map((change) => ({
+        id: `${leaderboardUrl}#${change.snapshotDay}-${change.dishId}`,
+        title: `${change.dishName} at ${change.restaurantName} ${describeMovement(change)}`,
+        link: `${siteUrl}/${country}/dishes/${change.dishId}`,
+        summary: `On ${change.snapshotDay}, ${change.dishName} at ${change.restaurantName} ${describeMovement(change)}.`,
+        published: change.recordedAt,
+        updated: change.recordedAt,
+        categories: [dishSlug],
+      })),
+    };
+  }
+}
+
+// Export a singleton instance
+export const feedService = new FeedService();
@@ -0,0 +1,996 @@
+/**
+ * Menu Service
+ * This service manages restaurant menus: categories in the owner's order
+ * and the items in them, with prices in the restaurant's currency. Every
+ * item is backed by one of the restaurant's dishes, which rankings attach
+ * to: a new item takes over the restaurant's dish of the same name, or adds
+ * a dish under the slug other restaurants' dishes of that name use, so it
+ * joins the same leaderboard. Owners can replace the menu from a CSV file
+ * after previewing the changes it makes.
+ */
+
+import { query, transaction } from '../utils/postgres.js';
+import { createDishEvent, updateDishEvent } from '../utils/events.js';
+import { getCountryCurrency, getDefaultCountryCode } from '../utils/country.js';
+import { validateMenuItemFields, toDishSlug, MENU_LIMITS } from '../utils/menuValidation.js';
+import { restaurantOwnershipService } from './restaurantOwnershipService.js';
+import { restaurantSearchService } from './restaurantSearchService.js';
+import { PHOTO_ORDER } from './restaurantPhotoService.js';
+
+/**
+ * Fields of an exported menu item, in column order. Imports read the same
+ * columns.
+ */
+export const MENU_EXPORT_COLUMNS = [
+  'category',
+  'name',
+  'description',
+  'price',
+  'isAvailable',
+  'isSpecial',
+  'dietaryInfo',
+  'allergens',
+  'preparationTime',
+  'dishSlug',
+];
+
+/**
+ * Maximum number of items accepted in one import
+ */
+export const MAX_MENU_IMPORT_ROWS = 500;
+
+/**
+ * Changes that can be made to several items at once
+ */
+export const MenuBulkAction = {
+  ENABLE: 'enable',
+  DISABLE: 'disable',
+  DELETE: 'delete',
+};
+
+export const MENU_BULK_ACTIONS = Object.values(MenuBulkAction);
+
+/**
+ * Item fields compared when previewing an import, besides the name the
+ * rows are matched on
+ */
+const IMPORT_DIFF_FIELDS = [
+  'category',
+  'description',
+  'price',
+  'isAvailable',
+  'isSpecial',
+  'dietaryInfo',
+  'allergens',
+  'preparationTime',
+];
+
+/**
+ * Menu item columns returned to callers. The item's photo is the first
+ * visible gallery photo of its dish, or the dish's own image.
+ */
+const ITEM_COLUMNS = `
+  i."id", i."restaurantId", i."categoryId", c."name" AS "category", i."dishId", d."slug" AS "dishSlug",
+  i."name", i."description", i."price", i."currency", i."isAvailable", i."isSpecial", i."dietaryInfo",
+  i."allergens", i."preparationTime", i."position", COALESCE(photo."photoUrl", d."imageUrl") AS "imageUrl",
+  i."createdAt", i."updatedAt"
+`;
+
+const ITEM_JOINS = `
+  JOIN "Dish" d ON d."id" = i."dishId"
+  LEFT JOIN "MenuCategory" c ON c."id" = i."categoryId"
+  LEFT JOIN LATERAL (
+    SELECT p."photoUrl" FROM "RestaurantPhoto" p
+    WHERE p."dishId" = i."dishId" AND p."hiddenAt" IS NULL
+    ORDER BY ${PHOTO_ORDER}
+    LIMIT 1
+  ) photo ON TRUE
+`;
+
+/**
+ * Menu order: categories in the owner's order, then items outside any
+ * category, each in the owner's order. Items are aliased as i and
+ * categories as c.
+ */
+const ITEM_ORDER = 'c."position" NULLS LAST, c."name", i."position", i."createdAt", i."id"';
+
+/**
+ * Convert a menu item row into the shape returned by the API
+ * @param {Object} row - The database row
+ * @returns {Object} The menu item
+ */
+function mapItemRow(row) {
+  return { ...row, price: Number(row.price) };
+}
+
+/**
+ * Get the currency a restaurant's prices are in
+ * @param {Object} restaurant - The restaurant, with countryCode
+ * @returns {string} The ISO 4217 currency code
+ */
+export function getRestaurantCurrency(restaurant) {
+  return (
+    getCountryCurrency(restaurant.countryCode?.toLowerCase()) || getCountryCurrency(getDefaultCountryCode())
+  );
+}
+
+/**
+ * Fetch a restaurant's menu items
+ * @param {Object} client - The database client
+ * @param {string} restaurantId - The restaurant ID
+ * @returns {Promise<Array>} The items, in menu order
+ */
+async function fetchItems(client, restaurantId) {
+  const result = await client.query(
+    `SELECT ${ITEM_COLUMNS}
+     FROM "MenuItem" i
+     ${ITEM_JOINS}
+     WHERE i."restaurantId" = $1
+     ORDER BY ${ITEM_ORDER}`,
+    [restaurantId]
+  );
+  return result.rows.map(mapItemRow);
+}
+
+/**
+ * Fetch one of a restaurant's menu items
+ * @param {Object} client - The database client
+ * @param {string} restaurantId - The restaurant ID
+ * @param {string} itemId - The item ID
+ * @returns {Promise<Object>} The item
+ */
+async function fetchItem(client, restaurantId, itemId) {
+  const result = await client.query(
+    `SELECT ${ITEM_COLUMNS}
+     FROM "MenuItem" i
+     ${ITEM_JOINS}
+     WHERE i."restaurantId" = $1 AND i."id" = $2`,
+    [restaurantId, itemId]
+  );
+  if (result.rowCount === 0) {
+    throw new Error('Menu item not found');
+  }
+  return mapItemRow(result.rows[0]);
+}
+
+/**
+ * Fetch a restaurant's menu categories with their item counts
+ * @param {Object} client - The database client
+ * @param {string} restaurantId - The restaurant ID
+ * @returns {Promise<Array>} The categories, in menu order
+ */
+async function fetchCategories(client, restaurantId) {
+  const result = await client.query(
+    `SELECT c."id", c."name", c."description", c."position", COUNT(i."id")::int AS "itemCount",
+            c."createdAt", c."updatedAt"
+     FROM "MenuCategory" c
+     LEFT JOIN "MenuItem" i ON i."categoryId" = c."id"
+     WHERE c."restaurantId" = $1
+     GROUP BY c."id"
+     ORDER BY c."position", c."name"`,
+    [restaurantId]
+  );
+  return result.rows;
+}
+
+/**
+ * Check that a category is on a restaurant's menu
+ * @param {Object} client - The database client
+ * @param {string} restaurantId - The restaurant ID
+ * @param {string|null} categoryId - The category ID, or null for none
+ * @returns {Promise<void>}
+ */
+async function assertMenuCategory(client, restaurantId, categoryId) {
+  if (categoryId === null) {
+    return;
+  }
+  const result = await client.query('SELECT 1 FROM "MenuCategory" WHERE "id" = $1 AND "restaurantId" = $2', [
+    categoryId,
+    restaurantId,
+  ]);
+  if (result.rowCount === 0) {
+    throw new Error('Category not found');
+  }
+}
+
+/**
+ * Check that no other category on a restaurant's menu has a name
+ * @param {Object} client - The database client
+ * @param {string} restaurantId - The restaurant ID
+ * @param {string} name - The category name
+ * @param {string|null} [exceptCategoryId] - The category being renamed
+ * @returns {Promise<void>}
+ */
+async function assertUniqueCategoryName(client, restaurantId, name, exceptCategoryId = null) {
+  const result = await client.query(
+    `SELECT 1 FROM "MenuCategory"
+     WHERE "restaurantId" = $1 AND LOWER(TRIM("name")) = LOWER(TRIM($2)) AND "id" IS DISTINCT FROM $3`,
+    [restaurantId, name, exceptCategoryId]
+  );
+  if (result.rowCount > 0) {
+    throw new Error('Category already exists');
+  }
+}
+
+/**
+ * Check that no other item on a restaurant's menu has a name
+ * @param {Object} client - The database client
+ * @param {string} restaurantId - The restaurant ID
+ * @param {string} name - The item name
+ * @param {string|null} [exceptItemId] - The item being renamed
+ * @returns {Promise<void>}
+ */
+async function assertUniqueItemName(client, restaurantId, name, exceptItemId = null) {
+  const result = await client.query(
+    `SELECT 1 FROM "MenuItem"
+     WHERE "restaurantId" = $1 AND LOWER(TRIM("name")) = LOWER(TRIM($2)) AND "id" IS DISTINCT FROM $3`,
+    [restaurantId, name, exceptItemId]
+  );
+  if (result.rowCount > 0) {
+    throw new Error('Menu item already exists');
+  }
+}
+
+/**
+ * Find the slug dishes of a name are ranked under at other restaurants
+ * @param {Object} client - The database client
+ * @param {string} name - The dish name
+ * @returns {Promise<string|null>} The most used slug, else one made from the name
+ */
+async function findCanonicalDishSlug(client, name) {
+  const result = await client.query(
+    `SELECT "slug" FROM "Dish"
+     WHERE LOWER(TRIM("name")) = LOWER(TRIM($1)) AND "slug" IS NOT NULL
+     GROUP BY "slug"
+     ORDER BY COUNT(*) DESC, "slug"
+     LIMIT 1`,
+    [name]
+  );
+  return result.rows[0]?.slug || toDishSlug(name) || null;
+}
+
+/**
+ * Find or add the dish backing a new menu item: the given dish, else the
+ * restaurant's dish of the same name that is not on the menu yet, else a
+ * new dish
+ * @param {Object} client - The transaction client
+ * @param {string} restaurantId - The restaurant ID
+ * @param {Object} item - The item's name and, optionally, dishId or dishSlug
+ * @returns {Promise<Object>} The dish ID and whether the dish is new
+ */
+async function linkDish(client, restaurantId, { name, dishId = null, dishSlug = null }) {
+  if (dishId) {
+    const result = await client.query(
+      `SELECT d."id", i."id" AS "itemId"
+       FROM "Dish" d
+       LEFT JOIN "MenuItem" i ON i."dishId" = d."id"
+       WHERE d."id" = $1 AND d."restaurantId" = $2`,
+      [dishId, restaurantId]
+    );
+    if (result.rowCount === 0) {
+      throw new Error('Dish not found');
+    }
+    if (result.rows[0].itemId) {
+      throw new Error('Dish already on menu');
+    }
+    return { dishId, isNew: false };
+  }
+
+  const existing = await client.query(
+    `SELECT d."id" FROM "Dish" d
+     WHERE d."restaurantId" = $1 AND LOWER(TRIM(d."name")) = LOWER(TRIM($2))
+       AND NOT EXISTS (SELECT 1 FROM "MenuItem" i WHERE i."dishId" = d."id")
+     ORDER BY d."createdAt", d."id"
+     LIMIT 1`,
+    [restaurantId, name]
+  );
+  if (existing.rowCount > 0) {
+    // A dish first added without a slug joins the given leaderboard
+    await client.query('UPDATE "Dish" SET "slug" = COALESCE("slug", $2) WHERE "id" = $1', [
+      existing.rows[0].id,
+      dishSlug,
+    ]);
+    return { dishId: existing.rows[0].id, isNew: false };
+  }
+
+  const slug = dishSlug || (await findCanonicalDishSlug(client, name));
+  const created = await client.query(
+    `INSERT INTO "Dish" ("id", "restaurantId", "name", "slug", "createdAt", "updatedAt")
+     VALUES (gen_random_uuid(), $1, $2, $3, NOW(), NOW())
+     RETURNING "id"`,
+    [restaurantId, name, slug]
+  );
+  return { dishId: created.rows[0].id, isNew: true };
+}
+
+/**
+ * Copy a menu item's name, description, price and availability onto its dish
+ * @param {Object} client - The transaction client
+ * @param {Array<string>} itemIds - The item IDs
+ * @returns {Promise<Array<string>>} The IDs of the dishes
+ */
+async function syncDishes(client, itemIds) {
+  const result = await client.query(
+    `UPDATE "Dish" d
+     SET "name" = i."name", "description" = i."description", "price" = i."price"::float8,
+         "isAvailable" = i."isAvailable", "updatedAt" = NOW()
+     FROM "MenuItem" i
+     WHERE i."dishId" = d."id" AND i."id" = ANY($1::text[])
+     RETURNING d."id"`,
+    [itemIds]
+  );
+  return result.rows.map((row) => row.id);
+}
+
+/**
+ * Tell consumers, such as the dish search index, which of a restaurant's
+ * dishes were added or changed. Call after the change is committed; the
+ * change stands if telling them fails.
+ * @param {string} restaurantId - The restaurant ID
+ * @param {Object} dishIds - The IDs of the created and updated dishes
+ * @returns {Promise<void>}
+ */
+async function sendDishEvents(restaurantId, { created, updated }) {
+  const updatedOnly = [...new Set(updated)].filter((dishId) => !created.includes(dishId));
+  const events = [
+    ...created.map((dishId) => [createDishEvent, dishId]),
+    ...updatedOnly.map((dishId) => [updateDishEvent, dishId]),
+  ];
+  for (const [send, dishId] of events) {
+    try {
+      await send({ dishId, restaurantId });
+    } catch (error) {
+      console.error('Error sending dish event:', error);
+    }
+  }
+}
+
+/**
+ * Insert a menu item at the end of a restaurant's menu
+ * @param {Object} client - The transaction client
+ * @param {Object} restaurant - The restaurant, with id and countryCode
+ * @param {Object} item - The validated item fields, with dishId
+ * @returns {Promise<string>} The item ID
+ */
+async function insertItem(client, restaurant, item) {
+  const result = await client.query(
+    `INSERT INTO "MenuItem" (
+      "id", "restaurantId", "categoryId", "dishId", "name", "description", "price", "currency",
+      "isAvailable", "isSpecial", "dietaryInfo", "allergens", "preparationTime", "position",
+      "createdAt", "updatedAt"
+    )
+    SELECT gen_random_uuid(), $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12,
+           COALESCE(MAX("position") + 1, 0), NOW(), NOW()
+    FROM "MenuItem" WHERE "restaurantId" = $1
+    RETURNING "id"`,
+    [
+      restaurant.id,
+      item.categoryId ?? null,
+      item.dishId,
+      item.name,
+      item.description || null,
+      item.price,
+      getRestaurantCurrency(restaurant),
+      item.isAvailable ?? true,
+      item.isSpecial ?? false,
+      item.dietaryInfo || [],
+      item.allergens || [],
+      item.preparationTime || null,
+    ]
+  );
+  return result.rows[0].id;
+}
+
+/**
+ * Write changed fields onto a menu item
+ * @param {Object} client - The transaction client
+ * @param {Object} restaurant - The restaurant, with id and countryCode
+ * @param {string} itemId - The item ID
+ * @param {Object} changes - The validated changes
+ * @returns {Promise<void>}
+ */
+async function updateItemFields(client, restaurant, itemId, changes) {
+  const params = [itemId, getRestaurantCurrency(restaurant)];
+  const assignments = ['"currency" = $2', '"updatedAt" = NOW()'];
+  const columns = [
+    'categoryId',
+    'name',
+    'description',
+    'price',
+    'isAvailable',
+    'isSpecial',
+    'dietaryInfo',
+    'allergens',
+    'preparationTime',
+  ];
+  for (const column of columns) {
+    if (changes[column] !== undefined) {
+      params.push(changes[column]);
+      assignments.push(`"${column}" = $${params.length}`);
+    }
+  }
+  await client.query(`UPDATE "MenuItem" SET ${assignments.join(', ')} WHERE "id" = $1`, params);
+}
+
+/**
+ * Read a yes/no column of an imported row
+ * @param {any} value - The cell
+ * @returns {boolean|null|undefined} The value, undefined if blank or null if unreadable
+ */
+function parseImportBoolean(value) {
+  if (typeof value === 'boolean') {
+    return value;
+  }
+  const text = value === undefined || value === null ? '' : String(value).trim().toLowerCase();
+  if (text === '') {
+    return undefined;
+  }
+  if (['true', 'yes', 'y', '1'].includes(text)) {
+    return true;
+  }
+  if (['false', 'no', 'n', '0'].includes(text)) {
+    return false;
+  }
+  return null;
+}
+
+/**
+ * Convert an imported row, from CSV or JSON, into item fields and check it
+ * against the rules used when editing an item. Blank availability and
+ * special columns keep an existing item's value.
+ * @param {Object} raw - The imported row, keyed by MENU_EXPORT_COLUMNS
+ * @returns {{ item?: Object, error?: Object }} The item or the first problem
+ */
+function parseImportRow(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { error: { field: null, message: 'Row must be an object' } };
+  }
+
+  const text = (value) =>
+    value === undefined || value === null || String(value).trim() === '' ? null : String(value).trim();
+  const list = (value) =>
+    Array.isArray(value)
+      ? value
+      : (text(value)?.split('|') || []).map((entry) => entry.trim()).filter(Boolean);
+
+  const item = {
+    category: text(raw.category),
+    name: text(raw.name),
+    description: text(raw.description),
+    price: typeof raw.price === 'number' ? raw.price : Number(text(raw.price) ?? NaN),
+    isAvailable: parseImportBoolean(raw.isAvailable),
+    isSpecial: parseImportBoolean(raw.isSpecial),
+    dietaryInfo: list(raw.dietaryInfo).map((option) => String(option).toLowerCase()),
+    allergens: list(raw.allergens),
+    preparationTime: text(raw.preparationTime),
+    dishSlug: text(raw.dishSlug),
+  };
+
+  for (const field of ['isAvailable', 'isSpecial']) {
+    if (item[field] === null) {
+      return { error: { field, message: `${field} must be true or false` } };
+    }
+  }
+
+  const invalid = validateMenuItemFields({ ...item, name: item.name ?? '' });
+  if (invalid) {
+    return { error: { field: invalid.field, message: invalid.message } };
+  }
+  if (item.category && item.category.length > MENU_LIMITS.maxCategoryNameLength) {
+    return {
+      error: {
+        field: 'category',
+        message: `Category name must be at most ${MENU_LIMITS.maxCategoryNameLength} characters`,
+      },
+    };
+  }
+
+  return { item };
+}
+
+/**
+ * Compare two values of an item field
+ * @param {any} a - One value
+ * @param {any} b - The other value
+ * @returns {boolean} Whether they are the same
+ */
+function isSameValue(a, b) {
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return JSON.stringify(a || []) === JSON.stringify(b || []);
+  }
+  return (a ?? null) === (b ?? null);
+}
+
+class MenuService {
+  /**
+   * Get a restaurant's menu
+   * @param {string} restaurantId - The restaurant ID
+   * @returns {Promise<Object>} The restaurant with its currency, the
+   *   categories and the items, in menu order
+   */
+  async getMenu(restaurantId) {
+    const restaurantResult = await query(
+      'SELECT "id", "name", "countryCode" FROM "Restaurant" WHERE "id" = $1 AND "deletedAt" IS NULL',
+      [restaurantId]
+    );
+    const restaurant = restaurantResult.rows[0];
+    if (!restaurant) {
+      throw new Error('Restaurant not found');
+    }
+
+    const client = { query };
+    const [categories, items] = await Promise.all([
+      fetchCategories(client, restaurantId),
+      fetchItems(client, restaurantId),
+    ]);
+
+    return {
+      restaurant: {
+        id: restaurant.id,
+        name: restaurant.name,
+        currency: getRestaurantCurrency(restaurant),
+      },
+      categories,
+      items,
+    };
+  }
+
+  /**
+   * Convert menu items into export rows
+   * @param {Array<Object>} items - The items, as returned by getMenu
+   * @returns {Array<Object>} Rows keyed by MENU_EXPORT_COLUMNS
+   */
+  toExportRows(items) {
+    return items.map((item) => ({
+      category: item.category,
+      name: item.name,
+      description: item.description,
+      price: item.price.toFixed(2),
+      isAvailable: item.isAvailable,
+      isSpecial: item.isSpecial,
+      dietaryInfo: item.dietaryInfo.join('|'),
+      allergens: item.allergens.join('|'),
+      preparationTime: item.preparationTime,
+      dishSlug: item.dishSlug,
+    }));
+  }
+
+  /**
+   * Add a category at the end of a restaurant's menu
+   * @param {string} restaurantId - The restaurant ID
+   * @param {Object} user - The session user
+   * @param {Object} category - The validated name and description
+   * @returns {Promise<Object>} The category
+   */
+  async createCategory(restaurantId, user, { name, description = null }) {
+    return transaction(async (client) => {
+      await restaurantOwnershipService.assertCanManageRestaurant(restaurantId, user, client, { lock: true });
+      await assertUniqueCategoryName(client, restaurantId, name);
+
+      const result = await client.query(
+        `INSERT INTO "MenuCategory" ("id", "restaurantId", "name", "description", "position", "createdAt", "updatedAt")
+         SELECT gen_random_uuid(), $1, $2, $3, COALESCE(MAX("position") + 1, 0), NOW(), NOW()
+         FROM "MenuCategory" WHERE "restaurantId" = $1
+         RETURNING "id"`,
+        [restaurantId, name, description]
+      );
+      return (await fetchCategories(client, restaurantId)).find((row) => row.id === result.rows[0].id);
+    });
+  }
+
+  /**
+   * Rename a category or change its description
+   * @param {string} restaurantId - The restaurant ID
+   * @param {string} categoryId - The category ID
+   * @param {Object} user - The session user
+   * @param {Object} changes - The validated name and/or description
+   * @returns {Promise<Object>} The category
+   */
+  async updateCategory(restaurantId, categoryId, user, { name, description }) {
+    return transaction(async (client) => {
+      await restaurantOwnershipService.assertCanManageRestaurant(restaurantId, user, client, { lock: true });
+      await assertMenuCategory(client, restaurantId, categoryId);
+      if (name !== undefined) {
+        await assertUniqueCategoryName(client, restaurantId, name, categoryId);
+      }
+
+      await client.query(
+        `UPDATE "MenuCategory"
+         SET "name" = COALESCE($2, "name"),
+             "description" = CASE WHEN $3 THEN $4 ELSE "description" END,
+             "updatedAt" = NOW()
+         WHERE "id" = $1`,
+        [categoryId, name ?? null, description !== undefined, description ?? null]
+      );
+      return (await fetchCategories(client, restaurantId)).find((row) => row.id === categoryId);
+    });
+  }
+
+  /**
+   * Delete a category. Its items stay on the menu outside any category.
+   * @param {string} restaurantId - The restaurant ID
+   * @param {string} categoryId - The category ID
+   * @param {Object} user - The session user
+   * @returns {Promise<void>}
+   */
+  async deleteCategory(restaurantId, categoryId, user) {
+    await transaction(async (client) => {
+      await restaurantOwnershipService.assertCanManageRestaurant(restaurantId, user, client, { lock: true });
+      await assertMenuCategory(client, restaurantId, categoryId);
+
+      await client.query('UPDATE "MenuItem" SET "categoryId" = NULL, "updatedAt" = NOW() WHERE "categoryId" = $1', [
+        categoryId,
+      ]);
+      await client.query('DELETE FROM "MenuCategory" WHERE "id" = $1', [categoryId]);
+    });
+  }
+
+  /**
+   * Reorder a restaurant's categories. The listed categories come first in
+   * the given order and the rest follow in their current order.
+   * @param {string} restaurantId - The restaurant ID
+   * @param {Array<string>} categoryIds - The category IDs, in their new order
+   * @param {Object} user - The session user
+   * @returns {Promise<Array>} The categories, in menu order
+   */
+  async reorderCategories(restaurantId, categoryIds, user) {
+    return transaction(async (client) => {
+      await restaurantOwnershipService.assertCanManageRestaurant(restaurantId, user, client, { lock: true });
+      await this.reorder(client, 'MenuCategory', restaurantId, categoryIds, 'Category not found');
+      return fetchCategories(client, restaurantId);
+    });
+  }
+
+  /**
+   * Add an item to a restaurant's menu, backed by a dish (see linkDish)
+   * @param {string} restaurantId - The restaurant ID
+   * @param {Object} user - The session user
+   * @param {Object} fields - The validated item fields, with optional
+   *   categoryId, and dishId or dishSlug to choose its dish
+   * @returns {Promise<Object>} The item
+   */
+  async createItem(restaurantId, user, fields) {
+    const dishIds = { created: [], updated: [] };
+
+    const item = await transaction(async (client) => {
+      const restaurant = await restaurantOwnershipService.assertCanManageRestaurant(restaurantId, user, client, {
+        lock: true,
+      });
+      await assertMenuCategory(client, restaurantId, fields.categoryId ?? null);
+      await assertUniqueItemName(client, restaurantId, fields.name);
+
+      const { dishId, isNew } = await linkDish(client, restaurantId, fields);
+      const itemId = await insertItem(client, restaurant, { ...fields, dishId });
+      if (isNew) {
+        dishIds.created.push(dishId);
+      }
+      dishIds.updated = await syncDishes(client, [itemId]);
+      await restaurantSearchService.refreshSearchDocuments(client, [restaurantId]);
+
+      return fetchItem(client, restaurantId, itemId);
+    });
+
+    await sendDishEvents(restaurantId, dishIds);
+    return item;
+  }
+
+  /**
+   * Update a menu item and its dish
+   * @param {string} restaurantId - The restaurant ID
+   * @param {string} itemId - The item ID
+   * @param {Object} user - The session user
+   * @param {Object} changes - The validated changes; categoryId null moves
+   *   the item out of its category
+   * @returns {Promise<Object>} The item
+   */
+  async updateItem(restaurantId, itemId, user, changes) {
+    const dishIds = { created: [], updated: [] };
+
+    const item = await transaction(async (client) => {
+      const restaurant = await restaurantOwnershipService.assertCanManageRestaurant(restaurantId, user, client, {
+        lock: true,
+      });
+      await fetchItem(client, restaurantId, itemId);
+      if (changes.categoryId !== undefined) {
+        await assertMenuCategory(client, restaurantId, changes.categoryId);
+      }
+      if (changes.name !== undefined) {
+        await assertUniqueItemName(client, restaurantId, changes.name, itemId);
+      }
+
+      await updateItemFields(client, restaurant, itemId, changes);
+      dishIds.updated = await syncDishes(client, [itemId]);
+      await restaurantSearchService.refreshSearchDocuments(client, [restaurantId]);
+
+      return fetchItem(client, restaurantId, itemId);
+    });
+
+    await sendDishEvents(restaurantId, dishIds);
+    return item;
+  }
+
+  /**
+   * Reorder a restaurant's items. The listed items come first in the given
+   * order and the rest follow in their current order; the menu shows them
+   * within their categories.
+   * @param {string} restaurantId - The restaurant ID
+   * @param {Array<string>} itemIds - The item IDs, in their new order
+   * @param {Object} user - The session user
+   * @returns {Promise<Array>} The items, in menu order
+   */
+  async reorderItems(restaurantId, itemIds, user) {
+    return transaction(async (client) => {
+      await restaurantOwnershipService.assertCanManageRestaurant(restaurantId, user, client, { lock: true });
+      await this.reorder(client, 'MenuItem', restaurantId, itemIds, 'Menu item not found');
+      return fetchItems(client, restaurantId);
+    });
+  }
+
+  /**
+   * Make several items available or unavailable, or take them off the
+   * menu. Dishes taken off the menu stay, unavailable, with their rankings.
+   * @param {string} restaurantId - The restaurant ID
+   * @param {Array<string>} itemIds - The item IDs
+   * @param {string} action - One of MENU_BULK_ACTIONS
+   * @param {Object} user - The session user
+   * @returns {Promise<number>} The number of items changed
+   */
+  async bulkUpdateItems(restaurantId, itemIds, action, user) {
+    const dishIds = { created: [], updated: [] };
+
+    const changed = await transaction(async (client) => {
+      await restaurantOwnershipService.assertCanManageRestaurant(restaurantId, user, client, { lock: true });
+
+      const found = await client.query(
+        'SELECT "id" FROM "MenuItem" WHERE "restaurantId" = $1 AND "id" = ANY($2::text[])',
+        [restaurantId, itemIds]
+      );
+      if (found.rowCount !== new Set(itemIds).size) {
+        throw new Error('Menu item not found');
+      }
+
+      if (action === MenuBulkAction.DELETE) {
+        dishIds.updated = await this.removeItems(client, itemIds);
+      } else {
+        await client.query(
+          'UPDATE "MenuItem" SET "isAvailable" = $2, "updatedAt" = NOW() WHERE "id" = ANY($1::text[])',
+          [itemIds, action === MenuBulkAction.ENABLE]
+        );
+        dishIds.updated = await syncDishes(client, itemIds);
+      }
+      await restaurantSearchService.refreshSearchDocuments(client, [restaurantId]);
+
+      return found.rowCount;
+    });
+
+    await sendDishEvents(restaurantId, dishIds);
+    return changed;
+  }
+
+  /**
+   * Take one item off the menu (see bulkUpdateItems)
+   * @param {string} restaurantId - The restaurant ID
+   * @param {string} itemId - The item ID
+   * @param {Object} user - The session user
+   * @returns {Promise<void>}
+   */
+  async deleteItem(restaurantId, itemId, user) {
+    await this.bulkUpdateItems(restaurantId, [itemId], MenuBulkAction.DELETE, user);
+  }
+
+  /**
+   * Import a restaurant's menu from rows of a CSV or JSON file. Rows are
+   * matched to items by name; missing categories are added at the end of
+   * the menu. Without apply, nothing is written and the changes the file
+   * would make are returned for the owner to check. Nothing is written
+   * unless every row is valid.
+   * @param {string} restaurantId - The restaurant ID
+   * @param {Object} user - The session user
+   * @param {Array<Object>} rows - Rows keyed by MENU_EXPORT_COLUMNS
+   * @param {Object} [options] - Import options
+   * @param {boolean} [options.apply] - Write the changes
+   * @param {boolean} [options.removeMissing] - Take items not in the file off the menu
+   * @returns {Promise<Object>} The items created, updated, unchanged and
+   *   removed, the categories added, row-level errors and whether the
+   *   changes were written
+   */
+  async importMenu(restaurantId, user, rows, { apply = false, removeMissing = false } = {}) {
+    if (rows.length === 0) {
+      throw new Error('No menu items to import');
+    }
+    if (rows.length > MAX_MENU_IMPORT_ROWS) {
+      throw new Error('Too many menu items to import');
+    }
+
+    const dishIds = { created: [], updated: [] };
+
+    const imported = await transaction(async (client) => {
+      const restaurant = await restaurantOwnershipService.assertCanManageRestaurant(restaurantId, user, client, {
+        lock: apply,
+      });
+      const [categories, items] = await Promise.all([
+        fetchCategories(client, restaurantId),
+        fetchItems(client, restaurantId),
+      ]);
+      const itemsByName = new Map(items.map((item) => [item.name.trim().toLowerCase(), item]));
+      const categoryNames = new Map(categories.map((category) => [category.name.trim().toLowerCase(), category]));
+
+      const errors = [];
+      const created = [];
+      const updated = [];
+      const newCategories = [];
+      const seenNames = new Map();
+      let unchanged = 0;
+
+      rows.forEach((raw, index) => {
+        const row = index + 1;
+        const { item, error } = parseImportRow(raw);
+        if (error) {
+          errors.push({ row, ...error });
+          return;
+        }
+
+        const key = item.name.toLowerCase();
+        if (seenNames.has(key)) {
+          errors.push({ row, field: 'name', message: `Item already appears in row ${seenNames.get(key)}` });
+          return;
+        }
+        seenNames.set(key, row);
+
+        const categoryKey = item.category?.toLowerCase();
+        if (categoryKey) {
+          const category = categoryNames.get(categoryKey);
+          if (category) {
+            item.category = category.name;
+          } else {
+            categoryNames.set(categoryKey, { name: item.category });
+            newCategories.push(item.category);
+          }
+        }
+
+        const existing = itemsByName.get(key);
+        if (!existing) {
+          created.push({ row, ...item, isAvailable: item.isAvailable ?? true, isSpecial: item.isSpecial ?? false });
+          return;
+        }
+
+        const changes = {};
+        for (const field of IMPORT_DIFF_FIELDS) {
+          if (item[field] !== undefined && !isSameValue(existing[field], item[field])) {
+            changes[field] = { from: existing[field], to: item[field] };
+          }
+        }
+        if (existing.name !== item.name) {
+          changes.name = { from: existing.name, to: item.name };
+        }
+        if (Object.keys(changes).length === 0) {
+          unchanged++;
+        } else {
+          updated.push({ row, id: existing.id, name: item.name, changes });
+        }
+      });
+
+      const removed = removeMissing
+        ? items.filter((item) => !seenNames.has(item.name.trim().toLowerCase())).map(({ id, name }) => ({ id, name }))
+        : [];
+      const result = {
+        created,
+        updated,
+        unchanged,
+        removed,
+        newCategories,
+        errors,
+        applied: false,
+      };
+      if (!apply || errors.length > 0) {
+        return result;
+      }
+
+      // Add the new categories, then write the items
+      for (const name of newCategories) {
+        const inserted = await client.query(
+          `INSERT INTO "MenuCategory" ("id", "restaurantId", "name", "position", "createdAt", "updatedAt")
+           SELECT gen_random_uuid(), $1, $2, COALESCE(MAX("position") + 1, 0), NOW(), NOW()
+           FROM "MenuCategory" WHERE "restaurantId" = $1
+           RETURNING "id", "name"`,
+          [restaurantId, name]
+        );
+        categoryNames.set(name.toLowerCase(), inserted.rows[0]);
+      }
+      const categoryIdOf = (name) => (name ? categoryNames.get(name.toLowerCase()).id : null);
+
+      const writtenIds = [];
+      for (const item of created) {
+        const { dishId, isNew } = await linkDish(client, restaurantId, item);
+        if (isNew) {
+          dishIds.created.push(dishId);
+        }
+        writtenIds.push(
+          await insertItem(client, restaurant, { ...item, categoryId: categoryIdOf(item.category), dishId })
+        );
+      }
+      for (const { id, changes } of updated) {
+        const values = Object.fromEntries(Object.entries(changes).map(([field, { to }]) => [field, to]));
+        if (values.category !== undefined) {
+          values.categoryId = categoryIdOf(values.category);
+        }
+        await updateItemFields(client, restaurant, id, values);
+        writtenIds.push(id);
+      }
+      dishIds.updated.push(
+        ...(await this.removeItems(
+          client,
+          removed.map((item) => item.id)
+        ))
+      );
+
+      dishIds.updated.push(...(await syncDishes(client, writtenIds)));
+      await restaurantSearchService.refreshSearchDocuments(client, [restaurantId]);
+
+      return { ...result, applied: true };
+    });
+
+    await sendDishEvents(restaurantId, dishIds);
+    return imported;
+  }
+
+  /**
+   * Take items off the menu, leaving their dishes unavailable
+   * @param {Object} client - The transaction client
+   * @param {Array<string>} itemIds - The item IDs
+   * @returns {Promise<Array<string>>} The IDs of their dishes
+   * @private
+   */
+  async removeItems(client, itemIds) {
+    const result = await client.query(
+      `UPDATE "Dish" SET "isAvailable" = false, "updatedAt" = NOW()
+       WHERE "id" IN (SELECT "dishId" FROM "MenuItem" WHERE "id" = ANY($1::text[]))
+       RETURNING "id"`,
+      [itemIds]
+    );
+    await client.query('DELETE FROM "MenuItem" WHERE "id" = ANY($1::text[])', [itemIds]);
+    return result.rows.map((row) => row.id);
+  }
+
+  /**
+   * Renumber the categories or items of a restaurant: the listed rows
+   * first in the given order, then the rest in their current order
+   * @param {Object} client - The transaction client
+   * @param {string} table - MenuCategory or MenuItem
+   * @param {string} restaurantId - The restaurant ID
+   * @param {Array<string>} ids - The listed row IDs
+   * @param {string} notFoundError - The error when a row is not the restaurant's
+   * @returns {Promise<void>}
+   * @private
+   */
+  async reorder(client, table, restaurantId, ids, notFoundError) {
+    const found = await client.query(
+      `SELECT COUNT(*)::int AS "count" FROM "${table}" WHERE "restaurantId" = $1 AND "id" = ANY($2::text[])`,
+      [restaurantId, ids]
+    );
+    if (found.rows[0].count !== ids.length) {
+      throw new Error(notFoundError);
+    }
+
+    await client.query(
+      `WITH ordered AS (
+         SELECT t."id", ROW_NUMBER() OVER (
+           ORDER BY listed."ordinality" NULLS LAST, t."position", t."createdAt", t."id"
+         ) - 1 AS "position"
+         FROM "${table}" t
+         LEFT JOIN unnest($2::text[]) WITH ORDINALITY AS listed("id", "ordinality")
+           ON listed."id" = t."id"
+         WHERE t."restaurantId" = $1
+       )
+       UPDATE "${table}" t
+       SET "position" = ordered."position", "updatedAt" = NOW()
+       FROM ordered
+       WHERE t."id" = ordered."id" AND t."position" <> ordered."position"`,
+      [restaurantId, ids]
+    );
+  }
+
+}
+
+// Export a singleton instance
+export const menuService = new MenuService();
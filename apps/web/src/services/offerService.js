@@ -0,0 +1,754 @@
+/**
+ * Offer Service
+ * This service manages the offers and promotions restaurants run, such as
+ * discounts, happy hours and set meals, and the coupon codes they are
+ * redeemed with. Offers are shown between their start and end, can be
+ * limited to weekly windows in the restaurant's timezone, and stop being
+ * shown once expired or fully redeemed. Staff redeem offers by code, which
+ * checks the offer's caps and burns single-use codes. Offer views and
+ * redemptions are recorded as restaurant engagement for analytics.
+ */
+
+import { randomInt } from 'crypto';
+import { query, transaction } from '../utils/postgres.js';
+import { getOpeningStatus, getRestaurantTimezone } from '../utils/openingHours.js';
+import { OFFER_LIMITS } from '../utils/offerValidation.js';
+import { getRestaurantCurrency } from './menuService.js';
+import { restaurantOwnershipService } from './restaurantOwnershipService.js';
+
+/**
+ * States of an offer, as seen by its owner
+ */
+export const OfferStatus = {
+  ACTIVE: 'active',
+  SCHEDULED: 'scheduled',
+  PAUSED: 'paused',
+  EXPIRED: 'expired',
+  EXHAUSTED: 'exhausted',
+};
+
+/**
+ * Engagement types recorded against the restaurant in analytics
+ */
+export const OfferEngagementType = {
+  VIEW: 'OFFER_VIEW',
+  REDEMPTION: 'OFFER_REDEMPTION',
+};
+
+// Entity type of restaurants in analytics
+const ANALYTICS_ENTITY_TYPE = 'RESTAURANT';
+
+// Characters of generated codes, without ones easily mistaken for others
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const GENERATED_CODE_LENGTH = 8;
+
+// Offer fields an owner can change, in update order
+const UPDATABLE_FIELDS = [
+  'title',
+  'description',
+  'discountType',
+  'discountValue',
+  'originalPrice',
+  'offerPrice',
+  'minOrderValue',
+  'maxDiscount',
+  'terms',
+  'imageUrl',
+  'validFrom',
+  'validUntil',
+  'maxRedemptions',
+  'maxRedemptionsPerUser',
+  'isActive',
+];
+
+/**
+ * Offer columns returned to callers, with the weekly windows as schedules
+ * and the code of shared-code offers. Offers are aliased as o.
+ */
+const OFFER_COLUMNS = `
+  o."id", o."restaurantId", o."title", o."description", o."type", o."discountType", o."discountValue",
+  o."originalPrice", o."offerPrice", o."currency", o."minOrderValue", o."maxDiscount", o."terms",
+  o."imageUrl", o."codeType", o."validFrom", o."validUntil", o."maxRedemptions", o."maxRedemptionsPerUser",
+  o."redemptionCount", o."isActive", o."createdAt", o."updatedAt",
+  COALESCE(
+    (SELECT json_agg(json_build_object('dayOfWeek', s."dayOfWeek", 'startTime', s."startTime", 'endTime', s."endTime")
+                     ORDER BY s."dayOfWeek", s."startTime")
+     FROM "OfferSchedule" s WHERE s."offerId" = o."id"),
+    '[]'
+  ) AS "schedules",
+  (SELECT c."code" FROM "OfferCode" c WHERE c."offerId" = o."id" AND o."codeType" = 'shared' LIMIT 1) AS "code"
+`;
+
+/**
+ * Order offers are listed in: ending soonest first, then newest
+ */
+const OFFER_ORDER = 'o."validUntil" NULLS LAST, o."createdAt" DESC, o."id"';
+
+/**
+ * Convert an offer row into the shape returned by the API
+ * @param {Object} row - The database row
+ * @returns {Object} The offer
+ */
+function mapOfferRow(row) {
+  const amount = (value) => (value === null ? null : Number(value));
+  return {
+    ...row,
+    discountValue: amount(row.discountValue),
+    originalPrice: amount(row.originalPrice),
+    offerPrice: amount(row.offerPrice),
+    minOrderValue: amount(row.minOrderValue),
+    maxDiscount: amount(row.maxDiscount),
+  };
+}
+
+/**
+ * Work out an offer's state at a moment
+ * @param {Object} offer - The offer
+ * @param {Date} now - The moment
+ * @returns {string} One of OfferStatus
+ */
+function getOfferStatus(offer, now) {
+  if (!offer.isActive) {
+    return OfferStatus.PAUSED;
+  }
+  if (new Date(offer.validFrom) > now) {
+    return OfferStatus.SCHEDULED;
+  }
+  if (offer.validUntil && new Date(offer.validUntil) <= now) {
+    return OfferStatus.EXPIRED;
+  }
+  if (offer.maxRedemptions !== null && offer.redemptionCount >= offer.maxRedemptions) {
+    return OfferStatus.EXHAUSTED;
+  }
+  return OfferStatus.ACTIVE;
+}
+
+/**
+ * Work out whether an offer's weekly windows include a moment. Windows are
+ * checked like opening hours, so one running past midnight counts on the
+ * next day too.
+ * @param {Object} offer - The offer
+ * @param {string} timezone - The restaurant's timezone
+ * @param {Date} now - The moment
+ * @returns {Object} Whether it can be redeemed now, until when, and when it
+ *   can next be redeemed before it ends
+ */
+function getOfferAvailability(offer, timezone, now) {
+  if (offer.schedules.length === 0) {
+    return { isAvailableNow: true, availableUntil: null, nextAvailableAt: null };
+  }
+
+  const status = getOpeningStatus(
+    {
+      hours: offer.schedules.map(({ dayOfWeek, startTime, endTime }) => ({
+        dayOfWeek,
+        openTime: startTime,
+        closeTime: endTime,
+      })),
+      timezone,
+    },
+    now
+  );
+  const endsBefore = (moment) => !offer.validUntil || new Date(moment) < new Date(offer.validUntil);
+
+  return {
+    isAvailableNow: status.isOpen,
+    availableUntil: status.closesAt,
+    nextAvailableAt: status.nextOpening && endsBefore(status.nextOpening) ? status.nextOpening : null,
+  };
+}
+
+/**
+ * Work out the discount a redemption gives, where it is known
+ * @param {Object} offer - The offer
+ * @param {number|null} orderValue - The order value, if given
+ * @returns {number|null} The discount, rounded to cents
+ */
+function getDiscountAmount(offer, orderValue) {
+  let discount = null;
+  if (offer.type === 'discount' && offer.discountType === 'percentage') {
+    discount = orderValue === null ? null : (orderValue * offer.discountValue) / 100;
+  } else if (offer.type === 'discount') {
+    discount = orderValue === null ? offer.discountValue : Math.min(offer.discountValue, orderValue);
+  } else if (offer.type === 'set_meal' && offer.originalPrice !== null) {
+    discount = Math.max(offer.originalPrice - offer.offerPrice, 0);
+  }
+  if (discount !== null && offer.maxDiscount !== null) {
+    discount = Math.min(discount, offer.maxDiscount);
+  }
+  return discount === null ? null : Math.round(discount * 100) / 100;
+}
+
+/**
+ * Fetch a restaurant that has not been deleted
+ * @param {Object} client - The database client
+ * @param {string} restaurantId - The restaurant ID
+ * @returns {Promise<Object>} The restaurant's ID, name, country and timezone
+ */
+async function fetchRestaurant(client, restaurantId) {
+  const result = await client.query(
+    `SELECT "id", "name", "countryCode", "timezone" FROM "Restaurant"
+     WHERE "id" = $1 AND "deletedAt" IS NULL`,
+    [restaurantId]
+  );
+  if (result.rows.length === 0) {
+    throw new Error('Restaurant not found');
+  }
+  return result.rows[0];
+}
+
+/**
+ * Fetch one of a restaurant's offers
+ * @param {Object} client - The database client
+ * @param {string} restaurantId - The restaurant ID
+ * @param {string} offerId - The offer ID
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.lock] - Lock the offer row, to serialize redemptions
+ * @returns {Promise<Object>} The offer
+ */
+async function fetchOffer(client, restaurantId, offerId, { lock = false } = {}) {
+  const result = await client.query(
+    `SELECT ${OFFER_COLUMNS}
+     FROM "Offer" o
+     WHERE o."id" = $1 AND o."restaurantId" = $2
+     ${lock ? 'FOR UPDATE' : ''}`,
+    [offerId, restaurantId]
+  );
+  if (result.rows.length === 0) {
+    throw new Error('Offer not found');
+  }
+  return mapOfferRow(result.rows[0]);
+}
+
+/**
+ * Replace an offer's weekly windows
+ * @param {Object} client - The database client
+ * @param {string} offerId - The offer ID
+ * @param {Array} schedules - The validated windows as { dayOfWeek, startTime, endTime }
+ * @returns {Promise<void>}
+ */
+async function replaceSchedules(client, offerId, schedules) {
+  await client.query('DELETE FROM "OfferSchedule" WHERE "offerId" = $1', [offerId]);
+  if (schedules.length > 0) {
+    await client.query(
+      `INSERT INTO "OfferSchedule" ("id", "offerId", "dayOfWeek", "startTime", "endTime")
+       SELECT gen_random_uuid(), $1, s."dayOfWeek", s."startTime", s."endTime"
+       FROM unnest($2::int[], $3::text[], $4::text[]) AS s("dayOfWeek", "startTime", "endTime")`,
+      [
+        offerId,
+        schedules.map((schedule) => schedule.dayOfWeek),
+        schedules.map((schedule) => schedule.startTime),
+        schedules.map((schedule) => schedule.endTime),
+      ]
+    );
+  }
+}
+
+/**
+ * Set the code of a shared-code offer
+ * @param {Object} client - The database client
+ * @param {Object} offer - The offer's ID and restaurant ID
+ * @param {string} code - The normalized code
+ * @returns {Promise<void>}
+ */
+async function setSharedCode(client, { id, restaurantId }, code) {
+  const taken = await client.query(
+    'SELECT 1 FROM "OfferCode" WHERE "restaurantId" = $1 AND "code" = $2 AND "offerId" <> $3',
+    [restaurantId, code, id]
+  );
+  if (taken.rows.length > 0) {
+    throw new Error('Coupon code already exists');
+  }
+
+  await client.query('DELETE FROM "OfferCode" WHERE "offerId" = $1', [id]);
+  await client.query(
+    `INSERT INTO "OfferCode" ("id", "offerId", "restaurantId", "code", "createdAt")
+     VALUES (gen_random_uuid(), $1, $2, $3, NOW())`,
+    [id, restaurantId, code]
+  );
+}
+
+/**
+ * Add random single-use codes to an offer. Codes that happen to be taken
+ * in the restaurant are drawn again.
+ * @param {Object} client - The database client
+ * @param {Object} offer - The offer's ID and restaurant ID
+ * @param {number} count - How many codes to add
+ * @returns {Promise<Array<string>>} The new codes
+ */
+async function insertUniqueCodes(client, { id, restaurantId }, count) {
+  const codes = [];
+  while (codes.length < count) {
+    const batch = Array.from({ length: count - codes.length }, () =>
+      Array.from({ length: GENERATED_CODE_LENGTH }, () => CODE_ALPHABET[randomInt(CODE_ALPHABET.length)]).join('')
+    );
+    const result = await client.query(
+      `INSERT INTO "OfferCode" ("id", "offerId", "restaurantId", "code", "createdAt")
+       SELECT gen_random_uuid(), $1, $2, c."code", NOW()
+       FROM unnest($3::text[]) AS c("code")
+       ON CONFLICT ("restaurantId", "code") DO NOTHING
+       RETURNING "code"`,
+      [id, restaurantId, [...new Set(batch)]]
+    );
+    codes.push(...result.rows.map((row) => row.code));
+  }
+  return codes;
+}
+
+/**
+ * Record engagements with a restaurant in analytics, with the running
+ * count per engagement type
+ * @param {Object} client - The database client
+ * @param {string} restaurantId - The restaurant ID
+ * @param {string} engagementType - One of OfferEngagementType
+ * @param {Array<Object>} engagements - The engagements as { userId, metadata }
+ * @returns {Promise<void>}
+ */
+async function recordEngagements(client, restaurantId, engagementType, engagements) {
+  if (engagements.length === 0) {
+    return;
+  }
+
+  await client.query(
+    `INSERT INTO "AnalyticsEngagement" ("id", "entityType", "entityId", "userId", "engagementType", "metadata", "timestamp")
+     SELECT gen_random_uuid(), $1, $2, e."userId", $3, e."metadata"::jsonb, NOW()
+     FROM unnest($4::text[], $5::text[]) AS e("userId", "metadata")`,
+    [
+      ANALYTICS_ENTITY_TYPE,
+      restaurantId,
+      engagementType,
+      engagements.map((engagement) => engagement.userId || null),
+      engagements.map((engagement) => JSON.stringify(engagement.metadata)),
+    ]
+  );
+  await client.query(
+    `INSERT INTO "AnalyticsEngagementCount" ("id", "entityType", "entityId", "engagementType", "count", "lastUpdated")
+     VALUES (gen_random_uuid(), $1, $2, $3, $4, NOW())
+     ON CONFLICT ("entityType", "entityId", "engagementType")
+     DO UPDATE SET "count" = "AnalyticsEngagementCount"."count" + EXCLUDED."count", "lastUpdated" = NOW()`,
+    [ANALYTICS_ENTITY_TYPE, restaurantId, engagementType, engagements.length]
+  );
+}
+
+class OfferService {
+  /**
+   * Get the offers a restaurant runs at a moment, for customers. Offers
+   * that have not started, have ended or are fully redeemed are left out;
+   * offers outside their weekly windows are included with when they can
+   * next be redeemed. Each offer shown counts as a view.
+   * @param {string} restaurantId - The restaurant ID
+   * @param {Date} [at] - The moment
+   * @returns {Promise<Object>} The restaurant with its timezone, and the offers
+   */
+  async getActiveOffers(restaurantId, at = new Date()) {
+    const restaurant = await fetchRestaurant({ query }, restaurantId);
+    const timezone = getRestaurantTimezone(restaurant);
+
+    const result = await query(
+      `SELECT ${OFFER_COLUMNS}
+       FROM "Offer" o
+       WHERE o."restaurantId" = $1 AND o."isActive" AND o."validFrom" <= $2
+         AND (o."validUntil" IS NULL OR o."validUntil" > $2)
+         AND (o."maxRedemptions" IS NULL OR o."redemptionCount" < o."maxRedemptions")
+       ORDER BY ${OFFER_ORDER}`,
+      [restaurantId, at]
+    );
+    const offers = result.rows.map((row) => {
+      const offer = mapOfferRow(row);
+      return {
+        ...offer,
+        remainingRedemptions: offer.maxRedemptions === null ? null : offer.maxRedemptions - offer.redemptionCount,
+        ...getOfferAvailability(offer, timezone, at),
+      };
+    });
+
+    // Analytics errors shouldn't stop offers being shown
+    try {
+      await recordEngagements(
+        { query },
+        restaurantId,
+        OfferEngagementType.VIEW,
+        offers.map((offer) => ({ metadata: { offerId: offer.id } }))
+      );
+    } catch (error) {
+      console.error('Error recording offer views:', error);
+    }
+
+    return {
+      restaurant: { id: restaurant.id, name: restaurant.name, timezone },
+      offers,
+    };
+  }
+
+  /**
+   * List all of a restaurant's offers for its owner, with their state,
+   * views and redemptions
+   * @param {string} restaurantId - The restaurant ID
+   * @param {Object} user - The session user
+   * @returns {Promise<Object>} The restaurant with its timezone, and the offers
+   */
+  async listOffers(restaurantId, user) {
+    const restaurant = await restaurantOwnershipService.assertCanManageRestaurant(restaurantId, user);
+    const timezone = getRestaurantTimezone(restaurant);
+    const now = new Date();
+
+    const [offerResult, viewResult, codeResult] = await Promise.all([
+      query(
+        `SELECT ${OFFER_COLUMNS}
+         FROM "Offer" o
+         WHERE o."restaurantId" = $1
+         ORDER BY ${OFFER_ORDER}`,
+        [restaurantId]
+      ),
+      query(
+        `SELECT "metadata"->>'offerId' AS "offerId", COUNT(*)::int AS "views"
+         FROM "AnalyticsEngagement"
+         WHERE "entityType" = $1 AND "entityId" = $2 AND "engagementType" = $3
+         GROUP BY 1`,
+        [ANALYTICS_ENTITY_TYPE, restaurantId, OfferEngagementType.VIEW]
+      ),
+      query(
+        `SELECT c."offerId", COUNT(*)::int AS "codes", COUNT(c."redeemedAt")::int AS "redeemedCodes"
+         FROM "OfferCode" c
+         JOIN "Offer" o ON o."id" = c."offerId"
+         WHERE c."restaurantId" = $1 AND o."codeType" = 'unique'
+         GROUP BY c."offerId"`,
+        [restaurantId]
+      ),
+    ]);
+    const views = new Map(viewResult.rows.map((row) => [row.offerId, row.views]));
+    const codes = new Map(codeResult.rows.map((row) => [row.offerId, row]));
+
+    return {
+      restaurant: { id: restaurant.id, name: restaurant.name, timezone },
+      offers: offerResult.rows.map((row) => {
+        const offer = mapOfferRow(row);
+        return {
+          ...offer,
+          status: getOfferStatus(offer, now),
+          ...getOfferAvailability(offer, timezone, now),
+          stats: {
+            views: views.get(offer.id) || 0,
+            redemptions: offer.redemptionCount,
+            codes: codes.get(offer.id)?.codes || 0,
+            redeemedCodes: codes.get(offer.id)?.redeemedCodes || 0,
+          },
+        };
+      }),
+    };
+  }
+
+  /**
+   * Create an offer in the restaurant's currency
+   * @param {string} restaurantId - The restaurant ID
+   * @param {Object} user - The session user
+   * @param {Object} fields - The validated offer fields, with code
+   *   normalized and codeCount single-use codes to generate
+   * @returns {Promise<Object>} The offer
+   */
+  async createOffer(restaurantId, user, fields) {
+    const {
+      title,
+      description = null,
+      type,
+      discountType = null,
+      discountValue = null,
+      originalPrice = null,
+      offerPrice = null,
+      minOrderValue = null,
+      maxDiscount = null,
+      terms = [],
+      imageUrl = null,
+      codeType = 'none',
+      code,
+      codeCount = 0,
+      validFrom = null,
+      validUntil = null,
+      maxRedemptions = null,
+      maxRedemptionsPerUser = null,
+      isActive = true,
+      schedules = [],
+    } = fields;
+
+    return transaction(async (client) => {
+      const restaurant = await restaurantOwnershipService.assertCanManageRestaurant(restaurantId, user, client, {
+        lock: true,
+      });
+
+      const result = await client.query(
+        `INSERT INTO "Offer" (
+           "id", "restaurantId", "title", "description", "type", "discountType", "discountValue",
+           "originalPrice", "offerPrice", "currency", "minOrderValue", "maxDiscount", "terms", "imageUrl",
+           "codeType", "validFrom", "validUntil", "maxRedemptions", "maxRedemptionsPerUser", "isActive",
+           "createdBy", "createdAt", "updatedAt"
+         )
+         VALUES (
+           gen_random_uuid(), $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13,
+           $14, COALESCE($15, NOW()), $16, $17, $18, $19, $20, NOW(), NOW()
+         )
+         RETURNING "id", "restaurantId"`,
+        [
+          restaurantId,
+          title,
+          description,
+          type,
+          discountType,
+          discountValue,
+          originalPrice,
+          offerPrice,
+          getRestaurantCurrency(restaurant),
+          minOrderValue,
+          maxDiscount,
+          terms,
+          imageUrl,
+          codeType,
+          validFrom,
+          validUntil,
+          maxRedemptions,
+          maxRedemptionsPerUser,
+          isActive,
+          user.id,
+        ]
+      );
+      const offer = result.rows[0];
+
+      await replaceSchedules(client, offer.id, schedules);
+      if (codeType === 'shared') {
+        await setSharedCode(client, offer, code);
+      } else if (codeType === 'unique' && codeCount > 0) {
+        await insertUniqueCodes(client, offer, codeCount);
+      }
+
+      return fetchOffer(client, restaurantId, offer.id);
+    });
+  }
+
+  /**
+   * Update an offer. Given schedules replace all of its windows.
+   * @param {string} restaurantId - The restaurant ID
+   * @param {string} offerId - The offer ID
+   * @param {Object} user - The session user
+   * @param {Object} changes - The validated changes, with code normalized;
+   *   null clears optional fields
+   * @returns {Promise<Object>} The offer
+   */
+  async updateOffer(restaurantId, offerId, user, changes) {
+    return transaction(async (client) => {
+      await restaurantOwnershipService.assertCanManageRestaurant(restaurantId, user, client, { lock: true });
+      const current = await fetchOffer(client, restaurantId, offerId, { lock: true });
+
+      // An offer whose start is cleared starts now
+      const merged = {
+        ...current,
+        ...Object.fromEntries(Object.entries(changes).filter(([, value]) => value !== undefined)),
+        validFrom: changes.validFrom === null ? new Date() : (changes.validFrom ?? current.validFrom),
+      };
+      if (merged.validUntil && new Date(merged.validUntil) <= new Date(merged.validFrom)) {
+        throw new Error('Offer ends before it starts');
+      }
+      if (merged.discountType === 'percentage' && merged.discountValue > 100) {
+        throw new Error('Discount over 100 percent');
+      }
+      if (changes.code !== undefined && current.codeType !== 'shared') {
+        throw new Error('Offer has no shared code');
+      }
+
+      const params = [offerId];
+      const assignments = ['"updatedAt" = NOW()'];
+      for (const field of UPDATABLE_FIELDS) {
+        if (changes[field] !== undefined) {
+          params.push(merged[field]);
+          assignments.push(`"${field}" = $${params.length}`);
+        }
+      }
+      await client.query(`UPDATE "Offer" SET ${assignments.join(', ')} WHERE "id" = $1`, params);
+
+      if (changes.schedules !== undefined) {
+        await replaceSchedules(client, offerId, changes.schedules);
+      }
+      if (changes.code !== undefined && changes.code !== current.code) {
+        await setSharedCode(client, current, changes.code);
+      }
+
+      return fetchOffer(client, restaurantId, offerId);
+    });
+  }
+
+  /**
+   * Delete an offer with its codes and redemptions. Pausing an offer keeps
+   * its history.
+   * @param {string} restaurantId - The restaurant ID
+   * @param {string} offerId - The offer ID
+   * @param {Object} user - The session user
+   * @returns {Promise<void>}
+   */
+  async deleteOffer(restaurantId, offerId, user) {
+    await transaction(async (client) => {
+      await restaurantOwnershipService.assertCanManageRestaurant(restaurantId, user, client, { lock: true });
+      await fetchOffer(client, restaurantId, offerId);
+
+      await client.query('DELETE FROM "Offer" WHERE "id" = $1', [offerId]);
+    });
+  }
+
+  /**
+   * List an offer's coupon codes, for its owner to hand out
+   * @param {string} restaurantId - The restaurant ID
+   * @param {string} offerId - The offer ID
+   * @param {Object} user - The session user
+   * @returns {Promise<Array>} The codes as { code, redeemedAt, createdAt }
+   */
+  async listCodes(restaurantId, offerId, user) {
+    await restaurantOwnershipService.assertCanManageRestaurant(restaurantId, user);
+    await fetchOffer({ query }, restaurantId, offerId);
+
+    const result = await query(
+      `SELECT "code", "redeemedAt", "createdAt" FROM "OfferCode"
+       WHERE "offerId" = $1
+       ORDER BY "createdAt", "code"`,
+      [offerId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Add single-use codes to an offer with unique codes
+   * @param {string} restaurantId - The restaurant ID
+   * @param {string} offerId - The offer ID
+   * @param {Object} user - The session user
+   * @param {number} count - How many codes to add
+   * @returns {Promise<Array<string>>} The new codes
+   */
+  async generateCodes(restaurantId, offerId, user, count) {
+    return transaction(async (client) => {
+      await restaurantOwnershipService.assertCanManageRestaurant(restaurantId, user, client, { lock: true });
+      const offer = await fetchOffer(client, restaurantId, offerId, { lock: true });
+      if (offer.codeType !== 'unique') {
+        throw new Error('Offer has no unique codes');
+      }
+
+      const existing = await client.query('SELECT COUNT(*)::int AS "count" FROM "OfferCode" WHERE "offerId" = $1', [
+        offerId,
+      ]);
+      if (existing.rows[0].count + count > OFFER_LIMITS.maxCodesPerOffer) {
+        throw new Error('Too many codes');
+      }
+
+      return insertUniqueCodes(client, offer, count);
+    });
+  }
+
+  /**
+   * Check an offer can be redeemed now and, unless only validating, redeem
+   * it: the redemption is recorded, counted against the offer's caps and
+   * its single-use code is burnt. Offers with codes are redeemed by code,
+   * others by ID.
+   * @param {string} restaurantId - The restaurant ID
+   * @param {Object} user - The session user, a member of staff
+   * @param {Object} redemption - The validated code or offerId, the
+   *   customer's userId and the orderValue, if known, and validateOnly
+   * @param {Date} [now] - The moment of redemption
+   * @returns {Promise<Object>} The offer, the discount it gives where
+   *   known, and the redemption, unless only validating
+   */
+  async redeemOffer(restaurantId, user, { code, offerId, userId = null, orderValue = null, validateOnly = false }, now = new Date()) {
+    return transaction(async (client) => {
+      const restaurant = await restaurantOwnershipService.assertCanManageRestaurant(restaurantId, user, client);
+
+      let codeRow = null;
+      if (code !== undefined) {
+        const codeResult = await client.query(
+          `SELECT "id", "offerId", "redeemedAt" FROM "OfferCode"
+           WHERE "restaurantId" = $1 AND "code" = $2
+           FOR UPDATE`,
+          [restaurantId, code]
+        );
+        codeRow = codeResult.rows[0];
+        if (!codeRow) {
+          throw new Error('Coupon not found');
+        }
+      }
+
+      const offer = await fetchOffer(client, restaurantId, codeRow ? codeRow.offerId : offerId, { lock: true });
+      if (!codeRow && offer.codeType !== 'none') {
+        throw new Error('Coupon code required');
+      }
+
+      const status = getOfferStatus(offer, now);
+      if (status !== OfferStatus.ACTIVE) {
+        throw new Error(
+          {
+            [OfferStatus.PAUSED]: 'Offer not active',
+            [OfferStatus.SCHEDULED]: 'Offer not started',
+            [OfferStatus.EXPIRED]: 'Offer expired',
+            [OfferStatus.EXHAUSTED]: 'Offer fully redeemed',
+          }[status]
+        );
+      }
+      if (codeRow?.redeemedAt) {
+        throw new Error('Coupon already redeemed');
+      }
+      if (!getOfferAvailability(offer, getRestaurantTimezone(restaurant), now).isAvailableNow) {
+        throw new Error('Offer not available now');
+      }
+
+      if (offer.maxRedemptionsPerUser !== null) {
+        if (!userId) {
+          throw new Error('Customer required');
+        }
+        const userResult = await client.query(
+          'SELECT COUNT(*)::int AS "count" FROM "OfferRedemption" WHERE "offerId" = $1 AND "userId" = $2',
+          [offer.id, userId]
+        );
+        if (userResult.rows[0].count >= offer.maxRedemptionsPerUser) {
+          throw new Error('Customer redemption limit reached');
+        }
+      }
+
+      if (offer.minOrderValue !== null) {
+        if (orderValue === null) {
+          throw new Error('Order value required');
+        }
+        if (orderValue < offer.minOrderValue) {
+          throw new Error('Minimum order not met');
+        }
+      }
+
+      const discountAmount = getDiscountAmount(offer, orderValue);
+      if (validateOnly) {
+        return { offer, discountAmount, redemption: null };
+      }
+
+      const redemptionResult = await client.query(
+        `INSERT INTO "OfferRedemption" ("id", "offerId", "codeId", "userId", "redeemedBy", "orderValue", "discountAmount", "createdAt")
+         VALUES (gen_random_uuid(), $1, $2, $3, $4, $5, $6, $7)
+         RETURNING "id", "offerId", "userId", "redeemedBy", "orderValue", "discountAmount", "createdAt"`,
+        [offer.id, codeRow?.id || null, userId, user.id, orderValue, discountAmount, now]
+      );
+      await client.query(
+        'UPDATE "Offer" SET "redemptionCount" = "redemptionCount" + 1, "updatedAt" = NOW() WHERE "id" = $1',
+        [offer.id]
+      );
+      if (codeRow && offer.codeType === 'unique') {
+        await client.query('UPDATE "OfferCode" SET "redeemedAt" = $2 WHERE "id" = $1', [codeRow.id, now]);
+      }
+      await recordEngagements(client, restaurantId, OfferEngagementType.REDEMPTION, [
+        { userId, metadata: { offerId: offer.id, redemptionId: redemptionResult.rows[0].id, discountAmount } },
+      ]);
+
+      const redemption = redemptionResult.rows[0];
+      return {
+        offer: { ...offer, redemptionCount: offer.redemptionCount + 1 },
+        discountAmount,
+        redemption: {
+          ...redemption,
+          orderValue: redemption.orderValue === null ? null : Number(redemption.orderValue),
+          discountAmount: redemption.discountAmount === null ? null : Number(redemption.discountAmount),
+        },
+      };
+    });
+  }
+}
+
+// Export a singleton instance
+export const offerService = new OfferService();
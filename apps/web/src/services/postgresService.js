@@ -8,6 +8,9 @@
 
 import { apiService } from './api.js'
 import { getEnvironmentName } from '../utils/environment.js'
+import { query, transaction } from '../utils/postgres.js'
+import { voteIntegrityService } from './voteIntegrityService.js'
+import { rankingHistoryService, HistoryEventType } from './rankingHistoryService.js'
 
 /**
  * PostgreSQL Error interface
@@ -82,10 +85,27 @@ export const RankingStats = {
 export const VoteStats = {
   dishId: '',
   totalVotes: 0,
+  likes: 0,
+  dislikes: 0,
+  ratings: 0,
   averageRating: 0,
   ratingDistribution: {}
 }
 
+/**
+ * Dish Vote interface
+ */
+export const DishVote = {
+  id: '',
+  dishId: '',
+  userId: '',
+  voteType: '',
+  rating: null,
+  status: '',
+  createdAt: '',
+  updatedAt: ''
+}
+
 /**
  * PostgreSQL Service class
  * Provides methods for interacting with the PostgreSQL database
@@ -381,6 +401,189 @@ export class PostgresService {
     })
   }
 
+  /**
+   * Cast or change a user's vote on a dish. A user holds one vote per dish:
+   * voting again switches between like, dislike and rating, or updates the
+   * rating. Repeating the current vote is rejected. Suspicious votes are
+   * quarantined and left out of the stats until reviewed.
+   * @param {object} voteData The vote data
+   * @param {string} voteData.dishId The dish ID
+   * @param {string} voteData.userId The user ID
+   * @param {string} voteData.voteType One of like, dislike or rating
+   * @param {number|null} voteData.rating The whole-star rating, 1 to 5, for rating votes
+   * @param {string|null} voteData.fingerprint The request fingerprint
+   * @returns {Promise<object>} The vote, with the dish's updated vote stats
+   */
+  async voteOnDish({ dishId, userId, voteType, rating = null, fingerprint = null }) {
+    return transaction(async (client) => {
+      await this.lockDishVoteStats(client, dishId)
+
+      const existing = await client.query(
+        'SELECT * FROM "DishVote" WHERE "dishId" = $1 AND "userId" = $2',
+        [dishId, userId]
+      )
+      const current = existing.rows[0]
+      const newRating = voteType === 'rating' ? rating : null
+
+      let result
+      if (!current) {
+        result = await client.query(
+          `INSERT INTO "DishVote" ("id", "userId", "dishId", "voteType", "rating", "fingerprint", "updatedAt")
+           VALUES (gen_random_uuid(), $1, $2, $3, $4, $5, NOW())
+           RETURNING *`,
+          [userId, dishId, voteType, newRating, fingerprint]
+        )
+      } else if (current.voteType === voteType && current.rating === newRating) {
+        throw new Error('Vote already exists')
+      } else {
+        result = await client.query(
+          `UPDATE "DishVote"
+           SET "voteType" = $2, "rating" = $3, "fingerprint" = COALESCE($4, "fingerprint"), "updatedAt" = NOW()
+           WHERE "id" = $1
+           RETURNING *`,
+          [current.id, voteType, newRating, fingerprint]
+        )
+      }
+
+      const vote = result.rows[0]
+      const screening = await voteIntegrityService.screen(client, {
+        subjectType: 'vote',
+        subjectId: vote.id,
+        userId,
+        dishId,
+        fingerprint: vote.fingerprint
+      })
+      if (screening.quarantined && vote.status === 'active') {
+        vote.status = 'quarantined'
+      }
+      await rankingHistoryService.recordVoteEvents(
+        client,
+        current ? HistoryEventType.UPDATED : HistoryEventType.CREATED,
+        [vote.id]
+      )
+
+      const stats = await this.refreshDishVoteStats(client, dishId)
+      return { ...vote, stats }
+    })
+  }
+
+  /**
+   * Remove a user's vote from a dish
+   * @param {object} voteData The vote data
+   * @param {string} voteData.dishId The dish ID
+   * @param {string} voteData.userId The user ID
+   * @returns {Promise<object>} The dish's updated vote stats
+   */
+  async removeVoteFromDish({ dishId, userId }) {
+    return transaction(async (client) => {
+      await this.lockDishVoteStats(client, dishId)
+
+      const result = await client.query(
+        'SELECT "id" FROM "DishVote" WHERE "dishId" = $1 AND "userId" = $2',
+        [dishId, userId]
+      )
+      if (result.rowCount === 0) {
+        throw new Error('Vote not found')
+      }
+
+      const voteId = result.rows[0].id
+      await rankingHistoryService.recordVoteEvents(client, HistoryEventType.DELETED, [voteId])
+      await client.query('DELETE FROM "DishVote" WHERE "id" = $1', [voteId])
+
+      await voteIntegrityService.clearFlag(client, 'vote', voteId)
+      return this.refreshDishVoteStats(client, dishId)
+    })
+  }
+
+  /**
+   * Recount a dish's vote stats, e.g. after a quarantined vote is reviewed
+   * @param {string} dishId The dish ID
+   * @returns {Promise<object>} The updated vote stats
+   */
+  async recountDishVotes(dishId) {
+    return transaction(async (client) => {
+      await this.lockDishVoteStats(client, dishId)
+      return this.refreshDishVoteStats(client, dishId)
+    })
+  }
+
+  /**
+   * Get the vote counters for a dish
+   * @param {string} dishId The dish ID
+   * @returns {Promise<object>} The vote stats
+   */
+  async getDishVoteStats(dishId) {
+    const result = await query('SELECT * FROM "DishVoteStats" WHERE "dishId" = $1', [dishId])
+    return result.rows[0] || { ...VoteStats, dishId }
+  }
+
+  /**
+   * Lock a dish's vote stats row so votes on the dish are applied one at
+   * a time, creating the row on the first vote
+   * @param {object} client The transaction client
+   * @param {string} dishId The dish ID
+   * @returns {Promise<void>}
+   * @private
+   */
+  async lockDishVoteStats(client, dishId) {
+    const dish = await client.query('SELECT 1 FROM "Dish" WHERE "id" = $1', [dishId])
+    if (dish.rowCount === 0) {
+      throw new Error('Dish not found')
+    }
+
+    await client.query(
+      `INSERT INTO "DishVoteStats" ("dishId", "updatedAt") VALUES ($1, NOW())
+       ON CONFLICT ("dishId") DO NOTHING`,
+      [dishId]
+    )
+    await client.query('SELECT 1 FROM "DishVoteStats" WHERE "dishId" = $1 FOR UPDATE', [dishId])
+  }
+
+  /**
+   * Recount a dish's active votes into its stats row. The caller must hold
+   * the lock taken by lockDishVoteStats.
+   * @param {object} client The transaction client
+   * @param {string} dishId The dish ID
+   * @returns {Promise<object>} The updated vote stats
+   * @private
+   */
+  async refreshDishVoteStats(client, dishId) {
+    const result = await client.query(
+      `UPDATE "DishVoteStats" s
+       SET "totalVotes" = v."totalVotes",
+           "likes" = v."likes",
+           "dislikes" = v."dislikes",
+           "ratings" = v."ratings",
+           "averageRating" = v."averageRating",
+           "ratingDistribution" = v."ratingDistribution",
+           "updatedAt" = NOW()
+       FROM (
+         SELECT
+           COUNT(*)::int AS "totalVotes",
+           COUNT(*) FILTER (WHERE "voteType" = 'like')::int AS "likes",
+           COUNT(*) FILTER (WHERE "voteType" = 'dislike')::int AS "dislikes",
+           COUNT(*) FILTER (WHERE "voteType" = 'rating')::int AS "ratings",
+           COALESCE(AVG("rating"), 0)::float AS "averageRating",
+           COALESCE(
+             (SELECT jsonb_object_agg("rating"::text, "count")
+              FROM (
+                SELECT "rating", COUNT(*)::int AS "count"
+                FROM "DishVote"
+                WHERE "dishId" = $1 AND "status" = 'active' AND "rating" IS NOT NULL
+                GROUP BY "rating"
+              ) d),
+             '{}'::jsonb
+           ) AS "ratingDistribution"
+         FROM "DishVote"
+         WHERE "dishId" = $1 AND "status" = 'active'
+       ) v
+       WHERE s."dishId" = $1
+       RETURNING s.*`,
+      [dishId]
+    )
+    return result.rows[0]
+  }
+
   /**
    * Get user votes
    * @param {string} userId The user ID
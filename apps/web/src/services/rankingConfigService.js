@@ -0,0 +1,237 @@
+/**
+ * Ranking Config Service
+ * This service stores the per-country parameters of the leaderboard
+ * algorithm. Every change is kept as a new numbered version, so a country
+ * can be rolled back to any earlier set of parameters.
+ */
+
+import { query, transaction } from '../utils/postgres.js';
+import { RANKING_CATEGORIES } from '../utils/rankingValidation.js';
+
+/**
+ * Allowed range of each algorithm parameter
+ */
+export const ALGORITHM_PARAM_LIMITS = {
+  exponent: { min: 0.1, max: 5 },
+  interactionWeight: { min: -5, max: 5 },
+  priorWeight: { min: 0, max: 1000 },
+};
+
+/**
+ * Check that a number lies within a parameter range
+ * @param {any} value - The value to check
+ * @param {Object} limits - The allowed range
+ * @returns {boolean} Whether the value is a finite number within range
+ */
+const isWithin = (value, { min, max }) =>
+  typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+
+/**
+ * Validate a proposed set of algorithm parameters
+ * @param {Object} params - The parameters
+ * @returns {Object|null} The first failure as { field, error, message }, or null if valid
+ */
+export const validateAlgorithmParams = ({ exponent, interactionWeights, priorWeight } = {}) => {
+  const { exponent: exponentLimits, interactionWeight, priorWeight: priorLimits } =
+    ALGORITHM_PARAM_LIMITS;
+
+  if (!isWithin(exponent, exponentLimits)) {
+    return {
+      field: 'exponent',
+      error: 'Invalid exponent',
+      message: `Exponent must be a number between ${exponentLimits.min} and ${exponentLimits.max}`,
+    };
+  }
+
+  if (!isWithin(priorWeight, priorLimits)) {
+    return {
+      field: 'priorWeight',
+      error: 'Invalid prior weight',
+      message: `Prior weight must be a number between ${priorLimits.min} and ${priorLimits.max}`,
+    };
+  }
+
+  if (!interactionWeights || typeof interactionWeights !== 'object' || Array.isArray(interactionWeights)) {
+    return {
+      field: 'interactionWeights',
+      error: 'Invalid interaction weights',
+      message: `Interaction weights must be an object keyed by: ${RANKING_CATEGORIES.join(', ')}`,
+    };
+  }
+
+  const unknown = Object.keys(interactionWeights).find(
+    (category) => !RANKING_CATEGORIES.includes(category)
+  );
+  if (unknown) {
+    return {
+      field: 'interactionWeights',
+      error: 'Invalid interaction weights',
+      message: `Unknown ranking category: ${unknown}`,
+    };
+  }
+
+  const invalid = RANKING_CATEGORIES.find(
+    (category) => !isWithin(interactionWeights[category], interactionWeight)
+  );
+  if (invalid) {
+    return {
+      field: 'interactionWeights',
+      error: 'Invalid interaction weights',
+      message: `Weight for ${invalid} must be a number between ${interactionWeight.min} and ${interactionWeight.max}`,
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Extract the algorithm parameters from a config row
+ * @param {Object} row - The config row
+ * @returns {Object} The exponent, interaction weights and prior weight
+ */
+const toParams = (row) => ({
+  exponent: row.exponent,
+  interactionWeights: row.interactionWeights,
+  priorWeight: row.priorWeight,
+});
+
+class RankingConfigService {
+  /**
+   * Get the active parameters of every country that has a config
+   * @param {Object} [client] - A transaction client, if called inside one
+   * @returns {Promise<Map>} Parameters keyed by country code
+   */
+  async getActiveParams(client) {
+    const sql = 'SELECT * FROM "RankingAlgorithmConfig" WHERE "isActive" = true';
+    const result = client ? await client.query(sql) : await query(sql);
+    return new Map(result.rows.map((row) => [row.countryCode, toParams(row)]));
+  }
+
+  /**
+   * Get the parameters every country had at a past moment, i.e. the
+   * latest version each country had published by then
+   * @param {Date} asOf - The moment to look at
+   * @returns {Promise<Map>} Parameters keyed by country code
+   */
+  async getParamsAsOf(asOf) {
+    const result = await query(
+      `SELECT DISTINCT ON ("countryCode") *
+       FROM "RankingAlgorithmConfig"
+       WHERE "createdAt" <= $1
+       ORDER BY "countryCode", "version" DESC`,
+      [asOf]
+    );
+    return new Map(result.rows.map((row) => [row.countryCode, toParams(row)]));
+  }
+
+  /**
+   * Get the active config version of a country
+   * @param {string} countryCode - The country code
+   * @returns {Promise<Object|null>} The config, or null if the country uses the defaults
+   */
+  async getActiveConfig(countryCode) {
+    const result = await query(
+      `SELECT * FROM "RankingAlgorithmConfig"
+       WHERE "countryCode" = $1 AND "isActive" = true`,
+      [countryCode]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * List every config version of a country, newest first
+   * @param {string} countryCode - The country code
+   * @returns {Promise<Array>} The config versions
+   */
+  async listConfigVersions(countryCode) {
+    const result = await query(
+      `SELECT * FROM "RankingAlgorithmConfig"
+       WHERE "countryCode" = $1
+       ORDER BY "version" DESC`,
+      [countryCode]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Publish new parameters for a country as its next version
+   * @param {string} countryCode - The country code
+   * @param {Object} params - The validated parameters
+   * @param {Object} options - Who made the change and why
+   * @param {string} [options.createdBy] - The ID of the publishing admin
+   * @param {string} [options.note] - A description of the change
+   * @returns {Promise<Object>} The new active config
+   */
+  async publishConfig(countryCode, params, { createdBy = null, note = null } = {}) {
+    return transaction(async (client) => {
+      // Serialize publishes for the same country so versions stay sequential
+      await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [
+        `ranking-config:${countryCode}`,
+      ]);
+
+      const versionResult = await client.query(
+        `SELECT COALESCE(MAX("version"), 0)::int AS "version"
+         FROM "RankingAlgorithmConfig"
+         WHERE "countryCode" = $1`,
+        [countryCode]
+      );
+
+      await client.query(
+        `UPDATE "RankingAlgorithmConfig" SET "isActive" = false
+         WHERE "countryCode" = $1 AND "isActive" = true`,
+        [countryCode]
+      );
+
+      const result = await client.query(
+        `INSERT INTO "RankingAlgorithmConfig" (
+          "id", "countryCode", "version", "exponent", "interactionWeights",
+          "priorWeight", "isActive", "note", "createdBy", "createdAt"
+        ) VALUES (
+          gen_random_uuid(), $1, $2, $3, $4, $5, true, $6, $7, NOW()
+        )
+        RETURNING *`,
+        [
+          countryCode,
+          versionResult.rows[0].version + 1,
+          params.exponent,
+          JSON.stringify(params.interactionWeights),
+          params.priorWeight,
+          note,
+          createdBy,
+        ]
+      );
+      return result.rows[0];
+    });
+  }
+
+  /**
+   * Roll a country back to an earlier version. The old parameters are
+   * published again as a new version, so the history is never rewritten.
+   * @param {string} countryCode - The country code
+   * @param {number} version - The version to restore
+   * @param {string} [createdBy] - The ID of the admin rolling back
+   * @returns {Promise<Object>} The new active config
+   */
+  async rollbackConfig(countryCode, version, createdBy = null) {
+    const result = await query(
+      `SELECT * FROM "RankingAlgorithmConfig"
+       WHERE "countryCode" = $1 AND "version" = $2`,
+      [countryCode, version]
+    );
+    const target = result.rows[0];
+    if (!target) {
+      throw new Error('Config version not found');
+    }
+    if (target.isActive) {
+      throw new Error('Config version already active');
+    }
+
+    return this.publishConfig(countryCode, toParams(target), {
+      createdBy,
+      note: `Rollback to version ${version}`,
+    });
+  }
+}
+
+// Export a singleton instance
+export const rankingConfigService = new RankingConfigService();
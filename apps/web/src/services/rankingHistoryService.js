@@ -0,0 +1,186 @@
+/**
+ * Ranking History Service
+ * This service keeps an append-only log of dish ranking and vote changes
+ * and replays it to find the rankings and votes that existed at a past
+ * moment, so leaderboards can be rebuilt as of any date
+ */
+
+import { query } from '../utils/postgres.js';
+import { replayAsOf } from '../utils/eventReplay.js';
+
+export { HistoryEventType } from '../utils/eventReplay.js';
+
+class RankingHistoryService {
+  /**
+   * Append the current state of rankings to the ranking event log. Call
+   * inside the transaction that made the change, after the change for
+   * created, updated and status events and before it for deleted ones.
+   * @param {Object} client - The transaction client
+   * @param {string} eventType - The kind of change (see HistoryEventType)
+   * @param {Array<string>} rankingIds - The changed ranking IDs
+   * @returns {Promise<void>}
+   */
+  async recordRankingEvents(client, eventType, rankingIds) {
+    if (rankingIds.length === 0) {
+      return;
+    }
+
+    await client.query(
+      `INSERT INTO "DishRankingEvent" (
+        "id", "rankingId", "eventType", "userId", "dishId", "restaurantId",
+        "rating", "review", "photoUrls", "rankPosition", "category", "status",
+        "rankingCreatedAt", "rankingUpdatedAt", "occurredAt"
+      )
+      SELECT
+        gen_random_uuid(), r."id", $1, r."userId", r."dishId", r."restaurantId",
+        r."rating", r."review", r."photoUrls", r."rankPosition", r."category", r."status",
+        r."createdAt", r."updatedAt", NOW()
+      FROM "DishRanking" r
+      WHERE r."id" = ANY($2::text[])
+      ORDER BY r."id"`,
+      [eventType, rankingIds]
+    );
+  }
+
+  /**
+   * Append the current state of votes to the vote event log. Call inside
+   * the transaction that made the change, after the change for created,
+   * updated and status events and before it for deleted ones.
+   * @param {Object} client - The transaction client
+   * @param {string} eventType - The kind of change (see HistoryEventType)
+   * @param {Array<string>} voteIds - The changed vote IDs
+   * @returns {Promise<void>}
+   */
+  async recordVoteEvents(client, eventType, voteIds) {
+    if (voteIds.length === 0) {
+      return;
+    }
+
+    await client.query(
+      `INSERT INTO "DishVoteEvent" (
+        "id", "voteId", "eventType", "userId", "dishId", "voteType", "rating",
+        "status", "voteCreatedAt", "occurredAt"
+      )
+      SELECT
+        gen_random_uuid(), v."id", $1, v."userId", v."dishId", v."voteType", v."rating",
+        v."status", v."createdAt", NOW()
+      FROM "DishVote" v
+      WHERE v."id" = ANY($2::text[])
+      ORDER BY v."id"`,
+      [eventType, voteIds]
+    );
+  }
+
+  /**
+   * Get the active rankings of a set of dishes as they stood at a moment
+   * @param {Array<string>} dishIds - The dish IDs
+   * @param {Date} asOf - The moment to look at
+   * @returns {Promise<Array>} Ranking rows shaped like DishRanking, with the restaurant's country code
+   */
+  async getRankingsAsOf(dishIds, asOf) {
+    // Later events are needed too, to tell new rankings from ones that
+    // predate the log and to find the nearest state of those
+    const [events, liveRows] = await Promise.all([
+      query(
+        `SELECT
+           e."rankingId" AS "id", e."eventType", e."sequence", e."occurredAt",
+           e."userId", e."dishId", e."restaurantId", e."rating", e."review", e."photoUrls",
+           e."rankPosition", e."category", e."status",
+           e."rankingCreatedAt" AS "createdAt", e."rankingUpdatedAt" AS "updatedAt",
+           rest."countryCode"
+         FROM "DishRankingEvent" e
+         LEFT JOIN "Restaurant" rest ON rest."id" = e."restaurantId"
+         WHERE e."rankingId" IN (
+             SELECT "rankingId" FROM "DishRankingEvent" WHERE "dishId" = ANY($1)
+             UNION
+             SELECT "id" FROM "DishRanking" WHERE "dishId" = ANY($1)
+           )`,
+        [dishIds]
+      ),
+      query(
+        `SELECT
+           r."id", r."userId", r."dishId", r."restaurantId", r."rating", r."review",
+           r."photoUrls", r."rankPosition", r."category", r."status",
+           r."createdAt", r."updatedAt", rest."countryCode"
+         FROM "DishRanking" r
+         LEFT JOIN "Restaurant" rest ON rest."id" = r."restaurantId"
+         WHERE r."dishId" = ANY($1) AND r."createdAt" <= $2`,
+        [dishIds, asOf]
+      ),
+    ]);
+
+    return replayAsOf(events.rows, liveRows.rows, asOf)
+      .filter(
+        (ranking) =>
+          dishIds.includes(ranking.dishId) &&
+          ranking.status === 'active' &&
+          ranking.countryCode != null
+      )
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  /**
+   * Get the vote counters of a set of dishes as they stood at a moment
+   * @param {Array<string>} dishIds - The dish IDs
+   * @param {Date} asOf - The moment to look at
+   * @returns {Promise<Map>} Vote counters keyed by dish ID
+   */
+  async getVoteStatsAsOf(dishIds, asOf) {
+    const [events, liveRows] = await Promise.all([
+      query(
+        `SELECT
+           e."voteId" AS "id", e."eventType", e."sequence", e."occurredAt",
+           e."dishId", e."voteType", e."rating", e."status", e."voteCreatedAt" AS "createdAt"
+         FROM "DishVoteEvent" e
+         WHERE e."voteId" IN (
+             SELECT "voteId" FROM "DishVoteEvent" WHERE "dishId" = ANY($1)
+             UNION
+             SELECT "id" FROM "DishVote" WHERE "dishId" = ANY($1)
+           )`,
+        [dishIds]
+      ),
+      query(
+        `SELECT v."id", v."dishId", v."voteType", v."rating", v."status", v."createdAt"
+         FROM "DishVote" v
+         WHERE v."dishId" = ANY($1) AND v."createdAt" <= $2`,
+        [dishIds, asOf]
+      ),
+    ]);
+
+    const statsByDish = new Map();
+    for (const vote of replayAsOf(events.rows, liveRows.rows, asOf)) {
+      if (!dishIds.includes(vote.dishId) || vote.status !== 'active') {
+        continue;
+      }
+      if (!statsByDish.has(vote.dishId)) {
+        statsByDish.set(vote.dishId, {
+          totalVotes: 0,
+          likes: 0,
+          dislikes: 0,
+          ratings: 0,
+          ratingSum: 0,
+          ratedVotes: 0,
+        });
+      }
+      const stats = statsByDish.get(vote.dishId);
+      stats.totalVotes += 1;
+      if (vote.voteType === 'like') stats.likes += 1;
+      if (vote.voteType === 'dislike') stats.dislikes += 1;
+      if (vote.voteType === 'rating') stats.ratings += 1;
+      if (vote.rating != null) {
+        stats.ratingSum += vote.rating;
+        stats.ratedVotes += 1;
+      }
+    }
+
+    return new Map(
+      [...statsByDish].map(([dishId, { ratingSum, ratedVotes, ...stats }]) => [
+        dishId,
+        { ...stats, averageRating: ratedVotes > 0 ? ratingSum / ratedVotes : 0 },
+      ])
+    );
+  }
+}
+
+// Export a singleton instance
+export const rankingHistoryService = new RankingHistoryService();
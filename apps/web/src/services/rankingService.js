@@ -3,13 +3,353 @@
  * This service provides methods for calculating and managing rankings
  */
 
-import { RankingCategory } from '../types/ranking.js';
+import {
+  RankingCategory,
+  RankingTrend,
+  RANKING_TREND_WINDOWS,
+} from '../types/ranking.js';
+import { query, transaction } from '../utils/postgres.js';
+import { voteIntegrityService } from './voteIntegrityService.js';
+import { rankingConfigService } from './rankingConfigService.js';
+import { rankingHistoryService, HistoryEventType } from './rankingHistoryService.js';
+import { validateRankingFields } from '../utils/rankingValidation.js';
+import { aggregateLeaderboard } from '../utils/leaderboard.js';
+import {
+  getBoundingBox,
+  buildLongitudeCondition,
+  haversineDistanceSql,
+} from '../utils/geo.js';
+
+/**
+ * Maximum number of positions in a user's TOP ranking for a dish
+ */
+const MAX_RANK_POSITIONS = 5;
+
+/**
+ * Columns that ranking lists can be sorted by
+ */
+const SORT_COLUMNS = {
+  rating: 'r."rating"',
+  createdAt: 'r."createdAt"',
+  updatedAt: 'r."updatedAt"',
+  dishName: 'd."name"',
+  restaurantName: 'rest."name"',
+};
+
+/**
+ * Columns that leaderboard entries can be sorted by
+ */
+const LEADERBOARD_SORT_COLUMNS = {
+  score: 'e."score"',
+  rating: 'e."averageRating"',
+  createdAt: 'e."firstRankedAt"',
+  updatedAt: 'e."lastRankedAt"',
+  restaurantName: 'rest."name"',
+};
+
+/**
+ * Columns that local leaderboard entries can be sorted by
+ */
+const LOCAL_SORT_COLUMNS = {
+  score: '"score"',
+  rating: '"averageRating"',
+  distance: '"distanceKm"',
+  createdAt: '"firstRankedAt"',
+  updatedAt: '"lastRankedAt"',
+  restaurantName: '"restaurantName"',
+};
+
+/**
+ * Column definitions for reading computed leaderboard entries back as a
+ * table, so past leaderboards are filtered and sorted like stored ones
+ */
+const LEADERBOARD_ENTRY_COLUMNS = `
+  "dishSlug" text, "dishId" text, "restaurantId" text, "position" int,
+  "score" float8, "rawScore" float8, "rankingCount" int, "topCount" int,
+  "averageRating" float8, "firstRankedAt" timestamp, "lastRankedAt" timestamp
+`;
+
+/**
+ * Number of recent reviews and photos attached to each leaderboard entry
+ */
+const MAX_LEADERBOARD_REVIEWS = 3;
+const MAX_LEADERBOARD_PHOTOS = 6;
+
+/**
+ * How strongly each category signals that a user liked a dish, from -1 to 1.
+ * PLAN_TO_VISIT is left out because the user has not tried the dish yet.
+ */
+const TASTE_SENTIMENT = {
+  TOP: 1,
+  VISITED: 0.2,
+  SECOND_CHANCE: -0.4,
+  DISSATISFIED: -1,
+};
+
+/**
+ * Number of neutral "virtual" shared dishes blended into a compatibility
+ * score, so two users with one dish in common do not read as 100% alike
+ */
+const COMPATIBILITY_PRIOR = 3;
+
+/**
+ * Rating from which a ranked dish counts as loved, and the number of
+ * dishes and restaurants listed in a taste comparison
+ */
+const LOVED_RATING = 8;
+const MAX_COMPARISON_ITEMS = 5;
+
+/**
+ * Fields of an exported ranking, in column order
+ */
+export const RANKING_EXPORT_COLUMNS = [
+  'dish',
+  'dishSlug',
+  'restaurant',
+  'restaurantId',
+  'position',
+  'category',
+  'rating',
+  'tasteStatus',
+  'notes',
+  'review',
+  'photoUrls',
+  'createdAt',
+  'updatedAt',
+];
+
+/**
+ * Maximum number of rankings accepted in one import
+ */
+const MAX_IMPORT_ROWS = 1000;
+
+/**
+ * Ranking fields that callers are allowed to update
+ */
+const UPDATABLE_FIELDS = ['rating', 'review', 'photoUrls', 'tasteStatus', 'notes'];
+
+/**
+ * Base query joining a ranking with its dish and restaurant
+ */
+const RANKING_SELECT = `
+  SELECT
+    r.*,
+    d."name" AS "dishName",
+    d."slug" AS "dishSlug",
+    d."dishType" AS "dishType",
+    d."price" AS "dishPrice",
+    rest."name" AS "restaurantName",
+    rest."address" AS "restaurantAddress",
+    rest."countryCode" AS "countryCode"
+  FROM "DishRanking" r
+  JOIN "Dish" d ON d."id" = r."dishId"
+  JOIN "Restaurant" rest ON rest."id" = r."restaurantId"
+`;
+
+/**
+ * Convert a ranking row into the shape returned by the API
+ * @param {Object} row - The database row
+ * @param {Object} options - Which optional fields to include
+ * @returns {Object} The ranking
+ */
+function mapRankingRow(row, { includeReviews = true, includePhotos = true } = {}) {
+  const ranking = {
+    id: row.id,
+    userId: row.userId,
+    dishId: row.dishId,
+    dishName: row.dishName,
+    dishSlug: row.dishSlug,
+    dishType: row.dishType,
+    dishPrice: row.dishPrice,
+    restaurantId: row.restaurantId,
+    restaurantName: row.restaurantName,
+    restaurantAddress: row.restaurantAddress,
+    countryCode: row.countryCode,
+    rating: row.rating,
+    rankPosition: row.rankPosition,
+    category: row.category,
+    status: row.status,
+    tasteStatus: row.tasteStatus,
+    notes: row.notes,
+    createdAt: row.createdAt,
+    updatedAt: row.updatedAt,
+  };
+
+  if (includeReviews) {
+    ranking.review = row.review;
+  }
+
+  if (includePhotos) {
+    ranking.photoUrls = row.photoUrls || [];
+  }
+
+  return ranking;
+}
+
+/**
+ * Build the WHERE clause shared by the ranking list queries
+ * @param {Object} filters - The filters to apply
+ * @returns {{ where: string, params: Array }} The clause and its parameters
+ */
+function buildRankingWhere(filters) {
+  const conditions = [];
+  const params = [];
+
+  const addCondition = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace('?', `$${params.length}`));
+  };
+
+  if (filters.userId) addCondition('r."userId" = ?', filters.userId);
+  if (filters.dishSlug) addCondition('d."slug" = ?', filters.dishSlug);
+  if (filters.dishType) addCondition('d."dishType" = ?', filters.dishType);
+  if (filters.restaurantId) addCondition('r."restaurantId" = ?', filters.restaurantId);
+  if (filters.tasteStatus) addCondition('r."tasteStatus" = ?', filters.tasteStatus);
+  if (filters.minRating) addCondition('r."rating" >= ?', filters.minRating);
+  if (filters.maxRating) addCondition('r."rating" <= ?', filters.maxRating);
+
+  return {
+    where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    params,
+  };
+}
+
+/**
+ * Fetch a single ranking with its dish and restaurant details
+ * @param {Object} client - The transaction client
+ * @param {string} rankingId - The ranking ID
+ * @returns {Promise<Object|null>} The ranking row or null
+ */
+async function fetchRankingRow(client, rankingId) {
+  const result = await client.query(`${RANKING_SELECT} WHERE r."id" = $1`, [rankingId]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Serialize changes to a user's TOP positions for a dish until the
+ * transaction ends. Locking the rows alone wouldn't do: a position that
+ * is still free has no row to lock.
+ * @param {Object} client - The transaction client
+ * @param {string} userId - The user ID
+ * @param {string|null} dishSlug - The dish slug
+ * @returns {Promise<void>}
+ */
+async function lockRankPositions(client, userId, dishSlug) {
+  await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [
+    `rank-positions:${userId}:${dishSlug ?? ''}`,
+  ]);
+}
+
+/**
+ * Convert an imported row, from CSV or JSON, into ranking fields and
+ * check it against the rules used when creating a ranking
+ * @param {Object} raw - The imported row, keyed by RANKING_EXPORT_COLUMNS
+ * @returns {{ ranking?: Object, error?: Object }} The ranking or the first problem
+ */
+function parseImportRow(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { error: { field: null, message: 'Row must be an object' } };
+  }
+
+  const text = (value) =>
+    value === undefined || value === null || String(value).trim() === ''
+      ? null
+      : String(value).trim();
+
+  const ranking = {
+    dishName: text(raw.dish),
+    dishSlug: text(raw.dishSlug),
+    restaurantName: text(raw.restaurant),
+    restaurantId: text(raw.restaurantId),
+    rating: typeof raw.rating === 'number' ? raw.rating : Number(text(raw.rating) ?? NaN),
+    position: text(raw.position) === null ? null : Number(raw.position),
+    category: text(raw.category)?.toUpperCase() || null,
+    tasteStatus: text(raw.tasteStatus)?.toLowerCase() || null,
+    notes: text(raw.notes),
+    review: text(raw.review),
+    photoUrls: Array.isArray(raw.photoUrls)
+      ? raw.photoUrls
+      : (text(raw.photoUrls)?.split('|') || []).map((url) => url.trim()).filter(Boolean),
+  };
+
+  if (!ranking.dishName && !ranking.dishSlug) {
+    return { error: { field: 'dish', message: 'Dish name or slug is required' } };
+  }
+  if (!ranking.restaurantName && !ranking.restaurantId) {
+    return { error: { field: 'restaurant', message: 'Restaurant name or ID is required' } };
+  }
+
+  const invalid = validateRankingFields(ranking);
+  if (invalid) {
+    return { error: { field: invalid.field, message: invalid.message } };
+  }
+
+  if (ranking.position !== null) {
+    if (!Number.isInteger(ranking.position) || ranking.position < 1 || ranking.position > MAX_RANK_POSITIONS) {
+      return { error: { field: 'position', message: 'Position must be an integer between 1 and 5' } };
+    }
+    if (ranking.category && ranking.category !== 'TOP') {
+      return { error: { field: 'position', message: 'Only TOP rankings can have a position' } };
+    }
+  }
+
+  return { ranking: { ...ranking, category: ranking.category || 'TOP' } };
+}
+
+/**
+ * Convert a leaderboard entry row into the shape returned by the API
+ * @param {Object} row - The database row
+ * @returns {Object} The leaderboard entry
+ */
+function mapLeaderboardRow(row) {
+  return {
+    position: row.position,
+    dishId: row.dishId,
+    dishName: row.dishName,
+    dishPrice: row.dishPrice,
+    imageUrl: row.imageUrl,
+    restaurantId: row.restaurantId,
+    restaurantName: row.restaurantName,
+    restaurantAddress: row.restaurantAddress,
+    latitude: row.latitude,
+    longitude: row.longitude,
+    countryCode: row.countryCode,
+    score: row.score,
+    rawScore: row.rawScore,
+    rankingCount: row.rankingCount,
+    topCount: row.topCount,
+    averageRating: row.averageRating,
+    firstRankedAt: row.firstRankedAt,
+    lastRankedAt: row.lastRankedAt,
+  };
+}
+
+/**
+ * Describe how far an entry moved between two positions
+ * @param {number} position - The current position
+ * @param {number|null} previousPosition - The position at the start of the window
+ * @returns {Object} The movement (see RankingMovement)
+ */
+function getMovement(position, previousPosition) {
+  if (previousPosition === null || previousPosition === undefined) {
+    return { previousPosition: null, change: null, direction: null };
+  }
+
+  const change = previousPosition - position;
+  let direction = RankingTrend.STABLE;
+  if (change > 0) direction = RankingTrend.UP;
+  if (change < 0) direction = RankingTrend.DOWN;
+
+  return { previousPosition, change, direction };
+}
 
 /**
  * Ranking Service class
  */
 class RankingService {
   constructor() {
+    // Default algorithm parameters, used for countries that have no
+    // published config (see rankingConfigService)
     this.exponent = 1.5;
     this.interactionWeights = {
       DISSATISFIED: -1.0,
@@ -18,6 +358,9 @@ class RankingService {
       VISITED: 0.0,
       TOP: 0, // Will be calculated based on position
     };
+    // Number of "virtual" average rankings blended into every leaderboard
+    // entry, so entries with few rankings stay close to the dish average
+    this.priorWeight = 20;
   }
 
   /**
@@ -121,6 +464,1427 @@ class RankingService {
     return this.calculateScores(menuItems);
   }
 
+  /**
+   * Create a ranking for a dish at a restaurant.
+   * TOP rankings take the next free position in the user's top list for
+   * the dish; once that list is full the ranking is stored as VISITED.
+   * Suspicious rankings are quarantined and kept off the leaderboard
+   * until reviewed.
+   * @param {Object} rankingData - The ranking data
+   * @returns {Promise<Object>} The created ranking
+   */
+  async createRanking(rankingData) {
+    const {
+      userId,
+      dishId,
+      restaurantId,
+      rating,
+      review = null,
+      photoUrls = [],
+      tasteStatus = 'neutral',
+      notes = null,
+      category = 'TOP',
+      fingerprint = null,
+    } = rankingData;
+
+    const ranking = await transaction(async (client) => {
+      const dishResult = await client.query(
+        'SELECT "id", "slug" FROM "Dish" WHERE "id" = $1',
+        [dishId]
+      );
+      const dish = dishResult.rows[0];
+      if (!dish) {
+        throw new Error('Dish not found');
+      }
+
+      const restaurantResult = await client.query(
+        'SELECT "id" FROM "Restaurant" WHERE "id" = $1',
+        [restaurantId]
+      );
+      if (restaurantResult.rowCount === 0) {
+        throw new Error('Restaurant not found');
+      }
+
+      const existing = await client.query(
+        'SELECT "id" FROM "DishRanking" WHERE "userId" = $1 AND "dishId" = $2',
+        [userId, dishId]
+      );
+      if (existing.rowCount > 0) {
+        throw new Error('Ranking already exists');
+      }
+
+      let rankPosition = null;
+      let rankingCategory = category;
+      if (category === 'TOP') {
+        rankPosition = await this.getNextRankPosition(client, userId, dish.slug);
+        if (rankPosition === null) {
+          rankingCategory = 'VISITED';
+        }
+      }
+
+      try {
+        const insertResult = await client.query(
+          `INSERT INTO "DishRanking" (
+            "id", "userId", "dishId", "restaurantId", "rating", "review",
+            "rankPosition", "category", "tasteStatus", "notes", "photoUrls",
+            "fingerprint", "createdAt", "updatedAt"
+          ) VALUES (
+            gen_random_uuid(), $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, NOW(), NOW()
+          ) RETURNING "id"`,
+          [
+            userId,
+            dishId,
+            restaurantId,
+            rating,
+            review,
+            rankPosition,
+            rankingCategory,
+            tasteStatus,
+            notes,
+            photoUrls,
+            fingerprint,
+          ]
+        );
+        const rankingId = insertResult.rows[0].id;
+
+        await voteIntegrityService.screen(client, {
+          subjectType: 'ranking',
+          subjectId: rankingId,
+          userId,
+          dishId,
+          fingerprint,
+        });
+        await rankingHistoryService.recordRankingEvents(client, HistoryEventType.CREATED, [
+          rankingId,
+        ]);
+
+        return mapRankingRow(await fetchRankingRow(client, rankingId));
+      } catch (error) {
+        // Unique violation on (userId, dishId) from a concurrent request
+        if (error.code === '23505') {
+          throw new Error('Ranking already exists');
+        }
+        throw error;
+      }
+    });
+
+    await this.refreshDishLeaderboard(ranking.dishSlug);
+    return ranking;
+  }
+
+  /**
+   * Find the lowest free TOP position for a user's ranking of a dish.
+   * Takes the user's position lock for the dish, so a concurrent create,
+   * reorder or import waits for this transaction and then sees the
+   * position taken.
+   * @param {Object} client - The transaction client
+   * @param {string} userId - The user ID
+   * @param {string|null} dishSlug - The dish slug
+   * @returns {Promise<number|null>} The position, or null when the list is full
+   * @private
+   */
+  async getNextRankPosition(client, userId, dishSlug) {
+    await lockRankPositions(client, userId, dishSlug);
+    const result = await client.query(
+      `SELECT r."rankPosition"
+       FROM "DishRanking" r
+       JOIN "Dish" d ON d."id" = r."dishId"
+       WHERE r."userId" = $1
+         AND d."slug" IS NOT DISTINCT FROM $2
+         AND r."rankPosition" IS NOT NULL`,
+      [userId, dishSlug]
+    );
+
+    const taken = new Set(result.rows.map((row) => row.rankPosition));
+    for (let position = 1; position <= MAX_RANK_POSITIONS; position++) {
+      if (!taken.has(position)) {
+        return position;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Update a ranking owned by a user
+   * @param {string} rankingId - The ranking ID
+   * @param {string} userId - The ID of the user making the change
+   * @param {Object} updateData - The fields to update
+   * @returns {Promise<Object>} The updated ranking
+   */
+  async updateRanking(rankingId, userId, updateData) {
+    const ranking = await transaction(async (client) => {
+      const existing = await client.query(
+        'SELECT "userId" FROM "DishRanking" WHERE "id" = $1 FOR UPDATE',
+        [rankingId]
+      );
+      if (existing.rowCount === 0) {
+        throw new Error('Ranking not found');
+      }
+      if (existing.rows[0].userId !== userId) {
+        throw new Error('Unauthorized');
+      }
+
+      const assignments = [];
+      const params = [rankingId];
+      for (const field of UPDATABLE_FIELDS) {
+        if (updateData[field] !== undefined) {
+          params.push(updateData[field]);
+          assignments.push(`"${field}" = $${params.length}`);
+        }
+      }
+      assignments.push('"updatedAt" = NOW()');
+
+      await client.query(
+        `UPDATE "DishRanking" SET ${assignments.join(', ')} WHERE "id" = $1`,
+        params
+      );
+      await rankingHistoryService.recordRankingEvents(client, HistoryEventType.UPDATED, [
+        rankingId,
+      ]);
+
+      return mapRankingRow(await fetchRankingRow(client, rankingId));
+    });
+
+    await this.refreshDishLeaderboard(ranking.dishSlug);
+    return ranking;
+  }
+
+  /**
+   * Get a user's ranking of a dish at a restaurant
+   * @param {Object} params - The lookup parameters
+   * @param {string} params.userId - The user ID
+   * @param {string} params.dishId - The dish ID
+   * @param {string} [params.restaurantId] - The restaurant ID
+   * @returns {Promise<Object|null>} The ranking or null if none exists
+   */
+  async getUserRankingForDish({ userId, dishId, restaurantId }) {
+    const params = [userId, dishId];
+    let sql = `${RANKING_SELECT} WHERE r."userId" = $1 AND r."dishId" = $2`;
+    if (restaurantId) {
+      params.push(restaurantId);
+      sql += ' AND r."restaurantId" = $3';
+    }
+
+    const result = await query(sql, params);
+    return result.rows[0] ? mapRankingRow(result.rows[0]) : null;
+  }
+
+  /**
+   * Get a page of rankings matching the given filters
+   * @param {Object} filters - Filters passed to buildRankingWhere
+   * @param {Object} options - Pagination, sorting and included fields
+   * @param {string} [orderPrefix] - Ordering applied before the sort field
+   * @returns {Promise<Object>} The rankings with total and average rating
+   * @private
+   */
+  async listRankings(filters, options, orderPrefix = '') {
+    const {
+      page = 1,
+      limit = 20,
+      sortBy = 'createdAt',
+      sortOrder = 'desc',
+      includeReviews = true,
+      includePhotos = true,
+    } = options;
+
+    const { where, params } = buildRankingWhere(filters);
+    const sortColumn = SORT_COLUMNS[sortBy] || SORT_COLUMNS.createdAt;
+    const direction = sortOrder === 'asc' ? 'ASC' : 'DESC';
+    const offset = (page - 1) * limit;
+
+    const [rowsResult, statsResult] = await Promise.all([
+      query(
+        `${RANKING_SELECT} ${where}
+         ORDER BY ${orderPrefix}${sortColumn} ${direction}, r."id"
+         LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, offset]
+      ),
+      query(
+        `SELECT COUNT(*)::int AS "total", COALESCE(AVG(r."rating"), 0)::float AS "averageRating"
+         FROM "DishRanking" r
+         JOIN "Dish" d ON d."id" = r."dishId"
+         JOIN "Restaurant" rest ON rest."id" = r."restaurantId"
+         ${where}`,
+        params
+      ),
+    ]);
+
+    return {
+      rankings: rowsResult.rows.map((row) =>
+        mapRankingRow(row, { includeReviews, includePhotos })
+      ),
+      total: statsResult.rows[0].total,
+      averageRating: statsResult.rows[0].averageRating,
+    };
+  }
+
+  /**
+   * Get all rankings created by a user
+   * @param {string} userId - The user ID
+   * @param {Object} options - Filters, pagination and sorting
+   * @returns {Promise<Object>} The rankings with total and average rating
+   */
+  async getUserRankings(userId, options = {}) {
+    if (options.publicOnly) {
+      const userResult = await query('SELECT "id" FROM "User" WHERE "id" = $1', [userId]);
+      if (userResult.rowCount === 0) {
+        throw new Error('User not found');
+      }
+    }
+
+    return this.listRankings(
+      {
+        userId,
+        dishType: options.dishType,
+        restaurantId: options.restaurantId,
+        tasteStatus: options.tasteStatus,
+        minRating: options.minRating,
+        maxRating: options.maxRating,
+      },
+      options
+    );
+  }
+
+  /**
+   * Get a user's rankings for a dish, TOP positions first
+   * @param {string} userId - The user ID
+   * @param {string} dishSlug - The dish slug
+   * @param {Object} options - Pagination and sorting
+   * @returns {Promise<Object>} The rankings with total and average rating
+   */
+  async getUserDishRankings(userId, dishSlug, options = {}) {
+    const dishResult = await query('SELECT 1 FROM "Dish" WHERE "slug" = $1 LIMIT 1', [dishSlug]);
+    if (dishResult.rowCount === 0) {
+      throw new Error('Dish not found');
+    }
+
+    return this.listRankings(
+      { userId, dishSlug },
+      options,
+      'r."rankPosition" ASC NULLS LAST, '
+    );
+  }
+
+  /**
+   * Rewrite a user's TOP positions for a dish in one transaction.
+   * Rankings left out of the new order drop out of the top list and are
+   * kept as VISITED.
+   * @param {string} userId - The user ID
+   * @param {string} dishSlug - The dish slug
+   * @param {Array<{id: string, rankPosition: number}>} order - The new positions
+   * @returns {Promise<Array>} The user's TOP rankings in their new order
+   */
+  async reorderDishRankings(userId, dishSlug, order) {
+    const positions = order.map((item) => item.rankPosition);
+    if (new Set(positions).size !== positions.length) {
+      throw new Error('Duplicate rank position');
+    }
+    if (
+      order.length > MAX_RANK_POSITIONS ||
+      positions.some((p) => !Number.isInteger(p) || p < 1 || p > MAX_RANK_POSITIONS)
+    ) {
+      throw new Error('Invalid rank position');
+    }
+
+    const rankings = await transaction(async (client) => {
+      await lockRankPositions(client, userId, dishSlug);
+      const owned = await client.query(
+        `SELECT r."id", r."rankPosition"
+         FROM "DishRanking" r
+         JOIN "Dish" d ON d."id" = r."dishId"
+         WHERE r."userId" = $1 AND d."slug" = $2
+         FOR UPDATE OF r`,
+        [userId, dishSlug]
+      );
+
+      const ownedIds = new Set(owned.rows.map((row) => row.id));
+      if (order.some((item) => !ownedIds.has(item.id))) {
+        throw new Error('Ranking not found');
+      }
+
+      const ids = order.map((item) => item.id);
+      const dropped = owned.rows
+        .filter((row) => row.rankPosition !== null && !ids.includes(row.id))
+        .map((row) => row.id);
+
+      if (dropped.length > 0) {
+        await client.query(
+          `UPDATE "DishRanking"
+           SET "rankPosition" = NULL, "category" = 'VISITED', "updatedAt" = NOW()
+           WHERE "id" = ANY($1::text[])`,
+          [dropped]
+        );
+      }
+
+      if (ids.length > 0) {
+        await client.query(
+          `UPDATE "DishRanking" r
+           SET "rankPosition" = o."position", "category" = 'TOP', "updatedAt" = NOW()
+           FROM UNNEST($1::text[], $2::int[]) AS o("id", "position")
+           WHERE r."id" = o."id"`,
+          [ids, positions]
+        );
+      }
+
+      await rankingHistoryService.recordRankingEvents(client, HistoryEventType.UPDATED, [
+        ...dropped,
+        ...ids,
+      ]);
+
+      const result = await client.query(
+        `${RANKING_SELECT}
+         WHERE r."userId" = $1 AND d."slug" = $2 AND r."rankPosition" IS NOT NULL
+         ORDER BY r."rankPosition" ASC`,
+        [userId, dishSlug]
+      );
+      return result.rows.map((row) => mapRankingRow(row));
+    });
+
+    await this.refreshDishLeaderboard(dishSlug);
+    return rankings;
+  }
+
+  /**
+   * Get every ranking a user has made, in the shape used for export
+   * @param {string} userId - The user ID
+   * @returns {Promise<Array>} Rows keyed by RANKING_EXPORT_COLUMNS
+   */
+  async exportUserRankings(userId) {
+    const result = await query(
+      `${RANKING_SELECT}
+       WHERE r."userId" = $1
+       ORDER BY d."slug" ASC NULLS LAST, r."rankPosition" ASC NULLS LAST, r."createdAt" ASC`,
+      [userId]
+    );
+
+    return result.rows.map((row) => ({
+      dish: row.dishName,
+      dishSlug: row.dishSlug,
+      restaurant: row.restaurantName,
+      restaurantId: row.restaurantId,
+      position: row.rankPosition,
+      category: row.category,
+      rating: row.rating,
+      tasteStatus: row.tasteStatus,
+      notes: row.notes,
+      review: row.review,
+      photoUrls: row.photoUrls || [],
+      createdAt: row.createdAt,
+      updatedAt: row.updatedAt,
+    }));
+  }
+
+  /**
+   * Import a set of rankings for a user. Rows are matched to restaurants
+   * by ID or name and to dishes by slug or name at that restaurant.
+   * Existing rankings of the same dish are updated. For every dish slug
+   * with positioned rows, the file's positions replace the user's top
+   * list. Nothing is written unless every row is valid.
+   * @param {string} userId - The user ID
+   * @param {Array<Object>} rows - Rows keyed by RANKING_EXPORT_COLUMNS
+   * @param {Object} [options] - Import options
+   * @param {string|null} [options.fingerprint] - The request fingerprint
+   * @returns {Promise<Object>} Created and updated counts, or row-level errors
+   */
+  async importUserRankings(userId, rows, { fingerprint = null } = {}) {
+    if (rows.length === 0) {
+      throw new Error('No rankings to import');
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+      throw new Error('Too many rankings to import');
+    }
+
+    const errors = [];
+    const parsed = rows.map((raw, index) => {
+      const { ranking, error } = parseImportRow(raw);
+      if (error) {
+        errors.push({ row: index + 1, ...error });
+      }
+      return ranking || null;
+    });
+
+    // Match restaurants and their dishes
+    const valid = parsed.filter(Boolean);
+    const restaurantsResult = await query(
+      `SELECT "id", "name" FROM "Restaurant"
+       WHERE "id" = ANY($1::text[]) OR LOWER("name") = ANY($2::text[])`,
+      [
+        valid.map((ranking) => ranking.restaurantId).filter(Boolean),
+        valid.map((ranking) => ranking.restaurantName?.toLowerCase()).filter(Boolean),
+      ]
+    );
+    const dishesResult = await query(
+      'SELECT "id", "restaurantId", "name", "slug" FROM "Dish" WHERE "restaurantId" = ANY($1::text[])',
+      [restaurantsResult.rows.map((restaurant) => restaurant.id)]
+    );
+
+    const seenDishes = new Map();
+    const seenPositions = new Map();
+    parsed.forEach((ranking, index) => {
+      if (!ranking) return;
+      const row = index + 1;
+      const addError = (field, message) => errors.push({ row, field, message });
+
+      const restaurants = ranking.restaurantId
+        ? restaurantsResult.rows.filter((restaurant) => restaurant.id === ranking.restaurantId)
+        : restaurantsResult.rows.filter(
+            (restaurant) => restaurant.name.toLowerCase() === ranking.restaurantName.toLowerCase()
+          );
+      if (restaurants.length === 0) {
+        return addError('restaurant', `Restaurant not found: ${ranking.restaurantId || ranking.restaurantName}`);
+      }
+      if (restaurants.length > 1) {
+        return addError('restaurant', `Several restaurants are named ${ranking.restaurantName}; add a restaurantId`);
+      }
+
+      let dishes = dishesResult.rows.filter((dish) => dish.restaurantId === restaurants[0].id);
+      if (ranking.dishSlug) {
+        dishes = dishes.filter((dish) => dish.slug === ranking.dishSlug);
+      }
+      if (ranking.dishName && (!ranking.dishSlug || dishes.length > 1)) {
+        dishes = dishes.filter((dish) => dish.name.toLowerCase() === ranking.dishName.toLowerCase());
+      }
+      if (dishes.length === 0) {
+        return addError('dish', `Dish not found at ${restaurants[0].name}: ${ranking.dishSlug || ranking.dishName}`);
+      }
+      if (dishes.length > 1) {
+        return addError('dish', `Several dishes at ${restaurants[0].name} match ${ranking.dishSlug || ranking.dishName}`);
+      }
+
+      const dish = dishes[0];
+      if (seenDishes.has(dish.id)) {
+        return addError('dish', `Dish already appears in row ${seenDishes.get(dish.id)}`);
+      }
+      seenDishes.set(dish.id, row);
+
+      if (ranking.position !== null) {
+        const positionKey = `${dish.slug}:${ranking.position}`;
+        if (seenPositions.has(positionKey)) {
+          return addError(
+            'position',
+            `Position ${ranking.position} is already used in row ${seenPositions.get(positionKey)}`
+          );
+        }
+        seenPositions.set(positionKey, row);
+      }
+
+      ranking.dishId = dish.id;
+      ranking.slug = dish.slug;
+      ranking.restaurantId = restaurants[0].id;
+    });
+
+    if (errors.length > 0) {
+      return {
+        created: 0,
+        updated: 0,
+        errors: errors.sort((a, b) => a.row - b.row),
+      };
+    }
+
+    const counts = await transaction(async (client) => {
+      // Lock every slug up front, in order, so imports and reorders can't deadlock
+      const slugs = [...new Set(parsed.map((ranking) => ranking.slug))].sort();
+      for (const slug of slugs) {
+        await lockRankPositions(client, userId, slug);
+      }
+
+      const existingResult = await client.query(
+        `SELECT r."id", r."dishId", r."rankPosition", d."slug"
+         FROM "DishRanking" r
+         JOIN "Dish" d ON d."id" = r."dishId"
+         WHERE r."userId" = $1
+         FOR UPDATE OF r`,
+        [userId]
+      );
+
+      // The file's positions replace the top list of every slug it positions
+      const positionedSlugs = new Set(
+        parsed.filter((ranking) => ranking.position !== null).map((ranking) => ranking.slug)
+      );
+      const demoted = existingResult.rows.filter(
+        (row) => row.rankPosition !== null && positionedSlugs.has(row.slug)
+      );
+      if (demoted.length > 0) {
+        await client.query(
+          `UPDATE "DishRanking"
+           SET "rankPosition" = NULL, "category" = 'VISITED', "updatedAt" = NOW()
+           WHERE "id" = ANY($1::text[])`,
+          [demoted.map((row) => row.id)]
+        );
+      }
+
+      const existing = new Map(
+        existingResult.rows.map((row) => [
+          row.dishId,
+          { ...row, rankPosition: positionedSlugs.has(row.slug) ? null : row.rankPosition },
+        ])
+      );
+
+      // Positioned rows first, so unpositioned TOP rows fill the gaps
+      const ordered = [
+        ...parsed.filter((ranking) => ranking.position !== null),
+        ...parsed.filter((ranking) => ranking.position === null),
+      ];
+
+      const createdIds = [];
+      const updatedIds = new Set(demoted.map((row) => row.id));
+      let updated = 0;
+      for (const ranking of ordered) {
+        const current = existing.get(ranking.dishId);
+
+        let category = ranking.category;
+        let rankPosition = ranking.position;
+        if (category === 'TOP' && rankPosition === null) {
+          rankPosition =
+            current?.rankPosition ?? (await this.getNextRankPosition(client, userId, ranking.slug));
+          if (rankPosition === null) {
+            category = 'VISITED';
+          }
+        }
+
+        const values = [
+          ranking.rating,
+          ranking.review,
+          rankPosition,
+          category,
+          ranking.tasteStatus || 'neutral',
+          ranking.notes,
+          ranking.photoUrls,
+        ];
+
+        if (current) {
+          await client.query(
+            `UPDATE "DishRanking"
+             SET "rating" = $2, "review" = $3, "rankPosition" = $4, "category" = $5,
+                 "tasteStatus" = $6, "notes" = $7, "photoUrls" = $8, "updatedAt" = NOW()
+             WHERE "id" = $1`,
+            [current.id, ...values]
+          );
+          updatedIds.add(current.id);
+          updated++;
+        } else {
+          const insertResult = await client.query(
+            `INSERT INTO "DishRanking" (
+              "id", "userId", "dishId", "restaurantId", "rating", "review",
+              "rankPosition", "category", "tasteStatus", "notes", "photoUrls",
+              "fingerprint", "createdAt", "updatedAt"
+            ) VALUES (
+              gen_random_uuid(), $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, NOW(), NOW()
+            ) RETURNING "id"`,
+            [userId, ranking.dishId, ranking.restaurantId, ...values, fingerprint]
+          );
+          await voteIntegrityService.screen(client, {
+            subjectType: 'ranking',
+            subjectId: insertResult.rows[0].id,
+            userId,
+            dishId: ranking.dishId,
+            fingerprint,
+          });
+          createdIds.push(insertResult.rows[0].id);
+        }
+      }
+
+      await rankingHistoryService.recordRankingEvents(client, HistoryEventType.CREATED, createdIds);
+      await rankingHistoryService.recordRankingEvents(client, HistoryEventType.UPDATED, [
+        ...updatedIds,
+      ]);
+
+      return { created: createdIds.length, updated };
+    });
+
+    for (const slug of new Set(parsed.map((ranking) => ranking.slug))) {
+      await this.refreshDishLeaderboard(slug);
+    }
+
+    return { ...counts, errors: [] };
+  }
+
+  /**
+   * Compare two users' rankings. Each ranking is turned into a preference
+   * between -1 and 1 from its rating and category; agreement on a shared
+   * dish is how close the two preferences are.
+   * @param {Array} rankings - The first user's ranking rows
+   * @param {Array} otherRankings - The second user's ranking rows
+   * @returns {Object} Compatibility, agreements, disagreements and favorites
+   */
+  compareTasteProfiles(rankings, otherRankings) {
+    const toPreferences = (rows) =>
+      new Map(
+        rows
+          .filter((row) => TASTE_SENTIMENT[row.category] !== undefined)
+          .map((row) => [
+            row.dishId,
+            {
+              ...row,
+              preference: ((row.rating - 5.5) / 4.5 + TASTE_SENTIMENT[row.category]) / 2,
+            },
+          ])
+      );
+
+    const mine = toPreferences(rankings);
+    const theirs = toPreferences(otherRankings);
+
+    const shared = [];
+    for (const [dishId, ranking] of mine) {
+      const other = theirs.get(dishId);
+      if (other) {
+        shared.push({
+          dishId,
+          dishName: ranking.dishName,
+          dishSlug: ranking.dishSlug,
+          restaurantId: ranking.restaurantId,
+          restaurantName: ranking.restaurantName,
+          rating: ranking.rating,
+          otherRating: other.rating,
+          category: ranking.category,
+          otherCategory: other.category,
+          agreement: 1 - Math.abs(ranking.preference - other.preference) / 2,
+          combinedPreference: ranking.preference + other.preference,
+        });
+      }
+    }
+
+    const totalAgreement = shared.reduce((sum, dish) => sum + dish.agreement, 0);
+    const compatibility =
+      shared.length > 0
+        ? Math.round(
+            ((totalAgreement + COMPATIBILITY_PRIOR * 0.5) /
+              (shared.length + COMPATIBILITY_PRIOR)) *
+              100
+          )
+        : null;
+
+    const toDish = (dish) => ({
+      dishId: dish.dishId,
+      dishName: dish.dishName,
+      dishSlug: dish.dishSlug,
+      restaurantId: dish.restaurantId,
+      restaurantName: dish.restaurantName,
+      rating: dish.rating,
+      otherRating: dish.otherRating,
+      category: dish.category,
+      otherCategory: dish.otherCategory,
+      agreement: Math.round(dish.agreement * 100),
+    });
+
+    const agreements = shared
+      .filter((dish) => dish.agreement >= 0.75)
+      .sort((a, b) => b.agreement - a.agreement || b.combinedPreference - a.combinedPreference)
+      .slice(0, MAX_COMPARISON_ITEMS)
+      .map(toDish);
+    const disagreements = shared
+      .filter((dish) => dish.agreement < 0.75)
+      .sort((a, b) => a.agreement - b.agreement)
+      .slice(0, MAX_COMPARISON_ITEMS)
+      .map(toDish);
+
+    // Restaurants one user loves where the other has not ranked anything
+    const lovedOnlyBy = (lover, other) => {
+      const tried = new Set([...other.values()].map((ranking) => ranking.restaurantId));
+      const restaurants = new Map();
+      for (const ranking of lover.values()) {
+        if (tried.has(ranking.restaurantId)) continue;
+        if (ranking.category !== 'TOP' && ranking.rating < LOVED_RATING) continue;
+
+        const restaurant = restaurants.get(ranking.restaurantId) || {
+          restaurantId: ranking.restaurantId,
+          restaurantName: ranking.restaurantName,
+          dishes: [],
+          bestRating: 0,
+        };
+        restaurant.dishes.push({ dishId: ranking.dishId, dishName: ranking.dishName, rating: ranking.rating });
+        restaurant.bestRating = Math.max(restaurant.bestRating, ranking.rating);
+        restaurants.set(ranking.restaurantId, restaurant);
+      }
+
+      return [...restaurants.values()]
+        .sort((a, b) => b.bestRating - a.bestRating || b.dishes.length - a.dishes.length)
+        .slice(0, MAX_COMPARISON_ITEMS);
+    };
+
+    return {
+      compatibility,
+      sharedDishCount: shared.length,
+      agreements,
+      disagreements,
+      userFavoritesNotTriedByOther: lovedOnlyBy(mine, theirs),
+      otherFavoritesNotTriedByUser: lovedOnlyBy(theirs, mine),
+    };
+  }
+
+  /**
+   * Get the taste compatibility between two users
+   * @param {string} userId - The first user ID
+   * @param {string} otherUserId - The second user ID
+   * @returns {Promise<Object>} The comparison (see compareTasteProfiles)
+   */
+  async getTasteCompatibility(userId, otherUserId) {
+    const usersResult = await query(
+      'SELECT "id", "name" FROM "User" WHERE "id" = ANY($1::text[])',
+      [[userId, otherUserId]]
+    );
+    const users = new Map(usersResult.rows.map((row) => [row.id, row]));
+    if (!users.has(userId) || !users.has(otherUserId)) {
+      throw new Error('User not found');
+    }
+
+    const rankingsResult = await query(
+      `SELECT r."userId", r."dishId", r."restaurantId", r."rating", r."category",
+              d."name" AS "dishName", d."slug" AS "dishSlug",
+              rest."name" AS "restaurantName"
+       FROM "DishRanking" r
+       JOIN "Dish" d ON d."id" = r."dishId"
+       JOIN "Restaurant" rest ON rest."id" = r."restaurantId"
+       WHERE r."userId" = ANY($1::text[]) AND r."status" = 'active'`,
+      [[userId, otherUserId]]
+    );
+
+    const comparison = this.compareTasteProfiles(
+      rankingsResult.rows.filter((row) => row.userId === userId),
+      rankingsResult.rows.filter((row) => row.userId === otherUserId)
+    );
+
+    return {
+      userId,
+      userName: users.get(userId).name,
+      otherUserId,
+      otherUserName: users.get(otherUserId).name,
+      ...comparison,
+    };
+  }
+
+  /**
+   * Get the algorithm parameters that apply to a country
+   * @param {string|null} countryCode - The restaurant's country code
+   * @param {Map} paramsByCountry - Configured parameters keyed by country code
+   * @returns {Object} The exponent, interaction weights and prior weight
+   */
+  getAlgorithmParams(countryCode, paramsByCountry = new Map()) {
+    return (
+      paramsByCountry.get(countryCode) || {
+        exponent: this.exponent,
+        interactionWeights: this.interactionWeights,
+        priorWeight: this.priorWeight,
+      }
+    );
+  }
+
+  /**
+   * Aggregate every user's rankings of a dish into a single leaderboard,
+   * scoring each ranking with the parameters of its restaurant's country
+   * @param {Array} rankings - Ranking rows for a single dish slug
+   * @param {Map} [paramsByCountry] - Configured parameters keyed by country code
+   * @returns {Array} Leaderboard entries ordered by position
+   */
+  aggregateLeaderboard(rankings, paramsByCountry = new Map()) {
+    return aggregateLeaderboard(rankings, (countryCode) =>
+      this.getAlgorithmParams(countryCode, paramsByCountry)
+    );
+  }
+
+  /**
+   * Get the active rankings that make up a dish leaderboard
+   * @param {Object} client - The database client
+   * @param {string} dishSlug - The dish slug
+   * @returns {Promise<Array>} The ranking rows with their restaurant's country
+   * @private
+   */
+  async getLeaderboardRankings(client, dishSlug) {
+    const result = await client.query(
+      `SELECT r."id", r."userId", r."dishId", r."restaurantId", r."rating",
+              r."rankPosition", r."category", r."createdAt", r."updatedAt",
+              rest."countryCode"
+       FROM "DishRanking" r
+       JOIN "Dish" d ON d."id" = r."dishId"
+       JOIN "Restaurant" rest ON rest."id" = r."restaurantId"
+       WHERE d."slug" = $1 AND r."status" = 'active' AND rest."deletedAt" IS NULL`,
+      [dishSlug]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Rebuild the stored leaderboard for a dish from its current rankings
+   * @param {string} dishSlug - The dish slug
+   * @returns {Promise<Array>} The new leaderboard entries
+   */
+  async recomputeDishLeaderboard(dishSlug) {
+    return transaction(async (client) => {
+      // Serialize rebuilds of the same leaderboard
+      await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [dishSlug]);
+
+      const rankings = await this.getLeaderboardRankings(client, dishSlug);
+      const paramsByCountry = await rankingConfigService.getActiveParams(client);
+      const entries = this.aggregateLeaderboard(rankings, paramsByCountry);
+
+      await client.query('DELETE FROM "DishLeaderboardEntry" WHERE "dishSlug" = $1', [dishSlug]);
+      // Replace today's snapshot so trends reflect the latest positions
+      await client.query(
+        `DELETE FROM "DishLeaderboardSnapshot"
+         WHERE "dishSlug" = $1 AND "snapshotDate" = CURRENT_DATE`,
+        [dishSlug]
+      );
+
+      if (entries.length > 0) {
+        const dishIds = entries.map((entry) => entry.dishId);
+        const restaurantIds = entries.map((entry) => entry.restaurantId);
+        const positions = entries.map((entry) => entry.position);
+        const scores = entries.map((entry) => entry.score);
+
+        await client.query(
+          `INSERT INTO "DishLeaderboardEntry" (
+            "id", "dishSlug", "dishId", "restaurantId", "position", "score",
+            "rawScore", "rankingCount", "topCount", "averageRating",
+            "firstRankedAt", "lastRankedAt", "computedAt"
+          )
+          SELECT gen_random_uuid(), $1, e."dishId", e."restaurantId", e."position", e."score",
+                 e."rawScore", e."rankingCount", e."topCount", e."averageRating",
+                 e."firstRankedAt", e."lastRankedAt", NOW()
+          FROM unnest(
+            $2::text[], $3::text[], $4::int[], $5::double precision[], $6::double precision[],
+            $7::int[], $8::int[], $9::double precision[], $10::timestamp[], $11::timestamp[]
+          ) AS e(
+            "dishId", "restaurantId", "position", "score", "rawScore",
+            "rankingCount", "topCount", "averageRating", "firstRankedAt", "lastRankedAt"
+          )`,
+          [
+            dishSlug,
+            dishIds,
+            restaurantIds,
+            positions,
+            scores,
+            entries.map((entry) => entry.rawScore),
+            entries.map((entry) => entry.rankingCount),
+            entries.map((entry) => entry.topCount),
+            entries.map((entry) => entry.averageRating),
+            entries.map((entry) => entry.firstRankedAt),
+            entries.map((entry) => entry.lastRankedAt),
+          ]
+        );
+
+        await client.query(
+          `INSERT INTO "DishLeaderboardSnapshot" (
+            "id", "dishSlug", "dishId", "restaurantId", "position", "score",
+            "snapshotDate", "recordedAt"
+          )
+          SELECT gen_random_uuid(), $1, s."dishId", s."restaurantId", s."position", s."score",
+                 CURRENT_DATE, NOW()
+          FROM unnest($2::text[], $3::text[], $4::int[], $5::double precision[])
+            AS s("dishId", "restaurantId", "position", "score")`,
+          [dishSlug, dishIds, restaurantIds, positions, scores]
+        );
+      }
+
+      return entries;
+    });
+  }
+
+  /**
+   * Attach position movement over each trend window to leaderboard entries.
+   * Movement is measured against the last snapshot taken on or before the
+   * start of the window; entries with no such snapshot are reported as new.
+   * @param {string} dishSlug - The dish slug
+   * @param {Array} entries - The leaderboard entries
+   * @param {Date|null} [asOf] - Measure windows back from this moment instead of today
+   * @returns {Promise<Array>} The entries with a trends map keyed by window (e.g. "7d")
+   * @private
+   */
+  async attachTrends(dishSlug, entries, asOf = null) {
+    if (entries.length === 0) {
+      return entries;
+    }
+
+    const result = await query(
+      `SELECT DISTINCT ON (s."dishId", w."days") s."dishId", w."days", s."position"
+       FROM unnest($2::int[]) AS w("days")
+       JOIN "DishLeaderboardSnapshot" s
+         ON s."dishSlug" = $1
+        AND s."dishId" = ANY($3)
+        AND s."snapshotDate" <= COALESCE($4::date, CURRENT_DATE) - w."days"
+       ORDER BY s."dishId", w."days", s."snapshotDate" DESC`,
+      [dishSlug, RANKING_TREND_WINDOWS, entries.map((entry) => entry.dishId), asOf]
+    );
+
+    const previousPositions = new Map(
+      result.rows.map((row) => [`${row.dishId}:${row.days}`, row.position])
+    );
+
+    return entries.map((entry) => ({
+      ...entry,
+      trends: Object.fromEntries(
+        RANKING_TREND_WINDOWS.map((days) => [
+          `${days}d`,
+          getMovement(entry.position, previousPositions.get(`${entry.dishId}:${days}`)),
+        ])
+      ),
+    }));
+  }
+
+  /**
+   * Rebuild a dish leaderboard after one of its rankings changed.
+   * The ranking write has already been committed, so a failure here is
+   * logged rather than surfaced; the next change or read rebuilds it.
+   * @param {string|null} dishSlug - The dish slug
+   * @returns {Promise<void>}
+   * @private
+   */
+  async refreshDishLeaderboard(dishSlug) {
+    if (!dishSlug) {
+      return;
+    }
+
+    try {
+      await this.recomputeDishLeaderboard(dishSlug);
+    } catch (error) {
+      console.error(`Error recomputing leaderboard for ${dishSlug}:`, error);
+    }
+  }
+
+  /**
+   * Preview how a dish leaderboard would change if a country adopted new
+   * algorithm parameters. Nothing is written; both leaderboards are
+   * computed from the same active rankings so only the parameters differ.
+   * @param {string} countryCode - The country whose parameters change
+   * @param {string} dishSlug - The dish slug to preview
+   * @param {Object} params - The proposed parameters
+   * @returns {Promise<Object>} Per-entry current and proposed positions and scores
+   */
+  async previewAlgorithmParams(countryCode, dishSlug, params) {
+    const dishResult = await query('SELECT 1 FROM "Dish" WHERE "slug" = $1 LIMIT 1', [dishSlug]);
+    if (dishResult.rowCount === 0) {
+      throw new Error('Dish not found');
+    }
+
+    const rankings = await this.getLeaderboardRankings({ query }, dishSlug);
+    const currentParams = await rankingConfigService.getActiveParams();
+    const proposedParams = new Map(currentParams).set(countryCode, params);
+
+    const current = this.aggregateLeaderboard(rankings, currentParams);
+    const proposed = new Map(
+      this.aggregateLeaderboard(rankings, proposedParams).map((entry) => [entry.dishId, entry])
+    );
+
+    const restaurantResult = await query(
+      'SELECT "id", "name", "countryCode" FROM "Restaurant" WHERE "id" = ANY($1)',
+      [current.map((entry) => entry.restaurantId)]
+    );
+    const restaurants = new Map(restaurantResult.rows.map((row) => [row.id, row]));
+
+    const entries = current
+      .map((entry) => {
+        const next = proposed.get(entry.dishId);
+        const restaurant = restaurants.get(entry.restaurantId);
+        return {
+          dishId: entry.dishId,
+          restaurantId: entry.restaurantId,
+          restaurantName: restaurant.name,
+          countryCode: restaurant.countryCode,
+          currentPosition: entry.position,
+          proposedPosition: next.position,
+          positionChange: entry.position - next.position,
+          currentScore: entry.score,
+          proposedScore: next.score,
+        };
+      })
+      .sort((a, b) => a.proposedPosition - b.proposedPosition);
+
+    return {
+      countryCode,
+      dishSlug,
+      entries,
+      changedCount: entries.filter((entry) => entry.positionChange !== 0).length,
+    };
+  }
+
+  /**
+   * Rebuild every leaderboard that has rankings of a country's
+   * restaurants, after that country's parameters changed
+   * @param {string} countryCode - The country code
+   * @returns {Promise<number>} The number of leaderboards rebuilt
+   */
+  async rebuildCountryLeaderboards(countryCode) {
+    const result = await query(
+      `SELECT DISTINCT d."slug"
+       FROM "DishRanking" r
+       JOIN "Dish" d ON d."id" = r."dishId"
+       JOIN "Restaurant" rest ON rest."id" = r."restaurantId"
+       WHERE rest."countryCode" = $1`,
+      [countryCode]
+    );
+
+    for (const { slug } of result.rows) {
+      await this.refreshDishLeaderboard(slug);
+    }
+    return result.rowCount;
+  }
+
+  /**
+   * Rebuild every leaderboard that has rankings of a restaurant, after the
+   * restaurant was deleted
+   * @param {string} restaurantId - The restaurant ID
+   * @returns {Promise<number>} The number of leaderboards rebuilt
+   */
+  async rebuildRestaurantLeaderboards(restaurantId) {
+    const result = await query(
+      `SELECT DISTINCT d."slug"
+       FROM "DishRanking" r
+       JOIN "Dish" d ON d."id" = r."dishId"
+       WHERE r."restaurantId" = $1`,
+      [restaurantId]
+    );
+
+    for (const { slug } of result.rows) {
+      await this.refreshDishLeaderboard(slug);
+    }
+    return result.rowCount;
+  }
+
+  /**
+   * Attach recent reviews and photos to leaderboard entries
+   * @param {Array} entries - The leaderboard entries
+   * @param {Object} options - Which extras to include
+   * @param {Date|null} [asOf] - Use the reviews and photos as they stood at this moment
+   * @returns {Promise<Array>} The entries with reviews and/or photos
+   * @private
+   */
+  async attachRankingExtras(entries, { includeReviews, includePhotos }, asOf = null) {
+    if (entries.length === 0 || (!includeReviews && !includePhotos)) {
+      return entries;
+    }
+
+    const dishIds = entries.map((entry) => entry.dishId);
+    const rankings = asOf
+      ? await rankingHistoryService.getRankingsAsOf(dishIds, asOf)
+      : (
+          await query(
+            `SELECT "dishId", "rating", "review", "photoUrls", "createdAt"
+             FROM "DishRanking"
+             WHERE "dishId" = ANY($1) AND "status" = 'active'
+             ORDER BY "createdAt" DESC`,
+            [dishIds]
+          )
+        ).rows;
+
+    return entries.map((entry) => {
+      const rows = rankings.filter((row) => row.dishId === entry.dishId);
+      const extras = {};
+
+      if (includeReviews) {
+        extras.reviews = rows
+          .filter((row) => row.review)
+          .slice(0, MAX_LEADERBOARD_REVIEWS)
+          .map((row) => ({ review: row.review, rating: row.rating, createdAt: row.createdAt }));
+      }
+
+      if (includePhotos) {
+        extras.photoUrls = rows
+          .flatMap((row) => row.photoUrls || [])
+          .slice(0, MAX_LEADERBOARD_PHOTOS);
+      }
+
+      return { ...entry, ...extras };
+    });
+  }
+
+  /**
+   * Make sure a dish has a stored leaderboard, building it on first use
+   * @param {string} dishSlug - The dish slug
+   * @returns {Promise<Object>} The dish name and when the leaderboard was computed
+   * @private
+   */
+  async ensureDishLeaderboard(dishSlug) {
+    const dishResult = await query('SELECT "name" FROM "Dish" WHERE "slug" = $1 LIMIT 1', [dishSlug]);
+    if (dishResult.rowCount === 0) {
+      throw new Error('Dish not found');
+    }
+
+    const computed = await query(
+      'SELECT MAX("computedAt") AS "computedAt" FROM "DishLeaderboardEntry" WHERE "dishSlug" = $1',
+      [dishSlug]
+    );
+    let computedAt = computed.rows[0].computedAt;
+    if (!computedAt) {
+      await this.recomputeDishLeaderboard(dishSlug);
+      computedAt = new Date();
+    }
+
+    return { dishName: dishResult.rows[0].name, computedAt };
+  }
+
+  /**
+   * Rebuild a dish leaderboard as it stood at a past moment, from the
+   * rankings and algorithm parameters in effect at that time
+   * @param {string} dishSlug - The dish slug
+   * @param {Date} asOf - The moment to look at
+   * @returns {Promise<Array>} Leaderboard entries ordered by position
+   */
+  async getDishLeaderboardAsOf(dishSlug, asOf) {
+    const dishResult = await query('SELECT "id" FROM "Dish" WHERE "slug" = $1', [dishSlug]);
+    const [rankings, paramsByCountry] = await Promise.all([
+      rankingHistoryService.getRankingsAsOf(
+        dishResult.rows.map((row) => row.id),
+        asOf
+      ),
+      rankingConfigService.getParamsAsOf(asOf),
+    ]);
+    return this.aggregateLeaderboard(rankings, paramsByCountry);
+  }
+
+  /**
+   * Get the table leaderboard queries should read entries from: the stored
+   * leaderboard, or one rebuilt as of a past moment and passed in as a
+   * query parameter
+   * @param {string} dishSlug - The dish slug
+   * @param {Date|null} asOf - The moment to look at, or null for the current leaderboard
+   * @param {Array} params - The query parameters, extended in place
+   * @returns {Promise<Object>} The dish name, when the entries were computed and the SQL source aliased as e
+   * @private
+   */
+  async getLeaderboardSource(dishSlug, asOf, params) {
+    if (!asOf) {
+      const { dishName, computedAt } = await this.ensureDishLeaderboard(dishSlug);
+      return { dishName, computedAt, source: '"DishLeaderboardEntry" e' };
+    }
+
+    const dishResult = await query('SELECT "name" FROM "Dish" WHERE "slug" = $1 LIMIT 1', [dishSlug]);
+    if (dishResult.rowCount === 0) {
+      throw new Error('Dish not found');
+    }
+
+    const entries = await this.getDishLeaderboardAsOf(dishSlug, asOf);
+    params.push(JSON.stringify(entries.map((entry) => ({ ...entry, dishSlug }))));
+
+    return {
+      dishName: dishResult.rows[0].name,
+      computedAt: asOf,
+      source: `jsonb_to_recordset($${params.length}::jsonb) AS e(${LEADERBOARD_ENTRY_COLUMNS})`,
+    };
+  }
+
+  /**
+   * Attach like, dislike and rating vote counters to leaderboard entries
+   * @param {Array} entries - The leaderboard entries
+   * @param {Date|null} [asOf] - Count the votes that existed at this moment
+   * @returns {Promise<Array>} The entries with a votes object
+   * @private
+   */
+  async attachVoteStats(entries, asOf = null) {
+    if (entries.length === 0) {
+      return entries;
+    }
+
+    const dishIds = entries.map((entry) => entry.dishId);
+    let statsByDish;
+    if (asOf) {
+      statsByDish = await rankingHistoryService.getVoteStatsAsOf(dishIds, asOf);
+    } else {
+      const result = await query(
+        `SELECT "dishId", "totalVotes", "likes", "dislikes", "ratings", "averageRating"
+         FROM "DishVoteStats"
+         WHERE "dishId" = ANY($1)`,
+        [dishIds]
+      );
+      statsByDish = new Map(result.rows.map(({ dishId, ...stats }) => [dishId, stats]));
+    }
+
+    return entries.map((entry) => ({
+      ...entry,
+      votes: statsByDish.get(entry.dishId) || {
+        totalVotes: 0,
+        likes: 0,
+        dislikes: 0,
+        ratings: 0,
+        averageRating: 0,
+      },
+    }));
+  }
+
+  /**
+   * Get the global leaderboard for a dish
+   * @param {string} dishSlug - The dish slug
+   * @param {Object} options - Pagination, sorting and filters
+   * @param {Date} [options.asOf] - Rebuild the leaderboard as it stood at this moment
+   * @returns {Promise<Object>} The leaderboard with total and average rating
+   */
+  async getGlobalDishRankings(dishSlug, options = {}) {
+    const {
+      page = 1,
+      limit = 20,
+      sortBy = 'score',
+      sortOrder = 'desc',
+      minRating = null,
+      includeReviews = false,
+      includePhotos = false,
+      asOf = null,
+    } = options;
+
+    const params = [dishSlug];
+    const { dishName, computedAt, source } = await this.getLeaderboardSource(dishSlug, asOf, params);
+
+    let where = 'WHERE e."dishSlug" = $1';
+    if (minRating) {
+      params.push(minRating);
+      where += ` AND e."averageRating" >= $${params.length}`;
+    }
+
+    const sortColumn = LEADERBOARD_SORT_COLUMNS[sortBy] || LEADERBOARD_SORT_COLUMNS.score;
+    const direction = sortOrder === 'asc' ? 'ASC' : 'DESC';
+    const offset = (page - 1) * limit;
+
+    const [rowsResult, statsResult] = await Promise.all([
+      query(
+        `SELECT
+           e.*,
+           d."name" AS "dishName",
+           d."price" AS "dishPrice",
+           d."imageUrl" AS "imageUrl",
+           rest."name" AS "restaurantName",
+           rest."address" AS "restaurantAddress",
+           rest."latitude" AS "latitude",
+           rest."longitude" AS "longitude",
+           rest."countryCode" AS "countryCode"
+         FROM ${source}
+         JOIN "Dish" d ON d."id" = e."dishId"
+         JOIN "Restaurant" rest ON rest."id" = e."restaurantId"
+         ${where}
+         ORDER BY ${sortColumn} ${direction}, e."position"
+         LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, offset]
+      ),
+      query(
+        `SELECT
+           COUNT(*)::int AS "total",
+           COALESCE(SUM(e."averageRating" * e."rankingCount") / NULLIF(SUM(e."rankingCount"), 0), 0)::float AS "averageRating"
+         FROM ${source}
+         ${where}`,
+        params
+      ),
+    ]);
+
+    const entries = await this.attachTrends(dishSlug, rowsResult.rows.map(mapLeaderboardRow), asOf);
+    const withExtras = await this.attachRankingExtras(entries, { includeReviews, includePhotos }, asOf);
+    const rankings = await this.attachVoteStats(withExtras, asOf);
+
+    return {
+      dishSlug,
+      dishName,
+      asOf,
+      rankings,
+      total: statsResult.rows[0].total,
+      averageRating: statsResult.rows[0].averageRating,
+      computedAt,
+    };
+  }
+
+  /**
+   * Get the leaderboard for a dish restricted to restaurants within a radius.
+   * Entries keep their global score, position and trends and gain a local
+   * position among the restaurants inside the radius.
+   * @param {string} dishSlug - The dish slug
+   * @param {Object} options - Location, pagination, sorting and filters
+   * @param {Object} options.location - { latitude, longitude, radius } with radius in km
+   * @param {Date} [options.asOf] - Rebuild the leaderboard as it stood at this moment
+   * @returns {Promise<Object>} The local leaderboard with total and average rating
+   */
+  async getLocalDishRankings(dishSlug, options = {}) {
+    const {
+      page = 1,
+      limit = 20,
+      location,
+      sortBy = 'score',
+      sortOrder = 'desc',
+      minRating = null,
+      includeReviews = false,
+      includePhotos = false,
+      asOf = null,
+    } = options;
+    const { latitude, longitude, radius } = location;
+
+    const box = getBoundingBox(latitude, longitude, radius);
+    const params = [dishSlug, latitude, longitude, radius, box.minLat, box.maxLat];
+    const { dishName, computedAt, source } = await this.getLeaderboardSource(dishSlug, asOf, params);
+    const longitudeCondition = buildLongitudeCondition(box, params);
+
+    const nearbySql = `
+      WITH nearby AS (
+        SELECT
+          e.*,
+          d."name" AS "dishName",
+          d."price" AS "dishPrice",
+          d."imageUrl" AS "imageUrl",
+          rest."name" AS "restaurantName",
+          rest."address" AS "restaurantAddress",
+          rest."latitude" AS "latitude",
+          rest."longitude" AS "longitude",
+          rest."countryCode" AS "countryCode",
+          ${haversineDistanceSql('$2', '$3')} AS "distanceKm"
+        FROM ${source}
+        JOIN "Dish" d ON d."id" = e."dishId"
+        JOIN "Restaurant" rest ON rest."id" = e."restaurantId"
+        WHERE e."dishSlug" = $1
+          AND rest."latitude" BETWEEN $5 AND $6
+          AND ${longitudeCondition}
+      ),
+      ranked AS (
+        SELECT *, (ROW_NUMBER() OVER (ORDER BY "score" DESC, "position"))::int AS "localPosition"
+        FROM nearby
+        WHERE "distanceKm" <= $4
+      )`;
+
+    let where = '';
+    if (minRating) {
+      params.push(minRating);
+      where = `WHERE "averageRating" >= $${params.length}`;
+    }
+
+    const sortColumn = LOCAL_SORT_COLUMNS[sortBy] || LOCAL_SORT_COLUMNS.score;
+    const direction = sortOrder === 'asc' ? 'ASC' : 'DESC';
+    const offset = (page - 1) * limit;
+
+    const [rowsResult, statsResult] = await Promise.all([
+      query(
+        `${nearbySql}
+         SELECT * FROM ranked
+         ${where}
+         ORDER BY ${sortColumn} ${direction}, "localPosition"
+         LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, offset]
+      ),
+      query(
+        `${nearbySql}
+         SELECT
+           COUNT(*)::int AS "total",
+           COALESCE(SUM("averageRating" * "rankingCount") / NULLIF(SUM("rankingCount"), 0), 0)::float AS "averageRating"
+         FROM ranked
+         ${where}`,
+        params
+      ),
+    ]);
+
+    const entries = await this.attachTrends(
+      dishSlug,
+      rowsResult.rows.map((row) => ({
+        ...mapLeaderboardRow(row),
+        localPosition: row.localPosition,
+        distanceKm: row.distanceKm,
+      })),
+      asOf
+    );
+    const withExtras = await this.attachRankingExtras(entries, { includeReviews, includePhotos }, asOf);
+    const rankings = await this.attachVoteStats(withExtras, asOf);
+
+    return {
+      dishSlug,
+      dishName,
+      asOf,
+      location: { latitude, longitude, radius },
+      rankings,
+      total: statsResult.rows[0].total,
+      averageRating: statsResult.rows[0].averageRating,
+      computedAt,
+    };
+  }
+
   /**
    * Get top restaurants
    * @param {number} limit - The maximum number of restaurants to return
@@ -0,0 +1,269 @@
+/**
+ * Restaurant Comparison Service
+ * This service compares 2 to 4 restaurants side by side on their review
+ * rating, dish leaderboard positions, price level and opening hours, and
+ * saves comparisons under a short ID so they can be shared. Saving the
+ * same restaurants in the same order again returns the same comparison.
+ */
+
+import { randomBytes } from 'crypto';
+import { query } from '../utils/postgres.js';
+import { addDays, getOpeningPeriods, toMinutes } from '../utils/openingHours.js';
+import { restaurantRepository } from './restaurantRepository.js';
+
+/**
+ * How many restaurants a comparison has
+ */
+export const MIN_COMPARED_RESTAURANTS = 2;
+export const MAX_COMPARED_RESTAURANTS = 4;
+
+/**
+ * Columns of a comparison's CSV export, one row per restaurant
+ */
+export const COMPARISON_EXPORT_COLUMNS = [
+  'name',
+  'cuisine',
+  'address',
+  'averageRating',
+  'reviewCount',
+  'googleRating',
+  'priceRange',
+  'bestPosition',
+  'leaderboardPositions',
+  'weeklyHours',
+  'openingHours',
+  'isOpen',
+  'restaurantId',
+];
+
+/**
+ * Bytes of randomness in a comparison ID, which is base64url encoded
+ */
+const COMPARISON_ID_BYTES = 6;
+
+/**
+ * Attempts at an unused comparison ID before giving up
+ */
+const COMPARISON_ID_ATTEMPTS = 3;
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * A Sunday to lay a usual week of opening hours on; with no special hours
+ * any week gives the same periods
+ */
+const USUAL_WEEK_START = '2026-01-04';
+
+/**
+ * Add up the hours a restaurant is open in a usual week
+ * @param {Array} hours - Weekly periods as { dayOfWeek, openTime, closeTime }
+ * @returns {number|null} The hours, or null without opening hours
+ */
+const getWeeklyHours = (hours) => {
+  if (hours.length === 0) {
+    return null;
+  }
+  const minutes = DAY_NAMES.flatMap((_, day) =>
+    getOpeningPeriods({ hours }, addDays(USUAL_WEEK_START, day))
+  ).reduce((total, [open, close]) => total + close - open, 0);
+  return Math.round((minutes / 60) * 10) / 10;
+};
+
+/**
+ * Describe a restaurant's weekly hours, e.g. "Mon 10:00-15:00, 18:00-22:00; Tue closed"
+ * @param {Array} hours - Weekly periods as { dayOfWeek, openTime, closeTime }
+ * @returns {string} The hours, empty without opening hours
+ */
+const formatWeeklyHours = (hours) => {
+  if (hours.length === 0) {
+    return '';
+  }
+  // Weeks start on Monday
+  return [1, 2, 3, 4, 5, 6, 0]
+    .map((day) => {
+      const periods = hours
+        .filter((period) => period.dayOfWeek === day)
+        .sort((a, b) => toMinutes(a.openTime) - toMinutes(b.openTime))
+        .map((period) => `${period.openTime}-${period.closeTime}`);
+      return `${DAY_NAMES[day]} ${periods.length > 0 ? periods.join(', ') : 'closed'}`;
+    })
+    .join('; ');
+};
+
+class RestaurantComparisonService {
+  /**
+   * Compare restaurants
+   * @param {Array<string>} restaurantIds - The restaurant IDs, in the order to show them
+   * @param {Object} [options] - Comparison options
+   * @param {boolean} [options.skipMissing] - Leave out deleted restaurants
+   *   instead of failing
+   * @returns {Promise<Array<Object>>} Each restaurant with its ratings,
+   *   leaderboard positions, price, hours and the metrics compared
+   */
+  async compareRestaurants(restaurantIds, { skipMissing = false } = {}) {
+    const found = await Promise.all(restaurantIds.map((id) => restaurantRepository.getRestaurantById(id)));
+    if (!skipMissing && found.some((restaurant) => !restaurant)) {
+      throw new Error('Restaurant not found');
+    }
+    const restaurants = found.filter(Boolean);
+
+    const [reviewsResult, leaderboardResult] = await Promise.all([
+      query(
+        `SELECT "restaurantId", ROUND(AVG("rating")::numeric, 2)::float AS "averageRating",
+                COUNT(*)::int AS "reviewCount"
+         FROM "Review"
+         WHERE "restaurantId" = ANY($1::text[])
+         GROUP BY "restaurantId"`,
+        [restaurantIds]
+      ),
+      query(
+        `SELECT e."restaurantId", e."dishSlug", e."dishId", d."name" AS "dishName",
+                e."position", e."score", e."rankingCount"
+         FROM "DishLeaderboardEntry" e
+         JOIN "Dish" d ON d."id" = e."dishId"
+         WHERE e."restaurantId" = ANY($1::text[])
+         ORDER BY e."position", d."name"`,
+        [restaurantIds]
+      ),
+    ]);
+    const reviews = new Map(reviewsResult.rows.map((row) => [row.restaurantId, row]));
+
+    return restaurants.map((restaurant) => {
+      const { averageRating = null, reviewCount = 0 } = reviews.get(restaurant.id) || {};
+      const leaderboard = leaderboardResult.rows
+        .filter((entry) => entry.restaurantId === restaurant.id)
+        .map(({ dishSlug, dishId, dishName, position, score, rankingCount }) => ({
+          dishSlug,
+          dishId,
+          dishName,
+          position,
+          score,
+          rankingCount,
+        }));
+
+      return {
+        id: restaurant.id,
+        name: restaurant.name,
+        cuisine: restaurant.cuisine,
+        address: restaurant.address,
+        countryCode: restaurant.countryCode,
+        imageUrl: restaurant.photos[0]?.photoUrl || null,
+        averageRating,
+        reviewCount,
+        googleRating: restaurant.rating,
+        priceLevel: restaurant.priceLevel,
+        priceRange: restaurant.priceLevel ? '$'.repeat(restaurant.priceLevel) : null,
+        leaderboard,
+        hours: restaurant.hours,
+        openingHours: formatWeeklyHours(restaurant.hours),
+        openingStatus: restaurant.openingStatus,
+        metrics: {
+          rating: averageRating,
+          reviewCount,
+          price: restaurant.priceLevel,
+          bestPosition: leaderboard[0]?.position ?? null,
+          rankedDishes: leaderboard.length,
+          weeklyHours: getWeeklyHours(restaurant.hours),
+        },
+      };
+    });
+  }
+
+  /**
+   * Save a comparison, or find the saved comparison of the same
+   * restaurants in the same order
+   * @param {Array<string>} restaurantIds - The restaurant IDs, in order
+   * @param {string|null} userId - The user saving it, if signed in
+   * @returns {Promise<Object>} The comparison's ID and restaurant IDs
+   */
+  async saveComparison(restaurantIds, userId = null) {
+    const missing = await query(
+      `SELECT requested."id"
+       FROM unnest($1::text[]) AS requested("id")
+       WHERE NOT EXISTS (
+         SELECT 1 FROM "Restaurant" rest WHERE rest."id" = requested."id" AND rest."deletedAt" IS NULL
+       )`,
+      [restaurantIds]
+    );
+    if (missing.rowCount > 0) {
+      throw new Error('Restaurant not found');
+    }
+
+    const restaurantKey = restaurantIds.join(',');
+    for (let attempt = 0; attempt < COMPARISON_ID_ATTEMPTS; attempt++) {
+      const id = randomBytes(COMPARISON_ID_BYTES).toString('base64url');
+      const result = await query(
+        `INSERT INTO "RestaurantComparison" ("id", "restaurantIds", "restaurantKey", "createdBy", "createdAt")
+         VALUES ($1, $2, $3, $4, NOW())
+         ON CONFLICT DO NOTHING
+         RETURNING "id", "restaurantIds", "createdAt"`,
+        [id, restaurantIds, restaurantKey, userId]
+      );
+      if (result.rowCount > 0) {
+        return result.rows[0];
+      }
+
+      const existing = await query(
+        'SELECT "id", "restaurantIds", "createdAt" FROM "RestaurantComparison" WHERE "restaurantKey" = $1',
+        [restaurantKey]
+      );
+      if (existing.rowCount > 0) {
+        return existing.rows[0];
+      }
+      // The random ID was taken; try another
+    }
+
+    throw new Error('Could not create comparison ID');
+  }
+
+  /**
+   * Get a saved comparison with current data for its restaurants. Restaurants
+   * deleted since it was saved are left out.
+   * @param {string} id - The comparison ID
+   * @returns {Promise<Object>} The comparison with its compared restaurants
+   */
+  async getComparison(id) {
+    const result = await query(
+      'SELECT "id", "restaurantIds", "createdAt" FROM "RestaurantComparison" WHERE "id" = $1',
+      [id]
+    );
+    const comparison = result.rows[0];
+    if (!comparison) {
+      throw new Error('Comparison not found');
+    }
+
+    return {
+      ...comparison,
+      restaurants: await this.compareRestaurants(comparison.restaurantIds, { skipMissing: true }),
+    };
+  }
+
+  /**
+   * Convert compared restaurants into rows for COMPARISON_EXPORT_COLUMNS
+   * @param {Array<Object>} restaurants - Restaurants from compareRestaurants
+   * @returns {Array<Object>} The rows
+   */
+  toExportRows(restaurants) {
+    return restaurants.map((restaurant) => ({
+      restaurantId: restaurant.id,
+      name: restaurant.name,
+      cuisine: restaurant.cuisine,
+      address: restaurant.address,
+      averageRating: restaurant.averageRating,
+      reviewCount: restaurant.reviewCount,
+      googleRating: restaurant.googleRating,
+      priceRange: restaurant.priceRange,
+      bestPosition: restaurant.metrics.bestPosition,
+      // Positions share one CSV column, separated by "|"
+      leaderboardPositions: restaurant.leaderboard
+        .map((entry) => `${entry.dishName} #${entry.position}`)
+        .join('|'),
+      weeklyHours: restaurant.metrics.weeklyHours,
+      openingHours: restaurant.openingHours,
+      isOpen: restaurant.openingStatus.isOpen,
+    }));
+  }
+}
+
+// Export a singleton instance
+export const restaurantComparisonService = new RestaurantComparisonService();
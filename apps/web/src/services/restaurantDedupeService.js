@@ -0,0 +1,991 @@
+/**
+ * Restaurant Dedupe Service
+ * This service reconciles restaurants imported from Google Places, Yelp and
+ * Foursquare. Each imported place is matched against nearby restaurants:
+ * confident matches are linked automatically, ambiguous ones are queued for
+ * an admin, and merging a duplicate moves its dishes, menu items, named
+ * menus, offers, bookings, rankings, votes, reviews and photos onto the
+ * restaurant that is kept.
+ */
+
+import { query, transaction } from '../utils/postgres.js';
+import { updateDishEvent } from '../utils/events.js';
+import { getBoundingBox, buildLongitudeCondition } from '../utils/geo.js';
+import {
+  MAX_MATCH_DISTANCE_KM,
+  classifyMatch,
+  scoreRestaurantMatch,
+} from '../utils/restaurantMatching.js';
+import { restaurantRepository } from './restaurantRepository.js';
+import { restaurantSearchService } from './restaurantSearchService.js';
+import { rankingService } from './rankingService.js';
+import { postgresService } from './postgresService.js';
+import { voteIntegrityService } from './voteIntegrityService.js';
+import { rankingHistoryService, HistoryEventType } from './rankingHistoryService.js';
+
+/**
+ * External sources places can be imported from
+ */
+export const RESTAURANT_SOURCES = ['google', 'yelp', 'foursquare'];
+
+/**
+ * Statuses of a merge candidate. Pending candidates involving a restaurant
+ * that is merged away are superseded.
+ */
+export const MergeCandidateStatus = {
+  PENDING: 'pending',
+  MERGED: 'merged',
+  DISMISSED: 'dismissed',
+  SUPERSEDED: 'superseded',
+};
+
+/**
+ * Most restaurant pairs compared by one duplicate scan
+ */
+const MAX_SCAN_PAIRS = 500;
+
+/**
+ * Lowest name similarity (pg_trgm) for a pair to be compared by a scan,
+ * unless the two share a phone number
+ */
+const SCAN_NAME_SIMILARITY = 0.3;
+
+/**
+ * Restaurant fields a merge copies from the duplicate when the survivor
+ * has no value
+ */
+const MERGE_FILL_COLUMNS = [
+  'googlePlaceId',
+  'description',
+  'phone',
+  'email',
+  'website',
+  'cuisine',
+  'rating',
+  'priceLevel',
+  'timezone',
+  'ownerId',
+];
+
+/**
+ * Restaurant fields an automatically matched place fills in when missing
+ */
+const MATCH_FILL_COLUMNS = ['googlePlaceId', 'phone', 'website', 'cuisine', 'priceLevel'];
+
+/**
+ * Map a place from an external source to common fields
+ * @param {string} source - The source (see RESTAURANT_SOURCES)
+ * @param {Object} place - The place as returned by the source's API or proxy
+ * @returns {Object} The place's external ID, name, address, phone, location and details
+ */
+export function normalizeSourcePlace(source, place) {
+  let normalized;
+  switch (source) {
+    case 'google':
+      normalized = {
+        externalId: place.placeId,
+        googlePlaceId: place.placeId,
+        name: place.name,
+        address: place.formattedAddress,
+        phone: place.phoneNumber,
+        website: place.website,
+        latitude: place.location?.lat,
+        longitude: place.location?.lng,
+        priceLevel: place.priceLevel,
+        rating: place.rating,
+      };
+      break;
+    case 'yelp':
+      normalized = {
+        externalId: place.id,
+        name: place.name,
+        address: place.location?.displayAddress?.join(', ') || place.location?.address1,
+        phone: place.phone || place.displayPhone,
+        website: null,
+        latitude: place.coordinates?.latitude,
+        longitude: place.coordinates?.longitude,
+        priceLevel: place.price ? place.price.length : null,
+        rating: place.rating,
+        cuisine: place.categories?.[0]?.title,
+        countryCode: place.location?.country,
+      };
+      break;
+    case 'foursquare':
+      normalized = {
+        externalId: place.fsqId,
+        name: place.name,
+        address: place.location?.formattedAddress || place.location?.address,
+        phone: place.tel,
+        website: place.website,
+        latitude: place.location?.latitude,
+        longitude: place.location?.longitude,
+        // Foursquare rates out of 10
+        rating: typeof place.rating === 'number' ? place.rating / 2 : null,
+        cuisine: place.categories?.[0]?.name,
+        countryCode: place.location?.country,
+        timezone: place.timezone,
+      };
+      break;
+    default:
+      throw new Error('Invalid source');
+  }
+
+  if (
+    !normalized.externalId ||
+    !normalized.name ||
+    typeof normalized.latitude !== 'number' ||
+    typeof normalized.longitude !== 'number'
+  ) {
+    throw new Error('Invalid place');
+  }
+
+  return {
+    googlePlaceId: null,
+    address: null,
+    phone: null,
+    website: null,
+    priceLevel: null,
+    rating: null,
+    cuisine: null,
+    countryCode: null,
+    timezone: null,
+    ...normalized,
+    source,
+    rawData: place,
+  };
+}
+
+/**
+ * Order a pair of restaurant IDs the way merge candidates store them
+ * @param {string} idA - One restaurant ID
+ * @param {string} idB - The other restaurant ID
+ * @returns {Array<string>} The IDs, lower first
+ */
+const orderPair = (idA, idB) => (idA < idB ? [idA, idB] : [idB, idA]);
+
+/**
+ * Choose which of two duplicate restaurants to keep: the claimed one, else
+ * the one created first
+ * @param {Object} a - One restaurant row
+ * @param {Object} b - The other restaurant row
+ * @returns {Array<Object>} The survivor and the duplicate
+ */
+function pickSurvivor(a, b) {
+  if (Boolean(a.ownerId) !== Boolean(b.ownerId)) {
+    return a.ownerId ? [a, b] : [b, a];
+  }
+  return new Date(a.createdAt) <= new Date(b.createdAt) ? [a, b] : [b, a];
+}
+
+class RestaurantDedupeService {
+  /**
+   * Find restaurants that may be the same as a place
+   * @param {Object} place - The place: name, address, phone, latitude, longitude
+   * @returns {Promise<Array>} Matching restaurants with their score and
+   *   classification, best first
+   */
+  async findMatches(place) {
+    const box = getBoundingBox(place.latitude, place.longitude, MAX_MATCH_DISTANCE_KM);
+    const params = [box.minLat, box.maxLat];
+    const longitudeCondition = buildLongitudeCondition(box, params);
+
+    const result = await query(
+      `SELECT rest."id", rest."name", rest."address", rest."phone", rest."latitude", rest."longitude"
+       FROM "Restaurant" rest
+       WHERE rest."deletedAt" IS NULL
+         AND rest."latitude" BETWEEN $1 AND $2
+         AND ${longitudeCondition}`,
+      params
+    );
+
+    return result.rows
+      .map((restaurant) => {
+        const match = scoreRestaurantMatch(place, restaurant);
+        return { restaurant, match, classification: classifyMatch(match) };
+      })
+      .filter(({ classification }) => classification !== 'none')
+      .sort((a, b) => b.match.score - a.match.score);
+  }
+
+  /**
+   * Record which restaurant an imported place belongs to
+   * @param {Object} client - The database client
+   * @param {string} restaurantId - The restaurant ID
+   * @param {Object} place - The normalized place
+   * @param {string} matchMethod - How it was matched: created, place_id or auto
+   * @param {number|null} [matchScore] - The match score, for scored matches
+   * @returns {Promise<void>}
+   */
+  async saveSource(client, restaurantId, place, matchMethod, matchScore = null) {
+    await client.query(
+      `INSERT INTO "RestaurantSource" (
+        "id", "restaurantId", "source", "externalId", "name", "address", "phone",
+        "latitude", "longitude", "rawData", "matchMethod", "matchScore", "createdAt", "updatedAt"
+      ) VALUES (
+        gen_random_uuid(), $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, NOW(), NOW()
+      )
+      ON CONFLICT ("source", "externalId") DO UPDATE SET
+        "restaurantId" = EXCLUDED."restaurantId",
+        "name" = EXCLUDED."name",
+        "address" = EXCLUDED."address",
+        "phone" = EXCLUDED."phone",
+        "latitude" = EXCLUDED."latitude",
+        "longitude" = EXCLUDED."longitude",
+        "rawData" = EXCLUDED."rawData",
+        "matchMethod" = EXCLUDED."matchMethod",
+        "matchScore" = EXCLUDED."matchScore",
+        "updatedAt" = NOW()`,
+      [
+        restaurantId,
+        place.source,
+        place.externalId,
+        place.name,
+        place.address,
+        place.phone,
+        place.latitude,
+        place.longitude,
+        JSON.stringify(place.rawData),
+        matchMethod,
+        matchScore,
+      ]
+    );
+  }
+
+  /**
+   * Queue a pair of restaurants for an admin to merge or dismiss. A pair
+   * already queued, merged or dismissed is left as it is.
+   * @param {Object} client - The database client
+   * @param {string} restaurantIdA - One restaurant ID
+   * @param {string} restaurantIdB - The other restaurant ID
+   * @param {Object} match - The pair's score and signals
+   * @returns {Promise<boolean>} Whether the pair was queued
+   */
+  async queueCandidate(client, restaurantIdA, restaurantIdB, match) {
+    const [restaurantAId, restaurantBId] = orderPair(restaurantIdA, restaurantIdB);
+    const result = await client.query(
+      `INSERT INTO "RestaurantMergeCandidate" (
+        "id", "restaurantAId", "restaurantBId", "score", "signals", "status", "createdAt", "updatedAt"
+      ) VALUES (
+        gen_random_uuid(), $1, $2, $3, $4, $5, NOW(), NOW()
+      )
+      ON CONFLICT ("restaurantAId", "restaurantBId") DO NOTHING`,
+      [
+        restaurantAId,
+        restaurantBId,
+        match.score,
+        JSON.stringify({ ...match.signals, distanceKm: match.distanceKm }),
+        MergeCandidateStatus.PENDING,
+      ]
+    );
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Import a place from an external source. A place imported before keeps
+   * its restaurant; otherwise it is linked to a restaurant with its Google
+   * place ID or a confident match, or becomes a new restaurant whose
+   * ambiguous matches are queued for review.
+   * @param {string} source - The source (see RESTAURANT_SOURCES)
+   * @param {Object} rawPlace - The place as returned by the source
+   * @param {Object} [options] - Import options
+   * @param {string} [options.countryCode] - Country of places whose source does not give one
+   * @param {string} [options.createdBy] - The importing user's ID
+   * @returns {Promise<Object>} The action taken (linked, matched or created),
+   *   the restaurant ID and the number of pairs queued for review
+   */
+  async importPlace(source, rawPlace, { countryCode = null, createdBy = null } = {}) {
+    const place = normalizeSourcePlace(source, rawPlace);
+
+    const existing = await query(
+      `SELECT src."restaurantId"
+       FROM "RestaurantSource" src
+       WHERE src."source" = $1 AND src."externalId" = $2`,
+      [place.source, place.externalId]
+    );
+    if (existing.rows[0]) {
+      const { restaurantId } = existing.rows[0];
+      await query(
+        `UPDATE "RestaurantSource"
+         SET "name" = $3, "address" = $4, "phone" = $5, "latitude" = $6, "longitude" = $7,
+             "rawData" = $8, "updatedAt" = NOW()
+         WHERE "source" = $1 AND "externalId" = $2`,
+        [
+          place.source,
+          place.externalId,
+          place.name,
+          place.address,
+          place.phone,
+          place.latitude,
+          place.longitude,
+          JSON.stringify(place.rawData),
+        ]
+      );
+      return { action: 'linked', restaurantId, queued: 0 };
+    }
+
+    if (place.googlePlaceId) {
+      const byPlaceId = await query(
+        'SELECT "id" FROM "Restaurant" WHERE "googlePlaceId" = $1 AND "deletedAt" IS NULL',
+        [place.googlePlaceId]
+      );
+      if (byPlaceId.rows[0]) {
+        const restaurantId = byPlaceId.rows[0].id;
+        await this.saveSource({ query }, restaurantId, place, 'place_id');
+        return { action: 'linked', restaurantId, queued: 0 };
+      }
+    }
+
+    const matches = await this.findMatches(place);
+    const best = matches[0];
+    if (best && best.classification === 'auto') {
+      const restaurantId = best.restaurant.id;
+      await transaction(async (client) => {
+        await this.fillMissingFields(client, restaurantId, place);
+        await this.saveSource(client, restaurantId, place, 'auto', best.match.score);
+      });
+      return { action: 'matched', restaurantId, score: best.match.score, queued: 0 };
+    }
+
+    const placeCountry = place.countryCode || countryCode;
+    if (!placeCountry) {
+      throw new Error('Country code is required');
+    }
+
+    const restaurant = await restaurantRepository.createRestaurant({
+      googlePlaceId: place.googlePlaceId,
+      name: place.name,
+      description: null,
+      address: place.address || '',
+      latitude: place.latitude,
+      longitude: place.longitude,
+      phone: place.phone,
+      website: place.website,
+      cuisine: place.cuisine,
+      priceLevel: place.priceLevel,
+      countryCode: placeCountry.toUpperCase(),
+      timezone: place.timezone,
+      createdBy,
+    });
+
+    const queued = await transaction(async (client) => {
+      await this.saveSource(client, restaurant.id, place, 'created');
+
+      let count = 0;
+      for (const { restaurant: other, match } of matches) {
+        if (await this.queueCandidate(client, restaurant.id, other.id, match)) {
+          count++;
+        }
+      }
+      return count;
+    });
+
+    return { action: 'created', restaurantId: restaurant.id, queued };
+  }
+
+  /**
+   * Copy details of a matched place onto its restaurant where the
+   * restaurant has none
+   * @param {Object} client - The transaction client
+   * @param {string} restaurantId - The restaurant ID
+   * @param {Object} place - The normalized place
+   * @returns {Promise<void>}
+   */
+  async fillMissingFields(client, restaurantId, place) {
+    const result = await client.query('SELECT * FROM "Restaurant" WHERE "id" = $1 FOR UPDATE', [
+      restaurantId,
+    ]);
+    const restaurant = result.rows[0];
+
+    // Another restaurant, e.g. a deleted one, may hold the place ID
+    const placeIdTaken =
+      place.googlePlaceId &&
+      (await client.query('SELECT 1 FROM "Restaurant" WHERE "googlePlaceId" = $1', [place.googlePlaceId]))
+        .rowCount > 0;
+
+    const params = [restaurantId];
+    const assignments = [];
+    for (const column of MATCH_FILL_COLUMNS) {
+      if (column === 'googlePlaceId' && placeIdTaken) {
+        continue;
+      }
+      if (restaurant[column] === null && place[column] !== null && place[column] !== undefined) {
+        params.push(place[column]);
+        assignments.push(`"${column}" = $${params.length}`);
+      }
+    }
+    if (assignments.length === 0) {
+      return;
+    }
+
+    await client.query(
+      `UPDATE "Restaurant"
+       SET ${assignments.join(', ')}, "version" = "version" + 1, "updatedAt" = NOW()
+       WHERE "id" = $1`,
+      params
+    );
+  }
+
+  /**
+   * Compare nearby restaurants with similar names or the same phone number,
+   * merging confident duplicates and queueing ambiguous ones. Pairs already
+   * in the queue, in any status, are skipped.
+   * @param {Object} [options] - Scan options
+   * @param {string} [options.countryCode] - Only scan restaurants in this country
+   * @returns {Promise<Object>} The number of pairs compared, merged and queued
+   */
+  async scanForDuplicates({ countryCode = null } = {}) {
+    const latitudeDelta = getBoundingBox(0, 0, MAX_MATCH_DISTANCE_KM).maxLat;
+    const result = await query(
+      `SELECT
+         row_to_json(a) AS "a",
+         row_to_json(b) AS "b"
+       FROM "Restaurant" a
+       JOIN "Restaurant" b
+         ON b."id" > a."id"
+        AND b."deletedAt" IS NULL
+        AND b."latitude" BETWEEN a."latitude" - $1 AND a."latitude" + $1
+        AND ABS(b."longitude" - a."longitude") <= $1 / GREATEST(COS(RADIANS(a."latitude")), 0.01)
+        AND (
+          similarity(LOWER(a."name"), LOWER(b."name")) >= $2
+          OR (
+            LENGTH(regexp_replace(a."phone", '\\D', '', 'g')) >= 8
+            AND RIGHT(regexp_replace(a."phone", '\\D', '', 'g'), 8) =
+                RIGHT(regexp_replace(b."phone", '\\D', '', 'g'), 8)
+          )
+        )
+       WHERE a."deletedAt" IS NULL
+         AND ($3::text IS NULL OR a."countryCode" = $3)
+         AND NOT EXISTS (
+           SELECT 1 FROM "RestaurantMergeCandidate" c
+           WHERE c."restaurantAId" = a."id" AND c."restaurantBId" = b."id"
+         )
+       ORDER BY a."id", b."id"
+       LIMIT $4`,
+      [latitudeDelta, SCAN_NAME_SIMILARITY, countryCode, MAX_SCAN_PAIRS]
+    );
+
+    const mergedAway = new Set();
+    let merged = 0;
+    let queued = 0;
+    for (const { a, b } of result.rows) {
+      if (mergedAway.has(a.id) || mergedAway.has(b.id)) {
+        continue;
+      }
+
+      const match = scoreRestaurantMatch(a, b);
+      const classification = classifyMatch(match);
+      if (classification === 'auto') {
+        const [survivor, duplicate] = pickSurvivor(a, b);
+        await this.mergeRestaurants(survivor.id, duplicate.id);
+        mergedAway.add(duplicate.id);
+        merged++;
+      } else if (classification === 'review') {
+        if (await this.queueCandidate({ query }, a.id, b.id, match)) {
+          queued++;
+        }
+      }
+    }
+
+    return { compared: result.rows.length, merged, queued };
+  }
+
+  /**
+   * Get a page of merge candidates with both restaurants
+   * @param {Object} options - Filters and pagination
+   * @param {string} [options.status] - Candidate status, pending by default
+   * @param {number} [options.page] - Page number
+   * @param {number} [options.limit] - Page size
+   * @returns {Promise<Object>} The candidates and total count
+   */
+  async listCandidates({ status = MergeCandidateStatus.PENDING, page = 1, limit = 20 } = {}) {
+    const offset = (page - 1) * limit;
+    const restaurantJson = (alias) => `json_build_object(
+      'id', ${alias}."id",
+      'name', ${alias}."name",
+      'address', ${alias}."address",
+      'phone', ${alias}."phone",
+      'website', ${alias}."website",
+      'latitude', ${alias}."latitude",
+      'longitude', ${alias}."longitude",
+      'countryCode', ${alias}."countryCode",
+      'googlePlaceId', ${alias}."googlePlaceId",
+      'ownerId', ${alias}."ownerId",
+      'deletedAt', ${alias}."deletedAt",
+      'createdAt', ${alias}."createdAt",
+      'dishCount', (SELECT COUNT(*)::int FROM "Dish" d WHERE d."restaurantId" = ${alias}."id"),
+      'reviewCount', (SELECT COUNT(*)::int FROM "Review" rv WHERE rv."restaurantId" = ${alias}."id"),
+      'sources', (
+        SELECT COALESCE(array_agg(DISTINCT src."source"), '{}')
+        FROM "RestaurantSource" src WHERE src."restaurantId" = ${alias}."id"
+      )
+    )`;
+
+    const [rowsResult, countResult] = await Promise.all([
+      query(
+        `SELECT
+           c.*,
+           ${restaurantJson('a')} AS "restaurantA",
+           ${restaurantJson('b')} AS "restaurantB"
+         FROM "RestaurantMergeCandidate" c
+         JOIN "Restaurant" a ON a."id" = c."restaurantAId"
+         JOIN "Restaurant" b ON b."id" = c."restaurantBId"
+         WHERE c."status" = $1
+         ORDER BY c."score" DESC, c."createdAt" ASC
+         LIMIT $2 OFFSET $3`,
+        [status, limit, offset]
+      ),
+      query('SELECT COUNT(*)::int AS "total" FROM "RestaurantMergeCandidate" WHERE "status" = $1', [
+        status,
+      ]),
+    ]);
+
+    return {
+      candidates: rowsResult.rows,
+      total: countResult.rows[0].total,
+    };
+  }
+
+  /**
+   * Merge or dismiss a queued pair of restaurants
+   * @param {string} candidateId - The merge candidate ID
+   * @param {string} reviewerId - The ID of the reviewing admin
+   * @param {string} decision - Either 'merge' or 'dismiss'
+   * @param {string} [survivorId] - The restaurant to keep when merging;
+   *   by default the claimed one, else the one created first
+   * @returns {Promise<Object>} The resolved candidate
+   */
+  async resolveCandidate(candidateId, reviewerId, decision, survivorId = null) {
+    let mergeResult = null;
+
+    const candidate = await transaction(async (client) => {
+      const candidateResult = await client.query(
+        'SELECT * FROM "RestaurantMergeCandidate" WHERE "id" = $1 FOR UPDATE',
+        [candidateId]
+      );
+      const pending = candidateResult.rows[0];
+      if (!pending) {
+        throw new Error('Merge candidate not found');
+      }
+      if (pending.status !== MergeCandidateStatus.PENDING) {
+        throw new Error('Merge candidate already resolved');
+      }
+
+      let keptId = null;
+      if (decision === 'merge') {
+        const pairIds = [pending.restaurantAId, pending.restaurantBId];
+        if (survivorId && !pairIds.includes(survivorId)) {
+          throw new Error('Invalid survivor');
+        }
+
+        const restaurants = await client.query(
+          'SELECT * FROM "Restaurant" WHERE "id" = ANY($1::text[]) ORDER BY "id"',
+          [pairIds]
+        );
+        const [survivor, duplicate] = survivorId
+          ? [
+              restaurants.rows.find((row) => row.id === survivorId),
+              restaurants.rows.find((row) => row.id !== survivorId),
+            ]
+          : pickSurvivor(restaurants.rows[0], restaurants.rows[1]);
+
+        mergeResult = await this.mergeInTransaction(client, survivor.id, duplicate.id);
+        keptId = survivor.id;
+      }
+
+      const updated = await client.query(
+        `UPDATE "RestaurantMergeCandidate"
+         SET "status" = $2, "survivorId" = $3, "resolvedBy" = $4, "resolvedAt" = NOW(), "updatedAt" = NOW()
+         WHERE "id" = $1
+         RETURNING *`,
+        [
+          candidateId,
+          decision === 'merge' ? MergeCandidateStatus.MERGED : MergeCandidateStatus.DISMISSED,
+          keptId,
+          reviewerId,
+        ]
+      );
+      return updated.rows[0];
+    });
+
+    if (mergeResult) {
+      await this.refreshAfterMerge(mergeResult);
+    }
+    return candidate;
+  }
+
+  /**
+   * Merge a duplicate restaurant into the one that is kept
+   * @param {string} survivorId - The restaurant to keep
+   * @param {string} duplicateId - The restaurant to merge away
+   * @returns {Promise<Object>} The survivor and duplicate IDs and what was moved
+   */
+  async mergeRestaurants(survivorId, duplicateId) {
+    const result = await transaction((client) => this.mergeInTransaction(client, survivorId, duplicateId));
+    await this.refreshAfterMerge(result);
+    return result;
+  }
+
+  /**
+   * Rebuild the leaderboards a merge changed and send update events for
+   * the dishes it moved or folded. The merge has been committed, so
+   * failures are logged rather than surfaced.
+   * @param {Object} mergeResult - The result of mergeInTransaction
+   * @returns {Promise<void>}
+   * @private
+   */
+  async refreshAfterMerge({ dishSlugs, changedDishes }) {
+    for (const slug of dishSlugs) {
+      await rankingService.refreshDishLeaderboard(slug);
+    }
+    for (const dish of changedDishes) {
+      try {
+        await updateDishEvent(dish);
+      } catch (error) {
+        console.error('Error sending dish event:', error);
+      }
+    }
+  }
+
+  /**
+   * Move everything of a duplicate restaurant onto the survivor and soft
+   * delete the duplicate, pointing it at the survivor. Dishes the survivor
+   * also has, by name, are folded into the survivor's dish: where a user
+   * ranked or voted on both, the more recently updated one is kept.
+   * @param {Object} client - The transaction client
+   * @param {string} survivorId - The restaurant to keep
+   * @param {string} duplicateId - The restaurant to merge away
+   * @returns {Promise<Object>} The survivor and duplicate IDs, the number of
+   *   dishes moved and folded, the dish slugs whose leaderboards changed and
+   *   the dishes that changed, with their restaurant IDs
+   * @private
+   */
+  async mergeInTransaction(client, survivorId, duplicateId) {
+    if (survivorId === duplicateId) {
+      throw new Error('Cannot merge a restaurant into itself');
+    }
+
+    const lockResult = await client.query(
+      `SELECT * FROM "Restaurant"
+       WHERE "id" = ANY($1::text[]) AND "deletedAt" IS NULL
+       ORDER BY "id"
+       FOR UPDATE`,
+      [[survivorId, duplicateId]]
+    );
+    const survivor = lockResult.rows.find((row) => row.id === survivorId);
+    const duplicate = lockResult.rows.find((row) => row.id === duplicateId);
+    if (!survivor || !duplicate) {
+      throw new Error('Restaurant not found');
+    }
+
+    const slugResult = await client.query(
+      'SELECT DISTINCT "slug" FROM "Dish" WHERE "restaurantId" = ANY($1::text[]) AND "slug" IS NOT NULL',
+      [[survivorId, duplicateId]]
+    );
+    const dishSlugs = slugResult.rows.map((row) => row.slug);
+
+    // Pair each duplicate dish with the survivor's dish of the same name
+    const pairResult = await client.query(
+      `SELECT dup."id" AS "duplicateDishId", kept."id" AS "survivorDishId"
+       FROM "Dish" dup
+       JOIN LATERAL (
+         SELECT s."id" FROM "Dish" s
+         WHERE s."restaurantId" = $1 AND LOWER(TRIM(s."name")) = LOWER(TRIM(dup."name"))
+         ORDER BY s."createdAt", s."id"
+         LIMIT 1
+       ) kept ON TRUE
+       WHERE dup."restaurantId" = $2`,
+      [survivorId, duplicateId]
+    );
+    for (const { duplicateDishId, survivorDishId } of pairResult.rows) {
+      await this.foldDish(client, duplicateDishId, survivorDishId, survivorId);
+    }
+    const foldedDishIds = pairResult.rows.map((row) => row.duplicateDishId);
+
+    // Folded dishes stay, empty, with the duplicate so past events still resolve
+    const movedDishes = await client.query(
+      `UPDATE "Dish" SET "restaurantId" = $1, "updatedAt" = NOW()
+       WHERE "restaurantId" = $2 AND NOT ("id" = ANY($3::text[]))
+       RETURNING "id"`,
+      [survivorId, duplicateId, foldedDishIds]
+    );
+    const movedDishIds = movedDishes.rows.map((row) => row.id);
+
+    // Menu items follow their moved dishes to the end of the survivor's
+    // menu, into its category of the same name
+    await client.query(
+      `INSERT INTO "MenuCategory" ("id", "restaurantId", "name", "description", "position", "createdAt", "updatedAt")
+       SELECT gen_random_uuid(), $1, dup."name", dup."description",
+              (SELECT COALESCE(MAX("position") + 1, 0) FROM "MenuCategory" WHERE "restaurantId" = $1) + dup."position",
+              NOW(), NOW()
+       FROM "MenuCategory" dup
+       WHERE dup."restaurantId" = $2
+         AND EXISTS (SELECT 1 FROM "MenuItem" i WHERE i."categoryId" = dup."id" AND i."dishId" = ANY($3::text[]))
+         AND NOT EXISTS (
+           SELECT 1 FROM "MenuCategory" kept
+           WHERE kept."restaurantId" = $1 AND LOWER(TRIM(kept."name")) = LOWER(TRIM(dup."name"))
+         )`,
+      [survivorId, duplicateId, movedDishIds]
+    );
+    await client.query(
+      `UPDATE "MenuItem" i
+       SET "restaurantId" = $1,
+           "categoryId" = (
+             SELECT kept."id" FROM "MenuCategory" dup
+             JOIN "MenuCategory" kept
+               ON kept."restaurantId" = $1 AND LOWER(TRIM(kept."name")) = LOWER(TRIM(dup."name"))
+             WHERE dup."id" = i."categoryId"
+           ),
+           "position" = i."position" + (SELECT COALESCE(MAX("position") + 1, 0) FROM "MenuItem" WHERE "restaurantId" = $1),
+           "updatedAt" = NOW()
+       WHERE i."dishId" = ANY($2::text[])`,
+      [survivorId, movedDishIds]
+    );
+
+    // Named menus move too, unless the survivor has one of the same name
+    await client.query(
+      `UPDATE "Menu" dup
+       SET "restaurantId" = $1,
+           "position" = dup."position" + (SELECT COALESCE(MAX("position") + 1, 0) FROM "Menu" WHERE "restaurantId" = $1),
+           "updatedAt" = NOW()
+       WHERE dup."restaurantId" = $2
+         AND NOT EXISTS (
+           SELECT 1 FROM "Menu" kept
+           WHERE kept."restaurantId" = $1 AND LOWER(TRIM(kept."name")) = LOWER(TRIM(dup."name"))
+         )`,
+      [survivorId, duplicateId]
+    );
+
+    // Offers move too, unless one of their codes is already used at the survivor
+    const movedOffers = await client.query(
+      `UPDATE "Offer" dup
+       SET "restaurantId" = $1, "updatedAt" = NOW()
+       WHERE dup."restaurantId" = $2
+         AND NOT EXISTS (
+           SELECT 1 FROM "OfferCode" c
+           JOIN "OfferCode" kept ON kept."restaurantId" = $1 AND kept."code" = c."code"
+           WHERE c."offerId" = dup."id"
+         )
+       RETURNING "id"`,
+      [survivorId, duplicateId]
+    );
+    await client.query('UPDATE "OfferCode" SET "restaurantId" = $1 WHERE "offerId" = ANY($2::text[])', [
+      survivorId,
+      movedOffers.rows.map((row) => row.id),
+    ]);
+
+    // Booking settings move only if the survivor has none; tables and
+    // blackout days unless the survivor has one of the same name or date.
+    // Bookings follow, on the survivor's table of the same name.
+    await client.query(
+      `UPDATE "BookingSettings" SET "restaurantId" = $1, "updatedAt" = NOW()
+       WHERE "restaurantId" = $2
+         AND NOT EXISTS (SELECT 1 FROM "BookingSettings" WHERE "restaurantId" = $1)`,
+      [survivorId, duplicateId]
+    );
+    await client.query(
+      `UPDATE "BookingTable" dup
+       SET "restaurantId" = $1, "updatedAt" = NOW()
+       WHERE dup."restaurantId" = $2
+         AND NOT EXISTS (SELECT 1 FROM "BookingTable" kept WHERE kept."restaurantId" = $1 AND kept."name" = dup."name")`,
+      [survivorId, duplicateId]
+    );
+    await client.query(
+      `UPDATE "BookingBlackout" dup
+       SET "restaurantId" = $1
+       WHERE dup."restaurantId" = $2
+         AND NOT EXISTS (SELECT 1 FROM "BookingBlackout" kept WHERE kept."restaurantId" = $1 AND kept."date" = dup."date")`,
+      [survivorId, duplicateId]
+    );
+    await client.query(
+      `UPDATE "Booking" b
+       SET "restaurantId" = $1,
+           "tableId" = (
+             SELECT kept."id" FROM "BookingTable" dup
+             JOIN "BookingTable" kept ON kept."restaurantId" = $1 AND kept."name" = dup."name"
+             WHERE dup."id" = b."tableId"
+           ),
+           "updatedAt" = NOW()
+       WHERE b."restaurantId" = $2`,
+      [survivorId, duplicateId]
+    );
+
+    const movedRankings = await client.query(
+      `UPDATE "DishRanking" SET "restaurantId" = $1, "updatedAt" = NOW()
+       WHERE "restaurantId" = $2
+       RETURNING "id"`,
+      [survivorId, duplicateId]
+    );
+    await rankingHistoryService.recordRankingEvents(
+      client,
+      HistoryEventType.UPDATED,
+      movedRankings.rows.map((row) => row.id)
+    );
+
+    await client.query('UPDATE "VoteFlag" SET "restaurantId" = $1 WHERE "restaurantId" = $2', [
+      survivorId,
+      duplicateId,
+    ]);
+    for (const table of ['DishLeaderboardEntry', 'DishLeaderboardSnapshot']) {
+      await client.query(`UPDATE "${table}" SET "restaurantId" = $1 WHERE "dishId" = ANY($2::text[])`, [
+        survivorId,
+        movedDishIds,
+      ]);
+    }
+
+    await client.query(
+      'UPDATE "Review" SET "restaurantId" = $1, "updatedAt" = NOW() WHERE "restaurantId" = $2',
+      [survivorId, duplicateId]
+    );
+
+    // Photos both restaurants have, e.g. from the same Google place, are kept once
+    await client.query(
+      `DELETE FROM "RestaurantPhoto" dup
+       USING "RestaurantPhoto" kept
+       WHERE dup."restaurantId" = $2 AND kept."restaurantId" = $1
+         AND ((kept."photoReference" <> '' AND kept."photoReference" = dup."photoReference")
+              OR kept."photoUrl" = dup."photoUrl")`,
+      [survivorId, duplicateId]
+    );
+    // The duplicate's photos follow the survivor's, which keeps its cover
+    await client.query(
+      `UPDATE "RestaurantPhoto"
+       SET "restaurantId" = $1, "isCover" = false, "updatedAt" = NOW(),
+           "position" = "position" + (
+             SELECT COALESCE(MAX("position") + 1, 0) FROM "RestaurantPhoto" WHERE "restaurantId" = $1
+           )
+       WHERE "restaurantId" = $2`,
+      [survivorId, duplicateId]
+    );
+
+    // Opening hours are taken from the duplicate only if the survivor has none
+    for (const table of ['RestaurantHour', 'RestaurantSpecialHour']) {
+      await client.query(
+        `UPDATE "${table}" SET "restaurantId" = $1
+         WHERE "restaurantId" = $2
+           AND NOT EXISTS (SELECT 1 FROM "${table}" WHERE "restaurantId" = $1)`,
+        [survivorId, duplicateId]
+      );
+    }
+
+    await client.query(
+      'UPDATE "RestaurantSource" SET "restaurantId" = $1, "updatedAt" = NOW() WHERE "restaurantId" = $2',
+      [survivorId, duplicateId]
+    );
+    await client.query(
+      `UPDATE "RestaurantMergeCandidate"
+       SET "status" = $2, "updatedAt" = NOW()
+       WHERE "status" = $1 AND ("restaurantAId" = $3 OR "restaurantBId" = $3)`,
+      [MergeCandidateStatus.PENDING, MergeCandidateStatus.SUPERSEDED, duplicateId]
+    );
+
+    await client.query(
+      `UPDATE "Restaurant"
+       SET "deletedAt" = NOW(), "mergedIntoId" = $1, "googlePlaceId" = NULL,
+           "version" = "version" + 1, "updatedAt" = NOW()
+       WHERE "id" = $2`,
+      [survivorId, duplicateId]
+    );
+    await client.query(
+      'UPDATE "Restaurant" SET "mergedIntoId" = $1, "updatedAt" = NOW() WHERE "mergedIntoId" = $2',
+      [survivorId, duplicateId]
+    );
+
+    // Fill the survivor's gaps; the duplicate's place ID was freed above
+    const params = [survivorId];
+    const assignments = ['"version" = "version" + 1', '"updatedAt" = NOW()'];
+    for (const column of MERGE_FILL_COLUMNS) {
+      if (survivor[column] === null && duplicate[column] !== null) {
+        params.push(duplicate[column]);
+        assignments.push(`"${column}" = $${params.length}`);
+      }
+    }
+    await client.query(`UPDATE "Restaurant" SET ${assignments.join(', ')} WHERE "id" = $1`, params);
+
+    await restaurantSearchService.refreshSearchDocuments(client, [survivorId, duplicateId]);
+
+    // Folded dishes stay, empty, with the duplicate, which dish search leaves out
+    const survivorDishIds = new Set([...movedDishIds, ...pairResult.rows.map((row) => row.survivorDishId)]);
+    const changedDishes = [
+      ...[...survivorDishIds].map((dishId) => ({ dishId, restaurantId: survivorId })),
+      ...foldedDishIds.map((dishId) => ({ dishId, restaurantId: duplicateId })),
+    ];
+
+    return {
+      survivorId,
+      duplicateId,
+      movedDishes: movedDishIds.length,
+      foldedDishes: foldedDishIds.length,
+      dishSlugs,
+      changedDishes,
+    };
+  }
+
+  /**
+   * Move the rankings, votes, flags and photos of a duplicate's dish onto
+   * the survivor's dish of the same name
+   * @param {Object} client - The transaction client
+   * @param {string} fromDishId - The duplicate's dish
+   * @param {string} toDishId - The survivor's dish
+   * @param {string} survivorId - The survivor restaurant ID
+   * @returns {Promise<void>}
+   * @private
+   */
+  async foldDish(client, fromDishId, toDishId, survivorId) {
+    await postgresService.lockDishVoteStats(client, toDishId);
+    await postgresService.lockDishVoteStats(client, fromDishId);
+
+    const subjects = [
+      {
+        subjectType: 'ranking',
+        table: 'DishRanking',
+        assignments: '"dishId" = $2, "restaurantId" = $3',
+        record: 'recordRankingEvents',
+      },
+      { subjectType: 'vote', table: 'DishVote', assignments: '"dishId" = $2', record: 'recordVoteEvents' },
+    ];
+    for (const { subjectType, table, assignments, record } of subjects) {
+      // A user with one on each dish keeps the more recently updated one
+      const conflicts = await client.query(
+        `SELECT CASE WHEN moving."updatedAt" > kept."updatedAt" THEN kept."id" ELSE moving."id" END AS "id"
+         FROM "${table}" moving
+         JOIN "${table}" kept ON kept."userId" = moving."userId" AND kept."dishId" = $2
+         WHERE moving."dishId" = $1`,
+        [fromDishId, toDishId]
+      );
+      const dropIds = conflicts.rows.map((row) => row.id);
+      await rankingHistoryService[record](client, HistoryEventType.DELETED, dropIds);
+      for (const id of dropIds) {
+        await voteIntegrityService.clearFlag(client, subjectType, id);
+      }
+      await client.query(`DELETE FROM "${table}" WHERE "id" = ANY($1::text[])`, [dropIds]);
+
+      const moved = await client.query(
+        `UPDATE "${table}" SET ${assignments}, "updatedAt" = NOW()
+         WHERE "dishId" = $1
+         RETURNING "id"`,
+        table === 'DishRanking' ? [fromDishId, toDishId, survivorId] : [fromDishId, toDishId]
+      );
+      await rankingHistoryService[record](
+        client,
+        HistoryEventType.UPDATED,
+        moved.rows.map((row) => row.id)
+      );
+    }
+
+    await client.query(
+      'UPDATE "VoteFlag" SET "dishId" = $2, "restaurantId" = $3, "updatedAt" = NOW() WHERE "dishId" = $1',
+      [fromDishId, toDishId, survivorId]
+    );
+    await client.query('UPDATE "RestaurantPhoto" SET "dishId" = $2, "updatedAt" = NOW() WHERE "dishId" = $1', [
+      fromDishId,
+      toDishId,
+    ]);
+    await client.query('DELETE FROM "DishLeaderboardEntry" WHERE "dishId" = $1', [fromDishId]);
+
+    await postgresService.refreshDishVoteStats(client, toDishId);
+    await postgresService.refreshDishVoteStats(client, fromDishId);
+  }
+}
+
+// Export a singleton instance
+export const restaurantDedupeService = new RestaurantDedupeService();
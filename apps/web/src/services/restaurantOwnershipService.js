@@ -0,0 +1,622 @@
+/**
+ * Restaurant Ownership Service
+ * This service decides who manages a restaurant, its owner and admins, and
+ * runs the claim workflow through which a user becomes a restaurant's
+ * owner. The claimant proves control of the listing with a code emailed to
+ * an address at the restaurant's website domain, a code read out in a call
+ * to its listed phone number, or documents; an admin then approves or
+ * rejects the claim. Codes are delivered by the consumers of claim events.
+ */
+
+import { createHash, randomInt, timingSafeEqual } from 'crypto';
+import { query, transaction } from '../utils/postgres.js';
+import { requestClaimCodeEvent, reviewClaimEvent } from '../utils/events.js';
+
+/**
+ * How a claimant proves control of a restaurant
+ */
+export const ClaimMethod = {
+  EMAIL: 'email',
+  PHONE: 'phone',
+  DOCUMENTS: 'documents',
+};
+
+export const CLAIM_METHODS = Object.values(ClaimMethod);
+
+/**
+ * Where a claim is in the workflow. Claims verified by code, or with
+ * documents, wait for an admin's review.
+ */
+export const ClaimStatus = {
+  PENDING_VERIFICATION: 'pending_verification',
+  PENDING_REVIEW: 'pending_review',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  CANCELLED: 'cancelled',
+};
+
+export const CLAIM_STATUSES = Object.values(ClaimStatus);
+
+/**
+ * Most documents a claim can have
+ */
+export const MAX_CLAIM_DOCUMENTS = 5;
+
+/**
+ * Longest note from the claimant or the reviewing admin
+ */
+export const MAX_CLAIM_NOTE_LENGTH = 1000;
+
+/**
+ * Digits in a verification code
+ */
+const CODE_DIGITS = 6;
+
+/**
+ * How long a verification code can be used
+ */
+const CODE_TTL_MINUTES = 15;
+
+/**
+ * Wrong codes allowed before a new code has to be requested
+ */
+const MAX_CODE_ATTEMPTS = 5;
+
+/**
+ * Shortest wait between two codes for the same claim
+ */
+const CODE_RESEND_SECONDS = 60;
+
+/**
+ * Website hosts shared by many businesses, whose email domain does not show
+ * control of one restaurant
+ */
+const SHARED_WEBSITE_HOSTS = [
+  'facebook.com',
+  'instagram.com',
+  'linktr.ee',
+  'business.site',
+  'sites.google.com',
+  'wixsite.com',
+];
+
+const OPEN_STATUSES = [ClaimStatus.PENDING_VERIFICATION, ClaimStatus.PENDING_REVIEW];
+
+/**
+ * Claim columns returned to callers; the code hash never leaves the service
+ */
+const CLAIM_COLUMNS = `
+  c."id", c."restaurantId", c."userId", c."method", c."status", c."contactEmail", c."contactPhone",
+  c."codeExpiresAt", c."codeSentAt", c."codeAttempts", c."verifiedAt", c."documentUrls", c."message",
+  c."reviewedBy", c."reviewedAt", c."reviewNote", c."createdAt", c."updatedAt"
+`;
+
+/**
+ * Check whether a user is an admin, from a NextAuth session or a role list
+ * @param {Object|null} user - The session user
+ * @returns {boolean} Whether the user is an admin
+ */
+export const isAdmin = (user) => Boolean(user && (user.isAdmin || user.roles?.includes('admin')));
+
+/**
+ * Check whether a user manages a restaurant: its owner or an admin. Session
+ * user IDs are matched against the owner's user ID and Cognito ID.
+ * @param {Object} restaurant - The restaurant's ownerId and, optionally, ownerCognitoId
+ * @param {Object|null} user - The session user
+ * @returns {boolean} Whether the user manages the restaurant
+ */
+export const canManageRestaurant = (restaurant, user) =>
+  Boolean(
+    user &&
+      (isAdmin(user) ||
+        (restaurant.ownerId && [restaurant.ownerId, restaurant.ownerCognitoId].includes(user.id)))
+  );
+
+/**
+ * Get the domain of a restaurant's website that email codes can be sent to
+ * @param {string|null} website - The website URL
+ * @returns {string|null} The domain without "www.", or null if there is none
+ *   or the website is on a shared host
+ */
+export const getWebsiteDomain = (website) => {
+  let host;
+  try {
+    host = new URL(website).hostname.toLowerCase();
+  } catch {
+    return null;
+  }
+  if (SHARED_WEBSITE_HOSTS.some((shared) => host === shared || host.endsWith(`.${shared}`))) {
+    return null;
+  }
+  return host.replace(/^www\./, '') || null;
+};
+
+/**
+ * Hash a verification code; the claim ID salts it
+ * @param {string} claimId - The claim ID
+ * @param {string} code - The code
+ * @returns {string} The hex SHA-256 hash
+ */
+const hashCode = (claimId, code) => createHash('sha256').update(`${claimId}:${code}`).digest('hex');
+
+/**
+ * Check a code against a claim's code hash in constant time
+ * @param {Object} claim - The claim with its codeHash
+ * @param {string} code - The entered code
+ * @returns {boolean} Whether the code is right
+ */
+const isCodeValid = (claim, code) => {
+  const expected = Buffer.from(claim.codeHash, 'hex');
+  const actual = Buffer.from(hashCode(claim.id, code), 'hex');
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
+};
+
+/**
+ * Fetch a restaurant with its owner for a management check
+ * @param {Object} client - The database client
+ * @param {string} restaurantId - The restaurant ID
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.lock] - Lock the restaurant row
+ * @returns {Promise<Object>} The restaurant
+ */
+async function fetchRestaurant(client, restaurantId, { lock = false } = {}) {
+  const result = await client.query(
+    `SELECT r."id", r."name", r."website", r."phone", r."countryCode", r."timezone", r."ownerId", u."cognitoId" AS "ownerCognitoId"
+     FROM "Restaurant" r
+     LEFT JOIN "User" u ON u."id" = r."ownerId"
+     WHERE r."id" = $1 AND r."deletedAt" IS NULL
+     ${lock ? 'FOR UPDATE OF r' : ''}`,
+    [restaurantId]
+  );
+  if (result.rowCount === 0) {
+    throw new Error('Restaurant not found');
+  }
+  return result.rows[0];
+}
+
+/**
+ * Fetch a user's open claim to a restaurant
+ * @param {Object} client - The database client
+ * @param {string} restaurantId - The restaurant ID
+ * @param {string} userId - The claimant's user ID
+ * @returns {Promise<Object|null>} The claim with its code hash, locked, or null
+ */
+async function fetchOpenClaim(client, restaurantId, userId) {
+  const result = await client.query(
+    `SELECT * FROM "RestaurantClaim"
+     WHERE "restaurantId" = $1 AND "userId" = $2 AND "status" = ANY($3::text[])
+     FOR UPDATE`,
+    [restaurantId, userId, OPEN_STATUSES]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Fetch a claim as returned to callers
+ * @param {Object} client - The database client
+ * @param {string} claimId - The claim ID
+ * @returns {Promise<Object>} The claim
+ */
+async function fetchClaim(client, claimId) {
+  const result = await client.query(`SELECT ${CLAIM_COLUMNS} FROM "RestaurantClaim" c WHERE c."id" = $1`, [
+    claimId,
+  ]);
+  return result.rows[0];
+}
+
+class RestaurantOwnershipService {
+  /**
+   * Check that a user manages a restaurant
+   * @param {string} restaurantId - The restaurant ID
+   * @param {Object|null} user - The session user
+   * @param {Object} [client] - The database client, to check within a transaction
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.lock] - Lock the restaurant row, to serialize changes to it
+   * @returns {Promise<Object>} The restaurant's ID, name, country, timezone and owner
+   */
+  async assertCanManageRestaurant(restaurantId, user, client = { query }, { lock = false } = {}) {
+    const restaurant = await fetchRestaurant(client, restaurantId, { lock });
+    if (!canManageRestaurant(restaurant, user)) {
+      throw new Error('Not authorized');
+    }
+    return {
+      id: restaurant.id,
+      name: restaurant.name,
+      countryCode: restaurant.countryCode,
+      timezone: restaurant.timezone,
+      ownerId: restaurant.ownerId,
+    };
+  }
+
+  /**
+   * Get the restaurants a user owns, with their open claims to others
+   * @param {string} userId - The user ID
+   * @returns {Promise<Object>} The owned restaurants and open claims
+   */
+  async getOwnedRestaurants(userId) {
+    const [restaurantsResult, claimsResult] = await Promise.all([
+      query(
+        `SELECT "id", "name", "address", "countryCode"
+         FROM "Restaurant"
+         WHERE "ownerId" = $1 AND "deletedAt" IS NULL
+         ORDER BY "name", "id"`,
+        [userId]
+      ),
+      query(
+        `SELECT ${CLAIM_COLUMNS}, r."name" AS "restaurantName"
+         FROM "RestaurantClaim" c
+         JOIN "Restaurant" r ON r."id" = c."restaurantId"
+         WHERE c."userId" = $1 AND c."status" = ANY($2::text[]) AND r."deletedAt" IS NULL
+         ORDER BY c."createdAt" DESC`,
+        [userId, OPEN_STATUSES]
+      ),
+    ]);
+
+    return {
+      restaurants: restaurantsResult.rows,
+      claims: claimsResult.rows,
+    };
+  }
+
+  /**
+   * Get how a user can claim a restaurant and their latest claim to it
+   * @param {string} restaurantId - The restaurant ID
+   * @param {string} userId - The user ID
+   * @returns {Promise<Object>} The restaurant, the verification methods it
+   *   supports and the user's latest claim, if any
+   */
+  async getClaimStatus(restaurantId, userId) {
+    const restaurant = await fetchRestaurant({ query }, restaurantId);
+    const claimResult = await query(
+      `SELECT ${CLAIM_COLUMNS} FROM "RestaurantClaim" c
+       WHERE c."restaurantId" = $1 AND c."userId" = $2
+       ORDER BY c."createdAt" DESC
+       LIMIT 1`,
+      [restaurantId, userId]
+    );
+
+    return {
+      restaurant: {
+        id: restaurant.id,
+        name: restaurant.name,
+        isClaimed: Boolean(restaurant.ownerId),
+        isOwner: restaurant.ownerId === userId,
+      },
+      verification: {
+        emailDomain: getWebsiteDomain(restaurant.website),
+        phone: restaurant.phone || null,
+      },
+      claim: claimResult.rows[0] || null,
+    };
+  }
+
+  /**
+   * Start a claim to a restaurant, or send a new code for the user's claim
+   * waiting for verification. Email and phone claims get a code to enter;
+   * document claims go straight to review.
+   * @param {string} restaurantId - The restaurant ID
+   * @param {string} userId - The claimant's user ID
+   * @param {Object} request - The claim
+   * @param {string} request.method - One of CLAIM_METHODS
+   * @param {string} [request.email] - For email claims, an address at the website's domain
+   * @param {Array<string>} [request.documentUrls] - For document claims, the uploaded documents
+   * @param {string} [request.message] - A note for the reviewing admin
+   * @returns {Promise<Object>} The claim
+   */
+  async requestClaim(restaurantId, userId, { method, email, documentUrls = [], message = null }) {
+    return transaction(async (client) => {
+      const restaurant = await fetchRestaurant(client, restaurantId, { lock: true });
+      if (restaurant.ownerId === userId) {
+        throw new Error('Already the owner');
+      }
+      if (restaurant.ownerId) {
+        throw new Error('Restaurant already has an owner');
+      }
+
+      const existing = await fetchOpenClaim(client, restaurantId, userId);
+      if (existing?.status === ClaimStatus.PENDING_REVIEW) {
+        throw new Error('Claim already submitted');
+      }
+      if (
+        existing?.codeSentAt &&
+        method !== ClaimMethod.DOCUMENTS &&
+        Date.now() - existing.codeSentAt.getTime() < CODE_RESEND_SECONDS * 1000
+      ) {
+        throw new Error('Code recently sent');
+      }
+
+      let contactEmail = null;
+      let contactPhone = null;
+      if (method === ClaimMethod.EMAIL) {
+        const domain = getWebsiteDomain(restaurant.website);
+        if (!domain) {
+          throw new Error('Email verification unavailable');
+        }
+        contactEmail = email.trim().toLowerCase();
+        if (contactEmail.slice(contactEmail.lastIndexOf('@') + 1) !== domain) {
+          throw new Error('Email not at restaurant domain');
+        }
+      } else if (method === ClaimMethod.PHONE) {
+        if (!restaurant.phone) {
+          throw new Error('Phone verification unavailable');
+        }
+        contactPhone = restaurant.phone;
+      }
+
+      const status = method === ClaimMethod.DOCUMENTS ? ClaimStatus.PENDING_REVIEW : ClaimStatus.PENDING_VERIFICATION;
+      let claimId = existing?.id;
+      if (claimId) {
+        await client.query(
+          `UPDATE "RestaurantClaim"
+           SET "method" = $2, "status" = $3, "contactEmail" = $4, "contactPhone" = $5,
+               "codeHash" = NULL, "codeExpiresAt" = NULL, "codeAttempts" = 0,
+               "documentUrls" = $6, "message" = COALESCE($7, "message"), "updatedAt" = NOW()
+           WHERE "id" = $1`,
+          [claimId, method, status, contactEmail, contactPhone, documentUrls, message]
+        );
+      } else {
+        const inserted = await client.query(
+          `INSERT INTO "RestaurantClaim" (
+             "id", "restaurantId", "userId", "method", "status", "contactEmail", "contactPhone",
+             "documentUrls", "message", "createdAt", "updatedAt"
+           )
+           VALUES (gen_random_uuid(), $1, $2, $3, $4, $5, $6, $7, $8, NOW(), NOW())
+           RETURNING "id"`,
+          [restaurantId, userId, method, status, contactEmail, contactPhone, documentUrls, message]
+        );
+        claimId = inserted.rows[0].id;
+      }
+
+      if (method !== ClaimMethod.DOCUMENTS) {
+        const code = String(randomInt(0, 10 ** CODE_DIGITS)).padStart(CODE_DIGITS, '0');
+        const updated = await client.query(
+          `UPDATE "RestaurantClaim"
+           SET "codeHash" = $2, "codeExpiresAt" = NOW() + make_interval(mins => $3), "codeSentAt" = NOW()
+           WHERE "id" = $1
+           RETURNING "codeExpiresAt"`,
+          [claimId, hashCode(claimId, code), CODE_TTL_MINUTES]
+        );
+
+        // Sent before committing, so a claim never waits for a code that was not sent
+        try {
+          await requestClaimCodeEvent({
+            claimId,
+            restaurantId,
+            restaurantName: restaurant.name,
+            method,
+            email: contactEmail,
+            phone: contactPhone,
+            code,
+            expiresAt: updated.rows[0].codeExpiresAt.toISOString(),
+          });
+        } catch (error) {
+          console.error('Error sending claim verification code:', error);
+          throw new Error('Verification code not sent');
+        }
+      }
+
+      return fetchClaim(client, claimId);
+    });
+  }
+
+  /**
+   * Verify the user's claim to a restaurant with the code they were sent,
+   * sending it for review
+   * @param {string} restaurantId - The restaurant ID
+   * @param {string} userId - The claimant's user ID
+   * @param {string} code - The entered code
+   * @returns {Promise<Object>} The claim
+   */
+  async verifyClaimCode(restaurantId, userId, code) {
+    const { claim, error } = await transaction(async (client) => {
+      const existing = await fetchOpenClaim(client, restaurantId, userId);
+      if (!existing || existing.status !== ClaimStatus.PENDING_VERIFICATION || !existing.codeHash) {
+        throw new Error('Claim not found');
+      }
+      if (existing.codeAttempts >= MAX_CODE_ATTEMPTS) {
+        throw new Error('Too many attempts');
+      }
+      if (existing.codeExpiresAt.getTime() <= Date.now()) {
+        throw new Error('Code expired');
+      }
+
+      // Wrong codes are counted, so the attempt is committed before failing
+      if (!isCodeValid(existing, code)) {
+        await client.query(
+          'UPDATE "RestaurantClaim" SET "codeAttempts" = "codeAttempts" + 1, "updatedAt" = NOW() WHERE "id" = $1',
+          [existing.id]
+        );
+        return { error: 'Invalid code' };
+      }
+
+      await client.query(
+        `UPDATE "RestaurantClaim"
+         SET "status" = $2, "verifiedAt" = NOW(), "codeHash" = NULL, "updatedAt" = NOW()
+         WHERE "id" = $1`,
+        [existing.id, ClaimStatus.PENDING_REVIEW]
+      );
+      return { claim: await fetchClaim(client, existing.id) };
+    });
+
+    if (error) {
+      throw new Error(error);
+    }
+    return claim;
+  }
+
+  /**
+   * Add documents to the user's open claim to a restaurant. A claim still
+   * waiting for its code becomes a document claim and goes to review.
+   * @param {string} restaurantId - The restaurant ID
+   * @param {string} userId - The claimant's user ID
+   * @param {Object} submission - The documents
+   * @param {Array<string>} submission.documentUrls - The uploaded documents
+   * @param {string} [submission.message] - A note for the reviewing admin
+   * @returns {Promise<Object>} The claim
+   */
+  async submitClaimDocuments(restaurantId, userId, { documentUrls, message = null }) {
+    return transaction(async (client) => {
+      const existing = await fetchOpenClaim(client, restaurantId, userId);
+      if (!existing) {
+        throw new Error('Claim not found');
+      }
+      const allDocuments = [...new Set([...existing.documentUrls, ...documentUrls])];
+      if (allDocuments.length > MAX_CLAIM_DOCUMENTS) {
+        throw new Error('Too many documents');
+      }
+
+      const switchesMethod = existing.status === ClaimStatus.PENDING_VERIFICATION;
+      await client.query(
+        `UPDATE "RestaurantClaim"
+         SET "documentUrls" = $2, "message" = COALESCE($3, "message"), "method" = $4, "status" = $5,
+             "codeHash" = CASE WHEN $6 THEN NULL ELSE "codeHash" END, "updatedAt" = NOW()
+         WHERE "id" = $1`,
+        [
+          existing.id,
+          allDocuments,
+          message,
+          switchesMethod ? ClaimMethod.DOCUMENTS : existing.method,
+          ClaimStatus.PENDING_REVIEW,
+          switchesMethod,
+        ]
+      );
+      return fetchClaim(client, existing.id);
+    });
+  }
+
+  /**
+   * Withdraw the user's open claim to a restaurant
+   * @param {string} restaurantId - The restaurant ID
+   * @param {string} userId - The claimant's user ID
+   * @returns {Promise<Object>} The cancelled claim
+   */
+  async cancelClaim(restaurantId, userId) {
+    return transaction(async (client) => {
+      const existing = await fetchOpenClaim(client, restaurantId, userId);
+      if (!existing) {
+        throw new Error('Claim not found');
+      }
+      await client.query(
+        `UPDATE "RestaurantClaim" SET "status" = $2, "codeHash" = NULL, "updatedAt" = NOW() WHERE "id" = $1`,
+        [existing.id, ClaimStatus.CANCELLED]
+      );
+      return fetchClaim(client, existing.id);
+    });
+  }
+
+  /**
+   * Get a page of claims for admins, oldest first
+   * @param {Object} options - Filters and pagination
+   * @param {string} [options.status] - Claim status, pending review by default
+   * @param {number} [options.page] - Page number
+   * @param {number} [options.limit] - Page size
+   * @returns {Promise<Object>} The claims and total count
+   */
+  async listClaims({ status = ClaimStatus.PENDING_REVIEW, page = 1, limit = 20 } = {}) {
+    const offset = (page - 1) * limit;
+
+    const [rowsResult, countResult] = await Promise.all([
+      query(
+        `SELECT
+           ${CLAIM_COLUMNS},
+           u."name" AS "userName",
+           u."email" AS "userEmail",
+           r."name" AS "restaurantName",
+           r."address" AS "restaurantAddress",
+           r."website" AS "restaurantWebsite",
+           r."phone" AS "restaurantPhone",
+           r."ownerId" AS "restaurantOwnerId"
+         FROM "RestaurantClaim" c
+         JOIN "User" u ON u."id" = c."userId"
+         JOIN "Restaurant" r ON r."id" = c."restaurantId"
+         WHERE c."status" = $1
+         ORDER BY c."updatedAt" ASC, c."id"
+         LIMIT $2 OFFSET $3`,
+        [status, limit, offset]
+      ),
+      query('SELECT COUNT(*)::int AS "total" FROM "RestaurantClaim" WHERE "status" = $1', [status]),
+    ]);
+
+    return {
+      claims: rowsResult.rows,
+      total: countResult.rows[0].total,
+    };
+  }
+
+  /**
+   * Approve or reject a claim waiting for review. Approving makes the
+   * claimant the restaurant's owner and rejects other open claims to it.
+   * @param {string} claimId - The claim ID
+   * @param {string} reviewerId - The ID of the reviewing admin
+   * @param {string} decision - Either 'approve' or 'reject'
+   * @param {string|null} [note] - The reason, shown to the claimant
+   * @returns {Promise<Object>} The reviewed claim
+   */
+  async reviewClaim(claimId, reviewerId, decision, note = null) {
+    const { claim, rejectedClaims } = await transaction(async (client) => {
+      const claimResult = await client.query('SELECT * FROM "RestaurantClaim" WHERE "id" = $1 FOR UPDATE', [
+        claimId,
+      ]);
+      const existing = claimResult.rows[0];
+      if (!existing) {
+        throw new Error('Claim not found');
+      }
+      if (existing.status === ClaimStatus.PENDING_VERIFICATION) {
+        throw new Error('Claim not verified');
+      }
+      if (existing.status !== ClaimStatus.PENDING_REVIEW) {
+        throw new Error('Claim already reviewed');
+      }
+
+      let rejected = [];
+      if (decision === 'approve') {
+        const restaurant = await fetchRestaurant(client, existing.restaurantId, { lock: true });
+        if (restaurant.ownerId && restaurant.ownerId !== existing.userId) {
+          throw new Error('Restaurant already has an owner');
+        }
+        await client.query('UPDATE "Restaurant" SET "ownerId" = $2, "updatedAt" = NOW() WHERE "id" = $1', [
+          existing.restaurantId,
+          existing.userId,
+        ]);
+
+        const others = await client.query(
+          `UPDATE "RestaurantClaim"
+           SET "status" = $3, "reviewedBy" = $4, "reviewedAt" = NOW(), "codeHash" = NULL,
+               "reviewNote" = 'Another claim to this restaurant was approved', "updatedAt" = NOW()
+           WHERE "restaurantId" = $1 AND "id" <> $2 AND "status" = ANY($5::text[])
+           RETURNING "id"`,
+          [existing.restaurantId, existing.id, ClaimStatus.REJECTED, reviewerId, OPEN_STATUSES]
+        );
+        rejected = await Promise.all(others.rows.map((row) => fetchClaim(client, row.id)));
+      }
+
+      await client.query(
+        `UPDATE "RestaurantClaim"
+         SET "status" = $2, "reviewedBy" = $3, "reviewedAt" = NOW(), "reviewNote" = $4, "updatedAt" = NOW()
+         WHERE "id" = $1`,
+        [existing.id, decision === 'approve' ? ClaimStatus.APPROVED : ClaimStatus.REJECTED, reviewerId, note]
+      );
+      return { claim: await fetchClaim(client, existing.id), rejectedClaims: rejected };
+    });
+
+    // Claimants are told the outcome; the review stands if telling them fails
+    for (const reviewed of [claim, ...rejectedClaims]) {
+      try {
+        await reviewClaimEvent({
+          claimId: reviewed.id,
+          restaurantId: reviewed.restaurantId,
+          userId: reviewed.userId,
+          status: reviewed.status,
+          reviewNote: reviewed.reviewNote,
+        });
+      } catch (error) {
+        console.error('Error sending claim review event:', error);
+      }
+    }
+
+    return claim;
+  }
+}
+
+// Export a singleton instance
+export const restaurantOwnershipService = new RestaurantOwnershipService();
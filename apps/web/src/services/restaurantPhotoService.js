@@ -0,0 +1,368 @@
+/**
+ * Restaurant Photo Service
+ * This service manages restaurant photos: Google photos kept with the
+ * restaurant's listing, and photos uploaded by its owner or by users.
+ * The owner orders the gallery, chooses the cover photo and can hide
+ * photos, which then only the owner and admins see. Every photo keeps the
+ * attribution its source requires to be shown with it.
+ */
+
+import { query, transaction } from '../utils/postgres.js';
+import { canManageRestaurant } from './restaurantOwnershipService.js';
+
+/**
+ * Where a photo came from
+ */
+export const PhotoSource = {
+  GOOGLE: 'google',
+  OWNER: 'owner',
+  USER: 'user',
+};
+
+export const PHOTO_SOURCES = Object.values(PhotoSource);
+
+/**
+ * Gallery order: the cover photo, then the owner's order. Photos are
+ * aliased as p.
+ */
+export const PHOTO_ORDER = 'p."isCover" DESC, p."position", p."createdAt", p."id"';
+
+/**
+ * Longest photo caption
+ */
+export const MAX_CAPTION_LENGTH = 300;
+
+/**
+ * Photo columns returned to callers. Without metadata, only what a
+ * gallery needs to show a photo is returned; the attribution must always
+ * be shown.
+ */
+const PHOTO_COLUMNS = `
+  p."id", p."photoUrl", p."photoReference", p."width", p."height", p."source", p."attribution",
+  p."caption", p."dishId", d."name" AS "dishName", p."uploadedBy", p."position", p."isCover",
+  p."hiddenAt", p."createdAt", p."updatedAt"
+`;
+
+const PHOTO_SUMMARY_COLUMNS = `
+  p."id", p."photoUrl", p."source", p."attribution", p."caption", p."dishId", p."isCover"
+`;
+
+/**
+ * Check that a dish is on a restaurant's menu
+ * @param {Object} client - The database client
+ * @param {string} restaurantId - The restaurant ID
+ * @param {string} dishId - The dish ID
+ * @returns {Promise<void>}
+ */
+async function assertRestaurantDish(client, restaurantId, dishId) {
+  const result = await client.query('SELECT 1 FROM "Dish" WHERE "id" = $1 AND "restaurantId" = $2', [
+    dishId,
+    restaurantId,
+  ]);
+  if (result.rowCount === 0) {
+    throw new Error('Dish not found');
+  }
+}
+
+/**
+ * Fetch a photo of a restaurant with its dish name
+ * @param {Object} client - The database client
+ * @param {string} restaurantId - The restaurant ID
+ * @param {string} photoId - The photo ID
+ * @returns {Promise<Object|null>} The photo, or null if missing
+ */
+async function fetchPhoto(client, restaurantId, photoId) {
+  const result = await client.query(
+    `SELECT ${PHOTO_COLUMNS}
+     FROM "RestaurantPhoto" p
+     LEFT JOIN "Dish" d ON d."id" = p."dishId"
+     WHERE p."id" = $1 AND p."restaurantId" = $2`,
+    [photoId, restaurantId]
+  );
+  return result.rows[0] || null;
+}
+
+class RestaurantPhotoService {
+  /**
+   * Get a restaurant's owner and whether a user manages its photos, which
+   * its owner and admins do
+   * @param {Object} client - The database client
+   * @param {string} restaurantId - The restaurant ID
+   * @param {Object|null} user - The session user, with id and isAdmin
+   * @param {Object} [options] - Lookup options
+   * @param {boolean} [options.lock] - Lock the restaurant row, which
+   *   serializes changes to its gallery
+   * @returns {Promise<Object>} The restaurant's name and canManage
+   */
+  async getPhotoAccess(client, restaurantId, user, { lock = false } = {}) {
+    const result = await client.query(
+      `SELECT "id", "name", "ownerId" FROM "Restaurant"
+       WHERE "id" = $1 AND "deletedAt" IS NULL
+       ${lock ? 'FOR UPDATE' : ''}`,
+      [restaurantId]
+    );
+    const restaurant = result.rows[0];
+    if (!restaurant) {
+      throw new Error('Restaurant not found');
+    }
+
+    return {
+      name: restaurant.name,
+      canManage: canManageRestaurant(restaurant, user),
+    };
+  }
+
+  /**
+   * Get a page of a restaurant's gallery, cover first. Hidden photos are
+   * only included for the owner and admins, and only when asked for.
+   * @param {string} restaurantId - The restaurant ID
+   * @param {Object} options - Pagination and filters
+   * @param {number} [options.page] - The page, from 1
+   * @param {number} [options.limit] - Photos per page
+   * @param {string} [options.dishId] - Only photos of this dish
+   * @param {string} [options.source] - Only photos from this source
+   * @param {boolean} [options.includeHidden] - Include hidden photos
+   * @param {boolean} [options.includeMetadata] - Include sizes, positions and dates
+   * @param {Object|null} user - The session user, if signed in
+   * @returns {Promise<Object>} The photos, the total number and whether
+   *   the user manages the gallery
+   */
+  async getRestaurantPhotos(
+    restaurantId,
+    { page = 1, limit = 20, dishId, source, includeHidden = false, includeMetadata = true } = {},
+    user = null
+  ) {
+    const { canManage } = await this.getPhotoAccess({ query }, restaurantId, user);
+
+    const params = [restaurantId];
+    const conditions = ['p."restaurantId" = $1'];
+    if (!(includeHidden && canManage)) {
+      conditions.push('p."hiddenAt" IS NULL');
+    }
+    if (dishId) {
+      params.push(dishId);
+      conditions.push(`p."dishId" = $${params.length}`);
+    }
+    if (source) {
+      params.push(source);
+      conditions.push(`p."source" = $${params.length}`);
+    }
+    const where = conditions.join(' AND ');
+
+    const [rowsResult, countResult] = await Promise.all([
+      query(
+        `SELECT ${includeMetadata ? PHOTO_COLUMNS : PHOTO_SUMMARY_COLUMNS}
+         FROM "RestaurantPhoto" p
+         LEFT JOIN "Dish" d ON d."id" = p."dishId"
+         WHERE ${where}
+         ORDER BY ${PHOTO_ORDER}
+         LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, (page - 1) * limit]
+      ),
+      query(`SELECT COUNT(*)::int AS "total" FROM "RestaurantPhoto" p WHERE ${where}`, params),
+    ]);
+
+    return {
+      restaurantId,
+      photos: rowsResult.rows,
+      total: countResult.rows[0].total,
+      canManage,
+    };
+  }
+
+  /**
+   * Add an uploaded photo to the end of a restaurant's gallery. Photos
+   * from the owner or an admin count as the owner's and are credited to
+   * the restaurant; other users' photos are credited to them.
+   * @param {string} restaurantId - The restaurant ID
+   * @param {Object} data - The photo: photoUrl, and optionally width,
+   *   height, caption and dishId
+   * @param {Object} user - The session user, with id and isAdmin
+   * @returns {Promise<Object>} The new photo
+   */
+  async addPhoto(restaurantId, { photoUrl, width = 0, height = 0, caption, dishId }, user) {
+    return transaction(async (client) => {
+      const { name, canManage } = await this.getPhotoAccess(client, restaurantId, user, { lock: true });
+      if (dishId) {
+        await assertRestaurantDish(client, restaurantId, dishId);
+      }
+
+      let attribution = `Photo by ${name}`;
+      if (!canManage) {
+        const userResult = await client.query('SELECT "name", "nickname" FROM "User" WHERE "id" = $1', [
+          user.id,
+        ]);
+        const uploader = userResult.rows[0];
+        if (!uploader) {
+          throw new Error('User not found');
+        }
+        attribution = `Photo by ${uploader.nickname || uploader.name || 'a Bellyfed user'}`;
+      }
+
+      const result = await client.query(
+        `INSERT INTO "RestaurantPhoto" (
+          "id", "restaurantId", "source", "photoUrl", "photoReference", "width", "height",
+          "attribution", "caption", "dishId", "uploadedBy", "position", "createdAt", "updatedAt"
+        )
+        SELECT gen_random_uuid(), $1, $2, $3, '', $4, $5, $6, $7, $8, $9,
+               COALESCE(MAX("position") + 1, 0), NOW(), NOW()
+        FROM "RestaurantPhoto" WHERE "restaurantId" = $1
+        RETURNING "id"`,
+        [
+          restaurantId,
+          canManage ? PhotoSource.OWNER : PhotoSource.USER,
+          photoUrl,
+          width,
+          height,
+          attribution,
+          caption || null,
+          dishId || null,
+          user.id,
+        ]
+      );
+
+      return fetchPhoto(client, restaurantId, result.rows[0].id);
+    });
+  }
+
+  /**
+   * Update a photo. The owner and admins can change any photo, choose it
+   * as the cover or hide it; uploaders can change the caption and dish of
+   * their own photos. A hidden photo cannot be the cover, so hiding the
+   * cover leaves the gallery without one.
+   * @param {string} restaurantId - The restaurant ID
+   * @param {string} photoId - The photo ID
+   * @param {Object} changes - Any of caption, dishId (null to clear),
+   *   isCover and isHidden
+   * @param {Object} user - The session user, with id and isAdmin
+   * @returns {Promise<Object>} The updated photo
+   */
+  async updatePhoto(restaurantId, photoId, changes, user) {
+    return transaction(async (client) => {
+      const { canManage } = await this.getPhotoAccess(client, restaurantId, user, { lock: true });
+      const photo = await fetchPhoto(client, restaurantId, photoId);
+      if (!photo || (!canManage && photo.hiddenAt)) {
+        throw new Error('Photo not found');
+      }
+
+      const managing = changes.isCover !== undefined || changes.isHidden !== undefined;
+      if (!canManage && (managing || photo.uploadedBy !== user.id)) {
+        throw new Error('Not authorized');
+      }
+      if (changes.dishId) {
+        await assertRestaurantDish(client, restaurantId, changes.dishId);
+      }
+
+      const isHidden = changes.isHidden ?? Boolean(photo.hiddenAt);
+      if (changes.isCover && isHidden) {
+        throw new Error('Photo is hidden');
+      }
+
+      const assignments = ['"updatedAt" = NOW()'];
+      const params = [photoId];
+      const assign = (column, value) => {
+        params.push(value);
+        assignments.push(`"${column}" = $${params.length}`);
+      };
+
+      if (changes.caption !== undefined) assign('caption', changes.caption || null);
+      if (changes.dishId !== undefined) assign('dishId', changes.dishId || null);
+      if (changes.isHidden !== undefined && changes.isHidden !== Boolean(photo.hiddenAt)) {
+        assignments.push(`"hiddenAt" = ${changes.isHidden ? 'NOW()' : 'NULL'}`);
+      }
+      if (changes.isCover !== undefined || isHidden) {
+        assign('isCover', Boolean(changes.isCover) && !isHidden);
+      }
+
+      if (changes.isCover && !isHidden) {
+        await client.query(
+          `UPDATE "RestaurantPhoto" SET "isCover" = false, "updatedAt" = NOW()
+           WHERE "restaurantId" = $1 AND "isCover" AND "id" <> $2`,
+          [restaurantId, photoId]
+        );
+      }
+      await client.query(`UPDATE "RestaurantPhoto" SET ${assignments.join(', ')} WHERE "id" = $1`, params);
+
+      return fetchPhoto(client, restaurantId, photoId);
+    });
+  }
+
+  /**
+   * Reorder a restaurant's gallery. The given photos come first, in the
+   * given order, followed by the rest in their current order. The cover
+   * is still shown first.
+   * @param {string} restaurantId - The restaurant ID
+   * @param {Array<string>} photoIds - Photo IDs in their new order
+   * @param {Object} user - The session user, with id and isAdmin
+   * @returns {Promise<Array<Object>>} The photos in their new order, with
+   *   their IDs and positions
+   */
+  async reorderPhotos(restaurantId, photoIds, user) {
+    return transaction(async (client) => {
+      const { canManage } = await this.getPhotoAccess(client, restaurantId, user, { lock: true });
+      if (!canManage) {
+        throw new Error('Not authorized');
+      }
+
+      const found = await client.query(
+        'SELECT COUNT(*)::int AS "count" FROM "RestaurantPhoto" WHERE "restaurantId" = $1 AND "id" = ANY($2::text[])',
+        [restaurantId, photoIds]
+      );
+      if (found.rows[0].count !== photoIds.length) {
+        throw new Error('Photo not found');
+      }
+
+      await client.query(
+        `WITH ordered AS (
+           SELECT p."id", ROW_NUMBER() OVER (
+             ORDER BY listed."ordinality" NULLS LAST, p."position", p."createdAt", p."id"
+           ) - 1 AS "position"
+           FROM "RestaurantPhoto" p
+           LEFT JOIN unnest($2::text[]) WITH ORDINALITY AS listed("id", "ordinality")
+             ON listed."id" = p."id"
+           WHERE p."restaurantId" = $1
+         )
+         UPDATE "RestaurantPhoto" p
+         SET "position" = ordered."position", "updatedAt" = NOW()
+         FROM ordered
+         WHERE p."id" = ordered."id" AND p."position" <> ordered."position"`,
+        [restaurantId, photoIds]
+      );
+
+      const result = await client.query(
+        `SELECT p."id", p."position", p."isCover", p."hiddenAt" IS NOT NULL AS "isHidden"
+         FROM "RestaurantPhoto" p
+         WHERE p."restaurantId" = $1
+         ORDER BY ${PHOTO_ORDER}`,
+        [restaurantId]
+      );
+      return result.rows;
+    });
+  }
+
+  /**
+   * Delete a photo. The owner and admins can delete any photo; uploaders
+   * can delete their own.
+   * @param {string} restaurantId - The restaurant ID
+   * @param {string} photoId - The photo ID
+   * @param {Object} user - The session user, with id and isAdmin
+   * @returns {Promise<void>}
+   */
+  async deletePhoto(restaurantId, photoId, user) {
+    await transaction(async (client) => {
+      const { canManage } = await this.getPhotoAccess(client, restaurantId, user, { lock: true });
+      const photo = await fetchPhoto(client, restaurantId, photoId);
+      if (!photo || (!canManage && photo.hiddenAt)) {
+        throw new Error('Photo not found');
+      }
+      if (!canManage && photo.uploadedBy !== user.id) {
+        throw new Error('Not authorized');
+      }
+
+      await client.query('DELETE FROM "RestaurantPhoto" WHERE "id" = $1', [photoId]);
+    });
+  }
+}
+
+// Export a singleton instance
+export const restaurantPhotoService = new RestaurantPhotoService();
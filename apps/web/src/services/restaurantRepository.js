@@ -0,0 +1,967 @@
+/**
+ * Restaurant Repository
+ * This server-side module reads and writes restaurants, with their photos
+ * and opening hours, for the restaurant API routes. Deleted restaurants
+ * are kept with a deletedAt timestamp and hidden from every read, and
+ * updates can be made conditional on the version the caller last read.
+ */
+
+import { query, transaction } from '../utils/postgres.js';
+import {
+  getBoundingBox,
+  buildLongitudeCondition,
+  haversineDistanceSql,
+} from '../utils/geo.js';
+import {
+  COUNTRY_TIMEZONES,
+  getOpeningStatus,
+  getRestaurantTimezone,
+} from '../utils/openingHours.js';
+import { rankingService } from './rankingService.js';
+import { PhotoSource, PHOTO_ORDER } from './restaurantPhotoService.js';
+import {
+  restaurantSearchService,
+  buildTextMatch,
+  buildRelevanceScore,
+} from './restaurantSearchService.js';
+
+/**
+ * Restaurant columns returned to callers
+ */
+const RESTAURANT_COLUMNS = `
+  rest."id", rest."googlePlaceId", rest."name", rest."description", rest."address",
+  rest."latitude", rest."longitude", rest."phone", rest."email", rest."website",
+  rest."cuisine", rest."rating", rest."priceLevel", rest."countryCode", rest."timezone", rest."ownerId",
+  rest."version", rest."createdAt", rest."updatedAt"
+`;
+
+/**
+ * Columns that restaurant lists can be sorted by
+ */
+const RESTAURANT_SORT_COLUMNS = {
+  relevance: '"relevance"',
+  name: 'rest."name"',
+  rating: 'rest."rating"',
+  distance: '"distanceKm"',
+  priceRange: 'rest."priceLevel"',
+  createdAt: 'rest."createdAt"',
+  updatedAt: 'rest."updatedAt"',
+};
+
+/**
+ * Columns that a restaurant's dishes can be sorted by
+ */
+const DISH_SORT_COLUMNS = {
+  name: 'd."name"',
+  price: 'd."price"',
+  dishType: 'd."dishType"',
+  createdAt: 'd."createdAt"',
+  updatedAt: 'd."updatedAt"',
+};
+
+/**
+ * Columns that the restaurants serving a dish can be sorted by
+ */
+const SERVING_SORT_COLUMNS = {
+  distance: '"distanceKm"',
+  rating: '"rating"',
+  name: '"name"',
+  price: '"dishPrice"',
+};
+
+/**
+ * Update fields that map directly onto a restaurant column
+ */
+const TEXT_UPDATE_COLUMNS = [
+  'name', 'description', 'address', 'phone', 'email', 'website', 'cuisine', 'timezone',
+];
+
+/**
+ * Sort orders of restaurant search results
+ */
+const SEARCH_SORT_ORDERS = {
+  relevance: { field: 'relevance', direction: 'desc' },
+  name: { field: 'name', direction: 'asc' },
+  rating: { field: 'rating', direction: 'desc' },
+  distance: { field: 'distance', direction: 'asc' },
+};
+
+/**
+ * The timezone of a restaurant's hours, falling back to its country's
+ */
+const TIMEZONE_SQL = `COALESCE(
+  rest."timezone",
+  CASE rest."countryCode"
+    ${Object.entries(COUNTRY_TIMEZONES).map(([code, timezone]) => `WHEN '${code}' THEN '${timezone}'`).join('\n    ')}
+  END,
+  'UTC'
+)`;
+
+/**
+ * Build the SQL condition that a restaurant is open at a moment, matching
+ * getOpeningStatus: periods starting today or yesterday in local time,
+ * special hours replacing the weekly hours of their day, and periods that
+ * close at or before their opening time running into the next day
+ * @param {string} momentParam - The placeholder of the moment, e.g. '$3'
+ * @returns {string} The SQL condition
+ */
+const buildOpenAtCondition = (momentParam) => `EXISTS (
+  SELECT 1
+  FROM (SELECT ${momentParam}::timestamptz AT TIME ZONE ${TIMEZONE_SQL} AS "localTime") lt
+  CROSS JOIN LATERAL (VALUES (lt."localTime"::date), (lt."localTime"::date - 1)) AS day("date")
+  CROSS JOIN LATERAL (
+    SELECT s."openTime", s."closeTime"
+    FROM "RestaurantSpecialHour" s
+    WHERE s."restaurantId" = rest."id" AND s."date" = day."date" AND NOT s."isClosed"
+    UNION ALL
+    SELECT h."openTime", h."closeTime"
+    FROM "RestaurantHour" h
+    WHERE h."restaurantId" = rest."id" AND h."dayOfWeek" = EXTRACT(DOW FROM day."date")
+      AND NOT EXISTS (
+        SELECT 1 FROM "RestaurantSpecialHour" s
+        WHERE s."restaurantId" = rest."id" AND s."date" = day."date"
+      )
+  ) p
+  WHERE lt."localTime" >= day."date" + p."openTime"::time
+    AND lt."localTime" < day."date" + p."closeTime"::time
+      + CASE WHEN p."closeTime"::time <= p."openTime"::time THEN INTERVAL '1 day' ELSE INTERVAL '0' END
+)`;
+
+/**
+ * Kinds of autocomplete suggestion, in the order they are listed on a tie
+ */
+const SUGGESTION_TYPES = ['restaurant', 'dish', 'cuisine'];
+
+/**
+ * Day names accepted as keys of an opening hours object, indexed by dayOfWeek
+ */
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * Distance within which a restaurant with the same name counts as a duplicate
+ */
+const DUPLICATE_RADIUS_KM = 0.1;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)(?::([0-5]\d))?$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Escape LIKE wildcards in user input
+ * @param {string} value - The raw text
+ * @returns {string} The text with %, _ and \ escaped
+ */
+const escapeLike = (value) => value.replace(/[\\%_]/g, (char) => `\\${char}`);
+
+/**
+ * Normalize a time of day to HH:MM:SS
+ * @param {any} value - The time, as HH:MM or HH:MM:SS
+ * @returns {string|null} The normalized time, or null if invalid
+ */
+const normalizeTime = (value) => {
+  const match = typeof value === 'string' ? value.match(TIME_PATTERN) : null;
+  return match ? `${match[1]}:${match[2]}:${match[3] || '00'}` : null;
+};
+
+/**
+ * Convert opening hours into RestaurantHour rows. Hours are either an
+ * array of { dayOfWeek, openTime, closeTime } periods, with 0 for Sunday,
+ * or an object keyed by day name whose values are a period without
+ * dayOfWeek, an array of them, or null for a closed day.
+ * @param {Array|Object} hours - The opening hours
+ * @returns {Array} The periods as { dayOfWeek, openTime, closeTime }
+ */
+function normalizeHours(hours) {
+  const periods = Array.isArray(hours)
+    ? hours
+    : Object.entries(hours).flatMap(([day, value]) => {
+        const dayOfWeek = DAY_NAMES.indexOf(day.toLowerCase());
+        if (dayOfWeek === -1) {
+          throw new Error('Invalid hours');
+        }
+        if (value === null) {
+          return [];
+        }
+        return (Array.isArray(value) ? value : [value]).map((period) => ({ ...period, dayOfWeek }));
+      });
+
+  return periods.map((period) => {
+    const openTime = normalizeTime(period?.openTime);
+    const closeTime = normalizeTime(period?.closeTime);
+    if (!Number.isInteger(period?.dayOfWeek) || period.dayOfWeek < 0 || period.dayOfWeek > 6 || !openTime || !closeTime) {
+      throw new Error('Invalid hours');
+    }
+    return { dayOfWeek: period.dayOfWeek, openTime, closeTime };
+  });
+}
+
+/**
+ * Convert dated special hours into RestaurantSpecialHour rows. Each entry
+ * is { date, openTime, closeTime, note } for an open period, or
+ * { date, isClosed: true, note } for a day the restaurant is closed.
+ * @param {Array} specialHours - The special hours
+ * @returns {Array} The entries with normalized times
+ */
+function normalizeSpecialHours(specialHours) {
+  if (!Array.isArray(specialHours)) {
+    throw new Error('Invalid special hours');
+  }
+
+  return specialHours.map((entry) => {
+    const { date, isClosed = false, note = null } = entry || {};
+    const openTime = isClosed ? null : normalizeTime(entry?.openTime);
+    const closeTime = isClosed ? null : normalizeTime(entry?.closeTime);
+    const validDate =
+      typeof date === 'string' &&
+      DATE_PATTERN.test(date) &&
+      !Number.isNaN(Date.parse(`${date}T00:00:00Z`)) &&
+      new Date(`${date}T00:00:00Z`).toISOString().startsWith(date);
+    if (
+      !validDate ||
+      typeof isClosed !== 'boolean' ||
+      (!isClosed && (!openTime || !closeTime)) ||
+      (note !== null && (typeof note !== 'string' || note.length > 200))
+    ) {
+      throw new Error('Invalid special hours');
+    }
+    return { date, openTime, closeTime, isClosed, note };
+  });
+}
+
+/**
+ * Convert photos into RestaurantPhoto rows. Each photo is either a URL or
+ * an object with photoUrl and, optionally, photoReference, width, height
+ * and the attribution Google requires, as a string or as Google's
+ * htmlAttributions.
+ * @param {Array} photos - The photos
+ * @returns {Array} The photos as { photoUrl, photoReference, width, height, attribution }
+ */
+function normalizePhotos(photos) {
+  if (!Array.isArray(photos)) {
+    throw new Error('Invalid photos');
+  }
+
+  return photos.map((photo) => {
+    const {
+      photoUrl,
+      photoReference = '',
+      width = 0,
+      height = 0,
+      htmlAttributions = [],
+      // Attributions are shown as text, so Google's links are dropped
+      attribution = htmlAttributions.map((html) => html.replace(/<[^>]*>/g, '')).join(', '),
+    } = typeof photo === 'string' ? { photoUrl: photo } : photo || {};
+    if (
+      typeof photoUrl !== 'string' ||
+      !photoUrl.trim() ||
+      typeof photoReference !== 'string' ||
+      !Number.isInteger(width) ||
+      !Number.isInteger(height) ||
+      (attribution !== null && typeof attribution !== 'string')
+    ) {
+      throw new Error('Invalid photos');
+    }
+    return {
+      photoUrl: photoUrl.trim(),
+      photoReference,
+      width,
+      height,
+      attribution: attribution?.trim() || null,
+    };
+  });
+}
+
+/**
+ * Build the WHERE clause of a restaurant list from its filters
+ * @param {Object} filters - The filters parsed by the list and search routes
+ * @returns {Object} The FROM and WHERE clauses, their parameters, the
+ *   distance expression, if searching near a point, and the relevance expression
+ */
+function buildRestaurantWhere(filters) {
+  const conditions = ['rest."deletedAt" IS NULL'];
+  const params = [];
+  let distance = null;
+
+  const addCondition = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replaceAll('?', `$${params.length}`));
+  };
+
+  let textScore = null;
+  if (filters.search) {
+    const match = buildTextMatch(filters.search, params);
+    conditions.push(match.condition);
+    textScore = match.score;
+  }
+  if (filters.cuisine) addCondition('LOWER(rest."cuisine") = LOWER(?)', filters.cuisine);
+  if (filters.countryCode) addCondition('rest."countryCode" = ?', filters.countryCode.toUpperCase());
+
+  // A location is either free text matched against the address or a radius around a point
+  const coordinates = typeof filters.location === 'object' ? filters.location : filters.coordinates;
+  if (typeof filters.location === 'string' && filters.location) {
+    addCondition('rest."address" ILIKE ?', `%${escapeLike(filters.location)}%`);
+  }
+  if (coordinates) {
+    const { latitude, longitude, radius } = coordinates;
+    const box = getBoundingBox(latitude, longitude, radius);
+    params.push(latitude, longitude);
+    distance = haversineDistanceSql(`$${params.length - 1}`, `$${params.length}`);
+    addCondition('rest."latitude" >= ?', box.minLat);
+    addCondition('rest."latitude" <= ?', box.maxLat);
+    conditions.push(buildLongitudeCondition(box, params));
+    addCondition(`${distance} <= ?`, radius);
+  }
+
+  if (filters.openNow) {
+    params.push(new Date());
+    conditions.push(buildOpenAtCondition(`$${params.length}`));
+  }
+
+  if (filters.rating?.gte !== undefined) addCondition('rest."rating" >= ?', filters.rating.gte);
+  if (filters.rating?.lte !== undefined) addCondition('rest."rating" <= ?', filters.rating.lte);
+  if (typeof filters.priceRange === 'number') {
+    addCondition('rest."priceLevel" = ?', filters.priceRange);
+  } else {
+    if (filters.priceRange?.gte !== undefined) addCondition('rest."priceLevel" >= ?', filters.priceRange.gte);
+    if (filters.priceRange?.lte !== undefined) addCondition('rest."priceLevel" <= ?', filters.priceRange.lte);
+  }
+
+  return {
+    from: `"Restaurant" rest${textScore ? ' JOIN "RestaurantSearchDocument" doc ON doc."restaurantId" = rest."id"' : ''}`,
+    where: `WHERE ${conditions.join(' AND ')}`,
+    params,
+    distance,
+    relevance: buildRelevanceScore({ textScore, distance }),
+  };
+}
+
+/**
+ * Fetch a restaurant that has not been deleted, with its visible photos,
+ * cover first, and its hours
+ * @param {Object} client - The database client
+ * @param {string} id - The restaurant ID
+ * @returns {Promise<Object|null>} The restaurant, or null if missing or deleted
+ */
+async function fetchRestaurant(client, id) {
+  const result = await client.query(
+    `SELECT ${RESTAURANT_COLUMNS} FROM "Restaurant" rest
+     WHERE rest."id" = $1 AND rest."deletedAt" IS NULL`,
+    [id]
+  );
+  const restaurant = result.rows[0];
+  if (!restaurant) {
+    return null;
+  }
+
+  const [photosResult, schedules] = await Promise.all([
+    client.query(
+      `SELECT p."id", p."photoUrl", p."photoReference", p."width", p."height", p."source",
+              p."attribution", p."caption", p."dishId", p."isCover"
+       FROM "RestaurantPhoto" p
+       WHERE p."restaurantId" = $1 AND p."hiddenAt" IS NULL
+       ORDER BY ${PHOTO_ORDER}`,
+      [id]
+    ),
+    fetchSchedules(client, [id]),
+  ]);
+  const { hours, specialHours } = schedules.get(id);
+
+  return {
+    ...restaurant,
+    photos: photosResult.rows,
+    hours,
+    specialHours,
+    openingStatus: getOpeningStatus({ hours, specialHours, timezone: getRestaurantTimezone(restaurant) }),
+  };
+}
+
+/**
+ * Fetch the weekly hours and upcoming special hours of restaurants
+ * @param {Object} client - The database client
+ * @param {Array<string>} ids - The restaurant IDs
+ * @returns {Promise<Map>} { hours, specialHours } keyed by restaurant ID
+ */
+async function fetchSchedules(client, ids) {
+  const [hoursResult, specialResult] = await Promise.all([
+    client.query(
+      `SELECT "id", "restaurantId", "dayOfWeek", "openTime", "closeTime"
+       FROM "RestaurantHour" WHERE "restaurantId" = ANY($1)
+       ORDER BY "dayOfWeek", "openTime"`,
+      [ids]
+    ),
+    // From yesterday in the furthest-behind timezone, for periods running past midnight
+    client.query(
+      `SELECT "id", "restaurantId", to_char("date", 'YYYY-MM-DD') AS "date",
+              "openTime", "closeTime", "isClosed", "note"
+       FROM "RestaurantSpecialHour"
+       WHERE "restaurantId" = ANY($1) AND "date" >= CURRENT_DATE - 2
+       ORDER BY "date", "openTime"`,
+      [ids]
+    ),
+  ]);
+
+  const schedules = new Map(ids.map((id) => [id, { hours: [], specialHours: [] }]));
+  for (const { restaurantId, ...hour } of hoursResult.rows) {
+    schedules.get(restaurantId).hours.push(hour);
+  }
+  for (const { restaurantId, ...special } of specialResult.rows) {
+    schedules.get(restaurantId).specialHours.push(special);
+  }
+  return schedules;
+}
+
+/**
+ * Replace the opening hours of a restaurant
+ * @param {Object} client - The transaction client
+ * @param {string} restaurantId - The restaurant ID
+ * @param {Array} hours - Periods from normalizeHours
+ * @returns {Promise<void>}
+ */
+async function replaceHours(client, restaurantId, hours) {
+  await client.query('DELETE FROM "RestaurantHour" WHERE "restaurantId" = $1', [restaurantId]);
+  for (const { dayOfWeek, openTime, closeTime } of hours) {
+    await client.query(
+      `INSERT INTO "RestaurantHour" ("id", "restaurantId", "dayOfWeek", "openTime", "closeTime")
+       VALUES (gen_random_uuid(), $1, $2, $3, $4)`,
+      [restaurantId, dayOfWeek, openTime, closeTime]
+    );
+  }
+}
+
+/**
+ * Replace the special hours of a restaurant
+ * @param {Object} client - The transaction client
+ * @param {string} restaurantId - The restaurant ID
+ * @param {Array} specialHours - Entries from normalizeSpecialHours
+ * @returns {Promise<void>}
+ */
+async function replaceSpecialHours(client, restaurantId, specialHours) {
+  await client.query('DELETE FROM "RestaurantSpecialHour" WHERE "restaurantId" = $1', [restaurantId]);
+  for (const { date, openTime, closeTime, isClosed, note } of specialHours) {
+    await client.query(
+      `INSERT INTO "RestaurantSpecialHour" (
+        "id", "restaurantId", "date", "openTime", "closeTime", "isClosed", "note", "createdAt"
+      ) VALUES (gen_random_uuid(), $1, $2, $3, $4, $5, $6, NOW())`,
+      [restaurantId, date, openTime, closeTime, isClosed, note]
+    );
+  }
+}
+
+/**
+ * Replace the Google photos of a restaurant. Photos uploaded by the owner
+ * or users are kept, and photos already present, matched by URL, keep
+ * their position, cover and hidden state. New photos go last.
+ * @param {Object} client - The transaction client
+ * @param {string} restaurantId - The restaurant ID
+ * @param {Array} photos - Photos from normalizePhotos
+ * @returns {Promise<void>}
+ */
+async function replacePhotos(client, restaurantId, photos) {
+  await client.query(
+    `DELETE FROM "RestaurantPhoto"
+     WHERE "restaurantId" = $1 AND "source" = $2 AND NOT ("photoUrl" = ANY($3::text[]))`,
+    [restaurantId, PhotoSource.GOOGLE, photos.map((photo) => photo.photoUrl)]
+  );
+  for (const { photoUrl, photoReference, width, height, attribution } of photos) {
+    const updated = await client.query(
+      `UPDATE "RestaurantPhoto"
+       SET "photoReference" = $4, "width" = $5, "height" = $6, "attribution" = $7, "updatedAt" = NOW()
+       WHERE "restaurantId" = $1 AND "source" = $2 AND "photoUrl" = $3`,
+      [restaurantId, PhotoSource.GOOGLE, photoUrl, photoReference, width, height, attribution]
+    );
+    if (updated.rowCount > 0) {
+      continue;
+    }
+    await client.query(
+      `INSERT INTO "RestaurantPhoto" (
+        "id", "restaurantId", "source", "photoUrl", "photoReference", "width", "height",
+        "attribution", "position", "createdAt", "updatedAt"
+      )
+      SELECT gen_random_uuid(), $1, $2, $3, $4, $5, $6, $7,
+             COALESCE(MAX("position") + 1, 0), NOW(), NOW()
+      FROM "RestaurantPhoto" WHERE "restaurantId" = $1`,
+      [restaurantId, PhotoSource.GOOGLE, photoUrl, photoReference, width, height, attribution]
+    );
+  }
+}
+
+/**
+ * Check that a restaurant exists and has not been deleted
+ * @param {string} id - The restaurant ID
+ * @returns {Promise<void>}
+ */
+async function assertRestaurantExists(id) {
+  const result = await query(
+    'SELECT 1 FROM "Restaurant" WHERE "id" = $1 AND "deletedAt" IS NULL',
+    [id]
+  );
+  if (result.rowCount === 0) {
+    throw new Error('Restaurant not found');
+  }
+}
+
+/**
+ * Restaurant Repository class
+ */
+class RestaurantRepository {
+  /**
+   * Get a page of restaurants matching the given filters
+   * @param {Object} options - Filters, pagination and sorting
+   * @param {Object} [options.filters] - search, cuisine, countryCode, location
+   *   (address text or { latitude, longitude, radius } in km), rating,
+   *   priceRange ({ gte, lte }, or an exact price level) and openNow
+   * @param {Object} [options.pagination] - { limit, offset }
+   * @param {Object} [options.sort] - { field, direction }; distance needs a
+   *   location and relevance blends text match, distance and rating
+   * @returns {Promise<Object>} The restaurants and the total number matching
+   */
+  async getRestaurants({ filters = {}, pagination = {}, sort = {} } = {}) {
+    const { limit = 20, offset = 0 } = pagination;
+    const { from, where, params, distance, relevance } = buildRestaurantWhere(filters);
+
+    const field = sort.field === 'distance' && !distance ? 'name' : sort.field;
+    const sortColumn = RESTAURANT_SORT_COLUMNS[field] || RESTAURANT_SORT_COLUMNS.name;
+    const direction = sort.direction === 'desc' ? 'DESC' : 'ASC';
+    const withRelevance = Boolean(filters.search) || field === 'relevance';
+
+    const list = async (client) => {
+      const rowsResult = await client.query(
+        `SELECT ${RESTAURANT_COLUMNS}
+           ${distance ? `, ${distance} AS "distanceKm"` : ''}
+           ${withRelevance ? `, ${relevance} AS "relevance"` : ''}
+         FROM ${from}
+         ${where}
+         ORDER BY ${sortColumn} ${direction} NULLS LAST, rest."id"
+         LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, offset]
+      );
+      const countResult = await client.query(
+        `SELECT COUNT(*)::int AS "total" FROM ${from} ${where}`,
+        params
+      );
+
+      return {
+        restaurants: rowsResult.rows,
+        total: countResult.rows[0].total,
+      };
+    };
+
+    return filters.search ? restaurantSearchService.withTypoTolerance(list) : list({ query });
+  }
+
+  /**
+   * Search restaurants by text and filters, with each result's opening status
+   * @param {Object} options - The search text, filters, pagination and sort
+   * @param {string} [options.query] - Text matched against name, cuisine, address and dish names, tolerating typos
+   * @param {Object} [options.filters] - Filters as for getRestaurants, plus
+   *   coordinates ({ latitude, longitude, radius }) and openNow
+   * @param {Object} [options.sort] - { field } of relevance, name, rating or distance
+   * @returns {Promise<Object>} The restaurants and the total number matching
+   */
+  async searchRestaurants({ query: text = '', filters = {}, pagination = {}, sort = {} } = {}) {
+    const result = await this.getRestaurants({
+      filters: { ...filters, search: text || undefined },
+      pagination,
+      sort: SEARCH_SORT_ORDERS[sort.field] || SEARCH_SORT_ORDERS.relevance,
+    });
+
+    return {
+      ...result,
+      restaurants: await this.attachOpeningStatus(result.restaurants),
+    };
+  }
+
+  /**
+   * Suggest restaurant names, dish names and cuisines for partly typed
+   * text. Prefix matches come first, then misspellings by similarity.
+   * Only restaurants matching the filters contribute suggestions.
+   * @param {Object} options - The typed text, result limit and filters
+   * @param {string} options.query - The typed text
+   * @param {number} [options.limit] - The maximum number of suggestions
+   * @param {Object} [options.filters] - Filters as for searchRestaurants
+   * @returns {Promise<Object>} The suggestions as { type, id, text, score } and their number
+   */
+  async getAutocompleteSuggestions({ query: text, limit = 10, filters = {} }) {
+    const { from, where, params } = buildRestaurantWhere({ ...filters, search: undefined });
+    params.push(text.trim(), `${escapeLike(text.trim())}%`);
+    const textParam = `$${params.length - 1}`;
+    const prefixParam = `$${params.length}`;
+    const score = (column) =>
+      `CASE WHEN ${column} ILIKE ${prefixParam} THEN 1 ELSE word_similarity(${textParam}, ${column}) END`;
+    const matches = (column) => `(${column} ILIKE ${prefixParam} OR ${textParam} <% ${column})`;
+
+    const result = await restaurantSearchService.withTypoTolerance((client) => client.query(
+      `WITH candidates AS (
+         SELECT rest.* FROM ${from} ${where}
+       ),
+       suggestions AS (
+         SELECT 'restaurant' AS "type", rest."id", rest."name" AS "text", ${score('rest."name"')} AS "score"
+         FROM candidates rest
+         WHERE ${matches('rest."name"')}
+         UNION ALL
+         (SELECT DISTINCT ON (LOWER(d."name"))
+            'dish', COALESCE(d."slug", d."id"), d."name", ${score('d."name"')}
+          FROM candidates rest
+          JOIN "Dish" d ON d."restaurantId" = rest."id"
+          WHERE ${matches('d."name"')}
+          ORDER BY LOWER(d."name"), d."slug" NULLS LAST)
+         UNION ALL
+         (SELECT DISTINCT ON (LOWER(rest."cuisine"))
+            'cuisine', rest."cuisine", rest."cuisine", ${score('rest."cuisine"')}
+          FROM candidates rest
+          WHERE rest."cuisine" IS NOT NULL AND ${matches('rest."cuisine"')}
+          ORDER BY LOWER(rest."cuisine"))
+       )
+       SELECT * FROM suggestions
+       ORDER BY "score" DESC, array_position($${params.length + 1}::text[], "type"), "text"
+       LIMIT $${params.length + 2}`,
+      [...params, SUGGESTION_TYPES, limit]
+    ));
+
+    return {
+      suggestions: result.rows,
+      total: result.rows.length,
+    };
+  }
+
+  /**
+   * Attach the current opening status to restaurants
+   * @param {Array} restaurants - Restaurant rows with id, timezone and countryCode
+   * @returns {Promise<Array>} The restaurants with an openingStatus
+   */
+  async attachOpeningStatus(restaurants) {
+    if (restaurants.length === 0) {
+      return restaurants;
+    }
+
+    const now = new Date();
+    const schedules = await fetchSchedules({ query }, restaurants.map((restaurant) => restaurant.id));
+    return restaurants.map((restaurant) => ({
+      ...restaurant,
+      openingStatus: getOpeningStatus(
+        { ...schedules.get(restaurant.id), timezone: getRestaurantTimezone(restaurant) },
+        now
+      ),
+    }));
+  }
+
+  /**
+   * Get a restaurant with its photos and opening hours
+   * @param {string} id - The restaurant ID
+   * @returns {Promise<Object|null>} The restaurant, or null if missing or deleted
+   */
+  async getRestaurantById(id) {
+    return fetchRestaurant({ query }, id);
+  }
+
+  /**
+   * Create a restaurant with its photos and opening hours
+   * @param {Object} data - The validated restaurant fields, plus hours,
+   *   specialHours, photos and the ID of the creating user as createdBy
+   * @returns {Promise<Object>} The new restaurant
+   */
+  async createRestaurant(data) {
+    const hours = data.hours ? normalizeHours(data.hours) : [];
+    const specialHours = data.specialHours ? normalizeSpecialHours(data.specialHours) : [];
+    const photos = data.photos ? normalizePhotos(data.photos) : [];
+
+    return transaction(async (client) => {
+      // Serialize creates of the same name so the duplicate check holds
+      await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [
+        `restaurant:${data.name.toLowerCase()}`,
+      ]);
+
+      const duplicateResult = await client.query(
+        `SELECT 1 FROM "Restaurant" rest
+         WHERE ("googlePlaceId" = $1)
+            OR (rest."deletedAt" IS NULL AND LOWER(rest."name") = LOWER($2)
+                AND ${haversineDistanceSql('$3', '$4')} <= $5)
+         LIMIT 1`,
+        [data.googlePlaceId, data.name, data.latitude, data.longitude, DUPLICATE_RADIUS_KM]
+      );
+      if (duplicateResult.rowCount > 0) {
+        throw new Error('Restaurant already exists');
+      }
+
+      const result = await client.query(
+        `INSERT INTO "Restaurant" (
+          "id", "googlePlaceId", "name", "description", "address", "latitude",
+          "longitude", "phone", "website", "cuisine", "priceLevel", "countryCode",
+          "timezone", "createdBy", "createdAt", "updatedAt"
+        ) VALUES (
+          gen_random_uuid(), $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, NOW(), NOW()
+        )
+        RETURNING "id"`,
+        [
+          data.googlePlaceId,
+          data.name,
+          data.description,
+          data.address,
+          data.latitude,
+          data.longitude,
+          data.phone,
+          data.website,
+          data.cuisine,
+          data.priceLevel,
+          data.countryCode,
+          data.timezone || null,
+          data.createdBy,
+        ]
+      );
+      const { id } = result.rows[0];
+
+      await replaceHours(client, id, hours);
+      await replaceSpecialHours(client, id, specialHours);
+      await replacePhotos(client, id, photos);
+      await restaurantSearchService.refreshSearchDocuments(client, [id]);
+      return fetchRestaurant(client, id);
+    });
+  }
+
+  /**
+   * Update a restaurant. Given an expected version, the update only applies
+   * if nobody has changed the restaurant since that version was read.
+   * @param {string} id - The restaurant ID
+   * @param {Object} updateData - Text fields, priceRange (price level),
+   *   location ({ latitude, longitude }), hours, specialHours and images,
+   *   which replace the current hours, special hours and Google photos
+   * @param {Object} [options] - Update options
+   * @param {number} [options.expectedVersion] - The version the caller last read
+   * @returns {Promise<Object>} The updated restaurant
+   */
+  async updateRestaurant(id, updateData, { expectedVersion } = {}) {
+    const hours = updateData.hours !== undefined ? normalizeHours(updateData.hours || []) : null;
+    const specialHours =
+      updateData.specialHours !== undefined ? normalizeSpecialHours(updateData.specialHours || []) : null;
+    const photos = updateData.images !== undefined ? normalizePhotos(updateData.images || []) : null;
+
+    const assignments = ['"version" = "version" + 1', '"updatedAt" = NOW()'];
+    const params = [id];
+    const assign = (column, value) => {
+      params.push(value);
+      assignments.push(`"${column}" = $${params.length}`);
+    };
+
+    for (const field of TEXT_UPDATE_COLUMNS) {
+      if (updateData[field] !== undefined) {
+        assign(field, typeof updateData[field] === 'string' ? updateData[field].trim() || null : null);
+      }
+    }
+    if (updateData.priceRange !== undefined) assign('priceLevel', updateData.priceRange);
+    if (updateData.location) {
+      assign('latitude', updateData.location.latitude);
+      assign('longitude', updateData.location.longitude);
+    }
+
+    return transaction(async (client) => {
+      const current = await client.query(
+        'SELECT "version" FROM "Restaurant" WHERE "id" = $1 AND "deletedAt" IS NULL FOR UPDATE',
+        [id]
+      );
+      if (current.rowCount === 0) {
+        throw new Error('Restaurant not found');
+      }
+      if (expectedVersion !== undefined && current.rows[0].version !== expectedVersion) {
+        throw new Error('Restaurant version conflict');
+      }
+
+      await client.query(
+        `UPDATE "Restaurant" SET ${assignments.join(', ')} WHERE "id" = $1`,
+        params
+      );
+      if (hours) {
+        await replaceHours(client, id, hours);
+      }
+      if (specialHours) {
+        await replaceSpecialHours(client, id, specialHours);
+      }
+      if (photos) {
+        await replacePhotos(client, id, photos);
+      }
+      await restaurantSearchService.refreshSearchDocuments(client, [id]);
+      return fetchRestaurant(client, id);
+    });
+  }
+
+  /**
+   * Soft delete a restaurant. It disappears from every read and its
+   * rankings stop counting towards leaderboards, which are rebuilt.
+   * @param {string} id - The restaurant ID
+   * @returns {Promise<void>}
+   */
+  async deleteRestaurant(id) {
+    const result = await query(
+      `UPDATE "Restaurant"
+       SET "deletedAt" = NOW(), "version" = "version" + 1, "updatedAt" = NOW()
+       WHERE "id" = $1 AND "deletedAt" IS NULL`,
+      [id]
+    );
+    if (result.rowCount === 0) {
+      throw new Error('Restaurant not found');
+    }
+
+    await restaurantSearchService.refreshSearchDocuments({ query }, [id]);
+    await rankingService.rebuildRestaurantLeaderboards(id);
+  }
+
+  /**
+   * Get a page of a restaurant's dishes
+   * @param {string} id - The restaurant ID
+   * @param {Object} options - Pagination, sorting and filters
+   * @returns {Promise<Object>} The dishes and the total number matching
+   */
+  async getRestaurantDishes(id, options = {}) {
+    const {
+      page = 1,
+      limit = 20,
+      dishType,
+      isAvailable,
+      sortBy = 'name',
+      sortOrder = 'asc',
+    } = options;
+
+    await assertRestaurantExists(id);
+
+    const params = [id];
+    let where = 'WHERE d."restaurantId" = $1';
+    if (dishType) {
+      params.push(dishType);
+      where += ` AND d."dishType" = $${params.length}`;
+    }
+    if (isAvailable !== undefined) {
+      params.push(isAvailable);
+      where += ` AND d."isAvailable" = $${params.length}`;
+    }
+
+    const sortColumn = DISH_SORT_COLUMNS[sortBy] || DISH_SORT_COLUMNS.name;
+    const direction = sortOrder === 'desc' ? 'DESC' : 'ASC';
+    const offset = (page - 1) * limit;
+
+    const [rowsResult, countResult] = await Promise.all([
+      query(
+        `SELECT d.* FROM "Dish" d
+         ${where}
+         ORDER BY ${sortColumn} ${direction} NULLS LAST, d."id"
+         LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, offset]
+      ),
+      query(`SELECT COUNT(*)::int AS "total" FROM "Dish" d ${where}`, params),
+    ]);
+
+    return {
+      restaurantId: id,
+      dishes: rowsResult.rows,
+      total: countResult.rows[0].total,
+    };
+  }
+
+  /**
+   * Get a restaurant's opening hours and whether it is open now
+   * @param {string} id - The restaurant ID
+   * @param {Object} [options] - Included fields
+   * @param {boolean} [options.includeSpecialHours] - Include upcoming special hours
+   * @returns {Promise<Object>} The weekly hours, timezone and opening status
+   */
+  async getRestaurantHours(id, { includeSpecialHours = true } = {}) {
+    const restaurant = await this.getRestaurantById(id);
+    if (!restaurant) {
+      throw new Error('Restaurant not found');
+    }
+
+    return {
+      restaurantId: id,
+      timezone: getRestaurantTimezone(restaurant),
+      hours: restaurant.hours,
+      ...(includeSpecialHours && { specialHours: restaurant.specialHours }),
+      status: restaurant.openingStatus,
+    };
+  }
+
+  /**
+   * Get the restaurants serving a dish, i.e. every restaurant with a dish
+   * of the same slug. Each restaurant appears once, with its matching dish.
+   * @param {string} dishId - The dish ID
+   * @param {Object} options - Pagination, sorting, country and location filters
+   * @param {Object|null} [options.location] - { latitude, longitude, radius } with radius in km
+   * @returns {Promise<Object>} The restaurants and the total number matching
+   */
+  async getRestaurantsServingDish(dishId, options = {}) {
+    const {
+      page = 1,
+      limit = 20,
+      location = null,
+      sortBy = 'distance',
+      sortOrder = 'asc',
+      countryCode,
+    } = options;
+
+    const dishResult = await query('SELECT "id", "slug" FROM "Dish" WHERE "id" = $1', [dishId]);
+    const dish = dishResult.rows[0];
+    if (!dish) {
+      throw new Error('Dish not found');
+    }
+
+    const params = [dish.id, dish.slug];
+    const conditions = [
+      'rest."deletedAt" IS NULL',
+      '(d."id" = $1 OR ($2::text IS NOT NULL AND d."slug" = $2))',
+    ];
+    let distance = null;
+
+    if (countryCode) {
+      params.push(countryCode.toUpperCase());
+      conditions.push(`rest."countryCode" = $${params.length}`);
+    }
+    if (location) {
+      const box = getBoundingBox(location.latitude, location.longitude, location.radius);
+      params.push(location.latitude, location.longitude, location.radius, box.minLat, box.maxLat);
+      const n = params.length;
+      distance = haversineDistanceSql(`$${n - 4}`, `$${n - 3}`);
+      conditions.push(
+        `rest."latitude" BETWEEN $${n - 1} AND $${n}`,
+        buildLongitudeCondition(box, params),
+        `${distance} <= $${n - 2}`
+      );
+    }
+
+    // One row per restaurant, preferring an available dish
+    const servingSql = `
+      WITH serving AS (
+        SELECT DISTINCT ON (rest."id")
+          ${RESTAURANT_COLUMNS},
+          d."id" AS "dishId",
+          d."name" AS "dishName",
+          d."price" AS "dishPrice",
+          d."isAvailable" AS "dishIsAvailable"
+          ${distance ? `, ${distance} AS "distanceKm"` : ''}
+        FROM "Dish" d
+        JOIN "Restaurant" rest ON rest."id" = d."restaurantId"
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY rest."id", d."isAvailable" DESC, d."id"
+      )`;
+
+    const field = sortBy === 'distance' && !distance ? 'rating' : sortBy;
+    const sortColumn = SERVING_SORT_COLUMNS[field] || SERVING_SORT_COLUMNS.rating;
+    const direction = sortOrder === 'desc' ? 'DESC' : 'ASC';
+
+    const [rowsResult, countResult] = await Promise.all([
+      query(
+        `${servingSql}
+         SELECT * FROM serving
+         ORDER BY ${sortColumn} ${direction} NULLS LAST, "id"
+         LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, (page - 1) * limit]
+      ),
+      query(`${servingSql} SELECT COUNT(*)::int AS "total" FROM serving`, params),
+    ]);
+
+    return {
+      dishId: dish.id,
+      dishSlug: dish.slug,
+      restaurants: rowsResult.rows,
+      total: countResult.rows[0].total,
+    };
+  }
+}
+
+// Export a singleton instance
+export const restaurantRepository = new RestaurantRepository();
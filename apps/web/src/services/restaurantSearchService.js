@@ -0,0 +1,191 @@
+/**
+ * Restaurant Search Service
+ * This service maintains the restaurant search documents, which hold the
+ * text a restaurant is found by (name, cuisine, address and dish names)
+ * with a tsvector for word and prefix matches and trigram indexes for
+ * misspellings, and builds the SQL used to match and rank them.
+ */
+
+import { query, transaction } from '../utils/postgres.js';
+
+/**
+ * How much each signal counts towards a search result's relevance. Each
+ * signal is scaled to 0..1 before weighting.
+ */
+export const SEARCH_RELEVANCE_WEIGHTS = {
+  text: 0.6,
+  distance: 0.25,
+  rating: 0.15,
+};
+
+/**
+ * Word similarity above which a field counts as a misspelling of the search
+ * text. pg_trgm's default of 0.6 misses two typos in a short word, such as
+ * "chikken" for "chicken".
+ */
+export const TYPO_SIMILARITY_THRESHOLD = 0.4;
+
+/**
+ * Distance at which the distance signal has halved
+ */
+const DISTANCE_HALF_SCORE_KM = 5;
+
+/**
+ * Number of restaurants refreshed per statement when rebuilding the index
+ */
+const REBUILD_BATCH_SIZE = 500;
+
+/**
+ * Split search text into words usable in a tsquery
+ * @param {string} text - The search text
+ * @returns {Array<string>} The lowercased words
+ */
+const toSearchWords = (text) => text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+/**
+ * Build the SQL that matches and scores search documents against text. A
+ * document matches when every word is a word or word prefix in it, or when
+ * one of its fields is similar enough to the text to be a misspelling of
+ * it. Run the query through withTypoTolerance so the similarity threshold
+ * applies. Expects the documents joined as doc.
+ * @param {string} text - The search text
+ * @param {Array} params - Query parameters, appended to in place
+ * @returns {Object} The match condition and a 0..1 text score
+ */
+export function buildTextMatch(text, params) {
+  const words = toSearchWords(text);
+  params.push(text.trim(), words.map((word) => `${word}:*`).join(' & ') || '');
+  const textParam = `$${params.length - 1}`;
+  const tsquery = `to_tsquery('simple', $${params.length})`;
+
+  return {
+    condition: `(
+      doc."searchVector" @@ ${tsquery}
+      OR ${textParam} <% doc."name"
+      OR ${textParam} <% doc."dishNames"
+      OR ${textParam} <% COALESCE(doc."cuisine", '')
+      OR ${textParam} <% doc."address"
+    )`,
+    score: `GREATEST(
+      ts_rank_cd(doc."searchVector", ${tsquery}, 32) * 2,
+      word_similarity(${textParam}, doc."name"),
+      word_similarity(${textParam}, doc."dishNames") * 0.9,
+      word_similarity(${textParam}, COALESCE(doc."cuisine", '')) * 0.8,
+      word_similarity(${textParam}, doc."address") * 0.5
+    )`,
+  };
+}
+
+/**
+ * Build the SQL for a search result's relevance, blending text match,
+ * distance and rating by SEARCH_RELEVANCE_WEIGHTS
+ * @param {Object} signals - SQL expressions for the available signals
+ * @param {string|null} [signals.textScore] - The 0..1 text score, if searching text
+ * @param {string|null} [signals.distance] - The distance in km, if searching near a point
+ * @returns {string} The SQL expression
+ */
+export function buildRelevanceScore({ textScore = null, distance = null }) {
+  const { text, distance: distanceWeight, rating } = SEARCH_RELEVANCE_WEIGHTS;
+  const distanceScore = distance ? `1 / (1 + (${distance}) / ${DISTANCE_HALF_SCORE_KM})` : '0';
+
+  return `(
+    ${text} * LEAST(1, ${textScore || '0'})
+    + ${distanceWeight} * ${distanceScore}
+    + ${rating} * COALESCE(rest."rating", 0) / 5
+  )`;
+}
+
+class RestaurantSearchService {
+  /**
+   * Run text search queries in a transaction whose trigram word similarity
+   * threshold is TYPO_SIMILARITY_THRESHOLD. The threshold is a setting
+   * rather than a function argument so the trigram indexes can be used.
+   * @param {Function} callback - Receives the transaction client
+   * @returns {Promise<any>} The callback's result
+   */
+  async withTypoTolerance(callback) {
+    return transaction(async (client) => {
+      await client.query("SELECT set_config('pg_trgm.word_similarity_threshold', $1, true)", [
+        String(TYPO_SIMILARITY_THRESHOLD),
+      ]);
+      return callback(client);
+    });
+  }
+
+  /**
+   * Rebuild the search documents of restaurants from their current name,
+   * cuisine, address and dishes. Deleted restaurants lose their document.
+   * @param {Object} client - The database client, a transaction client when called inside one
+   * @param {Array<string>} restaurantIds - The restaurant IDs
+   * @returns {Promise<void>}
+   */
+  async refreshSearchDocuments(client, restaurantIds) {
+    if (restaurantIds.length === 0) {
+      return;
+    }
+
+    await client.query(
+      `DELETE FROM "RestaurantSearchDocument" doc
+       USING "Restaurant" rest
+       WHERE doc."restaurantId" = rest."id"
+         AND rest."id" = ANY($1::text[])
+         AND rest."deletedAt" IS NOT NULL`,
+      [restaurantIds]
+    );
+
+    await client.query(
+      `INSERT INTO "RestaurantSearchDocument" (
+        "restaurantId", "name", "cuisine", "address", "dishNames", "searchVector", "updatedAt"
+      )
+      SELECT
+        rest."id", rest."name", rest."cuisine", rest."address", dishes."names",
+        setweight(to_tsvector('simple', rest."name"), 'A')
+          || setweight(to_tsvector('simple', COALESCE(rest."cuisine", '')), 'B')
+          || setweight(to_tsvector('simple', dishes."names"), 'B')
+          || setweight(to_tsvector('simple', rest."address"), 'C'),
+        NOW()
+      FROM "Restaurant" rest
+      CROSS JOIN LATERAL (
+        SELECT COALESCE(string_agg(DISTINCT d."name", ' '), '') AS "names"
+        FROM "Dish" d
+        WHERE d."restaurantId" = rest."id"
+      ) dishes
+      WHERE rest."id" = ANY($1::text[]) AND rest."deletedAt" IS NULL
+      ON CONFLICT ("restaurantId") DO UPDATE SET
+        "name" = EXCLUDED."name",
+        "cuisine" = EXCLUDED."cuisine",
+        "address" = EXCLUDED."address",
+        "dishNames" = EXCLUDED."dishNames",
+        "searchVector" = EXCLUDED."searchVector",
+        "updatedAt" = EXCLUDED."updatedAt"`,
+      [restaurantIds]
+    );
+  }
+
+  /**
+   * Rebuild every search document, e.g. after restaurants or dishes were
+   * written outside this app
+   * @returns {Promise<number>} The number of restaurants indexed
+   */
+  async rebuildSearchIndex() {
+    await query(
+      `DELETE FROM "RestaurantSearchDocument" doc
+       WHERE NOT EXISTS (
+         SELECT 1 FROM "Restaurant" rest
+         WHERE rest."id" = doc."restaurantId" AND rest."deletedAt" IS NULL
+       )`
+    );
+
+    const result = await query('SELECT "id" FROM "Restaurant" WHERE "deletedAt" IS NULL ORDER BY "id"');
+    const ids = result.rows.map((row) => row.id);
+    for (let start = 0; start < ids.length; start += REBUILD_BATCH_SIZE) {
+      await transaction((client) =>
+        this.refreshSearchDocuments(client, ids.slice(start, start + REBUILD_BATCH_SIZE))
+      );
+    }
+    return ids.length;
+  }
+}
+
+// Export a singleton instance
+export const restaurantSearchService = new RestaurantSearchService();
@@ -0,0 +1,504 @@
+/**
+ * Scheduled Menu Service
+ * This service manages a restaurant's named menus, such as breakfast,
+ * lunch, dinner or a seasonal buffet, on top of the items of its menu.
+ * Each menu has weekly serving windows and optional start and end dates,
+ * and lists a versioned snapshot of items and prices. Versions can be
+ * published in advance and rolled back, and the public menu is the one
+ * served at the current time in the restaurant's timezone.
+ */
+
+import { query, transaction } from '../utils/postgres.js';
+import { getRestaurantTimezone } from '../utils/openingHours.js';
+import { getServedMenus } from '../utils/menuSchedule.js';
+import { menuService } from './menuService.js';
+import { restaurantOwnershipService } from './restaurantOwnershipService.js';
+
+/**
+ * States of a menu version
+ */
+export const MenuVersionStatus = {
+  SCHEDULED: 'scheduled',
+  LIVE: 'live',
+  PAST: 'past',
+};
+
+/**
+ * Menu columns returned to callers, with the weekly windows as schedules.
+ * Menus are aliased as m.
+ */
+const MENU_COLUMNS = `
+  m."id", m."restaurantId", m."name", m."description",
+  to_char(m."startDate", 'YYYY-MM-DD') AS "startDate", to_char(m."endDate", 'YYYY-MM-DD') AS "endDate",
+  m."isEnabled", m."position", m."createdAt", m."updatedAt",
+  COALESCE(
+    (SELECT json_agg(json_build_object('dayOfWeek', s."dayOfWeek", 'startTime', s."startTime", 'endTime', s."endTime")
+                     ORDER BY s."dayOfWeek", s."startTime")
+     FROM "MenuSchedule" s WHERE s."menuId" = m."id"),
+    '[]'
+  ) AS "schedules"
+`;
+
+/**
+ * The version a menu shows at a moment: the latest one published by then
+ */
+const LIVE_VERSION_JOIN = `
+  LEFT JOIN LATERAL (
+    SELECT v."id", v."version", v."items", v."publishAt"
+    FROM "MenuVersion" v
+    WHERE v."menuId" = m."id" AND v."publishAt" <= $2
+    ORDER BY v."publishAt" DESC, v."version" DESC
+    LIMIT 1
+  ) live ON TRUE
+`;
+
+/**
+ * Fetch a restaurant's menus with all their versions, newest first
+ * @param {Object} client - The database client
+ * @param {string} restaurantId - The restaurant ID
+ * @returns {Promise<Array>} The menus, in the owner's order
+ */
+async function fetchMenus(client, restaurantId) {
+  const now = new Date();
+  const [menuResult, versionResult] = await Promise.all([
+    client.query(
+      `SELECT ${MENU_COLUMNS}, live."id" AS "liveVersionId"
+       FROM "Menu" m
+       ${LIVE_VERSION_JOIN}
+       WHERE m."restaurantId" = $1
+       ORDER BY m."position", m."createdAt", m."id"`,
+      [restaurantId, now]
+    ),
+    client.query(
+      `SELECT v."id", v."menuId", v."version", v."items", v."note", v."publishAt", v."restoredFrom",
+              v."createdBy", v."createdAt"
+       FROM "MenuVersion" v
+       JOIN "Menu" m ON m."id" = v."menuId"
+       WHERE m."restaurantId" = $1
+       ORDER BY v."version" DESC`,
+      [restaurantId]
+    ),
+  ]);
+
+  return menuResult.rows.map(({ liveVersionId, ...menu }) => ({
+    ...menu,
+    versions: versionResult.rows
+      .filter((version) => version.menuId === menu.id)
+      .map((version) => ({
+        ...version,
+        status:
+          version.id === liveVersionId
+            ? MenuVersionStatus.LIVE
+            : new Date(version.publishAt) > now
+              ? MenuVersionStatus.SCHEDULED
+              : MenuVersionStatus.PAST,
+      })),
+  }));
+}
+
+/**
+ * Fetch one of a restaurant's menus with its versions
+ * @param {Object} client - The database client
+ * @param {string} restaurantId - The restaurant ID
+ * @param {string} menuId - The menu ID
+ * @returns {Promise<Object>} The menu
+ */
+async function fetchMenu(client, restaurantId, menuId) {
+  const menu = (await fetchMenus(client, restaurantId)).find((row) => row.id === menuId);
+  if (!menu) {
+    throw new Error('Menu not found');
+  }
+  return menu;
+}
+
+/**
+ * Check that a menu belongs to a restaurant
+ * @param {Object} client - The database client
+ * @param {string} restaurantId - The restaurant ID
+ * @param {string} menuId - The menu ID
+ * @returns {Promise<void>}
+ */
+async function assertMenu(client, restaurantId, menuId) {
+  const result = await client.query('SELECT 1 FROM "Menu" WHERE "id" = $1 AND "restaurantId" = $2', [
+    menuId,
+    restaurantId,
+  ]);
+  if (result.rows.length === 0) {
+    throw new Error('Menu not found');
+  }
+}
+
+/**
+ * Check that no other menu of a restaurant has a name, ignoring case
+ * @param {Object} client - The database client
+ * @param {string} restaurantId - The restaurant ID
+ * @param {string} name - The menu name
+ * @param {string} [exceptMenuId] - A menu to ignore, when renaming it
+ * @returns {Promise<void>}
+ */
+async function assertUniqueMenuName(client, restaurantId, name, exceptMenuId = null) {
+  const result = await client.query(
+    `SELECT 1 FROM "Menu"
+     WHERE "restaurantId" = $1 AND lower("name") = lower($2) AND ($3::text IS NULL OR "id" <> $3)`,
+    [restaurantId, name, exceptMenuId]
+  );
+  if (result.rows.length > 0) {
+    throw new Error('Menu already exists');
+  }
+}
+
+/**
+ * Replace a menu's weekly windows
+ * @param {Object} client - The database client
+ * @param {string} menuId - The menu ID
+ * @param {Array} schedules - The validated windows as { dayOfWeek, startTime, endTime }
+ * @returns {Promise<void>}
+ */
+async function replaceSchedules(client, menuId, schedules) {
+  await client.query('DELETE FROM "MenuSchedule" WHERE "menuId" = $1', [menuId]);
+  if (schedules.length > 0) {
+    await client.query(
+      `INSERT INTO "MenuSchedule" ("id", "menuId", "dayOfWeek", "startTime", "endTime")
+       SELECT gen_random_uuid(), $1, s."dayOfWeek", s."startTime", s."endTime"
+       FROM unnest($2::int[], $3::text[], $4::text[]) AS s("dayOfWeek", "startTime", "endTime")`,
+      [
+        menuId,
+        schedules.map((schedule) => schedule.dayOfWeek),
+        schedules.map((schedule) => schedule.startTime),
+        schedules.map((schedule) => schedule.endTime),
+      ]
+    );
+  }
+}
+
+/**
+ * Snapshot menu items for a version, in the given order
+ * @param {Object} client - The database client
+ * @param {string} restaurantId - The restaurant ID
+ * @param {Array} items - The items as { itemId, price }, where price
+ *   overrides the item's own price on this menu
+ * @returns {Promise<Array>} The snapshot
+ */
+async function snapshotItems(client, restaurantId, items) {
+  const result = await client.query(
+    `SELECT i."id", i."dishId", i."name", i."description", i."price", i."currency", c."name" AS "category",
+            i."dietaryInfo", i."allergens", i."isSpecial", i."preparationTime"
+     FROM "MenuItem" i
+     LEFT JOIN "MenuCategory" c ON c."id" = i."categoryId"
+     WHERE i."restaurantId" = $1 AND i."id" = ANY($2::text[])`,
+    [restaurantId, items.map((item) => item.itemId)]
+  );
+  const rowsById = new Map(result.rows.map((row) => [row.id, row]));
+
+  return items.map(({ itemId, price }) => {
+    const row = rowsById.get(itemId);
+    if (!row) {
+      throw new Error('Menu item not found');
+    }
+    const { id, ...fields } = row;
+    return { itemId: id, ...fields, price: price ?? Number(row.price) };
+  });
+}
+
+/**
+ * Add a version to a menu, numbered after its latest
+ * @param {Object} client - The database client
+ * @param {string} menuId - The menu ID
+ * @param {Object} version - The items snapshot, note, publishAt,
+ *   restoredFrom and the ID of the user adding it
+ * @returns {Promise<string>} The version ID
+ */
+async function insertVersion(client, menuId, { items, note = null, publishAt, restoredFrom = null, createdBy }) {
+  const result = await client.query(
+    `INSERT INTO "MenuVersion" ("id", "menuId", "version", "items", "note", "publishAt", "restoredFrom", "createdBy", "createdAt")
+     SELECT gen_random_uuid(), $1, COALESCE(MAX("version"), 0) + 1, $2, $3, $4, $5, $6, NOW()
+     FROM "MenuVersion" WHERE "menuId" = $1
+     RETURNING "id"`,
+    [menuId, JSON.stringify(items), note, publishAt, restoredFrom, createdBy]
+  );
+  return result.rows[0].id;
+}
+
+class ScheduledMenuService {
+  /**
+   * Get a restaurant's named menus for its owner, with every version
+   * @param {string} restaurantId - The restaurant ID
+   * @param {Object} user - The session user
+   * @returns {Promise<Object>} The restaurant with its timezone, and the menus
+   */
+  async listMenus(restaurantId, user) {
+    const restaurant = await restaurantOwnershipService.assertCanManageRestaurant(restaurantId, user);
+
+    return {
+      restaurant: {
+        id: restaurant.id,
+        name: restaurant.name,
+        timezone: getRestaurantTimezone(restaurant),
+      },
+      menus: await fetchMenus({ query }, restaurantId),
+    };
+  }
+
+  /**
+   * Get the menu a restaurant serves at a moment, in its timezone. Items
+   * that have since been deleted are left out, and availability follows
+   * the items. A restaurant without published named menus shows all of
+   * its items.
+   * @param {string} restaurantId - The restaurant ID
+   * @param {Date} [at] - The moment
+   * @returns {Promise<Object>} The menu served, if any, the other menus
+   *   served and the next to start, and the schedules of all menus
+   */
+  async getServedMenu(restaurantId, at = new Date()) {
+    const [catalogue, restaurantResult, menuResult] = await Promise.all([
+      menuService.getMenu(restaurantId),
+      query('SELECT "countryCode", "timezone" FROM "Restaurant" WHERE "id" = $1', [restaurantId]),
+      query(
+        `SELECT ${MENU_COLUMNS}, live."id" AS "versionId", live."version", live."items", live."publishAt"
+         FROM "Menu" m
+         ${LIVE_VERSION_JOIN}
+         WHERE m."restaurantId" = $1 AND m."isEnabled" AND live."id" IS NOT NULL
+         ORDER BY m."position", m."createdAt", m."id"`,
+        [restaurantId, at]
+      ),
+    ]);
+    const timezone = getRestaurantTimezone(restaurantResult.rows[0]);
+    const menus = menuResult.rows;
+    const { localDate, current, served, next } = getServedMenus(menus, timezone, at);
+    const summary = (menu) => ({
+      id: menu.id,
+      name: menu.name,
+      description: menu.description,
+      startDate: menu.startDate,
+      endDate: menu.endDate,
+      schedules: menu.schedules,
+    });
+
+    if (menus.length === 0) {
+      return {
+        restaurant: catalogue.restaurant,
+        timezone,
+        localDate,
+        menu: catalogue.items.length > 0
+          ? { id: null, name: null, description: null, version: null, publishedAt: null, endsAt: null, items: catalogue.items }
+          : null,
+        servedMenus: [],
+        nextMenu: null,
+        menus: [],
+      };
+    }
+
+    const itemsById = new Map(catalogue.items.map((item) => [item.id, item]));
+
+    return {
+      restaurant: catalogue.restaurant,
+      timezone,
+      localDate,
+      menu: current && {
+        ...summary(current.menu),
+        version: current.menu.version,
+        publishedAt: current.menu.publishAt,
+        endsAt: current.endsAt,
+        items: current.menu.items
+          .filter((item) => itemsById.has(item.itemId))
+          .map(({ itemId, ...item }) => ({
+            ...item,
+            id: itemId,
+            isAvailable: itemsById.get(itemId).isAvailable,
+            imageUrl: itemsById.get(itemId).imageUrl,
+          })),
+      },
+      servedMenus: served.slice(1).map(summary),
+      nextMenu: next && { ...summary(next.menu), startsAt: next.startsAt },
+      menus: menus.map(summary),
+    };
+  }
+
+  /**
+   * Add a named menu at the end of a restaurant's menus. It shows nothing
+   * until a version is published.
+   * @param {string} restaurantId - The restaurant ID
+   * @param {Object} user - The session user
+   * @param {Object} fields - The validated name, description, startDate,
+   *   endDate, isEnabled and schedules
+   * @returns {Promise<Object>} The menu
+   */
+  async createMenu(restaurantId, user, { name, description = null, startDate = null, endDate = null, isEnabled = true, schedules = [] }) {
+    return transaction(async (client) => {
+      await restaurantOwnershipService.assertCanManageRestaurant(restaurantId, user, client, { lock: true });
+      await assertUniqueMenuName(client, restaurantId, name);
+
+      const result = await client.query(
+        `INSERT INTO "Menu" ("id", "restaurantId", "name", "description", "startDate", "endDate", "isEnabled", "position", "createdAt", "updatedAt")
+         SELECT gen_random_uuid(), $1, $2, $3, $4::date, $5::date, $6, COALESCE(MAX("position") + 1, 0), NOW(), NOW()
+         FROM "Menu" WHERE "restaurantId" = $1
+         RETURNING "id"`,
+        [restaurantId, name, description, startDate, endDate, isEnabled]
+      );
+      const menuId = result.rows[0].id;
+      await replaceSchedules(client, menuId, schedules);
+
+      return fetchMenu(client, restaurantId, menuId);
+    });
+  }
+
+  /**
+   * Update a named menu. Given schedules replace all of its windows.
+   * @param {string} restaurantId - The restaurant ID
+   * @param {string} menuId - The menu ID
+   * @param {Object} user - The session user
+   * @param {Object} changes - The validated changes; null clears
+   *   description, startDate and endDate
+   * @returns {Promise<Object>} The menu
+   */
+  async updateMenu(restaurantId, menuId, user, { name, description, startDate, endDate, isEnabled, schedules }) {
+    return transaction(async (client) => {
+      await restaurantOwnershipService.assertCanManageRestaurant(restaurantId, user, client, { lock: true });
+      await assertMenu(client, restaurantId, menuId);
+      if (name !== undefined) {
+        await assertUniqueMenuName(client, restaurantId, name, menuId);
+      }
+
+      const current = await client.query(
+        `SELECT to_char("startDate", 'YYYY-MM-DD') AS "startDate", to_char("endDate", 'YYYY-MM-DD') AS "endDate"
+         FROM "Menu" WHERE "id" = $1`,
+        [menuId]
+      );
+      const dates = {
+        startDate: startDate !== undefined ? startDate : current.rows[0].startDate,
+        endDate: endDate !== undefined ? endDate : current.rows[0].endDate,
+      };
+      if (dates.startDate && dates.endDate && dates.endDate < dates.startDate) {
+        throw new Error('Menu ends before it starts');
+      }
+
+      await client.query(
+        `UPDATE "Menu"
+         SET "name" = COALESCE($2, "name"),
+             "description" = CASE WHEN $3 THEN $4 ELSE "description" END,
+             "startDate" = $5::date,
+             "endDate" = $6::date,
+             "isEnabled" = COALESCE($7, "isEnabled"),
+             "updatedAt" = NOW()
+         WHERE "id" = $1`,
+        [menuId, name ?? null, description !== undefined, description ?? null, dates.startDate, dates.endDate, isEnabled ?? null]
+      );
+      if (schedules !== undefined) {
+        await replaceSchedules(client, menuId, schedules);
+      }
+
+      return fetchMenu(client, restaurantId, menuId);
+    });
+  }
+
+  /**
+   * Delete a named menu with its schedules and versions. Its items stay on
+   * the restaurant's menu.
+   * @param {string} restaurantId - The restaurant ID
+   * @param {string} menuId - The menu ID
+   * @param {Object} user - The session user
+   * @returns {Promise<void>}
+   */
+  async deleteMenu(restaurantId, menuId, user) {
+    await transaction(async (client) => {
+      await restaurantOwnershipService.assertCanManageRestaurant(restaurantId, user, client, { lock: true });
+      await assertMenu(client, restaurantId, menuId);
+
+      await client.query('DELETE FROM "Menu" WHERE "id" = $1', [menuId]);
+    });
+  }
+
+  /**
+   * Publish a new version of a menu, now or at a later time
+   * @param {string} restaurantId - The restaurant ID
+   * @param {string} menuId - The menu ID
+   * @param {Object} user - The session user
+   * @param {Object} version - The validated items as { itemId, price },
+   *   note and publishAt
+   * @returns {Promise<Object>} The menu
+   */
+  async publishVersion(restaurantId, menuId, user, { items, note = null, publishAt = null }) {
+    return transaction(async (client) => {
+      await restaurantOwnershipService.assertCanManageRestaurant(restaurantId, user, client, { lock: true });
+      await assertMenu(client, restaurantId, menuId);
+
+      await insertVersion(client, menuId, {
+        items: await snapshotItems(client, restaurantId, items),
+        note,
+        publishAt: publishAt ? new Date(publishAt) : new Date(),
+        createdBy: user.id,
+      });
+
+      return fetchMenu(client, restaurantId, menuId);
+    });
+  }
+
+  /**
+   * Roll a menu back to an earlier version by publishing a copy of it, so
+   * the history is kept
+   * @param {string} restaurantId - The restaurant ID
+   * @param {string} menuId - The menu ID
+   * @param {string} versionId - The version to restore
+   * @param {Object} user - The session user
+   * @param {Object} [options] - Options
+   * @param {string} [options.publishAt] - When to publish the copy, now if not given
+   * @returns {Promise<Object>} The menu
+   */
+  async rollbackVersion(restaurantId, menuId, versionId, user, { publishAt = null } = {}) {
+    return transaction(async (client) => {
+      await restaurantOwnershipService.assertCanManageRestaurant(restaurantId, user, client, { lock: true });
+      await assertMenu(client, restaurantId, menuId);
+
+      const result = await client.query(
+        'SELECT "version", "items" FROM "MenuVersion" WHERE "id" = $1 AND "menuId" = $2',
+        [versionId, menuId]
+      );
+      const version = result.rows[0];
+      if (!version) {
+        throw new Error('Menu version not found');
+      }
+
+      await insertVersion(client, menuId, {
+        items: version.items,
+        note: `Rolled back to version ${version.version}`,
+        publishAt: publishAt ? new Date(publishAt) : new Date(),
+        restoredFrom: version.version,
+        createdBy: user.id,
+      });
+
+      return fetchMenu(client, restaurantId, menuId);
+    });
+  }
+
+  /**
+   * Cancel a version that has not been published yet
+   * @param {string} restaurantId - The restaurant ID
+   * @param {string} menuId - The menu ID
+   * @param {string} versionId - The version ID
+   * @param {Object} user - The session user
+   * @returns {Promise<Object>} The menu
+   */
+  async cancelVersion(restaurantId, menuId, versionId, user) {
+    return transaction(async (client) => {
+      await restaurantOwnershipService.assertCanManageRestaurant(restaurantId, user, client, { lock: true });
+      await assertMenu(client, restaurantId, menuId);
+
+      const result = await client.query(
+        'SELECT "publishAt" > NOW() AS "isScheduled" FROM "MenuVersion" WHERE "id" = $1 AND "menuId" = $2',
+        [versionId, menuId]
+      );
+      if (result.rows.length === 0) {
+        throw new Error('Menu version not found');
+      }
+      if (!result.rows[0].isScheduled) {
+        throw new Error('Menu version already published');
+      }
+
+      await client.query('DELETE FROM "MenuVersion" WHERE "id" = $1', [versionId]);
+      return fetchMenu(client, restaurantId, menuId);
+    });
+  }
+}
+
+// Export a singleton instance
+export const scheduledMenuService = new ScheduledMenuService();
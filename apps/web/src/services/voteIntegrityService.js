@@ -0,0 +1,313 @@
+/**
+ * Vote Integrity Service
+ * This service scores dish votes and rankings for signs of manipulation
+ * and quarantines suspicious ones until an admin reviews them
+ */
+
+import { query, transaction } from '../utils/postgres.js';
+import { rankingHistoryService, HistoryEventType } from './rankingHistoryService.js';
+
+/**
+ * Reasons a vote or ranking can be flagged, with the score each adds
+ */
+export const VoteFlagReason = {
+  OWNER_SELF_VOTE: 'OWNER_SELF_VOTE',
+  OWNER_LINKED_ACCOUNT: 'OWNER_LINKED_ACCOUNT',
+  SHARED_FINGERPRINT: 'SHARED_FINGERPRINT',
+  NEW_ACCOUNT_BURST: 'NEW_ACCOUNT_BURST',
+  NEW_ACCOUNT: 'NEW_ACCOUNT',
+};
+
+const FLAG_WEIGHTS = {
+  [VoteFlagReason.OWNER_SELF_VOTE]: 100,
+  [VoteFlagReason.OWNER_LINKED_ACCOUNT]: 80,
+  [VoteFlagReason.SHARED_FINGERPRINT]: 50,
+  [VoteFlagReason.NEW_ACCOUNT_BURST]: 50,
+  [VoteFlagReason.NEW_ACCOUNT]: 15,
+};
+
+/**
+ * Score at which a vote or ranking is quarantined
+ */
+const QUARANTINE_THRESHOLD = 50;
+
+/**
+ * Accounts younger than this count as new
+ */
+const NEW_ACCOUNT_DAYS = 7;
+
+/**
+ * A burst is this many votes or rankings from new accounts on one
+ * restaurant's dishes within the burst window
+ */
+const BURST_MIN_ACTIVITY = 5;
+const BURST_WINDOW_HOURS = 24;
+
+/**
+ * Number of accounts sharing a fingerprint on one restaurant that is
+ * treated as a sockpuppet ring
+ */
+const SHARED_FINGERPRINT_MIN_ACCOUNTS = 3;
+
+/**
+ * Tables holding each kind of screened subject
+ */
+const SUBJECT_TABLES = {
+  vote: 'DishVote',
+  ranking: 'DishRanking',
+};
+
+/**
+ * Votes and rankings on a restaurant's dishes, as a CTE taking the
+ * restaurant ID as its first parameter
+ */
+const RESTAURANT_ACTIVITY = `
+  WITH activity AS (
+    SELECT v."userId", v."fingerprint", v."createdAt"
+    FROM "DishVote" v
+    JOIN "Dish" d ON d."id" = v."dishId"
+    WHERE d."restaurantId" = $1
+    UNION ALL
+    SELECT r."userId", r."fingerprint", r."createdAt"
+    FROM "DishRanking" r
+    WHERE r."restaurantId" = $1
+  )
+`;
+
+class VoteIntegrityService {
+  /**
+   * Score a vote or ranking that has just been written
+   * @param {Object} client - The transaction client
+   * @param {Object} params - The subject to score
+   * @param {string} params.userId - The voting user
+   * @param {string} params.dishId - The dish voted on
+   * @param {string|null} params.fingerprint - The request fingerprint
+   * @returns {Promise<Object>} The score, reasons and restaurant ID
+   */
+  async assess(client, { userId, dishId, fingerprint }) {
+    const contextResult = await client.query(
+      `SELECT d."restaurantId", rest."ownerId", u."createdAt" AS "accountCreatedAt"
+       FROM "Dish" d
+       JOIN "Restaurant" rest ON rest."id" = d."restaurantId"
+       CROSS JOIN "User" u
+       WHERE d."id" = $1 AND u."id" = $2`,
+      [dishId, userId]
+    );
+    const context = contextResult.rows[0];
+    if (!context) {
+      return { score: 0, reasons: [], restaurantId: null };
+    }
+
+    const { restaurantId, ownerId, accountCreatedAt } = context;
+    const reasons = [];
+
+    if (ownerId === userId) {
+      reasons.push(VoteFlagReason.OWNER_SELF_VOTE);
+    } else if (ownerId && fingerprint) {
+      const ownerResult = await client.query(
+        `SELECT 1 FROM "DishVote" WHERE "userId" = $1 AND "fingerprint" = $2
+         UNION ALL
+         SELECT 1 FROM "DishRanking" WHERE "userId" = $1 AND "fingerprint" = $2
+         LIMIT 1`,
+        [ownerId, fingerprint]
+      );
+      if (ownerResult.rowCount > 0) {
+        reasons.push(VoteFlagReason.OWNER_LINKED_ACCOUNT);
+      }
+    }
+
+    if (fingerprint) {
+      const sharedResult = await client.query(
+        `${RESTAURANT_ACTIVITY}
+         SELECT COUNT(DISTINCT "userId")::int AS "accounts"
+         FROM activity
+         WHERE "fingerprint" = $2`,
+        [restaurantId, fingerprint]
+      );
+      if (sharedResult.rows[0].accounts >= SHARED_FINGERPRINT_MIN_ACCOUNTS) {
+        reasons.push(VoteFlagReason.SHARED_FINGERPRINT);
+      }
+    }
+
+    const accountAgeMs = Date.now() - new Date(accountCreatedAt).getTime();
+    if (accountAgeMs < NEW_ACCOUNT_DAYS * 24 * 60 * 60 * 1000) {
+      const burstResult = await client.query(
+        `${RESTAURANT_ACTIVITY}
+         SELECT COUNT(*)::int AS "recent"
+         FROM activity a
+         JOIN "User" u ON u."id" = a."userId"
+         WHERE a."createdAt" > NOW() - make_interval(hours => $2)
+           AND u."createdAt" > NOW() - make_interval(days => $3)`,
+        [restaurantId, BURST_WINDOW_HOURS, NEW_ACCOUNT_DAYS]
+      );
+      reasons.push(
+        burstResult.rows[0].recent >= BURST_MIN_ACTIVITY
+          ? VoteFlagReason.NEW_ACCOUNT_BURST
+          : VoteFlagReason.NEW_ACCOUNT
+      );
+    }
+
+    const score = reasons.reduce((total, reason) => total + FLAG_WEIGHTS[reason], 0);
+    return { score, reasons, restaurantId };
+  }
+
+  /**
+   * Score a vote or ranking and quarantine it if it looks manipulated.
+   * Quarantined subjects stay out of vote stats and leaderboards until an
+   * admin approves them; a clean score never lifts an existing quarantine.
+   * @param {Object} client - The transaction client
+   * @param {Object} subject - The subject to screen
+   * @param {string} subject.subjectType - Either 'vote' or 'ranking'
+   * @param {string} subject.subjectId - The vote or ranking ID
+   * @param {string} subject.userId - The voting user
+   * @param {string} subject.dishId - The dish voted on
+   * @param {string|null} subject.fingerprint - The request fingerprint
+   * @returns {Promise<Object>} The assessment, with a quarantined flag
+   */
+  async screen(client, { subjectType, subjectId, userId, dishId, fingerprint }) {
+    const assessment = await this.assess(client, { userId, dishId, fingerprint });
+    const quarantined = assessment.score >= QUARANTINE_THRESHOLD;
+
+    if (quarantined) {
+      await client.query(
+        `UPDATE "${SUBJECT_TABLES[subjectType]}" SET "status" = 'quarantined'
+         WHERE "id" = $1 AND "status" = 'active'`,
+        [subjectId]
+      );
+      await client.query(
+        `INSERT INTO "VoteFlag" (
+          "id", "subjectType", "subjectId", "userId", "dishId", "restaurantId",
+          "score", "reasons", "status", "createdAt", "updatedAt"
+        ) VALUES (
+          gen_random_uuid(), $1, $2, $3, $4, $5, $6, $7, 'pending', NOW(), NOW()
+        )
+        ON CONFLICT ("subjectType", "subjectId") DO UPDATE SET
+          "score" = EXCLUDED."score",
+          "reasons" = EXCLUDED."reasons",
+          "status" = 'pending',
+          "reviewedBy" = NULL,
+          "reviewedAt" = NULL,
+          "updatedAt" = NOW()`,
+        [
+          subjectType,
+          subjectId,
+          userId,
+          dishId,
+          assessment.restaurantId,
+          assessment.score,
+          assessment.reasons,
+        ]
+      );
+    }
+
+    return { ...assessment, quarantined };
+  }
+
+  /**
+   * Remove the pending flag of a subject that no longer exists
+   * @param {Object} client - The transaction client
+   * @param {string} subjectType - Either 'vote' or 'ranking'
+   * @param {string} subjectId - The vote or ranking ID
+   * @returns {Promise<void>}
+   */
+  async clearFlag(client, subjectType, subjectId) {
+    await client.query(
+      `DELETE FROM "VoteFlag"
+       WHERE "subjectType" = $1 AND "subjectId" = $2 AND "status" = 'pending'`,
+      [subjectType, subjectId]
+    );
+  }
+
+  /**
+   * Get a page of flagged votes and rankings for review
+   * @param {Object} options - Filters and pagination
+   * @param {string} [options.status] - Flag status, pending by default
+   * @param {number} [options.page] - Page number
+   * @param {number} [options.limit] - Page size
+   * @returns {Promise<Object>} The flags and total count
+   */
+  async listFlags({ status = 'pending', page = 1, limit = 20 } = {}) {
+    const offset = (page - 1) * limit;
+
+    const [rowsResult, countResult] = await Promise.all([
+      query(
+        `SELECT
+           f.*,
+           u."name" AS "userName",
+           u."email" AS "userEmail",
+           u."createdAt" AS "accountCreatedAt",
+           d."name" AS "dishName",
+           d."slug" AS "dishSlug",
+           rest."name" AS "restaurantName",
+           v."voteType" AS "voteType",
+           COALESCE(v."rating"::float, r."rating") AS "rating"
+         FROM "VoteFlag" f
+         JOIN "User" u ON u."id" = f."userId"
+         JOIN "Dish" d ON d."id" = f."dishId"
+         JOIN "Restaurant" rest ON rest."id" = f."restaurantId"
+         LEFT JOIN "DishVote" v ON f."subjectType" = 'vote' AND v."id" = f."subjectId"
+         LEFT JOIN "DishRanking" r ON f."subjectType" = 'ranking' AND r."id" = f."subjectId"
+         WHERE f."status" = $1
+         ORDER BY f."score" DESC, f."createdAt" ASC
+         LIMIT $2 OFFSET $3`,
+        [status, limit, offset]
+      ),
+      query('SELECT COUNT(*)::int AS "total" FROM "VoteFlag" WHERE "status" = $1', [status]),
+    ]);
+
+    return {
+      flags: rowsResult.rows,
+      total: countResult.rows[0].total,
+    };
+  }
+
+  /**
+   * Approve or reject a flagged vote or ranking. Approved subjects start
+   * counting again; rejected ones stay excluded for good.
+   * @param {string} flagId - The flag ID
+   * @param {string} reviewerId - The ID of the reviewing admin
+   * @param {string} decision - Either 'approve' or 'reject'
+   * @returns {Promise<Object>} The reviewed flag with its dish slug
+   */
+  async resolveFlag(flagId, reviewerId, decision) {
+    return transaction(async (client) => {
+      const flagResult = await client.query(
+        'SELECT * FROM "VoteFlag" WHERE "id" = $1 FOR UPDATE',
+        [flagId]
+      );
+      const flag = flagResult.rows[0];
+      if (!flag) {
+        throw new Error('Flag not found');
+      }
+      if (flag.status !== 'pending') {
+        throw new Error('Flag already reviewed');
+      }
+
+      await client.query(
+        `UPDATE "${SUBJECT_TABLES[flag.subjectType]}" SET "status" = $2
+         WHERE "id" = $1 AND "status" = 'quarantined'`,
+        [flag.subjectId, decision === 'approve' ? 'active' : 'rejected']
+      );
+      if (flag.subjectType === 'vote') {
+        await rankingHistoryService.recordVoteEvents(client, HistoryEventType.STATUS, [flag.subjectId]);
+      } else {
+        await rankingHistoryService.recordRankingEvents(client, HistoryEventType.STATUS, [
+          flag.subjectId,
+        ]);
+      }
+
+      const updated = await client.query(
+        `UPDATE "VoteFlag" f
+         SET "status" = $2, "reviewedBy" = $3, "reviewedAt" = NOW(), "updatedAt" = NOW()
+         FROM "Dish" d
+         WHERE f."id" = $1 AND d."id" = f."dishId"
+         RETURNING f.*, d."slug" AS "dishSlug"`,
+        [flagId, decision === 'approve' ? 'approved' : 'rejected', reviewerId]
+      );
+      return updated.rows[0];
+    });
+  }
+}
+
+// Export a singleton instance
+export const voteIntegrityService = new VoteIntegrityService();
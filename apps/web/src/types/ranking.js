@@ -29,6 +29,18 @@ export const RankingTrend = {
   STABLE: 'Stable',
 };
 
+/**
+ * Windows, in days, over which leaderboard movement is reported
+ */
+export const RANKING_TREND_WINDOWS = [7, 30, 90];
+
+/**
+ * @typedef {Object} RankingMovement
+ * @property {number|null} previousPosition - Position at the start of the window
+ * @property {number|null} change - Places climbed (negative when falling)
+ * @property {string|null} direction - Direction (from RankingTrend), null for new entries
+ */
+
 /**
  * @typedef {Object} RankingItem
  * @property {string} id - Item ID
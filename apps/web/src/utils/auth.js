@@ -87,7 +87,8 @@ export function getSession(req) {
         id: payload.sub,
         email: payload.email,
         name: payload.name || payload['cognito:username'],
-        username: payload['cognito:username']
+        username: payload['cognito:username'],
+        roles: payload['cognito:groups'] || []
       },
       tokens: {
         accessToken: cookies[authConfig.cookieNames.accessToken],
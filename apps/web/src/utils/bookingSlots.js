@@ -0,0 +1,137 @@
+/**
+ * Booking Slot Utilities
+ *
+ * This module works out the times a restaurant can be booked on a day and
+ * whether a party fits in each. Slots start every slotInterval minutes
+ * from opening, in the restaurant's timezone, and the last one leaves a
+ * full turn time before closing. As with opening hours, a period running
+ * past midnight belongs to the day it starts on, so a 00:30 slot of a
+ * Friday night's service is booked on Friday. A booking keeps its table,
+ * or its covers, from its start until its turn time is over.
+ */
+
+import { fromLocalTime, getLocalTime, getOpeningPeriods } from './openingHours.js'
+
+const MINUTES_PER_DAY = 24 * 60
+
+/**
+ * Format minutes after midnight as a time of day
+ * @param {number} minutes - The minutes, may run into the next day
+ * @returns {string} The time as HH:MM
+ */
+function formatTime(minutes) {
+  const time = minutes % MINUTES_PER_DAY
+  return `${String(Math.floor(time / 60)).padStart(2, '0')}:${String(time % 60).padStart(2, '0')}`
+}
+
+/**
+ * Get the times a restaurant can be booked on a local date
+ * @param {Object} schedule - The restaurant's schedule
+ * @param {Array} schedule.hours - Weekly periods as { dayOfWeek, openTime, closeTime }, 0 for Sunday
+ * @param {Array} [schedule.specialHours] - Dated overrides as { date, openTime, closeTime, isClosed }
+ * @param {string} schedule.timezone - The timezone the hours are in
+ * @param {string} date - The local date as YYYY-MM-DD
+ * @param {Object} settings - The booking settings
+ * @param {number} settings.slotInterval - Minutes between slots
+ * @param {number} settings.turnTime - Minutes a booking lasts
+ * @returns {Array} The slots as { time, startsAt, endsAt }, in order
+ */
+export function getBookingSlots({ hours, specialHours, timezone }, date, { slotInterval, turnTime }) {
+  const slots = new Map()
+  for (const [open, close] of getOpeningPeriods({ hours, specialHours }, date)) {
+    // Bookings must end by closing time as a moment, so a daylight saving
+    // change within the period doesn't lengthen or shorten it
+    const closesAt = fromLocalTime(date, close, timezone)
+    for (let start = open; start < close; start += slotInterval) {
+      const startsAt = fromLocalTime(date, start, timezone)
+      const endsAt = new Date(startsAt.getTime() + turnTime * 60 * 1000)
+      // Times skipped by a daylight saving change can't be booked
+      if (endsAt > closesAt || getLocalTime(startsAt, timezone).minutes !== start % MINUTES_PER_DAY) {
+        continue
+      }
+      slots.set(start, { time: formatTime(start), startsAt, endsAt })
+    }
+  }
+
+  return [...slots.keys()].sort((a, b) => a - b).map((start) => slots.get(start))
+}
+
+/**
+ * Check whether two time ranges overlap
+ * @param {Object} a - A range as { startsAt, endsAt }
+ * @param {Object} b - Another range
+ * @returns {boolean} Whether they overlap
+ */
+function overlaps(a, b) {
+  return new Date(a.startsAt) < new Date(b.endsAt) && new Date(b.startsAt) < new Date(a.endsAt)
+}
+
+/**
+ * Work out whether a party fits in a slot. In tables mode the party is
+ * given the smallest free table it fits; tables aren't combined. In covers
+ * mode the guests seated at any moment of the slot, the party included,
+ * must not exceed maxCovers.
+ * @param {Object} slot - The slot as { startsAt, endsAt }
+ * @param {number} partySize - The party size
+ * @param {Object} capacity - The restaurant's capacity
+ * @param {string} capacity.capacityMode - tables or covers
+ * @param {number|null} capacity.maxCovers - Guests seated at once, in covers mode
+ * @param {Array} capacity.tables - The active tables as { id, minCapacity, maxCapacity }
+ * @param {Array} capacity.bookings - Bookings holding capacity as { id, tableId, partySize, startsAt, endsAt }
+ * @returns {Object} Whether it fits, and the table given in tables mode
+ */
+export function fitParty(slot, partySize, { capacityMode, maxCovers, tables, bookings }) {
+  const overlapping = bookings.filter((booking) => overlaps(booking, slot))
+
+  if (capacityMode === 'covers') {
+    // Guests seated only change when a booking starts, so check the slot's
+    // start and every later booking start within it
+    const moments = [
+      new Date(slot.startsAt),
+      ...overlapping.map((booking) => new Date(booking.startsAt)).filter((moment) => moment > new Date(slot.startsAt)),
+    ]
+    const peak = Math.max(
+      ...moments.map((moment) =>
+        overlapping
+          .filter((booking) => new Date(booking.startsAt) <= moment && moment < new Date(booking.endsAt))
+          .reduce((sum, booking) => sum + booking.partySize, 0)
+      )
+    )
+    return { fits: maxCovers !== null && peak + partySize <= maxCovers, tableId: null }
+  }
+
+  const taken = new Set(overlapping.map((booking) => booking.tableId))
+  const table = tables
+    .filter((candidate) => candidate.minCapacity <= partySize && partySize <= candidate.maxCapacity)
+    .sort((a, b) => a.maxCapacity - b.maxCapacity || a.minCapacity - b.minCapacity)
+    .find((candidate) => !taken.has(candidate.id))
+  return { fits: Boolean(table), tableId: table?.id || null }
+}
+
+/**
+ * Messages telling guests why a day has no bookable times, by reason
+ */
+const UNAVAILABLE_MESSAGES = {
+  not_accepting: 'This restaurant does not take online bookings',
+  party_size: 'This restaurant does not take online bookings for this party size',
+  past: 'This date has passed',
+  too_far_ahead: 'This date is too far ahead to book',
+  blackout: 'The restaurant is not taking bookings on this date',
+  closed: 'The restaurant is closed on this date'
+}
+
+/**
+ * Describe why a day of availability has no bookable times
+ * @param {Object} availability - The availability
+ * @param {string|null} availability.unavailableReason - Why there are no times, if there are none
+ * @param {string|null} [availability.blackoutReason] - The restaurant's reason for a blackout day
+ * @returns {string|null} The message, or null if the day has times
+ */
+export function describeUnavailability({ unavailableReason, blackoutReason }) {
+  if (!unavailableReason) {
+    return null
+  }
+
+  const message = UNAVAILABLE_MESSAGES[unavailableReason] || 'No times can be booked on this date'
+  return blackoutReason ? `${message}: ${blackoutReason}` : message
+}
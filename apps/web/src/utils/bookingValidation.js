@@ -0,0 +1,353 @@
+/**
+ * Booking Validation Utility
+ *
+ * This module holds the field rules for table bookings: a restaurant's
+ * booking settings, tables and blackout dates, and the slots, guest details
+ * and status changes of bookings.
+ */
+
+/**
+ * States of a booking
+ */
+export const BOOKING_STATUSES = ['held', 'pending', 'confirmed', 'seated', 'no_show', 'cancelled']
+
+/**
+ * How a restaurant's capacity is counted: by its tables, or by the guests
+ * it can seat at once
+ */
+export const BOOKING_CAPACITY_MODES = ['tables', 'covers']
+
+/**
+ * Field limits for bookings
+ */
+export const BOOKING_LIMITS = {
+  maxPartySize: 100,
+  maxCovers: 2000,
+  minSlotInterval: 5,
+  maxSlotInterval: 240,
+  minTurnTime: 15,
+  maxTurnTime: 720,
+  maxAdvanceBookingDays: 365,
+  maxNoticeMinutes: 7 * 24 * 60,
+  minHoldMinutes: 1,
+  maxHoldMinutes: 60,
+  maxTableNameLength: 50,
+  maxBlackouts: 366,
+  maxReasonLength: 200,
+  maxNameLength: 100,
+  maxEmailLength: 254,
+  maxPhoneLength: 30,
+  maxSpecialRequestsLength: 500,
+  maxDietaryRequirements: 10,
+  maxDietaryRequirementLength: 50,
+  maxOptionLength: 50
+}
+
+/**
+ * Times of day as HH:MM, 24-hour
+ */
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/
+
+/**
+ * Email addresses, loosely
+ */
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+
+/**
+ * Check that a value is a real calendar date as YYYY-MM-DD
+ * @param {any} value The value
+ * @returns {boolean} Whether it is a valid date
+ */
+export const isValidBookingDate = (value) =>
+  typeof value === 'string' &&
+  /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+  !Number.isNaN(Date.parse(`${value}T00:00:00Z`)) &&
+  new Date(`${value}T00:00:00Z`).toISOString().slice(0, 10) === value
+
+/**
+ * Check that a value is a whole number in a range
+ * @param {any} value The value
+ * @param {number} min The smallest allowed value
+ * @param {number} max The largest allowed value
+ * @returns {boolean} Whether it is in range
+ */
+const isIntegerBetween = (value, min, max) => Number.isInteger(value) && value >= min && value <= max
+
+/**
+ * Validate a restaurant's booking settings
+ * @param {object} data The settings fields, all optional
+ * @returns {object|null} The first failure as { field, error, message }, or null if valid
+ */
+export const validateBookingSettings = (data) => {
+  const { acceptsBookings, autoConfirm, capacityMode, maxCovers, minPartySize, maxPartySize, blackouts } = data
+
+  for (const [field, value] of Object.entries({ acceptsBookings, autoConfirm })) {
+    if (value !== undefined && typeof value !== 'boolean') {
+      return {
+        field,
+        error: `Invalid ${field}`,
+        message: `${field} must be true or false`
+      }
+    }
+  }
+
+  if (capacityMode !== undefined && !BOOKING_CAPACITY_MODES.includes(capacityMode)) {
+    return {
+      field: 'capacityMode',
+      error: 'Invalid capacityMode',
+      message: `Capacity mode must be one of: ${BOOKING_CAPACITY_MODES.join(', ')}`
+    }
+  }
+
+  if (maxCovers !== undefined && maxCovers !== null && !isIntegerBetween(maxCovers, 1, BOOKING_LIMITS.maxCovers)) {
+    return {
+      field: 'maxCovers',
+      error: 'Invalid maxCovers',
+      message: `maxCovers must be a whole number from 1 to ${BOOKING_LIMITS.maxCovers}`
+    }
+  }
+
+  const ranges = {
+    minPartySize: [1, BOOKING_LIMITS.maxPartySize],
+    maxPartySize: [1, BOOKING_LIMITS.maxPartySize],
+    slotInterval: [BOOKING_LIMITS.minSlotInterval, BOOKING_LIMITS.maxSlotInterval],
+    turnTime: [BOOKING_LIMITS.minTurnTime, BOOKING_LIMITS.maxTurnTime],
+    advanceBookingDays: [1, BOOKING_LIMITS.maxAdvanceBookingDays],
+    minNoticeMinutes: [0, BOOKING_LIMITS.maxNoticeMinutes],
+    holdMinutes: [BOOKING_LIMITS.minHoldMinutes, BOOKING_LIMITS.maxHoldMinutes]
+  }
+  for (const [field, [min, max]] of Object.entries(ranges)) {
+    if (data[field] !== undefined && !isIntegerBetween(data[field], min, max)) {
+      return {
+        field,
+        error: `Invalid ${field}`,
+        message: `${field} must be a whole number from ${min} to ${max}`
+      }
+    }
+  }
+
+  if (minPartySize !== undefined && maxPartySize !== undefined && minPartySize > maxPartySize) {
+    return {
+      field: 'maxPartySize',
+      error: 'Invalid maxPartySize',
+      message: 'maxPartySize must be at least minPartySize'
+    }
+  }
+
+  if (
+    blackouts !== undefined &&
+    (!Array.isArray(blackouts) ||
+      blackouts.length > BOOKING_LIMITS.maxBlackouts ||
+      new Set(blackouts.map((blackout) => blackout?.date)).size !== blackouts.length ||
+      blackouts.some((blackout) =>
+        !isValidBookingDate(blackout?.date) ||
+        (blackout.reason !== undefined &&
+          blackout.reason !== null &&
+          (typeof blackout.reason !== 'string' || blackout.reason.length > BOOKING_LIMITS.maxReasonLength))))
+  ) {
+    return {
+      field: 'blackouts',
+      error: 'Invalid blackouts',
+      message: `Blackouts must be a list of at most ${BOOKING_LIMITS.maxBlackouts} different days as { date, reason }, with dates as YYYY-MM-DD and reasons of at most ${BOOKING_LIMITS.maxReasonLength} characters`
+    }
+  }
+
+  return null
+}
+
+/**
+ * Validate the fields of a table
+ * @param {object} data The table fields
+ * @param {object} [options] Options
+ * @param {boolean} [options.partial] Only check the fields present, for updates
+ * @returns {object|null} The first failure as { field, error, message }, or null if valid
+ */
+export const validateTableFields = (data, { partial = false } = {}) => {
+  const { name, minCapacity, maxCapacity, isActive } = data
+
+  if ((!partial || name !== undefined) && (typeof name !== 'string' || !name.trim() || name.trim().length > BOOKING_LIMITS.maxTableNameLength)) {
+    return {
+      field: 'name',
+      error: 'Invalid name',
+      message: `Table name is required and must be at most ${BOOKING_LIMITS.maxTableNameLength} characters`
+    }
+  }
+
+  if (minCapacity !== undefined && !isIntegerBetween(minCapacity, 1, BOOKING_LIMITS.maxPartySize)) {
+    return {
+      field: 'minCapacity',
+      error: 'Invalid minCapacity',
+      message: `minCapacity must be a whole number from 1 to ${BOOKING_LIMITS.maxPartySize}`
+    }
+  }
+
+  if ((!partial || maxCapacity !== undefined) && !isIntegerBetween(maxCapacity, 1, BOOKING_LIMITS.maxPartySize)) {
+    return {
+      field: 'maxCapacity',
+      error: 'Invalid maxCapacity',
+      message: `maxCapacity is required and must be a whole number from 1 to ${BOOKING_LIMITS.maxPartySize}`
+    }
+  }
+
+  if (minCapacity !== undefined && maxCapacity !== undefined && minCapacity > maxCapacity) {
+    return {
+      field: 'maxCapacity',
+      error: 'Invalid maxCapacity',
+      message: 'maxCapacity must be at least minCapacity'
+    }
+  }
+
+  if (isActive !== undefined && typeof isActive !== 'boolean') {
+    return {
+      field: 'isActive',
+      error: 'Invalid isActive',
+      message: 'isActive must be true or false'
+    }
+  }
+
+  return null
+}
+
+/**
+ * Validate a requested slot
+ * @param {object} data The slot as { date, time, partySize }
+ * @param {object} [options] Options
+ * @param {boolean} [options.requireTime] Whether a time is needed, as for holds
+ * @returns {object|null} The first failure as { field, error, message }, or null if valid
+ */
+export const validateSlotRequest = ({ date, time, partySize }, { requireTime = true } = {}) => {
+  if (!isValidBookingDate(date)) {
+    return {
+      field: 'date',
+      error: 'Invalid date',
+      message: 'Date is required as YYYY-MM-DD'
+    }
+  }
+
+  if ((requireTime || time !== undefined) && (typeof time !== 'string' || !TIME_PATTERN.test(time))) {
+    return {
+      field: 'time',
+      error: 'Invalid time',
+      message: 'Time is required as HH:MM'
+    }
+  }
+
+  if (!isIntegerBetween(partySize, 1, BOOKING_LIMITS.maxPartySize)) {
+    return {
+      field: 'partySize',
+      error: 'Invalid partySize',
+      message: `Party size must be a whole number from 1 to ${BOOKING_LIMITS.maxPartySize}`
+    }
+  }
+
+  return null
+}
+
+/**
+ * Validate the guest details of a booking
+ * @param {object} data The guest fields
+ * @returns {object|null} The first failure as { field, error, message }, or null if valid
+ */
+export const validateGuestFields = (data) => {
+  const { guestName, guestEmail, guestPhone, specialRequests, dietaryRequirements } = data
+
+  if (typeof guestName !== 'string' || !guestName.trim() || guestName.trim().length > BOOKING_LIMITS.maxNameLength) {
+    return {
+      field: 'guestName',
+      error: 'Invalid guestName',
+      message: `Guest name is required and must be at most ${BOOKING_LIMITS.maxNameLength} characters`
+    }
+  }
+
+  if (typeof guestEmail !== 'string' || !EMAIL_PATTERN.test(guestEmail.trim()) || guestEmail.trim().length > BOOKING_LIMITS.maxEmailLength) {
+    return {
+      field: 'guestEmail',
+      error: 'Invalid guestEmail',
+      message: 'A valid guest email is required'
+    }
+  }
+
+  if (guestPhone !== undefined && guestPhone !== null && (typeof guestPhone !== 'string' || guestPhone.length > BOOKING_LIMITS.maxPhoneLength)) {
+    return {
+      field: 'guestPhone',
+      error: 'Invalid guestPhone',
+      message: `Phone number must be at most ${BOOKING_LIMITS.maxPhoneLength} characters`
+    }
+  }
+
+  if (specialRequests !== undefined && specialRequests !== null && (typeof specialRequests !== 'string' || specialRequests.length > BOOKING_LIMITS.maxSpecialRequestsLength)) {
+    return {
+      field: 'specialRequests',
+      error: 'Invalid specialRequests',
+      message: `Special requests must be at most ${BOOKING_LIMITS.maxSpecialRequestsLength} characters`
+    }
+  }
+
+  if (
+    dietaryRequirements !== undefined &&
+    (!Array.isArray(dietaryRequirements) ||
+      dietaryRequirements.length > BOOKING_LIMITS.maxDietaryRequirements ||
+      dietaryRequirements.some((requirement) =>
+        typeof requirement !== 'string' || !requirement.trim() || requirement.length > BOOKING_LIMITS.maxDietaryRequirementLength))
+  ) {
+    return {
+      field: 'dietaryRequirements',
+      error: 'Invalid dietaryRequirements',
+      message: `Dietary requirements must be a list of at most ${BOOKING_LIMITS.maxDietaryRequirements} strings`
+    }
+  }
+
+  for (const field of ['occasion', 'seatingPreference']) {
+    const value = data[field]
+    if (value !== undefined && value !== null && (typeof value !== 'string' || value.length > BOOKING_LIMITS.maxOptionLength)) {
+      return {
+        field,
+        error: `Invalid ${field}`,
+        message: `${field} must be at most ${BOOKING_LIMITS.maxOptionLength} characters`
+      }
+    }
+  }
+
+  return null
+}
+
+/**
+ * Validate a change to a booking's status
+ * @param {object} data The change as { status, reason }
+ * @returns {object|null} The first failure as { field, error, message }, or null if valid
+ */
+export const validateStatusChange = ({ status, reason }) => {
+  if (!BOOKING_STATUSES.includes(status) || status === 'held') {
+    return {
+      field: 'status',
+      error: 'Invalid status',
+      message: `Status must be one of: ${BOOKING_STATUSES.filter((value) => value !== 'held').join(', ')}`
+    }
+  }
+
+  if (reason !== undefined && reason !== null && (typeof reason !== 'string' || reason.length > BOOKING_LIMITS.maxReasonLength)) {
+    return {
+      field: 'reason',
+      error: 'Invalid reason',
+      message: `Reason must be at most ${BOOKING_LIMITS.maxReasonLength} characters`
+    }
+  }
+
+  return null
+}
+
+/**
+ * Trim the guest details of a booking that passed validation. Blank
+ * optional fields become null.
+ * @param {object} data The guest fields
+ * @returns {object} The guest fields, normalized
+ */
+export const normalizeGuestFields = (data) => ({
+  guestName: data.guestName.trim(),
+  guestEmail: data.guestEmail.trim().toLowerCase(),
+  guestPhone: data.guestPhone?.trim() || null,
+  specialRequests: data.specialRequests?.trim() || null,
+  dietaryRequirements: (data.dietaryRequirements || []).map((requirement) => requirement.trim()),
+  occasion: data.occasion?.trim() || null,
+  seatingPreference: data.seatingPreference?.trim() || null
+})
@@ -0,0 +1,154 @@
+/**
+ * Comparison Summary Utilities
+ *
+ * This module renders a restaurant comparison as a standalone HTML page
+ * laid out for printing: one column per restaurant and one row per
+ * compared metric, with the best value of each metric marked. All text is
+ * escaped, as restaurant names and addresses come from users.
+ */
+
+import { escapeXml } from './feed.js'
+
+/**
+ * Metrics shown in the summary, in order. Lower is better for price and
+ * leaderboard position; higher is better for the rest.
+ */
+const SUMMARY_METRICS = [
+  { key: 'rating', label: 'Average rating', format: (value) => value.toFixed(1) },
+  { key: 'reviewCount', label: 'Reviews', format: String },
+  { key: 'price', label: 'Price range', format: (value) => '$'.repeat(value), lowerIsBetter: true },
+  { key: 'bestPosition', label: 'Best leaderboard position', format: (value) => `#${value}`, lowerIsBetter: true },
+  { key: 'rankedDishes', label: 'Dishes on leaderboards', format: String },
+  { key: 'weeklyHours', label: 'Hours open per week', format: String },
+]
+
+const SUMMARY_STYLES = `
+  body { font-family: -apple-system, 'Segoe UI', Helvetica, Arial, sans-serif; color: #111827; margin: 2rem; }
+  h1 { font-size: 1.5rem; margin: 0 0 0.25rem; }
+  p.meta { color: #6b7280; margin: 0 0 1.5rem; }
+  table { border-collapse: collapse; width: 100%; table-layout: fixed; }
+  th, td { border: 1px solid #d1d5db; padding: 0.5rem; text-align: left; vertical-align: top; font-size: 0.875rem; }
+  thead th { background: #fff7ed; }
+  tbody th { width: 12rem; background: #f9fafb; }
+  td.best { font-weight: 700; color: #15803d; }
+  ul { margin: 0; padding-left: 1rem; }
+  small { color: #6b7280; }
+  @media print {
+    body { margin: 0; }
+    a { color: inherit; text-decoration: none; }
+    @page { size: landscape; margin: 1.5cm; }
+  }
+`
+
+/**
+ * Find the best value of a metric among restaurants
+ * @param {Array<object>} restaurants The compared restaurants
+ * @param {object} metric The metric, from SUMMARY_METRICS
+ * @returns {number|null} The best value, or null if no restaurant has one
+ */
+const getBestValue = (restaurants, metric) => {
+  const values = restaurants
+    .map((restaurant) => restaurant.metrics[metric.key])
+    .filter((value) => value !== null && value !== undefined)
+  if (values.length < 2) {
+    return null
+  }
+  return metric.lowerIsBetter ? Math.min(...values) : Math.max(...values)
+}
+
+/**
+ * Render a table row of one value per restaurant
+ * @param {string} label The row label, already escaped
+ * @param {Array<string>} cells The cells, as HTML
+ * @returns {string} The row
+ */
+const row = (label, cells) => `<tr><th scope="row">${label}</th>${cells.join('')}</tr>`
+
+/**
+ * Render a comparison as a printable HTML page
+ * @param {object} comparison The comparison
+ * @param {Array<object>} comparison.restaurants Restaurants from compareRestaurants
+ * @param {string} [comparison.id] The saved comparison's ID
+ * @param {object} options Rendering options
+ * @param {string} options.siteUrl The site's base URL, for links
+ * @param {string} options.country The country whose pages restaurants link to
+ * @param {Date} [options.now] When the summary is made
+ * @returns {string} The HTML document
+ */
+export const renderComparisonSummary = ({ id, restaurants }, { siteUrl, country, now = new Date() }) => {
+  const names = restaurants.map((restaurant) => restaurant.name)
+  const title = `${names.join(' vs ')} | Bellyfed`
+
+  const header = restaurants
+    .map((restaurant) => {
+      const link = `${siteUrl}/${country}/restaurants/${encodeURIComponent(restaurant.id)}`
+      return `<th scope="col"><a href="${escapeXml(link)}">${escapeXml(restaurant.name)}</a><br><small>${escapeXml(
+        [restaurant.cuisine, restaurant.address].filter(Boolean).join(' · ')
+      )}</small></th>`
+    })
+    .join('')
+
+  const metricRows = SUMMARY_METRICS.map((metric) => {
+    const best = getBestValue(restaurants, metric)
+    return row(
+      escapeXml(metric.label),
+      restaurants.map((restaurant) => {
+        const value = restaurant.metrics[metric.key]
+        if (value === null || value === undefined) {
+          return '<td>N/A</td>'
+        }
+        return `<td${value === best ? ' class="best"' : ''}>${escapeXml(metric.format(value))}</td>`
+      })
+    )
+  })
+
+  const leaderboardRow = row(
+    'Leaderboard positions',
+    restaurants.map((restaurant) =>
+      restaurant.leaderboard.length === 0
+        ? '<td>None</td>'
+        : `<td><ul>${restaurant.leaderboard
+            .map((entry) => `<li>${escapeXml(entry.dishName)}: #${escapeXml(entry.position)}</li>`)
+            .join('')}</ul></td>`
+    )
+  )
+
+  const hoursRow = row(
+    'Opening hours',
+    restaurants.map((restaurant) =>
+      restaurant.openingHours
+        ? `<td><ul>${restaurant.openingHours
+            .split('; ')
+            .map((day) => `<li>${escapeXml(day)}</li>`)
+            .join('')}</ul></td>`
+        : '<td>Not listed</td>'
+    )
+  )
+
+  const shareUrl = id ? `${siteUrl}/${country}/restaurants/compare/${encodeURIComponent(id)}` : null
+
+  return [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '<meta charset="utf-8">',
+    `<title>${escapeXml(title)}</title>`,
+    `<style>${SUMMARY_STYLES}</style>`,
+    '</head>',
+    '<body>',
+    `<h1>${escapeXml(names.join(' vs '))}</h1>`,
+    `<p class="meta">Restaurant comparison from Bellyfed, ${escapeXml(now.toUTCString())}${
+      shareUrl ? ` · <a href="${escapeXml(shareUrl)}">${escapeXml(shareUrl)}</a>` : ''
+    }</p>`,
+    '<table>',
+    `<thead><tr><th></th>${header}</tr></thead>`,
+    '<tbody>',
+    ...metricRows,
+    leaderboardRow,
+    hoursRow,
+    '</tbody>',
+    '</table>',
+    '</body>',
+    '</html>',
+  ].join('\n')
+}
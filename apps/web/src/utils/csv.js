@@ -0,0 +1,97 @@
+/**
+ * CSV Utility
+ *
+ * This module converts between arrays of objects and RFC 4180 CSV text.
+ * Fields containing commas, quotes or line breaks are quoted; quotes
+ * inside quoted fields are doubled.
+ */
+
+/**
+ * Quote a single CSV field if needed
+ * @param {any} value The field value
+ * @returns {string} The encoded field
+ */
+const encodeField = (value) => {
+  if (value === null || value === undefined) {
+    return ''
+  }
+
+  const text = String(value)
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Convert rows to CSV text
+ * @param {Array<string>} columns The column names, in order
+ * @param {Array<object>} rows The rows, keyed by column name
+ * @returns {string} The CSV text, with a header line
+ */
+export const toCsv = (columns, rows) => {
+  const lines = [columns.map(encodeField).join(',')]
+  for (const row of rows) {
+    lines.push(columns.map((column) => encodeField(row[column])).join(','))
+  }
+  return `${lines.join('\r\n')}\r\n`
+}
+
+/**
+ * Parse CSV text into rows keyed by the header line. Blank lines are
+ * skipped.
+ * @param {string} text The CSV text
+ * @returns {Array<object>} The rows
+ * @throws {Error} If a quoted field is never closed
+ */
+export const parseCsv = (text) => {
+  const records = []
+  let record = []
+  let field = ''
+  let inQuotes = false
+
+  const input = text.replace(/^\uFEFF/, '')
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i]
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        inQuotes = false
+      } else {
+        field += char
+      }
+    } else if (char === '"') {
+      inQuotes = true
+    } else if (char === ',') {
+      record.push(field)
+      field = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++
+      }
+      record.push(field)
+      records.push(record)
+      record = []
+      field = ''
+    } else {
+      field += char
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field')
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field)
+    records.push(record)
+  }
+
+  const [header = [], ...body] = records.filter(
+    (values) => values.length > 1 || values[0] !== ''
+  )
+  const columns = header.map((column) => column.trim())
+
+  return body.map((values) =>
+    Object.fromEntries(columns.map((column, index) => [column, values[index] ?? '']))
+  )
+}
@@ -167,6 +167,22 @@ export function parseDate(dateString) {
   }
 }
 
+/**
+ * Parse a point in time used to look at past data. A bare date
+ * (YYYY-MM-DD) means the end of that day in UTC, so "as of 2024-12-31"
+ * includes everything that happened on the 31st.
+ * @param {string} value Date or date-time string
+ * @returns {Date|null} Date object or null if the string is invalid
+ */
+export function parsePointInTime(value) {
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    const date = parseDate(`${value}T23:59:59.999Z`)
+    // Reject dates that roll over, e.g. 2024-02-31
+    return date && date.toISOString().slice(0, 10) === value ? date : null
+  }
+  return parseDate(value)
+}
+
 /**
  * Get the relative time string (e.g., "2 hours ago", "3 days ago")
  * @param {Date} date Date object to get relative time for
@@ -0,0 +1,74 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { replayAsOf } from './eventReplay.js'
+
+const asOf = new Date('2026-06-01T00:00:00Z')
+const before = new Date('2026-05-01T00:00:00Z')
+const after = new Date('2026-07-01T00:00:00Z')
+
+let sequence = 0
+const event = (id, eventType, occurredAt, fields) => ({
+  id,
+  eventType,
+  occurredAt,
+  sequence: ++sequence,
+  ...fields,
+})
+
+describe('replayAsOf', () => {
+  it('keeps a row from before the log that was edited after the moment', () => {
+    // Written before the log existed, so its first event is the later edit
+    const live = { id: 'r1', createdAt: before, rating: 2 }
+    const events = [
+      event('r1', 'updated', after, { createdAt: before, rating: 4 }),
+      event('r1', 'updated', after, { createdAt: before, rating: 2 }),
+    ]
+
+    assert.deepEqual(replayAsOf(events, [live], asOf), [{ id: 'r1', createdAt: before, rating: 4 }])
+  })
+
+  it('takes a deleted row from before the log from its deleted event', () => {
+    const events = [event('r1', 'deleted', after, { createdAt: before, rating: 3 })]
+
+    assert.deepEqual(replayAsOf(events, [], asOf), [{ id: 'r1', createdAt: before, rating: 3 }])
+  })
+
+  it('keeps a row from before the log with no events as it is now', () => {
+    const live = { id: 'r1', createdAt: before, rating: 4 }
+
+    assert.deepEqual(replayAsOf([], [live], asOf), [live])
+  })
+
+  it('leaves out a row from before the log created after the moment', () => {
+    const live = { id: 'r1', createdAt: after, rating: 4 }
+
+    assert.deepEqual(replayAsOf([], [live], asOf), [])
+  })
+
+  it('uses the latest event at or before the moment', () => {
+    const live = { id: 'r1', createdAt: before, rating: 1 }
+    const events = [
+      event('r1', 'created', before, { createdAt: before, rating: 5 }),
+      event('r1', 'updated', asOf, { createdAt: before, rating: 4 }),
+      event('r1', 'updated', after, { createdAt: before, rating: 1 }),
+    ]
+
+    assert.deepEqual(replayAsOf(events, [live], asOf), [{ id: 'r1', createdAt: before, rating: 4 }])
+  })
+
+  it('leaves out a row deleted by the moment', () => {
+    const events = [
+      event('r1', 'created', before, { createdAt: before, rating: 5 }),
+      event('r1', 'deleted', before, { createdAt: before, rating: 5 }),
+    ]
+
+    assert.deepEqual(replayAsOf(events, [], asOf), [])
+  })
+
+  it('trusts a created event after the moment over the row timestamp', () => {
+    const live = { id: 'r1', createdAt: before, rating: 5 }
+    const events = [event('r1', 'created', after, { createdAt: before, rating: 5 })]
+
+    assert.deepEqual(replayAsOf(events, [live], asOf), [])
+  })
+})
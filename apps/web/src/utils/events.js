@@ -22,6 +22,35 @@ export const RestaurantEventType = {
   DELETED: 'RestaurantDeleted',
 };
 
+/**
+ * Event types for dish operations. Consumers keep the dish search index
+ * up to date.
+ */
+export const DishEventType = {
+  CREATED: 'DishCreated',
+  UPDATED: 'DishUpdated',
+};
+
+/**
+ * Event types for restaurant ownership claims. Consumers deliver
+ * verification codes by email or phone call and tell claimants the outcome.
+ */
+export const RestaurantClaimEventType = {
+  CODE_REQUESTED: 'RestaurantClaimCodeRequested',
+  REVIEWED: 'RestaurantClaimReviewed',
+};
+
+/**
+ * Event types for table bookings. Consumers email the guest, attaching the
+ * booking's calendar file, and remind them before it starts.
+ */
+export const BookingEventType = {
+  CREATED: 'BookingCreated',
+  UPDATED: 'BookingUpdated',
+  CANCELLED: 'BookingCancelled',
+  REMINDER_DUE: 'BookingReminderDue',
+};
+
 /**
  * Event types for review operations
  */
@@ -45,6 +74,8 @@ export const UserEventType = {
  */
 export const EventSource = {
   RESTAURANT: 'bellyfed.restaurant',
+  DISH: 'bellyfed.dish',
+  BOOKING: 'bellyfed.booking',
   REVIEW: 'bellyfed.review',
   USER: 'bellyfed.user',
 };
@@ -112,6 +143,20 @@ function getQueueUrlForEventType(eventType) {
     [RestaurantEventType.UPDATED]: process.env.RESTAURANT_UPDATE_QUEUE_URL,
     [RestaurantEventType.DELETED]: process.env.RESTAURANT_DELETION_QUEUE_URL,
 
+    // Dish events
+    [DishEventType.CREATED]: process.env.DISH_SYNC_QUEUE_URL,
+    [DishEventType.UPDATED]: process.env.DISH_SYNC_QUEUE_URL,
+
+    // Restaurant claim events
+    [RestaurantClaimEventType.CODE_REQUESTED]: process.env.RESTAURANT_CLAIM_QUEUE_URL,
+    [RestaurantClaimEventType.REVIEWED]: process.env.RESTAURANT_CLAIM_QUEUE_URL,
+
+    // Booking events
+    [BookingEventType.CREATED]: process.env.BOOKING_NOTIFICATION_QUEUE_URL,
+    [BookingEventType.UPDATED]: process.env.BOOKING_NOTIFICATION_QUEUE_URL,
+    [BookingEventType.CANCELLED]: process.env.BOOKING_NOTIFICATION_QUEUE_URL,
+    [BookingEventType.REMINDER_DUE]: process.env.BOOKING_NOTIFICATION_QUEUE_URL,
+
     // Review events
     [ReviewEventType.CREATED]: process.env.REVIEW_CREATION_QUEUE_URL,
     [ReviewEventType.UPDATED]: process.env.REVIEW_UPDATE_QUEUE_URL,
@@ -171,6 +216,66 @@ export async function deleteRestaurantEvent(restaurantId) {
   });
 }
 
+/**
+ * Create a dish creation event
+ *
+ * @param {Object} dishData - The dish and restaurant IDs
+ * @returns {Promise<void>} Promise that resolves when the event is sent
+ */
+export async function createDishEvent(dishData) {
+  return sendEvent(DishEventType.CREATED, EventSource.DISH, dishData);
+}
+
+/**
+ * Create a dish update event
+ *
+ * @param {Object} dishData - The dish and restaurant IDs
+ * @returns {Promise<void>} Promise that resolves when the event is sent
+ */
+export async function updateDishEvent(dishData) {
+  return sendEvent(DishEventType.UPDATED, EventSource.DISH, dishData);
+}
+
+/**
+ * Create a restaurant claim code event, asking for a verification code to
+ * be emailed or read out in a phone call
+ *
+ * @param {Object} codeData - The claim, method, destination and code
+ * @returns {Promise<void>} Promise that resolves when the event is sent
+ */
+export async function requestClaimCodeEvent(codeData) {
+  return sendEvent(
+    RestaurantClaimEventType.CODE_REQUESTED,
+    EventSource.RESTAURANT,
+    codeData
+  );
+}
+
+/**
+ * Create a restaurant claim review event
+ *
+ * @param {Object} claimData - The reviewed claim
+ * @returns {Promise<void>} Promise that resolves when the event is sent
+ */
+export async function reviewClaimEvent(claimData) {
+  return sendEvent(
+    RestaurantClaimEventType.REVIEWED,
+    EventSource.RESTAURANT,
+    claimData
+  );
+}
+
+/**
+ * Create a booking event, telling the guest about their booking
+ *
+ * @param {string} eventType - A BookingEventType
+ * @param {Object} bookingData - The booking, its restaurant and its calendar file
+ * @returns {Promise<void>} Promise that resolves when the event is sent
+ */
+export async function bookingEvent(eventType, bookingData) {
+  return sendEvent(eventType, EventSource.BOOKING, bookingData);
+}
+
 /**
  * Create a review creation event
  *
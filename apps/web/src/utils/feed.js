@@ -0,0 +1,196 @@
+/**
+ * Feed Utilities
+ *
+ * This module renders feeds as RSS 2.0 or Atom 1.0 and sends them with
+ * caching headers. Feed text comes from users, so every value is escaped
+ * and characters XML does not allow are dropped. Responses carry an ETag
+ * of the body and a Last-Modified date, and conditional requests that
+ * match get a 304 without a body.
+ */
+
+import { createHash } from 'crypto'
+
+/**
+ * Feed formats and their content types
+ */
+export const FEED_CONTENT_TYPES = {
+  rss: 'application/rss+xml; charset=utf-8',
+  atom: 'application/atom+xml; charset=utf-8',
+}
+
+export const FEED_FORMATS = Object.keys(FEED_CONTENT_TYPES)
+
+/**
+ * How long clients and caches may reuse a feed, in seconds
+ */
+const FEED_MAX_AGE = 300
+
+/**
+ * Characters not allowed in XML 1.0 documents
+ */
+// eslint-disable-next-line no-control-regex
+const INVALID_XML_CHARS = /[^\x09\x0A\x0D\x20-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu
+
+const XML_ENTITIES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&apos;',
+}
+
+/**
+ * Escape text for use in XML content or attribute values
+ * @param {any} value The value
+ * @returns {string} The escaped text, empty for null or undefined
+ */
+export const escapeXml = (value) => {
+  if (value === null || value === undefined) {
+    return ''
+  }
+  return String(value)
+    .replace(INVALID_XML_CHARS, '')
+    .replace(/[&<>"']/g, (char) => XML_ENTITIES[char])
+}
+
+/**
+ * Render an element with escaped text, or nothing without a value
+ * @param {string} name The element name
+ * @param {any} value The text
+ * @param {string} [attributes] Attributes, already escaped
+ * @returns {string} The element
+ */
+const element = (name, value, attributes = '') =>
+  value === null || value === undefined || value === ''
+    ? ''
+    : `<${name}${attributes}>${escapeXml(value)}</${name}>`
+
+/**
+ * Render a feed as RSS 2.0
+ * @param {object} feed The feed: title, description, link, selfUrl, updated and items,
+ *   each item with id, title, link, summary, published, updated and categories
+ * @returns {string} The RSS document
+ */
+export const renderRss = (feed) => {
+  const items = feed.items.map((item) =>
+    [
+      '<item>',
+      element('title', item.title),
+      element('link', item.link),
+      element('guid', item.id, ' isPermaLink="false"'),
+      element('pubDate', new Date(item.published || item.updated).toUTCString()),
+      element('description', item.summary),
+      ...(item.categories || []).map((category) => element('category', category)),
+      '</item>',
+    ].join('')
+  )
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    '<channel>',
+    element('title', feed.title),
+    element('link', feed.link),
+    element('description', feed.description),
+    `<atom:link href="${escapeXml(feed.selfUrl)}" rel="self" type="application/rss+xml"/>`,
+    element('lastBuildDate', new Date(feed.updated).toUTCString()),
+    ...items,
+    '</channel>',
+    '</rss>',
+  ].join('\n')
+}
+
+/**
+ * Render a feed as Atom 1.0
+ * @param {object} feed The feed, as for renderRss
+ * @returns {string} The Atom document
+ */
+export const renderAtom = (feed) => {
+  const entries = feed.items.map((item) =>
+    [
+      '<entry>',
+      element('id', item.id),
+      element('title', item.title),
+      `<link rel="alternate" type="text/html" href="${escapeXml(item.link)}"/>`,
+      element('published', new Date(item.published || item.updated).toISOString()),
+      element('updated', new Date(item.updated || item.published).toISOString()),
+      element('summary', item.summary, ' type="text"'),
+      ...(item.categories || []).map((category) => `<category term="${escapeXml(category)}"/>`),
+      '</entry>',
+    ].join('')
+  )
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    element('id', feed.selfUrl),
+    element('title', feed.title),
+    element('subtitle', feed.description),
+    element('updated', new Date(feed.updated).toISOString()),
+    `<link rel="self" type="application/atom+xml" href="${escapeXml(feed.selfUrl)}"/>`,
+    `<link rel="alternate" type="text/html" href="${escapeXml(feed.link)}"/>`,
+    '<author><name>Bellyfed</name></author>',
+    ...entries,
+    '</feed>',
+  ].join('\n')
+}
+
+/**
+ * Get the site's base URL, from FRONTEND_URL or else the request
+ * @param {object} req The request
+ * @returns {string} The base URL without a trailing slash
+ */
+export const getSiteUrl = (req) => {
+  if (process.env.FRONTEND_URL) {
+    return process.env.FRONTEND_URL.replace(/\/+$/, '')
+  }
+  const protocol = (req.headers['x-forwarded-proto'] || 'http').split(',')[0].trim()
+  return `${protocol}://${req.headers.host}`
+}
+
+/**
+ * Check whether a conditional request already has the current feed.
+ * If-None-Match takes precedence over If-Modified-Since.
+ * @param {object} req The request
+ * @param {string} etag The feed's ETag
+ * @param {Date} lastModified When the feed last changed
+ * @returns {boolean} Whether the client's copy is current
+ */
+const isNotModified = (req, etag, lastModified) => {
+  const ifNoneMatch = req.headers['if-none-match']
+  if (ifNoneMatch) {
+    return ifNoneMatch
+      .split(',')
+      .map((tag) => tag.trim().replace(/^W\//, ''))
+      .some((tag) => tag === '*' || tag === etag)
+  }
+
+  const ifModifiedSince = Date.parse(req.headers['if-modified-since'] || '')
+  // HTTP dates have whole seconds
+  return !isNaN(ifModifiedSince) && Math.floor(lastModified.getTime() / 1000) * 1000 <= ifModifiedSince
+}
+
+/**
+ * Send a feed in a format, answering conditional requests with a 304
+ * @param {object} req The request
+ * @param {object} res The response
+ * @param {object} feed The feed, as for renderRss
+ * @param {string} format Either 'rss' or 'atom'
+ */
+export const sendFeed = (req, res, feed, format) => {
+  const body = format === 'atom' ? renderAtom(feed) : renderRss(feed)
+  const etag = `"${createHash('sha1').update(body).digest('base64url')}"`
+  const lastModified = new Date(feed.updated)
+
+  res.setHeader('ETag', etag)
+  res.setHeader('Last-Modified', lastModified.toUTCString())
+  res.setHeader('Cache-Control', `public, max-age=${FEED_MAX_AGE}`)
+  res.setHeader('Vary', 'Accept-Encoding')
+
+  if (isNotModified(req, etag, lastModified)) {
+    return res.status(304).end()
+  }
+
+  res.setHeader('Content-Type', FEED_CONTENT_TYPES[format])
+  res.status(200).send(body)
+}
@@ -0,0 +1,77 @@
+/**
+ * Geo Utilities
+ *
+ * This module provides helpers for radius searches over latitude/longitude
+ * columns in SQL queries.
+ */
+
+/**
+ * Geodesic constants
+ */
+export const EARTH_RADIUS_KM = 6371
+const KM_PER_DEGREE_LATITUDE = 111.32
+
+/**
+ * Compute the latitude/longitude box enclosing a circle. Used as an
+ * index-friendly prefilter before the exact haversine distance check.
+ * @param {number} latitude - Centre latitude in degrees
+ * @param {number} longitude - Centre longitude in degrees
+ * @param {number} radiusKm - Radius in kilometres
+ * @returns {Object} The box bounds; longitudes may fall outside -180..180
+ */
+export function getBoundingBox(latitude, longitude, radiusKm) {
+  const latDelta = radiusKm / KM_PER_DEGREE_LATITUDE
+  const cosLatitude = Math.cos((latitude * Math.PI) / 180)
+  const lngDelta =
+    cosLatitude > 1e-6 ? Math.min(180, latDelta / cosLatitude) : 180
+
+  return {
+    minLat: Math.max(-90, latitude - latDelta),
+    maxLat: Math.min(90, latitude + latDelta),
+    minLng: longitude - lngDelta,
+    maxLng: longitude + lngDelta,
+  }
+}
+
+/**
+ * Build the SQL condition for the longitude side of a bounding box,
+ * splitting it in two when the box crosses the antimeridian
+ * @param {Object} box - The bounding box
+ * @param {Array} params - Query parameters, appended to in place
+ * @param {string} [column] - The longitude column
+ * @returns {string} The SQL condition
+ */
+export function buildLongitudeCondition(box, params, column = 'rest."longitude"') {
+  if (box.maxLng - box.minLng >= 360) {
+    return 'TRUE'
+  }
+
+  if (box.minLng < -180) {
+    params.push(box.minLng + 360, box.maxLng)
+    return `(${column} >= $${params.length - 1} OR ${column} <= $${params.length})`
+  }
+
+  if (box.maxLng > 180) {
+    params.push(box.minLng, box.maxLng - 360)
+    return `(${column} >= $${params.length - 1} OR ${column} <= $${params.length})`
+  }
+
+  params.push(box.minLng, box.maxLng)
+  return `${column} BETWEEN $${params.length - 1} AND $${params.length}`
+}
+
+/**
+ * Build the SQL expression for the haversine distance in kilometres
+ * between a row and a point given as query parameters
+ * @param {string} latitudeParam - The placeholder of the point's latitude, e.g. '$2'
+ * @param {string} longitudeParam - The placeholder of the point's longitude
+ * @param {string} [table] - The alias of the table holding the coordinates
+ * @returns {string} The SQL expression
+ */
+export function haversineDistanceSql(latitudeParam, longitudeParam, table = 'rest') {
+  return `2 * ${EARTH_RADIUS_KM} * ASIN(LEAST(1, SQRT(
+    POWER(SIN(RADIANS(${table}."latitude" - ${latitudeParam}) / 2), 2) +
+    COS(RADIANS(${latitudeParam})) * COS(RADIANS(${table}."latitude")) *
+    POWER(SIN(RADIANS(${table}."longitude" - ${longitudeParam}) / 2), 2)
+  )))`
+}
@@ -0,0 +1,207 @@
+/**
+ * iCalendar Utilities
+ *
+ * This module writes RFC 5545 iCalendar files holding one event, for
+ * guests to add a booking to their calendar. Times are written in the
+ * event's own timezone, described by a VTIMEZONE of its offsets over the
+ * event, so calendar apps show the restaurant's local time wherever the
+ * guest is. An update or cancellation of an event keeps its UID and
+ * raises its SEQUENCE, so calendar apps change the event they already
+ * have instead of adding another.
+ */
+
+import { getLocalTime, getUtcOffset } from './openingHours.js'
+
+const CRLF = '\r\n'
+
+const PRODUCT_ID = '-//Bellyfed//Bookings//EN'
+
+// Lines longer than this many octets are folded
+const MAX_LINE_OCTETS = 75
+
+const MINUTE = 60 * 1000
+
+const encoder = new TextEncoder()
+
+/**
+ * Escape a TEXT value
+ * @param {string} value - The text
+ * @returns {string} The escaped text
+ */
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n')
+}
+
+/**
+ * Quote a parameter value, such as a common name
+ * @param {string} value - The value
+ * @returns {string} The quoted value
+ */
+function quoteParameter(value) {
+  return `"${String(value).replace(/[\r\n"]/g, ' ')}"`
+}
+
+/**
+ * Fold a content line into lines of at most 75 octets, without splitting
+ * a character
+ * @param {string} line - The content line
+ * @returns {string} The folded line
+ */
+function foldLine(line) {
+  const parts = []
+  let part = ''
+  let octets = 0
+  for (const character of line) {
+    const size = encoder.encode(character).length
+    // Continuation lines start with a space, which counts towards their length
+    if (octets + size > (parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1)) {
+      parts.push(part)
+      part = ''
+      octets = 0
+    }
+    part += character
+    octets += size
+  }
+  parts.push(part)
+  return parts.join(`${CRLF} `)
+}
+
+/**
+ * Format a moment as a UTC date-time
+ * @param {Date} date - The moment
+ * @returns {string} The date-time, e.g. 20261021T110000Z
+ */
+function formatUtc(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')
+}
+
+/**
+ * Format a moment as a local date-time in a timezone
+ * @param {Date} date - The moment
+ * @param {string} timezone - The timezone
+ * @returns {string} The date-time, e.g. 20261021T190000
+ */
+function formatLocal(date, timezone) {
+  const local = getLocalTime(date, timezone)
+  const seconds = Math.round(local.minutes * 60)
+  const time = [Math.floor(seconds / 3600), Math.floor(seconds / 60) % 60, seconds % 60]
+    .map((value) => String(value).padStart(2, '0'))
+    .join('')
+  return `${local.date.replace(/-/g, '')}T${time}`
+}
+
+/**
+ * Format a UTC offset
+ * @param {number} minutes - The offset in minutes
+ * @returns {string} The offset, e.g. +0800
+ */
+function formatOffset(minutes) {
+  const size = Math.abs(minutes)
+  return `${minutes < 0 ? '-' : '+'}${String(Math.floor(size / 60)).padStart(2, '0')}${String(size % 60).padStart(2, '0')}`
+}
+
+/**
+ * Describe a timezone's offsets over a span of time. A daylight saving
+ * change within the span gets its own observance from the minute it
+ * happens.
+ * @param {string} timezone - The timezone
+ * @param {Date} start - The start of the span
+ * @param {Date} end - The end of the span
+ * @returns {Array} The VTIMEZONE content lines
+ */
+function describeTimezone(timezone, start, end) {
+  const before = getUtcOffset(start, timezone)
+  const after = getUtcOffset(end, timezone)
+  const observances = [{ onset: '19700101T000000', from: before, to: before }]
+
+  if (after !== before) {
+    // Find the first minute of the new offset
+    let low = start.getTime()
+    let high = end.getTime()
+    while (high - low > MINUTE) {
+      const middle = low + Math.floor((high - low) / 2 / MINUTE) * MINUTE
+      if (getUtcOffset(new Date(middle), timezone) === before) {
+        low = middle
+      } else {
+        high = middle
+      }
+    }
+    // The onset is written in the local time it changes from
+    observances.push({ onset: formatUtc(new Date(high + before * MINUTE)).slice(0, -1), from: before, to: after })
+  }
+
+  const daylightIndex = after > before ? 1 : after < before ? 0 : -1
+  return [
+    'BEGIN:VTIMEZONE',
+    `TZID:${timezone}`,
+    ...observances.flatMap(({ onset, from, to }, index) => {
+      const kind = index === daylightIndex ? 'DAYLIGHT' : 'STANDARD'
+      return [
+        `BEGIN:${kind}`,
+        `DTSTART:${onset}`,
+        `TZOFFSETFROM:${formatOffset(from)}`,
+        `TZOFFSETTO:${formatOffset(to)}`,
+        `END:${kind}`
+      ]
+    }),
+    'END:VTIMEZONE'
+  ]
+}
+
+/**
+ * Write a calendar with one event
+ * @param {Object} event - The event
+ * @param {string} event.uid - The event's UID, the same for all its versions
+ * @param {number} event.sequence - The event's version, raised with every change sent out
+ * @param {string} event.status - TENTATIVE, CONFIRMED or CANCELLED
+ * @param {Date} event.start - When the event starts
+ * @param {Date} event.end - When the event ends
+ * @param {string} event.timezone - The IANA timezone its times are written in
+ * @param {string} event.summary - The event's title
+ * @param {string} [event.description] - More about the event
+ * @param {string} [event.location] - Where the event is, e.g. an address
+ * @param {Object} [event.geo] - Where the event is, as { latitude, longitude }
+ * @param {Object} [event.organizer] - Who organizes the event, as { name, email }
+ * @param {Object} [event.attendee] - Who attends the event, as { name, email }
+ * @param {Date} [event.lastModified] - When the event last changed
+ * @param {Object} [options] - Options
+ * @param {string} [options.method] - PUBLISH for a file to import, REQUEST to send
+ *   the event or an update of it, CANCEL to cancel it
+ * @param {Date} [options.stamp] - When the calendar is written
+ * @returns {string} The iCalendar file
+ */
+export function buildCalendar(event, { method = 'PUBLISH', stamp = new Date() } = {}) {
+  const { uid, sequence, status, start, end, timezone, summary, description, location, geo, organizer, attendee, lastModified } = event
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`,
+    ...describeTimezone(timezone, start, end),
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `SEQUENCE:${sequence}`,
+    `DTSTAMP:${formatUtc(stamp)}`,
+    `DTSTART;TZID=${timezone}:${formatLocal(start, timezone)}`,
+    `DTEND;TZID=${timezone}:${formatLocal(end, timezone)}`,
+    `SUMMARY:${escapeText(summary)}`,
+    description && `DESCRIPTION:${escapeText(description)}`,
+    location && `LOCATION:${escapeText(location)}`,
+    geo && `GEO:${geo.latitude.toFixed(6)};${geo.longitude.toFixed(6)}`,
+    `STATUS:${status}`,
+    organizer && `ORGANIZER;CN=${quoteParameter(organizer.name)}:mailto:${organizer.email}`,
+    attendee?.email &&
+      `ATTENDEE;CN=${quoteParameter(attendee.name || attendee.email)};ROLE=REQ-PARTICIPANT;PARTSTAT=ACCEPTED:mailto:${attendee.email}`,
+    lastModified && `LAST-MODIFIED:${formatUtc(lastModified)}`,
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ]
+
+  return lines.filter(Boolean).map(foldLine).join(CRLF) + CRLF
+}
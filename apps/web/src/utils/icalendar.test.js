@@ -0,0 +1,121 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { buildCalendar } from './icalendar.js'
+
+// London falls back on 2026-10-25 (02:00 BST becomes 01:00 GMT)
+// and springs forward on 2026-03-29 (01:00 GMT becomes 02:00 BST)
+const timezone = 'Europe/London'
+
+const booking = (fields) =>
+  buildCalendar(
+    {
+      uid: 'booking-1@bellyfed.com',
+      sequence: 0,
+      status: 'CONFIRMED',
+      start: new Date('2026-10-21T18:00:00Z'),
+      end: new Date('2026-10-21T20:00:00Z'),
+      timezone,
+      summary: 'Table for 2',
+      ...fields,
+    },
+    { stamp: new Date('2026-10-01T00:00:00Z') }
+  )
+
+// The content lines with folded lines joined back up
+const unfold = (calendar) => calendar.replace(/\r\n /g, '').split('\r\n')
+
+// The lines of one component, e.g. the VTIMEZONE
+const component = (calendar, name) => {
+  const lines = unfold(calendar)
+  return lines.slice(lines.indexOf(`BEGIN:${name}`), lines.indexOf(`END:${name}`) + 1)
+}
+
+describe('buildCalendar', () => {
+  it('folds long lines at 75 octets without splitting a multi-byte character', () => {
+    // SUMMARY: and 66 letters fill 74 octets, leaving no room for a 3-octet character
+    const summary = `${'a'.repeat(66)}麵${'b'.repeat(100)}`
+    const calendar = booking({ summary })
+    const lines = calendar.split('\r\n')
+    const start = lines.findIndex((line) => line.startsWith('SUMMARY:'))
+
+    assert.equal(lines[start], `SUMMARY:${'a'.repeat(66)}`)
+    assert.ok(lines[start + 1].startsWith(' 麵b'))
+    assert.ok(lines.every((line) => Buffer.byteLength(line) <= 75))
+    assert.ok(unfold(calendar).includes(`SUMMARY:${summary}`))
+  })
+
+  it('escapes text values', () => {
+    const calendar = booking({ summary: 'Laksa, Mee; Roti\\Canai', description: 'Window seat\nNo nuts' })
+    const lines = unfold(calendar)
+
+    assert.ok(lines.includes('SUMMARY:Laksa\\, Mee\\; Roti\\\\Canai'))
+    assert.ok(lines.includes('DESCRIPTION:Window seat\\nNo nuts'))
+  })
+
+  it('describes a timezone without a change over the booking with one observance', () => {
+    assert.deepEqual(component(booking({}), 'VTIMEZONE'), [
+      'BEGIN:VTIMEZONE',
+      `TZID:${timezone}`,
+      'BEGIN:STANDARD',
+      'DTSTART:19700101T000000',
+      'TZOFFSETFROM:+0100',
+      'TZOFFSETTO:+0100',
+      'END:STANDARD',
+      'END:VTIMEZONE',
+    ])
+  })
+
+  it('writes the local times of a booking spanning the clocks going back and when they change', () => {
+    // 01:30 BST to 02:00 GMT, half a wall-clock hour but 90 minutes long
+    const calendar = booking({
+      start: new Date('2026-10-25T00:30:00Z'),
+      end: new Date('2026-10-25T02:00:00Z'),
+    })
+    const lines = unfold(calendar)
+
+    assert.ok(lines.includes(`DTSTART;TZID=${timezone}:20261025T013000`))
+    assert.ok(lines.includes(`DTEND;TZID=${timezone}:20261025T020000`))
+    assert.deepEqual(component(calendar, 'VTIMEZONE'), [
+      'BEGIN:VTIMEZONE',
+      `TZID:${timezone}`,
+      'BEGIN:DAYLIGHT',
+      'DTSTART:19700101T000000',
+      'TZOFFSETFROM:+0100',
+      'TZOFFSETTO:+0100',
+      'END:DAYLIGHT',
+      'BEGIN:STANDARD',
+      'DTSTART:20261025T020000',
+      'TZOFFSETFROM:+0100',
+      'TZOFFSETTO:+0000',
+      'END:STANDARD',
+      'END:VTIMEZONE',
+    ])
+  })
+
+  it('writes the local times of a booking spanning the clocks going forward and when they change', () => {
+    // 00:30 GMT to 03:00 BST, two and a half wall-clock hours but 90 minutes long
+    const calendar = booking({
+      start: new Date('2026-03-29T00:30:00Z'),
+      end: new Date('2026-03-29T02:00:00Z'),
+    })
+    const lines = unfold(calendar)
+
+    assert.ok(lines.includes(`DTSTART;TZID=${timezone}:20260329T003000`))
+    assert.ok(lines.includes(`DTEND;TZID=${timezone}:20260329T030000`))
+    assert.deepEqual(component(calendar, 'VTIMEZONE'), [
+      'BEGIN:VTIMEZONE',
+      `TZID:${timezone}`,
+      'BEGIN:STANDARD',
+      'DTSTART:19700101T000000',
+      'TZOFFSETFROM:+0000',
+      'TZOFFSETTO:+0000',
+      'END:STANDARD',
+      'BEGIN:DAYLIGHT',
+      'DTSTART:20260329T010000',
+      'TZOFFSETFROM:+0000',
+      'TZOFFSETTO:+0100',
+      'END:DAYLIGHT',
+      'END:VTIMEZONE',
+    ])
+  })
+})
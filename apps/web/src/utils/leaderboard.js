@@ -0,0 +1,106 @@
+/**
+ * Leaderboard Utilities
+ *
+ * This module turns the rankings of a dish into its leaderboard. Scores
+ * are Bayesian averages: every entry is blended with a number of virtual
+ * rankings at the mean for its country, set by the prior weight.
+ */
+
+/**
+ * Aggregate every user's rankings of a dish into a single leaderboard.
+ * Each ranking contributes its normalized TOP points plus the weight of
+ * its interaction category. Totals are smoothed towards the mean
+ * contribution in the restaurant's country, so an entry with two rankings
+ * cannot outrank one with two hundred on the strength of a couple of
+ * enthusiastic users. Each ranking is scored with the parameters of its
+ * restaurant's country.
+ * @param {Array} rankings - Ranking rows for a single dish slug
+ * @param {Function} getParams - Returns the exponent, interaction weights and prior weight for a country code
+ * @returns {Array} Leaderboard entries ordered by position
+ */
+export function aggregateLeaderboard(rankings, getParams) {
+  const paramsFor = (ranking) => getParams(ranking.countryCode)
+
+  const rankingsByUser = new Map()
+  for (const ranking of rankings) {
+    const userRankings = rankingsByUser.get(ranking.userId) || []
+    userRankings.push(ranking)
+    rankingsByUser.set(ranking.userId, userRankings)
+  }
+
+  // Normalize each user's TOP points so every user carries equal weight
+  const normalizedPoints = new Map()
+  for (const userRankings of rankingsByUser.values()) {
+    const topRankings = userRankings
+      .filter((r) => r.category === 'TOP' && r.rankPosition !== null)
+      .sort((a, b) => a.rankPosition - b.rankPosition)
+    const points = topRankings.map((r, index) =>
+      Math.pow(topRankings.length - index, paramsFor(r).exponent)
+    )
+    const userTotalPoints = points.reduce((sum, p) => sum + p, 0)
+
+    topRankings.forEach((r, index) => {
+      normalizedPoints.set(r.id, points[index] / userTotalPoints)
+    })
+  }
+
+  const entries = new Map()
+  const contributionsByCountry = new Map()
+
+  for (const ranking of rankings) {
+    const contribution =
+      (normalizedPoints.get(ranking.id) || 0) +
+      (paramsFor(ranking).interactionWeights[ranking.category] || 0)
+
+    const countryTotals = contributionsByCountry.get(ranking.countryCode) || { total: 0, count: 0 }
+    countryTotals.total += contribution
+    countryTotals.count += 1
+    contributionsByCountry.set(ranking.countryCode, countryTotals)
+
+    const entry = entries.get(ranking.dishId) || {
+      dishId: ranking.dishId,
+      restaurantId: ranking.restaurantId,
+      countryCode: ranking.countryCode,
+      rawScore: 0,
+      rankingCount: 0,
+      topCount: 0,
+      ratingTotal: 0,
+      firstRankedAt: ranking.createdAt,
+      lastRankedAt: ranking.updatedAt,
+    }
+
+    entry.rawScore += contribution
+    entry.rankingCount += 1
+    entry.ratingTotal += ranking.rating
+    if (normalizedPoints.has(ranking.id)) {
+      entry.topCount += 1
+    }
+    if (ranking.createdAt < entry.firstRankedAt) {
+      entry.firstRankedAt = ranking.createdAt
+    }
+    if (ranking.updatedAt > entry.lastRankedAt) {
+      entry.lastRankedAt = ranking.updatedAt
+    }
+    entries.set(ranking.dishId, entry)
+  }
+
+  return [...entries.values()]
+    .map(({ ratingTotal, countryCode, ...entry }) => {
+      const { priorWeight } = getParams(countryCode)
+      const { total, count } = contributionsByCountry.get(countryCode)
+      const meanContribution = total / count
+
+      return {
+        ...entry,
+        averageRating: ratingTotal / entry.rankingCount,
+        score: (priorWeight * meanContribution + entry.rawScore) / (priorWeight + entry.rankingCount),
+      }
+    })
+    .sort(
+      (a, b) =>
+        b.score - a.score ||
+        b.rankingCount - a.rankingCount ||
+        a.dishId.localeCompare(b.dishId)
+    )
+    .map((entry, index) => ({ ...entry, position: index + 1 }))
+}
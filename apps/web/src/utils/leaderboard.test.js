@@ -0,0 +1,125 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { aggregateLeaderboard } from './leaderboard.js'
+
+const defaults = {
+  exponent: 1.5,
+  interactionWeights: { DISSATISFIED: -1, SECOND_CHANCE: -0.5, PLAN_TO_VISIT: 0.3, VISITED: 0, TOP: 0 },
+  priorWeight: 20,
+}
+
+// Parameters for each country, falling back to the defaults
+const paramsFor = (byCountry = {}) => (countryCode) => byCountry[countryCode] || defaults
+
+const rankedAt = new Date('2026-06-01T00:00:00Z')
+
+let nextId = 0
+const ranking = (dishId, category, fields = {}) => {
+  nextId += 1
+  return {
+    id: `ranking-${nextId}`,
+    userId: `user-${nextId}`,
+    dishId,
+    restaurantId: `restaurant-${dishId}`,
+    rating: 4,
+    rankPosition: null,
+    category,
+    countryCode: 'MY',
+    createdAt: rankedAt,
+    updatedAt: rankedAt,
+    ...fields,
+  }
+}
+
+const times = (count, make) => Array.from({ length: count }, make)
+
+describe('aggregateLeaderboard', () => {
+  it('pulls entries with few rankings towards the country mean by the prior weight', () => {
+    const rankings = [
+      ...times(2, () => ranking('few', 'PLAN_TO_VISIT')),
+      ...times(8, () => ranking('many', 'PLAN_TO_VISIT')),
+      ...times(2, () => ranking('many', 'VISITED')),
+      ...times(10, () => ranking('disliked', 'DISSATISFIED')),
+    ]
+    const mean = (0.6 + 2.4 - 10) / 22
+
+    const smoothed = aggregateLeaderboard(rankings, paramsFor())
+    assert.deepEqual(
+      smoothed.map((entry) => entry.dishId),
+      ['many', 'few', 'disliked']
+    )
+    assert.ok(Math.abs(smoothed[1].score - (20 * mean + 0.6) / 22) < 1e-12)
+
+    // Without a prior, two enthusiastic rankings beat ten good ones
+    const unsmoothed = aggregateLeaderboard(rankings, paramsFor({ MY: { ...defaults, priorWeight: 0 } }))
+    assert.deepEqual(
+      unsmoothed.map((entry) => entry.dishId),
+      ['few', 'many', 'disliked']
+    )
+    assert.ok(Math.abs(unsmoothed[0].score - 0.3) < 1e-12)
+  })
+
+  it('breaks ties by ranking count and then dish ID', () => {
+    const rankings = [
+      ranking('b', 'PLAN_TO_VISIT'),
+      ranking('a', 'PLAN_TO_VISIT'),
+      ...times(2, () => ranking('c', 'PLAN_TO_VISIT')),
+    ]
+
+    const entries = aggregateLeaderboard(rankings, paramsFor())
+
+    assert.deepEqual(
+      entries.map((entry) => [entry.dishId, entry.position, entry.rankingCount]),
+      [
+        ['c', 1, 2],
+        ['a', 2, 1],
+        ['b', 3, 1],
+      ]
+    )
+    assert.ok(entries.every((entry) => Math.abs(entry.score - 0.3) < 1e-12))
+  })
+
+  it('scores and smooths each ranking with its own country parameters', () => {
+    const singapore = {
+      ...defaults,
+      interactionWeights: { ...defaults.interactionWeights, PLAN_TO_VISIT: 1 },
+      priorWeight: 0,
+    }
+    const rankings = [
+      ranking('kl', 'PLAN_TO_VISIT'),
+      ranking('kl-disliked', 'DISSATISFIED'),
+      ranking('sg', 'PLAN_TO_VISIT', { countryCode: 'SG' }),
+    ]
+
+    const entries = aggregateLeaderboard(rankings, paramsFor({ SG: singapore }))
+    const scores = Object.fromEntries(entries.map((entry) => [entry.dishId, entry.score]))
+
+    // Malaysian entries are smoothed towards the Malaysian mean only
+    assert.equal(scores.sg, 1)
+    assert.ok(Math.abs(scores.kl - (20 * -0.35 + 0.3) / 21) < 1e-12)
+    assert.deepEqual(
+      entries.map((entry) => entry.dishId),
+      ['sg', 'kl', 'kl-disliked']
+    )
+  })
+
+  it('splits the TOP points of each user by position so every user carries equal weight', () => {
+    const rankings = [
+      ranking('first', 'TOP', { userId: 'user-top', rankPosition: 1 }),
+      ranking('second', 'TOP', { userId: 'user-top', rankPosition: 2 }),
+    ]
+
+    const entries = aggregateLeaderboard(rankings, paramsFor())
+    const first = Math.pow(2, 1.5) / (Math.pow(2, 1.5) + 1)
+
+    assert.deepEqual(
+      entries.map((entry) => [entry.dishId, entry.topCount]),
+      [
+        ['first', 1],
+        ['second', 1],
+      ]
+    )
+    assert.ok(Math.abs(entries[0].rawScore - first) < 1e-12)
+    assert.ok(Math.abs(entries[1].rawScore - (1 - first)) < 1e-12)
+  })
+})
@@ -0,0 +1,158 @@
+/**
+ * Menu Schedule Utilities
+ *
+ * This module works out which of a restaurant's named menus is served at a
+ * moment, in the restaurant's own timezone. A menu is served in its weekly
+ * windows, or all day if it has none, and only between its start and end
+ * dates if it has them. As with opening hours, a window whose end is not
+ * after its start runs past midnight into the next day. When several menus
+ * are served at once, a seasonal menu wins over a scheduled one and a
+ * scheduled one over an all-day one, then the owner's order decides.
+ */
+
+import { getLocalTime, addDays, toMinutes } from './openingHours.js'
+
+const MINUTES_PER_DAY = 24 * 60
+
+// How many days ahead to look for the next menu
+const NEXT_MENU_LOOKAHEAD_DAYS = 8
+
+// Short day names, indexed by dayOfWeek
+const DAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+
+/**
+ * Get the windows a menu is served in that start on a local date. A
+ * window belongs to the date it starts on, so a dinner menu running past
+ * midnight on the last day of a season is served until it ends.
+ * @param {Object} menu - The menu
+ * @param {string} date - The local date as YYYY-MM-DD
+ * @returns {Array} The windows as [start, end] minutes after that date's midnight
+ */
+function getWindowsStartingOn(menu, date) {
+  if ((menu.startDate && date < menu.startDate) || (menu.endDate && date > menu.endDate)) {
+    return []
+  }
+  if (menu.schedules.length === 0) {
+    return [[0, MINUTES_PER_DAY]]
+  }
+
+  const dayOfWeek = new Date(`${date}T00:00:00Z`).getUTCDay()
+  return menu.schedules
+    .filter((schedule) => schedule.dayOfWeek === dayOfWeek)
+    .map(({ startTime, endTime }) => {
+      const start = toMinutes(startTime)
+      const end = toMinutes(endTime)
+      return [start, end > start ? end : end + MINUTES_PER_DAY]
+    })
+}
+
+/**
+ * Rank menus served at the same time: seasonal, then scheduled, then all
+ * day, then in the owner's order
+ * @param {Object} a - A menu
+ * @param {Object} b - Another menu
+ * @returns {number} Negative if a wins
+ */
+function compareMenus(a, b) {
+  const kind = (menu) => (menu.startDate || menu.endDate ? 0 : menu.schedules.length > 0 ? 1 : 2)
+  return kind(a) - kind(b) || a.position - b.position
+}
+
+/**
+ * Work out which menus are served at a moment
+ * @param {Array} menus - The menus as { startDate, endDate, schedules, position },
+ *   with dates as YYYY-MM-DD and schedules as { dayOfWeek, startTime, endTime }, 0 for Sunday
+ * @param {string} timezone - The timezone the schedules are in
+ * @param {Date} [now] - The moment to check
+ * @returns {Object} The menu shown and when it stops being served, all
+ *   menus served now, best first, and the next other menu to start
+ */
+export function getServedMenus(menus, timezone, now = new Date()) {
+  const local = getLocalTime(now, timezone)
+
+  // Windows from yesterday (which may run past midnight) to the lookahead,
+  // in minutes after today's local midnight
+  const windows = []
+  for (const menu of menus) {
+    for (let offset = -1; offset < NEXT_MENU_LOOKAHEAD_DAYS; offset++) {
+      for (const [start, end] of getWindowsStartingOn(menu, addDays(local.date, offset))) {
+        windows.push({ menu, start: start + offset * MINUTES_PER_DAY, end: end + offset * MINUTES_PER_DAY })
+      }
+    }
+  }
+  windows.sort((a, b) => a.start - b.start)
+
+  // Local minutes are turned back into moments relative to now, which is
+  // off by an hour across a daylight saving change
+  const toMoment = (minutes) =>
+    new Date(now.getTime() + Math.round((minutes - local.minutes) * 60) * 1000).toISOString()
+
+  const served = [...new Set(
+    windows.filter(({ start, end }) => start <= local.minutes && local.minutes < end).map(({ menu }) => menu)
+  )].sort(compareMenus)
+
+  const current = served[0] || null
+  let endsAt = null
+  if (current) {
+    // Follow the menu's touching windows, e.g. an all-day menu over several days
+    let end = local.minutes
+    for (const window of windows) {
+      if (window.menu === current && window.start <= end && window.end > end) {
+        end = window.end
+      }
+    }
+    endsAt = end < (NEXT_MENU_LOOKAHEAD_DAYS - 1) * MINUTES_PER_DAY ? toMoment(end) : null
+  }
+
+  const next = windows.find(({ menu, start }) => start > local.minutes && !served.includes(menu))
+
+  return {
+    timezone,
+    localDate: local.date,
+    current: current && { menu: current, endsAt },
+    served,
+    next: next ? { menu: next.menu, startsAt: toMoment(next.start) } : null,
+  }
+}
+
+/**
+ * Describe a menu's weekly windows, grouping days served at the same times
+ * @param {Array} schedules - The windows as { dayOfWeek, startTime, endTime }
+ * @returns {string} The description, e.g. "Mon–Fri 11:00–15:00; Sat, Sun 10:00–14:00"
+ */
+export function formatMenuSchedules(schedules) {
+  if (schedules.length === 0) {
+    return 'All day'
+  }
+
+  const daysByTimes = new Map()
+  for (const { dayOfWeek, startTime, endTime } of schedules) {
+    const times = `${startTime}–${endTime}`
+    daysByTimes.set(times, [...(daysByTimes.get(times) || []), dayOfWeek])
+  }
+
+  return [...daysByTimes.entries()]
+    .map(([times, days]) => {
+      // Weeks start on Monday; runs of three or more days become ranges
+      const sorted = [...new Set(days)].sort((a, b) => ((a + 6) % 7) - ((b + 6) % 7))
+      if (sorted.length === 7) {
+        return `Daily ${times}`
+      }
+      const runs = []
+      for (const day of sorted) {
+        const run = runs[runs.length - 1]
+        if (run && (run[run.length - 1] + 1) % 7 === day) {
+          run.push(day)
+        } else {
+          runs.push([day])
+        }
+      }
+      const labels = runs.flatMap((run) =>
+        run.length >= 3
+          ? [`${DAY_LABELS[run[0]]}–${DAY_LABELS[run[run.length - 1]]}`]
+          : run.map((day) => DAY_LABELS[day])
+      )
+      return `${labels.join(', ')} ${times}`
+    })
+    .join('; ')
+}
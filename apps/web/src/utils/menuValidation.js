@@ -0,0 +1,343 @@
+/**
+ * Menu Validation Utility
+ *
+ * This module holds the field rules shared by the endpoints that write
+ * restaurant menus, so editing an item and importing a menu file apply the
+ * same limits.
+ */
+
+/**
+ * Dietary labels a menu item can carry
+ */
+export const MENU_DIETARY_OPTIONS = ['vegetarian', 'vegan', 'gluten_free', 'dairy_free', 'nut_free', 'halal', 'kosher']
+
+/**
+ * Field limits for menus
+ */
+export const MENU_LIMITS = {
+  maxNameLength: 200,
+  maxDescriptionLength: 1000,
+  maxCategoryNameLength: 100,
+  maxPrice: 100000,
+  maxAllergens: 20,
+  maxAllergenLength: 50,
+  maxPreparationTimeLength: 50,
+  maxDishSlugLength: 100,
+  maxMenuNameLength: 100,
+  maxSchedules: 21,
+  maxVersionItems: 500,
+  maxVersionNoteLength: 500
+}
+
+/**
+ * Canonical dish slugs: lowercase words joined by hyphens, e.g. nasi-lemak
+ */
+const DISH_SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/
+
+/**
+ * Times of day as HH:MM, 24-hour
+ */
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/
+
+/**
+ * Check that a value is a real calendar date as YYYY-MM-DD
+ * @param {any} value The value
+ * @returns {boolean} Whether it is a valid date
+ */
+const isValidDate = (value) =>
+  typeof value === 'string' &&
+  /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+  !Number.isNaN(Date.parse(`${value}T00:00:00Z`)) &&
+  new Date(`${value}T00:00:00Z`).toISOString().startsWith(value)
+
+/**
+ * Check that a value is an amount of money with at most two decimals
+ * @param {any} price The value
+ * @returns {boolean} Whether it is a valid price
+ */
+const isValidPrice = (price) =>
+  typeof price === 'number' &&
+  Number.isFinite(price) &&
+  price >= 0 &&
+  price <= MENU_LIMITS.maxPrice &&
+  Math.abs(Math.round(price * 100) - price * 100) < 1e-6
+
+/**
+ * Validate the user-supplied fields of a menu item
+ * @param {object} data The item fields
+ * @param {object} [options] Options
+ * @param {boolean} [options.partial] Only check the fields present, for updates
+ * @returns {object|null} The first failure as { field, error, message }, or null if valid
+ */
+export const validateMenuItemFields = (data, { partial = false } = {}) => {
+  const {
+    name,
+    description,
+    price,
+    isAvailable,
+    isSpecial,
+    dietaryInfo,
+    allergens,
+    preparationTime,
+    dishSlug
+  } = data
+  const present = (value) => !partial || value !== undefined
+
+  if (present(name) && (typeof name !== 'string' || !name.trim() || name.trim().length > MENU_LIMITS.maxNameLength)) {
+    return {
+      field: 'name',
+      error: 'Invalid name',
+      message: `Name is required and must be at most ${MENU_LIMITS.maxNameLength} characters`
+    }
+  }
+
+  if (present(price) && !isValidPrice(price)) {
+    return {
+      field: 'price',
+      error: 'Invalid price',
+      message: `Price must be a number between 0 and ${MENU_LIMITS.maxPrice} with at most two decimals`
+    }
+  }
+
+  if (description !== undefined && description !== null && (typeof description !== 'string' || description.length > MENU_LIMITS.maxDescriptionLength)) {
+    return {
+      field: 'description',
+      error: 'Invalid description',
+      message: `Description must be a string with maximum ${MENU_LIMITS.maxDescriptionLength} characters`
+    }
+  }
+
+  for (const [field, value] of Object.entries({ isAvailable, isSpecial })) {
+    if (value !== undefined && typeof value !== 'boolean') {
+      return {
+        field,
+        error: `Invalid ${field}`,
+        message: `${field} must be true or false`
+      }
+    }
+  }
+
+  if (dietaryInfo !== undefined && (!Array.isArray(dietaryInfo) || dietaryInfo.some((option) => !MENU_DIETARY_OPTIONS.includes(option)))) {
+    return {
+      field: 'dietaryInfo',
+      error: 'Invalid dietary info',
+      message: `Dietary info must be a list of: ${MENU_DIETARY_OPTIONS.join(', ')}`
+    }
+  }
+
+  if (
+    allergens !== undefined &&
+    (!Array.isArray(allergens) ||
+      allergens.length > MENU_LIMITS.maxAllergens ||
+      allergens.some((allergen) => typeof allergen !== 'string' || !allergen.trim() || allergen.length > MENU_LIMITS.maxAllergenLength))
+  ) {
+    return {
+      field: 'allergens',
+      error: 'Invalid allergens',
+      message: `Allergens must be a list of at most ${MENU_LIMITS.maxAllergens} names`
+    }
+  }
+
+  if (preparationTime !== undefined && preparationTime !== null && (typeof preparationTime !== 'string' || preparationTime.length > MENU_LIMITS.maxPreparationTimeLength)) {
+    return {
+      field: 'preparationTime',
+      error: 'Invalid preparation time',
+      message: `Preparation time must be a string with maximum ${MENU_LIMITS.maxPreparationTimeLength} characters`
+    }
+  }
+
+  if (
+    dishSlug !== undefined &&
+    dishSlug !== null &&
+    (typeof dishSlug !== 'string' || dishSlug.length > MENU_LIMITS.maxDishSlugLength || !DISH_SLUG_PATTERN.test(dishSlug))
+  ) {
+    return {
+      field: 'dishSlug',
+      error: 'Invalid dish slug',
+      message: 'Dish slug must be lowercase words joined by hyphens, e.g. nasi-lemak'
+    }
+  }
+
+  return null
+}
+
+/**
+ * Validate the user-supplied fields of a menu category
+ * @param {object} data The category fields
+ * @param {object} [options] Options
+ * @param {boolean} [options.partial] Only check the fields present, for updates
+ * @returns {object|null} The first failure as { field, error, message }, or null if valid
+ */
+export const validateMenuCategoryFields = ({ name, description }, { partial = false } = {}) => {
+  if ((!partial || name !== undefined) && (typeof name !== 'string' || !name.trim() || name.trim().length > MENU_LIMITS.maxCategoryNameLength)) {
+    return {
+      field: 'name',
+      error: 'Invalid name',
+      message: `Category name is required and must be at most ${MENU_LIMITS.maxCategoryNameLength} characters`
+    }
+  }
+
+  if (description !== undefined && description !== null && (typeof description !== 'string' || description.length > MENU_LIMITS.maxDescriptionLength)) {
+    return {
+      field: 'description',
+      error: 'Invalid description',
+      message: `Description must be a string with maximum ${MENU_LIMITS.maxDescriptionLength} characters`
+    }
+  }
+
+  return null
+}
+
+/**
+ * Validate the user-supplied fields of a named menu, such as lunch or a
+ * seasonal buffet
+ * @param {object} data The menu fields
+ * @param {object} [options] Options
+ * @param {boolean} [options.partial] Only check the fields present, for updates
+ * @returns {object|null} The first failure as { field, error, message }, or null if valid
+ */
+export const validateScheduledMenuFields = (data, { partial = false } = {}) => {
+  const { name, description, startDate, endDate, isEnabled, schedules } = data
+
+  if ((!partial || name !== undefined) && (typeof name !== 'string' || !name.trim() || name.trim().length > MENU_LIMITS.maxMenuNameLength)) {
+    return {
+      field: 'name',
+      error: 'Invalid name',
+      message: `Menu name is required and must be at most ${MENU_LIMITS.maxMenuNameLength} characters`
+    }
+  }
+
+  if (description !== undefined && description !== null && (typeof description !== 'string' || description.length > MENU_LIMITS.maxDescriptionLength)) {
+    return {
+      field: 'description',
+      error: 'Invalid description',
+      message: `Description must be a string with maximum ${MENU_LIMITS.maxDescriptionLength} characters`
+    }
+  }
+
+  for (const [field, value] of Object.entries({ startDate, endDate })) {
+    if (value !== undefined && value !== null && !isValidDate(value)) {
+      return {
+        field,
+        error: `Invalid ${field}`,
+        message: `${field} must be a date as YYYY-MM-DD`
+      }
+    }
+  }
+
+  if (startDate && endDate && endDate < startDate) {
+    return {
+      field: 'endDate',
+      error: 'Invalid endDate',
+      message: 'endDate must not be before startDate'
+    }
+  }
+
+  if (isEnabled !== undefined && typeof isEnabled !== 'boolean') {
+    return {
+      field: 'isEnabled',
+      error: 'Invalid isEnabled',
+      message: 'isEnabled must be true or false'
+    }
+  }
+
+  if (
+    schedules !== undefined &&
+    (!Array.isArray(schedules) ||
+      schedules.length > MENU_LIMITS.maxSchedules ||
+      schedules.some((schedule) =>
+        !Number.isInteger(schedule?.dayOfWeek) ||
+        schedule.dayOfWeek < 0 ||
+        schedule.dayOfWeek > 6 ||
+        !TIME_PATTERN.test(schedule.startTime) ||
+        !TIME_PATTERN.test(schedule.endTime) ||
+        schedule.startTime === schedule.endTime))
+  ) {
+    return {
+      field: 'schedules',
+      error: 'Invalid schedules',
+      message: `Schedules must be a list of at most ${MENU_LIMITS.maxSchedules} windows as { dayOfWeek, startTime, endTime }, with dayOfWeek 0 (Sunday) to 6 and different HH:MM times`
+    }
+  }
+
+  return null
+}
+
+/**
+ * Validate a new version of a named menu
+ * @param {object} data The version fields
+ * @returns {object|null} The first failure as { field, error, message }, or null if valid
+ */
+export const validateMenuVersionFields = ({ items, note, publishAt }) => {
+  if (
+    !Array.isArray(items) ||
+    items.length === 0 ||
+    items.length > MENU_LIMITS.maxVersionItems ||
+    items.some((item) => typeof item?.itemId !== 'string' || !item.itemId || (item.price !== undefined && item.price !== null && !isValidPrice(item.price)))
+  ) {
+    return {
+      field: 'items',
+      error: 'Invalid items',
+      message: `Items must be a list of 1 to ${MENU_LIMITS.maxVersionItems} menu items as { itemId, price }, where price is optional`
+    }
+  }
+
+  if (new Set(items.map((item) => item.itemId)).size !== items.length) {
+    return {
+      field: 'items',
+      error: 'Invalid items',
+      message: 'Each menu item can only be listed once'
+    }
+  }
+
+  if (note !== undefined && note !== null && (typeof note !== 'string' || note.length > MENU_LIMITS.maxVersionNoteLength)) {
+    return {
+      field: 'note',
+      error: 'Invalid note',
+      message: `Note must be a string with maximum ${MENU_LIMITS.maxVersionNoteLength} characters`
+    }
+  }
+
+  if (publishAt !== undefined && publishAt !== null && (typeof publishAt !== 'string' || Number.isNaN(Date.parse(publishAt)))) {
+    return {
+      field: 'publishAt',
+      error: 'Invalid publishAt',
+      message: 'publishAt must be an ISO 8601 date and time'
+    }
+  }
+
+  return null
+}
+
+/**
+ * Convert a dish name into a canonical dish slug
+ * @param {string} name The dish name
+ * @returns {string} The slug, e.g. "Nasi Lemak" becomes nasi-lemak
+ */
+export const toDishSlug = (name) =>
+  name
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, MENU_LIMITS.maxDishSlugLength)
+    .replace(/-+$/, '')
+
+/**
+ * Trim the text fields of a menu item that passed validation. Blank
+ * optional fields become null; fields that were not given stay undefined.
+ * @param {object} data The item fields
+ * @returns {object} The item fields, trimmed
+ */
+export const normalizeMenuItemFields = (data) => {
+  const optionalText = (value) => (value === undefined ? undefined : value?.trim() || null)
+
+  return {
+    ...data,
+    name: data.name?.trim(),
+    description: optionalText(data.description),
+    preparationTime: optionalText(data.preparationTime),
+    allergens: data.allergens?.map((allergen) => allergen.trim())
+  }
+}
@@ -0,0 +1,370 @@
+/**
+ * Offer Validation Utility
+ *
+ * This module holds the field rules for restaurant offers and coupon
+ * redemptions, shared by the endpoints that create, edit and redeem them.
+ */
+
+/**
+ * Kinds of offer
+ */
+export const OFFER_TYPES = ['discount', 'bogo', 'set_meal', 'free_item', 'special']
+
+/**
+ * How a discount is given: a percentage of the order or a fixed amount
+ */
+export const OFFER_DISCOUNT_TYPES = ['percentage', 'amount']
+
+/**
+ * How an offer is redeemed: without a code, with one code shared by
+ * everyone, or with single-use codes
+ */
+export const OFFER_CODE_TYPES = ['none', 'shared', 'unique']
+
+/**
+ * Field limits for offers
+ */
+export const OFFER_LIMITS = {
+  maxTitleLength: 150,
+  maxDescriptionLength: 1000,
+  maxAmount: 100000,
+  maxTerms: 10,
+  maxTermLength: 200,
+  maxImageUrlLength: 500,
+  maxSchedules: 21,
+  maxRedemptions: 1000000,
+  maxCodesPerRequest: 500,
+  maxCodesPerOffer: 10000
+}
+
+/**
+ * Coupon codes: letters, digits and inner hyphens, in upper case
+ */
+const CODE_PATTERN = /^[A-Z0-9](?:[A-Z0-9-]{2,30})[A-Z0-9]$/
+
+/**
+ * Times of day as HH:MM, 24-hour
+ */
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/
+
+/**
+ * Check that a value is an amount of money with at most two decimals
+ * @param {any} amount The value
+ * @returns {boolean} Whether it is a valid amount
+ */
+const isValidAmount = (amount) =>
+  typeof amount === 'number' &&
+  Number.isFinite(amount) &&
+  amount >= 0 &&
+  amount <= OFFER_LIMITS.maxAmount &&
+  Math.abs(Math.round(amount * 100) - amount * 100) < 1e-6
+
+/**
+ * Check that a value is an ISO 8601 date and time
+ * @param {any} value The value
+ * @returns {boolean} Whether it is a valid moment
+ */
+const isValidMoment = (value) => typeof value === 'string' && !Number.isNaN(Date.parse(value))
+
+/**
+ * Normalize a coupon code as typed by a customer or staff member
+ * @param {string} code The code
+ * @returns {string} The code, trimmed and in upper case
+ */
+export const normalizeOfferCode = (code) => code.trim().toUpperCase()
+
+/**
+ * Validate the user-supplied fields of an offer
+ * @param {object} data The offer fields
+ * @param {object} [options] Options
+ * @param {boolean} [options.partial] Only check the fields present, for updates
+ * @returns {object|null} The first failure as { field, error, message }, or null if valid
+ */
+export const validateOfferFields = (data, { partial = false } = {}) => {
+  const {
+    title,
+    description,
+    type,
+    discountType,
+    discountValue,
+    originalPrice,
+    offerPrice,
+    minOrderValue,
+    maxDiscount,
+    terms,
+    imageUrl,
+    codeType,
+    code,
+    codeCount,
+    validFrom,
+    validUntil,
+    maxRedemptions,
+    maxRedemptionsPerUser,
+    isActive,
+    schedules
+  } = data
+
+  if ((!partial || title !== undefined) && (typeof title !== 'string' || !title.trim() || title.trim().length > OFFER_LIMITS.maxTitleLength)) {
+    return {
+      field: 'title',
+      error: 'Invalid title',
+      message: `Title is required and must be at most ${OFFER_LIMITS.maxTitleLength} characters`
+    }
+  }
+
+  if (description !== undefined && description !== null && (typeof description !== 'string' || description.length > OFFER_LIMITS.maxDescriptionLength)) {
+    return {
+      field: 'description',
+      error: 'Invalid description',
+      message: `Description must be a string with maximum ${OFFER_LIMITS.maxDescriptionLength} characters`
+    }
+  }
+
+  // The kind of offer and how it is redeemed are fixed once it is created
+  if (partial) {
+    for (const field of ['type', 'codeType', 'codeCount']) {
+      if (data[field] !== undefined) {
+        return {
+          field,
+          error: `Invalid ${field}`,
+          message: `${field} cannot be changed; create a new offer instead`
+        }
+      }
+    }
+  } else {
+    if (!OFFER_TYPES.includes(type)) {
+      return {
+        field: 'type',
+        error: 'Invalid type',
+        message: `Type must be one of: ${OFFER_TYPES.join(', ')}`
+      }
+    }
+
+    if (codeType !== undefined && !OFFER_CODE_TYPES.includes(codeType)) {
+      return {
+        field: 'codeType',
+        error: 'Invalid codeType',
+        message: `Code type must be one of: ${OFFER_CODE_TYPES.join(', ')}`
+      }
+    }
+
+    if (type === 'discount' && (discountType === undefined || discountValue === undefined)) {
+      return {
+        field: 'discountValue',
+        error: 'Invalid discount',
+        message: 'Discounts need a discountType and a discountValue'
+      }
+    }
+
+    if (type === 'set_meal' && offerPrice === undefined) {
+      return {
+        field: 'offerPrice',
+        error: 'Invalid offerPrice',
+        message: 'Set meals need an offerPrice'
+      }
+    }
+
+    if (codeType === 'shared' && code === undefined) {
+      return {
+        field: 'code',
+        error: 'Invalid code',
+        message: 'Offers with a shared code need a code'
+      }
+    }
+
+    if (codeCount !== undefined && (codeType !== 'unique' || !Number.isInteger(codeCount) || codeCount < 0 || codeCount > OFFER_LIMITS.maxCodesPerRequest)) {
+      return {
+        field: 'codeCount',
+        error: 'Invalid codeCount',
+        message: `codeCount is only for offers with unique codes and must be 0 to ${OFFER_LIMITS.maxCodesPerRequest}`
+      }
+    }
+  }
+
+  if (discountType !== undefined && !OFFER_DISCOUNT_TYPES.includes(discountType)) {
+    return {
+      field: 'discountType',
+      error: 'Invalid discountType',
+      message: `Discount type must be one of: ${OFFER_DISCOUNT_TYPES.join(', ')}`
+    }
+  }
+
+  if (discountValue !== undefined && (!isValidAmount(discountValue) || discountValue === 0 || (discountType === 'percentage' && discountValue > 100))) {
+    return {
+      field: 'discountValue',
+      error: 'Invalid discountValue',
+      message: 'Discount value must be a positive amount, and at most 100 for percentages'
+    }
+  }
+
+  // A set meal's price can be changed but not removed
+  for (const [field, value] of Object.entries({ offerPrice, originalPrice, minOrderValue, maxDiscount })) {
+    if (value !== undefined && (value !== null || field === 'offerPrice') && !isValidAmount(value)) {
+      return {
+        field,
+        error: `Invalid ${field}`,
+        message: `${field} must be an amount between 0 and ${OFFER_LIMITS.maxAmount} with at most two decimals`
+      }
+    }
+  }
+
+  if (
+    terms !== undefined &&
+    (!Array.isArray(terms) ||
+      terms.length > OFFER_LIMITS.maxTerms ||
+      terms.some((term) => typeof term !== 'string' || !term.trim() || term.length > OFFER_LIMITS.maxTermLength))
+  ) {
+    return {
+      field: 'terms',
+      error: 'Invalid terms',
+      message: `Terms must be a list of at most ${OFFER_LIMITS.maxTerms} strings of at most ${OFFER_LIMITS.maxTermLength} characters`
+    }
+  }
+
+  if (imageUrl !== undefined && imageUrl !== null) {
+    let url
+    try {
+      url = new URL(imageUrl)
+    } catch {
+      url = null
+    }
+    if (!url || !['https:', 'http:'].includes(url.protocol) || imageUrl.length > OFFER_LIMITS.maxImageUrlLength) {
+      return {
+        field: 'imageUrl',
+        error: 'Invalid imageUrl',
+        message: `Image URL must be an http(s) URL of at most ${OFFER_LIMITS.maxImageUrlLength} characters`
+      }
+    }
+  }
+
+  if (code !== undefined && (typeof code !== 'string' || !CODE_PATTERN.test(normalizeOfferCode(code)))) {
+    return {
+      field: 'code',
+      error: 'Invalid code',
+      message: 'Code must be 4 to 32 letters, digits or inner hyphens'
+    }
+  }
+
+  for (const [field, value] of Object.entries({ validFrom, validUntil })) {
+    if (value !== undefined && value !== null && !isValidMoment(value)) {
+      return {
+        field,
+        error: `Invalid ${field}`,
+        message: `${field} must be an ISO 8601 date and time`
+      }
+    }
+  }
+
+  if (validFrom && validUntil && Date.parse(validUntil) <= Date.parse(validFrom)) {
+    return {
+      field: 'validUntil',
+      error: 'Invalid validUntil',
+      message: 'validUntil must be after validFrom'
+    }
+  }
+
+  for (const [field, value] of Object.entries({ maxRedemptions, maxRedemptionsPerUser })) {
+    if (value !== undefined && value !== null && (!Number.isInteger(value) || value < 1 || value > OFFER_LIMITS.maxRedemptions)) {
+      return {
+        field,
+        error: `Invalid ${field}`,
+        message: `${field} must be a whole number from 1 to ${OFFER_LIMITS.maxRedemptions}`
+      }
+    }
+  }
+
+  if (isActive !== undefined && typeof isActive !== 'boolean') {
+    return {
+      field: 'isActive',
+      error: 'Invalid isActive',
+      message: 'isActive must be true or false'
+    }
+  }
+
+  if (
+    schedules !== undefined &&
+    (!Array.isArray(schedules) ||
+      schedules.length > OFFER_LIMITS.maxSchedules ||
+      schedules.some((schedule) =>
+        !Number.isInteger(schedule?.dayOfWeek) ||
+        schedule.dayOfWeek < 0 ||
+        schedule.dayOfWeek > 6 ||
+        !TIME_PATTERN.test(schedule.startTime) ||
+        !TIME_PATTERN.test(schedule.endTime) ||
+        schedule.startTime === schedule.endTime))
+  ) {
+    return {
+      field: 'schedules',
+      error: 'Invalid schedules',
+      message: `Schedules must be a list of at most ${OFFER_LIMITS.maxSchedules} windows as { dayOfWeek, startTime, endTime }, with dayOfWeek 0 (Sunday) to 6 and different HH:MM times`
+    }
+  }
+
+  return null
+}
+
+/**
+ * Validate a redemption request from restaurant staff
+ * @param {object} data The redemption fields
+ * @returns {object|null} The first failure as { field, error, message }, or null if valid
+ */
+export const validateRedemptionFields = ({ code, offerId, userId, orderValue, validateOnly }) => {
+  if ((code === undefined) === (offerId === undefined)) {
+    return {
+      field: 'code',
+      error: 'Invalid redemption',
+      message: 'Either a coupon code or, for offers without codes, an offer ID is required'
+    }
+  }
+
+  if (code !== undefined && (typeof code !== 'string' || !CODE_PATTERN.test(normalizeOfferCode(code)))) {
+    return {
+      field: 'code',
+      error: 'Invalid code',
+      message: 'Code must be 4 to 32 letters, digits or inner hyphens'
+    }
+  }
+
+  for (const [field, value] of Object.entries({ offerId, userId })) {
+    if (value !== undefined && value !== null && (typeof value !== 'string' || !value)) {
+      return {
+        field,
+        error: `Invalid ${field}`,
+        message: `${field} must be a string`
+      }
+    }
+  }
+
+  if (orderValue !== undefined && orderValue !== null && !isValidAmount(orderValue)) {
+    return {
+      field: 'orderValue',
+      error: 'Invalid orderValue',
+      message: `Order value must be an amount between 0 and ${OFFER_LIMITS.maxAmount} with at most two decimals`
+    }
+  }
+
+  if (validateOnly !== undefined && typeof validateOnly !== 'boolean') {
+    return {
+      field: 'validateOnly',
+      error: 'Invalid validateOnly',
+      message: 'validateOnly must be true or false'
+    }
+  }
+
+  return null
+}
+
+/**
+ * Trim the text fields of an offer that passed validation and normalize
+ * its code. Blank descriptions become null; fields that were not given
+ * stay undefined.
+ * @param {object} data The offer fields
+ * @returns {object} The offer fields, normalized
+ */
+export const normalizeOfferFields = (data) => ({
+  ...data,
+  title: data.title?.trim(),
+  description: data.description === undefined ? undefined : data.description?.trim() || null,
+  terms: data.terms?.map((term) => term.trim()),
+  code: data.code === undefined ? undefined : normalizeOfferCode(data.code)
+})
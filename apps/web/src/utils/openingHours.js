@@ -0,0 +1,259 @@
+/**
+ * Opening Hours Utilities
+ *
+ * This module works out whether a restaurant is open from its weekly hours
+ * and dated special hours, in the restaurant's own timezone. A period whose
+ * closing time is not after its opening time runs past midnight into the
+ * next day, so a hawker stall open 18:00-03:00 is stored as one period.
+ * A day with special hours uses only those, replacing its weekly hours.
+ */
+
+/**
+ * Default timezone of each country, used for restaurants without their own.
+ * Countries spanning several timezones need the restaurant's timezone set.
+ */
+export const COUNTRY_TIMEZONES = {
+  MY: 'Asia/Kuala_Lumpur',
+  SG: 'Asia/Singapore',
+  TH: 'Asia/Bangkok',
+  ID: 'Asia/Jakarta',
+  PH: 'Asia/Manila',
+  VN: 'Asia/Ho_Chi_Minh',
+  HK: 'Asia/Hong_Kong',
+  TW: 'Asia/Taipei',
+  JP: 'Asia/Tokyo',
+  KR: 'Asia/Seoul',
+  IN: 'Asia/Kolkata',
+  GB: 'Europe/London',
+  US: 'America/New_York',
+  AU: 'Australia/Sydney',
+}
+
+/**
+ * Minutes before closing time from which a restaurant counts as closing soon
+ */
+export const CLOSING_SOON_MINUTES = 30
+
+const MINUTES_PER_DAY = 24 * 60
+
+// How many days ahead to look for the next opening
+const NEXT_OPENING_LOOKAHEAD_DAYS = 8
+
+// Date formatters by timezone, as creating one is slow
+const localTimeFormats = new Map()
+
+/**
+ * Check whether a string is an IANA timezone name
+ * @param {string} timezone - The timezone, e.g. Asia/Kuala_Lumpur
+ * @returns {boolean} Whether the timezone is known
+ */
+export function isValidTimezone(timezone) {
+  if (typeof timezone !== 'string' || !timezone) {
+    return false
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone })
+    return true
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Get the timezone a restaurant's hours are in
+ * @param {Object} restaurant - The restaurant, with timezone and countryCode
+ * @returns {string} Its own timezone, else its country's, else UTC
+ */
+export function getRestaurantTimezone({ timezone, countryCode } = {}) {
+  return timezone || COUNTRY_TIMEZONES[countryCode?.toUpperCase()] || 'UTC'
+}
+
+/**
+ * Convert a time of day to minutes after midnight
+ * @param {string} time - The time as HH:MM or HH:MM:SS
+ * @returns {number} The minutes after midnight
+ */
+export function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number)
+  return hours * 60 + minutes
+}
+
+/**
+ * Get the local date and time of a moment in a timezone
+ * @param {Date} date - The moment
+ * @param {string} timezone - The timezone
+ * @returns {Object} The local date as YYYY-MM-DD, its day of week and the minutes after midnight
+ */
+export function getLocalTime(date, timezone) {
+  if (!localTimeFormats.has(timezone)) {
+    localTimeFormats.set(
+      timezone,
+      new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+        hourCycle: 'h23',
+      })
+    )
+  }
+  const parts = Object.fromEntries(
+    localTimeFormats
+      .get(timezone)
+      .formatToParts(date)
+      .map(({ type, value }) => [type, value])
+  )
+  const localDate = `${parts.year}-${parts.month}-${parts.day}`
+
+  return {
+    date: localDate,
+    dayOfWeek: new Date(`${localDate}T00:00:00Z`).getUTCDay(),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute) + Number(parts.second) / 60,
+  }
+}
+
+/**
+ * Get a timezone's offset from UTC at a moment
+ * @param {Date} date - The moment
+ * @param {string} timezone - The timezone
+ * @returns {number} The offset in minutes, positive east of UTC
+ */
+export function getUtcOffset(date, timezone) {
+  const local = getLocalTime(date, timezone)
+  const wall = Date.parse(`${local.date}T00:00:00Z`) + Math.round(local.minutes * 60) * 1000
+  return Math.round((wall - date.getTime()) / (60 * 1000))
+}
+
+/**
+ * Get the moment a local date and time happen in a timezone. Times that
+ * are skipped by a daylight saving change are moved past the gap.
+ * @param {string} date - The local date as YYYY-MM-DD
+ * @param {number} minutes - Minutes after that date's midnight, may run into the next day
+ * @param {string} timezone - The timezone
+ * @returns {Date} The moment
+ */
+export function fromLocalTime(date, minutes, timezone) {
+  const wall = Date.parse(`${date}T00:00:00Z`) + minutes * 60 * 1000
+  const offsetAt = (moment) => getUtcOffset(new Date(moment), timezone) * 60 * 1000
+
+  // The offset at the first guess is wrong near a change, so check again;
+  // if the offsets still disagree the time falls in a gap
+  const guess = wall - offsetAt(wall)
+  const offset = offsetAt(guess)
+  const moment = wall - offset
+  return new Date(offsetAt(moment) === offset ? moment : guess)
+}
+
+/**
+ * Shift a YYYY-MM-DD date by a number of days
+ * @param {string} date - The date
+ * @param {number} days - Days to add, may be negative
+ * @returns {string} The shifted date
+ */
+export function addDays(date, days) {
+  const shifted = new Date(`${date}T00:00:00Z`)
+  shifted.setUTCDate(shifted.getUTCDate() + days)
+  return shifted.toISOString().slice(0, 10)
+}
+
+/**
+ * Get the periods a restaurant is open that start on a local date
+ * @param {string} date - The local date as YYYY-MM-DD
+ * @param {Array} hours - Weekly periods as { dayOfWeek, openTime, closeTime }
+ * @param {Map} specialByDate - Special hours grouped by date
+ * @returns {Array} The periods as [open, close] minutes after that date's midnight
+ */
+function getPeriodsStartingOn(date, hours, specialByDate) {
+  const special = specialByDate.get(date)
+  const dayOfWeek = new Date(`${date}T00:00:00Z`).getUTCDay()
+  const periods = special
+    ? special.filter((period) => !period.isClosed && period.openTime && period.closeTime)
+    : hours.filter((period) => period.dayOfWeek === dayOfWeek)
+
+  return periods.map(({ openTime, closeTime }) => {
+    const open = toMinutes(openTime)
+    const close = toMinutes(closeTime)
+    return [open, close > open ? close : close + MINUTES_PER_DAY]
+  })
+}
+
+/**
+ * Get the periods a restaurant is open that start on a local date, from
+ * its special hours for that date or else its weekly hours
+ * @param {Object} schedule - The restaurant's schedule
+ * @param {Array} schedule.hours - Weekly periods as { dayOfWeek, openTime, closeTime }, 0 for Sunday
+ * @param {Array} [schedule.specialHours] - Dated overrides as { date, openTime, closeTime, isClosed }
+ * @param {string} date - The local date as YYYY-MM-DD
+ * @returns {Array} The periods as [open, close] minutes after that date's midnight
+ */
+export function getOpeningPeriods({ hours = [], specialHours = [] }, date) {
+  const special = specialHours.filter((period) => period.date === date)
+  return getPeriodsStartingOn(date, hours, new Map(special.length > 0 ? [[date, special]] : []))
+}
+
+/**
+ * Work out a restaurant's opening status at a moment
+ * @param {Object} schedule - The restaurant's schedule
+ * @param {Array} schedule.hours - Weekly periods as { dayOfWeek, openTime, closeTime }, 0 for Sunday
+ * @param {Array} [schedule.specialHours] - Dated overrides as { date, openTime, closeTime, isClosed, note }
+ * @param {string} schedule.timezone - The timezone the hours are in
+ * @param {Date} [now] - The moment to check
+ * @returns {Object} Whether it is open, when it closes or next opens, and the special day, if any
+ */
+export function getOpeningStatus({ hours = [], specialHours = [], timezone }, now = new Date()) {
+  const local = getLocalTime(now, timezone)
+  const specialByDate = new Map()
+  for (const period of specialHours) {
+    specialByDate.set(period.date, [...(specialByDate.get(period.date) || []), period])
+  }
+
+  // Periods from yesterday (which may run past midnight) to the lookahead,
+  // in minutes after today's local midnight, with touching periods merged
+  const intervals = []
+  for (let offset = -1; offset < NEXT_OPENING_LOOKAHEAD_DAYS; offset++) {
+    const date = addDays(local.date, offset)
+    for (const [open, close] of getPeriodsStartingOn(date, hours, specialByDate)) {
+      intervals.push([open + offset * MINUTES_PER_DAY, close + offset * MINUTES_PER_DAY])
+    }
+  }
+  intervals.sort((a, b) => a[0] - b[0])
+  const merged = []
+  for (const interval of intervals) {
+    const last = merged[merged.length - 1]
+    if (last && interval[0] <= last[1]) {
+      last[1] = Math.max(last[1], interval[1])
+    } else {
+      merged.push([...interval])
+    }
+  }
+
+  // Compare moments rather than local minutes, so a daylight saving change
+  // within a period doesn't move its opening or closing by an hour
+  const periods = merged.map(([open, close]) => [
+    fromLocalTime(local.date, open, timezone),
+    fromLocalTime(local.date, close, timezone),
+  ])
+  const minutesUntil = (moment) => Math.ceil((moment.getTime() - now.getTime()) / (60 * 1000))
+
+  const current = periods.find(([open, close]) => open <= now && now < close)
+  const next = periods.find(([open]) => open > now)
+  const todaySpecial = specialByDate.get(local.date)
+  const minutesUntilClose = current ? minutesUntil(current[1]) : null
+
+  return {
+    timezone,
+    localDate: local.date,
+    isOpen: Boolean(current),
+    closesAt: current ? current[1].toISOString() : null,
+    minutesUntilClose,
+    closingSoon: current ? minutesUntilClose <= CLOSING_SOON_MINUTES : false,
+    nextOpening: next ? next[0].toISOString() : null,
+    minutesUntilOpen: current || !next ? null : minutesUntil(next[0]),
+    specialDay: todaySpecial
+      ? { isClosed: todaySpecial.every((period) => period.isClosed), note: todaySpecial.find((period) => period.note)?.note || null }
+      : null,
+  }
+}
@@ -0,0 +1,91 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { getOpeningStatus } from './openingHours.js'
+import { getBookingSlots } from './bookingSlots.js'
+
+// New York springs forward on 2026-03-08 (02:00 EST becomes 03:00 EDT)
+// and falls back on 2026-11-01 (02:00 EDT becomes 01:00 EST)
+const timezone = 'America/New_York'
+
+// Saturday evenings until past midnight
+const lateSaturdays = (closeTime) => [{ dayOfWeek: 6, openTime: '20:00', closeTime }]
+
+describe('getOpeningStatus', () => {
+  it('closes at the right moment when the clocks spring forward', () => {
+    // 01:30 EST, two and a half wall-clock hours but only 90 minutes before 04:00 EDT
+    const status = getOpeningStatus(
+      { hours: lateSaturdays('04:00'), timezone },
+      new Date('2026-03-08T06:30:00Z')
+    )
+
+    assert.equal(status.isOpen, true)
+    assert.equal(status.closesAt, '2026-03-08T08:00:00.000Z')
+    assert.equal(status.minutesUntilClose, 90)
+  })
+
+  it('closes at the right moment when the clocks fall back', () => {
+    // 01:30 EDT, half a wall-clock hour but 90 minutes before 02:00 EST
+    const status = getOpeningStatus(
+      { hours: lateSaturdays('02:00'), timezone },
+      new Date('2026-11-01T05:30:00Z')
+    )
+
+    assert.equal(status.isOpen, true)
+    assert.equal(status.closesAt, '2026-11-01T07:00:00.000Z')
+    assert.equal(status.minutesUntilClose, 90)
+  })
+
+  it('opens at the right moment after the clocks change', () => {
+    // Closed at 23:00 EST on Saturday; opens at 20:00 EDT on the next Saturday
+    const status = getOpeningStatus(
+      { hours: lateSaturdays('22:00'), timezone },
+      new Date('2026-03-08T04:00:00Z')
+    )
+
+    assert.equal(status.isOpen, false)
+    assert.equal(status.nextOpening, '2026-03-15T00:00:00.000Z')
+    assert.equal(status.minutesUntilOpen, 7 * 24 * 60 - 4 * 60)
+  })
+
+  it('is unchanged in a timezone without daylight saving', () => {
+    const status = getOpeningStatus(
+      { hours: [{ dayOfWeek: 3, openTime: '11:00', closeTime: '15:00' }], timezone: 'Asia/Kuala_Lumpur' },
+      new Date('2026-10-21T05:00:00Z')
+    )
+
+    assert.equal(status.isOpen, true)
+    assert.equal(status.closesAt, '2026-10-21T07:00:00.000Z')
+    assert.equal(status.minutesUntilClose, 120)
+  })
+})
+
+describe('getBookingSlots', () => {
+  it('lets bookings run to closing time when the clocks fall back', () => {
+    const slots = getBookingSlots({ hours: lateSaturdays('02:00'), timezone }, '2026-10-31', {
+      slotInterval: 60,
+      turnTime: 120,
+    })
+    const last = slots[slots.length - 1]
+
+    // Nine hours open, so the last two-hour booking starts at 01:00 EDT
+    assert.deepEqual(
+      slots.map((slot) => slot.time),
+      ['20:00', '21:00', '22:00', '23:00', '00:00', '01:00']
+    )
+    assert.equal(last.startsAt.toISOString(), '2026-11-01T05:00:00.000Z')
+    assert.equal(last.endsAt.toISOString(), '2026-11-01T07:00:00.000Z')
+  })
+
+  it('offers no times the clocks skip and ends bookings by closing time when they spring forward', () => {
+    const slots = getBookingSlots({ hours: lateSaturdays('05:00'), timezone }, '2026-03-07', {
+      slotInterval: 30,
+      turnTime: 60,
+    })
+    const times = slots.map((slot) => slot.time)
+
+    assert.equal(times.includes('02:00'), false)
+    assert.equal(times.includes('02:30'), false)
+    assert.equal(times[times.length - 1], '04:00')
+    assert.equal(slots[slots.length - 1].endsAt.toISOString(), '2026-03-08T09:00:00.000Z')
+  })
+})
@@ -0,0 +1,85 @@
+/**
+ * Ranking Validation Utility
+ *
+ * This module holds the field rules shared by the endpoints that write
+ * dish rankings, so creating a ranking and importing one apply the same
+ * limits.
+ */
+
+/**
+ * Categories a ranking can be stored under
+ */
+export const RANKING_CATEGORIES = ['TOP', 'VISITED', 'SECOND_CHANCE', 'DISSATISFIED', 'PLAN_TO_VISIT']
+
+/**
+ * Taste statuses a ranking can have
+ */
+export const TASTE_STATUSES = ['loved', 'liked', 'neutral', 'disliked']
+
+/**
+ * Field limits for rankings
+ */
+export const RANKING_LIMITS = {
+  minRating: 1,
+  maxRating: 10,
+  maxReviewLength: 1000,
+  maxNotesLength: 500,
+  maxPhotos: 10
+}
+
+/**
+ * Validate the user-supplied fields of a ranking
+ * @param {object} data The ranking fields
+ * @returns {object|null} The first failure as { field, error, message }, or null if valid
+ */
+export const validateRankingFields = ({ rating, review, photoUrls, tasteStatus, notes, category }) => {
+  if (typeof rating !== 'number' || isNaN(rating) || rating < RANKING_LIMITS.minRating || rating > RANKING_LIMITS.maxRating) {
+    return {
+      field: 'rating',
+      error: 'Invalid rating',
+      message: 'Rating must be a number between 1 and 10'
+    }
+  }
+
+  if (review && (typeof review !== 'string' || review.length > RANKING_LIMITS.maxReviewLength)) {
+    return {
+      field: 'review',
+      error: 'Invalid review',
+      message: 'Review must be a string with maximum 1000 characters'
+    }
+  }
+
+  if (photoUrls && (!Array.isArray(photoUrls) || photoUrls.length > RANKING_LIMITS.maxPhotos)) {
+    return {
+      field: 'photoUrls',
+      error: 'Invalid photo URLs',
+      message: 'Photo URLs must be an array with maximum 10 items'
+    }
+  }
+
+  if (tasteStatus && !TASTE_STATUSES.includes(tasteStatus)) {
+    return {
+      field: 'tasteStatus',
+      error: 'Invalid taste status',
+      message: 'Taste status must be one of: loved, liked, neutral, disliked'
+    }
+  }
+
+  if (notes && (typeof notes !== 'string' || notes.length > RANKING_LIMITS.maxNotesLength)) {
+    return {
+      field: 'notes',
+      error: 'Invalid notes',
+      message: 'Notes must be a string with maximum 500 characters'
+    }
+  }
+
+  if (category && !RANKING_CATEGORIES.includes(category)) {
+    return {
+      field: 'category',
+      error: 'Invalid category',
+      message: `Category must be one of: ${RANKING_CATEGORIES.join(', ')}`
+    }
+  }
+
+  return null
+}
@@ -0,0 +1,54 @@
+/**
+ * Request Fingerprint Utility
+ *
+ * This module derives a stable, anonymised fingerprint for an API request.
+ * Fingerprints are stored with votes and rankings so that many accounts
+ * acting from the same network and device can be spotted without keeping
+ * raw IP addresses.
+ */
+
+import { createHmac } from 'crypto'
+
+/**
+ * Get the client IP address of a request. Only the proxies we run can be
+ * trusted to report it: each appends the address it was reached from to
+ * X-Forwarded-For, so with TRUSTED_PROXY_COUNT proxies in front the
+ * client is that many entries from the right. Entries further left are
+ * whatever the client chose to send.
+ * @param {object} req The request object
+ * @returns {string} The client IP address
+ */
+export const getClientIp = (req) => {
+  const trustedProxies = Number.parseInt(process.env.TRUSTED_PROXY_COUNT || '0', 10)
+  const forwardedFor = [req.headers['x-forwarded-for']]
+    .flat()
+    .filter(Boolean)
+    .flatMap((header) => header.split(','))
+    .map((address) => address.trim())
+    .filter(Boolean)
+
+  if (trustedProxies > 0 && forwardedFor.length >= trustedProxies) {
+    return forwardedFor[forwardedFor.length - trustedProxies]
+  }
+
+  return req.socket?.remoteAddress || 'unknown'
+}
+
+/**
+ * Get the fingerprint of a request: an HMAC-SHA-256 of the client IP and
+ * user agent, keyed with a server secret so fingerprints cannot be
+ * reversed by hashing every IP address
+ * @param {object} req The request object
+ * @returns {string} The fingerprint as a hex string
+ */
+export const getRequestFingerprint = (req) => {
+  const secret = process.env.FINGERPRINT_SECRET || process.env.NEXTAUTH_SECRET
+  if (!secret) {
+    throw new Error('FINGERPRINT_SECRET is not configured')
+  }
+
+  const userAgent = req.headers['user-agent'] || 'unknown'
+  return createHmac('sha256', secret)
+    .update(`${getClientIp(req)}|${userAgent}`)
+    .digest('hex')
+}
@@ -0,0 +1,285 @@
+/**
+ * Restaurant Matching Utilities
+ *
+ * This module scores how likely two restaurant records, e.g. a Yelp
+ * business and a Google place, are the same restaurant. Names, phone
+ * numbers and addresses are normalized before comparing, so "Laksa King
+ * Restaurant Sdn Bhd" matches "laksa king" and "+60 3-1234 5678" matches
+ * "03 1234 5678". A pair is only a match when both places are close.
+ */
+
+import { EARTH_RADIUS_KM } from './geo.js'
+
+/**
+ * Places further apart than this are never the same restaurant
+ */
+export const MAX_MATCH_DISTANCE_KM = 0.5
+
+/**
+ * Places within this distance get the full distance score
+ */
+const SAME_SPOT_KM = 0.05
+
+/**
+ * How much each signal counts towards the score. Signals missing from
+ * either place are left out and the rest reweighted.
+ */
+const SIGNAL_WEIGHTS = {
+  name: 0.45,
+  distance: 0.25,
+  phone: 0.2,
+  address: 0.1,
+}
+
+/**
+ * Score thresholds. Auto merges also need a close, similarly named place
+ * whose phone number does not differ.
+ */
+export const MATCH_THRESHOLDS = {
+  auto: 0.85,
+  autoMinName: 0.8,
+  autoMaxDistanceKm: 0.15,
+  review: 0.6,
+  reviewMinName: 0.5,
+}
+
+/**
+ * Phone numbers match on this many trailing digits, which drops country
+ * and trunk prefixes
+ */
+const PHONE_DIGITS = 8
+
+/**
+ * Words that say what kind of place it is rather than which one
+ */
+const NAME_STOPWORDS = new Set([
+  'the', 'restaurant', 'restoran', 'restaurante', 'cafe', 'kafe', 'eatery', 'kitchen',
+  'bistro', 'bar', 'and', 'sdn', 'bhd', 'pte', 'ltd', 'llc', 'inc', 'co',
+])
+
+/**
+ * Common address abbreviations, mapped to one spelling
+ */
+const ADDRESS_ABBREVIATIONS = {
+  jalan: 'jln',
+  lorong: 'lrg',
+  street: 'st',
+  road: 'rd',
+  avenue: 'ave',
+  boulevard: 'blvd',
+  lane: 'ln',
+  drive: 'dr',
+  taman: 'tmn',
+  bandar: 'bdr',
+  number: 'no',
+  floor: 'fl',
+  level: 'lvl',
+}
+
+/**
+ * Split text into lowercase words without accents or punctuation
+ * @param {string} text - The text
+ * @returns {Array<string>} The words
+ */
+const tokenize = (text) =>
+  (text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .replace(/&/g, ' and ')
+    .replace(/['’]/g, '')
+    .match(/[\p{L}\p{N}]+/gu) || []
+
+/**
+ * Normalize a restaurant name for comparison
+ * @param {string} name - The name
+ * @returns {string} The name's distinctive words
+ */
+export function normalizeName(name) {
+  const words = tokenize(name)
+  const distinctive = words.filter((word) => !NAME_STOPWORDS.has(word))
+  // A name made only of stopwords, e.g. "The Kitchen", is kept whole
+  return (distinctive.length > 0 ? distinctive : words).join(' ')
+}
+
+/**
+ * Normalize a phone number for comparison
+ * @param {string} phone - The phone number
+ * @returns {string|null} Its trailing digits, or null if too short to compare
+ */
+export function normalizePhone(phone) {
+  const digits = (phone || '').replace(/\D/g, '')
+  return digits.length >= PHONE_DIGITS ? digits.slice(-PHONE_DIGITS) : null
+}
+
+/**
+ * Normalize an address for comparison
+ * @param {string} address - The address
+ * @returns {string} The address words with abbreviations unified
+ */
+export function normalizeAddress(address) {
+  return tokenize(address)
+    .map((word) => ADDRESS_ABBREVIATIONS[word] || word)
+    .join(' ')
+}
+
+/**
+ * Count the trigrams of text, padded the way pg_trgm pads words
+ * @param {string} text - Normalized text
+ * @returns {Map<string, number>} Each trigram and how often it occurs
+ */
+function trigrams(text) {
+  const counts = new Map()
+  for (const word of text.split(' ').filter(Boolean)) {
+    const padded = `  ${word} `
+    for (let i = 0; i < padded.length - 2; i++) {
+      const gram = padded.slice(i, i + 3)
+      counts.set(gram, (counts.get(gram) || 0) + 1)
+    }
+  }
+  return counts
+}
+
+/**
+ * Compare two normalized strings by their shared trigrams
+ * @param {string} a - The first string
+ * @param {string} b - The second string
+ * @returns {number} The Dice coefficient, from 0 to 1
+ */
+export function trigramSimilarity(a, b) {
+  if (!a || !b) {
+    return 0
+  }
+  if (a === b) {
+    return 1
+  }
+
+  const gramsA = trigrams(a)
+  const gramsB = trigrams(b)
+  let shared = 0
+  let total = 0
+  for (const [gram, count] of gramsA) {
+    shared += Math.min(count, gramsB.get(gram) || 0)
+    total += count
+  }
+  for (const count of gramsB.values()) {
+    total += count
+  }
+  return total > 0 ? (2 * shared) / total : 0
+}
+
+/**
+ * Compare two normalized names. A name whose words all appear in the other,
+ * as with a branch suffix ("laksa king" and "laksa king ss2"), scores high
+ * even when the trigrams differ.
+ * @param {string} a - The first name
+ * @param {string} b - The second name
+ * @returns {number} The similarity, from 0 to 1
+ */
+function nameSimilarity(a, b) {
+  const wordsA = new Set(a.split(' ').filter(Boolean))
+  const wordsB = new Set(b.split(' ').filter(Boolean))
+  const [shorter, longer] = wordsA.size <= wordsB.size ? [wordsA, wordsB] : [wordsB, wordsA]
+  const contained = shorter.size > 0 && [...shorter].every((word) => longer.has(word))
+
+  return Math.max(trigramSimilarity(a, b), contained ? 0.9 : 0)
+}
+
+/**
+ * Compute the great-circle distance between two points
+ * @param {number} lat1 - First latitude in degrees
+ * @param {number} lng1 - First longitude in degrees
+ * @param {number} lat2 - Second latitude in degrees
+ * @param {number} lng2 - Second longitude in degrees
+ * @returns {number} The distance in kilometres
+ */
+export function haversineDistanceKm(lat1, lng1, lat2, lng2) {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180
+  const a =
+    Math.sin(toRadians(lat2 - lat1) / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(toRadians(lng2 - lng1) / 2) ** 2
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)))
+}
+
+/**
+ * Score how likely two places are the same restaurant
+ * @param {Object} a - The first place: name, address, phone, latitude, longitude
+ * @param {Object} b - The second place, with the same fields
+ * @returns {Object|null} The score from 0 to 1 and the signals it came
+ *   from, or null when the places are too far apart or lack a location
+ */
+export function scoreRestaurantMatch(a, b) {
+  const coordinates = [a.latitude, a.longitude, b.latitude, b.longitude]
+  if (coordinates.some((value) => typeof value !== 'number' || isNaN(value))) {
+    return null
+  }
+
+  const distanceKm = haversineDistanceKm(a.latitude, a.longitude, b.latitude, b.longitude)
+  if (distanceKm > MAX_MATCH_DISTANCE_KM) {
+    return null
+  }
+
+  const signals = {
+    name: nameSimilarity(normalizeName(a.name), normalizeName(b.name)),
+    distance: Math.min(1, (MAX_MATCH_DISTANCE_KM - distanceKm) / (MAX_MATCH_DISTANCE_KM - SAME_SPOT_KM)),
+  }
+
+  const phoneA = normalizePhone(a.phone)
+  const phoneB = normalizePhone(b.phone)
+  if (phoneA && phoneB) {
+    signals.phone = phoneA === phoneB ? 1 : 0
+  }
+
+  const addressA = normalizeAddress(a.address)
+  const addressB = normalizeAddress(b.address)
+  if (addressA && addressB) {
+    signals.address = trigramSimilarity(addressA, addressB)
+  }
+
+  let weighted = 0
+  let totalWeight = 0
+  for (const [signal, value] of Object.entries(signals)) {
+    weighted += value * SIGNAL_WEIGHTS[signal]
+    totalWeight += SIGNAL_WEIGHTS[signal]
+  }
+
+  return {
+    score: Math.round((weighted / totalWeight) * 1000) / 1000,
+    distanceKm: Math.round(distanceKm * 1000) / 1000,
+    signals: Object.fromEntries(
+      Object.entries(signals).map(([signal, value]) => [signal, Math.round(value * 1000) / 1000])
+    ),
+  }
+}
+
+/**
+ * Decide what to do with a scored pair
+ * @param {Object|null} match - The result of scoreRestaurantMatch
+ * @returns {string} 'auto' to merge without review, 'review' to queue for
+ *   an admin, or 'none' for different restaurants
+ */
+export function classifyMatch(match) {
+  if (!match) {
+    return 'none'
+  }
+
+  const { score, distanceKm, signals } = match
+  if (
+    score >= MATCH_THRESHOLDS.auto &&
+    signals.name >= MATCH_THRESHOLDS.autoMinName &&
+    distanceKm <= MATCH_THRESHOLDS.autoMaxDistanceKm &&
+    signals.phone !== 0
+  ) {
+    return 'auto'
+  }
+
+  // A shared phone number is strong evidence even when the names differ
+  if (
+    (score >= MATCH_THRESHOLDS.review && signals.name >= MATCH_THRESHOLDS.reviewMinName) ||
+    (signals.phone === 1 && signals.name >= MATCH_THRESHOLDS.reviewMinName / 2)
+  ) {
+    return 'review'
+  }
+
+  return 'none'
+}
@@ -1,19 +1,54 @@
 // Typesense dish search Lambda function
+// Dish search now lives in the backend (apps/backend typesense-dish-search),
+// so this handler forwards API Gateway requests to it
+const BACKEND_API_URL = process.env.BACKEND_API_URL || '';
+
+const toList = (value) => (value ? value.split(',') : undefined);
+const toNumber = (value) => (value ? Number(value) : undefined);
+
 /**
  * Lambda handler for Typesense dish search
- * @param {Object} _event - The Lambda event object
+ * @param {Object} event - The API Gateway event object
  * @param {Object} _context - The Lambda context object
  * @returns {Object} Response object
  */
-export const handler = async (_event, _context) => {
+export const handler = async (event, _context) => {
     console.log('Starting Typesense dish search');
 
+    const params = event.queryStringParameters || {};
+    const input = {
+        q: params.q,
+        dishType: params.dish_type,
+        restaurantId: params.restaurant_id,
+        tags: toList(params.tags),
+        priceMin: toNumber(params.price_min),
+        priceMax: toNumber(params.price_max),
+        perPage: toNumber(params.per_page),
+        page: toNumber(params.page),
+    };
+
     try {
-        // Implementation will be added later
+        if (!BACKEND_API_URL) {
+            throw new Error('BACKEND_API_URL is not set');
+        }
+
+        const query = encodeURIComponent(JSON.stringify({ json: input }));
+        const response = await fetch(
+            `${BACKEND_API_URL}/api/trpc/typesenseDishSearch.searchDishes?input=${query}`
+        );
+        const result = await response.json();
+
+        if (!response.ok) {
+            return {
+                statusCode: response.status,
+                body: JSON.stringify({ message: 'Search failed', error: result.error?.json?.message }),
+            };
+        }
+
         console.log('Typesense dish search completed successfully');
         return {
             statusCode: 200,
-            body: JSON.stringify({ message: 'Search completed successfully', results: [] }),
+            body: JSON.stringify(result.result.data.json),
         };
     } catch (error) {
         console.error('Error during search:', error);
@@ -1,25 +1,43 @@
 // Typesense dish sync Lambda function
+// Dish sync now lives in the backend (apps/backend typesense-dish-sync), so
+// this handler forwards the dish events from the sync queue to it
+const BACKEND_API_URL = process.env.BACKEND_API_URL || '';
+
 /**
  * Lambda handler for Typesense dish sync
- * @param {Object} _event - The Lambda event object
+ * @param {Object} event - The SQS event with the dish events
  * @param {Object} _context - The Lambda context object
- * @returns {Object} Response object
+ * @returns {Object} The records that failed, for the queue to retry
  */
-export const handler = async (_event, _context) => {
-    console.log('Starting Typesense dish sync');
+export const handler = async (event, _context) => {
+    const records = event.Records || [];
+    console.log(`Starting Typesense dish sync for ${records.length} dish events`);
+
+    if (records.length === 0) {
+        // Full reindexes run from the backend's reindex:dishes script
+        return { batchItemFailures: [] };
+    }
 
     try {
-        // Implementation will be added later
+        if (!BACKEND_API_URL) {
+            throw new Error('BACKEND_API_URL is not set');
+        }
+
+        const response = await fetch(`${BACKEND_API_URL}/api/trpc/typesenseDishSync.processBatch`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ json: { Records: records } }),
+        });
+        if (!response.ok) {
+            throw new Error(`Backend responded with ${response.status}`);
+        }
+
+        const result = await response.json();
         console.log('Typesense dish sync completed successfully');
-        return {
-            statusCode: 200,
-            body: JSON.stringify({ message: 'Sync completed successfully' }),
-        };
+        return result.result.data.json;
     } catch (error) {
         console.error('Error during sync:', error);
-        return {
-            statusCode: 500,
-            body: JSON.stringify({ message: 'Sync failed', error: error.message }),
-        };
+        // Throwing returns the whole batch to the queue
+        throw error;
     }
 };
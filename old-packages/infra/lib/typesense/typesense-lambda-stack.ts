@@ -1,14 +1,15 @@
 // Typesense Lambda Stack
-// Creates Lambda functions for Typesense dish sync and search
+// Creates Lambda functions for Typesense dish sync and search, which forward
+// to the backend's dish search services, and the queue of dish events
 
 import * as cdk from 'aws-cdk-lib';
 import * as apigateway from 'aws-cdk-lib/aws-apigateway';
 import * as ec2 from 'aws-cdk-lib/aws-ec2';
-import * as events from 'aws-cdk-lib/aws-events';
-import * as targets from 'aws-cdk-lib/aws-events-targets';
 import * as iam from 'aws-cdk-lib/aws-iam';
 import * as lambda from 'aws-cdk-lib/aws-lambda';
+import * as lambdaEventSources from 'aws-cdk-lib/aws-lambda-event-sources';
 import * as logs from 'aws-cdk-lib/aws-logs';
+import * as sqs from 'aws-cdk-lib/aws-sqs';
 import { Construct } from 'constructs';
 
 export interface TypesenseLambdaStackProps extends cdk.StackProps {
@@ -18,9 +19,12 @@ export interface TypesenseLambdaStackProps extends cdk.StackProps {
     rdsResourceArn: string;
     rdsDatabase: string;
     typesenseSecurityGroup: ec2.ISecurityGroup;
+    // Base URL of the backend API the functions forward to
+    backendApiUrl?: string;
 }
 
 export class TypesenseLambdaStack extends cdk.Stack {
+    public readonly dishSyncQueue: sqs.Queue;
     public readonly dishSyncFunction: lambda.Function;
     public readonly dishSearchFunction: lambda.Function;
     public readonly dishSearchApi: apigateway.RestApi;
@@ -101,6 +105,7 @@ export class TypesenseLambdaStack extends cdk.Stack {
                 RDS_SECRET_ARN: props.rdsSecretArn,
                 RDS_RESOURCE_ARN: props.rdsResourceArn,
                 RDS_DATABASE: props.rdsDatabase,
+                BACKEND_API_URL: props.backendApiUrl ?? '',
             },
             vpc: props.vpc,
             vpcSubnets: {
@@ -125,6 +130,7 @@ export class TypesenseLambdaStack extends cdk.Stack {
             memorySize: 512,
             environment: {
                 ENVIRONMENT: props.environment,
+                BACKEND_API_URL: props.backendApiUrl ?? '',
             },
             vpc: props.vpc,
             vpcSubnets: {
@@ -134,14 +140,20 @@ export class TypesenseLambdaStack extends cdk.Stack {
             logGroup: dishSearchLogGroup,
         });
 
-        // Create a scheduled event to trigger the dish sync function
-        const syncSchedule = new events.Rule(this, 'DishSyncSchedule', {
-            ruleName: `typesense-dish-sync-schedule-${props.environment}`,
-            schedule: events.Schedule.rate(cdk.Duration.hours(1)),
-            description: 'Scheduled event to sync dishes to Typesense',
+        // The web app sends dish created and updated events to this queue
+        // (DISH_SYNC_QUEUE_URL); the sync function applies them as they come
+        this.dishSyncQueue = new sqs.Queue(this, 'DishSyncQueue', {
+            queueName: `typesense-dish-sync-${props.environment}`,
+            visibilityTimeout: cdk.Duration.minutes(6),
         });
 
-        syncSchedule.addTarget(new targets.LambdaFunction(this.dishSyncFunction));
+        this.dishSyncFunction.addEventSource(
+            new lambdaEventSources.SqsEventSource(this.dishSyncQueue, {
+                batchSize: 10,
+                maxBatchingWindow: cdk.Duration.seconds(30),
+                reportBatchItemFailures: true,
+            })
+        );
 
         // Create API Gateway for dish search
         this.dishSearchApi = new apigateway.RestApi(this, 'DishSearchApi', {
@@ -215,6 +227,12 @@ export class TypesenseLambdaStack extends cdk.Stack {
         );
 
         // Outputs
+        new cdk.CfnOutput(this, 'DishSyncQueueUrl', {
+            value: this.dishSyncQueue.queueUrl,
+            description: 'URL of the dish event queue',
+            exportName: `Typesense-${props.environment}-DishSyncQueueUrl`,
+        });
+
         new cdk.CfnOutput(this, 'DishSyncFunctionArn', {
             value: this.dishSyncFunction.functionArn,
             description: 'ARN of the dish sync Lambda function',
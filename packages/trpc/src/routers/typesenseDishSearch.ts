@@ -18,8 +18,26 @@ export const typesenseDishSearchRouter = router({
         dishType: z.string().optional(),
         restaurantId: z.string().optional(),
         tags: z.array(z.string()).optional(),
+        cuisine: z.array(z.string()).optional(),
+        countryCode: z.array(z.string().length(2)).optional(),
+        dietary: z
+          .array(
+            z.enum([
+              'vegetarian',
+              'vegan',
+              'halal',
+              'kosher',
+              'gluten-free',
+              'dairy-free',
+              'nut-free',
+              'pescatarian',
+            ])
+          )
+          .optional(),
+        priceRange: z.array(z.enum(['under-10', '10-20', '20-50', '50-plus'])).optional(),
         priceMin: z.number().optional(),
         priceMax: z.number().optional(),
+        sortBy: z.enum(['relevance', 'rank', 'price_asc', 'price_desc', 'newest']).optional(),
         perPage: z.number().min(1).max(100).optional(),
         page: z.number().min(1).optional(),
       })
@@ -29,6 +47,7 @@ export const typesenseDishSearchRouter = router({
       return {
         found: 0,
         hits: [],
+        facet_counts: [],
         page: 1,
         request_params: {},
       };